@@ -0,0 +1,39 @@
+/**
+ * Geohash Backfill Script
+ *
+ * Writes the `geohash` field used by the nearby searches
+ * (GET /api/v1/gtfs/stops/nearby, GET /api/v1/buses/nearby) on stops and
+ * positioned buses stored before it existed. New and updated records get it
+ * on write, so this only needs to run once after upgrading.
+ *
+ * Usage:
+ *   npm run geohash:backfill
+ *   node scripts/backfill-geohashes.js
+ *
+ * Records that already have the right geohash are not written, so the
+ * script can be run again safely.
+ */
+
+require('dotenv').config();
+const { stopRepository } = require('../src/services/gtfs');
+const { busRepository } = require('../src/services/busRepository');
+
+async function backfillGeohashes() {
+  try {
+    console.log('🧭 Backfilling geohashes...\n');
+
+    const stops = await stopRepository.updateGeohashes();
+    console.log(`   stops            ${stops} updated`);
+
+    const buses = await busRepository.updateGeohashes();
+    console.log(`   buses            ${buses} updated`);
+
+    console.log('\n✅ Geohash backfill completed');
+    process.exit(0);
+  } catch (error) {
+    console.error(`\n❌ Geohash backfill failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+backfillGeohashes();
@@ -0,0 +1,65 @@
+/**
+ * GTFS Import Script
+ *
+ * Imports a static GTFS feed (zip) into Firestore: agency, stops, routes,
+ * calendar, calendar_dates, trips and stop_times. Same import as POST /api/v1/gtfs/import.
+ *
+ * Usage:
+ *   npm run gtfs:import -- path/to/gtfs.zip
+ *   node scripts/import-gtfs.js path/to/gtfs.zip
+ *
+ * Records are created or replaced by their GTFS ID, so the same feed can be
+ * imported again. Exits with code 1 if any row was rejected.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const gtfsImportService = require('../src/services/gtfsImportService');
+
+async function importGtfs() {
+  const zipPath = process.argv[2];
+
+  if (!zipPath) {
+    console.error('Usage: node scripts/import-gtfs.js <gtfs.zip>');
+    process.exit(2);
+  }
+
+  const resolved = path.resolve(zipPath);
+
+  if (!fs.existsSync(resolved)) {
+    console.error(`❌ File not found: ${resolved}`);
+    process.exit(2);
+  }
+
+  try {
+    console.log(`📦 Importing GTFS feed: ${resolved}\n`);
+
+    const report = await gtfsImportService.importZip(resolved);
+
+    Object.entries(report.files).forEach(([file, stats]) => {
+      const status = stats.present
+        ? `${stats.imported}/${stats.rows} imported, ${stats.skipped} skipped`
+        : 'missing';
+      console.log(`   ${file.padEnd(16)} ${status}`);
+    });
+
+    if (report.errorCount > 0) {
+      console.log(`\n⚠️  ${report.errorCount} error(s):`);
+      report.errors.forEach(error => {
+        console.log(`   ${error.file}${error.line ? `:${error.line}` : ''} - ${error.message}`);
+      });
+      if (report.errorCount > report.errors.length) {
+        console.log(`   ... and ${report.errorCount - report.errors.length} more`);
+      }
+    }
+
+    console.log(`\n${report.errorCount > 0 ? '⚠️  Import finished with errors' : '✅ Import completed successfully'}`);
+    process.exit(report.errorCount > 0 ? 1 : 0);
+  } catch (error) {
+    console.error(`\n❌ Import failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+importGtfs();
@@ -0,0 +1,71 @@
+/**
+ * GTFS Validation Script
+ *
+ * Validates the GTFS dataset stored in Firestore: references to missing
+ * records, stop_times sequences and times, stops far from their shape,
+ * unused stops and agency time zones. Same report as GET /api/v1/gtfs/validate.
+ *
+ * Usage:
+ *   npm run gtfs:validate
+ *   npm run gtfs:validate -- --json > report.json
+ *   node scripts/validate-gtfs.js [--json] [--max-samples=N]
+ *
+ * Exits with code 1 if the dataset has errors (warnings and infos do not fail).
+ */
+
+require('dotenv').config();
+const gtfsValidationService = require('../src/services/gtfsValidationService');
+
+// Sample notices printed per code
+const PRINTED_SAMPLES = 5;
+
+async function validateGtfs() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const maxSamplesArg = args.find(arg => arg.startsWith('--max-samples='));
+  const maxSamples = maxSamplesArg ? Number(maxSamplesArg.split('=')[1]) : undefined;
+  const unknown = args.filter(arg => arg !== '--json' && arg !== maxSamplesArg);
+
+  if (unknown.length > 0 || (maxSamplesArg && !(Number.isInteger(maxSamples) && maxSamples >= 0))) {
+    console.error('Usage: node scripts/validate-gtfs.js [--json] [--max-samples=N]');
+    process.exit(2);
+  }
+
+  try {
+    if (!json) {
+      console.log('🔎 Validating GTFS dataset...\n');
+    }
+
+    const report = await gtfsValidationService.validateFeed({ maxSamples });
+
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(report.summary.errors > 0 ? 1 : 0);
+    }
+
+    Object.entries(report.counts).forEach(([entity, count]) => {
+      console.log(`   ${entity.padEnd(16)} ${count}`);
+    });
+
+    [['errors', '❌'], ['warnings', '⚠️ '], ['infos', 'ℹ️ ']].forEach(([severity, icon]) => {
+      report[severity].forEach(group => {
+        console.log(`\n${icon} ${group.code} (${group.totalNotices}): ${group.description}`);
+        group.sampleNotices.slice(0, PRINTED_SAMPLES).forEach(notice => {
+          console.log(`   ${JSON.stringify(notice)}`);
+        });
+        if (group.totalNotices > PRINTED_SAMPLES) {
+          console.log(`   ... and ${group.totalNotices - PRINTED_SAMPLES} more`);
+        }
+      });
+    });
+
+    const { errors, warnings, infos } = report.summary;
+    console.log(`\n${errors > 0 ? '❌ Validation found errors' : '✅ No errors found'}: ${errors} error(s), ${warnings} warning(s), ${infos} info(s)`);
+    process.exit(errors > 0 ? 1 : 0);
+  } catch (error) {
+    console.error(`\n❌ Validation failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+validateGtfs();
@@ -1,13 +1,13 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const swaggerUi = require('swagger-ui-express');
 const { swaggerSpec } = require('./config/swagger');
 const apiRouter = require('./routes');
 const healthRoutes = require('./routes/health.routes');
 const { errorHandler } = require('./middlewares/error.middleware');
 const { notFound } = require('./middlewares/notFound.middleware');
+const { requestLogger } = require('./middlewares/requestLogger.middleware');
 
 const app = express();
 
@@ -16,9 +16,10 @@ app.use(helmet());
 app.use(cors());
 
 // Body Parsers - Parse JSON and URL-encoded bodies
-app.use(express.json());
+// 1mb leaves room for GPS batch uploads (up to 1000 fixes)
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
-app.use(morgan('dev'));
+app.use(requestLogger);
 
 // API Docs
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -67,7 +67,41 @@ const config = {
   // GPS & Data Retention
   // ============================================
   gps: {
-    GPS_RETENTION_DAYS: parseInt(process.env.GPS_RETENTION_DAYS || '30', 10)
+    GPS_RETENTION_DAYS: parseInt(process.env.GPS_RETENTION_DAYS || '30', 10),
+
+    // Speed (km/h) at or above which a parked bus is inferred to be moving
+    GPS_MOVING_SPEED_KMH: parseFloat(process.env.GPS_MOVING_SPEED_KMH || '5'),
+
+    // Seconds below that speed before a moving bus is inferred to be parked
+    GPS_PARKED_AFTER_SECONDS: parseInt(process.env.GPS_PARKED_AFTER_SECONDS || '300', 10),
+
+    // Distance (meters) from the route shape/stops beyond which a fix is off route
+    GPS_OFF_ROUTE_METERS: parseFloat(process.env.GPS_OFF_ROUTE_METERS || '150'),
+
+    // Seconds a bus must stay off route before an alert is raised
+    GPS_OFF_ROUTE_AFTER_SECONDS: parseInt(process.env.GPS_OFF_ROUTE_AFTER_SECONDS || '120', 10),
+
+    // Distance (meters) from a stop within which a bus is at that stop
+    GPS_STOP_RADIUS_METERS: parseFloat(process.env.GPS_STOP_RADIUS_METERS || '50')
+  },
+
+  // ============================================
+  // Time Accounting
+  // ============================================
+  time: {
+    // IANA time zone that defines the operating day (daily totals reset at local midnight)
+    TIMEZONE: process.env.TIMEZONE || 'America/El_Salvador'
+  },
+
+  // ============================================
+  // GTFS Feed Publishing
+  // ============================================
+  gtfs: {
+    // feed_info.txt of the exported feed (publisher defaults to the first agency)
+    GTFS_FEED_PUBLISHER_NAME: process.env.GTFS_FEED_PUBLISHER_NAME || null,
+    GTFS_FEED_PUBLISHER_URL: process.env.GTFS_FEED_PUBLISHER_URL || null,
+    GTFS_FEED_LANG: process.env.GTFS_FEED_LANG || 'es',
+    GTFS_FEED_CONTACT_EMAIL: process.env.GTFS_FEED_CONTACT_EMAIL || null
   }
 };
 
@@ -79,7 +113,9 @@ const frozenConfig = Object.freeze({
   jwt: Object.freeze(config.jwt),
   cors: Object.freeze(config.cors),
   firebase: Object.freeze(config.firebase),
-  gps: Object.freeze(config.gps)
+  gps: Object.freeze(config.gps),
+  time: Object.freeze(config.time),
+  gtfs: Object.freeze(config.gtfs)
 });
 
 module.exports = frozenConfig;
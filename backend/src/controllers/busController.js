@@ -6,6 +6,9 @@
  */
 
 const busService = require('../services/busService');
+const gpsService = require('../services/gpsService');
+const stopVisitService = require('../services/stopVisitService');
+const predictionService = require('../services/predictionService');
 
 /**
  * List buses with pagination and filters
@@ -49,6 +52,40 @@ async function listBuses(req, res, next) {
   }
 }
 
+/**
+ * Find the buses nearest to a location
+ *
+ * GET /api/v1/buses/nearby?lat=13.6929&lng=-89.2182&radius=1&limit=5
+ *
+ * Query params:
+ * - lat, lng: number (required)
+ * - radius: number in km (default: 1, max: 50)
+ * - limit: number (default: 10)
+ * - route: string (only buses on this route)
+ *
+ * Response 200:
+ * {
+ *   data: [{ ...bus, distanceMeters }],  // nearest first
+ *   count,
+ *   query: { lat, lng, radiusKm, limit, route }
+ * }
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function findNearbyBuses(req, res, next) {
+  try {
+    const { lat, lng, radius, limit, route } = req.query;
+
+    const result = await busService.findNearbyBuses({ lat, lng, radius, limit, route });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Get bus by ID
  *
@@ -86,15 +123,16 @@ async function getBusById(req, res, next) {
  * {
  *   licensePlate: string (required, ≥3 chars),
  *   unitName: string (required),
- *   status: string (required: parked, moving, maintenance),
+ *   status: string (required: parked, moving, maintenance, needs_urgent_maintenance, usable),
+ *   statusReason: string (optional, stored in the status history),
  *   route: string (optional),
  *   driver: string (optional),
- *   movingTime: number (optional, default: 0),
- *   parkedTime: number (optional, default: 0),
  *   isFavorite: boolean (optional, default: false),
  *   position: { lat, lng } (optional)
  * }
  *
+ * movingTime/parkedTime are computed by the backend and cannot be set.
+ *
  * Response 201:
  * {
  *   bus: { id, licensePlate, unitName, ... }
@@ -111,7 +149,7 @@ async function createBus(req, res, next) {
   try {
     const busData = req.body;
 
-    const bus = await busService.createBus(busData);
+    const bus = await busService.createBus(busData, req.user.id);
 
     return res.status(201).json({ bus });
   } catch (error) {
@@ -129,21 +167,28 @@ async function createBus(req, res, next) {
  *   licensePlate: string,
  *   unitName: string,
  *   status: string,
+ *   statusReason: string (required to enter maintenance or needs_urgent_maintenance),
  *   route: string,
+ *   tripId: string | null (active GTFS trip of the bus route, null ends it),
+ *   tripStartDate: YYYY-MM-DD (requires tripId, default: today),
+ *   tripStartTime: HH:MM:SS (frequency-based trips only, default: now),
  *   driver: string,
- *   movingTime: number,
- *   parkedTime: number,
  *   isFavorite: boolean,
  *   position: { lat, lng }
  * }
  *
+ * Status changes follow the Bus state machine and are recorded in the
+ * status history with the acting user.
+ * Changing the route ends an active trip of another route.
+ *
  * Response 200:
  * {
  *   bus: { id, licensePlate, unitName, ... }
  * }
  *
  * Response 404: Bus not found
- * Response 422: Validation failed
+ * Response 409: Status transition not allowed (details: { from, to, allowed })
+ * Response 422: Validation failed or missing statusReason
  *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
@@ -154,7 +199,7 @@ async function updateBus(req, res, next) {
     const { id } = req.params;
     const updates = req.body;
 
-    const bus = await busService.updateBus(id, updates);
+    const bus = await busService.updateBus(id, updates, req.user.id);
 
     return res.status(200).json({ bus });
   } catch (error) {
@@ -252,12 +297,205 @@ async function updatePosition(req, res, next) {
   }
 }
 
+/**
+ * Get the stored GPS track of a bus (trip replay)
+ *
+ * GET /api/v1/buses/:id/track
+ *
+ * Query params:
+ * - from: ISO 8601 date (required)
+ * - to: ISO 8601 date (required, after from, max 7 days window)
+ * - simplify: number (optional, Douglas-Peucker tolerance in meters)
+ * - format: 'json' | 'geojson' (default: 'json')
+ *
+ * Response 200 (json):
+ * {
+ *   busId, from, to, count, rawCount, simplified, truncated,
+ *   points: [ { timestamp, lat, lng, speed, heading, accuracy } ]
+ * }
+ *
+ * Response 200 (geojson, application/geo+json):
+ * {
+ *   type: 'Feature',
+ *   geometry: { type: 'LineString', coordinates: [[lng, lat], ...] } | null,
+ *   properties: { busId, from, to, count, rawCount, simplified, truncated, timestamps: [...] }
+ * }
+ *
+ * Response 404: Bus not found
+ * Response 422: Validation failed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function getTrack(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { from, to, simplify, format } = req.query;
+
+    const track = await gpsService.getTrack(id, { from, to, tolerance: simplify });
+
+    if (format === 'geojson') {
+      return res.status(200).type('application/geo+json').send(JSON.stringify(gpsService.toGeoJSON(track)));
+    }
+
+    return res.status(200).json(track);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the status transition history of a bus
+ *
+ * GET /api/v1/buses/:id/status-history
+ *
+ * Query params:
+ * - limit: number (optional, default: 50, max: 200)
+ * - before: ISO 8601 date (optional, only transitions before this instant)
+ *
+ * Response 200:
+ * {
+ *   busId, status, allowedTransitions: [...],
+ *   history: [ { id, busId, fromStatus, toStatus, reason, source: 'user' | 'gps', actorId, changedAt } ]
+ * }
+ *
+ * Response 404: Bus not found
+ * Response 422: Validation failed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function getStatusHistory(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { limit, before } = req.query;
+
+    const history = await busService.getStatusHistory(id, { limit, before });
+
+    return res.status(200).json(history);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get daily time totals of a bus
+ *
+ * GET /api/v1/buses/:id/daily-times
+ *
+ * Query params:
+ * - from: YYYY-MM-DD (optional, default: today in the configured time zone)
+ * - to: YYYY-MM-DD (optional, requires from, default: from, max 31 days)
+ *
+ * Response 200:
+ * {
+ *   busId, timeZone, from, to,
+ *   days: [ { date, movingTime, parkedTime, maintenanceTime } ] (seconds)
+ * }
+ *
+ * Response 404: Bus not found
+ * Response 422: Validation failed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function getDailyTimes(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const dailyTimes = await busService.getDailyTimes(id, { from, to });
+
+    return res.status(200).json(dailyTimes);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the stop arrivals/departures of a bus
+ *
+ * GET /api/v1/buses/:id/stop-visits
+ *
+ * Query params:
+ * - tripId: string (optional, only this GTFS trip)
+ * - serviceDate: YYYY-MM-DD (optional, only this service date)
+ * - limit: number (optional, default: 100, max 500)
+ *
+ * Response 200:
+ * {
+ *   busId, tripId, tripStartDate,
+ *   visits: [ { id, tripId, serviceDate, stopId, stopSequence, scheduledArrival, scheduledDeparture,
+ *               arrivedAt, departedAt, arrivalDelaySeconds, departureDelaySeconds, dwellSeconds } ]
+ * }
+ *
+ * Response 404: Bus not found
+ * Response 422: Validation failed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function getStopVisits(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { tripId, serviceDate, limit } = req.query;
+
+    const visits = await stopVisitService.getStopVisits(id, { tripId, serviceDate, limit });
+
+    return res.status(200).json(visits);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Predict the arrivals of a bus at the remaining stops of its trip
+ *
+ * GET /api/v1/buses/:id/predictions
+ *
+ * Response 200:
+ * {
+ *   busId, routeId, tripId, tripStartDate,
+ *   basis: 'real_time' | 'schedule_only' | null (no active trip),
+ *   generatedAt,
+ *   predictions: [ { stopId, stopSequence, scheduledArrival, predictedArrival, delaySeconds,
+ *                    basis, confidence: 'high' | 'medium' | 'low', ... } ]
+ * }
+ *
+ * Response 404: Bus not found
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function getPredictions(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const predictions = await predictionService.getBusPredictions(id);
+
+    return res.status(200).json(predictions);
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   listBuses,
+  findNearbyBuses,
   getBusById,
   createBus,
   updateBus,
   toggleFavorite,
   deleteBus,
-  updatePosition
+  updatePosition,
+  getTrack,
+  getDailyTimes,
+  getStatusHistory,
+  getStopVisits,
+  getPredictions
 };
@@ -0,0 +1,311 @@
+/**
+ * Device Controller
+ *
+ * Handles tracker registry HTTP requests.
+ * Returns uniform success/error envelopes.
+ */
+
+const deviceService = require('../services/deviceService');
+
+/**
+ * List devices with pagination and filters
+ *
+ * GET /api/v1/devices
+ *
+ * Query params:
+ * - page: number (default: 1)
+ * - pageSize: number (default: 10)
+ * - busId: string (filter by assigned bus)
+ * - isActive: boolean (filter by active flag)
+ *
+ * Response 200:
+ * {
+ *   data: [...],
+ *   pagination: { page, pageSize, total, totalPages, hasMore }
+ * }
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function listDevices(req, res, next) {
+  try {
+    const { page, pageSize, busId, isActive } = req.query;
+
+    const result = await deviceService.listDevices({
+      page,
+      pageSize,
+      busId,
+      isActive
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get device by ID
+ *
+ * GET /api/v1/devices/:id
+ *
+ * Response 200:
+ * {
+ *   device: { id, serial, imei, busId, lastSeenAt, isActive, ... }
+ * }
+ *
+ * Response 404: Device not found
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function getDeviceById(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const device = await deviceService.getDeviceById(id);
+
+    return res.status(200).json({ device });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Register a new device
+ *
+ * POST /api/v1/devices
+ *
+ * Request body:
+ * {
+ *   serial: string (required, the deviceId the tracker reports),
+ *   imei: string (optional, 15 digits),
+ *   model: string (optional),
+ *   firmwareVersion: string (optional),
+ *   simIccid: string (optional, 18-22 digits),
+ *   simPhoneNumber: string (optional),
+ *   busId: string (optional, assign on creation),
+ *   assignmentNote: string (optional),
+ *   isActive: boolean (optional, default: true)
+ * }
+ *
+ * Response 201:
+ * {
+ *   device: { id, serial, ... }
+ * }
+ *
+ * Response 404: Bus not found
+ * Response 409: Serial already exists
+ * Response 422: Validation failed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function createDevice(req, res, next) {
+  try {
+    const device = await deviceService.createDevice(req.body, req.user.id);
+
+    return res.status(201).json({ device });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a device
+ *
+ * PATCH /api/v1/devices/:id
+ *
+ * Request body: (all fields optional)
+ * {
+ *   imei: string,
+ *   model: string,
+ *   firmwareVersion: string,
+ *   simIccid: string,
+ *   simPhoneNumber: string,
+ *   isActive: boolean,
+ *   busId: string|null (moves the device, recorded in the assignment history),
+ *   assignmentNote: string
+ * }
+ *
+ * Response 200:
+ * {
+ *   device: { id, serial, ... }
+ * }
+ *
+ * Response 404: Device or bus not found
+ * Response 422: Validation failed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function updateDevice(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const device = await deviceService.updateDevice(id, req.body, req.user.id);
+
+    return res.status(200).json({ device });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a device
+ *
+ * DELETE /api/v1/devices/:id
+ *
+ * Response 204: No content
+ * Response 404: Device not found
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function deleteDevice(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    await deviceService.deleteDevice(id);
+
+    return res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the bus assignment history of a device
+ *
+ * GET /api/v1/devices/:id/assignments
+ *
+ * Response 200:
+ * {
+ *   assignments: [
+ *     { id, deviceId, busId, assignedAt, unassignedAt, assignedBy, note }
+ *   ]
+ * }
+ *
+ * Response 404: Device not found
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function getAssignmentHistory(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const assignments = await deviceService.getAssignmentHistory(id);
+
+    return res.status(200).json({ assignments });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List the API keys of a device
+ *
+ * GET /api/v1/devices/:id/keys
+ *
+ * Response 200:
+ * {
+ *   keys: [
+ *     { id, deviceId, prefix, scopes, createdBy, revokedAt, createdAt }
+ *   ]
+ * }
+ *
+ * Response 404: Device not found
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function listApiKeys(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const keys = await deviceService.listApiKeys(id);
+
+    return res.status(200).json({ keys });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Issue (or rotate) the API key of a device
+ *
+ * POST /api/v1/devices/:id/keys
+ *
+ * Any previous key of the device is revoked.
+ *
+ * Response 201:
+ * {
+ *   key: string (plaintext, shown only once),
+ *   apiKey: { id, deviceId, prefix, scopes, createdBy, revokedAt, createdAt }
+ * }
+ *
+ * Response 404: Device not found
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function issueApiKey(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const result = await deviceService.issueApiKey(id, req.user.id);
+
+    return res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Revoke an API key of a device
+ *
+ * DELETE /api/v1/devices/:id/keys/:keyId
+ *
+ * Response 200:
+ * {
+ *   apiKey: { id, deviceId, prefix, scopes, createdBy, revokedAt, createdAt }
+ * }
+ *
+ * Response 404: API key not found
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function revokeApiKey(req, res, next) {
+  try {
+    const { id, keyId } = req.params;
+
+    const apiKey = await deviceService.revokeApiKey(id, keyId);
+
+    return res.status(200).json({ apiKey });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listDevices,
+  getDeviceById,
+  createDevice,
+  updateDevice,
+  deleteDevice,
+  getAssignmentHistory,
+  listApiKeys,
+  issueApiKey,
+  revokeApiKey
+};
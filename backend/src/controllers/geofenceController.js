@@ -0,0 +1,212 @@
+/**
+ * Geofence Controller
+ *
+ * Handles geofence HTTP requests.
+ * Returns uniform success/error envelopes.
+ */
+
+const geofenceService = require('../services/geofenceService');
+
+/**
+ * List geofences with pagination and filters
+ *
+ * GET /api/v1/geofences
+ *
+ * Query params:
+ * - page: number (default: 1)
+ * - pageSize: number (default: 10)
+ * - type: string (terminal, depot, restricted)
+ * - isActive: boolean (filter by active flag)
+ *
+ * Response 200:
+ * {
+ *   data: [...],
+ *   pagination: { page, pageSize, total, totalPages, hasMore }
+ * }
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function listGeofences(req, res, next) {
+  try {
+    const { page, pageSize, type, isActive } = req.query;
+
+    const result = await geofenceService.listGeofences({
+      page,
+      pageSize,
+      type,
+      isActive
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List geofence enter/exit events
+ *
+ * GET /api/v1/geofences/events
+ *
+ * Query params:
+ * - busId: string (filter by bus)
+ * - geofenceId: string (filter by geofence)
+ * - from: ISO date (events at or after)
+ * - to: ISO date (events before; use the last occurredAt to page)
+ * - limit: number (default: 100, max: 500)
+ *
+ * Response 200:
+ * {
+ *   events: [
+ *     { id, busId, geofenceId, geofenceName, geofenceType, event, position, dwellSeconds, occurredAt }
+ *   ]
+ * }
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function listEvents(req, res, next) {
+  try {
+    const { busId, geofenceId, from, to, limit } = req.query;
+
+    const events = await geofenceService.listEvents({ busId, geofenceId, from, to, limit });
+
+    return res.status(200).json({ events });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get geofence by ID
+ *
+ * GET /api/v1/geofences/:id
+ *
+ * Response 200:
+ * {
+ *   geofence: { id, name, type, shape, polygon, center, radius, autoPark, isActive, ... }
+ * }
+ *
+ * Response 404: Geofence not found
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function getGeofenceById(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const geofence = await geofenceService.getGeofenceById(id);
+
+    return res.status(200).json({ geofence });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a new geofence
+ *
+ * POST /api/v1/geofences
+ *
+ * Request body:
+ * {
+ *   name: string (required),
+ *   type: string (required: terminal, depot, restricted),
+ *   shape: string (required: polygon, circle),
+ *   polygon: [{ lat, lng }] (polygon shape, 3-500 points),
+ *   center: { lat, lng } (circle shape),
+ *   radius: number (circle shape, meters),
+ *   autoPark: boolean (depot only, default: false),
+ *   isActive: boolean (optional, default: true)
+ * }
+ *
+ * Response 201:
+ * {
+ *   geofence: { id, name, ... }
+ * }
+ *
+ * Response 422: Validation failed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function createGeofence(req, res, next) {
+  try {
+    const geofence = await geofenceService.createGeofence(req.body);
+
+    return res.status(201).json({ geofence });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a geofence
+ *
+ * PATCH /api/v1/geofences/:id
+ *
+ * Request body: (all fields optional, see createGeofence)
+ * Changing shape requires the geometry of the new shape.
+ *
+ * Response 200:
+ * {
+ *   geofence: { id, name, ... }
+ * }
+ *
+ * Response 404: Geofence not found
+ * Response 422: Validation failed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function updateGeofence(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const geofence = await geofenceService.updateGeofence(id, req.body);
+
+    return res.status(200).json({ geofence });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a geofence
+ *
+ * DELETE /api/v1/geofences/:id
+ *
+ * Response 204: No content
+ * Response 404: Geofence not found
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function deleteGeofence(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    await geofenceService.deleteGeofence(id);
+
+    return res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listGeofences,
+  listEvents,
+  getGeofenceById,
+  createGeofence,
+  updateGeofence,
+  deleteGeofence
+};
@@ -0,0 +1,115 @@
+/**
+ * GPS Controller
+ *
+ * Handles GPS ingestion HTTP requests.
+ * Returns uniform success/error envelopes.
+ */
+
+const gpsService = require('../services/gpsService');
+
+/**
+ * Ingest a GPS fix from a tracking device
+ *
+ * POST /api/v1/gps/ingest
+ *
+ * Request body:
+ * {
+ *   deviceId: string (required, registered device serial),
+ *   busId: string (optional, must match the device assignment),
+ *   timestamp: string|number (required, ISO 8601 or epoch ms),
+ *   lat: number (-90 to 90),
+ *   lng: number (-180 to 180),
+ *   speed: number (optional, km/h),
+ *   heading: number (optional, 0-360),
+ *   accuracy: number (optional, meters)
+ * }
+ *
+ * Response 201: Fix stored ('out_of_order' when older than the current bus position)
+ * Response 200: Duplicate fix (already stored, idempotent)
+ * {
+ *   status: 'accepted' | 'out_of_order' | 'duplicate',
+ *   reading: { id, busId, deviceId, timestamp, position, ... }
+ * }
+ *
+ * Auth: X-API-Key (device key with gps:ingest scope) or Bearer token
+ *
+ * Response 401: Missing or invalid credentials
+ * Response 403: Device is inactive, or the API key belongs to another device
+ * Response 404: Device not registered or bus not found
+ * Response 422: Validation failed, device not assigned or busId mismatch
+ * Response 429: Device is sending faster than ~1 Hz
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function ingest(req, res, next) {
+  try {
+    const result = await gpsService.ingest(req.body, { device: req.device });
+
+    const statusCode = result.status === 'duplicate' ? 200 : 201;
+    return res.status(statusCode).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Whether the fix of a request is already stored (device retry)
+ *
+ * Used as the skip check of the per-device rate limiter, so a retried fix
+ * reaches ingest and gets its idempotent 200 instead of 429.
+ *
+ * @param {Object} req - Express request
+ * @returns {Promise<boolean>}
+ */
+function isDuplicateFix(req) {
+  return gpsService.isDuplicate(req.body);
+}
+
+/**
+ * Ingest a batch of GPS fixes (store-and-forward uploads)
+ *
+ * POST /api/v1/gps/ingest/batch
+ *
+ * Request body:
+ * {
+ *   fixes: [ { deviceId, busId, timestamp, lat, lng, speed, heading, accuracy }, ... ]
+ * }
+ *
+ * Each fix is validated separately; an invalid fix does not fail the batch.
+ * With a device API key, fixes reporting another deviceId are rejected.
+ *
+ * Response 200:
+ * {
+ *   summary: { total, accepted, outOfOrder, duplicate, rejected },
+ *   results: [
+ *     { index, id, status: 'accepted' | 'out_of_order' | 'duplicate' },
+ *     { index, status: 'rejected', reason }
+ *   ]
+ * }
+ *
+ * Response 422: Body is not a non-empty array of fixes
+ * Response 429: Too many batch uploads
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function ingestBatch(req, res, next) {
+  try {
+    const { fixes } = req.body;
+
+    const result = await gpsService.ingestBatch(fixes, { device: req.device });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  ingest,
+  isDuplicateFix,
+  ingestBatch
+};
@@ -10,8 +10,28 @@ const {
   stopRepository,
   routeRepository,
   tripRepository,
-  stopTimeRepository
+  stopTimeRepository,
+  calendarRepository,
+  calendarDateRepository,
+  shapeRepository,
+  frequencyRepository,
+  fareAttributeRepository,
+  fareRuleRepository
 } = require('../../services/gtfs');
+const predictionService = require('../../services/predictionService');
+const departureService = require('../../services/departureService');
+const journeyPlannerService = require('../../services/journeyPlannerService');
+const routePatternService = require('../../services/routePatternService');
+const gtfsRealtimeService = require('../../services/gtfsRealtimeService');
+const gtfsImportService = require('../../services/gtfsImportService');
+const gtfsExportService = require('../../services/gtfsExportService');
+const gtfsValidationService = require('../../services/gtfsValidationService');
+const serviceCalendarService = require('../../services/serviceCalendarService');
+const shapeService = require('../../services/shapeService');
+const frequencyService = require('../../services/frequencyService');
+const fareService = require('../../services/fareService');
+const timetableGeneratorService = require('../../services/timetableGeneratorService');
+const { clearGtfsCaches } = require('../../services/gtfsCache');
 
 // ============================================
 // AGENCIES
@@ -65,6 +85,7 @@ async function createAgency(req, res, next) {
     const { Agency } = require('../../models/gtfs');
     const agency = new Agency(req.body);
     const created = await agencyRepository.create(agency);
+    clearGtfsCaches();
 
     res.status(201).json(created.toJSON());
   } catch (error) {
@@ -96,6 +117,7 @@ async function updateAgency(req, res, next) {
     });
 
     const updated = await agencyRepository.update(existing);
+    clearGtfsCaches();
     res.status(200).json(updated.toJSON());
   } catch (error) {
     next(error);
@@ -110,6 +132,7 @@ async function deleteAgency(req, res, next) {
   try {
     const { id } = req.params;
     await agencyRepository.remove(id);
+    clearGtfsCaches();
     res.status(204).send();
   } catch (error) {
     next(error);
@@ -168,31 +191,22 @@ async function getStop(req, res, next) {
 }
 
 /**
- * Find nearby stops
- * GET /api/v1/gtfs/stops/nearby?lat=13.6929&lng=-89.2182&radius=1
+ * Find nearby stops, nearest first
+ * GET /api/v1/gtfs/stops/nearby?lat=13.6929&lng=-89.2182&radius=1&limit=10
  */
 async function findNearbyStops(req, res, next) {
   try {
-    const { lat, lng, radius } = req.query;
+    const { lat, lng, radius, limit } = req.query;
 
-    if (!lat || !lng) {
-      return res.status(400).json({
-        error: 'Latitude and longitude are required',
-        type: 'VALIDATION_ERROR'
-      });
-    }
-
-    const radiusKm = radius ? parseFloat(radius) : 1;
-    const stops = await stopRepository.findNearby(
-      parseFloat(lat),
-      parseFloat(lng),
-      radiusKm
-    );
+    const nearby = await stopRepository.findNearby(lat, lng, radius, { limit });
 
     res.status(200).json({
-      data: stops.map(stop => stop.toJSON()),
-      count: stops.length,
-      query: { lat: parseFloat(lat), lng: parseFloat(lng), radiusKm }
+      data: nearby.map(({ stop, distanceMeters }) => ({
+        ...stop.toJSON(),
+        distanceMeters: Math.round(distanceMeters * 10) / 10
+      })),
+      count: nearby.length,
+      query: { lat, lng, radiusKm: radius, limit: limit || null }
     });
   } catch (error) {
     next(error);
@@ -208,6 +222,7 @@ async function createStop(req, res, next) {
     const { Stop } = require('../../models/gtfs');
     const stop = new Stop(req.body);
     const created = await stopRepository.create(stop);
+    clearGtfsCaches();
 
     res.status(201).json(created.toJSON());
   } catch (error) {
@@ -239,6 +254,7 @@ async function updateStop(req, res, next) {
     });
 
     const updated = await stopRepository.update(existing);
+    clearGtfsCaches();
     res.status(200).json(updated.toJSON());
   } catch (error) {
     next(error);
@@ -253,6 +269,7 @@ async function deleteStop(req, res, next) {
   try {
     const { id } = req.params;
     await stopRepository.remove(id);
+    clearGtfsCaches();
     res.status(204).send();
   } catch (error) {
     next(error);
@@ -320,6 +337,7 @@ async function createRoute(req, res, next) {
     const { Route } = require('../../models/gtfs');
     const route = new Route(req.body);
     const created = await routeRepository.create(route);
+    clearGtfsCaches();
 
     res.status(201).json(created.toJSON());
   } catch (error) {
@@ -351,6 +369,7 @@ async function updateRoute(req, res, next) {
     });
 
     const updated = await routeRepository.update(existing);
+    clearGtfsCaches();
     res.status(200).json(updated.toJSON());
   } catch (error) {
     next(error);
@@ -365,12 +384,43 @@ async function deleteRoute(req, res, next) {
   try {
     const { id } = req.params;
     await routeRepository.remove(id);
+    clearGtfsCaches();
     res.status(204).send();
   } catch (error) {
     next(error);
   }
 }
 
+/**
+ * Get the stop patterns of a route (distinct stop sequences per direction)
+ * GET /api/v1/gtfs/routes/:id/patterns
+ */
+async function getRoutePatterns(req, res, next) {
+  try {
+    const { id } = req.params;
+    const result = await routePatternService.getRoutePatterns(id);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the ordered stops of each direction of a route
+ * GET /api/v1/gtfs/routes/:id/stops
+ */
+async function getRouteStops(req, res, next) {
+  try {
+    const { id } = req.params;
+    const result = await routePatternService.getRouteStops(id);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
 // ============================================
 // TRIPS
 // ============================================
@@ -432,6 +482,7 @@ async function createTrip(req, res, next) {
     const { Trip } = require('../../models/gtfs');
     const trip = new Trip(req.body);
     const created = await tripRepository.create(trip);
+    clearGtfsCaches();
 
     res.status(201).json(created.toJSON());
   } catch (error) {
@@ -463,6 +514,7 @@ async function updateTrip(req, res, next) {
     });
 
     const updated = await tripRepository.update(existing);
+    clearGtfsCaches();
     res.status(200).json(updated.toJSON());
   } catch (error) {
     next(error);
@@ -477,6 +529,7 @@ async function deleteTrip(req, res, next) {
   try {
     const { id } = req.params;
     await tripRepository.remove(id);
+    clearGtfsCaches();
     res.status(204).send();
   } catch (error) {
     next(error);
@@ -532,6 +585,7 @@ async function createStopTime(req, res, next) {
     const { StopTime } = require('../../models/gtfs');
     const stopTime = new StopTime(req.body);
     const created = await stopTimeRepository.create(stopTime);
+    clearGtfsCaches();
 
     res.status(201).json(created.toJSON());
   } catch (error) {
@@ -561,6 +615,7 @@ async function bulkCreateStopTimes(req, res, next) {
     );
 
     const created = await stopTimeRepository.bulkCreate(stopTimeModels);
+    clearGtfsCaches();
 
     res.status(201).json({
       data: created.map(st => st.toJSON()),
@@ -571,6 +626,940 @@ async function bulkCreateStopTimes(req, res, next) {
   }
 }
 
+// ============================================
+// SHAPES
+// ============================================
+
+/**
+ * Build a GTFS model, reporting its validation errors as a 422
+ * (checks Joi cannot express, e.g. duplicate shape point sequences)
+ * @param {Function} Model - GTFS model class
+ * @param {Object} data - Model data
+ * @param {string} [label] - Prefix of the error message (bulk item)
+ * @returns {Object} Model instance
+ */
+function buildGtfsModel(Model, data, label) {
+  try {
+    return new Model(data);
+  } catch (error) {
+    error.message = label ? `${label}: ${error.message}` : error.message;
+    error.status = 422;
+    error.type = 'VALIDATION_ERROR';
+    throw error;
+  }
+}
+
+/**
+ * List shapes
+ * GET /api/v1/gtfs/shapes
+ */
+async function listShapes(req, res, next) {
+  try {
+    const { limit } = req.query;
+    const shapes = await shapeRepository.list({ limit });
+
+    res.status(200).json({
+      data: shapes.map(shape => shape.toJSON()),
+      count: shapes.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get shape as a GeoJSON Feature (LineString)
+ * GET /api/v1/gtfs/shapes/:id
+ */
+async function getShape(req, res, next) {
+  try {
+    const { id } = req.params;
+    const shape = await shapeRepository.findById(id);
+
+    if (!shape) {
+      return res.status(404).json({
+        error: 'Shape not found',
+        type: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).type('application/geo+json').json(shape.toGeoJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create shape
+ * POST /api/v1/gtfs/shapes
+ */
+async function createShape(req, res, next) {
+  try {
+    const { Shape } = require('../../models/gtfs');
+    const shape = buildGtfsModel(Shape, req.body);
+    const created = await shapeRepository.create(shape);
+    clearGtfsCaches();
+
+    res.status(201).json(created.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Bulk create or replace shapes
+ * POST /api/v1/gtfs/shapes/bulk
+ */
+async function bulkUpsertShapes(req, res, next) {
+  try {
+    const { Shape } = require('../../models/gtfs');
+    const shapes = req.body.shapes.map((shape, index) => buildGtfsModel(Shape, shape, `shapes[${index}]`));
+    const count = await shapeRepository.bulkUpsert(shapes);
+    clearGtfsCaches();
+
+    res.status(200).json({
+      data: shapes.map(shape => ({ id: shape.id, pointCount: shape.points.length })),
+      count
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update shape (replaces its points)
+ * PATCH /api/v1/gtfs/shapes/:id
+ */
+async function updateShape(req, res, next) {
+  try {
+    const { Shape } = require('../../models/gtfs');
+    const { id } = req.params;
+    const shape = buildGtfsModel(Shape, { id, points: req.body.points });
+    const updated = await shapeRepository.update(shape);
+    clearGtfsCaches();
+
+    res.status(200).json(updated.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete shape
+ * DELETE /api/v1/gtfs/shapes/:id
+ */
+async function deleteShape(req, res, next) {
+  try {
+    const { id } = req.params;
+    await shapeRepository.remove(id);
+    clearGtfsCaches();
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Compute shape_dist_traveled of a trip's stop times from its shape
+ * POST /api/v1/gtfs/trips/:tripId/shape-dist-traveled?dryRun=true
+ */
+async function computeTripShapeDistances(req, res, next) {
+  try {
+    const { tripId } = req.params;
+    const { dryRun } = req.query;
+
+    const result = await shapeService.computeTripShapeDistances(tripId, { dryRun });
+
+    if (result.saved) {
+      clearGtfsCaches();
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ============================================
+// FREQUENCIES
+// ============================================
+
+/**
+ * List frequencies (headway-based service windows)
+ * GET /api/v1/gtfs/frequencies
+ */
+async function listFrequencies(req, res, next) {
+  try {
+    const { tripId, limit } = req.query;
+    const frequencies = await frequencyRepository.list({ tripId, limit });
+
+    res.status(200).json({
+      data: frequencies.map(frequency => frequency.toJSON()),
+      count: frequencies.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get frequency by ID
+ * GET /api/v1/gtfs/frequencies/:id
+ */
+async function getFrequency(req, res, next) {
+  try {
+    const { id } = req.params;
+    const frequency = await frequencyRepository.findById(id);
+
+    if (!frequency) {
+      return res.status(404).json({
+        error: 'Frequency not found',
+        type: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json(frequency.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create frequency
+ * POST /api/v1/gtfs/frequencies
+ */
+async function createFrequency(req, res, next) {
+  try {
+    const { Frequency } = require('../../models/gtfs');
+    const frequency = buildGtfsModel(Frequency, req.body);
+    const trip = await tripRepository.findById(frequency.tripId);
+
+    if (!trip) {
+      return res.status(422).json({
+        error: `Trip ${frequency.tripId} not found`,
+        type: 'VALIDATION_ERROR'
+      });
+    }
+
+    const created = await frequencyRepository.create(frequency);
+    clearGtfsCaches();
+
+    res.status(201).json(created.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update frequency
+ * PATCH /api/v1/gtfs/frequencies/:id
+ */
+async function updateFrequency(req, res, next) {
+  try {
+    const { Frequency } = require('../../models/gtfs');
+    const { id } = req.params;
+    const existing = await frequencyRepository.findById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Frequency not found',
+        type: 'NOT_FOUND'
+      });
+    }
+
+    // Rebuilt so the window is checked against the resulting end time
+    const frequency = buildGtfsModel(Frequency, { ...existing.toJSON(), ...req.body, id });
+    const updated = await frequencyRepository.update(frequency);
+    clearGtfsCaches();
+
+    res.status(200).json(updated.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete frequency
+ * DELETE /api/v1/gtfs/frequencies/:id
+ */
+async function deleteFrequency(req, res, next) {
+  try {
+    const { id } = req.params;
+    await frequencyRepository.remove(id);
+    clearGtfsCaches();
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the concrete instances of a trip (frequency-based trips expanded)
+ * GET /api/v1/gtfs/trips/:tripId/instances
+ */
+async function getTripInstances(req, res, next) {
+  try {
+    const { tripId } = req.params;
+    const result = await frequencyService.getTripInstances(tripId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ============================================
+// TIMETABLES
+// ============================================
+
+/**
+ * Generate the trips and stop times of a timetable from a headway template
+ * (replaces the trips it generated before)
+ * PUT /api/v1/gtfs/timetables/:id?dryRun=true
+ */
+async function generateTimetable(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { dryRun } = req.query;
+
+    const result = await timetableGeneratorService.generateTimetable(id, req.body, { dryRun });
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a timetable template and the trips it generated
+ * GET /api/v1/gtfs/timetables/:id
+ */
+async function getTimetable(req, res, next) {
+  try {
+    const { id } = req.params;
+    const timetable = await timetableGeneratorService.getTimetable(id);
+
+    res.status(200).json(timetable);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ============================================
+// FARES
+// ============================================
+
+/**
+ * List fare attributes (prices)
+ * GET /api/v1/gtfs/fare-attributes
+ */
+async function listFareAttributes(req, res, next) {
+  try {
+    const { agencyId, limit } = req.query;
+    const fares = await fareAttributeRepository.list({ agencyId, limit });
+
+    res.status(200).json({
+      data: fares.map(fare => fare.toJSON()),
+      count: fares.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get fare attribute by ID
+ * GET /api/v1/gtfs/fare-attributes/:id
+ */
+async function getFareAttribute(req, res, next) {
+  try {
+    const { id } = req.params;
+    const fare = await fareAttributeRepository.findById(id);
+
+    if (!fare) {
+      return res.status(404).json({
+        error: 'Fare not found',
+        type: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json(fare.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create fare attribute
+ * POST /api/v1/gtfs/fare-attributes
+ */
+async function createFareAttribute(req, res, next) {
+  try {
+    const { FareAttribute } = require('../../models/gtfs');
+    const fare = buildGtfsModel(FareAttribute, req.body);
+    const created = await fareAttributeRepository.create(fare);
+    clearGtfsCaches();
+
+    res.status(201).json(created.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update fare attribute
+ * PATCH /api/v1/gtfs/fare-attributes/:id
+ */
+async function updateFareAttribute(req, res, next) {
+  try {
+    const { FareAttribute } = require('../../models/gtfs');
+    const { id } = req.params;
+    const existing = await fareAttributeRepository.findById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Fare not found',
+        type: 'NOT_FOUND'
+      });
+    }
+
+    const fare = buildGtfsModel(FareAttribute, { ...existing.toJSON(), ...req.body, id });
+    const updated = await fareAttributeRepository.update(fare);
+    clearGtfsCaches();
+
+    res.status(200).json(updated.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete fare attribute and its rules
+ * DELETE /api/v1/gtfs/fare-attributes/:id
+ */
+async function deleteFareAttribute(req, res, next) {
+  try {
+    const { id } = req.params;
+    await fareAttributeRepository.remove(id);
+    await fareRuleRepository.removeByFare(id);
+    clearGtfsCaches();
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List fare rules
+ * GET /api/v1/gtfs/fare-rules
+ */
+async function listFareRules(req, res, next) {
+  try {
+    const { fareId, routeId, limit } = req.query;
+    const rules = await fareRuleRepository.list({ fareId, routeId, limit });
+
+    res.status(200).json({
+      data: rules.map(rule => rule.toJSON()),
+      count: rules.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get fare rule by ID
+ * GET /api/v1/gtfs/fare-rules/:id
+ */
+async function getFareRule(req, res, next) {
+  try {
+    const { id } = req.params;
+    const rule = await fareRuleRepository.findById(id);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Fare rule not found',
+        type: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json(rule.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create fare rule
+ * POST /api/v1/gtfs/fare-rules
+ */
+async function createFareRule(req, res, next) {
+  try {
+    const { FareRule } = require('../../models/gtfs');
+    const rule = buildGtfsModel(FareRule, req.body);
+
+    if (!(await fareAttributeRepository.findById(rule.fareId))) {
+      return res.status(422).json({
+        error: `Fare ${rule.fareId} not found`,
+        type: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (rule.routeId && !(await routeRepository.findById(rule.routeId))) {
+      return res.status(422).json({
+        error: `Route ${rule.routeId} not found`,
+        type: 'VALIDATION_ERROR'
+      });
+    }
+
+    const created = await fareRuleRepository.create(rule);
+    clearGtfsCaches();
+
+    res.status(201).json(created.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete fare rule
+ * DELETE /api/v1/gtfs/fare-rules/:id
+ */
+async function deleteFareRule(req, res, next) {
+  try {
+    const { id } = req.params;
+    await fareRuleRepository.remove(id);
+    clearGtfsCaches();
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Calculate the fare between two stops
+ * GET /api/v1/gtfs/fares/calculate
+ */
+async function calculateFare(req, res, next) {
+  try {
+    const { originStopId, destinationStopId, routeId } = req.query;
+    const result = await fareService.calculateFare({ originStopId, destinationStopId, routeId });
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ============================================
+// CALENDARS
+// ============================================
+
+/**
+ * List service calendars
+ * GET /api/v1/gtfs/calendars
+ */
+async function listCalendars(req, res, next) {
+  try {
+    const { limit } = req.query;
+    const calendars = await calendarRepository.list({ limit });
+
+    res.status(200).json({
+      data: calendars.map(calendar => calendar.toJSON()),
+      count: calendars.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get calendar by service ID
+ * GET /api/v1/gtfs/calendars/:id
+ */
+async function getCalendar(req, res, next) {
+  try {
+    const { id } = req.params;
+    const calendar = await calendarRepository.findById(id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        error: 'Calendar not found',
+        type: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json(calendar.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create calendar
+ * POST /api/v1/gtfs/calendars
+ */
+async function createCalendar(req, res, next) {
+  try {
+    const { Calendar } = require('../../models/gtfs');
+    const calendar = new Calendar(req.body);
+    const created = await calendarRepository.create(calendar);
+    clearGtfsCaches();
+
+    res.status(201).json(created.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update calendar
+ * PATCH /api/v1/gtfs/calendars/:id
+ */
+async function updateCalendar(req, res, next) {
+  try {
+    const { Calendar } = require('../../models/gtfs');
+    const { id } = req.params;
+    const existing = await calendarRepository.findById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Calendar not found',
+        type: 'NOT_FOUND'
+      });
+    }
+
+    // Rebuilt rather than assigned field by field, so the date range is
+    // checked against the resulting start and end dates
+    const calendar = new Calendar({ ...existing.toJSON(), ...req.body, id });
+    const updated = await calendarRepository.update(calendar);
+    clearGtfsCaches();
+
+    res.status(200).json(updated.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete calendar
+ * DELETE /api/v1/gtfs/calendars/:id
+ */
+async function deleteCalendar(req, res, next) {
+  try {
+    const { id } = req.params;
+    await calendarRepository.remove(id);
+    clearGtfsCaches();
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List calendar dates (service exceptions)
+ * GET /api/v1/gtfs/calendar-dates
+ */
+async function listCalendarDates(req, res, next) {
+  try {
+    const { serviceId, date, limit } = req.query;
+    const calendarDates = await calendarDateRepository.list({ serviceId, date, limit });
+
+    res.status(200).json({
+      data: calendarDates.map(calendarDate => calendarDate.toJSON()),
+      count: calendarDates.length
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get calendar date by ID
+ * GET /api/v1/gtfs/calendar-dates/:id
+ */
+async function getCalendarDate(req, res, next) {
+  try {
+    const { id } = req.params;
+    const calendarDate = await calendarDateRepository.findById(id);
+
+    if (!calendarDate) {
+      return res.status(404).json({
+        error: 'Calendar date not found',
+        type: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json(calendarDate.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create calendar date
+ * POST /api/v1/gtfs/calendar-dates
+ */
+async function createCalendarDate(req, res, next) {
+  try {
+    const { CalendarDate } = require('../../models/gtfs');
+    const calendarDate = new CalendarDate(req.body);
+    const created = await calendarDateRepository.create(calendarDate);
+    clearGtfsCaches();
+
+    res.status(201).json(created.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update calendar date (exception type only; service and date form the ID)
+ * PATCH /api/v1/gtfs/calendar-dates/:id
+ */
+async function updateCalendarDate(req, res, next) {
+  try {
+    const { id } = req.params;
+    const existing = await calendarDateRepository.findById(id);
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Calendar date not found',
+        type: 'NOT_FOUND'
+      });
+    }
+
+    existing.exceptionType = req.body.exceptionType;
+
+    const updated = await calendarDateRepository.update(existing);
+    clearGtfsCaches();
+
+    res.status(200).json(updated.toJSON());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete calendar date
+ * DELETE /api/v1/gtfs/calendar-dates/:id
+ */
+async function deleteCalendarDate(req, res, next) {
+  try {
+    const { id } = req.params;
+    await calendarDateRepository.remove(id);
+    clearGtfsCaches();
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Services running on a date (calendars, exceptions and holidays)
+ * GET /api/v1/gtfs/services/active?date=2024-01-02&agencyId=AMSS
+ */
+async function getActiveServices(req, res, next) {
+  try {
+    const { date, agencyId } = req.query;
+    const result = await serviceCalendarService.getActiveServices({ date, agencyId });
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ============================================
+// DEPARTURES AND PREDICTIONS
+// ============================================
+
+/**
+ * Departure board of a stop (scheduled and predicted departures)
+ * GET /api/v1/gtfs/stops/:stopId/departures?at=2024-01-02T14:00:00Z&window=60
+ */
+async function getStopDepartures(req, res, next) {
+  try {
+    const { stopId } = req.params;
+    const { at, window } = req.query;
+
+    const board = await departureService.getStopDepartures(stopId, { at, window });
+
+    res.status(200).json(board);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Predict the next bus arrivals at a stop
+ * GET /api/v1/gtfs/stops/:stopId/predictions?limit=10
+ */
+async function getStopPredictions(req, res, next) {
+  try {
+    const { stopId } = req.params;
+    const { limit } = req.query;
+
+    const predictions = await predictionService.getStopPredictions(stopId, { limit });
+
+    res.status(200).json(predictions);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ============================================
+// JOURNEY PLANNER
+// ============================================
+
+/**
+ * Plan journeys between two stops or locations
+ * GET /api/v1/gtfs/plan?fromLat=13.70&fromLng=-89.20&toStopId=C&at=2024-01-02T14:00:00Z
+ */
+async function planJourney(req, res, next) {
+  try {
+    const { fromStopId, fromLat, fromLng, toStopId, toLat, toLng, at, maxWalk, limit } = req.query;
+
+    const plan = await journeyPlannerService.planJourney({
+      from: fromStopId ? { stopId: fromStopId } : { lat: fromLat, lng: fromLng },
+      to: toStopId ? { stopId: toStopId } : { lat: toLat, lng: toLng },
+      at,
+      maxWalkMeters: maxWalk,
+      limit
+    });
+
+    res.status(200).json(plan);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ============================================
+// FEED IMPORT/EXPORT AND VALIDATION
+// ============================================
+
+/**
+ * Import a static GTFS feed (zip sent as the request body)
+ * POST /api/v1/gtfs/import
+ */
+async function importFeed(req, res, next) {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(422).json({
+        error: 'Send the GTFS zip as the request body (Content-Type: application/zip)',
+        type: 'VALIDATION_ERROR'
+      });
+    }
+
+    const report = await gtfsImportService.importZip(req.body);
+
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Export the static GTFS feed as a zip (streamed)
+ * GET /api/v1/gtfs/export?agencyId=AMSS&routeId=101,102
+ */
+async function exportFeed(req, res, next) {
+  try {
+    const split = value => (value ? value.split(',').map(id => id.trim()).filter(Boolean) : []);
+
+    const stream = await gtfsExportService.exportZip({
+      agencyIds: split(req.query.agencyId),
+      routeIds: split(req.query.routeId)
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="gtfs.zip"');
+
+    // Headers are sent by now: a failure can only abort the download
+    stream.on('error', error => {
+      console.error('GTFS export failed:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Validate the stored GTFS dataset (errors, warnings and infos)
+ * GET /api/v1/gtfs/validate?maxSamples=20
+ */
+async function validateFeed(req, res, next) {
+  try {
+    const report = await gtfsValidationService.validateFeed({ maxSamples: req.query.maxSamples });
+
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// ============================================
+// GTFS-REALTIME
+// ============================================
+
+/**
+ * Send a GTFS-Realtime feed as protobuf, or as JSON with ?format=json
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {transit_realtime.FeedMessage} feed - Feed
+ */
+function sendFeed(req, res, feed) {
+  if (req.query.format === 'json') {
+    return res.status(200).json(gtfsRealtimeService.toObject(feed));
+  }
+
+  res.status(200).type('application/x-protobuf').send(gtfsRealtimeService.encode(feed));
+}
+
+/**
+ * GTFS-Realtime vehicle positions
+ * GET /api/v1/gtfs/realtime/vehicle-positions?format=protobuf|json
+ */
+async function getVehiclePositionsFeed(req, res, next) {
+  try {
+    sendFeed(req, res, await gtfsRealtimeService.getVehiclePositions());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GTFS-Realtime trip updates
+ * GET /api/v1/gtfs/realtime/trip-updates?format=protobuf|json
+ */
+async function getTripUpdatesFeed(req, res, next) {
+  try {
+    sendFeed(req, res, await gtfsRealtimeService.getTripUpdates());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GTFS-Realtime service alerts
+ * GET /api/v1/gtfs/realtime/service-alerts?format=protobuf|json
+ */
+async function getServiceAlertsFeed(req, res, next) {
+  try {
+    sendFeed(req, res, await gtfsRealtimeService.getServiceAlerts());
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   // Agencies
   listAgencies,
@@ -593,6 +1582,8 @@ module.exports = {
   createRoute,
   updateRoute,
   deleteRoute,
+  getRoutePatterns,
+  getRouteStops,
 
   // Trips
   listTrips,
@@ -605,6 +1596,69 @@ module.exports = {
   getTripStopTimes,
   getStopStopTimes,
   createStopTime,
-  bulkCreateStopTimes
+  bulkCreateStopTimes,
+
+  // Shapes
+  listShapes,
+  getShape,
+  createShape,
+  bulkUpsertShapes,
+  updateShape,
+  deleteShape,
+  computeTripShapeDistances,
+
+  // Frequencies
+  listFrequencies,
+  getFrequency,
+  createFrequency,
+  updateFrequency,
+  deleteFrequency,
+  getTripInstances,
+
+  // Timetables
+  generateTimetable,
+  getTimetable,
+
+  // Fares
+  listFareAttributes,
+  getFareAttribute,
+  createFareAttribute,
+  updateFareAttribute,
+  deleteFareAttribute,
+  listFareRules,
+  getFareRule,
+  createFareRule,
+  deleteFareRule,
+  calculateFare,
+
+  // Calendars
+  listCalendars,
+  getCalendar,
+  createCalendar,
+  updateCalendar,
+  deleteCalendar,
+  listCalendarDates,
+  getCalendarDate,
+  createCalendarDate,
+  updateCalendarDate,
+  deleteCalendarDate,
+  getActiveServices,
+
+  // Departures and predictions
+  getStopDepartures,
+  getStopPredictions,
+
+  // Journey planner
+  planJourney,
+
+  // Feed import/export and validation
+  importFeed,
+  exportFeed,
+  validateFeed,
+
+  // GTFS-Realtime
+  getVehiclePositionsFeed,
+  getTripUpdatesFeed,
+  getServiceAlertsFeed
 };
 
@@ -0,0 +1,47 @@
+/**
+ * Off-Route Controller
+ *
+ * Handles off-route alert HTTP requests.
+ * Returns uniform success/error envelopes.
+ */
+
+const offRouteService = require('../services/offRouteService');
+
+/**
+ * List off-route alerts (dashboard)
+ *
+ * GET /api/v1/off-route/alerts
+ *
+ * Query params:
+ * - status: string (open, cleared)
+ * - busId: string (filter by bus)
+ * - route: string (filter by route)
+ * - limit: number (default: 100, max: 500)
+ *
+ * Response 200:
+ * {
+ *   alerts: [
+ *     { id, busId, route, status, reference, distanceMeters, position, offRouteSince,
+ *       raisedAt, clearedAt, clearReason, clearPosition, durationSeconds }
+ *   ]
+ * }
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function listAlerts(req, res, next) {
+  try {
+    const { status, busId, route, limit } = req.query;
+
+    const alerts = await offRouteService.listAlerts({ status, busId, route, limit });
+
+    return res.status(200).json({ alerts });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listAlerts
+};
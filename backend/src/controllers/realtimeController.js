@@ -0,0 +1,48 @@
+/**
+ * Realtime Controller
+ *
+ * Handles live bus update streams (Server-Sent Events).
+ */
+
+const realtimeService = require('../services/realtimeService');
+
+/**
+ * Stream live bus position and status changes
+ *
+ * GET /api/v1/realtime/buses
+ *
+ * Query params (mutually exclusive, none = whole fleet):
+ * - route: string (only buses on this route)
+ * - busIds: string (comma-separated bus IDs)
+ * - token: string (access token, for EventSource clients that cannot set headers)
+ *
+ * Response 200: text/event-stream
+ *   event: ready    data: { scope: 'fleet' | 'route' | 'buses', route, busIds }
+ *   event: position data: { busId, route, status, position: { lat, lng }, timestamp }
+ *   event: status   data: { busId, route, status, previousRoute, previousStatus, bus, timestamp }
+ *   event: geofence data: { busId, route, geofenceId, geofenceName, geofenceType, event, position, dwellSeconds, occurredAt, timestamp }
+ *   event: off_route data: { id, busId, route, event: 'raised' | 'cleared', status, reference, distanceMeters, position, offRouteSince, raisedAt, clearedAt, clearReason, durationSeconds, timestamp }
+ *   event: stop     data: { id, busId, route, event: 'arrived' | 'departed', tripId, serviceDate, stopId, stopSequence, scheduledArrival, arrivedAt, departedAt, arrivalDelaySeconds, dwellSeconds, ..., timestamp }
+ *   event: expired  data: { reason } (stream closes when the token expires)
+ *
+ * Response 401: Missing or invalid token
+ * Response 422: Validation failed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function streamBuses(req, res) {
+  const { route, busIds } = req.query;
+
+  const unsubscribe = realtimeService.subscribe(res, {
+    route,
+    busIds,
+    expiresAt: req.user.exp ? req.user.exp * 1000 : null
+  });
+
+  req.on('close', unsubscribe);
+}
+
+module.exports = {
+  streamBuses
+};
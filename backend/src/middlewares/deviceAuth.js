@@ -0,0 +1,90 @@
+/**
+ * Device Authentication Middleware
+ *
+ * Authenticates GPS trackers with long-lived per-device API keys.
+ * Keys are scoped to one device and to specific scopes (e.g. gps:ingest).
+ */
+
+const deviceService = require('../services/deviceService');
+const { authenticateToken } = require('./auth');
+
+/**
+ * Header carrying the device API key
+ */
+const API_KEY_HEADER = 'x-api-key';
+
+/**
+ * Authenticate Device Middleware Factory
+ *
+ * Reads X-API-Key, verifies it against the stored bcrypt hash and
+ * attaches the device to req.device (and the key to req.deviceKey).
+ *
+ * @param {string} scope - Scope the route requires (e.g. 'gps:ingest')
+ * @returns {Function} Express middleware
+ *
+ * Usage:
+ * ```javascript
+ * router.post('/ingest', authenticateDevice('gps:ingest'), handler);
+ * ```
+ *
+ * Response on error:
+ * - 401 UNAUTHORIZED: Missing, malformed, unknown or revoked key
+ * - 403 FORBIDDEN: Key lacks the scope or device is inactive
+ */
+function authenticateDevice(scope) {
+  return async (req, res, next) => {
+    const key = req.headers[API_KEY_HEADER];
+
+    if (!key || key.trim() === '') {
+      return res.status(401).json({
+        error: 'X-API-Key header is required',
+        type: 'UNAUTHORIZED'
+      });
+    }
+
+    try {
+      const { device, apiKey } = await deviceService.authenticateApiKey(key.trim(), scope);
+
+      req.device = device;
+      req.deviceKey = apiKey;
+
+      next();
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        return res.status(error.status).json({
+          error: error.message,
+          type: error.type
+        });
+      }
+
+      // Database errors go to the error handler
+      next(error);
+    }
+  };
+}
+
+/**
+ * Authenticate Device or User Middleware Factory
+ *
+ * Trackers authenticate with X-API-Key; requests without it fall back to
+ * a user JWT (authenticateToken) so operators can still replay fixes.
+ *
+ * @param {string} scope - Scope the device key must grant
+ * @returns {Function} Express middleware
+ */
+function authenticateDeviceOrToken(scope) {
+  const deviceMiddleware = authenticateDevice(scope);
+
+  return (req, res, next) => {
+    if (req.headers[API_KEY_HEADER]) {
+      return deviceMiddleware(req, res, next);
+    }
+
+    return authenticateToken(req, res, next);
+  };
+}
+
+module.exports = {
+  authenticateDevice,
+  authenticateDeviceOrToken
+};
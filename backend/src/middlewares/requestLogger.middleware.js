@@ -0,0 +1,35 @@
+/**
+ * Request Logger Middleware
+ *
+ * morgan('dev') access log with credentials removed from the logged URL.
+ * EventSource cannot send headers, so stream clients pass their access
+ * token as ?token= (see routes/realtimeRoutes.js); it must never be logged.
+ */
+
+const morgan = require('morgan');
+
+/**
+ * Query parameters whose values are replaced in logged URLs
+ */
+const REDACTED_QUERY_PARAMS = ['token'];
+
+/**
+ * Pattern matching the value of a redacted query parameter
+ */
+const REDACTED_PATTERN = new RegExp(`([?&](?:${REDACTED_QUERY_PARAMS.join('|')})=)[^&#]*`, 'gi');
+
+/**
+ * Replace the values of credential query parameters in a URL
+ * @param {string} url - Request URL (path and query)
+ * @returns {string} URL safe to log
+ */
+function redactUrl(url) {
+  return url.replace(REDACTED_PATTERN, '$1[REDACTED]');
+}
+
+// The dev format logs :url (originalUrl with its query string)
+morgan.token('url', req => redactUrl(req.originalUrl || req.url));
+
+const requestLogger = morgan('dev');
+
+module.exports = { requestLogger, redactUrl };
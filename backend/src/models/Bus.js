@@ -6,11 +6,42 @@
  */
 
 const { validateEnum, validateCoordinates } = require('../utils/validation');
+const { localDate, splitByLocalDay } = require('../utils/time');
+const { encodeGeohash } = require('../utils/geohash');
 
 /**
  * Allowed bus statuses
+ *
+ * - needs_urgent_maintenance: flagged with a fault, still in the field
+ * - usable: released from maintenance, not yet back in service
+ */
+const ALLOWED_STATUSES = ['parked', 'moving', 'maintenance', 'needs_urgent_maintenance', 'usable'];
+
+/**
+ * Allowed status transitions (from → to)
+ */
+const STATUS_TRANSITIONS = Object.freeze({
+  parked: ['moving', 'maintenance', 'needs_urgent_maintenance'],
+  moving: ['parked', 'needs_urgent_maintenance'],
+  needs_urgent_maintenance: ['maintenance', 'parked'],
+  maintenance: ['usable'],
+  usable: ['parked', 'moving', 'maintenance', 'needs_urgent_maintenance']
+});
+
+/**
+ * Statuses that can only be entered with a reason (e.g. a maintenance note)
+ */
+const REASON_REQUIRED_STATUSES = ['maintenance', 'needs_urgent_maintenance'];
+
+/**
+ * Service date format (YYYY-MM-DD)
+ */
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GTFS trip start time format (HH:MM:SS, past 24:00:00 after midnight)
  */
-const ALLOWED_STATUSES = ['parked', 'moving', 'maintenance'];
+const TIME_REGEX = /^\d{2}:[0-5]\d:[0-5]\d$/;
 
 /**
  * Bus Class
@@ -25,11 +56,18 @@ class Bus {
   #unitName;
   #status;
   #route;
+  #tripId;
+  #tripStartDate;
+  #tripStartTime;
   #driver;
   #movingTime;
   #parkedTime;
   #isFavorite;
   #position;
+  #statusChangedAt;
+  #stoppedSince;
+  #timeDate;
+  #positionTimestamp;
 
   /**
    * Create a new Bus instance
@@ -37,11 +75,18 @@ class Bus {
    * @param {string} data.id - Bus ID
    * @param {string} data.licensePlate - License plate (will be uppercased)
    * @param {string} data.unitName - Bus unit name
-   * @param {string} data.status - Bus status (parked, moving, maintenance)
+   * @param {string} data.status - Bus status (see ALLOWED_STATUSES)
    * @param {string} [data.route] - Route identifier
+   * @param {string} [data.tripId] - Active GTFS trip (see assignTrip)
+   * @param {string} [data.tripStartDate] - Service date (YYYY-MM-DD) of the active trip
+   * @param {string} [data.tripStartTime] - Start time (HH:MM:SS) of a frequency-based active trip
    * @param {string} [data.driver] - Driver identifier
-   * @param {number} [data.movingTime=0] - Time spent moving in seconds
-   * @param {number} [data.parkedTime=0] - Time spent parked in seconds
+   * @param {number} [data.movingTime=0] - Seconds spent moving on timeDate (closed stretches)
+   * @param {number} [data.parkedTime=0] - Seconds spent parked on timeDate (closed stretches)
+   * @param {Date|string} [data.statusChangedAt] - When the current status was entered
+   * @param {Date|string} [data.stoppedSince] - First slow GPS fix while moving (parked inference)
+   * @param {string} [data.timeDate] - Local date (YYYY-MM-DD) movingTime/parkedTime belong to
+   * @param {Date|string} [data.positionTimestamp] - Time of the GPS fix the position comes from
    * @param {boolean} [data.isFavorite=false] - Whether bus is marked as favorite
    * @param {Object} [data.position] - GPS position (optional)
    * @param {number} [data.position.lat] - Latitude (-90 to 90)
@@ -63,6 +108,7 @@ class Bus {
 
     // Set optional fields
     this.route = data.route || null;
+    this.assignTrip(data.tripId || null, data.tripStartDate || null, data.tripStartTime || null);
     this.driver = data.driver || null;
     this.movingTime = data.movingTime || 0;
     this.parkedTime = data.parkedTime || 0;
@@ -70,6 +116,12 @@ class Bus {
 
     // Set position (optional with validation)
     this.position = data.position || null;
+
+    // Time accounting state
+    this.statusChangedAt = data.statusChangedAt || null;
+    this.stoppedSince = data.stoppedSince || null;
+    this.#timeDate = data.timeDate || null;
+    this.#positionTimestamp = data.positionTimestamp ? new Date(data.positionTimestamp) : null;
   }
 
   // ============================================
@@ -116,6 +168,30 @@ class Bus {
     return this.#route;
   }
 
+  /**
+   * Get active GTFS trip ID
+   * @returns {string|null}
+   */
+  get tripId() {
+    return this.#tripId;
+  }
+
+  /**
+   * Get service date of the active trip
+   * @returns {string|null} YYYY-MM-DD
+   */
+  get tripStartDate() {
+    return this.#tripStartDate;
+  }
+
+  /**
+   * Get start time of the active trip (frequency-based trips only)
+   * @returns {string|null} HH:MM:SS
+   */
+  get tripStartTime() {
+    return this.#tripStartTime;
+  }
+
   /**
    * Get driver identifier
    * @returns {string|null}
@@ -156,6 +232,47 @@ class Bus {
     return this.#position;
   }
 
+  /**
+   * Get the geohash of the GPS position (proximity index, see utils/geohash)
+   * @returns {string|null} Geohash or null without position
+   */
+  get geohash() {
+    return this.#position ? encodeGeohash(this.#position.lat, this.#position.lng) : null;
+  }
+
+  /**
+   * Get when the current status was entered
+   * @returns {Date|null}
+   */
+  get statusChangedAt() {
+    return this.#statusChangedAt;
+  }
+
+  /**
+   * Get when the bus first reported a stopped speed while moving
+   * @returns {Date|null}
+   */
+  get stoppedSince() {
+    return this.#stoppedSince;
+  }
+
+  /**
+   * Get the local date movingTime/parkedTime belong to
+   * @returns {string|null} YYYY-MM-DD
+   */
+  get timeDate() {
+    return this.#timeDate;
+  }
+
+  /**
+   * Get the time of the GPS fix the position comes from
+   * (set by GPS ingestion, null for manual positions)
+   * @returns {Date|null}
+   */
+  get positionTimestamp() {
+    return this.#positionTimestamp;
+  }
+
   // ============================================
   // Setters with Validation
   // ============================================
@@ -353,6 +470,22 @@ class Bus {
     };
   }
 
+  /**
+   * Set when the current status was entered
+   * @param {Date|string|null} value - Instant
+   */
+  set statusChangedAt(value) {
+    this.#statusChangedAt = value ? new Date(value) : null;
+  }
+
+  /**
+   * Set when the bus first reported a stopped speed while moving
+   * @param {Date|string|null} value - Instant
+   */
+  set stoppedSince(value) {
+    this.#stoppedSince = value ? new Date(value) : null;
+  }
+
   // ============================================
   // Methods
   // ============================================
@@ -381,6 +514,23 @@ class Bus {
     return this.#status === 'maintenance';
   }
 
+  /**
+   * Check if bus needs urgent maintenance
+   * @returns {boolean}
+   */
+  needsUrgentMaintenance() {
+    return this.#status === 'needs_urgent_maintenance';
+  }
+
+  /**
+   * Check whether the bus may change to a status
+   * @param {string} status - Target status
+   * @returns {boolean} True for allowed transitions and for the current status (no-op)
+   */
+  canTransitionTo(status) {
+    return status === this.#status || Bus.canTransition(this.#status, status);
+  }
+
   /**
    * Check if bus has a position set
    * @returns {boolean}
@@ -405,6 +555,138 @@ class Bus {
     this.#position = null;
   }
 
+  /**
+   * Change status and close the time accounting of the previous one
+   *
+   * The stretch spent in the previous status (statusChangedAt → at) is
+   * split at local midnights. The part that falls on timeDate is added to
+   * movingTime/parkedTime (which reset when a later day starts).
+   * The full split is returned so callers can persist daily totals.
+   *
+   * @param {string} status - New status
+   * @param {Date} at - Time of the transition
+   * @param {string} [reason] - Why the status changes (required by some statuses)
+   * @returns {Array<{date: string, status: string, seconds: number}>} Closed stretch per local date
+   * @throws {Error} If the transition is not allowed or lacks a required reason
+   */
+  transitionTo(status, at, reason) {
+    const previousStatus = this.#status;
+    const since = this.#statusChangedAt;
+
+    if (status === previousStatus && since) {
+      return [];
+    }
+
+    if (status !== previousStatus) {
+      if (!Bus.canTransition(previousStatus, status)) {
+        throw new Error(`Cannot change status from ${previousStatus} to ${status}`);
+      }
+      if (Bus.requiresReason(status) && !(reason && reason.trim())) {
+        throw new Error(`A reason is required to change status to ${status}`);
+      }
+    }
+
+    this.status = status;
+
+    const segments = since && previousStatus
+      ? splitByLocalDay(since, at).map(day => ({ ...day, status: previousStatus }))
+      : [];
+
+    // Counters only move forward in days (backdated transitions may fall on an earlier one)
+    const day = localDate(at);
+    if (!this.#timeDate || day > this.#timeDate) {
+      this.#movingTime = 0;
+      this.#parkedTime = 0;
+      this.#timeDate = day;
+    }
+
+    segments
+      .filter(segment => segment.date === this.#timeDate)
+      .forEach(segment => {
+        if (segment.status === 'moving') {
+          this.#movingTime += segment.seconds;
+        } else if (segment.status === 'parked') {
+          this.#parkedTime += segment.seconds;
+        }
+      });
+
+    // A late transition never moves the start of the current status backwards
+    this.#statusChangedAt = since && at < since ? since : at;
+    this.#stoppedSince = null;
+
+    return segments;
+  }
+
+  /**
+   * Moving/parked totals for the local day of `now`, including the open stretch
+   * @param {Date} [now=new Date()] - Reference instant
+   * @returns {{movingTime: number, parkedTime: number, statusDuration: number}} Seconds
+   */
+  timeTotalsAt(now = new Date()) {
+    const today = localDate(now);
+    const totals = {
+      movingTime: this.#timeDate === today ? this.#movingTime : 0,
+      parkedTime: this.#timeDate === today ? this.#parkedTime : 0,
+      statusDuration: 0
+    };
+
+    if (this.#statusChangedAt && now > this.#statusChangedAt) {
+      totals.statusDuration = Math.round((now - this.#statusChangedAt) / 1000);
+
+      const openToday = splitByLocalDay(this.#statusChangedAt, now)
+        .filter(day => day.date === today)
+        .reduce((sum, day) => sum + day.seconds, 0);
+
+      if (this.isMoving()) {
+        totals.movingTime += openToday;
+      } else if (this.isParked()) {
+        totals.parkedTime += openToday;
+      }
+    }
+
+    totals.movingTime = Math.round(totals.movingTime);
+    totals.parkedTime = Math.round(totals.parkedTime);
+
+    return totals;
+  }
+
+  /**
+   * Set (or clear) the GTFS trip the bus is running
+   *
+   * A trip instance is a trip ID plus its service date, so the same
+   * scheduled trip can be told apart from one day to the next. A
+   * frequency-based trip runs many times a day, so its instances also
+   * have a start time (GTFS-Realtime start_time).
+   *
+   * @param {string|null} tripId - GTFS trip ID, or null to clear
+   * @param {string|null} startDate - Service date (YYYY-MM-DD), required with a trip
+   * @param {string|null} [startTime=null] - Start time (HH:MM:SS) of a frequency-based trip
+   */
+  assignTrip(tripId, startDate, startTime = null) {
+    if (tripId === null || tripId === undefined) {
+      this.#tripId = null;
+      this.#tripStartDate = null;
+      this.#tripStartTime = null;
+      return;
+    }
+
+    if (typeof tripId !== 'string' || !tripId.trim()) {
+      throw new Error('Trip ID must be a non-empty string or null');
+    }
+
+    if (!DATE_REGEX.test(startDate || '')) {
+      throw new Error('Trip start date must be formatted as YYYY-MM-DD');
+    }
+
+    if (startTime !== null && !TIME_REGEX.test(startTime)) {
+      throw new Error('Trip start time must be formatted as HH:MM:SS');
+    }
+
+    this.#tripId = tripId.trim();
+    this.#tripStartDate = startDate;
+    this.#tripStartTime = startTime;
+  }
+
   /**
    * Toggle favorite status
    */
@@ -414,6 +696,9 @@ class Bus {
 
   /**
    * Convert bus to JSON (all public fields)
+   *
+   * movingTime/parkedTime are the stored counters; use timeTotalsAt()
+   * for live values that include the current status stretch.
    * @returns {Object}
    */
   toJSON() {
@@ -423,11 +708,16 @@ class Bus {
       unitName: this.#unitName,
       status: this.#status,
       route: this.#route,
+      tripId: this.#tripId,
+      tripStartDate: this.#tripStartDate,
+      tripStartTime: this.#tripStartTime,
       driver: this.#driver,
       movingTime: this.#movingTime,
       parkedTime: this.#parkedTime,
       isFavorite: this.#isFavorite,
-      position: this.#position
+      position: this.#position,
+      statusChangedAt: this.#statusChangedAt ? this.#statusChangedAt.toISOString() : null,
+      stoppedSince: this.#stoppedSince ? this.#stoppedSince.toISOString() : null
     };
   }
 
@@ -436,7 +726,10 @@ class Bus {
    * @returns {Object}
    */
   toDatabase() {
-    return this.toJSON();
+    return {
+      ...this.toJSON(),
+      timeDate: this.#timeDate
+    };
   }
 
   /**
@@ -455,11 +748,18 @@ class Bus {
       unitName: doc.unitName,
       status: doc.status,
       route: doc.route,
+      tripId: doc.tripId,
+      tripStartDate: doc.tripStartDate,
+      tripStartTime: doc.tripStartTime,
       driver: doc.driver,
       movingTime: doc.movingTime,
       parkedTime: doc.parkedTime,
       isFavorite: doc.isFavorite,
-      position: doc.position
+      position: doc.position,
+      statusChangedAt: doc.statusChangedAt,
+      stoppedSince: doc.stoppedSince,
+      timeDate: doc.timeDate,
+      positionTimestamp: doc.positionTimestamp
     });
   }
 
@@ -471,6 +771,14 @@ class Bus {
     return 'buses';
   }
 
+  /**
+   * Get the Firestore collection name for status transition history
+   * @returns {string}
+   */
+  static statusHistoryCollection() {
+    return 'bus_status_history';
+  }
+
   /**
    * Get allowed statuses
    * @returns {string[]}
@@ -478,6 +786,34 @@ class Bus {
   static getAllowedStatuses() {
     return [...ALLOWED_STATUSES];
   }
+
+  /**
+   * Get the statuses a bus may change to from a status
+   * @param {string} from - Current status
+   * @returns {string[]}
+   */
+  static getAllowedTransitions(from) {
+    return [...(STATUS_TRANSITIONS[from] || [])];
+  }
+
+  /**
+   * Check whether a status transition is allowed
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean}
+   */
+  static canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Check whether entering a status requires a reason
+   * @param {string} status - Target status
+   * @returns {boolean}
+   */
+  static requiresReason(status) {
+    return REASON_REQUIRED_STATUSES.includes(status);
+  }
 }
 
 module.exports = Bus;
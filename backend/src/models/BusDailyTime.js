@@ -0,0 +1,180 @@
+/**
+ * BusDailyTime Model
+ *
+ * Seconds a bus spent in each status during one local day.
+ * Document ID is "<busId>_<YYYY-MM-DD>"; totals are written as increments
+ * whenever a status stretch is closed (see Bus.transitionTo).
+ */
+
+/**
+ * Status → counter field
+ */
+const STATUS_FIELDS = Object.freeze({
+  moving: 'movingTime',
+  parked: 'parkedTime',
+  maintenance: 'maintenanceTime',
+  needs_urgent_maintenance: 'urgentMaintenanceTime',
+  usable: 'usableTime'
+});
+
+/**
+ * Local date format (YYYY-MM-DD)
+ */
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * BusDailyTime Class
+ */
+class BusDailyTime {
+  // Private fields
+  #busId;
+  #date;
+  #totals;
+
+  /**
+   * Create a new BusDailyTime instance
+   * @param {Object} data - Daily totals
+   * @param {string} data.busId - Bus ID
+   * @param {string} data.date - Local date (YYYY-MM-DD)
+   * @param {number} [data.movingTime=0] - Seconds moving
+   * @param {number} [data.parkedTime=0] - Seconds parked
+   * @param {number} [data.maintenanceTime=0] - Seconds in maintenance
+   * @param {number} [data.urgentMaintenanceTime=0] - Seconds flagged for urgent maintenance
+   * @param {number} [data.usableTime=0] - Seconds usable (released, not in service)
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Daily time data must be a valid object');
+    }
+
+    if (!data.busId) {
+      throw new Error('Bus ID is required');
+    }
+
+    if (!DATE_REGEX.test(data.date || '')) {
+      throw new Error('Date must be formatted as YYYY-MM-DD');
+    }
+
+    this.#busId = String(data.busId);
+    this.#date = data.date;
+    this.#totals = {};
+    Object.values(STATUS_FIELDS).forEach(field => {
+      this.#totals[field] = Number(data[field]) || 0;
+    });
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return BusDailyTime.buildId(this.#busId, this.#date);
+  }
+
+  get busId() {
+    return this.#busId;
+  }
+
+  get date() {
+    return this.#date;
+  }
+
+  get movingTime() {
+    return this.#totals.movingTime;
+  }
+
+  get parkedTime() {
+    return this.#totals.parkedTime;
+  }
+
+  get maintenanceTime() {
+    return this.#totals.maintenanceTime;
+  }
+
+  get urgentMaintenanceTime() {
+    return this.#totals.urgentMaintenanceTime;
+  }
+
+  get usableTime() {
+    return this.#totals.usableTime;
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Add seconds to the counter of a status (unknown statuses are ignored)
+   * @param {string} status - Bus status
+   * @param {number} seconds - Seconds to add
+   */
+  add(status, seconds) {
+    const field = BusDailyTime.fieldFor(status);
+
+    if (field) {
+      this.#totals[field] += seconds;
+    }
+  }
+
+  /**
+   * Convert to JSON (seconds rounded)
+   * @returns {Object}
+   */
+  toJSON() {
+    const json = { date: this.#date };
+    Object.entries(this.#totals).forEach(([field, seconds]) => {
+      json[field] = Math.round(seconds);
+    });
+    return json;
+  }
+
+  /**
+   * Create BusDailyTime instance from database document
+   * @param {Object} doc - Database document
+   * @returns {BusDailyTime}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create BusDailyTime from null/undefined document');
+    }
+
+    return new BusDailyTime({
+      busId: doc.busId,
+      date: doc.date,
+      movingTime: doc.movingTime,
+      parkedTime: doc.parkedTime,
+      maintenanceTime: doc.maintenanceTime,
+      urgentMaintenanceTime: doc.urgentMaintenanceTime,
+      usableTime: doc.usableTime
+    });
+  }
+
+  /**
+   * Build the document ID of a bus day
+   * @param {string} busId - Bus ID
+   * @param {string} date - Local date (YYYY-MM-DD)
+   * @returns {string}
+   */
+  static buildId(busId, date) {
+    return `${busId}_${date}`;
+  }
+
+  /**
+   * Counter field for a status
+   * @param {string} status - Bus status
+   * @returns {string|null} Field name, or null if the status is not accounted
+   */
+  static fieldFor(status) {
+    return STATUS_FIELDS[status] || null;
+  }
+
+  /**
+   * Get the Firestore collection name for daily totals
+   * @returns {string}
+   */
+  static collection() {
+    return 'bus_daily_times';
+  }
+}
+
+module.exports = BusDailyTime;
@@ -0,0 +1,355 @@
+/**
+ * Device Model
+ *
+ * OOP entity model with private fields, getters/setters, and validation.
+ * Represents a hardware GPS tracker that can be assigned to a bus.
+ */
+
+/**
+ * Serial format: the identifier the tracker reports as deviceId (IMEI or serial number)
+ */
+const SERIAL_REGEX = /^[A-Za-z0-9_:-]{1,64}$/;
+
+/**
+ * IMEI format (15 digits)
+ */
+const IMEI_REGEX = /^\d{15}$/;
+
+/**
+ * SIM ICCID format (18-22 digits, optional trailing F)
+ */
+const ICCID_REGEX = /^\d{18,22}F?$/;
+
+/**
+ * Device Class
+ *
+ * Encapsulates tracker data with validation.
+ * Uses private fields (#) for proper encapsulation.
+ */
+class Device {
+  // Private fields
+  #id;
+  #serial;
+  #imei;
+  #model;
+  #firmwareVersion;
+  #simIccid;
+  #simPhoneNumber;
+  #busId;
+  #assignedAt;
+  #lastSeenAt;
+  #isActive;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * Create a new Device instance
+   * @param {Object} data - Device data
+   * @param {string} [data.id] - Device ID (Firestore will generate one)
+   * @param {string} data.serial - Identifier reported by the tracker as deviceId
+   * @param {string} [data.imei] - IMEI (15 digits)
+   * @param {string} [data.model] - Hardware model
+   * @param {string} [data.firmwareVersion] - Firmware version
+   * @param {string} [data.simIccid] - SIM card ICCID
+   * @param {string} [data.simPhoneNumber] - SIM phone number
+   * @param {string} [data.busId] - Assigned bus ID
+   * @param {Date|string} [data.assignedAt] - When the current assignment started
+   * @param {Date|string} [data.lastSeenAt] - Last time the tracker reported
+   * @param {boolean} [data.isActive=true] - Whether the tracker may ingest data
+   * @param {Date|string} [data.createdAt] - Creation timestamp
+   * @param {Date|string} [data.updatedAt] - Last update timestamp
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Device data must be a valid object');
+    }
+
+    if (data.id) {
+      this.#id = String(data.id);
+    }
+
+    this.serial = data.serial;
+    this.imei = data.imei || null;
+    this.model = data.model || null;
+    this.firmwareVersion = data.firmwareVersion || null;
+    this.simIccid = data.simIccid || null;
+    this.simPhoneNumber = data.simPhoneNumber || null;
+    this.#busId = data.busId ? String(data.busId) : null;
+    this.#assignedAt = data.assignedAt ? new Date(data.assignedAt) : null;
+    this.#lastSeenAt = data.lastSeenAt ? new Date(data.lastSeenAt) : null;
+    this.isActive = data.isActive === undefined ? true : data.isActive;
+
+    this.#createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.#updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return this.#id;
+  }
+
+  get serial() {
+    return this.#serial;
+  }
+
+  get imei() {
+    return this.#imei;
+  }
+
+  get model() {
+    return this.#model;
+  }
+
+  get firmwareVersion() {
+    return this.#firmwareVersion;
+  }
+
+  get simIccid() {
+    return this.#simIccid;
+  }
+
+  get simPhoneNumber() {
+    return this.#simPhoneNumber;
+  }
+
+  get busId() {
+    return this.#busId;
+  }
+
+  get assignedAt() {
+    return this.#assignedAt;
+  }
+
+  get lastSeenAt() {
+    return this.#lastSeenAt;
+  }
+
+  get isActive() {
+    return this.#isActive;
+  }
+
+  get createdAt() {
+    return this.#createdAt;
+  }
+
+  get updatedAt() {
+    return this.#updatedAt;
+  }
+
+  // ============================================
+  // Setters with Validation
+  // ============================================
+
+  set serial(value) {
+    if (!value || typeof value !== 'string') {
+      throw new Error('Serial is required and must be a string');
+    }
+
+    const trimmed = value.trim();
+
+    if (!SERIAL_REGEX.test(trimmed)) {
+      throw new Error('Serial may only contain letters, digits, dashes, underscores and colons (max 64)');
+    }
+
+    this.#serial = trimmed;
+  }
+
+  set imei(value) {
+    if (value === null || value === undefined || value === '') {
+      this.#imei = null;
+      return;
+    }
+
+    const stringValue = String(value).trim();
+
+    if (!IMEI_REGEX.test(stringValue)) {
+      throw new Error('IMEI must be exactly 15 digits');
+    }
+
+    this.#imei = stringValue;
+  }
+
+  set model(value) {
+    if (value === null || value === undefined) {
+      this.#model = null;
+      return;
+    }
+
+    if (typeof value !== 'string') {
+      throw new Error('Model must be a string or null');
+    }
+
+    this.#model = value.trim();
+  }
+
+  set firmwareVersion(value) {
+    if (value === null || value === undefined) {
+      this.#firmwareVersion = null;
+      return;
+    }
+
+    if (typeof value !== 'string') {
+      throw new Error('Firmware version must be a string or null');
+    }
+
+    this.#firmwareVersion = value.trim();
+  }
+
+  set simIccid(value) {
+    if (value === null || value === undefined || value === '') {
+      this.#simIccid = null;
+      return;
+    }
+
+    const stringValue = String(value).trim().toUpperCase();
+
+    if (!ICCID_REGEX.test(stringValue)) {
+      throw new Error('SIM ICCID must be 18 to 22 digits');
+    }
+
+    this.#simIccid = stringValue;
+  }
+
+  set simPhoneNumber(value) {
+    if (value === null || value === undefined) {
+      this.#simPhoneNumber = null;
+      return;
+    }
+
+    if (typeof value !== 'string') {
+      throw new Error('SIM phone number must be a string or null');
+    }
+
+    this.#simPhoneNumber = value.trim();
+  }
+
+  set isActive(value) {
+    this.#isActive = Boolean(value);
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Check if device is assigned to a bus
+   * @returns {boolean}
+   */
+  isAssigned() {
+    return this.#busId !== null;
+  }
+
+  /**
+   * Assign device to a bus (or unassign with null)
+   * @param {string|null} busId - Bus ID
+   * @param {Date} [at=new Date()] - Assignment start
+   */
+  assignTo(busId, at = new Date()) {
+    this.#busId = busId ? String(busId) : null;
+    this.#assignedAt = busId ? at : null;
+  }
+
+  /**
+   * Record that the tracker reported
+   * @param {Date} [at=new Date()] - Time the tracker was last heard from
+   */
+  markSeen(at = new Date()) {
+    this.#lastSeenAt = at;
+  }
+
+  /**
+   * Update the updatedAt timestamp to current time
+   */
+  touch() {
+    this.#updatedAt = new Date();
+  }
+
+  /**
+   * Convert device to JSON (all public fields)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.#id,
+      serial: this.#serial,
+      imei: this.#imei,
+      model: this.#model,
+      firmwareVersion: this.#firmwareVersion,
+      simIccid: this.#simIccid,
+      simPhoneNumber: this.#simPhoneNumber,
+      busId: this.#busId,
+      assignedAt: this.#assignedAt ? this.#assignedAt.toISOString() : null,
+      lastSeenAt: this.#lastSeenAt ? this.#lastSeenAt.toISOString() : null,
+      isActive: this.#isActive,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Convert device to database object
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      serial: this.#serial,
+      imei: this.#imei,
+      model: this.#model,
+      firmwareVersion: this.#firmwareVersion,
+      simIccid: this.#simIccid,
+      simPhoneNumber: this.#simPhoneNumber,
+      busId: this.#busId,
+      assignedAt: this.#assignedAt,
+      lastSeenAt: this.#lastSeenAt,
+      isActive: this.#isActive
+    };
+  }
+
+  /**
+   * Create Device instance from database document
+   * @param {Object} doc - Database document
+   * @returns {Device}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create Device from null/undefined document');
+    }
+
+    return new Device({
+      id: doc.id || doc._id,
+      serial: doc.serial,
+      imei: doc.imei,
+      model: doc.model,
+      firmwareVersion: doc.firmwareVersion,
+      simIccid: doc.simIccid,
+      simPhoneNumber: doc.simPhoneNumber,
+      busId: doc.busId,
+      assignedAt: doc.assignedAt,
+      lastSeenAt: doc.lastSeenAt,
+      isActive: doc.isActive,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  /**
+   * Get the Firestore collection name for devices
+   * @returns {string}
+   */
+  static collection() {
+    return 'devices';
+  }
+
+  /**
+   * Get the Firestore collection name for assignment history
+   * @returns {string}
+   */
+  static assignmentsCollection() {
+    return 'device_assignments';
+  }
+}
+
+module.exports = Device;
@@ -0,0 +1,262 @@
+/**
+ * DeviceApiKey Model
+ *
+ * OOP entity model with private fields, getters/setters, and validation.
+ * Represents a long-lived API key that authenticates one GPS tracker.
+ * Only the bcrypt hash of the secret is stored.
+ */
+
+const { validateEnum } = require('../utils/validation');
+
+/**
+ * Scopes a device key can be granted
+ */
+const ALLOWED_SCOPES = ['gps:ingest'];
+
+/**
+ * Prefix of every plaintext key: "btk_<keyId>.<secret>"
+ */
+const KEY_PREFIX = 'btk_';
+
+/**
+ * DeviceApiKey Class
+ *
+ * Encapsulates API key metadata with validation.
+ * Uses private fields (#) for proper encapsulation.
+ */
+class DeviceApiKey {
+  // Private fields
+  #id;
+  #deviceId;
+  #keyHash;
+  #scopes;
+  #createdBy;
+  #revokedAt;
+  #createdAt;
+
+  /**
+   * Create a new DeviceApiKey instance
+   * @param {Object} data - API key data
+   * @param {string} [data.id] - Key ID (Firestore will generate one)
+   * @param {string} data.deviceId - Device the key belongs to
+   * @param {string} data.keyHash - bcrypt hash of the secret
+   * @param {string[]} [data.scopes=['gps:ingest']] - Granted scopes
+   * @param {string} [data.createdBy] - User ID that issued the key
+   * @param {Date|string} [data.revokedAt] - Revocation timestamp
+   * @param {Date|string} [data.createdAt] - Creation timestamp
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('API key data must be a valid object');
+    }
+
+    if (data.id) {
+      this.#id = String(data.id);
+    }
+
+    this.deviceId = data.deviceId;
+    this.keyHash = data.keyHash;
+    this.scopes = data.scopes || ['gps:ingest'];
+    this.#createdBy = data.createdBy || null;
+    this.#revokedAt = data.revokedAt ? new Date(data.revokedAt) : null;
+    this.#createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return this.#id;
+  }
+
+  get deviceId() {
+    return this.#deviceId;
+  }
+
+  get keyHash() {
+    return this.#keyHash;
+  }
+
+  get scopes() {
+    return [...this.#scopes];
+  }
+
+  get createdBy() {
+    return this.#createdBy;
+  }
+
+  get revokedAt() {
+    return this.#revokedAt;
+  }
+
+  get createdAt() {
+    return this.#createdAt;
+  }
+
+  // ============================================
+  // Setters with Validation
+  // ============================================
+
+  set deviceId(value) {
+    if (!value || typeof value !== 'string') {
+      throw new Error('Device ID is required and must be a string');
+    }
+    this.#deviceId = value;
+  }
+
+  set keyHash(value) {
+    if (!value || typeof value !== 'string') {
+      throw new Error('Key hash is required and must be a string');
+    }
+
+    if (value.length < 10) {
+      throw new Error('Key hash appears to be invalid (too short)');
+    }
+
+    this.#keyHash = value;
+  }
+
+  set scopes(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new Error('Scopes must be a non-empty array');
+    }
+
+    value.forEach(scope => validateEnum(scope, ALLOWED_SCOPES, 'Scope'));
+
+    this.#scopes = [...new Set(value)];
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Check if the key has been revoked
+   * @returns {boolean}
+   */
+  isRevoked() {
+    return this.#revokedAt !== null;
+  }
+
+  /**
+   * Check if the key grants a scope
+   * @param {string} scope - Scope to check
+   * @returns {boolean}
+   */
+  hasScope(scope) {
+    return this.#scopes.includes(scope);
+  }
+
+  /**
+   * Revoke the key
+   * @param {Date} [at=new Date()] - Revocation time
+   */
+  revoke(at = new Date()) {
+    if (!this.#revokedAt) {
+      this.#revokedAt = at;
+    }
+  }
+
+  /**
+   * Convert API key to JSON (NEVER exposes keyHash)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.#id,
+      deviceId: this.#deviceId,
+      prefix: this.#id ? `${KEY_PREFIX}${this.#id}` : null,
+      scopes: [...this.#scopes],
+      createdBy: this.#createdBy,
+      revokedAt: this.#revokedAt ? this.#revokedAt.toISOString() : null,
+      createdAt: this.#createdAt.toISOString()
+    };
+  }
+
+  /**
+   * Convert API key to database object (includes keyHash)
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      deviceId: this.#deviceId,
+      keyHash: this.#keyHash,
+      scopes: [...this.#scopes],
+      createdBy: this.#createdBy,
+      revokedAt: this.#revokedAt
+    };
+  }
+
+  /**
+   * Create DeviceApiKey instance from database document
+   * @param {Object} doc - Database document
+   * @returns {DeviceApiKey}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create DeviceApiKey from null/undefined document');
+    }
+
+    return new DeviceApiKey({
+      id: doc.id || doc._id,
+      deviceId: doc.deviceId,
+      keyHash: doc.keyHash,
+      scopes: doc.scopes,
+      createdBy: doc.createdBy,
+      revokedAt: doc.revokedAt,
+      createdAt: doc.createdAt
+    });
+  }
+
+  /**
+   * Build the plaintext key handed to the device
+   * @param {string} keyId - Key document ID
+   * @param {string} secret - Random secret
+   * @returns {string}
+   */
+  static format(keyId, secret) {
+    return `${KEY_PREFIX}${keyId}.${secret}`;
+  }
+
+  /**
+   * Split a plaintext key into key ID and secret
+   * @param {string} value - Plaintext key
+   * @returns {{keyId: string, secret: string}|null} null if malformed
+   */
+  static parse(value) {
+    if (typeof value !== 'string' || !value.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const body = value.slice(KEY_PREFIX.length);
+    const separator = body.indexOf('.');
+
+    if (separator <= 0 || separator === body.length - 1) {
+      return null;
+    }
+
+    return {
+      keyId: body.slice(0, separator),
+      secret: body.slice(separator + 1)
+    };
+  }
+
+  /**
+   * Get the Firestore collection name for device API keys
+   * @returns {string}
+   */
+  static collection() {
+    return 'device_api_keys';
+  }
+
+  /**
+   * Get allowed scopes
+   * @returns {string[]}
+   */
+  static getAllowedScopes() {
+    return [...ALLOWED_SCOPES];
+  }
+}
+
+module.exports = DeviceApiKey;
@@ -0,0 +1,385 @@
+/**
+ * Geofence Model
+ *
+ * OOP entity model with private fields, getters/setters, and validation.
+ * Represents a named area (terminal, depot, restricted zone) drawn as a
+ * polygon or a circle. Every ingested GPS fix is tested against the active
+ * geofences to record enter/exit events.
+ */
+
+const { validateEnum, validateCoordinates } = require('../utils/validation');
+const { haversineDistance, boundingBox, pointInPolygon } = require('../utils/geo');
+
+/**
+ * Allowed geofence types
+ */
+const GEOFENCE_TYPES = ['terminal', 'depot', 'restricted'];
+
+/**
+ * Allowed geometry shapes
+ */
+const GEOFENCE_SHAPES = ['polygon', 'circle'];
+
+/**
+ * Polygon vertex limits
+ */
+const MIN_POLYGON_POINTS = 3;
+const MAX_POLYGON_POINTS = 500;
+
+/**
+ * Circle radius limits (meters)
+ */
+const MIN_RADIUS_METERS = 10;
+const MAX_RADIUS_METERS = 50000;
+
+/**
+ * Validate a {lat, lng} point and return a plain copy
+ * @param {Object} point - Point
+ * @param {string} label - Name used in error messages
+ * @returns {{lat: number, lng: number}}
+ */
+function toPoint(point, label) {
+  if (!point || typeof point !== 'object') {
+    throw new Error(`${label} must be an object with lat and lng`);
+  }
+
+  try {
+    validateCoordinates(point.lat, point.lng);
+  } catch (error) {
+    throw new Error(`Invalid ${label}: ${error.message}`);
+  }
+
+  return { lat: point.lat, lng: point.lng };
+}
+
+/**
+ * Geofence Class
+ *
+ * Encapsulates geofence data with validation and containment tests.
+ * Uses private fields (#) for proper encapsulation.
+ */
+class Geofence {
+  // Private fields
+  #id;
+  #name;
+  #type;
+  #shape;
+  #polygon;
+  #center;
+  #radius;
+  #bbox;
+  #autoPark;
+  #isActive;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * Create a new Geofence instance
+   * @param {Object} data - Geofence data
+   * @param {string} [data.id] - Geofence ID (Firestore will generate one)
+   * @param {string} data.name - Display name
+   * @param {string} data.type - 'terminal', 'depot' or 'restricted'
+   * @param {string} data.shape - 'polygon' or 'circle'
+   * @param {{lat: number, lng: number}[]} [data.polygon] - Ring vertices (polygon shape)
+   * @param {{lat: number, lng: number}} [data.center] - Center (circle shape)
+   * @param {number} [data.radius] - Radius in meters (circle shape)
+   * @param {boolean} [data.autoPark=false] - Depot only: buses inside are set to parked
+   * @param {boolean} [data.isActive=true] - Whether fixes are evaluated against it
+   * @param {Date|string} [data.createdAt] - Creation timestamp
+   * @param {Date|string} [data.updatedAt] - Last update timestamp
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Geofence data must be a valid object');
+    }
+
+    if (data.id) {
+      this.#id = String(data.id);
+    }
+
+    this.name = data.name;
+    this.type = data.type;
+    this.setGeometry(data);
+    this.autoPark = data.autoPark || false;
+    this.isActive = data.isActive === undefined ? true : data.isActive;
+
+    this.#createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.#updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return this.#id;
+  }
+
+  get name() {
+    return this.#name;
+  }
+
+  get type() {
+    return this.#type;
+  }
+
+  get shape() {
+    return this.#shape;
+  }
+
+  get polygon() {
+    return this.#polygon ? this.#polygon.map(point => ({ ...point })) : null;
+  }
+
+  get center() {
+    return this.#center ? { ...this.#center } : null;
+  }
+
+  get radius() {
+    return this.#radius;
+  }
+
+  get autoPark() {
+    return this.#autoPark;
+  }
+
+  get isActive() {
+    return this.#isActive;
+  }
+
+  get createdAt() {
+    return this.#createdAt;
+  }
+
+  get updatedAt() {
+    return this.#updatedAt;
+  }
+
+  // ============================================
+  // Setters with Validation
+  // ============================================
+
+  set name(value) {
+    if (!value || typeof value !== 'string') {
+      throw new Error('Name is required and must be a string');
+    }
+
+    const trimmed = value.trim();
+
+    if (trimmed.length < 1 || trimmed.length > 100) {
+      throw new Error('Name must be between 1 and 100 characters');
+    }
+
+    this.#name = trimmed;
+  }
+
+  set type(value) {
+    try {
+      validateEnum(value, GEOFENCE_TYPES, 'type');
+    } catch (error) {
+      throw new Error(`Invalid type: ${error.message}`);
+    }
+
+    this.#type = value;
+
+    // Only depots can drive the parked status
+    if (value !== 'depot') {
+      this.#autoPark = false;
+    }
+  }
+
+  set autoPark(value) {
+    const enabled = Boolean(value);
+
+    if (enabled && this.#type !== 'depot') {
+      throw new Error('Only depot geofences can set buses to parked');
+    }
+
+    this.#autoPark = enabled;
+  }
+
+  set isActive(value) {
+    this.#isActive = Boolean(value);
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Replace the geometry
+   * @param {Object} geometry - Geometry fields
+   * @param {string} geometry.shape - 'polygon' or 'circle'
+   * @param {{lat: number, lng: number}[]} [geometry.polygon] - Ring vertices (polygon shape)
+   * @param {{lat: number, lng: number}} [geometry.center] - Center (circle shape)
+   * @param {number} [geometry.radius] - Radius in meters (circle shape)
+   * @throws {Error} If the geometry is invalid for the shape
+   */
+  setGeometry({ shape, polygon, center, radius }) {
+    try {
+      validateEnum(shape, GEOFENCE_SHAPES, 'shape');
+    } catch (error) {
+      throw new Error(`Invalid shape: ${error.message}`);
+    }
+
+    if (shape === 'polygon') {
+      if (!Array.isArray(polygon) ||
+        polygon.length < MIN_POLYGON_POINTS || polygon.length > MAX_POLYGON_POINTS) {
+        throw new Error(`Polygon must have between ${MIN_POLYGON_POINTS} and ${MAX_POLYGON_POINTS} points`);
+      }
+
+      this.#polygon = polygon.map((point, index) => toPoint(point, `polygon point ${index}`));
+      this.#center = null;
+      this.#radius = null;
+      this.#bbox = boundingBox(this.#polygon);
+    } else {
+      if (typeof radius !== 'number' || radius < MIN_RADIUS_METERS || radius > MAX_RADIUS_METERS) {
+        throw new Error(`Radius must be between ${MIN_RADIUS_METERS} and ${MAX_RADIUS_METERS} meters`);
+      }
+
+      this.#center = toPoint(center, 'center');
+      this.#radius = radius;
+      this.#polygon = null;
+      this.#bbox = null;
+    }
+
+    this.#shape = shape;
+  }
+
+  /**
+   * Check if a point lies inside the geofence (boundary counts as inside for circles)
+   * @param {{lat: number, lng: number}} point - Point to test
+   * @returns {boolean}
+   */
+  contains(point) {
+    if (this.#shape === 'circle') {
+      return haversineDistance(this.#center, point) <= this.#radius;
+    }
+
+    const box = this.#bbox;
+    if (point.lat < box.minLat || point.lat > box.maxLat || point.lng < box.minLng || point.lng > box.maxLng) {
+      return false;
+    }
+
+    return pointInPolygon(point, this.#polygon);
+  }
+
+  /**
+   * Check if this is a depot
+   * @returns {boolean}
+   */
+  isDepot() {
+    return this.#type === 'depot';
+  }
+
+  /**
+   * Update the updatedAt timestamp to current time
+   */
+  touch() {
+    this.#updatedAt = new Date();
+  }
+
+  /**
+   * Convert geofence to JSON (all public fields)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.#id,
+      name: this.#name,
+      type: this.#type,
+      shape: this.#shape,
+      polygon: this.polygon,
+      center: this.center,
+      radius: this.#radius,
+      autoPark: this.#autoPark,
+      isActive: this.#isActive,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Convert geofence to database object
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      name: this.#name,
+      type: this.#type,
+      shape: this.#shape,
+      polygon: this.polygon,
+      center: this.center,
+      radius: this.#radius,
+      autoPark: this.#autoPark,
+      isActive: this.#isActive
+    };
+  }
+
+  /**
+   * Create Geofence instance from database document
+   * @param {Object} doc - Database document
+   * @returns {Geofence}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create Geofence from null/undefined document');
+    }
+
+    return new Geofence({
+      id: doc.id || doc._id,
+      name: doc.name,
+      type: doc.type,
+      shape: doc.shape,
+      polygon: doc.polygon,
+      center: doc.center,
+      radius: doc.radius,
+      autoPark: doc.autoPark,
+      isActive: doc.isActive,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  /**
+   * Get allowed geofence types
+   * @returns {string[]}
+   */
+  static getAllowedTypes() {
+    return [...GEOFENCE_TYPES];
+  }
+
+  /**
+   * Get allowed geometry shapes
+   * @returns {string[]}
+   */
+  static getAllowedShapes() {
+    return [...GEOFENCE_SHAPES];
+  }
+
+  /**
+   * Get the Firestore collection name for geofences
+   * @returns {string}
+   */
+  static collection() {
+    return 'geofences';
+  }
+
+  /**
+   * Get the Firestore collection name for enter/exit events
+   * @returns {string}
+   */
+  static eventsCollection() {
+    return 'geofence_events';
+  }
+
+  /**
+   * Get the Firestore collection name for the geofences each bus is inside
+   * @returns {string}
+   */
+  static presenceCollection() {
+    return 'bus_geofence_presence';
+  }
+}
+
+module.exports = Geofence;
@@ -0,0 +1,332 @@
+/**
+ * GpsReading Model
+ *
+ * OOP entity model with private fields, getters/setters, and validation.
+ * Represents a single GPS fix reported by a tracking device.
+ */
+
+const { validateCoordinates } = require('../utils/validation');
+
+/**
+ * Device ID format (alphanumeric, dashes, underscores and colons)
+ */
+const DEVICE_ID_REGEX = /^[A-Za-z0-9_:-]{1,64}$/;
+
+/**
+ * Maximum allowed clock skew for timestamps in the future (5 minutes)
+ */
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * GpsReading Class
+ *
+ * Encapsulates a GPS fix with validation.
+ * Uses private fields (#) for proper encapsulation.
+ */
+class GpsReading {
+  // Private fields
+  #id;
+  #busId;
+  #deviceId;
+  #timestamp;
+  #position;
+  #speed;
+  #heading;
+  #accuracy;
+  #expiresAt;
+  #createdAt;
+
+  /**
+   * Create a new GpsReading instance
+   * @param {Object} data - GPS reading data
+   * @param {string} [data.id] - Reading ID (derived from deviceId + timestamp when omitted)
+   * @param {string} [data.busId] - Bus this reading belongs to (resolved from the device registry when omitted)
+   * @param {string} data.deviceId - Tracking device identifier
+   * @param {Date|string|number} data.timestamp - Time the fix was taken (ISO 8601 or epoch ms)
+   * @param {number} data.lat - Latitude (-90 to 90)
+   * @param {number} data.lng - Longitude (-180 to 180)
+   * @param {number} [data.speed] - Speed in km/h
+   * @param {number} [data.heading] - Heading in degrees (0-360)
+   * @param {number} [data.accuracy] - Horizontal accuracy in meters
+   * @param {Date|string} [data.expiresAt] - Retention cutoff (Firestore TTL field)
+   * @param {Date|string} [data.createdAt] - Creation timestamp
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('GPS reading data must be a valid object');
+    }
+
+    this.#busId = null;
+    if (data.busId !== undefined && data.busId !== null) {
+      this.busId = data.busId;
+    }
+    this.deviceId = data.deviceId;
+    this.timestamp = data.timestamp;
+    this.position = { lat: data.lat, lng: data.lng };
+    this.speed = data.speed;
+    this.heading = data.heading;
+    this.accuracy = data.accuracy;
+
+    this.#id = data.id ? String(data.id) : GpsReading.buildId(this.#deviceId, this.#timestamp);
+    this.#expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+    this.#createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return this.#id;
+  }
+
+  get busId() {
+    return this.#busId;
+  }
+
+  get deviceId() {
+    return this.#deviceId;
+  }
+
+  get timestamp() {
+    return this.#timestamp;
+  }
+
+  get position() {
+    return { ...this.#position };
+  }
+
+  get lat() {
+    return this.#position.lat;
+  }
+
+  get lng() {
+    return this.#position.lng;
+  }
+
+  get speed() {
+    return this.#speed;
+  }
+
+  get heading() {
+    return this.#heading;
+  }
+
+  get accuracy() {
+    return this.#accuracy;
+  }
+
+  get expiresAt() {
+    return this.#expiresAt;
+  }
+
+  get createdAt() {
+    return this.#createdAt;
+  }
+
+  // ============================================
+  // Setters with Validation
+  // ============================================
+
+  set busId(value) {
+    if (!value) {
+      throw new Error('Bus ID is required');
+    }
+    this.#busId = String(value);
+  }
+
+  set deviceId(value) {
+    if (!value || typeof value !== 'string') {
+      throw new Error('Device ID is required and must be a string');
+    }
+
+    const trimmed = value.trim();
+
+    if (!DEVICE_ID_REGEX.test(trimmed)) {
+      throw new Error('Device ID may only contain letters, digits, dashes, underscores and colons (max 64)');
+    }
+
+    this.#deviceId = trimmed;
+  }
+
+  set timestamp(value) {
+    if (value === null || value === undefined || value === '') {
+      throw new Error('Timestamp is required');
+    }
+
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+
+    if (isNaN(date.getTime())) {
+      throw new Error('Timestamp must be a valid ISO 8601 date or epoch milliseconds');
+    }
+
+    if (date.getTime() > Date.now() + MAX_FUTURE_SKEW_MS) {
+      throw new Error('Timestamp cannot be more than 5 minutes in the future');
+    }
+
+    this.#timestamp = date;
+  }
+
+  set position(value) {
+    if (!value || typeof value !== 'object') {
+      throw new Error('Position must be an object with lat and lng properties');
+    }
+
+    const { lat, lng } = value;
+
+    if (lat === undefined || lng === undefined) {
+      throw new Error('Position must include both lat and lng properties');
+    }
+
+    try {
+      validateCoordinates(lat, lng);
+    } catch (error) {
+      throw new Error(`Invalid position coordinates: ${error.message}`);
+    }
+
+    this.#position = { lat: Number(lat), lng: Number(lng) };
+  }
+
+  set speed(value) {
+    if (value === null || value === undefined) {
+      this.#speed = null;
+      return;
+    }
+
+    const num = Number(value);
+
+    if (isNaN(num) || num < 0) {
+      throw new Error('Speed must be a non-negative number');
+    }
+
+    this.#speed = num;
+  }
+
+  set heading(value) {
+    if (value === null || value === undefined) {
+      this.#heading = null;
+      return;
+    }
+
+    const num = Number(value);
+
+    if (isNaN(num) || num < 0 || num > 360) {
+      throw new Error('Heading must be a number between 0 and 360');
+    }
+
+    this.#heading = num;
+  }
+
+  set accuracy(value) {
+    if (value === null || value === undefined) {
+      this.#accuracy = null;
+      return;
+    }
+
+    const num = Number(value);
+
+    if (isNaN(num) || num < 0) {
+      throw new Error('Accuracy must be a non-negative number');
+    }
+
+    this.#accuracy = num;
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Set the retention cutoff relative to the fix timestamp
+   * @param {number} days - Retention window in days (0 disables expiry)
+   */
+  applyRetention(days) {
+    if (!days || days <= 0) {
+      this.#expiresAt = null;
+      return;
+    }
+
+    this.#expiresAt = new Date(this.#timestamp.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Convert reading to JSON (all public fields)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.#id,
+      busId: this.#busId,
+      deviceId: this.#deviceId,
+      timestamp: this.#timestamp.toISOString(),
+      position: { ...this.#position },
+      speed: this.#speed,
+      heading: this.#heading,
+      accuracy: this.#accuracy,
+      expiresAt: this.#expiresAt ? this.#expiresAt.toISOString() : null,
+      createdAt: this.#createdAt.toISOString()
+    };
+  }
+
+  /**
+   * Convert reading to database object
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      busId: this.#busId,
+      deviceId: this.#deviceId,
+      timestamp: this.#timestamp,
+      position: { ...this.#position },
+      speed: this.#speed,
+      heading: this.#heading,
+      accuracy: this.#accuracy,
+      expiresAt: this.#expiresAt
+    };
+  }
+
+  /**
+   * Create GpsReading instance from database document
+   * @param {Object} doc - Database document
+   * @returns {GpsReading}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create GpsReading from null/undefined document');
+    }
+
+    return new GpsReading({
+      id: doc.id || doc._id,
+      busId: doc.busId,
+      deviceId: doc.deviceId,
+      timestamp: doc.timestamp,
+      lat: doc.position?.lat,
+      lng: doc.position?.lng,
+      speed: doc.speed,
+      heading: doc.heading,
+      accuracy: doc.accuracy,
+      expiresAt: doc.expiresAt,
+      createdAt: doc.createdAt
+    });
+  }
+
+  /**
+   * Build the deterministic document ID used for deduplication
+   * @param {string} deviceId - Device identifier
+   * @param {Date} timestamp - Fix timestamp
+   * @returns {string}
+   */
+  static buildId(deviceId, timestamp) {
+    return `${deviceId}_${timestamp.getTime()}`;
+  }
+
+  /**
+   * Get the Firestore collection name for GPS readings
+   * @returns {string}
+   */
+  static collection() {
+    return 'gps_readings';
+  }
+}
+
+module.exports = GpsReading;
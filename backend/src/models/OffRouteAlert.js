@@ -0,0 +1,304 @@
+/**
+ * OffRouteAlert Model
+ *
+ * A stretch during which a bus drove away from its route (GTFS shapes, or
+ * the ordered stops of its trips when no shape exists).
+ * Document ID is "<busId>_<offRouteSince epoch ms>", so re-evaluating the
+ * same fixes rewrites the same alert instead of creating a duplicate.
+ */
+
+/**
+ * Alert status
+ */
+const ALERT_STATUS = Object.freeze({
+  OPEN: 'open',
+  CLEARED: 'cleared'
+});
+
+/**
+ * Why an alert was cleared
+ */
+const CLEAR_REASON = Object.freeze({
+  RETURNED: 'returned',
+  ROUTE_CHANGED: 'route_changed'
+});
+
+/**
+ * Geometry the bus was compared against
+ */
+const ROUTE_REFERENCES = ['shape', 'stops'];
+
+/**
+ * Convert a Date/string/Firestore Timestamp to a Date
+ * @param {*} value - Value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * OffRouteAlert Class
+ */
+class OffRouteAlert {
+  // Private fields
+  #busId;
+  #route;
+  #status;
+  #reference;
+  #distanceMeters;
+  #position;
+  #offRouteSince;
+  #raisedAt;
+  #clearedAt;
+  #clearReason;
+  #clearPosition;
+
+  /**
+   * Create a new OffRouteAlert instance
+   * @param {Object} data - Alert data
+   * @param {string} data.busId - Bus ID
+   * @param {string} data.route - Route (GTFS route_id) the bus was assigned to
+   * @param {string} data.reference - 'shape' or 'stops'
+   * @param {number} data.distanceMeters - Distance to the route when the alert was raised
+   * @param {{lat: number, lng: number}} data.position - Position when the alert was raised
+   * @param {Date|string} data.offRouteSince - First fix beyond the distance threshold
+   * @param {Date|string} data.raisedAt - Fix at which the duration threshold was met
+   * @param {string} [data.status='open'] - 'open' or 'cleared'
+   * @param {Date|string} [data.clearedAt] - Fix back on the route
+   * @param {string} [data.clearReason] - 'returned' or 'route_changed'
+   * @param {{lat: number, lng: number}} [data.clearPosition] - Position when cleared
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Off-route alert data must be a valid object');
+    }
+
+    if (!data.busId) {
+      throw new Error('Bus ID is required');
+    }
+
+    if (!ROUTE_REFERENCES.includes(data.reference)) {
+      throw new Error(`Reference must be one of: ${ROUTE_REFERENCES.join(', ')}`);
+    }
+
+    const status = data.status || ALERT_STATUS.OPEN;
+    if (!Object.values(ALERT_STATUS).includes(status)) {
+      throw new Error(`Status must be one of: ${Object.values(ALERT_STATUS).join(', ')}`);
+    }
+
+    this.#offRouteSince = toDate(data.offRouteSince);
+    this.#raisedAt = toDate(data.raisedAt);
+
+    if (!this.#offRouteSince || !this.#raisedAt) {
+      throw new Error('offRouteSince and raisedAt are required');
+    }
+
+    this.#busId = String(data.busId);
+    this.#route = data.route || null;
+    this.#status = status;
+    this.#reference = data.reference;
+    this.#distanceMeters = Math.round(Number(data.distanceMeters) || 0);
+    this.#position = data.position ? { lat: data.position.lat, lng: data.position.lng } : null;
+    this.#clearedAt = toDate(data.clearedAt);
+    this.#clearReason = data.clearReason || null;
+    this.#clearPosition = data.clearPosition ? { lat: data.clearPosition.lat, lng: data.clearPosition.lng } : null;
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return OffRouteAlert.buildId(this.#busId, this.#offRouteSince);
+  }
+
+  get busId() {
+    return this.#busId;
+  }
+
+  get route() {
+    return this.#route;
+  }
+
+  get status() {
+    return this.#status;
+  }
+
+  get reference() {
+    return this.#reference;
+  }
+
+  get distanceMeters() {
+    return this.#distanceMeters;
+  }
+
+  get offRouteSince() {
+    return this.#offRouteSince;
+  }
+
+  get raisedAt() {
+    return this.#raisedAt;
+  }
+
+  get clearedAt() {
+    return this.#clearedAt;
+  }
+
+  get clearReason() {
+    return this.#clearReason;
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Check if the alert is still open
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.#status === ALERT_STATUS.OPEN;
+  }
+
+  /**
+   * Close the alert
+   * @param {Date} at - Time of the fix that cleared it
+   * @param {string} reason - One of CLEAR_REASON
+   * @param {{lat: number, lng: number}} [position] - Position of that fix
+   */
+  clear(at, reason, position = null) {
+    if (!Object.values(CLEAR_REASON).includes(reason)) {
+      throw new Error(`Clear reason must be one of: ${Object.values(CLEAR_REASON).join(', ')}`);
+    }
+
+    this.#status = ALERT_STATUS.CLEARED;
+    this.#clearedAt = at;
+    this.#clearReason = reason;
+    this.#clearPosition = position ? { lat: position.lat, lng: position.lng } : null;
+  }
+
+  /**
+   * Seconds off route (until cleared, or until now while open)
+   * @param {Date} [now=new Date()] - Reference time for open alerts
+   * @returns {number}
+   */
+  durationSeconds(now = new Date()) {
+    const end = this.#clearedAt || now;
+    return Math.max(0, Math.round((end - this.#offRouteSince) / 1000));
+  }
+
+  /**
+   * Convert to JSON (dates as ISO strings)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      busId: this.#busId,
+      route: this.#route,
+      status: this.#status,
+      reference: this.#reference,
+      distanceMeters: this.#distanceMeters,
+      position: this.#position,
+      offRouteSince: this.#offRouteSince.toISOString(),
+      raisedAt: this.#raisedAt.toISOString(),
+      clearedAt: this.#clearedAt ? this.#clearedAt.toISOString() : null,
+      clearReason: this.#clearReason,
+      clearPosition: this.#clearPosition,
+      durationSeconds: this.durationSeconds()
+    };
+  }
+
+  /**
+   * Convert to database object
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      busId: this.#busId,
+      route: this.#route,
+      status: this.#status,
+      reference: this.#reference,
+      distanceMeters: this.#distanceMeters,
+      position: this.#position,
+      offRouteSince: this.#offRouteSince,
+      raisedAt: this.#raisedAt,
+      clearedAt: this.#clearedAt,
+      clearReason: this.#clearReason,
+      clearPosition: this.#clearPosition
+    };
+  }
+
+  /**
+   * Create OffRouteAlert instance from database document
+   * @param {Object} doc - Database document
+   * @returns {OffRouteAlert}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create OffRouteAlert from null/undefined document');
+    }
+
+    return new OffRouteAlert({
+      busId: doc.busId,
+      route: doc.route,
+      status: doc.status,
+      reference: doc.reference,
+      distanceMeters: doc.distanceMeters,
+      position: doc.position,
+      offRouteSince: doc.offRouteSince,
+      raisedAt: doc.raisedAt,
+      clearedAt: doc.clearedAt,
+      clearReason: doc.clearReason,
+      clearPosition: doc.clearPosition
+    });
+  }
+
+  /**
+   * Build the document ID of an alert
+   * @param {string} busId - Bus ID
+   * @param {Date} offRouteSince - First fix beyond the distance threshold
+   * @returns {string}
+   */
+  static buildId(busId, offRouteSince) {
+    return `${busId}_${offRouteSince.getTime()}`;
+  }
+
+  /**
+   * Get allowed alert statuses
+   * @returns {string[]}
+   */
+  static getAllowedStatuses() {
+    return Object.values(ALERT_STATUS);
+  }
+
+  /**
+   * Get allowed clear reasons
+   * @returns {string[]}
+   */
+  static getClearReasons() {
+    return Object.values(CLEAR_REASON);
+  }
+
+  /**
+   * Get the Firestore collection name for alerts
+   * @returns {string}
+   */
+  static collection() {
+    return 'off_route_alerts';
+  }
+
+  /**
+   * Get the Firestore collection name for the per-bus deviation state
+   * @returns {string}
+   */
+  static stateCollection() {
+    return 'bus_route_deviation';
+  }
+}
+
+module.exports = OffRouteAlert;
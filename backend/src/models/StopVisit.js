@@ -0,0 +1,315 @@
+/**
+ * StopVisit Model
+ *
+ * Observed arrival and departure of a bus at one stop of a trip instance
+ * (GTFS trip ID + service date, + start time for frequency-based trips),
+ * next to the scheduled times.
+ * Document ID is "<tripId>_<serviceDate>_<stopSequence>" (see buildId), so
+ * each stop of a trip instance is recorded once however often its fixes are
+ * evaluated.
+ */
+
+/**
+ * Convert a Date/string/Firestore Timestamp to a Date
+ * @param {*} value - Value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * Seconds between two instants (b - a), or null if either is missing
+ * @param {Date|null} a - Earlier instant
+ * @param {Date|null} b - Later instant
+ * @returns {number|null}
+ */
+function secondsBetween(a, b) {
+  return a && b ? Math.round((b - a) / 1000) : null;
+}
+
+/**
+ * StopVisit Class
+ */
+class StopVisit {
+  // Private fields
+  #busId;
+  #tripId;
+  #routeId;
+  #serviceDate;
+  #startTime;
+  #stopId;
+  #stopSequence;
+  #scheduledArrival;
+  #scheduledDeparture;
+  #arrivedAt;
+  #departedAt;
+  #previousStopId;
+  #travelSeconds;
+
+  /**
+   * Create a new StopVisit instance
+   * @param {Object} data - Visit data
+   * @param {string} data.busId - Bus ID
+   * @param {string} data.tripId - GTFS trip ID
+   * @param {string} [data.routeId] - GTFS route ID of the trip
+   * @param {string} data.serviceDate - Service date of the trip instance (YYYY-MM-DD)
+   * @param {string} [data.startTime] - Start time of a frequency-based trip instance (HH:MM:SS)
+   * @param {string} data.stopId - GTFS stop ID
+   * @param {number} data.stopSequence - stop_sequence within the trip
+   * @param {Date|string} data.scheduledArrival - Scheduled arrival instant
+   * @param {Date|string} data.scheduledDeparture - Scheduled departure instant
+   * @param {Date|string} [data.arrivedAt] - First fix within the stop radius
+   * @param {Date|string} [data.departedAt] - First fix outside the radius after arriving
+   * @param {string} [data.previousStopId] - Stop the bus departed from before this one
+   * @param {number} [data.travelSeconds] - Seconds from that departure to this arrival
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Stop visit data must be a valid object');
+    }
+
+    if (!data.busId || !data.tripId || !data.stopId) {
+      throw new Error('Bus ID, trip ID and stop ID are required');
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.serviceDate || '')) {
+      throw new Error('Service date must be formatted as YYYY-MM-DD');
+    }
+
+    if (!Number.isInteger(Number(data.stopSequence)) || Number(data.stopSequence) < 0) {
+      throw new Error('Stop sequence must be a non-negative integer');
+    }
+
+    this.#busId = String(data.busId);
+    this.#tripId = String(data.tripId);
+    this.#routeId = data.routeId || null;
+    this.#serviceDate = data.serviceDate;
+    this.#startTime = data.startTime || null;
+    this.#stopId = String(data.stopId);
+    this.#stopSequence = Number(data.stopSequence);
+    this.#scheduledArrival = toDate(data.scheduledArrival);
+    this.#scheduledDeparture = toDate(data.scheduledDeparture);
+    this.#arrivedAt = toDate(data.arrivedAt);
+    this.#departedAt = toDate(data.departedAt);
+    this.#previousStopId = data.previousStopId || null;
+    this.#travelSeconds = data.travelSeconds === null || data.travelSeconds === undefined
+      ? null
+      : Number(data.travelSeconds);
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return StopVisit.buildId(this.#tripId, this.#serviceDate, this.#stopSequence, this.#startTime);
+  }
+
+  get busId() {
+    return this.#busId;
+  }
+
+  get tripId() {
+    return this.#tripId;
+  }
+
+  get routeId() {
+    return this.#routeId;
+  }
+
+  get serviceDate() {
+    return this.#serviceDate;
+  }
+
+  get startTime() {
+    return this.#startTime;
+  }
+
+  get stopId() {
+    return this.#stopId;
+  }
+
+  get stopSequence() {
+    return this.#stopSequence;
+  }
+
+  get scheduledArrival() {
+    return this.#scheduledArrival;
+  }
+
+  get scheduledDeparture() {
+    return this.#scheduledDeparture;
+  }
+
+  get arrivedAt() {
+    return this.#arrivedAt;
+  }
+
+  get departedAt() {
+    return this.#departedAt;
+  }
+
+  get previousStopId() {
+    return this.#previousStopId;
+  }
+
+  get travelSeconds() {
+    return this.#travelSeconds;
+  }
+
+  /**
+   * Seconds late (negative = early) at arrival
+   * @returns {number|null}
+   */
+  get arrivalDelaySeconds() {
+    return secondsBetween(this.#scheduledArrival, this.#arrivedAt);
+  }
+
+  /**
+   * Seconds late (negative = early) at departure
+   * @returns {number|null}
+   */
+  get departureDelaySeconds() {
+    return secondsBetween(this.#scheduledDeparture, this.#departedAt);
+  }
+
+  /**
+   * Seconds spent within the stop radius
+   * @returns {number|null}
+   */
+  get dwellSeconds() {
+    return secondsBetween(this.#arrivedAt, this.#departedAt);
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Record the departure
+   * @param {Date} at - First fix outside the radius
+   */
+  depart(at) {
+    this.#departedAt = at;
+  }
+
+  /**
+   * Convert to JSON (dates as ISO strings)
+   * @returns {Object}
+   */
+  toJSON() {
+    const iso = date => (date ? date.toISOString() : null);
+
+    return {
+      id: this.id,
+      busId: this.#busId,
+      tripId: this.#tripId,
+      routeId: this.#routeId,
+      serviceDate: this.#serviceDate,
+      startTime: this.#startTime,
+      stopId: this.#stopId,
+      stopSequence: this.#stopSequence,
+      scheduledArrival: iso(this.#scheduledArrival),
+      scheduledDeparture: iso(this.#scheduledDeparture),
+      arrivedAt: iso(this.#arrivedAt),
+      departedAt: iso(this.#departedAt),
+      previousStopId: this.#previousStopId,
+      travelSeconds: this.#travelSeconds,
+      arrivalDelaySeconds: this.arrivalDelaySeconds,
+      departureDelaySeconds: this.departureDelaySeconds,
+      dwellSeconds: this.dwellSeconds
+    };
+  }
+
+  /**
+   * Convert to database object (delays stored for on-time queries)
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      busId: this.#busId,
+      tripId: this.#tripId,
+      routeId: this.#routeId,
+      serviceDate: this.#serviceDate,
+      startTime: this.#startTime,
+      stopId: this.#stopId,
+      stopSequence: this.#stopSequence,
+      scheduledArrival: this.#scheduledArrival,
+      scheduledDeparture: this.#scheduledDeparture,
+      arrivedAt: this.#arrivedAt,
+      departedAt: this.#departedAt,
+      previousStopId: this.#previousStopId,
+      travelSeconds: this.#travelSeconds,
+      arrivalDelaySeconds: this.arrivalDelaySeconds,
+      departureDelaySeconds: this.departureDelaySeconds,
+      dwellSeconds: this.dwellSeconds
+    };
+  }
+
+  /**
+   * Create StopVisit instance from database document
+   * @param {Object} doc - Database document
+   * @returns {StopVisit}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create StopVisit from null/undefined document');
+    }
+
+    return new StopVisit({
+      busId: doc.busId,
+      tripId: doc.tripId,
+      routeId: doc.routeId,
+      serviceDate: doc.serviceDate,
+      startTime: doc.startTime,
+      stopId: doc.stopId,
+      stopSequence: doc.stopSequence,
+      scheduledArrival: doc.scheduledArrival,
+      scheduledDeparture: doc.scheduledDeparture,
+      arrivedAt: doc.arrivedAt,
+      departedAt: doc.departedAt,
+      previousStopId: doc.previousStopId,
+      travelSeconds: doc.travelSeconds
+    });
+  }
+
+  /**
+   * Build the document ID of a visit
+   *
+   * Instances of a frequency-based trip run the same day, so their start
+   * time is part of the ID ("<tripId>_<serviceDate>_<HHMMSS>_<stopSequence>").
+   *
+   * @param {string} tripId - GTFS trip ID
+   * @param {string} serviceDate - Service date (YYYY-MM-DD)
+   * @param {number} stopSequence - stop_sequence within the trip
+   * @param {string|null} [startTime=null] - Start time of a frequency-based trip (HH:MM:SS)
+   * @returns {string}
+   */
+  static buildId(tripId, serviceDate, stopSequence, startTime = null) {
+    return startTime
+      ? `${tripId}_${serviceDate}_${startTime.replace(/:/g, '')}_${stopSequence}`
+      : `${tripId}_${serviceDate}_${stopSequence}`;
+  }
+
+  /**
+   * Get the Firestore collection name for stop visits
+   * @returns {string}
+   */
+  static collection() {
+    return 'stop_visits';
+  }
+
+  /**
+   * Get the Firestore collection name for the per-bus trip progress
+   * @returns {string}
+   */
+  static progressCollection() {
+    return 'bus_trip_progress';
+  }
+}
+
+module.exports = StopVisit;
@@ -0,0 +1,406 @@
+/**
+ * Calendar Model (GTFS Standard)
+ *
+ * Represents a weekly service pattern (service_id) over a date range.
+ * Based on GTFS calendar.txt specification.
+ * https://gtfs.org/schedule/reference/#calendartxt
+ */
+
+const { toGtfsDate } = require('../../utils/time');
+
+/**
+ * Days of the week, in calendar.txt column order
+ */
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Calendar Class
+ *
+ * Encapsulates service calendar data with validation.
+ * Maps to GTFS calendar.txt file.
+ */
+class Calendar {
+  // Private fields
+  #id;
+  #monday;
+  #tuesday;
+  #wednesday;
+  #thursday;
+  #friday;
+  #saturday;
+  #sunday;
+  #startDate;
+  #endDate;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * Create a new Calendar instance
+   * @param {Object} data - Calendar data
+   * @param {string} data.id - Service ID (referenced by trips)
+   * @param {boolean|string} [data.monday=false] - Service runs on Mondays (true/false or 1/0)
+   * @param {boolean|string} [data.tuesday=false] - Service runs on Tuesdays
+   * @param {boolean|string} [data.wednesday=false] - Service runs on Wednesdays
+   * @param {boolean|string} [data.thursday=false] - Service runs on Thursdays
+   * @param {boolean|string} [data.friday=false] - Service runs on Fridays
+   * @param {boolean|string} [data.saturday=false] - Service runs on Saturdays
+   * @param {boolean|string} [data.sunday=false] - Service runs on Sundays
+   * @param {string} data.startDate - First service day (YYYYMMDD or YYYY-MM-DD)
+   * @param {string} data.endDate - Last service day (YYYYMMDD or YYYY-MM-DD)
+   * @param {Date|string} [data.createdAt] - Creation timestamp
+   * @param {Date|string} [data.updatedAt] - Last update timestamp
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Calendar data must be a valid object');
+    }
+
+    this.id = data.id;
+    this.monday = data.monday;
+    this.tuesday = data.tuesday;
+    this.wednesday = data.wednesday;
+    this.thursday = data.thursday;
+    this.friday = data.friday;
+    this.saturday = data.saturday;
+    this.sunday = data.sunday;
+    this.startDate = data.startDate;
+    this.endDate = data.endDate;
+
+    if (this.#endDate < this.#startDate) {
+      throw new Error('Calendar end date must not be before its start date');
+    }
+
+    // Set timestamps
+    this.#createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.#updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return this.#id;
+  }
+
+  get monday() {
+    return this.#monday;
+  }
+
+  get tuesday() {
+    return this.#tuesday;
+  }
+
+  get wednesday() {
+    return this.#wednesday;
+  }
+
+  get thursday() {
+    return this.#thursday;
+  }
+
+  get friday() {
+    return this.#friday;
+  }
+
+  get saturday() {
+    return this.#saturday;
+  }
+
+  get sunday() {
+    return this.#sunday;
+  }
+
+  get startDate() {
+    return this.#startDate;
+  }
+
+  get endDate() {
+    return this.#endDate;
+  }
+
+  get createdAt() {
+    return this.#createdAt;
+  }
+
+  get updatedAt() {
+    return this.#updatedAt;
+  }
+
+  // ============================================
+  // Setters with Validation
+  // ============================================
+
+  set id(value) {
+    if (!value) {
+      throw new Error('Service ID is required');
+    }
+    this.#id = String(value);
+  }
+
+  set monday(value) {
+    this.#monday = Calendar.#toServiceFlag(value, 'monday');
+  }
+
+  set tuesday(value) {
+    this.#tuesday = Calendar.#toServiceFlag(value, 'tuesday');
+  }
+
+  set wednesday(value) {
+    this.#wednesday = Calendar.#toServiceFlag(value, 'wednesday');
+  }
+
+  set thursday(value) {
+    this.#thursday = Calendar.#toServiceFlag(value, 'thursday');
+  }
+
+  set friday(value) {
+    this.#friday = Calendar.#toServiceFlag(value, 'friday');
+  }
+
+  set saturday(value) {
+    this.#saturday = Calendar.#toServiceFlag(value, 'saturday');
+  }
+
+  set sunday(value) {
+    this.#sunday = Calendar.#toServiceFlag(value, 'sunday');
+  }
+
+  set startDate(value) {
+    const date = toGtfsDate(value);
+    if (!date) {
+      throw new Error('Calendar start date must be a valid date (YYYYMMDD)');
+    }
+    this.#startDate = date;
+  }
+
+  set endDate(value) {
+    const date = toGtfsDate(value);
+    if (!date) {
+      throw new Error('Calendar end date must be a valid date (YYYYMMDD)');
+    }
+    this.#endDate = date;
+  }
+
+  set createdAt(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid createdAt date');
+    }
+    this.#createdAt = date;
+  }
+
+  set updatedAt(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid updatedAt date');
+    }
+    this.#updatedAt = date;
+  }
+
+  /**
+   * Parse a day flag (true/false, 1/0 or '1'/'0'; blank is false)
+   * @param {*} value - Flag value
+   * @param {string} day - Day name (for the error message)
+   * @returns {boolean}
+   */
+  static #toServiceFlag(value, day) {
+    if (value === null || value === undefined || value === '') {
+      return false;
+    }
+
+    if (value === true || value === 1 || value === '1') {
+      return true;
+    }
+
+    if (value === false || value === 0 || value === '0') {
+      return false;
+    }
+
+    throw new Error(`Invalid ${day} value: must be 0 or 1`);
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Update the updatedAt timestamp to current time
+   */
+  touch() {
+    this.#updatedAt = new Date();
+  }
+
+  /**
+   * Check if a date is within the calendar range
+   * @param {string} date - Date (YYYYMMDD)
+   * @returns {boolean}
+   */
+  isInEffect(date) {
+    return date >= this.#startDate && date <= this.#endDate;
+  }
+
+  /**
+   * Check if the weekly pattern includes a day
+   * @param {string} weekday - Day name ('monday' ... 'sunday')
+   * @returns {boolean}
+   */
+  runsOnWeekday(weekday) {
+    return WEEKDAYS.includes(weekday) && this[weekday] === true;
+  }
+
+  /**
+   * Check if service runs on a date (weekly pattern and range only,
+   * calendar_dates exceptions are applied by the caller)
+   * @param {string} date - Date (YYYYMMDD)
+   * @returns {boolean}
+   */
+  runsOn(date) {
+    return this.isInEffect(date) && this.runsOnWeekday(Calendar.weekdayOf(date));
+  }
+
+  /**
+   * Days of the week with service
+   * @returns {string[]}
+   */
+  getServiceDays() {
+    return WEEKDAYS.filter(weekday => this[weekday]);
+  }
+
+  /**
+   * Convert calendar to JSON (public fields only)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.#id,
+      monday: this.#monday,
+      tuesday: this.#tuesday,
+      wednesday: this.#wednesday,
+      thursday: this.#thursday,
+      friday: this.#friday,
+      saturday: this.#saturday,
+      sunday: this.#sunday,
+      startDate: this.#startDate,
+      endDate: this.#endDate,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Convert calendar to database object
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      id: this.#id,
+      monday: this.#monday,
+      tuesday: this.#tuesday,
+      wednesday: this.#wednesday,
+      thursday: this.#thursday,
+      friday: this.#friday,
+      saturday: this.#saturday,
+      sunday: this.#sunday,
+      startDate: this.#startDate,
+      endDate: this.#endDate,
+      createdAt: this.#createdAt,
+      updatedAt: this.#updatedAt
+    };
+  }
+
+  /**
+   * Convert calendar to GTFS format (for calendar.txt export)
+   * @returns {Object}
+   */
+  toGTFS() {
+    const gtfs = { service_id: this.#id };
+
+    WEEKDAYS.forEach(weekday => {
+      gtfs[weekday] = this[weekday] ? '1' : '0';
+    });
+
+    gtfs.start_date = this.#startDate;
+    gtfs.end_date = this.#endDate;
+
+    return gtfs;
+  }
+
+  /**
+   * Create Calendar instance from database document
+   * @param {Object} doc - Database document
+   * @returns {Calendar}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create Calendar from null/undefined document');
+    }
+
+    return new Calendar({
+      id: doc.id || doc._id,
+      monday: doc.monday,
+      tuesday: doc.tuesday,
+      wednesday: doc.wednesday,
+      thursday: doc.thursday,
+      friday: doc.friday,
+      saturday: doc.saturday,
+      sunday: doc.sunday,
+      startDate: doc.startDate,
+      endDate: doc.endDate,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  /**
+   * Create Calendar instance from GTFS data (calendar.txt row)
+   * @param {Object} gtfsRow - GTFS calendar.txt row
+   * @returns {Calendar}
+   */
+  static fromGTFS(gtfsRow) {
+    if (!gtfsRow) {
+      throw new Error('Cannot create Calendar from null/undefined GTFS row');
+    }
+
+    return new Calendar({
+      id: gtfsRow.service_id,
+      monday: gtfsRow.monday,
+      tuesday: gtfsRow.tuesday,
+      wednesday: gtfsRow.wednesday,
+      thursday: gtfsRow.thursday,
+      friday: gtfsRow.friday,
+      saturday: gtfsRow.saturday,
+      sunday: gtfsRow.sunday,
+      startDate: gtfsRow.start_date,
+      endDate: gtfsRow.end_date
+    });
+  }
+
+  /**
+   * Day of the week of a date
+   * @param {string} date - Date (YYYYMMDD)
+   * @returns {string} Day name ('monday' ... 'sunday')
+   */
+  static weekdayOf(date) {
+    const day = new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(4, 6)) - 1, Number(date.slice(6, 8)))).getUTCDay();
+    return WEEKDAYS[(day + 6) % 7];
+  }
+
+  /**
+   * Get the Firestore collection name for calendars
+   * @returns {string}
+   */
+  static collection() {
+    return 'gtfs_calendars';
+  }
+
+  /**
+   * Get the days of the week, in calendar.txt column order
+   * @returns {string[]}
+   */
+  static getWeekdays() {
+    return [...WEEKDAYS];
+  }
+}
+
+module.exports = Calendar;
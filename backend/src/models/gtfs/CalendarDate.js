@@ -0,0 +1,274 @@
+/**
+ * CalendarDate Model (GTFS Standard)
+ *
+ * Represents an exception to a service calendar on a single date:
+ * service added (e.g. a special event) or removed (e.g. a holiday).
+ * Based on GTFS calendar_dates.txt specification.
+ * https://gtfs.org/schedule/reference/#calendar_datestxt
+ */
+
+const { validateEnum } = require('../../utils/validation');
+const { toGtfsDate } = require('../../utils/time');
+
+/**
+ * Exception types
+ * 1: Service has been added for the date
+ * 2: Service has been removed for the date
+ */
+const EXCEPTION_TYPES = ['1', '2'];
+
+/**
+ * CalendarDate Class
+ *
+ * Encapsulates calendar exception data with validation.
+ * Maps to GTFS calendar_dates.txt file.
+ */
+class CalendarDate {
+  // Private fields
+  #id;
+  #serviceId;
+  #date;
+  #exceptionType;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * Create a new CalendarDate instance
+   * @param {Object} data - CalendarDate data
+   * @param {string} [data.id] - CalendarDate ID (default: CalendarDate.buildId(serviceId, date))
+   * @param {string} data.serviceId - Service ID
+   * @param {string} data.date - Date of the exception (YYYYMMDD or YYYY-MM-DD)
+   * @param {string} data.exceptionType - Exception type (1 added, 2 removed)
+   * @param {Date|string} [data.createdAt] - Creation timestamp
+   * @param {Date|string} [data.updatedAt] - Last update timestamp
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('CalendarDate data must be a valid object');
+    }
+
+    this.serviceId = data.serviceId;
+    this.date = data.date;
+    this.exceptionType = data.exceptionType;
+
+    this.#id = data.id ? String(data.id) : CalendarDate.buildId(this.#serviceId, this.#date);
+
+    // Set timestamps
+    this.#createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.#updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return this.#id;
+  }
+
+  get serviceId() {
+    return this.#serviceId;
+  }
+
+  get date() {
+    return this.#date;
+  }
+
+  get exceptionType() {
+    return this.#exceptionType;
+  }
+
+  get createdAt() {
+    return this.#createdAt;
+  }
+
+  get updatedAt() {
+    return this.#updatedAt;
+  }
+
+  // ============================================
+  // Setters with Validation
+  // ============================================
+
+  set serviceId(value) {
+    if (!value) {
+      throw new Error('Service ID is required');
+    }
+    this.#serviceId = String(value);
+  }
+
+  set date(value) {
+    const date = toGtfsDate(value);
+    if (!date) {
+      throw new Error('Calendar date must be a valid date (YYYYMMDD)');
+    }
+    this.#date = date;
+  }
+
+  set exceptionType(value) {
+    if (value === null || value === undefined || value === '') {
+      throw new Error('Exception type is required');
+    }
+
+    const stringValue = String(value);
+
+    try {
+      validateEnum(stringValue, EXCEPTION_TYPES, 'exception_type');
+    } catch (error) {
+      throw new Error(`Invalid exception type: ${error.message}`);
+    }
+
+    this.#exceptionType = stringValue;
+  }
+
+  set createdAt(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid createdAt date');
+    }
+    this.#createdAt = date;
+  }
+
+  set updatedAt(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid updatedAt date');
+    }
+    this.#updatedAt = date;
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Update the updatedAt timestamp to current time
+   */
+  touch() {
+    this.#updatedAt = new Date();
+  }
+
+  /**
+   * Check if service is added on the date
+   * @returns {boolean}
+   */
+  isAdded() {
+    return this.#exceptionType === '1';
+  }
+
+  /**
+   * Check if service is removed on the date
+   * @returns {boolean}
+   */
+  isRemoved() {
+    return this.#exceptionType === '2';
+  }
+
+  /**
+   * Convert calendar date to JSON (public fields only)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.#id,
+      serviceId: this.#serviceId,
+      date: this.#date,
+      exceptionType: this.#exceptionType,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Convert calendar date to database object
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      id: this.#id,
+      serviceId: this.#serviceId,
+      date: this.#date,
+      exceptionType: this.#exceptionType,
+      createdAt: this.#createdAt,
+      updatedAt: this.#updatedAt
+    };
+  }
+
+  /**
+   * Convert calendar date to GTFS format (for calendar_dates.txt export)
+   * @returns {Object}
+   */
+  toGTFS() {
+    return {
+      service_id: this.#serviceId,
+      date: this.#date,
+      exception_type: this.#exceptionType
+    };
+  }
+
+  /**
+   * Create CalendarDate instance from database document
+   * @param {Object} doc - Database document
+   * @returns {CalendarDate}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create CalendarDate from null/undefined document');
+    }
+
+    return new CalendarDate({
+      id: doc.id || doc._id,
+      serviceId: doc.serviceId,
+      date: doc.date,
+      exceptionType: doc.exceptionType,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  /**
+   * Create CalendarDate instance from GTFS data (calendar_dates.txt row)
+   * @param {Object} gtfsRow - GTFS calendar_dates.txt row
+   * @returns {CalendarDate}
+   */
+  static fromGTFS(gtfsRow) {
+    if (!gtfsRow) {
+      throw new Error('Cannot create CalendarDate from null/undefined GTFS row');
+    }
+
+    return new CalendarDate({
+      serviceId: gtfsRow.service_id,
+      date: gtfsRow.date,
+      exceptionType: gtfsRow.exception_type
+    });
+  }
+
+  /**
+   * Build the document ID of a calendar date
+   * (a service has at most one exception per date)
+   * @param {string} serviceId - Service ID
+   * @param {string} date - Date (YYYYMMDD)
+   * @returns {string}
+   */
+  static buildId(serviceId, date) {
+    return `${serviceId}_${date}`;
+  }
+
+  /**
+   * Get the Firestore collection name for calendar dates
+   * @returns {string}
+   */
+  static collection() {
+    return 'gtfs_calendar_dates';
+  }
+
+  /**
+   * Get allowed exception types
+   * @returns {string[]}
+   */
+  static getExceptionTypes() {
+    return [...EXCEPTION_TYPES];
+  }
+}
+
+module.exports = CalendarDate;
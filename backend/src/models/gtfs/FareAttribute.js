@@ -0,0 +1,369 @@
+/**
+ * FareAttribute Model (GTFS Standard)
+ *
+ * Represents a fare class: its price, currency and transfer policy.
+ * Which trips it applies to is set by fare rules (routes and zones).
+ * Based on GTFS fare_attributes.txt specification.
+ * https://gtfs.org/schedule/reference/#fare_attributestxt
+ */
+
+const { validateEnum } = require('../../utils/validation');
+
+/**
+ * Payment methods
+ * 0: Fare is paid on board
+ * 1: Fare must be paid before boarding
+ */
+const PAYMENT_METHODS = ['0', '1'];
+
+/**
+ * Transfers permitted on the fare
+ * 0: No transfers
+ * 1: One transfer
+ * 2: Two transfers
+ * (empty/null: unlimited transfers)
+ */
+const TRANSFER_VALUES = ['0', '1', '2'];
+
+/**
+ * ISO 4217 currency code
+ */
+const CURRENCY_REGEX = /^[A-Z]{3}$/;
+
+/**
+ * FareAttribute Class
+ *
+ * Encapsulates fare data with validation.
+ * Maps to GTFS fare_attributes.txt file.
+ */
+class FareAttribute {
+  // Private fields
+  #id;
+  #price;
+  #currencyType;
+  #paymentMethod;
+  #transfers;
+  #agencyId;
+  #transferDuration;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * Create a new FareAttribute instance
+   * @param {Object} data - FareAttribute data
+   * @param {string} data.id - Fare ID (referenced by fare rules)
+   * @param {number|string} data.price - Fare price, in currencyType units
+   * @param {string} data.currencyType - Currency (ISO 4217, e.g. "USD")
+   * @param {string} data.paymentMethod - Payment method (0 on board, 1 before boarding)
+   * @param {string|null} [data.transfers] - Transfers permitted (0, 1, 2; null unlimited)
+   * @param {string} [data.agencyId] - Agency ID (feeds with several agencies)
+   * @param {number|string} [data.transferDuration] - Seconds a transfer is valid
+   * @param {Date|string} [data.createdAt] - Creation timestamp
+   * @param {Date|string} [data.updatedAt] - Last update timestamp
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('FareAttribute data must be a valid object');
+    }
+
+    this.id = data.id;
+    this.price = data.price;
+    this.currencyType = data.currencyType;
+    this.paymentMethod = data.paymentMethod;
+    this.transfers = data.transfers ?? null;
+    this.agencyId = data.agencyId || null;
+    this.transferDuration = data.transferDuration ?? null;
+
+    // Set timestamps
+    this.#createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.#updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return this.#id;
+  }
+
+  get price() {
+    return this.#price;
+  }
+
+  get currencyType() {
+    return this.#currencyType;
+  }
+
+  get paymentMethod() {
+    return this.#paymentMethod;
+  }
+
+  get transfers() {
+    return this.#transfers;
+  }
+
+  get agencyId() {
+    return this.#agencyId;
+  }
+
+  get transferDuration() {
+    return this.#transferDuration;
+  }
+
+  get createdAt() {
+    return this.#createdAt;
+  }
+
+  get updatedAt() {
+    return this.#updatedAt;
+  }
+
+  // ============================================
+  // Setters with Validation
+  // ============================================
+
+  set id(value) {
+    if (!value) {
+      throw new Error('Fare ID is required');
+    }
+    this.#id = String(value);
+  }
+
+  set price(value) {
+    const price = Number(value);
+
+    if (value === null || value === undefined || value === '' || !Number.isFinite(price) || price < 0) {
+      throw new Error('Fare price must be a non-negative number');
+    }
+
+    this.#price = price;
+  }
+
+  set currencyType(value) {
+    const currency = typeof value === 'string' ? value.trim().toUpperCase() : '';
+
+    if (!CURRENCY_REGEX.test(currency)) {
+      throw new Error('Currency type must be an ISO 4217 code (e.g. USD)');
+    }
+
+    this.#currencyType = currency;
+  }
+
+  set paymentMethod(value) {
+    if (value === null || value === undefined || value === '') {
+      throw new Error('Payment method is required');
+    }
+
+    const stringValue = String(value);
+
+    try {
+      validateEnum(stringValue, PAYMENT_METHODS, 'payment_method');
+    } catch (error) {
+      throw new Error(`Invalid payment method: ${error.message}`);
+    }
+
+    this.#paymentMethod = stringValue;
+  }
+
+  set transfers(value) {
+    if (value === null || value === undefined || value === '') {
+      this.#transfers = null;
+      return;
+    }
+
+    const stringValue = String(value);
+
+    try {
+      validateEnum(stringValue, TRANSFER_VALUES, 'transfers');
+    } catch (error) {
+      throw new Error(`Invalid transfers: ${error.message}`);
+    }
+
+    this.#transfers = stringValue;
+  }
+
+  set agencyId(value) {
+    this.#agencyId = value ? String(value) : null;
+  }
+
+  set transferDuration(value) {
+    if (value === null || value === undefined || value === '') {
+      this.#transferDuration = null;
+      return;
+    }
+
+    const duration = Number(value);
+
+    if (!Number.isInteger(duration) || duration < 0) {
+      throw new Error('Transfer duration must be a non-negative integer (seconds)');
+    }
+
+    this.#transferDuration = duration;
+  }
+
+  set createdAt(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid createdAt date');
+    }
+    this.#createdAt = date;
+  }
+
+  set updatedAt(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid updatedAt date');
+    }
+    this.#updatedAt = date;
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Update the updatedAt timestamp to current time
+   */
+  touch() {
+    this.#updatedAt = new Date();
+  }
+
+  /**
+   * Check if the fare is paid on board
+   * @returns {boolean}
+   */
+  isPaidOnBoard() {
+    return this.#paymentMethod === '0';
+  }
+
+  /**
+   * Check if the fare allows unlimited transfers
+   * @returns {boolean}
+   */
+  hasUnlimitedTransfers() {
+    return this.#transfers === null;
+  }
+
+  /**
+   * Convert fare to JSON (public fields only)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.#id,
+      price: this.#price,
+      currencyType: this.#currencyType,
+      paymentMethod: this.#paymentMethod,
+      transfers: this.#transfers,
+      agencyId: this.#agencyId,
+      transferDuration: this.#transferDuration,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Convert fare to database object
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      id: this.#id,
+      price: this.#price,
+      currencyType: this.#currencyType,
+      paymentMethod: this.#paymentMethod,
+      transfers: this.#transfers,
+      agencyId: this.#agencyId,
+      transferDuration: this.#transferDuration,
+      createdAt: this.#createdAt,
+      updatedAt: this.#updatedAt
+    };
+  }
+
+  /**
+   * Convert fare to GTFS format (for fare_attributes.txt export)
+   * @returns {Object}
+   */
+  toGTFS() {
+    return {
+      fare_id: this.#id,
+      price: this.#price,
+      currency_type: this.#currencyType,
+      payment_method: this.#paymentMethod,
+      transfers: this.#transfers ?? '',
+      agency_id: this.#agencyId || '',
+      transfer_duration: this.#transferDuration ?? ''
+    };
+  }
+
+  /**
+   * Create FareAttribute instance from database document
+   * @param {Object} doc - Database document
+   * @returns {FareAttribute}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create FareAttribute from null/undefined document');
+    }
+
+    return new FareAttribute({
+      id: doc.id || doc._id,
+      price: doc.price,
+      currencyType: doc.currencyType,
+      paymentMethod: doc.paymentMethod,
+      transfers: doc.transfers,
+      agencyId: doc.agencyId,
+      transferDuration: doc.transferDuration,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  /**
+   * Create FareAttribute instance from GTFS data (fare_attributes.txt row)
+   * @param {Object} gtfsRow - GTFS fare_attributes.txt row
+   * @returns {FareAttribute}
+   */
+  static fromGTFS(gtfsRow) {
+    if (!gtfsRow) {
+      throw new Error('Cannot create FareAttribute from null/undefined GTFS row');
+    }
+
+    return new FareAttribute({
+      id: gtfsRow.fare_id,
+      price: gtfsRow.price,
+      currencyType: gtfsRow.currency_type,
+      paymentMethod: gtfsRow.payment_method,
+      transfers: gtfsRow.transfers,
+      agencyId: gtfsRow.agency_id,
+      transferDuration: gtfsRow.transfer_duration
+    });
+  }
+
+  /**
+   * Get the Firestore collection name for fare attributes
+   * @returns {string}
+   */
+  static collection() {
+    return 'gtfs_fare_attributes';
+  }
+
+  /**
+   * Get allowed payment methods
+   * @returns {string[]}
+   */
+  static getPaymentMethods() {
+    return [...PAYMENT_METHODS];
+  }
+
+  /**
+   * Get allowed transfers values (null is unlimited)
+   * @returns {string[]}
+   */
+  static getTransferValues() {
+    return [...TRANSFER_VALUES];
+  }
+}
+
+module.exports = FareAttribute;
@@ -0,0 +1,264 @@
+/**
+ * FareRule Model (GTFS Standard)
+ *
+ * Represents when a fare applies: on a route, from an origin zone, to a
+ * destination zone, or through a zone (zones are Stop.zoneId). A rule with
+ * only a fare ID applies to every trip.
+ * Based on GTFS fare_rules.txt specification.
+ * https://gtfs.org/schedule/reference/#fare_rulestxt
+ */
+
+/**
+ * Placeholder of empty fields in document IDs
+ */
+const ANY = '*';
+
+/**
+ * FareRule Class
+ *
+ * Encapsulates fare rule data with validation.
+ * Maps to GTFS fare_rules.txt file.
+ */
+class FareRule {
+  // Private fields
+  #id;
+  #fareId;
+  #routeId;
+  #originId;
+  #destinationId;
+  #containsId;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * Create a new FareRule instance
+   * @param {Object} data - FareRule data
+   * @param {string} [data.id] - FareRule ID (default: FareRule.buildId(...all fields))
+   * @param {string} data.fareId - Fare ID (fare attribute)
+   * @param {string} [data.routeId] - Route the fare applies to
+   * @param {string} [data.originId] - Origin zone ID
+   * @param {string} [data.destinationId] - Destination zone ID
+   * @param {string} [data.containsId] - Zone the trip passes through
+   * @param {Date|string} [data.createdAt] - Creation timestamp
+   * @param {Date|string} [data.updatedAt] - Last update timestamp
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('FareRule data must be a valid object');
+    }
+
+    this.fareId = data.fareId;
+    this.routeId = data.routeId;
+    this.originId = data.originId;
+    this.destinationId = data.destinationId;
+    this.containsId = data.containsId;
+
+    this.#id = data.id ? String(data.id) : FareRule.buildId(this);
+
+    // Set timestamps
+    this.#createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.#updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return this.#id;
+  }
+
+  get fareId() {
+    return this.#fareId;
+  }
+
+  get routeId() {
+    return this.#routeId;
+  }
+
+  get originId() {
+    return this.#originId;
+  }
+
+  get destinationId() {
+    return this.#destinationId;
+  }
+
+  get containsId() {
+    return this.#containsId;
+  }
+
+  get createdAt() {
+    return this.#createdAt;
+  }
+
+  get updatedAt() {
+    return this.#updatedAt;
+  }
+
+  // ============================================
+  // Setters with Validation
+  // ============================================
+
+  set fareId(value) {
+    if (!value) {
+      throw new Error('Fare ID is required');
+    }
+    this.#fareId = String(value);
+  }
+
+  set routeId(value) {
+    this.#routeId = value ? String(value) : null;
+  }
+
+  set originId(value) {
+    this.#originId = value ? String(value) : null;
+  }
+
+  set destinationId(value) {
+    this.#destinationId = value ? String(value) : null;
+  }
+
+  set containsId(value) {
+    this.#containsId = value ? String(value) : null;
+  }
+
+  set createdAt(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid createdAt date');
+    }
+    this.#createdAt = date;
+  }
+
+  set updatedAt(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid updatedAt date');
+    }
+    this.#updatedAt = date;
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Update the updatedAt timestamp to current time
+   */
+  touch() {
+    this.#updatedAt = new Date();
+  }
+
+  /**
+   * Convert fare rule to JSON (public fields only)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.#id,
+      fareId: this.#fareId,
+      routeId: this.#routeId,
+      originId: this.#originId,
+      destinationId: this.#destinationId,
+      containsId: this.#containsId,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Convert fare rule to database object
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      id: this.#id,
+      fareId: this.#fareId,
+      routeId: this.#routeId,
+      originId: this.#originId,
+      destinationId: this.#destinationId,
+      containsId: this.#containsId,
+      createdAt: this.#createdAt,
+      updatedAt: this.#updatedAt
+    };
+  }
+
+  /**
+   * Convert fare rule to GTFS format (for fare_rules.txt export)
+   * @returns {Object}
+   */
+  toGTFS() {
+    return {
+      fare_id: this.#fareId,
+      route_id: this.#routeId || '',
+      origin_id: this.#originId || '',
+      destination_id: this.#destinationId || '',
+      contains_id: this.#containsId || ''
+    };
+  }
+
+  /**
+   * Create FareRule instance from database document
+   * @param {Object} doc - Database document
+   * @returns {FareRule}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create FareRule from null/undefined document');
+    }
+
+    return new FareRule({
+      id: doc.id || doc._id,
+      fareId: doc.fareId,
+      routeId: doc.routeId,
+      originId: doc.originId,
+      destinationId: doc.destinationId,
+      containsId: doc.containsId,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  /**
+   * Create FareRule instance from GTFS data (fare_rules.txt row)
+   * @param {Object} gtfsRow - GTFS fare_rules.txt row
+   * @returns {FareRule}
+   */
+  static fromGTFS(gtfsRow) {
+    if (!gtfsRow) {
+      throw new Error('Cannot create FareRule from null/undefined GTFS row');
+    }
+
+    return new FareRule({
+      fareId: gtfsRow.fare_id,
+      routeId: gtfsRow.route_id,
+      originId: gtfsRow.origin_id,
+      destinationId: gtfsRow.destination_id,
+      containsId: gtfsRow.contains_id
+    });
+  }
+
+  /**
+   * Build the document ID of a fare rule
+   * (fare_rules.txt has no ID: a rule is identified by all its fields,
+   * empty ones as '*')
+   * @param {Object} rule - Rule fields (fareId, routeId, originId, destinationId, containsId)
+   * @returns {string}
+   */
+  static buildId({ fareId, routeId, originId, destinationId, containsId }) {
+    return [fareId, routeId, originId, destinationId, containsId]
+      .map(value => value || ANY)
+      .join('_');
+  }
+
+  /**
+   * Get the Firestore collection name for fare rules
+   * @returns {string}
+   */
+  static collection() {
+    return 'gtfs_fare_rules';
+  }
+}
+
+module.exports = FareRule;
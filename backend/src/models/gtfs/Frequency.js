@@ -0,0 +1,354 @@
+/**
+ * Frequency Model (GTFS Standard)
+ *
+ * Represents a headway-based service window of a trip ("every 10 minutes
+ * from 06:00 to 09:00"). The stop times of the trip are a template: its
+ * first stop time is shifted to each trip start of the window.
+ * Based on GTFS frequencies.txt specification.
+ * https://gtfs.org/schedule/reference/#frequenciestxt
+ */
+
+const { validateEnum } = require('../../utils/validation');
+const StopTime = require('./StopTime');
+
+/**
+ * exact_times values
+ * 0: Frequency-based trips (the headway is approximate)
+ * 1: Schedule-based trips with the exact same headway
+ */
+const EXACT_TIMES_VALUES = ['0', '1'];
+
+/**
+ * GTFS time (H:MM:SS or HH:MM:SS, past 24:00:00 after midnight)
+ */
+const TIME_REGEX = /^(\d{1,2}):([0-5]\d):([0-5]\d)$/;
+
+/**
+ * Frequency Class
+ *
+ * Encapsulates frequency data with validation.
+ * Maps to GTFS frequencies.txt file.
+ */
+class Frequency {
+  // Private fields
+  #id;
+  #tripId;
+  #startTime;
+  #endTime;
+  #headwaySecs;
+  #exactTimes;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * Create a new Frequency instance
+   * @param {Object} data - Frequency data
+   * @param {string} [data.id] - Frequency ID (default: Frequency.buildId(tripId, startTime))
+   * @param {string} data.tripId - Trip ID (the stop times template)
+   * @param {string} data.startTime - First trip start (HH:MM:SS)
+   * @param {string} data.endTime - End of the window, exclusive (HH:MM:SS)
+   * @param {number} data.headwaySecs - Seconds between trip starts
+   * @param {string} [data.exactTimes='0'] - Exact times (0 approximate, 1 exact)
+   * @param {Date|string} [data.createdAt] - Creation timestamp
+   * @param {Date|string} [data.updatedAt] - Last update timestamp
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Frequency data must be a valid object');
+    }
+
+    this.tripId = data.tripId;
+    this.startTime = data.startTime;
+    this.endTime = data.endTime;
+    this.headwaySecs = data.headwaySecs;
+    this.exactTimes = data.exactTimes ?? '0';
+
+    if (this.getEndSeconds() <= this.getStartSeconds()) {
+      throw new Error('Frequency end time must be after its start time');
+    }
+
+    this.#id = data.id ? String(data.id) : Frequency.buildId(this.#tripId, this.#startTime);
+
+    // Set timestamps
+    this.#createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.#updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return this.#id;
+  }
+
+  get tripId() {
+    return this.#tripId;
+  }
+
+  get startTime() {
+    return this.#startTime;
+  }
+
+  get endTime() {
+    return this.#endTime;
+  }
+
+  get headwaySecs() {
+    return this.#headwaySecs;
+  }
+
+  get exactTimes() {
+    return this.#exactTimes;
+  }
+
+  get createdAt() {
+    return this.#createdAt;
+  }
+
+  get updatedAt() {
+    return this.#updatedAt;
+  }
+
+  // ============================================
+  // Setters with Validation
+  // ============================================
+
+  set tripId(value) {
+    if (!value) {
+      throw new Error('Trip ID is required');
+    }
+    this.#tripId = String(value);
+  }
+
+  set startTime(value) {
+    this.#startTime = Frequency.#toTime(value, 'Start time');
+  }
+
+  set endTime(value) {
+    this.#endTime = Frequency.#toTime(value, 'End time');
+  }
+
+  set headwaySecs(value) {
+    const headway = Number(value);
+
+    if (value === null || value === undefined || value === '' || !Number.isInteger(headway) || headway <= 0) {
+      throw new Error('Headway must be a positive integer (seconds)');
+    }
+
+    this.#headwaySecs = headway;
+  }
+
+  set exactTimes(value) {
+    const stringValue = value === '' ? '0' : String(value);
+
+    try {
+      validateEnum(stringValue, EXACT_TIMES_VALUES, 'exact_times');
+    } catch (error) {
+      throw new Error(`Invalid exact times: ${error.message}`);
+    }
+
+    this.#exactTimes = stringValue;
+  }
+
+  set createdAt(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid createdAt date');
+    }
+    this.#createdAt = date;
+  }
+
+  set updatedAt(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid updatedAt date');
+    }
+    this.#updatedAt = date;
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Update the updatedAt timestamp to current time
+   */
+  touch() {
+    this.#updatedAt = new Date();
+  }
+
+  /**
+   * Check if trips run on an exact schedule (exact_times=1)
+   * @returns {boolean}
+   */
+  isExactTimes() {
+    return this.#exactTimes === '1';
+  }
+
+  /**
+   * Get the window start in seconds since midnight
+   * @returns {number}
+   */
+  getStartSeconds() {
+    return StopTime.timeToSeconds(this.#startTime);
+  }
+
+  /**
+   * Get the window end in seconds since midnight
+   * @returns {number}
+   */
+  getEndSeconds() {
+    return StopTime.timeToSeconds(this.#endTime);
+  }
+
+  /**
+   * Start of each trip of the window: start_time, then every headway
+   * while before end_time
+   * @returns {number[]} Seconds since midnight, in order
+   */
+  getTripStarts() {
+    const starts = [];
+
+    for (let seconds = this.getStartSeconds(); seconds < this.getEndSeconds(); seconds += this.#headwaySecs) {
+      starts.push(seconds);
+    }
+
+    return starts;
+  }
+
+  /**
+   * Convert frequency to JSON (public fields only)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.#id,
+      tripId: this.#tripId,
+      startTime: this.#startTime,
+      endTime: this.#endTime,
+      headwaySecs: this.#headwaySecs,
+      exactTimes: this.#exactTimes,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Convert frequency to database object
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      id: this.#id,
+      tripId: this.#tripId,
+      startTime: this.#startTime,
+      endTime: this.#endTime,
+      headwaySecs: this.#headwaySecs,
+      exactTimes: this.#exactTimes,
+      createdAt: this.#createdAt,
+      updatedAt: this.#updatedAt
+    };
+  }
+
+  /**
+   * Convert frequency to GTFS format (for frequencies.txt export)
+   * @returns {Object}
+   */
+  toGTFS() {
+    return {
+      trip_id: this.#tripId,
+      start_time: this.#startTime,
+      end_time: this.#endTime,
+      headway_secs: this.#headwaySecs,
+      exact_times: this.#exactTimes
+    };
+  }
+
+  /**
+   * Create Frequency instance from database document
+   * @param {Object} doc - Database document
+   * @returns {Frequency}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create Frequency from null/undefined document');
+    }
+
+    return new Frequency({
+      id: doc.id || doc._id,
+      tripId: doc.tripId,
+      startTime: doc.startTime,
+      endTime: doc.endTime,
+      headwaySecs: doc.headwaySecs,
+      exactTimes: doc.exactTimes,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  /**
+   * Create Frequency instance from GTFS data (frequencies.txt row)
+   * @param {Object} gtfsRow - GTFS frequencies.txt row
+   * @returns {Frequency}
+   */
+  static fromGTFS(gtfsRow) {
+    if (!gtfsRow) {
+      throw new Error('Cannot create Frequency from null/undefined GTFS row');
+    }
+
+    return new Frequency({
+      tripId: gtfsRow.trip_id,
+      startTime: gtfsRow.start_time,
+      endTime: gtfsRow.end_time,
+      headwaySecs: gtfsRow.headway_secs,
+      exactTimes: gtfsRow.exact_times || '0'
+    });
+  }
+
+  /**
+   * Build the document ID of a frequency
+   * (windows of a trip do not overlap, so they start at different times)
+   * @param {string} tripId - Trip ID
+   * @param {string} startTime - Window start (HH:MM:SS)
+   * @returns {string}
+   */
+  static buildId(tripId, startTime) {
+    return `${tripId}_${startTime.replace(/:/g, '')}`;
+  }
+
+  /**
+   * Get the Firestore collection name for frequencies
+   * @returns {string}
+   */
+  static collection() {
+    return 'gtfs_frequencies';
+  }
+
+  /**
+   * Get allowed exact_times values
+   * @returns {string[]}
+   */
+  static getExactTimesValues() {
+    return [...EXACT_TIMES_VALUES];
+  }
+
+  /**
+   * Validate a GTFS time and pad it to HH:MM:SS
+   * @private
+   * @param {string} value - Time (H:MM:SS or HH:MM:SS)
+   * @param {string} label - Field name for the error message
+   * @returns {string}
+   */
+  static #toTime(value, label) {
+    const match = TIME_REGEX.exec(typeof value === 'string' ? value.trim() : '');
+
+    if (!match) {
+      throw new Error(`${label} must be in HH:MM:SS format`);
+    }
+
+    return `${match[1].padStart(2, '0')}:${match[2]}:${match[3]}`;
+  }
+}
+
+module.exports = Frequency;
@@ -0,0 +1,284 @@
+/**
+ * Shape Model (GTFS Standard)
+ *
+ * Represents the path a vehicle travels along a route.
+ * Based on GTFS shapes.txt specification.
+ * https://gtfs.org/schedule/reference/#shapestxt
+ *
+ * shapes.txt has one row per point; a Shape groups all rows that share
+ * a shape_id, ordered by shape_pt_sequence.
+ */
+
+const { validateCoordinates } = require('../../utils/validation');
+const { cumulativeDistances } = require('../../utils/shapes');
+
+/**
+ * Minimum number of points of a drawable path
+ */
+const MIN_POINTS = 2;
+
+/**
+ * Shape Class
+ *
+ * Encapsulates shape data with validation.
+ * Maps to GTFS shapes.txt file.
+ */
+class Shape {
+  // Private fields
+  #id;
+  #points;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * Create a new Shape instance
+   * @param {Object} data - Shape data
+   * @param {string} data.id - Shape ID
+   * @param {Object[]} data.points - Path points (sorted by sequence)
+   * @param {number} data.points[].lat - Latitude
+   * @param {number} data.points[].lng - Longitude
+   * @param {number} data.points[].sequence - Point order (non-negative integer)
+   * @param {number} [data.points[].distTraveled] - Distance from the first point
+   * @param {Date|string} [data.createdAt] - Creation timestamp
+   * @param {Date|string} [data.updatedAt] - Last update timestamp
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Shape data must be a valid object');
+    }
+
+    if (data.id) {
+      this.#id = String(data.id);
+    }
+
+    this.points = data.points;
+
+    // Set timestamps
+    this.#createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.#updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+  }
+
+  // ============================================
+  // Getters
+  // ============================================
+
+  get id() {
+    return this.#id;
+  }
+
+  get points() {
+    return this.#points.map(point => ({ ...point }));
+  }
+
+  get createdAt() {
+    return this.#createdAt;
+  }
+
+  get updatedAt() {
+    return this.#updatedAt;
+  }
+
+  // ============================================
+  // Setters with Validation
+  // ============================================
+
+  set id(value) {
+    if (!value) {
+      throw new Error('Shape ID is required');
+    }
+    this.#id = String(value);
+  }
+
+  set points(value) {
+    if (!Array.isArray(value) || value.length < MIN_POINTS) {
+      throw new Error(`Shape must have at least ${MIN_POINTS} points`);
+    }
+
+    const points = value.map(point => {
+      const lat = Number(point.lat);
+      const lng = Number(point.lng);
+      const sequence = Number(point.sequence);
+
+      validateCoordinates(lat, lng);
+
+      if (!Number.isInteger(sequence) || sequence < 0) {
+        throw new Error('Shape point sequence must be a non-negative integer');
+      }
+
+      const distTraveled = point.distTraveled === null || point.distTraveled === undefined || point.distTraveled === ''
+        ? null
+        : Number(point.distTraveled);
+
+      if (distTraveled !== null && (isNaN(distTraveled) || distTraveled < 0)) {
+        throw new Error('Shape distance traveled must be a non-negative number');
+      }
+
+      return { lat, lng, sequence, distTraveled };
+    });
+
+    points.sort((a, b) => a.sequence - b.sequence);
+
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].sequence === points[i - 1].sequence) {
+        throw new Error(`Duplicate shape point sequence: ${points[i].sequence}`);
+      }
+    }
+
+    this.#points = points;
+  }
+
+  // ============================================
+  // Methods
+  // ============================================
+
+  /**
+   * Update the updatedAt timestamp to current time
+   */
+  touch() {
+    this.#updatedAt = new Date();
+  }
+
+  /**
+   * Path as plain lat/lng pairs, in order
+   * @returns {{lat: number, lng: number}[]}
+   */
+  toPath() {
+    return this.#points.map(({ lat, lng }) => ({ lat, lng }));
+  }
+
+  /**
+   * Length of the path
+   * @returns {number} Meters
+   */
+  getLengthMeters() {
+    const distances = cumulativeDistances(this.#points);
+    return distances[distances.length - 1];
+  }
+
+  /**
+   * Convert shape to a GeoJSON Feature with a LineString geometry
+   * (coordinates are [lng, lat], RFC 7946)
+   * @returns {Object}
+   */
+  toGeoJSON() {
+    const hasDistances = this.#points.some(point => point.distTraveled !== null);
+
+    return {
+      type: 'Feature',
+      id: this.#id,
+      geometry: {
+        type: 'LineString',
+        coordinates: this.#points.map(point => [point.lng, point.lat])
+      },
+      properties: {
+        shapeId: this.#id,
+        pointCount: this.#points.length,
+        lengthMeters: Math.round(this.getLengthMeters()),
+        shapeDistTraveled: hasDistances ? this.#points.map(point => point.distTraveled) : null,
+        updatedAt: this.#updatedAt.toISOString()
+      }
+    };
+  }
+
+  /**
+   * Convert shape to JSON (public fields only)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.#id,
+      points: this.points,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Convert shape to database object
+   * @returns {Object}
+   */
+  toDatabase() {
+    return {
+      id: this.#id,
+      points: this.points,
+      createdAt: this.#createdAt,
+      updatedAt: this.#updatedAt
+    };
+  }
+
+  /**
+   * Convert shape to GTFS format (shapes.txt rows, one per point)
+   * @returns {Object[]}
+   */
+  toGTFS() {
+    return this.#points.map(point => {
+      const row = {
+        shape_id: this.#id,
+        shape_pt_lat: point.lat,
+        shape_pt_lon: point.lng,
+        shape_pt_sequence: point.sequence
+      };
+
+      if (point.distTraveled !== null) {
+        row.shape_dist_traveled = point.distTraveled;
+      }
+
+      return row;
+    });
+  }
+
+  /**
+   * Create Shape instance from database document
+   * @param {Object} doc - Database document
+   * @returns {Shape}
+   */
+  static fromDatabase(doc) {
+    if (!doc) {
+      throw new Error('Cannot create Shape from null/undefined document');
+    }
+
+    return new Shape({
+      id: doc.id || doc._id,
+      points: doc.points,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  /**
+   * Create Shape instance from GTFS data (shapes.txt rows of one shape_id)
+   * @param {Object[]} gtfsRows - GTFS shapes.txt rows
+   * @returns {Shape}
+   */
+  static fromGTFS(gtfsRows) {
+    if (!Array.isArray(gtfsRows) || gtfsRows.length === 0) {
+      throw new Error('Cannot create Shape from empty GTFS rows');
+    }
+
+    const shapeId = gtfsRows[0].shape_id;
+
+    if (gtfsRows.some(row => row.shape_id !== shapeId)) {
+      throw new Error('All shape rows must share the same shape_id');
+    }
+
+    return new Shape({
+      id: shapeId,
+      points: gtfsRows.map(row => ({
+        lat: parseFloat(row.shape_pt_lat),
+        lng: parseFloat(row.shape_pt_lon),
+        sequence: parseInt(row.shape_pt_sequence, 10),
+        distTraveled: row.shape_dist_traveled
+      }))
+    });
+  }
+
+  /**
+   * Get the Firestore collection name for shapes
+   * @returns {string}
+   */
+  static collection() {
+    return 'gtfs_shapes';
+  }
+}
+
+module.exports = Shape;
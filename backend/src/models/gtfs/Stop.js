@@ -7,6 +7,7 @@
  */
 
 const { validateCoordinates, validateEnum, validateUrl } = require('../../utils/validation');
+const { encodeGeohash } = require('../../utils/geohash');
 
 /**
  * Location types (GTFS standard)
@@ -124,6 +125,14 @@ class Stop {
     return this.#lng;
   }
 
+  /**
+   * Geohash of the stop location (proximity index, see utils/geohash)
+   * @returns {string}
+   */
+  get geohash() {
+    return encodeGeohash(this.#lat, this.#lng);
+  }
+
   get zoneId() {
     return this.#zoneId;
   }
@@ -440,6 +449,7 @@ class Stop {
       desc: this.#desc,
       lat: this.#lat,
       lng: this.#lng,
+      geohash: this.geohash,
       zoneId: this.#zoneId,
       url: this.#url,
       locationType: this.#locationType,
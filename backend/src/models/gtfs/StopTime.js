@@ -89,7 +89,7 @@ class StopTime {
     this.stopHeadsign = data.stopHeadsign || null;
     this.pickupType = data.pickupType || '0';
     this.dropOffType = data.dropOffType || '0';
-    this.shapeDistTraveled = data.shapeDistTraveled || null;
+    this.shapeDistTraveled = data.shapeDistTraveled;
     this.timepoint = data.timepoint || '1';
 
     // Set timestamps
@@ -268,7 +268,8 @@ class StopTime {
   }
 
   set shapeDistTraveled(value) {
-    if (value === null || value === undefined) {
+    // 0 is a valid distance (first stop); blank means none
+    if (value === null || value === undefined || value === '') {
       this.#shapeDistTraveled = null;
       return;
     }
@@ -513,6 +514,17 @@ class StopTime {
     });
   }
 
+  /**
+   * Build the document ID of an imported stop time
+   * (a trip visits each stop_sequence once)
+   * @param {string} tripId - Trip ID
+   * @param {number} stopSequence - stop_sequence within the trip
+   * @returns {string}
+   */
+  static buildId(tripId, stopSequence) {
+    return `${tripId}_${stopSequence}`;
+  }
+
   /**
    * Get the Firestore collection name for stop times
    * @returns {string}
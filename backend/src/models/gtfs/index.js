@@ -10,12 +10,24 @@ const Stop = require('./Stop');
 const Route = require('./Route');
 const Trip = require('./Trip');
 const StopTime = require('./StopTime');
+const Shape = require('./Shape');
+const Calendar = require('./Calendar');
+const CalendarDate = require('./CalendarDate');
+const Frequency = require('./Frequency');
+const FareAttribute = require('./FareAttribute');
+const FareRule = require('./FareRule');
 
 module.exports = {
   Agency,
   Stop,
   Route,
   Trip,
-  StopTime
+  StopTime,
+  Shape,
+  Calendar,
+  CalendarDate,
+  Frequency,
+  FareAttribute,
+  FareRule
 };
 
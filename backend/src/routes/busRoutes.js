@@ -15,6 +15,27 @@ const rateLimit = require('express-rate-limit');
 const busController = require('../controllers/busController');
 const { authenticateToken, requireAdmin } = require('../middlewares/auth');
 const { validateBody, validateQuery, validateParams } = require('../middlewares/validation');
+const Bus = require('../models/Bus');
+
+/**
+ * Maximum time window of a track query (7 days)
+ */
+const MAX_TRACK_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Maximum number of days in a daily times query
+ */
+const MAX_DAILY_TIMES_DAYS = 31;
+
+/**
+ * Local date format (YYYY-MM-DD)
+ */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Bus statuses (see the state machine in models/Bus.js)
+ */
+const STATUSES = Bus.getAllowedStatuses();
 
 /**
  * Joi Validation Schemas
@@ -25,11 +46,20 @@ const listQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   pageSize: Joi.number().integer().min(1).max(100).default(10),
   route: Joi.string().optional(),
-  status: Joi.string().valid('parked', 'moving', 'maintenance').optional(),
+  status: Joi.string().valid(...STATUSES).optional(),
   sort: Joi.string().valid('createdAt', 'licensePlate', 'unitName', 'status').default('createdAt'),
   order: Joi.string().valid('asc', 'desc').default('desc')
 });
 
+// Query parameters for nearest buses
+const nearbyQuerySchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+  radius: Joi.number().greater(0).max(50).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  route: Joi.string().optional()
+});
+
 // Position schema
 const positionSchema = Joi.object({
   lat: Joi.number().min(-90).max(90).required().messages({
@@ -60,24 +90,34 @@ const createBusSchema = Joi.object({
     'string.empty': 'Unit name is required',
     'any.required': 'Unit name is required'
   }),
-  status: Joi.string().valid('parked', 'moving', 'maintenance').required().messages({
-    'any.only': 'Status must be one of: parked, moving, maintenance',
+  status: Joi.string().valid(...STATUSES).required().messages({
+    'any.only': `Status must be one of: ${STATUSES.join(', ')}`,
     'any.required': 'Status is required'
   }),
+  statusReason: Joi.string().trim().max(500).optional().messages({
+    'string.max': 'Status reason must not exceed 500 characters'
+  }),
   route: Joi.string().allow(null, '').optional(),
   driver: Joi.string().allow(null, '').optional(),
-  movingTime: Joi.number().min(0).default(0).messages({
-    'number.min': 'Moving time cannot be negative',
-    'number.base': 'Moving time must be a number'
-  }),
-  parkedTime: Joi.number().min(0).default(0).messages({
-    'number.min': 'Parked time cannot be negative',
-    'number.base': 'Parked time must be a number'
-  }),
   isFavorite: Joi.boolean().default(false),
   position: positionSchema.optional().allow(null)
 });
 
+// Local calendar date (YYYY-MM-DD, must exist)
+const localDateSchema = label => Joi.string()
+  .pattern(DATE_PATTERN)
+  .custom((value, helpers) => {
+    const date = new Date(`${value}T00:00:00.000Z`);
+    if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'string.pattern.base': `${label} must be a date formatted as YYYY-MM-DD`,
+    'any.invalid': `${label} is not a valid date`
+  });
+
 // Update bus schema (all fields optional)
 const updateBusSchema = Joi.object({
   licensePlate: Joi.string().min(3).max(20).optional().messages({
@@ -88,23 +128,94 @@ const updateBusSchema = Joi.object({
     'string.min': 'Unit name cannot be empty',
     'string.max': 'Unit name must not exceed 50 characters'
   }),
-  status: Joi.string().valid('parked', 'moving', 'maintenance').optional().messages({
-    'any.only': 'Status must be one of: parked, moving, maintenance'
+  status: Joi.string().valid(...STATUSES).optional().messages({
+    'any.only': `Status must be one of: ${STATUSES.join(', ')}`
+  }),
+  statusReason: Joi.string().trim().max(500).optional().messages({
+    'string.max': 'Status reason must not exceed 500 characters'
   }),
   route: Joi.string().allow(null, '').optional(),
-  driver: Joi.string().allow(null, '').optional(),
-  movingTime: Joi.number().min(0).optional().messages({
-    'number.min': 'Moving time cannot be negative',
-    'number.base': 'Moving time must be a number'
+  tripId: Joi.string().trim().allow(null).optional(),
+  tripStartDate: localDateSchema('Trip start date').when('tripId', {
+    is: Joi.string().required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.unknown': 'Trip start date can only be sent with a trip ID'
   }),
-  parkedTime: Joi.number().min(0).optional().messages({
-    'number.min': 'Parked time cannot be negative',
-    'number.base': 'Parked time must be a number'
+  tripStartTime: Joi.string().pattern(/^\d{2}:[0-5]\d:[0-5]\d$/).when('tripId', {
+    is: Joi.string().required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.pattern.base': 'Trip start time must be formatted as HH:MM:SS',
+    'any.unknown': 'Trip start time can only be sent with a trip ID'
   }),
+  driver: Joi.string().allow(null, '').optional(),
   isFavorite: Joi.boolean().optional(),
   position: positionSchema.optional().allow(null)
-}).min(1).messages({
-  'object.min': 'At least one field must be provided for update'
+}).min(1).with('statusReason', 'status').messages({
+  'object.min': 'At least one field must be provided for update',
+  'object.with': 'Status reason can only be sent with a status change'
+});
+
+// Track query (replay window, max 7 days)
+const trackQuerySchema = Joi.object({
+  from: Joi.date().iso().required().messages({
+    'date.format': 'From must be an ISO 8601 date',
+    'any.required': 'From is required'
+  }),
+  to: Joi.date().iso().greater(Joi.ref('from')).required().messages({
+    'date.format': 'To must be an ISO 8601 date',
+    'date.greater': 'To must be after from',
+    'any.required': 'To is required'
+  }),
+  simplify: Joi.number().min(0).max(1000).default(0).messages({
+    'number.min': 'Simplify tolerance cannot be negative',
+    'number.max': 'Simplify tolerance must not exceed 1000 meters',
+    'number.base': 'Simplify tolerance must be a number (meters)'
+  }),
+  format: Joi.string().valid('json', 'geojson').default('json').messages({
+    'any.only': 'Format must be one of: json, geojson'
+  })
+}).custom((value, helpers) => {
+  if (value.to - value.from > MAX_TRACK_WINDOW_MS) {
+    return helpers.message('Track window cannot exceed 7 days');
+  }
+  return value;
+});
+
+// Status history query (newest first, page with before)
+const statusHistoryQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  before: Joi.date().iso().optional().messages({
+    'date.format': 'Before must be an ISO 8601 date'
+  })
+});
+
+// Stop visits query (newest first; one trip instance with tripId + serviceDate)
+const stopVisitsQuerySchema = Joi.object({
+  tripId: Joi.string().optional(),
+  serviceDate: localDateSchema('Service date').optional(),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+// Daily times query (local dates, max 31 days)
+const dailyTimesQuerySchema = Joi.object({
+  from: localDateSchema('From').optional(),
+  to: localDateSchema('To').optional()
+}).with('to', 'from').messages({
+  'object.with': 'From is required when to is provided'
+}).custom((value, helpers) => {
+  if (!value.to) {
+    return value;
+  }
+  const days = (Date.parse(value.to) - Date.parse(value.from)) / 86400000 + 1;
+  if (days < 1) {
+    return helpers.message('To must not be before from');
+  }
+  if (days > MAX_DAILY_TIMES_DAYS) {
+    return helpers.message(`Daily times cannot span more than ${MAX_DAILY_TIMES_DAYS} days`);
+  }
+  return value;
 });
 
 // Bus ID parameter schema
@@ -147,6 +258,18 @@ router.get(
   busController.listBuses
 );
 
+// GET /buses/nearby
+// Buses with a position within radius (km) of a location, nearest first
+// Auth: any authenticated user (supervisor or admin)
+// Permissions: supervisor can read, admin can read
+router.get(
+  '/nearby',
+  apiLimiter,
+  authenticateToken,
+  validateQuery(nearbyQuerySchema),
+  busController.findNearbyBuses
+);
+
 // GET /buses/:id
 // Get a single bus by ID
 // Auth: any authenticated user (supervisor or admin)
@@ -159,6 +282,70 @@ router.get(
   busController.getBusById
 );
 
+// GET /buses/:id/track
+// Stored GPS fixes of a bus between from and to (trip replay)
+// Auth: any authenticated user (supervisor or admin)
+// Permissions: supervisor can read, admin can read
+router.get(
+  '/:id/track',
+  apiLimiter,
+  authenticateToken,
+  validateParams(idParamSchema),
+  validateQuery(trackQuerySchema),
+  busController.getTrack
+);
+
+// GET /buses/:id/status-history
+// Status transitions of a bus with actor and timestamp (newest first)
+// Auth: any authenticated user (supervisor or admin)
+// Permissions: supervisor can read, admin can read
+router.get(
+  '/:id/status-history',
+  apiLimiter,
+  authenticateToken,
+  validateParams(idParamSchema),
+  validateQuery(statusHistoryQuerySchema),
+  busController.getStatusHistory
+);
+
+// GET /buses/:id/stop-visits
+// Observed arrival/departure times at the stops of the trips the bus ran (newest first)
+// Auth: any authenticated user (supervisor or admin)
+// Permissions: supervisor can read, admin can read
+router.get(
+  '/:id/stop-visits',
+  apiLimiter,
+  authenticateToken,
+  validateParams(idParamSchema),
+  validateQuery(stopVisitsQuerySchema),
+  busController.getStopVisits
+);
+
+// GET /buses/:id/predictions
+// Predicted arrivals at the remaining stops of the active trip
+// Auth: any authenticated user (supervisor or admin)
+// Permissions: supervisor can read, admin can read
+router.get(
+  '/:id/predictions',
+  apiLimiter,
+  authenticateToken,
+  validateParams(idParamSchema),
+  busController.getPredictions
+);
+
+// GET /buses/:id/daily-times
+// Seconds moving/parked/in maintenance per local day (defaults to today)
+// Auth: any authenticated user (supervisor or admin)
+// Permissions: supervisor can read, admin can read
+router.get(
+  '/:id/daily-times',
+  apiLimiter,
+  authenticateToken,
+  validateParams(idParamSchema),
+  validateQuery(dailyTimesQuerySchema),
+  busController.getDailyTimes
+);
+
 // POST /buses
 // Create a new bus
 // Auth: admin only
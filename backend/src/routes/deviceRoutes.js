@@ -0,0 +1,215 @@
+/**
+ * Device Routes
+ *
+ * GPS tracker registry endpoints with Joi validation and role-based access control.
+ * A device's serial is the deviceId it reports in GPS fixes; ingestion uses
+ * the registry to resolve which bus a fix belongs to.
+ *
+ * Permissions:
+ * - admin: full CRUD, bus assignment and API key management
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const deviceController = require('../controllers/deviceController');
+const { authenticateToken, requireAdmin } = require('../middlewares/auth');
+const { validateBody, validateQuery, validateParams } = require('../middlewares/validation');
+
+/**
+ * Joi Validation Schemas
+ */
+
+// Query parameters for list devices
+const listQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(10),
+  busId: Joi.string().optional(),
+  isActive: Joi.boolean().optional()
+});
+
+// Hardware fields shared by create and update
+const hardwareFields = {
+  imei: Joi.string().pattern(/^\d{15}$/).allow(null, '').optional().messages({
+    'string.pattern.base': 'IMEI must be exactly 15 digits'
+  }),
+  model: Joi.string().max(100).allow(null, '').optional(),
+  firmwareVersion: Joi.string().max(50).allow(null, '').optional(),
+  simIccid: Joi.string().pattern(/^\d{18,22}F?$/i).allow(null, '').optional().messages({
+    'string.pattern.base': 'SIM ICCID must be 18 to 22 digits'
+  }),
+  simPhoneNumber: Joi.string().max(20).allow(null, '').optional(),
+  isActive: Joi.boolean().optional(),
+  assignmentNote: Joi.string().max(200).optional()
+};
+
+// Create device schema
+const createDeviceSchema = Joi.object({
+  serial: Joi.string().trim().pattern(/^[A-Za-z0-9_:-]{1,64}$/).required().messages({
+    'string.pattern.base': 'Serial may only contain letters, digits, dashes, underscores and colons (max 64)',
+    'string.empty': 'Serial is required',
+    'any.required': 'Serial is required'
+  }),
+  ...hardwareFields,
+  busId: Joi.string().allow(null).optional()
+});
+
+// Update device schema (all fields optional, serial is immutable)
+const updateDeviceSchema = Joi.object({
+  ...hardwareFields,
+  busId: Joi.string().allow(null).optional()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Device ID parameter schema
+const idParamSchema = Joi.object({
+  id: Joi.string().required().messages({
+    'string.empty': 'Device ID is required',
+    'any.required': 'Device ID is required'
+  })
+});
+
+// Device + API key ID parameter schema
+const keyParamSchema = Joi.object({
+  id: Joi.string().required().messages({
+    'string.empty': 'Device ID is required',
+    'any.required': 'Device ID is required'
+  }),
+  keyId: Joi.string().required().messages({
+    'string.empty': 'API key ID is required',
+    'any.required': 'API key ID is required'
+  })
+});
+
+/**
+ * Rate Limiters
+ */
+const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many requests from this IP, please try again later',
+      type: 'RATE_LIMIT_EXCEEDED'
+    });
+  }
+});
+
+/**
+ * Routes
+ */
+
+// GET /devices
+// List registered devices with pagination and filters
+// Auth: admin only
+router.get(
+  '/',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateQuery(listQuerySchema),
+  deviceController.listDevices
+);
+
+// GET /devices/:id
+// Get a single device by ID
+// Auth: admin only
+router.get(
+  '/:id',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateParams(idParamSchema),
+  deviceController.getDeviceById
+);
+
+// GET /devices/:id/assignments
+// Bus assignment history of a device (newest first)
+// Auth: admin only
+router.get(
+  '/:id/assignments',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateParams(idParamSchema),
+  deviceController.getAssignmentHistory
+);
+
+// POST /devices
+// Register a new device (optionally assigned to a bus)
+// Auth: admin only
+router.post(
+  '/',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateBody(createDeviceSchema),
+  deviceController.createDevice
+);
+
+// PATCH /devices/:id
+// Update a device; changing busId moves it to another bus
+// Auth: admin only
+router.patch(
+  '/:id',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateParams(idParamSchema),
+  validateBody(updateDeviceSchema),
+  deviceController.updateDevice
+);
+
+// DELETE /devices/:id
+// Delete a device (assignment history is kept)
+// Auth: admin only
+router.delete(
+  '/:id',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateParams(idParamSchema),
+  deviceController.deleteDevice
+);
+
+// GET /devices/:id/keys
+// List API keys of a device (hashes are never returned)
+// Auth: admin only
+router.get(
+  '/:id/keys',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateParams(idParamSchema),
+  deviceController.listApiKeys
+);
+
+// POST /devices/:id/keys
+// Issue a new API key (gps:ingest scope), revoking the previous one
+// Auth: admin only
+router.post(
+  '/:id/keys',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateParams(idParamSchema),
+  deviceController.issueApiKey
+);
+
+// DELETE /devices/:id/keys/:keyId
+// Revoke an API key
+// Auth: admin only
+router.delete(
+  '/:id/keys/:keyId',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateParams(keyParamSchema),
+  deviceController.revokeApiKey
+);
+
+module.exports = router;
@@ -0,0 +1,248 @@
+/**
+ * Geofence Routes
+ *
+ * Geofence endpoints (terminals, depots, restricted zones) with Joi
+ * validation and role-based access control. Every ingested GPS fix is
+ * evaluated against the active geofences; crossings are stored as
+ * enter/exit events.
+ *
+ * Permissions:
+ * - supervisor: read geofences and events
+ * - admin: full CRUD
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const geofenceController = require('../controllers/geofenceController');
+const { authenticateToken, requireAdmin } = require('../middlewares/auth');
+const { validateBody, validateQuery, validateParams } = require('../middlewares/validation');
+const Geofence = require('../models/Geofence');
+
+/**
+ * Geofence types and shapes (see models/Geofence.js)
+ */
+const TYPES = Geofence.getAllowedTypes();
+const SHAPES = Geofence.getAllowedShapes();
+
+/**
+ * Joi Validation Schemas
+ */
+
+// Query parameters for list geofences
+const listQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(10),
+  type: Joi.string().valid(...TYPES).optional(),
+  isActive: Joi.boolean().optional()
+});
+
+// Query parameters for list events (newest first, page with to)
+const eventsQuerySchema = Joi.object({
+  busId: Joi.string().optional(),
+  geofenceId: Joi.string().optional(),
+  from: Joi.date().iso().optional().messages({
+    'date.format': 'From must be an ISO 8601 date'
+  }),
+  to: Joi.date().iso().optional().messages({
+    'date.format': 'To must be an ISO 8601 date'
+  }),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+}).custom((value, helpers) => {
+  if (value.from && value.to && value.to <= value.from) {
+    return helpers.message('To must be after from');
+  }
+  return value;
+});
+
+// Point schema
+const pointSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required().messages({
+    'number.min': 'Latitude must be between -90 and 90',
+    'number.max': 'Latitude must be between -90 and 90',
+    'number.base': 'Latitude must be a number',
+    'any.required': 'Latitude is required'
+  }),
+  lng: Joi.number().min(-180).max(180).required().messages({
+    'number.min': 'Longitude must be between -180 and 180',
+    'number.max': 'Longitude must be between -180 and 180',
+    'number.base': 'Longitude must be a number',
+    'any.required': 'Longitude is required'
+  })
+});
+
+// Fields shared by create and update
+const geofenceFields = {
+  name: Joi.string().trim().min(1).max(100).messages({
+    'string.min': 'Name cannot be empty',
+    'string.max': 'Name must not exceed 100 characters',
+    'string.empty': 'Name is required'
+  }),
+  type: Joi.string().valid(...TYPES).messages({
+    'any.only': `Type must be one of: ${TYPES.join(', ')}`
+  }),
+  shape: Joi.string().valid(...SHAPES).messages({
+    'any.only': `Shape must be one of: ${SHAPES.join(', ')}`
+  }),
+  polygon: Joi.array().items(pointSchema).min(3).max(500).messages({
+    'array.min': 'Polygon must have at least 3 points',
+    'array.max': 'Polygon must not exceed 500 points'
+  }),
+  center: pointSchema,
+  radius: Joi.number().min(10).max(50000).messages({
+    'number.min': 'Radius must be at least 10 meters',
+    'number.max': 'Radius must not exceed 50000 meters',
+    'number.base': 'Radius must be a number (meters)'
+  }),
+  autoPark: Joi.boolean(),
+  isActive: Joi.boolean()
+};
+
+// Create geofence schema (geometry fields depend on shape)
+const createGeofenceSchema = Joi.object({
+  ...geofenceFields,
+  name: geofenceFields.name.required().messages({ 'any.required': 'Name is required' }),
+  type: geofenceFields.type.required().messages({ 'any.required': 'Type is required' }),
+  shape: geofenceFields.shape.required().messages({ 'any.required': 'Shape is required' }),
+  polygon: geofenceFields.polygon.when('shape', {
+    is: 'polygon',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.required': 'Polygon is required for polygon geofences',
+    'any.unknown': 'Polygon is only allowed for polygon geofences'
+  }),
+  center: geofenceFields.center.when('shape', {
+    is: 'circle',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.required': 'Center is required for circle geofences',
+    'any.unknown': 'Center is only allowed for circle geofences'
+  }),
+  radius: geofenceFields.radius.when('shape', {
+    is: 'circle',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.required': 'Radius is required for circle geofences',
+    'any.unknown': 'Radius is only allowed for circle geofences'
+  }),
+  autoPark: geofenceFields.autoPark.when('type', {
+    not: 'depot',
+    then: Joi.valid(false)
+  }).messages({
+    'any.only': 'Only depot geofences can set buses to parked'
+  })
+});
+
+// Update geofence schema (all fields optional; geometry is checked against the stored shape)
+const updateGeofenceSchema = Joi.object(geofenceFields)
+  .min(1)
+  .oxor('polygon', 'center')
+  .oxor('polygon', 'radius')
+  .messages({
+    'object.min': 'At least one field must be provided for update',
+    'object.oxor': 'Send either a polygon or a circle (center/radius), not both'
+  });
+
+// Geofence ID parameter schema
+const idParamSchema = Joi.object({
+  id: Joi.string().required().messages({
+    'string.empty': 'Geofence ID is required',
+    'any.required': 'Geofence ID is required'
+  })
+});
+
+/**
+ * Rate Limiters
+ */
+const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many requests from this IP, please try again later',
+      type: 'RATE_LIMIT_EXCEEDED'
+    });
+  }
+});
+
+/**
+ * Routes
+ */
+
+// GET /geofences
+// List geofences with pagination and filters
+// Auth: any authenticated user (supervisor or admin)
+router.get(
+  '/',
+  apiLimiter,
+  authenticateToken,
+  validateQuery(listQuerySchema),
+  geofenceController.listGeofences
+);
+
+// GET /geofences/events
+// Enter/exit events, newest first (filter by bus, geofence and time)
+// Auth: any authenticated user (supervisor or admin)
+router.get(
+  '/events',
+  apiLimiter,
+  authenticateToken,
+  validateQuery(eventsQuerySchema),
+  geofenceController.listEvents
+);
+
+// GET /geofences/:id
+// Get a single geofence by ID
+// Auth: any authenticated user (supervisor or admin)
+router.get(
+  '/:id',
+  apiLimiter,
+  authenticateToken,
+  validateParams(idParamSchema),
+  geofenceController.getGeofenceById
+);
+
+// POST /geofences
+// Create a geofence (polygon or circle)
+// Auth: admin only
+router.post(
+  '/',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateBody(createGeofenceSchema),
+  geofenceController.createGeofence
+);
+
+// PATCH /geofences/:id
+// Update a geofence
+// Auth: admin only
+router.patch(
+  '/:id',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateParams(idParamSchema),
+  validateBody(updateGeofenceSchema),
+  geofenceController.updateGeofence
+);
+
+// DELETE /geofences/:id
+// Delete a geofence (its events are kept)
+// Auth: admin only
+router.delete(
+  '/:id',
+  apiLimiter,
+  authenticateToken,
+  requireAdmin,
+  validateParams(idParamSchema),
+  geofenceController.deleteGeofence
+);
+
+module.exports = router;
@@ -1,35 +1,144 @@
 /**
  * GPS Routes
  *
- * Reserved for future GPS data ingestion.
- * Currently returns 501 Not Implemented for all endpoints.
+ * GPS data ingestion endpoints for tracking devices.
+ *
+ * - Trackers authenticate with a per-device API key (X-API-Key, gps:ingest scope)
+ * - Bus resolved from the device registry (deviceId = registered serial)
+ * - Deduplication by deviceId + timestamp
+ * - Per-device rate limiting (~1 Hz) for live fixes, duplicates excepted
+ * - Batch uploads for store-and-forward devices
+ * - Data retention: config.gps.GPS_RETENTION_DAYS (Firestore TTL on expiresAt)
  */
 
 const express = require('express');
-const { authenticateToken } = require('../middlewares/auth');
+const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const gpsController = require('../controllers/gpsController');
+const { authenticateDeviceOrToken } = require('../middlewares/deviceAuth');
+const { validateBody } = require('../middlewares/validation');
 
 const router = express.Router();
 
 /**
- * POST /api/v1/gps/ingest
- * Ingest GPS data from tracking device
- * 
- * RESERVED - NOT YET IMPLEMENTED
- * Returns 501 Not Implemented
+ * Maximum number of fixes accepted in one batch upload
  */
-router.post('/ingest', authenticateToken, (req, res) => {
-  res.status(501).json({
-    error: 'Not Implemented',
-    type: 'NOT_IMPLEMENTED',
-    message: 'GPS ingestion endpoint is reserved for future implementation',
-    plannedFeatures: [
-      'Deduplication by deviceId + timestamp',
-      'Per-device rate limiting (~1 Hz)',
-      'Data retention: 30 days (Firestore TTL)',
-      'Real-time position updates'
-    ],
-    documentation: 'See README.md for implementation details'
-  });
+const MAX_BATCH_SIZE = 1000;
+
+/**
+ * Joi Validation Schemas
+ */
+
+// Single GPS fix schema
+const fixSchema = Joi.object({
+  busId: Joi.string().optional().messages({
+    'string.empty': 'Bus ID cannot be empty'
+  }),
+  deviceId: Joi.string().trim().pattern(/^[A-Za-z0-9_:-]{1,64}$/).required().messages({
+    'string.pattern.base': 'Device ID may only contain letters, digits, dashes, underscores and colons (max 64)',
+    'string.empty': 'Device ID is required',
+    'any.required': 'Device ID is required'
+  }),
+  timestamp: Joi.alternatives().try(Joi.date().iso(), Joi.number().integer().min(0)).required().messages({
+    'alternatives.match': 'Timestamp must be an ISO 8601 date or epoch milliseconds',
+    'any.required': 'Timestamp is required'
+  }),
+  lat: Joi.number().min(-90).max(90).required().messages({
+    'number.min': 'Latitude must be between -90 and 90',
+    'number.max': 'Latitude must be between -90 and 90',
+    'number.base': 'Latitude must be a number',
+    'any.required': 'Latitude is required'
+  }),
+  lng: Joi.number().min(-180).max(180).required().messages({
+    'number.min': 'Longitude must be between -180 and 180',
+    'number.max': 'Longitude must be between -180 and 180',
+    'number.base': 'Longitude must be a number',
+    'any.required': 'Longitude is required'
+  }),
+  speed: Joi.number().min(0).optional().allow(null).messages({
+    'number.min': 'Speed cannot be negative',
+    'number.base': 'Speed must be a number'
+  }),
+  heading: Joi.number().min(0).max(360).optional().allow(null).messages({
+    'number.min': 'Heading must be between 0 and 360',
+    'number.max': 'Heading must be between 0 and 360',
+    'number.base': 'Heading must be a number'
+  }),
+  accuracy: Joi.number().min(0).optional().allow(null).messages({
+    'number.min': 'Accuracy cannot be negative',
+    'number.base': 'Accuracy must be a number'
+  })
 });
 
+// Batch upload schema (each fix is validated separately by the service)
+const batchSchema = Joi.object({
+  fixes: Joi.array().items(Joi.object().unknown(true)).min(1).max(MAX_BATCH_SIZE).required().messages({
+    'array.min': 'At least one fix is required',
+    'array.max': `A batch cannot contain more than ${MAX_BATCH_SIZE} fixes`,
+    'array.base': 'Fixes must be an array',
+    'any.required': 'Fixes are required'
+  })
+});
+
+/**
+ * Rate Limiters
+ */
+
+// ~1 Hz per device, keyed on the validated deviceId
+// Retries of a stored fix are not counted (ingest answers them as duplicates)
+const deviceLimiter = rateLimit({
+  windowMs: 1000,
+  max: 1,
+  standardHeaders: false,
+  legacyHeaders: true,
+  keyGenerator: req => `device:${req.body.deviceId}`,
+  skip: gpsController.isDuplicateFix,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many GPS fixes from this device, limit is ~1 per second',
+      type: 'RATE_LIMIT_EXCEEDED'
+    });
+  }
+});
+
+// Store-and-forward uploads: a few batches per minute per client
+const batchLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many batch uploads, please try again later',
+      type: 'RATE_LIMIT_EXCEEDED'
+    });
+  }
+});
+
+/**
+ * Routes
+ */
+
+// POST /gps/ingest
+// Ingest a GPS fix from a tracking device
+// Auth: device API key (gps:ingest) or any authenticated user
+router.post(
+  '/ingest',
+  authenticateDeviceOrToken('gps:ingest'),
+  validateBody(fixSchema),
+  deviceLimiter,
+  gpsController.ingest
+);
+
+// POST /gps/ingest/batch
+// Ingest buffered GPS fixes uploaded on reconnect
+// Auth: device API key (gps:ingest) or any authenticated user
+router.post(
+  '/ingest/batch',
+  batchLimiter,
+  authenticateDeviceOrToken('gps:ingest'),
+  validateBody(batchSchema),
+  gpsController.ingestBatch
+);
+
 module.exports = router;
@@ -1,19 +1,291 @@
-/*
- * GTFS Routes (Commented - Ready to activate)
+/**
+ * GTFS Routes
  *
- * To activate:
- * 1. Uncomment all content in this file
- * 2. Uncomment gtfsRoutes lines in backend/src/routes/index.js
+ * Static GTFS data (agencies, stops, routes, trips, stop times, shapes,
+ * frequencies, fares, service calendars) and its zip import/export, route stop patterns,
+ * timetable generation from headway templates, feed validation, trip instances of
+ * frequency-based trips, fare calculation, active services per date, stop departure boards,
+ * journey planning, arrival predictions and the GTFS-Realtime feeds.
+ *
+ * Permissions:
+ * - public: read
+ * - admin: create, update, delete, import, validate, generate timetables
  */
 
-/*
 const express = require('express');
-const { authenticate } = require('../middlewares/auth.middleware');
-const { requireAdmin } = require('../middlewares/auth.middleware');
+const Joi = require('joi');
+const { authenticateToken, requireAdmin } = require('../middlewares/auth');
+const { validateBody, validateQuery } = require('../middlewares/validation');
 const gtfsController = require('../controllers/gtfs/gtfs.controller');
+const { toGtfsDate } = require('../utils/time');
 
 const router = express.Router();
 
+// Largest GTFS zip accepted by the import endpoint
+const IMPORT_MAX_SIZE = '100mb';
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+
+// Date as YYYYMMDD or YYYY-MM-DD, normalized to YYYYMMDD
+const gtfsDate = Joi.string().trim().custom((value, helpers) =>
+  toGtfsDate(value) || helpers.message('{{#label}} must be a valid date (YYYYMMDD or YYYY-MM-DD)')
+);
+
+// Service day flag (true/false or 1/0)
+const serviceDay = Joi.boolean().truthy(1, '1').falsy(0, '0');
+
+// Calendar fields (calendar.txt)
+const calendarFields = {
+  monday: serviceDay,
+  tuesday: serviceDay,
+  wednesday: serviceDay,
+  thursday: serviceDay,
+  friday: serviceDay,
+  saturday: serviceDay,
+  sunday: serviceDay,
+  startDate: gtfsDate,
+  endDate: gtfsDate
+};
+
+// Create calendar (id is the service ID trips reference)
+const createCalendarSchema = Joi.object({
+  id: Joi.string().trim().max(100).required(),
+  ...calendarFields,
+  startDate: gtfsDate.required(),
+  endDate: gtfsDate.required()
+});
+
+// Update calendar (the service ID cannot change)
+const updateCalendarSchema = Joi.object(calendarFields).min(1);
+
+// Query parameters for calendar lists
+const calendarListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+// Create calendar date (one exception per service and date)
+const createCalendarDateSchema = Joi.object({
+  serviceId: Joi.string().trim().max(100).required(),
+  date: gtfsDate.required(),
+  exceptionType: Joi.string().valid('1', '2').required()
+});
+
+// Update calendar date (service and date form its ID)
+const updateCalendarDateSchema = Joi.object({
+  exceptionType: Joi.string().valid('1', '2').required()
+});
+
+// Query parameters for calendar date lists
+const calendarDateListQuerySchema = Joi.object({
+  serviceId: Joi.string().trim().max(100),
+  date: gtfsDate,
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+// Query parameters for the active services (date defaults to today)
+const activeServicesQuerySchema = Joi.object({
+  date: gtfsDate,
+  agencyId: Joi.string().trim().max(100)
+});
+
+// Shape point (shapes.txt row without the shape ID)
+const shapePoint = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+  sequence: Joi.number().integer().min(0).required(),
+  distTraveled: Joi.number().min(0).allow(null)
+});
+
+// Points of a shape, at least a segment
+const shapePoints = Joi.array().items(shapePoint).min(2).max(10000);
+
+// Create shape
+const createShapeSchema = Joi.object({
+  id: Joi.string().trim().max(100).required(),
+  points: shapePoints.required()
+});
+
+// Update shape (points are replaced as a whole)
+const updateShapeSchema = Joi.object({
+  points: shapePoints.required()
+});
+
+// Create or replace several shapes
+const bulkShapesSchema = Joi.object({
+  shapes: Joi.array().items(createShapeSchema).min(1).max(1000).required()
+});
+
+// Query parameters for shape lists
+const shapeListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+// Query parameters for shape_dist_traveled computation
+const shapeDistancesQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+// GTFS time (H:MM:SS or HH:MM:SS, past 24:00:00 after midnight)
+const gtfsTime = Joi.string().trim().pattern(/^\d{1,2}:[0-5]\d:[0-5]\d$/).messages({
+  'string.pattern.base': '{{#label}} must be in HH:MM:SS format'
+});
+
+// Create frequency (trip and start time form its ID)
+const createFrequencySchema = Joi.object({
+  tripId: Joi.string().trim().max(100).required(),
+  startTime: gtfsTime.required(),
+  endTime: gtfsTime.required(),
+  headwaySecs: Joi.number().integer().min(1).max(86400).required(),
+  exactTimes: Joi.string().valid('0', '1').default('0')
+});
+
+// Update frequency
+const updateFrequencySchema = Joi.object({
+  endTime: gtfsTime,
+  headwaySecs: Joi.number().integer().min(1).max(86400),
+  exactTimes: Joi.string().valid('0', '1')
+}).min(1);
+
+// Query parameters for frequency lists
+const frequencyListQuerySchema = Joi.object({
+  tripId: Joi.string().trim().max(100),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+// Run times from a time of day on: seconds between each pair of consecutive stops
+const runTimeBand = Joi.object({
+  startTime: gtfsTime.required(),
+  segmentSeconds: Joi.array().items(Joi.number().integer().min(0).max(86400)).min(1).max(500).required()
+});
+
+// Timetable headway template: the stops are a route pattern or listed in order
+const timetableSchema = Joi.object({
+  routeId: Joi.string().trim().max(100).required(),
+  patternId: Joi.string().trim().max(200),
+  stopIds: Joi.array().items(Joi.string().trim().max(100)).min(2).max(500),
+  directionId: Joi.string().valid('0', '1'),
+  serviceId: Joi.string().trim().max(100).required(),
+  headsign: Joi.string().trim().max(200).allow(null),
+  shapeId: Joi.string().trim().max(100).allow(null),
+  firstDeparture: gtfsTime.required(),
+  lastDeparture: gtfsTime.required(),
+  headwaySecs: Joi.number().integer().min(60).max(86400).required(),
+  dwellSeconds: Joi.number().integer().min(0).max(3600).default(0),
+  runTimes: Joi.array().items(runTimeBand).min(1).max(48).required()
+})
+  .xor('patternId', 'stopIds')
+  .without('patternId', 'directionId');
+
+// Query parameters for timetable generation
+const timetableQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+// Create fare attribute (ID is the fare ID rules reference)
+const createFareAttributeSchema = Joi.object({
+  id: Joi.string().trim().max(100).required(),
+  price: Joi.number().min(0).required(),
+  currencyType: Joi.string().trim().uppercase().length(3).pattern(/^[A-Z]{3}$/).required(),
+  paymentMethod: Joi.string().valid('0', '1').required(),
+  transfers: Joi.string().valid('0', '1', '2').allow(null).default(null),
+  agencyId: Joi.string().trim().max(100).allow(null),
+  transferDuration: Joi.number().integer().min(0).allow(null)
+});
+
+// Update fare attribute
+const updateFareAttributeSchema = Joi.object({
+  price: Joi.number().min(0),
+  currencyType: Joi.string().trim().uppercase().length(3).pattern(/^[A-Z]{3}$/),
+  paymentMethod: Joi.string().valid('0', '1'),
+  transfers: Joi.string().valid('0', '1', '2').allow(null),
+  agencyId: Joi.string().trim().max(100).allow(null),
+  transferDuration: Joi.number().integer().min(0).allow(null)
+}).min(1);
+
+// Query parameters for fare attribute lists
+const fareAttributeListQuerySchema = Joi.object({
+  agencyId: Joi.string().trim().max(100),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+// Create fare rule (route and zones are optional conditions)
+const createFareRuleSchema = Joi.object({
+  fareId: Joi.string().trim().max(100).required(),
+  routeId: Joi.string().trim().max(100).allow(null),
+  originId: Joi.string().trim().max(100).allow(null),
+  destinationId: Joi.string().trim().max(100).allow(null),
+  containsId: Joi.string().trim().max(100).allow(null)
+});
+
+// Query parameters for fare rule lists
+const fareRuleListQuerySchema = Joi.object({
+  fareId: Joi.string().trim().max(100),
+  routeId: Joi.string().trim().max(100),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+// Query parameters for fare calculation
+const fareCalculationQuerySchema = Joi.object({
+  originStopId: Joi.string().trim().max(100).required(),
+  destinationStopId: Joi.string().trim().max(100).required(),
+  routeId: Joi.string().trim().max(100)
+});
+
+// Query parameters for nearby stops (radius in km)
+const nearbyStopsQuerySchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+  radius: Joi.number().greater(0).max(50).default(1),
+  limit: Joi.number().integer().min(1).max(500)
+});
+
+// Query parameters for stop predictions
+const predictionsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// Query parameters for the departure board (window in minutes, at defaults to now)
+const departuresQuerySchema = Joi.object({
+  at: Joi.date().iso(),
+  window: Joi.number().integer().min(1).max(1440).default(60)
+});
+
+// Query parameters for the journey planner: each end is a stop ID or a location
+// (maxWalk in meters, to the first stop and from the last one)
+const planQuerySchema = Joi.object({
+  fromStopId: Joi.string().trim().max(100),
+  fromLat: Joi.number().min(-90).max(90),
+  fromLng: Joi.number().min(-180).max(180),
+  toStopId: Joi.string().trim().max(100),
+  toLat: Joi.number().min(-90).max(90),
+  toLng: Joi.number().min(-180).max(180),
+  at: Joi.date().iso(),
+  maxWalk: Joi.number().integer().min(100).max(2000).default(800),
+  limit: Joi.number().integer().min(1).max(5).default(3)
+})
+  .xor('fromStopId', 'fromLat')
+  .and('fromLat', 'fromLng')
+  .xor('toStopId', 'toLat')
+  .and('toLat', 'toLng');
+
+// Query parameters for the feed export (comma-separated IDs)
+const exportQuerySchema = Joi.object({
+  agencyId: Joi.string().trim().max(1000),
+  routeId: Joi.string().trim().max(1000)
+});
+
+// Query parameters for feed validation
+const validationQuerySchema = Joi.object({
+  maxSamples: Joi.number().integer().min(0).max(1000).default(50)
+});
+
+// Query parameters for GTFS-Realtime feeds (protobuf unless json is asked for)
+const realtimeFeedQuerySchema = Joi.object({
+  format: Joi.string().valid('protobuf', 'json').default('protobuf')
+});
+
 // ============================================
 // AGENCIES ENDPOINTS
 // ============================================
@@ -27,7 +299,7 @@ router.get('/agencies/:id', gtfsController.getAgency);
 // Create agency (admin only)
 router.post(
   '/agencies',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.createAgency
 );
@@ -35,7 +307,7 @@ router.post(
 // Update agency (admin only)
 router.patch(
   '/agencies/:id',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.updateAgency
 );
@@ -43,7 +315,7 @@ router.patch(
 // Delete agency (admin only)
 router.delete(
   '/agencies/:id',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.deleteAgency
 );
@@ -55,8 +327,12 @@ router.delete(
 // List stops
 router.get('/stops', gtfsController.listStops);
 
-// Find nearby stops (geolocation query)
-router.get('/stops/nearby', gtfsController.findNearbyStops);
+// Find nearby stops, nearest first (geohash index)
+router.get(
+  '/stops/nearby',
+  validateQuery(nearbyStopsQuerySchema),
+  gtfsController.findNearbyStops
+);
 
 // Get single stop
 router.get('/stops/:id', gtfsController.getStop);
@@ -64,10 +340,24 @@ router.get('/stops/:id', gtfsController.getStop);
 // Get stop times for a specific stop
 router.get('/stops/:stopId/stop-times', gtfsController.getStopStopTimes);
 
+// Departure board of a stop (service days in the agency time zone, predicted times of running buses)
+router.get(
+  '/stops/:stopId/departures',
+  validateQuery(departuresQuerySchema),
+  gtfsController.getStopDepartures
+);
+
+// Predicted bus arrivals at a stop (buses whose active trip serves it, soonest first)
+router.get(
+  '/stops/:stopId/predictions',
+  validateQuery(predictionsQuerySchema),
+  gtfsController.getStopPredictions
+);
+
 // Create stop (admin only)
 router.post(
   '/stops',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.createStop
 );
@@ -75,7 +365,7 @@ router.post(
 // Update stop (admin only)
 router.patch(
   '/stops/:id',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.updateStop
 );
@@ -83,7 +373,7 @@ router.patch(
 // Delete stop (admin only)
 router.delete(
   '/stops/:id',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.deleteStop
 );
@@ -98,10 +388,16 @@ router.get('/routes', gtfsController.listRoutes);
 // Get single route
 router.get('/routes/:id', gtfsController.getRoute);
 
+// Stop patterns of a route (distinct stop sequences per direction, most trips first)
+router.get('/routes/:id/patterns', gtfsController.getRoutePatterns);
+
+// Ordered stops of each direction of a route
+router.get('/routes/:id/stops', gtfsController.getRouteStops);
+
 // Create route (admin only)
 router.post(
   '/routes',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.createRoute
 );
@@ -109,7 +405,7 @@ router.post(
 // Update route (admin only)
 router.patch(
   '/routes/:id',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.updateRoute
 );
@@ -117,7 +413,7 @@ router.patch(
 // Delete route (admin only)
 router.delete(
   '/routes/:id',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.deleteRoute
 );
@@ -138,7 +434,7 @@ router.get('/trips/:tripId/stop-times', gtfsController.getTripStopTimes);
 // Bulk create stop times for a trip (admin only)
 router.post(
   '/trips/:tripId/stop-times/bulk',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.bulkCreateStopTimes
 );
@@ -146,7 +442,7 @@ router.post(
 // Create trip (admin only)
 router.post(
   '/trips',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.createTrip
 );
@@ -154,7 +450,7 @@ router.post(
 // Update trip (admin only)
 router.patch(
   '/trips/:id',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.updateTrip
 );
@@ -162,11 +458,352 @@ router.patch(
 // Delete trip (admin only)
 router.delete(
   '/trips/:id',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.deleteTrip
 );
 
+// ============================================
+// SHAPES ENDPOINTS
+// ============================================
+
+// List shapes
+router.get(
+  '/shapes',
+  validateQuery(shapeListQuerySchema),
+  gtfsController.listShapes
+);
+
+// Bulk create or replace shapes (admin only)
+router.post(
+  '/shapes/bulk',
+  authenticateToken,
+  requireAdmin,
+  validateBody(bulkShapesSchema),
+  gtfsController.bulkUpsertShapes
+);
+
+// Get single shape (GeoJSON LineString)
+router.get('/shapes/:id', gtfsController.getShape);
+
+// Create shape (admin only)
+router.post(
+  '/shapes',
+  authenticateToken,
+  requireAdmin,
+  validateBody(createShapeSchema),
+  gtfsController.createShape
+);
+
+// Update shape points (admin only)
+router.patch(
+  '/shapes/:id',
+  authenticateToken,
+  requireAdmin,
+  validateBody(updateShapeSchema),
+  gtfsController.updateShape
+);
+
+// Delete shape (admin only)
+router.delete(
+  '/shapes/:id',
+  authenticateToken,
+  requireAdmin,
+  gtfsController.deleteShape
+);
+
+// Compute shape_dist_traveled of a trip's stop times (admin only)
+router.post(
+  '/trips/:tripId/shape-dist-traveled',
+  authenticateToken,
+  requireAdmin,
+  validateQuery(shapeDistancesQuerySchema),
+  gtfsController.computeTripShapeDistances
+);
+
+// ============================================
+// FREQUENCIES ENDPOINTS
+// ============================================
+
+// List frequencies (headway-based trips)
+router.get(
+  '/frequencies',
+  validateQuery(frequencyListQuerySchema),
+  gtfsController.listFrequencies
+);
+
+// Get single frequency
+router.get('/frequencies/:id', gtfsController.getFrequency);
+
+// Create frequency (admin only)
+router.post(
+  '/frequencies',
+  authenticateToken,
+  requireAdmin,
+  validateBody(createFrequencySchema),
+  gtfsController.createFrequency
+);
+
+// Update frequency (admin only)
+router.patch(
+  '/frequencies/:id',
+  authenticateToken,
+  requireAdmin,
+  validateBody(updateFrequencySchema),
+  gtfsController.updateFrequency
+);
+
+// Delete frequency (admin only)
+router.delete(
+  '/frequencies/:id',
+  authenticateToken,
+  requireAdmin,
+  gtfsController.deleteFrequency
+);
+
+// Concrete instances of a trip (frequency-based trips expanded)
+router.get('/trips/:tripId/instances', gtfsController.getTripInstances);
+
+// ============================================
+// TIMETABLES ENDPOINTS
+// ============================================
+
+// Get a timetable template and the trips it generated
+router.get('/timetables/:id', gtfsController.getTimetable);
+
+// Generate a timetable's trips and stop times from a headway template,
+// replacing those it generated before (admin only, ?dryRun=true to preview)
+router.put(
+  '/timetables/:id',
+  authenticateToken,
+  requireAdmin,
+  validateQuery(timetableQuerySchema),
+  validateBody(timetableSchema),
+  gtfsController.generateTimetable
+);
+
+// ============================================
+// FARES ENDPOINTS
+// ============================================
+
+// Calculate the fare between two stops
+router.get(
+  '/fares/calculate',
+  validateQuery(fareCalculationQuerySchema),
+  gtfsController.calculateFare
+);
+
+// List fare attributes
+router.get(
+  '/fare-attributes',
+  validateQuery(fareAttributeListQuerySchema),
+  gtfsController.listFareAttributes
+);
+
+// Get single fare attribute
+router.get('/fare-attributes/:id', gtfsController.getFareAttribute);
+
+// Create fare attribute (admin only)
+router.post(
+  '/fare-attributes',
+  authenticateToken,
+  requireAdmin,
+  validateBody(createFareAttributeSchema),
+  gtfsController.createFareAttribute
+);
+
+// Update fare attribute (admin only)
+router.patch(
+  '/fare-attributes/:id',
+  authenticateToken,
+  requireAdmin,
+  validateBody(updateFareAttributeSchema),
+  gtfsController.updateFareAttribute
+);
+
+// Delete fare attribute and its rules (admin only)
+router.delete(
+  '/fare-attributes/:id',
+  authenticateToken,
+  requireAdmin,
+  gtfsController.deleteFareAttribute
+);
+
+// List fare rules
+router.get(
+  '/fare-rules',
+  validateQuery(fareRuleListQuerySchema),
+  gtfsController.listFareRules
+);
+
+// Get single fare rule
+router.get('/fare-rules/:id', gtfsController.getFareRule);
+
+// Create fare rule (admin only)
+router.post(
+  '/fare-rules',
+  authenticateToken,
+  requireAdmin,
+  validateBody(createFareRuleSchema),
+  gtfsController.createFareRule
+);
+
+// Delete fare rule (admin only)
+router.delete(
+  '/fare-rules/:id',
+  authenticateToken,
+  requireAdmin,
+  gtfsController.deleteFareRule
+);
+
+// ============================================
+// CALENDARS ENDPOINTS
+// ============================================
+
+// Services running on a date (public), holidays included
+router.get(
+  '/services/active',
+  validateQuery(activeServicesQuerySchema),
+  gtfsController.getActiveServices
+);
+
+// List calendars
+router.get(
+  '/calendars',
+  validateQuery(calendarListQuerySchema),
+  gtfsController.listCalendars
+);
+
+// Get single calendar (by service ID)
+router.get('/calendars/:id', gtfsController.getCalendar);
+
+// Create calendar (admin only)
+router.post(
+  '/calendars',
+  authenticateToken,
+  requireAdmin,
+  validateBody(createCalendarSchema),
+  gtfsController.createCalendar
+);
+
+// Update calendar (admin only)
+router.patch(
+  '/calendars/:id',
+  authenticateToken,
+  requireAdmin,
+  validateBody(updateCalendarSchema),
+  gtfsController.updateCalendar
+);
+
+// Delete calendar (admin only)
+router.delete(
+  '/calendars/:id',
+  authenticateToken,
+  requireAdmin,
+  gtfsController.deleteCalendar
+);
+
+// List calendar dates (service exceptions)
+router.get(
+  '/calendar-dates',
+  validateQuery(calendarDateListQuerySchema),
+  gtfsController.listCalendarDates
+);
+
+// Get single calendar date
+router.get('/calendar-dates/:id', gtfsController.getCalendarDate);
+
+// Create calendar date (admin only)
+router.post(
+  '/calendar-dates',
+  authenticateToken,
+  requireAdmin,
+  validateBody(createCalendarDateSchema),
+  gtfsController.createCalendarDate
+);
+
+// Update calendar date (admin only)
+router.patch(
+  '/calendar-dates/:id',
+  authenticateToken,
+  requireAdmin,
+  validateBody(updateCalendarDateSchema),
+  gtfsController.updateCalendarDate
+);
+
+// Delete calendar date (admin only)
+router.delete(
+  '/calendar-dates/:id',
+  authenticateToken,
+  requireAdmin,
+  gtfsController.deleteCalendarDate
+);
+
+// ============================================
+// JOURNEY PLANNER ENDPOINTS
+// ============================================
+
+// Earliest-arrival journeys between stops or locations (in-memory timetable, connection scan)
+router.get(
+  '/plan',
+  validateQuery(planQuerySchema),
+  gtfsController.planJourney
+);
+
+// ============================================
+// FEED IMPORT/EXPORT AND VALIDATION ENDPOINTS
+// ============================================
+
+// Export the static feed as a zip (public), optionally only some agencies/routes
+router.get(
+  '/export',
+  validateQuery(exportQuerySchema),
+  gtfsController.exportFeed
+);
+
+// Import a static GTFS zip (admin only), report with row-level errors
+router.post(
+  '/import',
+  authenticateToken,
+  requireAdmin,
+  express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'], limit: IMPORT_MAX_SIZE }),
+  gtfsController.importFeed
+);
+
+// Validate the stored dataset (admin only): references, stop times, shapes, unused stops
+router.get(
+  '/validate',
+  authenticateToken,
+  requireAdmin,
+  validateQuery(validationQuerySchema),
+  gtfsController.validateFeed
+);
+
+// ============================================
+// GTFS-REALTIME ENDPOINTS
+// ============================================
+
+// Vehicle positions feed
+router.get(
+  '/realtime/vehicle-positions',
+  validateQuery(realtimeFeedQuerySchema),
+  gtfsController.getVehiclePositionsFeed
+);
+
+// Trip updates feed (predicted arrivals)
+router.get(
+  '/realtime/trip-updates',
+  validateQuery(realtimeFeedQuerySchema),
+  gtfsController.getTripUpdatesFeed
+);
+
+// Service alerts feed (detours)
+router.get(
+  '/realtime/service-alerts',
+  validateQuery(realtimeFeedQuerySchema),
+  gtfsController.getServiceAlertsFeed
+);
+
 // ============================================
 // STOP TIMES ENDPOINTS
 // ============================================
@@ -174,14 +811,9 @@ router.delete(
 // Create stop time (admin only)
 router.post(
   '/stop-times',
-  authenticate,
+  authenticateToken,
   requireAdmin,
   gtfsController.createStopTime
 );
 
 module.exports = router;
-*/
-
-// Placeholder export to prevent import errors
-module.exports = require('express').Router();
-
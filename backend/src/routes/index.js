@@ -1,14 +1,22 @@
 const express = require('express');
 const authRoutes = require('./auth.routes');
-const busesRoutes = require('./buses.routes');
-// GTFS: Uncomment to activate
-// const gtfsRoutes = require('./gtfs.routes');
+const busRoutes = require('./busRoutes');
+const gpsRoutes = require('./gps.routes');
+const deviceRoutes = require('./deviceRoutes');
+const realtimeRoutes = require('./realtimeRoutes');
+const geofenceRoutes = require('./geofenceRoutes');
+const offRouteRoutes = require('./offRouteRoutes');
+const gtfsRoutes = require('./gtfs.routes');
 
 const router = express.Router();
 
 router.use('/auth', authRoutes);
-router.use('/buses', busesRoutes);
-// GTFS: Uncomment to activate
-// router.use('/gtfs', gtfsRoutes);
+router.use('/buses', busRoutes);
+router.use('/gps', gpsRoutes);
+router.use('/devices', deviceRoutes);
+router.use('/realtime', realtimeRoutes);
+router.use('/geofences', geofenceRoutes);
+router.use('/off-route', offRouteRoutes);
+router.use('/gtfs', gtfsRoutes);
 
 module.exports = router;
@@ -0,0 +1,71 @@
+/**
+ * Off-Route Routes
+ *
+ * Off-route alert endpoints with Joi validation.
+ * Alerts are raised while ingesting GPS fixes (see offRouteService) and
+ * cleared automatically when the bus returns to its route.
+ *
+ * Permissions:
+ * - supervisor, admin: read alerts
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const offRouteController = require('../controllers/offRouteController');
+const { authenticateToken } = require('../middlewares/auth');
+const { validateQuery } = require('../middlewares/validation');
+const OffRouteAlert = require('../models/OffRouteAlert');
+
+/**
+ * Alert statuses (see models/OffRouteAlert.js)
+ */
+const STATUSES = OffRouteAlert.getAllowedStatuses();
+
+/**
+ * Joi Validation Schemas
+ */
+
+// Query parameters for list alerts
+const alertsQuerySchema = Joi.object({
+  status: Joi.string().valid(...STATUSES).optional().messages({
+    'any.only': `Status must be one of: ${STATUSES.join(', ')}`
+  }),
+  busId: Joi.string().optional(),
+  route: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+});
+
+/**
+ * Rate Limiters
+ */
+const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many requests from this IP, please try again later',
+      type: 'RATE_LIMIT_EXCEEDED'
+    });
+  }
+});
+
+/**
+ * Routes
+ */
+
+// GET /off-route/alerts
+// Off-route alerts, most recently raised first (status=open for the dashboard)
+// Auth: any authenticated user (supervisor or admin)
+router.get(
+  '/alerts',
+  apiLimiter,
+  authenticateToken,
+  validateQuery(alertsQuerySchema),
+  offRouteController.listAlerts
+);
+
+module.exports = router;
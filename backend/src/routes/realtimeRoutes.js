@@ -0,0 +1,98 @@
+/**
+ * Realtime Routes
+ *
+ * Live bus updates over Server-Sent Events, authenticated with the access JWT.
+ *
+ * - Broadcasts position changes (busService.updatePosition, GPS ingestion)
+ * - Broadcasts status/field changes (busService.updateBus)
+ * - Broadcasts geofence enter/exit events (GPS ingestion)
+ * - Subscribe to the whole fleet, one route, or a list of bus IDs
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const realtimeController = require('../controllers/realtimeController');
+const { authenticateToken } = require('../middlewares/auth');
+const { validateQuery } = require('../middlewares/validation');
+
+/**
+ * Maximum number of bus IDs in one subscription
+ */
+const MAX_BUS_IDS = 100;
+
+/**
+ * Joi Validation Schemas
+ */
+
+// Subscription filter (route and busIds are mutually exclusive)
+const streamQuerySchema = Joi.object({
+  route: Joi.string().trim().min(1).optional(),
+  busIds: Joi.array()
+    .items(Joi.string().trim().min(1))
+    .min(1)
+    .max(MAX_BUS_IDS)
+    .single()
+    .optional()
+    .messages({
+      'array.max': `Cannot subscribe to more than ${MAX_BUS_IDS} buses`
+    })
+}).oxor('route', 'busIds').messages({
+  'object.oxor': 'Subscribe to either a route or a list of busIds, not both'
+});
+
+/**
+ * Middleware
+ */
+
+// EventSource cannot send headers: accept ?token= and ?busIds=a,b
+// (the request logger redacts the token, see requestLogger.middleware.js)
+function normalizeStreamQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  delete req.query.token;
+
+  if (typeof req.query.busIds === 'string') {
+    req.query.busIds = req.query.busIds.split(',').filter(Boolean);
+  }
+
+  next();
+}
+
+/**
+ * Rate Limiters
+ */
+
+// Connection attempts (EventSource reconnects automatically)
+const connectLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many stream connections, please try again later',
+      type: 'RATE_LIMIT_EXCEEDED'
+    });
+  }
+});
+
+/**
+ * Routes
+ */
+
+// GET /realtime/buses
+// Open a Server-Sent Events stream of bus position and status changes
+// Auth: any authenticated user (Authorization header or ?token=)
+router.get(
+  '/buses',
+  connectLimiter,
+  normalizeStreamQuery,
+  authenticateToken,
+  validateQuery(streamQuerySchema),
+  realtimeController.streamBuses
+);
+
+module.exports = router;
@@ -19,6 +19,7 @@ try {
 }
 
 const app = require('./app');
+const realtimeService = require('./services/realtimeService');
 
 const PORT = config.port.PORT;
 const NODE_ENV = config.env.NODE_ENV;
@@ -45,6 +46,8 @@ const server = app.listen(PORT, () => {
 // ============================================
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  // Open SSE streams would keep server.close() waiting
+  realtimeService.closeAll();
   server.close(() => {
     console.log('HTTP server closed');
     process.exit(0);
@@ -53,6 +56,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('\nSIGINT signal received: closing HTTP server');
+  // Open SSE streams would keep server.close() waiting
+  realtimeService.closeAll();
   server.close(() => {
     console.log('HTTP server closed');
     process.exit(0);
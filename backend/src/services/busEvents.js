@@ -0,0 +1,118 @@
+/**
+ * Bus Events
+ *
+ * In-process event bus for bus changes.
+ * Services publish here after a write succeeds; the realtime stream listens.
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Event names
+ */
+const BUS_EVENTS = Object.freeze({
+  POSITION: 'position',
+  STATUS: 'status',
+  GEOFENCE: 'geofence',
+  OFF_ROUTE: 'off_route',
+  STOP: 'stop'
+});
+
+/**
+ * BusEvents Class
+ *
+ * Thin EventEmitter wrapper with typed publish helpers.
+ */
+class BusEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish a position change
+   *
+   * @param {Object} bus - Bus JSON (id, route, status, position)
+   * @param {Date} [timestamp=new Date()] - Time of the fix
+   */
+  publishPosition(bus, timestamp = new Date()) {
+    this.emit(BUS_EVENTS.POSITION, {
+      busId: bus.id,
+      route: bus.route || null,
+      status: bus.status,
+      position: bus.position,
+      timestamp: timestamp.toISOString()
+    });
+  }
+
+  /**
+   * Publish a bus update (status and other fields)
+   *
+   * previousRoute lets route subscribers see a bus leave their route.
+   *
+   * @param {Object} bus - Bus JSON after the update
+   * @param {Object} [previous] - Values before the update
+   * @param {string} [previous.route] - Previous route
+   * @param {string} [previous.status] - Previous status
+   */
+  publishStatus(bus, previous = {}) {
+    this.emit(BUS_EVENTS.STATUS, {
+      busId: bus.id,
+      route: bus.route || null,
+      status: bus.status,
+      previousRoute: previous.route || null,
+      previousStatus: previous.status || null,
+      bus,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Publish a geofence enter/exit event
+   *
+   * @param {Object} event - Stored geofence event (see geofenceService.evaluateFixes)
+   * @param {string} [route] - Route of the bus
+   */
+  publishGeofence(event, route = null) {
+    this.emit(BUS_EVENTS.GEOFENCE, {
+      ...event,
+      route: route || null,
+      occurredAt: event.occurredAt.toISOString(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Publish an off-route alert being raised or cleared
+   *
+   * @param {OffRouteAlert} alert - Alert after the change (see offRouteService.evaluateFixes)
+   */
+  publishOffRoute(alert) {
+    this.emit(BUS_EVENTS.OFF_ROUTE, {
+      ...alert.toJSON(),
+      event: alert.isOpen() ? 'raised' : 'cleared',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Publish a stop arrival or departure
+   *
+   * @param {StopVisit} visit - Visit after the change (see stopVisitService.evaluateFixes)
+   */
+  publishStop(visit) {
+    this.emit(BUS_EVENTS.STOP, {
+      ...visit.toJSON(),
+      route: visit.routeId,
+      event: visit.departedAt ? 'departed' : 'arrived',
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = {
+  BUS_EVENTS,
+  busEvents: new BusEvents()
+};
@@ -7,7 +7,32 @@
 
 const { db } = require('../config/db');
 const Bus = require('../models/Bus');
+const BusDailyTime = require('../models/BusDailyTime');
 const { FieldValue } = require('firebase-admin').firestore;
+const { haversineDistance } = require('../utils/geo');
+const { encodeGeohash, geohashCoveringCells, geohashRange } = require('../utils/geohash');
+
+/**
+ * Maximum number of values in a Firestore `in` filter
+ */
+const IN_QUERY_LIMIT = 30;
+
+/**
+ * Maximum writes per Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
+/**
+ * Convert a Firestore Timestamp (or Date/null) to a Date
+ * @param {*} value - Firestore field value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  return value.toDate ? value.toDate() : new Date(value);
+}
 
 /**
  * IBusRepository Interface
@@ -34,6 +59,39 @@ class IBusRepository {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * List every bus with a position (unpaginated)
+   * @returns {Promise<Bus[]>}
+   * @throws {Error} If database error occurs
+   */
+  async listPositioned() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find buses with a position within a radius, nearest first
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radiusKm - Radius in kilometers
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit] - Maximum buses
+   * @param {string} [options.route] - Only buses on this route
+   * @returns {Promise<Array<{bus: Bus, distanceMeters: number}>>}
+   * @throws {Error} If database error occurs
+   */
+  async findNearby(_lat, _lng, _radiusKm, _options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Write the geohash of positioned buses stored without it (or with a stale one)
+   * @returns {Promise<number>} Number of buses updated
+   * @throws {Error} If database error occurs
+   */
+  async updateGeohashes() {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Find a bus by ID
    * @param {string} id - Bus ID
@@ -54,23 +112,75 @@ class IBusRepository {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Find the buses running any of the given GTFS trips
+   * @param {string[]} tripIds - GTFS trip IDs
+   * @returns {Promise<Bus[]>}
+   * @throws {Error} If database error occurs
+   */
+  async findByTripIds(_tripIds) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Create a new bus
    * @param {Bus} bus - Bus domain model
+   * @param {Object} [changes] - Related writes (see update)
    * @returns {Promise<Bus>} Created bus with ID
    * @throws {Error} If database error occurs
    */
-  async create(_bus) {
+  async create(_bus, _changes) {
     throw new Error('Method not implemented');
   }
 
   /**
    * Update an existing bus
    * @param {Bus} bus - Bus domain model with ID
+   * @param {Object} [changes] - Fields to write and related writes
+   * @param {string[]} [changes.fields] - Bus fields to write (default: all)
+   * @param {Array<{date: string, status: string, seconds: number}>} [changes.timeSegments] - Closed
+   *   status stretches to add to the daily totals (from Bus.transitionTo)
+   * @param {Object[]} [changes.statusChanges] - Status history records
    * @returns {Promise<Bus>} Updated bus
    * @throws {Error} If database error occurs or bus not found
    */
-  async update(_bus) {
+  async update(_bus, _changes) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Apply a status/time change to a bus inside a transaction
+   * @param {string} id - Bus ID
+   * @param {Function} apply - (bus) => { timeSegments, statusChanges } to persist, or null to skip writing
+   * @returns {Promise<{updated: boolean, bus: Bus, previousStatus: string}>}
+   * @throws {Error} If database error occurs or bus not found
+   */
+  async updateStatusTimes(_id, _apply) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List status transitions of a bus, newest first
+   * @param {string} busId - Bus ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=50] - Max records
+   * @param {Date} [options.before] - Only transitions before this instant (paging)
+   * @returns {Promise<Object[]>}
+   * @throws {Error} If database error occurs
+   */
+  async listStatusHistory(_busId, _options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List daily time totals of a bus
+   * @param {string} busId - Bus ID
+   * @param {string} from - First local date (YYYY-MM-DD)
+   * @param {string} to - Last local date (YYYY-MM-DD)
+   * @returns {Promise<BusDailyTime[]>} Stored days, oldest first
+   * @throws {Error} If database error occurs
+   */
+  async listDailyTimes(_busId, _from, _to) {
     throw new Error('Method not implemented');
   }
 
@@ -95,6 +205,8 @@ class FirestoreBusRepository extends IBusRepository {
   constructor() {
     super();
     this.collection = db.collection(Bus.collection());
+    this.dailyTimes = db.collection(BusDailyTime.collection());
+    this.statusHistory = db.collection(Bus.statusHistoryCollection());
   }
 
   /**
@@ -125,11 +237,104 @@ class FirestoreBusRepository extends IBusRepository {
       unitName: data.unitName,
       status: data.status,
       route: data.route || null,
+      tripId: data.tripId || null,
+      tripStartDate: data.tripStartDate || null,
+      tripStartTime: data.tripStartTime || null,
       driver: data.driver || null,
       movingTime: data.movingTime || 0,
       parkedTime: data.parkedTime || 0,
       isFavorite: data.isFavorite || false,
-      position: position
+      position: position,
+      statusChangedAt: toDate(data.statusChangedAt),
+      stoppedSince: toDate(data.stoppedSince),
+      timeDate: data.timeDate || null,
+      positionTimestamp: toDate(data.positionTimestamp)
+    });
+  }
+
+  /**
+   * Time accounting fields of a bus
+   * @private
+   * @param {Bus} bus - Bus domain model
+   * @returns {Object} Firestore field data
+   */
+  _mapTimeFields(bus) {
+    return {
+      status: bus.status,
+      statusChangedAt: bus.statusChangedAt,
+      stoppedSince: bus.stoppedSince,
+      movingTime: bus.movingTime,
+      parkedTime: bus.parkedTime,
+      timeDate: bus.timeDate
+    };
+  }
+
+  /**
+   * Map a status history document to a plain record
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {Object}
+   */
+  _mapStatusChange(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      busId: data.busId,
+      fromStatus: data.fromStatus || null,
+      toStatus: data.toStatus,
+      reason: data.reason || null,
+      source: data.source,
+      actorId: data.actorId || null,
+      changedAt: toDate(data.changedAt)
+    };
+  }
+
+  /**
+   * Queue writes of the related records of a bus change
+   * @private
+   * @param {FirebaseFirestore.WriteBatch|FirebaseFirestore.Transaction} writer - Batch or transaction
+   * @param {string} busId - Bus ID
+   * @param {Object} [changes] - { timeSegments, statusChanges }
+   */
+  _writeChanges(writer, busId, changes = {}) {
+    const { timeSegments = [], statusChanges = [] } = changes;
+
+    this._addDailyTimes(writer, busId, timeSegments);
+
+    statusChanges.forEach(change => {
+      writer.set(this.statusHistory.doc(), {
+        busId,
+        fromStatus: change.fromStatus || null,
+        toStatus: change.toStatus,
+        reason: change.reason || null,
+        source: change.source,
+        actorId: change.actorId || null,
+        changedAt: change.changedAt,
+        createdAt: FieldValue.serverTimestamp()
+      });
+    });
+  }
+
+  /**
+   * Queue increments of the daily totals for closed status stretches
+   * @private
+   * @param {FirebaseFirestore.WriteBatch|FirebaseFirestore.Transaction} writer - Batch or transaction
+   * @param {string} busId - Bus ID
+   * @param {Array<{date: string, status: string, seconds: number}>} segments - Closed stretches
+   */
+  _addDailyTimes(writer, busId, segments) {
+    segments.forEach(({ date, status, seconds }) => {
+      const field = BusDailyTime.fieldFor(status);
+      if (!field || seconds <= 0) {
+        return;
+      }
+
+      writer.set(this.dailyTimes.doc(BusDailyTime.buildId(busId, date)), {
+        busId,
+        date,
+        [field]: FieldValue.increment(seconds),
+        updatedAt: FieldValue.serverTimestamp()
+      }, { merge: true });
     });
   }
 
@@ -144,13 +349,15 @@ class FirestoreBusRepository extends IBusRepository {
     const data = {
       licensePlate: bus.licensePlate,
       unitName: bus.unitName,
-      status: bus.status,
       route: bus.route,
+      tripId: bus.tripId,
+      tripStartDate: bus.tripStartDate,
+      tripStartTime: bus.tripStartTime,
       driver: bus.driver,
-      movingTime: bus.movingTime,
-      parkedTime: bus.parkedTime,
       isFavorite: bus.isFavorite,
       position: bus.position,
+      geohash: bus.geohash,
+      ...this._mapTimeFields(bus),
       updatedAt: FieldValue.serverTimestamp()
     };
 
@@ -248,6 +455,89 @@ class FirestoreBusRepository extends IBusRepository {
     }
   }
 
+  /**
+   * List every bus with a position (unpaginated)
+   *
+   * For fleet-wide feeds; the fleet is small enough to read in one query.
+   *
+   * @returns {Promise<Bus[]>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async listPositioned() {
+    try {
+      const snapshot = await this.collection.where('position', '!=', null).get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listPositioned:', error);
+      throw new Error(`Database error while listing bus positions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find buses with a position within a radius, nearest first
+   *
+   * Reads the geohash cells covering the circle (see utils/geohash) and
+   * ranks the buses in them by haversine distance.
+   *
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} [radiusKm=1] - Radius in kilometers
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit] - Maximum buses (default: all in the radius)
+   * @param {string} [options.route] - Only buses on this route
+   * @returns {Promise<Array<{bus: Bus, distanceMeters: number}>>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async findNearby(lat, lng, radiusKm = 1, options = {}) {
+    try {
+      const center = { lat, lng };
+      const radiusMeters = radiusKm * 1000;
+
+      const snapshots = await Promise.all(geohashCoveringCells(lat, lng, radiusMeters).map(cell => {
+        const { start, end } = geohashRange(cell);
+        return this.collection.where('geohash', '>=', start).where('geohash', '<', end).get();
+      }));
+
+      const nearby = snapshots
+        .flatMap(snapshot => snapshot.docs)
+        .map(doc => this._mapToModel(doc))
+        .filter(bus => bus.position && (!options.route || bus.route === options.route))
+        .map(bus => ({ bus, distanceMeters: haversineDistance(center, bus.position) }))
+        .filter(({ distanceMeters }) => distanceMeters <= radiusMeters)
+        .sort((a, b) => a.distanceMeters - b.distanceMeters);
+
+      return options.limit ? nearby.slice(0, options.limit) : nearby;
+    } catch (error) {
+      console.error('Firestore error in findNearby:', error);
+      throw new Error(`Database error while finding nearby buses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the geohash of positioned buses stored without it (or with a stale one)
+   * @returns {Promise<number>} Number of buses updated
+   * @throws {Error} If database error occurs (500)
+   */
+  async updateGeohashes() {
+    try {
+      const snapshot = await this.collection.where('position', '!=', null).get();
+      const stale = snapshot.docs
+        .map(doc => ({ ref: doc.ref, stored: doc.get('geohash'), geohash: this._mapToModel(doc).geohash }))
+        .filter(({ stored, geohash }) => stored !== geohash);
+
+      for (let i = 0; i < stale.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        stale.slice(i, i + BATCH_LIMIT).forEach(({ ref, geohash }) => batch.update(ref, { geohash }));
+        await batch.commit();
+      }
+
+      return stale.length;
+    } catch (error) {
+      console.error('Firestore error in updateGeohashes:', error);
+      throw new Error(`Database error while updating bus geohashes: ${error.message}`);
+    }
+  }
+
   /**
    * Find a bus by ID
    * @param {string} id - Bus ID
@@ -289,13 +579,42 @@ class FirestoreBusRepository extends IBusRepository {
     }
   }
 
+  /**
+   * Find the buses running any of the given GTFS trips
+   *
+   * Queries in chunks of 30 IDs (Firestore `in` limit).
+   *
+   * @param {string[]} tripIds - GTFS trip IDs
+   * @returns {Promise<Bus[]>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async findByTripIds(tripIds) {
+    try {
+      const unique = [...new Set(tripIds)];
+      const buses = [];
+
+      for (let i = 0; i < unique.length; i += IN_QUERY_LIMIT) {
+        const snapshot = await this.collection
+          .where('tripId', 'in', unique.slice(i, i + IN_QUERY_LIMIT))
+          .get();
+        buses.push(...snapshot.docs.map(doc => this._mapToModel(doc)));
+      }
+
+      return buses;
+    } catch (error) {
+      console.error('Firestore error in findByTripIds:', error);
+      throw new Error(`Database error while finding buses by trip: ${error.message}`);
+    }
+  }
+
   /**
    * Create a new bus
    * @param {Bus} bus - Bus domain model (without ID)
+   * @param {Object} [changes] - Related writes (see update), committed in the same batch
    * @returns {Promise<Bus>} Created bus with generated ID
    * @throws {Error} If database error occurs or license plate already exists
    */
-  async create(bus) {
+  async create(bus, changes = {}) {
     try {
       // Check if license plate already exists
       const existingBus = await this.findByLicensePlate(bus.licensePlate);
@@ -305,9 +624,12 @@ class FirestoreBusRepository extends IBusRepository {
         throw error;
       }
 
-      // Create Firestore document
-      const docData = this._mapToDocument(bus, false);
-      const docRef = await this.collection.add(docData);
+      // Create Firestore document with its initial history
+      const docRef = this.collection.doc();
+      const batch = db.batch();
+      batch.set(docRef, this._mapToDocument(bus, false));
+      this._writeChanges(batch, docRef.id, changes);
+      await batch.commit();
 
       // Get the created document with server timestamps resolved
       const createdDoc = await docRef.get();
@@ -327,29 +649,50 @@ class FirestoreBusRepository extends IBusRepository {
 
   /**
    * Update an existing bus
+   *
+   * Runs in a transaction. With `changes.fields`, only those fields are
+   * written (position brings its geohash), so an edit never overwrites a
+   * concurrent position or status update. Closed status stretches and
+   * status history are written in the same transaction.
+   *
    * @param {Bus} bus - Bus domain model with ID
+   * @param {Object} [changes] - Fields to write and related writes
+   * @param {string[]} [changes.fields] - Bus fields to write (default: all)
+   * @param {Array<{date: string, status: string, seconds: number}>} [changes.timeSegments] - Closed
+   *   status stretches to add to the daily totals (from Bus.transitionTo)
+   * @param {Object[]} [changes.statusChanges] - Status history records
+   *   ({ fromStatus, toStatus, reason, source, actorId, changedAt })
    * @returns {Promise<Bus>} Updated bus
    * @throws {Error} If database error occurs or bus not found
    */
-  async update(bus) {
+  async update(bus, changes = {}) {
     try {
       if (!bus.id) {
         throw new Error('Bus ID is required for update');
       }
 
       const docRef = this.collection.doc(bus.id);
+      const data = this._mapToDocument(bus, true);
 
-      // Check if bus exists
-      const doc = await docRef.get();
-      if (!doc.exists) {
-        const error = new Error('Bus not found');
-        error.status = 404;
-        throw error;
+      if (changes.fields) {
+        const fields = changes.fields.includes('position') ? [...changes.fields, 'geohash'] : changes.fields;
+        Object.keys(data)
+          .filter(field => field !== 'updatedAt' && !fields.includes(field))
+          .forEach(field => delete data[field]);
       }
 
-      // Update document
-      const updateData = this._mapToDocument(bus, true);
-      await docRef.update(updateData);
+      // Update document, daily totals and status history
+      await db.runTransaction(async transaction => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          const error = new Error('Bus not found');
+          error.status = 404;
+          throw error;
+        }
+
+        transaction.update(docRef, data);
+        this._writeChanges(transaction, bus.id, changes);
+      });
 
       // Get updated document
       const updatedDoc = await docRef.get();
@@ -418,6 +761,7 @@ class FirestoreBusRepository extends IBusRepository {
       // Update position
       await docRef.update({
         position: { lat, lng },
+        geohash: encodeGeohash(lat, lng),
         updatedAt: FieldValue.serverTimestamp()
       });
 
@@ -435,6 +779,164 @@ class FirestoreBusRepository extends IBusRepository {
       throw new Error(`Database error while updating bus position: ${error.message}`);
     }
   }
+
+  /**
+   * Update bus position only if the fix is newer than the stored one
+   *
+   * Runs in a transaction against the `positionTimestamp` field so that
+   * late (store-and-forward) fixes never overwrite a newer position.
+   *
+   * @param {string} id - Bus ID
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {Date} timestamp - Time the fix was taken
+   * @returns {Promise<{updated: boolean, previousTimestamp: Date|null}>}
+   * @throws {Error} If database error occurs or bus not found
+   */
+  async updatePositionIfNewer(id, lat, lng, timestamp) {
+    try {
+      const docRef = this.collection.doc(id);
+
+      return await db.runTransaction(async transaction => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          const error = new Error('Bus not found');
+          error.status = 404;
+          throw error;
+        }
+
+        const stored = doc.data().positionTimestamp;
+        const previousTimestamp = stored ? stored.toDate() : null;
+
+        if (previousTimestamp && previousTimestamp.getTime() >= timestamp.getTime()) {
+          return { updated: false, previousTimestamp };
+        }
+
+        transaction.update(docRef, {
+          position: { lat, lng },
+          geohash: encodeGeohash(lat, lng),
+          positionTimestamp: timestamp,
+          updatedAt: FieldValue.serverTimestamp()
+        });
+
+        return { updated: true, previousTimestamp };
+      });
+    } catch (error) {
+      // Re-throw known errors
+      if (error.status) {
+        throw error;
+      }
+
+      // Wrap Firestore errors as 500
+      console.error('Firestore error in updatePositionIfNewer:', error);
+      throw new Error(`Database error while updating bus position: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply a status/time change to a bus inside a transaction
+   *
+   * `apply` receives the current Bus and mutates it (e.g. Bus.transitionTo).
+   * It returns the related writes ({ timeSegments, statusChanges }, see update),
+   * or null when nothing changed. Only the time accounting fields of the bus
+   * are written, so this never overwrites a concurrent position update.
+   *
+   * @param {string} id - Bus ID
+   * @param {Function} apply - (bus) => { timeSegments, statusChanges } to persist, or null to skip writing
+   * @returns {Promise<{updated: boolean, bus: Bus, previousStatus: string}>}
+   * @throws {Error} If database error occurs or bus not found
+   */
+  async updateStatusTimes(id, apply) {
+    try {
+      const docRef = this.collection.doc(id);
+
+      return await db.runTransaction(async transaction => {
+        const bus = this._mapToModel(await transaction.get(docRef));
+        if (!bus) {
+          const error = new Error('Bus not found');
+          error.status = 404;
+          throw error;
+        }
+
+        const previousStatus = bus.status;
+        const changes = apply(bus);
+
+        if (!changes) {
+          return { updated: false, bus, previousStatus };
+        }
+
+        transaction.update(docRef, {
+          ...this._mapTimeFields(bus),
+          updatedAt: FieldValue.serverTimestamp()
+        });
+        this._writeChanges(transaction, id, changes);
+
+        return { updated: true, bus, previousStatus };
+      });
+    } catch (error) {
+      // Re-throw known errors
+      if (error.status) {
+        throw error;
+      }
+
+      // Wrap Firestore errors as 500
+      console.error('Firestore error in updateStatusTimes:', error);
+      throw new Error(`Database error while updating bus status times: ${error.message}`);
+    }
+  }
+
+  /**
+   * List status transitions of a bus, newest first
+   * @param {string} busId - Bus ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=50] - Max records
+   * @param {Date} [options.before] - Only transitions before this instant (paging)
+   * @returns {Promise<Object[]>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async listStatusHistory(busId, options = {}) {
+    try {
+      let query = this.statusHistory.where('busId', '==', busId);
+
+      if (options.before) {
+        query = query.where('changedAt', '<', options.before);
+      }
+
+      const snapshot = await query
+        .orderBy('changedAt', 'desc')
+        .limit(options.limit || 50)
+        .get();
+
+      return snapshot.docs.map(doc => this._mapStatusChange(doc));
+    } catch (error) {
+      console.error('Firestore error in listStatusHistory:', error);
+      throw new Error(`Database error while listing bus status history: ${error.message}`);
+    }
+  }
+
+  /**
+   * List daily time totals of a bus
+   * @param {string} busId - Bus ID
+   * @param {string} from - First local date (YYYY-MM-DD)
+   * @param {string} to - Last local date (YYYY-MM-DD)
+   * @returns {Promise<BusDailyTime[]>} Stored days, oldest first
+   * @throws {Error} If database error occurs (500)
+   */
+  async listDailyTimes(busId, from, to) {
+    try {
+      const snapshot = await this.dailyTimes
+        .where('busId', '==', busId)
+        .where('date', '>=', from)
+        .where('date', '<=', to)
+        .orderBy('date', 'asc')
+        .get();
+
+      return snapshot.docs.map(doc => BusDailyTime.fromDatabase(doc.data()));
+    } catch (error) {
+      console.error('Firestore error in listDailyTimes:', error);
+      throw new Error(`Database error while listing bus daily times: ${error.message}`);
+    }
+  }
 }
 
 // Export interface and implementation
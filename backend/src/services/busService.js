@@ -5,8 +5,23 @@
  * Orchestrates between repositories and models.
  */
 
+const config = require('../config/env');
 const { busRepository } = require('./busRepository');
+const { busEvents } = require('./busEvents');
+const { tripRepository } = require('./gtfs');
+const frequencyService = require('./frequencyService');
 const Bus = require('../models/Bus');
+const BusDailyTime = require('../models/BusDailyTime');
+const { localDate, splitByLocalDay, dateRange } = require('../utils/time');
+
+/**
+ * Who triggered a status change
+ */
+const STATUS_CHANGE_SOURCE = Object.freeze({
+  USER: 'user',
+  GPS: 'gps',
+  GEOFENCE: 'geofence'
+});
 
 /**
  * BusService Class
@@ -14,6 +29,23 @@ const Bus = require('../models/Bus');
  * Handles bus CRUD operations and business logic.
  */
 class BusService {
+  /**
+   * Serialize a bus for API responses
+   *
+   * movingTime/parkedTime are today's totals (local day) including the
+   * current status stretch; statusDuration is the length of that stretch.
+   *
+   * @param {Bus} bus - Bus domain model
+   * @param {Date} [now=new Date()] - Reference instant
+   * @returns {Object}
+   */
+  toResponse(bus, now = new Date()) {
+    return {
+      ...bus.toJSON(),
+      ...bus.timeTotalsAt(now)
+    };
+  }
+
   /**
    * List buses with pagination and filters
    *
@@ -54,8 +86,9 @@ class BusService {
     });
 
     // Return data with pagination metadata
+    const now = new Date();
     return {
-      data: result.buses.map(bus => bus.toJSON()),
+      data: result.buses.map(bus => this.toResponse(bus, now)),
       pagination: {
         page: result.page,
         pageSize: result.pageSize,
@@ -66,6 +99,34 @@ class BusService {
     };
   }
 
+  /**
+   * Find the buses nearest to a location
+   *
+   * @param {Object} options - Query options
+   * @param {number} options.lat - Latitude
+   * @param {number} options.lng - Longitude
+   * @param {number} [options.radius=1] - Radius in kilometers
+   * @param {number} [options.limit=10] - Maximum buses
+   * @param {string} [options.route] - Only buses on this route
+   * @returns {Promise<{data: Array, count: number, query: Object}>} Buses nearest first,
+   *   each with distanceMeters
+   */
+  async findNearbyBuses(options) {
+    const { lat, lng, radius = 1, limit = 10, route } = options;
+
+    const nearby = await busRepository.findNearby(lat, lng, radius, { limit, route });
+
+    const now = new Date();
+    return {
+      data: nearby.map(({ bus, distanceMeters }) => ({
+        ...this.toResponse(bus, now),
+        distanceMeters: Math.round(distanceMeters * 10) / 10
+      })),
+      count: nearby.length,
+      query: { lat, lng, radiusKm: radius, limit, route: route || null }
+    };
+  }
+
   /**
    * Get bus by ID
    *
@@ -83,16 +144,22 @@ class BusService {
       throw error;
     }
 
-    return bus.toJSON();
+    return this.toResponse(bus);
   }
 
   /**
    * Create a new bus
    *
+   * movingTime/parkedTime are owned by the backend and start at 0.
+   * The initial status is the first status history record.
+   *
    * @param {Object} busData - Bus data
+   * @param {string} [busData.statusReason] - Required for statuses that need a reason
+   * @param {string} [actorId] - User creating the bus
    * @returns {Promise<Object>}
+   * @throws {Error} If a required status reason is missing (422)
    */
-  async createBus(busData) {
+  async createBus(busData, actorId = null) {
     // Create bus model (validation happens in constructor)
     const bus = new Bus({
       licensePlate: busData.licensePlate,
@@ -100,27 +167,62 @@ class BusService {
       status: busData.status,
       route: busData.route || null,
       driver: busData.driver || null,
-      movingTime: busData.movingTime || 0,
-      parkedTime: busData.parkedTime || 0,
       isFavorite: busData.isFavorite || false,
       position: busData.position || null
     });
 
+    if (Bus.requiresReason(bus.status) && !(busData.statusReason && busData.statusReason.trim())) {
+      const error = new Error(`A reason (statusReason) is required to create a bus in status ${bus.status}`);
+      error.status = 422;
+      error.type = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    // Start time accounting in the initial status
+    const now = new Date();
+    bus.transitionTo(bus.status, now);
+
     // Save to database
-    const createdBus = await busRepository.create(bus);
+    const createdBus = await busRepository.create(bus, {
+      statusChanges: [{
+        fromStatus: null,
+        toStatus: bus.status,
+        reason: busData.statusReason || null,
+        source: STATUS_CHANGE_SOURCE.USER,
+        actorId,
+        changedAt: now
+      }]
+    });
 
-    return createdBus.toJSON();
+    return this.toResponse(createdBus);
   }
 
   /**
    * Update an existing bus
    *
+   * A status change must follow the Bus state machine (see Bus.canTransition);
+   * some statuses need updates.statusReason. It runs in a transaction against
+   * the stored status (busRepository.updateStatusTimes): it closes the time
+   * accounting of the previous status and is recorded in the status history.
+   * The other fields are then written on their own, so an edit never
+   * overwrites a concurrent GPS position or status change.
+   *
+   * updates.tripId assigns the active GTFS trip (null ends it); see
+   * _assignTrip. Changing the route ends a trip of another route.
+   *
    * @param {string} id - Bus ID
    * @param {Object} updates - Fields to update
+   * @param {string} [updates.statusReason] - Why the status changes
+   * @param {string|null} [updates.tripId] - Active GTFS trip
+   * @param {string} [updates.tripStartDate] - Service date of the trip (YYYY-MM-DD, default: today)
+   * @param {string} [updates.tripStartTime] - Start time of a frequency-based trip (HH:MM:SS)
+   * @param {string} [actorId] - User making the change
    * @returns {Promise<Object>}
-   * @throws {Error} If bus not found (404)
+   * @throws {Error} If bus not found (404), the transition is not allowed (409),
+   *   a required reason is missing, the trip is unknown or on another route, or
+   *   the start time does not fit the trip frequencies (422)
    */
-  async updateBus(id, updates) {
+  async updateBus(id, updates, actorId = null) {
     // Get existing bus
     const existingBus = await busRepository.findById(id);
 
@@ -131,39 +233,86 @@ class BusService {
       throw error;
     }
 
+    const previous = { route: existingBus.route, status: existingBus.status };
+    const fields = [];
+    const changesStatus = updates.status !== undefined && updates.status !== existingBus.status;
+
     // Update fields
     if (updates.licensePlate !== undefined) {
       existingBus.licensePlate = updates.licensePlate;
+      fields.push('licensePlate');
     }
     if (updates.unitName !== undefined) {
       existingBus.unitName = updates.unitName;
+      fields.push('unitName');
     }
-    if (updates.status !== undefined) {
-      existingBus.status = updates.status;
+    if (changesStatus) {
+      // Checked again against the stored status in the transaction below
+      this._assertTransition(existingBus, updates.status, updates.statusReason);
     }
     if (updates.route !== undefined) {
       existingBus.route = updates.route;
+      fields.push('route');
+    }
+    if (updates.tripId !== undefined) {
+      await this._assignTrip(existingBus, updates.tripId, updates.tripStartDate, updates.tripStartTime);
+      fields.push('route', 'tripId', 'tripStartDate', 'tripStartTime');
+    } else if (updates.route !== undefined && existingBus.tripId && updates.route !== previous.route) {
+      existingBus.assignTrip(null);
+      fields.push('tripId', 'tripStartDate', 'tripStartTime');
     }
     if (updates.driver !== undefined) {
       existingBus.driver = updates.driver;
-    }
-    if (updates.movingTime !== undefined) {
-      existingBus.movingTime = updates.movingTime;
-    }
-    if (updates.parkedTime !== undefined) {
-      existingBus.parkedTime = updates.parkedTime;
+      fields.push('driver');
     }
     if (updates.isFavorite !== undefined) {
       existingBus.isFavorite = updates.isFavorite;
+      fields.push('isFavorite');
     }
     if (updates.position !== undefined) {
       existingBus.position = updates.position;
+      fields.push('position');
     }
 
-    // Save to database
-    const updatedBus = await busRepository.update(existingBus);
+    // Save to database: the status change first, then the edited fields
+    let updatedBus = existingBus;
+    if (changesStatus) {
+      const result = await busRepository.updateStatusTimes(id, bus => {
+        if (bus.status === updates.status) {
+          return null;
+        }
+
+        this._assertTransition(bus, updates.status, updates.statusReason);
 
-    return updatedBus.toJSON();
+        const now = new Date();
+        const fromStatus = bus.status;
+        return {
+          timeSegments: bus.transitionTo(updates.status, now, updates.statusReason),
+          statusChanges: [{
+            fromStatus,
+            toStatus: updates.status,
+            reason: updates.statusReason || null,
+            source: STATUS_CHANGE_SOURCE.USER,
+            actorId,
+            changedAt: now
+          }]
+        };
+      });
+      previous.status = result.previousStatus;
+      updatedBus = result.bus;
+    }
+    if (fields.length > 0) {
+      updatedBus = await busRepository.update(existingBus, { fields: [...new Set(fields)] });
+    }
+    const busJson = this.toResponse(updatedBus);
+
+    // Notify realtime subscribers
+    busEvents.publishStatus(busJson, previous);
+    if (updates.position) {
+      busEvents.publishPosition(busJson);
+    }
+
+    return busJson;
   }
 
   /**
@@ -188,9 +337,9 @@ class BusService {
     existingBus.toggleFavorite();
 
     // Save to database
-    const updatedBus = await busRepository.update(existingBus);
+    const updatedBus = await busRepository.update(existingBus, { fields: ['isFavorite'] });
 
-    return updatedBus.toJSON();
+    return this.toResponse(updatedBus);
   }
 
   /**
@@ -216,7 +365,279 @@ class BusService {
    */
   async updatePosition(id, lat, lng) {
     const updatedBus = await busRepository.updatePosition(id, lat, lng);
-    return updatedBus.toJSON();
+    const busJson = this.toResponse(updatedBus);
+
+    // Notify realtime subscribers
+    busEvents.publishPosition(busJson);
+
+    return busJson;
+  }
+
+  /**
+   * Infer moving/parked from the speed of GPS fixes
+   *
+   * - A parked bus becomes moving on a fix at or above GPS_MOVING_SPEED_KMH
+   * - A moving bus becomes parked once it stayed below that speed for
+   *   GPS_PARKED_AFTER_SECONDS; the transition is backdated to the first slow fix
+   * - Inside an autoPark depot geofence a moving bus becomes parked and
+   *   speed is ignored until it leaves (source 'geofence')
+   * - Buses in any other status (maintenance, needs_urgent_maintenance, usable) are never changed
+   * - Transitions are recorded in the status history with source 'gps'
+   *
+   * Runs in a transaction; a status change is broadcast to realtime subscribers.
+   *
+   * @param {string} id - Bus ID
+   * @param {GpsReading[]} readings - Fixes newer than the previous bus position
+   * @param {Object} [options] - Inference options
+   * @param {Set<GpsReading>} [options.depotFixes] - Fixes inside an autoPark depot
+   *   (see geofenceService.evaluateFixes)
+   * @returns {Promise<Bus|null>} Bus after inference, or null if no fix was usable
+   * @throws {Error} If bus not found (404)
+   */
+  async inferStatusFromReadings(id, readings, options = {}) {
+    const depotFixes = options.depotFixes || new Set();
+    const usable = readings
+      .filter(reading => depotFixes.has(reading) || (reading.speed !== null && reading.speed !== undefined))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    if (usable.length === 0) {
+      return null;
+    }
+
+    const { updated, bus, previousStatus } = await busRepository.updateStatusTimes(
+      id,
+      current => this._applySpeed(current, usable, depotFixes)
+    );
+
+    if (updated && bus.status !== previousStatus) {
+      busEvents.publishStatus(this.toResponse(bus), { route: bus.route, status: previousStatus });
+    }
+
+    return bus;
+  }
+
+  /**
+   * Apply speed (and depot) inference rules to a bus, fix by fix
+   * @private
+   * @param {Bus} bus - Bus domain model (mutated)
+   * @param {GpsReading[]} readings - Fixes with speed or inside a depot, oldest first
+   * @param {Set<GpsReading>} depotFixes - Fixes inside an autoPark depot
+   * @returns {Object|null} { timeSegments, statusChanges } to persist, or null if nothing changed
+   */
+  _applySpeed(bus, readings, depotFixes = new Set()) {
+    const { GPS_MOVING_SPEED_KMH, GPS_PARKED_AFTER_SECONDS } = config.gps;
+    const changes = { timeSegments: [], statusChanges: [] };
+    let changed = false;
+
+    const transition = (status, at, source = STATUS_CHANGE_SOURCE.GPS) => {
+      changes.statusChanges.push({
+        fromStatus: bus.status,
+        toStatus: status,
+        reason: source === STATUS_CHANGE_SOURCE.GEOFENCE ? 'Inside depot geofence' : 'Inferred from GPS speed',
+        source,
+        actorId: null,
+        changedAt: at
+      });
+      changes.timeSegments.push(...bus.transitionTo(status, at));
+      changed = true;
+    };
+
+    readings.forEach(reading => {
+      const { speed, timestamp } = reading;
+
+      if (!bus.isMoving() && !bus.isParked()) {
+        return;
+      }
+
+      // Fixes from before the current status started say nothing about it
+      if (bus.statusChangedAt && timestamp < bus.statusChangedAt) {
+        return;
+      }
+
+      if (depotFixes.has(reading)) {
+        if (bus.isMoving()) {
+          transition('parked', timestamp, STATUS_CHANGE_SOURCE.GEOFENCE);
+        }
+        return;
+      }
+
+      if (speed >= GPS_MOVING_SPEED_KMH) {
+        if (bus.isParked()) {
+          transition('moving', timestamp);
+        } else if (bus.stoppedSince) {
+          bus.stoppedSince = null;
+          changed = true;
+        }
+      } else if (bus.isMoving()) {
+        if (!bus.stoppedSince) {
+          bus.stoppedSince = timestamp;
+          changed = true;
+        } else if (timestamp - bus.stoppedSince >= GPS_PARKED_AFTER_SECONDS * 1000) {
+          transition('parked', bus.stoppedSince);
+        }
+      }
+    });
+
+    return changed ? changes : null;
+  }
+
+  /**
+   * Check a requested status change against the Bus state machine
+   * @private
+   * @param {Bus} bus - Bus domain model
+   * @param {string} status - Target status
+   * @param {string} [reason] - Reason given for the change
+   * @throws {Error} If the transition is not allowed (409) or lacks a required reason (422)
+   */
+  _assertTransition(bus, status, reason) {
+    if (!bus.canTransitionTo(status)) {
+      const error = new Error(`Cannot change status from ${bus.status} to ${status}`);
+      error.status = 409;
+      error.type = 'INVALID_STATUS_TRANSITION';
+      error.details = {
+        from: bus.status,
+        to: status,
+        allowed: Bus.getAllowedTransitions(bus.status)
+      };
+      throw error;
+    }
+
+    if (Bus.requiresReason(status) && !(reason && reason.trim())) {
+      const error = new Error(`A reason (statusReason) is required to change status to ${status}`);
+      error.status = 422;
+      error.type = 'VALIDATION_ERROR';
+      throw error;
+    }
+  }
+
+  /**
+   * Assign the active GTFS trip of a bus
+   *
+   * The trip must exist and belong to the bus route; a bus without a route
+   * takes the route of the trip. The trip instance starts on startDate
+   * (default: today in the configured time zone) and, for frequency-based
+   * trips, at startTime (default: now, see frequencyService.resolveStartTime).
+   *
+   * @private
+   * @param {Bus} bus - Bus (modified in place)
+   * @param {string|null} tripId - GTFS trip ID, null to end the trip
+   * @param {string} [startDate] - Service date (YYYY-MM-DD)
+   * @param {string} [startTime] - Start time of a frequency-based trip (HH:MM:SS)
+   * @throws {Error} If the trip is unknown or on another route, or the start
+   *   time does not fit the trip frequencies (422)
+   */
+  async _assignTrip(bus, tripId, startDate, startTime) {
+    if (tripId === null) {
+      bus.assignTrip(null);
+      return;
+    }
+
+    const trip = await tripRepository.findById(tripId);
+
+    if (!trip) {
+      const error = new Error(`Trip ${tripId} not found`);
+      error.status = 422;
+      error.type = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    if (bus.route && bus.route !== trip.routeId) {
+      const error = new Error(`Trip ${tripId} belongs to route ${trip.routeId}, not ${bus.route}`);
+      error.status = 422;
+      error.type = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    if (!bus.route) {
+      bus.route = trip.routeId;
+    }
+
+    const serviceDate = startDate || localDate(new Date());
+    const tripStartTime = await frequencyService.resolveStartTime(trip.id, serviceDate, startTime || null);
+
+    bus.assignTrip(trip.id, serviceDate, tripStartTime);
+  }
+
+  /**
+   * Get the status transition history of a bus
+   *
+   * @param {string} id - Bus ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=50] - Max records
+   * @param {Date} [options.before] - Only transitions before this instant (paging)
+   * @returns {Promise<Object>} { busId, status, allowedTransitions, history }
+   * @throws {Error} If bus not found (404)
+   */
+  async getStatusHistory(id, options = {}) {
+    const bus = await busRepository.findById(id);
+
+    if (!bus) {
+      const error = new Error('Bus not found');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+
+    const history = await busRepository.listStatusHistory(id, options);
+
+    return {
+      busId: id,
+      status: bus.status,
+      allowedTransitions: Bus.getAllowedTransitions(bus.status),
+      history: history.map(change => ({
+        ...change,
+        changedAt: change.changedAt ? change.changedAt.toISOString() : null
+      }))
+    };
+  }
+
+  /**
+   * Get daily time totals of a bus
+   *
+   * Days without records are returned with zero totals. The current
+   * status stretch (not yet closed by a transition) is included.
+   *
+   * @param {string} id - Bus ID
+   * @param {Object} [options] - Query options
+   * @param {string} [options.from] - First local date (YYYY-MM-DD, default: today)
+   * @param {string} [options.to] - Last local date (YYYY-MM-DD, default: from)
+   * @returns {Promise<Object>} { busId, timeZone, from, to, days: [{ date, movingTime, parkedTime, ... }] }
+   * @throws {Error} If bus not found (404)
+   */
+  async getDailyTimes(id, options = {}) {
+    const bus = await busRepository.findById(id);
+
+    if (!bus) {
+      const error = new Error('Bus not found');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+
+    const now = new Date();
+    const from = options.from || localDate(now);
+    const to = options.to || from;
+
+    const days = new Map(dateRange(from, to).map(date => [date, new BusDailyTime({ busId: id, date })]));
+    const stored = await busRepository.listDailyTimes(id, from, to);
+    stored.forEach(day => days.set(day.date, day));
+
+    // Open stretch: only written to the daily totals on the next transition
+    if (bus.statusChangedAt && now > bus.statusChangedAt) {
+      splitByLocalDay(bus.statusChangedAt, now).forEach(({ date, seconds }) => {
+        if (days.has(date)) {
+          days.get(date).add(bus.status, seconds);
+        }
+      });
+    }
+
+    return {
+      busId: id,
+      timeZone: config.time.TIMEZONE,
+      from,
+      to,
+      days: [...days.values()].map(day => day.toJSON())
+    };
   }
 }
 
@@ -0,0 +1,243 @@
+/**
+ * Departure Service
+ *
+ * Builds the departure board of a stop: the trip instances that leave it
+ * within a time window, with their route and headsign. Each departure is
+ * placed on the service day it belongs to, in the time zone of its
+ * route's agency, so a 25:10:00 departure of yesterday's service shows up
+ * this morning. Departures of buses running the trip also get the
+ * predicted time (see predictionService); late buses are listed while
+ * their predicted departure is inside the window.
+ */
+
+const { stopRepository, stopTimeRepository, tripRepository, routeRepository } = require('./gtfs');
+const { busRepository } = require('./busRepository');
+const serviceCalendarService = require('./serviceCalendarService');
+const frequencyService = require('./frequencyService');
+const predictionService = require('./predictionService');
+const { localDate, serviceDayStart, dateRange } = require('../utils/time');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Default window of the board, in minutes
+ */
+const DEFAULT_WINDOW_MINUTES = 60;
+
+/**
+ * How late a departure scheduled before the window can still be predicted
+ * inside it
+ */
+const MAX_DELAY_MS = 30 * 60 * 1000;
+
+/**
+ * Stop times with this pickup type take no passengers, they are not departures
+ */
+const NO_PICKUP = '1';
+
+/**
+ * Key of a stop time of a trip instance
+ * @param {string} tripId - GTFS trip ID
+ * @param {string} serviceDate - Service date (YYYY-MM-DD)
+ * @param {string|null} startTime - Instance start (frequency-based trips)
+ * @param {number} stopSequence - Stop sequence
+ * @returns {string}
+ */
+function instanceKey(tripId, serviceDate, startTime, stopSequence) {
+  return `${tripId}|${serviceDate}|${startTime || ''}|${stopSequence}`;
+}
+
+/**
+ * DepartureService Class
+ *
+ * Handles service day resolution and the departure board of a stop.
+ */
+class DepartureService {
+  /**
+   * Departures from a stop within a time window, in scheduled order
+   *
+   * @param {string} stopId - GTFS stop ID
+   * @param {Object} [options] - Board options
+   * @param {Date} [options.at] - Window start (default: now)
+   * @param {number} [options.window=60] - Window length in minutes
+   * @returns {Promise<Object>} { stopId, stopName, from, to, generatedAt, departures }
+   * @throws {Error} If stop not found (404)
+   */
+  async getStopDepartures(stopId, options = {}) {
+    const stop = await stopRepository.findById(stopId);
+
+    if (!stop) {
+      throw httpError(404, 'NOT_FOUND', 'Stop not found');
+    }
+
+    const now = new Date();
+    const from = options.at || now;
+    const to = new Date(from.getTime() + (options.window || DEFAULT_WINDOW_MINUTES) * 60 * 1000);
+
+    const stopTimes = (await stopTimeRepository.findByStop(stopId))
+      .filter(stopTime => stopTime.pickupType !== NO_PICKUP);
+    const trips = await this._findAll(tripRepository, stopTimes.map(stopTime => stopTime.tripId));
+    const routes = await this._findAll(routeRepository, [...trips.values()].map(trip => trip.routeId));
+    const templates = new Map(stopTimes.map(stopTime => [`${stopTime.tripId}|${stopTime.stopSequence}`, stopTime]));
+    const earliest = new Date(from.getTime() - MAX_DELAY_MS);
+
+    // Service days overlapping the window, per agency of the routes
+    const serviceDays = new Map();
+    for (const route of routes.values()) {
+      const agencyId = route.agencyId || null;
+      if (!serviceDays.has(agencyId)) {
+        serviceDays.set(agencyId, await this._getServiceDays(agencyId, earliest, to));
+      }
+    }
+
+    let departures = [];
+    const expanded = await frequencyService.expandStopTimes(stopTimes.filter(stopTime => trips.has(stopTime.tripId)));
+
+    expanded.forEach(stopTime => {
+      const trip = trips.get(stopTime.tripId);
+      const route = routes.get(trip.routeId);
+
+      if (!route) {
+        return;
+      }
+
+      const template = templates.get(`${stopTime.tripId}|${stopTime.stopSequence}`);
+
+      serviceDays.get(route.agencyId || null)
+        .filter(day => day.serviceIds.has(trip.serviceId))
+        .forEach(day => {
+          const scheduledDeparture = new Date(day.start.getTime() + stopTime.departureSeconds * 1000);
+
+          if (scheduledDeparture < earliest || scheduledDeparture >= to) {
+            return;
+          }
+
+          departures.push({
+            tripId: trip.id,
+            startTime: stopTime.startTime,
+            serviceDate: day.date,
+            routeId: route.id,
+            routeShortName: route.shortName,
+            routeColor: route.color,
+            routeTextColor: route.textColor,
+            headsign: template.stopHeadsign || trip.headsign,
+            stopSequence: stopTime.stopSequence,
+            departureTime: stopTime.departureTime,
+            scheduledDeparture: scheduledDeparture.toISOString(),
+            predictedDeparture: null,
+            delaySeconds: null,
+            busId: null
+          });
+        });
+    });
+
+    if (departures.length > 0) {
+      await this._applyPredictions(stopId, departures, templates, now);
+    }
+
+    departures = departures.filter(departure => {
+      const time = new Date(departure.predictedDeparture || departure.scheduledDeparture);
+      return time >= from && time < to;
+    });
+
+    departures.sort((a, b) => a.scheduledDeparture.localeCompare(b.scheduledDeparture) ||
+      a.tripId.localeCompare(b.tripId));
+
+    return {
+      stopId,
+      stopName: stop.name,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      generatedAt: now.toISOString(),
+      departures
+    };
+  }
+
+  /**
+   * Service days of an agency that can have departures in a window: the
+   * local dates it spans plus the day before (GTFS times past 24:00:00)
+   * @private
+   * @param {string|null} agencyId - Agency ID (null: the default agency)
+   * @param {Date} from - Window start
+   * @param {Date} to - Window end
+   * @returns {Promise<Object[]>} [{ date, start, serviceIds }]
+   */
+  async _getServiceDays(agencyId, from, to) {
+    const options = agencyId ? { agencyId } : {};
+    const { timeZone } = await serviceCalendarService.getActiveServices({ ...options, at: from });
+    const dates = dateRange(
+      localDate(new Date(from.getTime() - 24 * 60 * 60 * 1000), timeZone),
+      localDate(to, timeZone)
+    );
+
+    const days = [];
+    for (const date of dates) {
+      days.push({
+        date,
+        start: serviceDayStart(date, timeZone),
+        serviceIds: await serviceCalendarService.getActiveServiceIds({ ...options, date })
+      });
+    }
+
+    return days;
+  }
+
+  /**
+   * Add the predicted departure of the buses running the trip instances
+   * (predicted arrival plus the scheduled dwell)
+   * @private
+   * @param {string} stopId - GTFS stop ID
+   * @param {Object[]} departures - Departures (modified in place)
+   * @param {Map<string, StopTime>} templates - Stop times by "<tripId>|<stopSequence>"
+   * @param {Date} now - Prediction time
+   */
+  async _applyPredictions(stopId, departures, templates, now) {
+    const buses = await busRepository.findByTripIds(departures.map(departure => departure.tripId));
+    const predictions = new Map();
+
+    for (const bus of buses) {
+      const result = await predictionService.predictTrip(bus, now);
+
+      (result ? result.predictions : [])
+        .filter(prediction => prediction.stopId === stopId)
+        .forEach(prediction => predictions.set(
+          instanceKey(prediction.tripId, prediction.serviceDate, prediction.startTime, prediction.stopSequence),
+          prediction
+        ));
+    }
+
+    departures.forEach(departure => {
+      const prediction = predictions.get(instanceKey(
+        departure.tripId, departure.serviceDate, departure.startTime, departure.stopSequence
+      ));
+
+      if (!prediction) {
+        return;
+      }
+
+      const template = templates.get(`${departure.tripId}|${departure.stopSequence}`);
+      const dwellSeconds = Math.max(0, template.getDepartureSeconds() - template.getArrivalSeconds());
+      const predictedDeparture = new Date(new Date(prediction.predictedArrival).getTime() + dwellSeconds * 1000);
+
+      departure.predictedDeparture = predictedDeparture.toISOString();
+      departure.delaySeconds = Math.round((predictedDeparture - new Date(departure.scheduledDeparture)) / 1000);
+      departure.busId = prediction.busId;
+    });
+  }
+
+  /**
+   * Find records by ID, once per ID
+   * @private
+   * @param {Object} repository - GTFS repository with findById
+   * @param {string[]} ids - IDs (repeats allowed)
+   * @returns {Promise<Map<string, Object>>} Records found, by ID
+   */
+  async _findAll(repository, ids) {
+    const unique = [...new Set(ids)];
+    const records = await Promise.all(unique.map(id => repository.findById(id)));
+
+    return new Map(records.filter(Boolean).map(record => [record.id, record]));
+  }
+}
+
+// Export singleton instance
+module.exports = new DepartureService();
@@ -0,0 +1,192 @@
+/**
+ * Device API Key Repository
+ *
+ * Repository pattern for DeviceApiKey entity.
+ * Maps API key domain models ↔ Firestore. Only hashes are stored.
+ */
+
+const { db } = require('../config/db');
+const DeviceApiKey = require('../models/DeviceApiKey');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * FirestoreDeviceApiKeyRepository
+ *
+ * Firestore implementation for device API keys.
+ * Revoked keys are kept for auditing.
+ */
+class FirestoreDeviceApiKeyRepository {
+  constructor() {
+    this.collection = db.collection(DeviceApiKey.collection());
+  }
+
+  /**
+   * Map Firestore document to DeviceApiKey domain model
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {DeviceApiKey|null}
+   */
+  _mapToModel(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return new DeviceApiKey({
+      id: doc.id,
+      deviceId: data.deviceId,
+      keyHash: data.keyHash,
+      scopes: data.scopes,
+      createdBy: data.createdBy,
+      revokedAt: data.revokedAt?.toDate ? data.revokedAt.toDate() : data.revokedAt,
+      createdAt: data.createdAt?.toDate()
+    });
+  }
+
+  /**
+   * Find an API key by ID
+   * @param {string} id - Key ID
+   * @returns {Promise<DeviceApiKey|null>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async findById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return this._mapToModel(doc);
+    } catch (error) {
+      console.error('Firestore error in findById:', error);
+      throw new Error(`Database error while finding API key by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * List all API keys of a device (newest first, revoked included)
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<DeviceApiKey[]>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async listByDevice(deviceId) {
+    try {
+      const snapshot = await this.collection
+        .where('deviceId', '==', deviceId)
+        .orderBy('createdAt', 'desc')
+        .get();
+
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listByDevice:', error);
+      throw new Error(`Database error while listing API keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a new key and revoke every other active key of the same device
+   *
+   * Both writes happen in one batch so a device never ends up with two
+   * valid keys or none.
+   *
+   * @param {DeviceApiKey} apiKey - New key (without ID)
+   * @returns {Promise<DeviceApiKey>} Created key with generated ID
+   * @throws {Error} If database error occurs (500)
+   */
+  async rotate(apiKey) {
+    try {
+      const activeSnapshot = await this.collection
+        .where('deviceId', '==', apiKey.deviceId)
+        .where('revokedAt', '==', null)
+        .get();
+
+      const docRef = this.collection.doc();
+      const batch = db.batch();
+      const now = new Date();
+
+      activeSnapshot.docs.forEach(doc => {
+        batch.update(doc.ref, { revokedAt: now });
+      });
+
+      batch.set(docRef, {
+        ...apiKey.toDatabase(),
+        revokedAt: null,
+        createdAt: FieldValue.serverTimestamp()
+      });
+
+      await batch.commit();
+
+      const createdDoc = await docRef.get();
+      return this._mapToModel(createdDoc);
+    } catch (error) {
+      console.error('Firestore error in rotate:', error);
+      throw new Error(`Database error while creating API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} id - Key ID
+   * @returns {Promise<DeviceApiKey>} Revoked key
+   * @throws {Error} If database error occurs or key not found (404)
+   */
+  async revoke(id) {
+    try {
+      const docRef = this.collection.doc(id);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        const error = new Error('API key not found');
+        error.status = 404;
+        throw error;
+      }
+
+      if (!doc.data().revokedAt) {
+        await docRef.update({ revokedAt: new Date() });
+      }
+
+      const revokedDoc = await docRef.get();
+      return this._mapToModel(revokedDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      console.error('Firestore error in revoke:', error);
+      throw new Error(`Database error while revoking API key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke every active key of a device
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<number>} Number of keys revoked
+   * @throws {Error} If database error occurs (500)
+   */
+  async revokeAllForDevice(deviceId) {
+    try {
+      const snapshot = await this.collection
+        .where('deviceId', '==', deviceId)
+        .where('revokedAt', '==', null)
+        .get();
+
+      if (snapshot.empty) {
+        return 0;
+      }
+
+      const batch = db.batch();
+      const now = new Date();
+      snapshot.docs.forEach(doc => {
+        batch.update(doc.ref, { revokedAt: now });
+      });
+      await batch.commit();
+
+      return snapshot.size;
+    } catch (error) {
+      console.error('Firestore error in revokeAllForDevice:', error);
+      throw new Error(`Database error while revoking API keys: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  FirestoreDeviceApiKeyRepository,
+  // Export singleton instance for convenience
+  deviceApiKeyRepository: new FirestoreDeviceApiKeyRepository()
+};
@@ -0,0 +1,578 @@
+/**
+ * Device Repository
+ *
+ * Repository pattern for Device entity.
+ * Maps tracker domain models ↔ Firestore and keeps the bus assignment history.
+ */
+
+const { db } = require('../config/db');
+const Device = require('../models/Device');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * Convert a Firestore Timestamp (or Date/null) to a Date
+ * @param {*} value - Firestore field value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * IDeviceRepository Interface
+ *
+ * Contract for Device repository implementations.
+ * All implementations must provide these methods.
+ *
+ * @interface IDeviceRepository
+ */
+class IDeviceRepository {
+  /**
+   * List devices with pagination and filters
+   * @param {Object} options - Query options
+   * @returns {Promise<{devices: Device[], total: number, page: number, pageSize: number, totalPages: number}>}
+   */
+  async list(_options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find a device by ID
+   * @param {string} id - Device ID
+   * @returns {Promise<Device|null>}
+   */
+  async findById(_id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find a device by the serial it reports as deviceId
+   * @param {string} serial - Device serial
+   * @returns {Promise<Device|null>}
+   */
+  async findBySerial(_serial) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Create a new device
+   * @param {Device} device - Device domain model
+   * @returns {Promise<Device>}
+   */
+  async create(_device) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update an existing device
+   * @param {Device} device - Device domain model with ID
+   * @returns {Promise<Device>}
+   */
+  async update(_device) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Delete a device by ID
+   * @param {string} id - Device ID
+   * @returns {Promise<void>}
+   */
+  async remove(_id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Assign a device to a bus (or unassign with null), recording history
+   * @param {string} id - Device ID
+   * @param {string|null} busId - Bus ID
+   * @param {Object} [meta] - Assignment metadata (assignedBy, note)
+   * @returns {Promise<Device>}
+   */
+  async assign(_id, _busId, _meta) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List assignment history for a device (newest first)
+   * @param {string} id - Device ID
+   * @returns {Promise<Object[]>}
+   */
+  async listAssignments(_id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the assignment that was active at a given time
+   * @param {string} id - Device ID
+   * @param {Date} at - Point in time
+   * @returns {Promise<Object|null>}
+   */
+  async findAssignmentAt(_id, _at) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record the last time a device reported
+   * @param {string} id - Device ID
+   * @param {Date} at - Time last seen
+   * @returns {Promise<void>}
+   */
+  async markSeen(_id, _at) {
+    throw new Error('Method not implemented');
+  }
+}
+
+/**
+ * FirestoreDeviceRepository
+ *
+ * Firestore implementation of IDeviceRepository.
+ * Assignment history lives in its own collection so it survives device deletion.
+ */
+class FirestoreDeviceRepository extends IDeviceRepository {
+  constructor() {
+    super();
+    this.collection = db.collection(Device.collection());
+    this.assignments = db.collection(Device.assignmentsCollection());
+  }
+
+  /**
+   * Map Firestore document to Device domain model
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {Device|null}
+   */
+  _mapToModel(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return new Device({
+      id: doc.id,
+      serial: data.serial,
+      imei: data.imei,
+      model: data.model,
+      firmwareVersion: data.firmwareVersion,
+      simIccid: data.simIccid,
+      simPhoneNumber: data.simPhoneNumber,
+      busId: data.busId,
+      assignedAt: toDate(data.assignedAt),
+      lastSeenAt: toDate(data.lastSeenAt),
+      isActive: data.isActive,
+      createdAt: data.createdAt?.toDate(),
+      updatedAt: data.updatedAt?.toDate()
+    });
+  }
+
+  /**
+   * Map Device domain model to Firestore document data
+   * @private
+   * @param {Device} device - Device domain model
+   * @param {boolean} isUpdate - Whether this is an update operation
+   * @returns {Object}
+   */
+  _mapToDocument(device, isUpdate = false) {
+    const data = {
+      serial: device.serial,
+      imei: device.imei,
+      model: device.model,
+      firmwareVersion: device.firmwareVersion,
+      simIccid: device.simIccid,
+      simPhoneNumber: device.simPhoneNumber,
+      isActive: device.isActive,
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    // Assignment fields are owned by assign(); only set them on create
+    if (!isUpdate) {
+      data.busId = device.busId;
+      data.assignedAt = device.assignedAt;
+      data.lastSeenAt = device.lastSeenAt;
+      data.createdAt = FieldValue.serverTimestamp();
+    }
+
+    return data;
+  }
+
+  /**
+   * Map assignment history document to plain object
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {Object}
+   */
+  _mapAssignment(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      deviceId: data.deviceId,
+      busId: data.busId,
+      assignedAt: toDate(data.assignedAt),
+      unassignedAt: toDate(data.unassignedAt),
+      assignedBy: data.assignedBy || null,
+      note: data.note || null
+    };
+  }
+
+  /**
+   * List devices with pagination and filters
+   * @param {Object} options - Query options
+   * @param {number} [options.page=1] - Page number (1-indexed)
+   * @param {number} [options.pageSize=10] - Items per page
+   * @param {Object} [options.filters] - Filter criteria
+   * @param {string} [options.filters.busId] - Filter by assigned bus
+   * @param {boolean} [options.filters.isActive] - Filter by active flag
+   * @returns {Promise<{devices: Device[], total: number, page: number, pageSize: number, totalPages: number, hasMore: boolean}>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async list(options = {}) {
+    try {
+      const page = Math.max(1, options.page || 1);
+      const pageSize = Math.min(100, Math.max(1, options.pageSize || 10));
+      const filters = options.filters || {};
+
+      let query = this.collection;
+
+      if (filters.busId) {
+        query = query.where('busId', '==', filters.busId);
+      }
+
+      if (filters.isActive !== undefined) {
+        query = query.where('isActive', '==', Boolean(filters.isActive));
+      }
+
+      const totalSnapshot = await query.get();
+      const total = totalSnapshot.size;
+
+      const offset = (page - 1) * pageSize;
+      const snapshot = await query.offset(offset).limit(pageSize).get();
+
+      const devices = snapshot.docs.map(doc => this._mapToModel(doc));
+      const totalPages = Math.ceil(total / pageSize);
+
+      return {
+        devices,
+        total,
+        page,
+        pageSize,
+        totalPages,
+        hasMore: page < totalPages
+      };
+    } catch (error) {
+      console.error('Firestore error in list:', error);
+      throw new Error(`Database error while listing devices: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a device by ID
+   * @param {string} id - Device ID
+   * @returns {Promise<Device|null>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async findById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return this._mapToModel(doc);
+    } catch (error) {
+      console.error('Firestore error in findById:', error);
+      throw new Error(`Database error while finding device by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a device by serial
+   * @param {string} serial - Serial reported by the tracker
+   * @returns {Promise<Device|null>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async findBySerial(serial) {
+    try {
+      const snapshot = await this.collection
+        .where('serial', '==', serial.trim())
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) {
+        return null;
+      }
+
+      return this._mapToModel(snapshot.docs[0]);
+    } catch (error) {
+      console.error('Firestore error in findBySerial:', error);
+      throw new Error(`Database error while finding device by serial: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new device
+   *
+   * If the device is created already assigned to a bus, the initial
+   * assignment is written to the history in the same batch.
+   *
+   * @param {Device} device - Device domain model (without ID)
+   * @param {Object} [meta] - Assignment metadata (assignedBy, note)
+   * @returns {Promise<Device>} Created device with generated ID
+   * @throws {Error} If database error occurs or serial already exists (409)
+   */
+  async create(device, meta = {}) {
+    try {
+      const existing = await this.findBySerial(device.serial);
+      if (existing) {
+        const error = new Error('Device with this serial already exists');
+        error.status = 409;
+        throw error;
+      }
+
+      const docRef = this.collection.doc();
+      const batch = db.batch();
+
+      batch.set(docRef, this._mapToDocument(device, false));
+
+      if (device.busId) {
+        batch.set(this.assignments.doc(), {
+          deviceId: docRef.id,
+          busId: device.busId,
+          assignedAt: device.assignedAt,
+          unassignedAt: null,
+          assignedBy: meta.assignedBy || null,
+          note: meta.note || null
+        });
+      }
+
+      await batch.commit();
+
+      const createdDoc = await docRef.get();
+      return this._mapToModel(createdDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      console.error('Firestore error in create:', error);
+      throw new Error(`Database error while creating device: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an existing device (hardware fields and active flag)
+   * @param {Device} device - Device domain model with ID
+   * @returns {Promise<Device>}
+   * @throws {Error} If database error occurs or device not found (404)
+   */
+  async update(device) {
+    try {
+      if (!device.id) {
+        throw new Error('Device ID is required for update');
+      }
+
+      const docRef = this.collection.doc(device.id);
+
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        const error = new Error('Device not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await docRef.update(this._mapToDocument(device, true));
+
+      const updatedDoc = await docRef.get();
+      return this._mapToModel(updatedDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      console.error('Firestore error in update:', error);
+      throw new Error(`Database error while updating device: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a device by ID
+   *
+   * Closes the open assignment so the history stays consistent.
+   *
+   * @param {string} id - Device ID
+   * @returns {Promise<void>}
+   * @throws {Error} If database error occurs or device not found (404)
+   */
+  async remove(id) {
+    try {
+      const docRef = this.collection.doc(id);
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        const error = new Error('Device not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const openSnapshot = await this.assignments
+        .where('deviceId', '==', id)
+        .where('unassignedAt', '==', null)
+        .get();
+
+      const batch = db.batch();
+      openSnapshot.docs.forEach(assignmentDoc => {
+        batch.update(assignmentDoc.ref, { unassignedAt: new Date() });
+      });
+      batch.delete(docRef);
+
+      await batch.commit();
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      console.error('Firestore error in remove:', error);
+      throw new Error(`Database error while deleting device: ${error.message}`);
+    }
+  }
+
+  /**
+   * Assign a device to a bus (or unassign with null)
+   *
+   * Runs in a transaction: closes the open history record, opens a new one
+   * and updates the device document.
+   *
+   * @param {string} id - Device ID
+   * @param {string|null} busId - Bus ID, or null to unassign
+   * @param {Object} [meta] - Assignment metadata
+   * @param {string} [meta.assignedBy] - User ID performing the change
+   * @param {string} [meta.note] - Free-text reason
+   * @returns {Promise<Device>} Updated device
+   * @throws {Error} If database error occurs or device not found (404)
+   */
+  async assign(id, busId, meta = {}) {
+    try {
+      const docRef = this.collection.doc(id);
+      const now = new Date();
+
+      await db.runTransaction(async transaction => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          const error = new Error('Device not found');
+          error.status = 404;
+          throw error;
+        }
+
+        const openSnapshot = await transaction.get(
+          this.assignments
+            .where('deviceId', '==', id)
+            .where('unassignedAt', '==', null)
+        );
+
+        openSnapshot.docs.forEach(assignmentDoc => {
+          transaction.update(assignmentDoc.ref, { unassignedAt: now });
+        });
+
+        if (busId) {
+          transaction.set(this.assignments.doc(), {
+            deviceId: id,
+            busId,
+            assignedAt: now,
+            unassignedAt: null,
+            assignedBy: meta.assignedBy || null,
+            note: meta.note || null
+          });
+        }
+
+        transaction.update(docRef, {
+          busId: busId || null,
+          assignedAt: busId ? now : null,
+          updatedAt: FieldValue.serverTimestamp()
+        });
+      });
+
+      const updatedDoc = await docRef.get();
+      return this._mapToModel(updatedDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      console.error('Firestore error in assign:', error);
+      throw new Error(`Database error while assigning device: ${error.message}`);
+    }
+  }
+
+  /**
+   * List assignment history for a device (newest first)
+   * @param {string} id - Device ID
+   * @returns {Promise<Object[]>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async listAssignments(id) {
+    try {
+      const snapshot = await this.assignments
+        .where('deviceId', '==', id)
+        .orderBy('assignedAt', 'desc')
+        .get();
+
+      return snapshot.docs.map(doc => this._mapAssignment(doc));
+    } catch (error) {
+      console.error('Firestore error in listAssignments:', error);
+      throw new Error(`Database error while listing device assignments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the assignment that was active at a given time
+   * @param {string} id - Device ID
+   * @param {Date} at - Point in time
+   * @returns {Promise<Object|null>} Assignment or null if unassigned at that time
+   * @throws {Error} If database error occurs (500)
+   */
+  async findAssignmentAt(id, at) {
+    try {
+      const snapshot = await this.assignments
+        .where('deviceId', '==', id)
+        .where('assignedAt', '<=', at)
+        .orderBy('assignedAt', 'desc')
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) {
+        return null;
+      }
+
+      const assignment = this._mapAssignment(snapshot.docs[0]);
+
+      if (assignment.unassignedAt && assignment.unassignedAt.getTime() <= at.getTime()) {
+        return null;
+      }
+
+      return assignment;
+    } catch (error) {
+      console.error('Firestore error in findAssignmentAt:', error);
+      throw new Error(`Database error while finding device assignment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the last time a device reported
+   * @param {string} id - Device ID
+   * @param {Date} at - Time last seen
+   * @returns {Promise<void>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async markSeen(id, at) {
+    try {
+      await this.collection.doc(id).update({ lastSeenAt: at });
+    } catch (error) {
+      console.error('Firestore error in markSeen:', error);
+      throw new Error(`Database error while updating device last seen: ${error.message}`);
+    }
+  }
+}
+
+// Export interface and implementation
+module.exports = {
+  IDeviceRepository,
+  FirestoreDeviceRepository,
+  // Export singleton instance for convenience
+  deviceRepository: new FirestoreDeviceRepository()
+};
@@ -0,0 +1,434 @@
+/**
+ * Device Service
+ *
+ * Business logic for the tracker registry.
+ * Maps physical GPS units to buses and keeps the assignment history.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { deviceRepository } = require('./deviceRepository');
+const { deviceApiKeyRepository } = require('./deviceApiKeyRepository');
+const { busRepository } = require('./busRepository');
+const Device = require('../models/Device');
+const DeviceApiKey = require('../models/DeviceApiKey');
+
+/**
+ * How long a successful bcrypt comparison is remembered.
+ * Trackers send ~1 fix per second; hashing every request would dominate CPU.
+ * Revocation is still checked on every request against the key document.
+ */
+const VERIFIED_KEY_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * DeviceService Class
+ *
+ * Handles device CRUD, bus assignment, API keys and device → bus resolution for ingestion.
+ */
+class DeviceService {
+  constructor() {
+    this.saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 10;
+    this.verifiedKeys = new Map();
+  }
+
+  /**
+   * List devices with pagination and filters
+   *
+   * @param {Object} options - Query options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.pageSize=10] - Items per page
+   * @param {string} [options.busId] - Filter by assigned bus
+   * @param {boolean} [options.isActive] - Filter by active flag
+   * @returns {Promise<{data: Array, pagination: Object}>}
+   */
+  async listDevices(options = {}) {
+    const { page = 1, pageSize = 10, busId, isActive } = options;
+
+    // Build filters
+    const filters = {};
+    if (busId) {
+      filters.busId = busId;
+    }
+    if (isActive !== undefined) {
+      filters.isActive = isActive;
+    }
+
+    const result = await deviceRepository.list({
+      page: parseInt(page, 10),
+      pageSize: parseInt(pageSize, 10),
+      filters
+    });
+
+    return {
+      data: result.devices.map(device => device.toJSON()),
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: result.totalPages,
+        hasMore: result.hasMore
+      }
+    };
+  }
+
+  /**
+   * Get device by ID
+   *
+   * @param {string} id - Device ID
+   * @returns {Promise<Object>}
+   * @throws {Error} If device not found (404)
+   */
+  async getDeviceById(id) {
+    const device = await this._getDevice(id);
+    return device.toJSON();
+  }
+
+  /**
+   * Register a new device
+   *
+   * @param {Object} deviceData - Device data
+   * @param {string} [actorId] - User ID registering the device
+   * @returns {Promise<Object>}
+   * @throws {Error} If the bus does not exist (404) or serial already exists (409)
+   */
+  async createDevice(deviceData, actorId = null) {
+    // Create device model (validation happens in constructor)
+    const device = new Device({
+      serial: deviceData.serial,
+      imei: deviceData.imei,
+      model: deviceData.model,
+      firmwareVersion: deviceData.firmwareVersion,
+      simIccid: deviceData.simIccid,
+      simPhoneNumber: deviceData.simPhoneNumber,
+      isActive: deviceData.isActive
+    });
+
+    if (deviceData.busId) {
+      await this._assertBusExists(deviceData.busId);
+      device.assignTo(deviceData.busId);
+    }
+
+    const createdDevice = await deviceRepository.create(device, {
+      assignedBy: actorId,
+      note: deviceData.assignmentNote
+    });
+
+    return createdDevice.toJSON();
+  }
+
+  /**
+   * Update a device
+   *
+   * Changing busId moves the device and records the change in the
+   * assignment history (null unassigns it).
+   *
+   * @param {string} id - Device ID
+   * @param {Object} updates - Fields to update
+   * @param {string} [actorId] - User ID performing the change
+   * @returns {Promise<Object>}
+   * @throws {Error} If device or bus not found (404)
+   */
+  async updateDevice(id, updates, actorId = null) {
+    const existingDevice = await this._getDevice(id);
+
+    const assignmentChanged = updates.busId !== undefined &&
+      (updates.busId || null) !== existingDevice.busId;
+
+    if (assignmentChanged && updates.busId) {
+      await this._assertBusExists(updates.busId);
+    }
+
+    // Update fields
+    if (updates.imei !== undefined) {
+      existingDevice.imei = updates.imei;
+    }
+    if (updates.model !== undefined) {
+      existingDevice.model = updates.model;
+    }
+    if (updates.firmwareVersion !== undefined) {
+      existingDevice.firmwareVersion = updates.firmwareVersion;
+    }
+    if (updates.simIccid !== undefined) {
+      existingDevice.simIccid = updates.simIccid;
+    }
+    if (updates.simPhoneNumber !== undefined) {
+      existingDevice.simPhoneNumber = updates.simPhoneNumber;
+    }
+    if (updates.isActive !== undefined) {
+      existingDevice.isActive = updates.isActive;
+    }
+
+    let updatedDevice = await deviceRepository.update(existingDevice);
+
+    if (assignmentChanged) {
+      updatedDevice = await deviceRepository.assign(id, updates.busId || null, {
+        assignedBy: actorId,
+        note: updates.assignmentNote
+      });
+    }
+
+    return updatedDevice.toJSON();
+  }
+
+  /**
+   * Delete a device
+   *
+   * @param {string} id - Device ID
+   * @returns {Promise<void>}
+   * @throws {Error} If device not found (404)
+   */
+  async deleteDevice(id) {
+    // Repository will throw 404 if not found
+    await deviceRepository.remove(id);
+    await deviceApiKeyRepository.revokeAllForDevice(id);
+  }
+
+  /**
+   * Get the bus assignment history of a device (newest first)
+   *
+   * @param {string} id - Device ID
+   * @returns {Promise<Object[]>}
+   * @throws {Error} If device not found (404)
+   */
+  async getAssignmentHistory(id) {
+    await this._getDevice(id);
+
+    const assignments = await deviceRepository.listAssignments(id);
+
+    return assignments.map(assignment => ({
+      ...assignment,
+      assignedAt: assignment.assignedAt ? assignment.assignedAt.toISOString() : null,
+      unassignedAt: assignment.unassignedAt ? assignment.unassignedAt.toISOString() : null
+    }));
+  }
+
+  /**
+   * Issue a new API key for a device, revoking any previous key (rotation)
+   *
+   * The plaintext key is only returned here; only its bcrypt hash is stored.
+   *
+   * @param {string} id - Device ID
+   * @param {string} [actorId] - User ID issuing the key
+   * @returns {Promise<{key: string, apiKey: Object}>}
+   * @throws {Error} If device not found (404)
+   */
+  async issueApiKey(id, actorId = null) {
+    await this._getDevice(id);
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const keyHash = await bcrypt.hash(secret, this.saltRounds);
+
+    const apiKey = await deviceApiKeyRepository.rotate(new DeviceApiKey({
+      deviceId: id,
+      keyHash,
+      scopes: ['gps:ingest'],
+      createdBy: actorId
+    }));
+
+    return {
+      key: DeviceApiKey.format(apiKey.id, secret),
+      apiKey: apiKey.toJSON()
+    };
+  }
+
+  /**
+   * List the API keys of a device (revoked included, hashes never exposed)
+   *
+   * @param {string} id - Device ID
+   * @returns {Promise<Object[]>}
+   * @throws {Error} If device not found (404)
+   */
+  async listApiKeys(id) {
+    await this._getDevice(id);
+
+    const apiKeys = await deviceApiKeyRepository.listByDevice(id);
+    return apiKeys.map(apiKey => apiKey.toJSON());
+  }
+
+  /**
+   * Revoke an API key of a device
+   *
+   * @param {string} id - Device ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>}
+   * @throws {Error} If the key does not exist for this device (404)
+   */
+  async revokeApiKey(id, keyId) {
+    const apiKey = await deviceApiKeyRepository.findById(keyId);
+
+    if (!apiKey || apiKey.deviceId !== id) {
+      const error = new Error('API key not found');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+
+    const revoked = await deviceApiKeyRepository.revoke(keyId);
+    return revoked.toJSON();
+  }
+
+  /**
+   * Authenticate a plaintext device API key
+   *
+   * @param {string} key - Plaintext key ("btk_<keyId>.<secret>")
+   * @param {string} scope - Scope the request needs
+   * @returns {Promise<{device: Device, apiKey: DeviceApiKey}>}
+   * @throws {Error} If the key is malformed, unknown, revoked or wrong (401),
+   *   lacks the scope or the device is inactive (403)
+   */
+  async authenticateApiKey(key, scope) {
+    const parsed = DeviceApiKey.parse(key);
+
+    if (!parsed) {
+      throw this._keyError(401, 'UNAUTHORIZED', 'Malformed API key');
+    }
+
+    const apiKey = await deviceApiKeyRepository.findById(parsed.keyId);
+
+    if (!apiKey || apiKey.isRevoked()) {
+      throw this._keyError(401, 'UNAUTHORIZED', 'Invalid or revoked API key');
+    }
+
+    const fingerprint = crypto.createHash('sha256').update(key).digest('hex');
+    const cached = this.verifiedKeys.get(fingerprint);
+
+    if (!cached || cached < Date.now()) {
+      const isValid = await bcrypt.compare(parsed.secret, apiKey.keyHash);
+
+      if (!isValid) {
+        this.verifiedKeys.delete(fingerprint);
+        throw this._keyError(401, 'UNAUTHORIZED', 'Invalid or revoked API key');
+      }
+
+      this.verifiedKeys.set(fingerprint, Date.now() + VERIFIED_KEY_TTL_MS);
+    }
+
+    if (!apiKey.hasScope(scope)) {
+      throw this._keyError(403, 'FORBIDDEN', `API key does not grant the ${scope} scope`);
+    }
+
+    const device = await deviceRepository.findById(apiKey.deviceId);
+
+    if (!device) {
+      throw this._keyError(401, 'UNAUTHORIZED', 'Invalid or revoked API key');
+    }
+
+    if (!device.isActive) {
+      throw this._keyError(403, 'FORBIDDEN', 'Device is inactive');
+    }
+
+    return { device, apiKey };
+  }
+
+  /**
+   * Find the registered device for a serial reported by a tracker
+   *
+   * @param {string} serial - deviceId reported in the GPS fix
+   * @returns {Promise<Device>}
+   * @throws {Error} If the device is not registered (404) or inactive (403)
+   */
+  async findIngestDevice(serial) {
+    const device = await deviceRepository.findBySerial(serial);
+
+    if (!device) {
+      const error = new Error('Device not registered');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+
+    if (!device.isActive) {
+      const error = new Error('Device is inactive');
+      error.status = 403;
+      error.type = 'FORBIDDEN';
+      throw error;
+    }
+
+    return device;
+  }
+
+  /**
+   * Resolve which bus a device was mounted on at a given time
+   *
+   * Fixes newer than the current assignment use it directly; older fixes
+   * (store-and-forward uploads after a move) are looked up in the history.
+   *
+   * @param {Device} device - Registered device
+   * @param {Date} at - Fix timestamp
+   * @returns {Promise<string|null>} Bus ID, or null if unassigned at that time
+   */
+  async busIdAt(device, at) {
+    if (device.busId && device.assignedAt && at.getTime() >= device.assignedAt.getTime()) {
+      return device.busId;
+    }
+
+    const assignment = await deviceRepository.findAssignmentAt(device.id, at);
+    return assignment ? assignment.busId : null;
+  }
+
+  /**
+   * Record that a device has reported
+   *
+   * @param {string} id - Device ID
+   * @param {Date} [at=new Date()] - Time seen
+   * @returns {Promise<void>}
+   */
+  async markSeen(id, at = new Date()) {
+    await deviceRepository.markSeen(id, at);
+  }
+
+  /**
+   * Get device model or throw 404
+   * @private
+   * @param {string} id - Device ID
+   * @returns {Promise<Device>}
+   */
+  async _getDevice(id) {
+    const device = await deviceRepository.findById(id);
+
+    if (!device) {
+      const error = new Error('Device not found');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+
+    return device;
+  }
+
+  /**
+   * Build an authentication error
+   * @private
+   * @param {number} status - HTTP status
+   * @param {string} type - Error type
+   * @param {string} message - Error message
+   * @returns {Error}
+   */
+  _keyError(status, type, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.type = type;
+    return error;
+  }
+
+  /**
+   * Ensure a bus exists before assigning a device to it
+   * @private
+   * @param {string} busId - Bus ID
+   * @returns {Promise<void>}
+   * @throws {Error} If bus not found (404)
+   */
+  async _assertBusExists(busId) {
+    const bus = await busRepository.findById(busId);
+
+    if (!bus) {
+      const error = new Error('Bus not found');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new DeviceService();
@@ -0,0 +1,228 @@
+/**
+ * Fare Service
+ *
+ * Calculates the fare of a ride between two stops from fare_attributes
+ * and fare_rules. The ride is taken on a trip that serves the origin
+ * before the destination; its route and the zones (Stop.zoneId) of the
+ * stops it passes decide which fares apply, the cheapest one wins.
+ *
+ * A fare applies when each kind of condition its rules set is met (rules
+ * of one fare are alternatives within a kind):
+ * - route_id: the ride is on one of the routes
+ * - origin_id/destination_id: one rule matches the origin and destination
+ *   zones (an empty field matches any zone)
+ * - contains_id: the zones passed are exactly the contained zones
+ * Fares without rules apply to every ride only in feeds without rules.
+ */
+
+const {
+  stopRepository,
+  routeRepository,
+  tripRepository,
+  stopTimeRepository,
+  fareAttributeRepository,
+  fareRuleRepository
+} = require('./gtfs');
+const { createGtfsCache } = require('./gtfsCache');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * FareService Class
+ *
+ * Handles ride resolution and fare rule matching.
+ */
+class FareService {
+  constructor() {
+    this.faresCache = createGtfsCache();
+  }
+
+  /**
+   * Fares with their rules, cached (see gtfsCache)
+   * @returns {Promise<Object[]>} [{ fare, rules }]
+   */
+  async getFares() {
+    const cached = this.faresCache.get('fares');
+    if (cached) {
+      return cached;
+    }
+
+    const [fares, rules] = await Promise.all([
+      fareAttributeRepository.listAll(),
+      fareRuleRepository.listAll()
+    ]);
+
+    return this.faresCache.set('fares', fares.map(fare => ({
+      fare,
+      rules: rules.filter(rule => rule.fareId === fare.id)
+    })));
+  }
+
+  /**
+   * Calculate the fare of a ride between two stops
+   *
+   * Each route with a trip serving the origin before the destination is an
+   * option (only routeId when given), with the cheapest fare that applies
+   * to it (null when none does). Options are sorted cheapest first.
+   *
+   * @param {Object} params - Ride
+   * @param {string} params.originStopId - Boarding stop
+   * @param {string} params.destinationStopId - Alighting stop
+   * @param {string} [params.routeId] - Only rides on this route
+   * @returns {Promise<Object>} { originStopId, destinationStopId, originZoneId, destinationZoneId, options }
+   * @throws {Error} If a stop or the route is not found (404), or no trip
+   *   goes from the origin to the destination (422)
+   */
+  async calculateFare({ originStopId, destinationStopId, routeId = null }) {
+    const [origin, destination] = await Promise.all([
+      stopRepository.findById(originStopId),
+      stopRepository.findById(destinationStopId)
+    ]);
+
+    if (!origin || !destination) {
+      throw httpError(404, 'NOT_FOUND', `Stop ${origin ? destinationStopId : originStopId} not found`);
+    }
+
+    if (routeId && !(await routeRepository.findById(routeId))) {
+      throw httpError(404, 'NOT_FOUND', 'Route not found');
+    }
+
+    const rides = await this._findRides(origin, destination, routeId);
+
+    if (rides.length === 0) {
+      throw httpError(
+        422,
+        'VALIDATION_ERROR',
+        `No trip${routeId ? ` of route ${routeId}` : ''} goes from stop ${originStopId} to stop ${destinationStopId}`
+      );
+    }
+
+    const fares = await this.getFares();
+    const feedHasRules = fares.some(({ rules }) => rules.length > 0);
+
+    const options = rides.map(ride => {
+      const fare = fares
+        .filter(({ rules }) => (rules.length === 0
+          ? !feedHasRules
+          : this._matches(rules, ride, origin.zoneId, destination.zoneId)))
+        .map(({ fare: candidate }) => candidate)
+        .sort((a, b) => a.price - b.price)[0];
+
+      return {
+        routeId: ride.routeId,
+        zoneIds: ride.zoneIds,
+        fare: fare
+          ? {
+            fareId: fare.id,
+            price: fare.price,
+            currencyType: fare.currencyType,
+            paymentMethod: fare.paymentMethod,
+            transfers: fare.transfers,
+            transferDuration: fare.transferDuration,
+            agencyId: fare.agencyId
+          }
+          : null
+      };
+    });
+
+    options.sort((a, b) => (a.fare ? a.fare.price : Infinity) - (b.fare ? b.fare.price : Infinity));
+
+    return {
+      originStopId,
+      destinationStopId,
+      originZoneId: origin.zoneId,
+      destinationZoneId: destination.zoneId,
+      options
+    };
+  }
+
+  /**
+   * Clear cached fares (after fare or rule changes)
+   */
+  clearCache() {
+    this.faresCache.clear();
+  }
+
+  /**
+   * One ride per route with a trip serving the origin before the destination
+   * @private
+   * @param {Stop} origin - Boarding stop
+   * @param {Stop} destination - Alighting stop
+   * @param {string|null} routeId - Only this route
+   * @returns {Promise<Object[]>} [{ routeId, zoneIds }], zones passed in order
+   */
+  async _findRides(origin, destination, routeId) {
+    const routeTrips = routeId
+      ? new Map((await tripRepository.findByRoute(routeId)).map(trip => [trip.id, trip]))
+      : null;
+    const tripIds = [...new Set((await stopTimeRepository.findByStop(origin.id)).map(stopTime => stopTime.tripId))]
+      .filter(tripId => !routeTrips || routeTrips.has(tripId));
+
+    const rides = new Map();
+    const zones = new Map([[origin.id, origin.zoneId], [destination.id, destination.zoneId]]);
+
+    for (const tripId of tripIds) {
+      const trip = routeTrips ? routeTrips.get(tripId) : await tripRepository.findById(tripId);
+
+      if (!trip || rides.has(trip.routeId)) {
+        continue;
+      }
+
+      const stopTimes = await stopTimeRepository.findByTrip(tripId);
+      const from = stopTimes.findIndex(stopTime => stopTime.stopId === origin.id);
+      const to = stopTimes.findIndex((stopTime, index) => index > from && stopTime.stopId === destination.id);
+
+      if (from === -1 || to === -1) {
+        continue;
+      }
+
+      const zoneIds = [];
+      for (const stopTime of stopTimes.slice(from, to + 1)) {
+        if (!zones.has(stopTime.stopId)) {
+          const stop = await stopRepository.findById(stopTime.stopId);
+          zones.set(stopTime.stopId, stop ? stop.zoneId : null);
+        }
+
+        const zoneId = zones.get(stopTime.stopId);
+        if (zoneId && !zoneIds.includes(zoneId)) {
+          zoneIds.push(zoneId);
+        }
+      }
+
+      rides.set(trip.routeId, { routeId: trip.routeId, zoneIds });
+    }
+
+    return [...rides.values()];
+  }
+
+  /**
+   * Check the rules of a fare against a ride
+   * @private
+   * @param {FareRule[]} rules - Rules of the fare
+   * @param {Object} ride - { routeId, zoneIds }
+   * @param {string|null} originZoneId - Zone of the boarding stop
+   * @param {string|null} destinationZoneId - Zone of the alighting stop
+   * @returns {boolean}
+   */
+  _matches(rules, ride, originZoneId, destinationZoneId) {
+    const routeIds = rules.filter(rule => rule.routeId).map(rule => rule.routeId);
+    const zonePairs = rules.filter(rule => rule.originId || rule.destinationId);
+    const containedIds = new Set(rules.filter(rule => rule.containsId).map(rule => rule.containsId));
+
+    if (routeIds.length > 0 && !routeIds.includes(ride.routeId)) {
+      return false;
+    }
+
+    if (zonePairs.length > 0 && !zonePairs.some(rule =>
+      (!rule.originId || rule.originId === originZoneId) &&
+      (!rule.destinationId || rule.destinationId === destinationZoneId)
+    )) {
+      return false;
+    }
+
+    return containedIds.size === 0 ||
+      (ride.zoneIds.length === containedIds.size && ride.zoneIds.every(zoneId => containedIds.has(zoneId)));
+  }
+}
+
+// Export singleton instance
+module.exports = new FareService();
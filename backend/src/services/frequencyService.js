@@ -0,0 +1,230 @@
+/**
+ * Frequency Service
+ *
+ * Expands frequency-based trips (frequencies.txt) into concrete trip
+ * instances. The stop times of such a trip are a template: each instance
+ * shifts them so the first stop is reached at the instance start time
+ * (start_time, then every headway_secs before end_time). Trips without
+ * frequencies run once, at their stop times.
+ */
+
+const { tripRepository, stopTimeRepository, frequencyRepository } = require('./gtfs');
+const { StopTime } = require('../models/gtfs');
+const { serviceDayStart } = require('../utils/time');
+const { createGtfsCache } = require('./gtfsCache');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * FrequencyService Class
+ *
+ * Handles trip instance expansion and start time resolution.
+ */
+class FrequencyService {
+  constructor() {
+    this.tripCache = createGtfsCache();
+  }
+
+  /**
+   * Frequencies of a trip and the arrival at its first stop (the template
+   * reference), cached (see gtfsCache)
+   *
+   * @param {string} tripId - GTFS trip ID
+   * @returns {Promise<{frequencies: Frequency[], firstArrivalSeconds: number|null}>}
+   *   frequencies in start order, empty for trips that run on their stop times
+   */
+  async getTripFrequencies(tripId) {
+    const cached = this.tripCache.get(tripId);
+    if (cached) {
+      return cached;
+    }
+
+    const frequencies = (await frequencyRepository.findByTrip(tripId))
+      .sort((a, b) => a.getStartSeconds() - b.getStartSeconds());
+    let firstArrivalSeconds = null;
+
+    if (frequencies.length > 0) {
+      const stopTimes = await stopTimeRepository.findByTrip(tripId);
+      firstArrivalSeconds = stopTimes.length > 0 ? stopTimes[0].getArrivalSeconds() : null;
+    }
+
+    return this.tripCache.set(tripId, { frequencies, firstArrivalSeconds });
+  }
+
+  /**
+   * Start of each instance of a frequency-based trip
+   *
+   * @param {string} tripId - GTFS trip ID
+   * @returns {Promise<Object[]>} [{ startTime, startSeconds, headwaySecs, exactTimes }] in order,
+   *   empty for trips without frequencies
+   */
+  async getTripStarts(tripId) {
+    const { frequencies } = await this.getTripFrequencies(tripId);
+
+    return frequencies.flatMap(frequency => frequency.getTripStarts().map(startSeconds => ({
+      startTime: StopTime.secondsToTime(startSeconds),
+      startSeconds,
+      headwaySecs: frequency.headwaySecs,
+      exactTimes: frequency.isExactTimes()
+    })));
+  }
+
+  /**
+   * Expand stop times into the stop times of every trip instance
+   *
+   * Stop times of frequency-based trips are repeated for each instance,
+   * shifted by the instance start; the others are kept as they are
+   * (startTime, headwaySecs and exactTimes null).
+   *
+   * @param {StopTime[]} stopTimes - Stop times (any trips)
+   * @returns {Promise<Object[]>} [{ tripId, startTime, stopId, stopSequence, arrivalTime,
+   *   departureTime, arrivalSeconds, departureSeconds, headwaySecs, exactTimes }], by departure
+   */
+  async expandStopTimes(stopTimes) {
+    const byTrip = new Map();
+    stopTimes.forEach(stopTime => {
+      byTrip.set(stopTime.tripId, [...(byTrip.get(stopTime.tripId) || []), stopTime]);
+    });
+
+    const expanded = [];
+
+    for (const [tripId, tripStopTimes] of byTrip) {
+      const { firstArrivalSeconds } = await this.getTripFrequencies(tripId);
+      const starts = firstArrivalSeconds === null ? [] : await this.getTripStarts(tripId);
+
+      if (starts.length === 0) {
+        tripStopTimes.forEach(stopTime => expanded.push(this._instanceStopTime(stopTime, null, 0)));
+        continue;
+      }
+
+      starts.forEach(start => {
+        tripStopTimes.forEach(stopTime => expanded.push(
+          this._instanceStopTime(stopTime, start, start.startSeconds - firstArrivalSeconds)
+        ));
+      });
+    }
+
+    return expanded.sort((a, b) => a.departureSeconds - b.departureSeconds || a.tripId.localeCompare(b.tripId));
+  }
+
+  /**
+   * Concrete instances of a trip with their stop times
+   *
+   * @param {string} tripId - GTFS trip ID
+   * @returns {Promise<Object>} { tripId, frequencyBased, instances: [{ startTime, headwaySecs, exactTimes, stopTimes }] }
+   * @throws {Error} If trip not found (404)
+   */
+  async getTripInstances(tripId) {
+    const trip = await tripRepository.findById(tripId);
+
+    if (!trip) {
+      throw httpError(404, 'NOT_FOUND', 'Trip not found');
+    }
+
+    const expanded = await this.expandStopTimes(await stopTimeRepository.findByTrip(tripId));
+    const instances = new Map();
+
+    expanded.forEach(({ startTime, headwaySecs, exactTimes, stopId, stopSequence, arrivalTime, departureTime }) => {
+      if (!instances.has(startTime)) {
+        instances.set(startTime, { startTime, headwaySecs, exactTimes, stopTimes: [] });
+      }
+      instances.get(startTime).stopTimes.push({ stopId, stopSequence, arrivalTime, departureTime });
+    });
+
+    instances.forEach(instance => instance.stopTimes.sort((a, b) => a.stopSequence - b.stopSequence));
+
+    return {
+      tripId,
+      frequencyBased: expanded.some(stopTime => stopTime.startTime !== null),
+      instances: [...instances.values()]
+    };
+  }
+
+  /**
+   * Start time of the instance of a trip a bus runs
+   *
+   * Trips without frequencies have no start time (they run once). For
+   * frequency-based trips a given start time must be one of the instance
+   * starts (exact_times=1) or inside a frequency window (exact_times=0).
+   * Without one, the bus starts now: at now within an approximate window,
+   * else at the last instance start (or the next one before the first).
+   *
+   * @param {string} tripId - GTFS trip ID
+   * @param {string} serviceDate - Service date (YYYY-MM-DD)
+   * @param {string|null} startTime - Requested start time (HH:MM:SS)
+   * @param {Date} [now] - Assignment time
+   * @returns {Promise<string|null>} HH:MM:SS, null for trips without frequencies
+   * @throws {Error} If the start time does not fit the trip frequencies (422)
+   */
+  async resolveStartTime(tripId, serviceDate, startTime, now = new Date()) {
+    const { frequencies } = await this.getTripFrequencies(tripId);
+
+    if (frequencies.length === 0) {
+      if (startTime) {
+        throw httpError(422, 'VALIDATION_ERROR', `Trip ${tripId} is not frequency-based, it has no start time`);
+      }
+      return null;
+    }
+
+    if (startTime) {
+      const seconds = StopTime.timeToSeconds(startTime);
+      const fits = frequencies.some(frequency => (frequency.isExactTimes()
+        ? frequency.getTripStarts().includes(seconds)
+        : seconds >= frequency.getStartSeconds() && seconds < frequency.getEndSeconds()));
+
+      if (!fits) {
+        throw httpError(422, 'VALIDATION_ERROR', `Start time ${startTime} is not an instance of trip ${tripId}`);
+      }
+      return startTime;
+    }
+
+    const nowSeconds = Math.floor((now.getTime() - serviceDayStart(serviceDate).getTime()) / 1000);
+    const window = frequencies.find(frequency =>
+      nowSeconds >= frequency.getStartSeconds() && nowSeconds < frequency.getEndSeconds()
+    );
+
+    if (window && !window.isExactTimes()) {
+      return StopTime.secondsToTime(nowSeconds);
+    }
+
+    const starts = (await this.getTripStarts(tripId)).map(start => start.startSeconds);
+    const started = starts.filter(seconds => seconds <= nowSeconds);
+
+    return StopTime.secondsToTime(started.length > 0 ? started[started.length - 1] : starts[0]);
+  }
+
+  /**
+   * Clear cached frequencies (after frequency or stop time changes)
+   */
+  clearCache() {
+    this.tripCache.clear();
+  }
+
+  /**
+   * Stop time of a trip instance
+   * @private
+   * @param {StopTime} stopTime - Template stop time
+   * @param {Object|null} start - Instance start (see getTripStarts), null for trips without frequencies
+   * @param {number} offsetSeconds - Shift from the template
+   * @returns {Object}
+   */
+  _instanceStopTime(stopTime, start, offsetSeconds) {
+    const arrivalSeconds = stopTime.getArrivalSeconds() + offsetSeconds;
+    const departureSeconds = stopTime.getDepartureSeconds() + offsetSeconds;
+
+    return {
+      tripId: stopTime.tripId,
+      startTime: start ? start.startTime : null,
+      stopId: stopTime.stopId,
+      stopSequence: stopTime.stopSequence,
+      arrivalTime: StopTime.secondsToTime(arrivalSeconds),
+      departureTime: StopTime.secondsToTime(departureSeconds),
+      arrivalSeconds,
+      departureSeconds,
+      headwaySecs: start ? start.headwaySecs : null,
+      exactTimes: start ? start.exactTimes : null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new FrequencyService();
@@ -0,0 +1,470 @@
+/**
+ * Geofence Repository
+ *
+ * Repository pattern for Geofence entity.
+ * Maps geofence domain models ↔ Firestore, keeps which geofences each bus
+ * is inside and stores the enter/exit events.
+ */
+
+const { db } = require('../config/db');
+const Geofence = require('../models/Geofence');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * Default and maximum number of events per query
+ */
+const DEFAULT_EVENTS_LIMIT = 100;
+const MAX_EVENTS_LIMIT = 500;
+
+/**
+ * Convert a Firestore Timestamp (or Date/null) to a Date
+ * @param {*} value - Firestore field value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * IGeofenceRepository Interface
+ *
+ * Contract for Geofence repository implementations.
+ * All implementations must provide these methods.
+ *
+ * @interface IGeofenceRepository
+ */
+class IGeofenceRepository {
+  /**
+   * List geofences with pagination and filters
+   * @param {Object} options - Query options
+   * @returns {Promise<{geofences: Geofence[], total: number, page: number, pageSize: number, totalPages: number}>}
+   */
+  async list(_options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List every active geofence (evaluated on each GPS fix)
+   * @returns {Promise<Geofence[]>}
+   */
+  async listActive() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find a geofence by ID
+   * @param {string} id - Geofence ID
+   * @returns {Promise<Geofence|null>}
+   */
+  async findById(_id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Create a new geofence
+   * @param {Geofence} geofence - Geofence domain model
+   * @returns {Promise<Geofence>}
+   */
+  async create(_geofence) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update an existing geofence
+   * @param {Geofence} geofence - Geofence domain model with ID
+   * @returns {Promise<Geofence>}
+   */
+  async update(_geofence) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Delete a geofence by ID
+   * @param {string} id - Geofence ID
+   * @returns {Promise<void>}
+   */
+  async remove(_id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically update which geofences a bus is inside and record events
+   * @param {string} busId - Bus ID
+   * @param {Function} apply - (presence) => { geofences, lastFixAt, events } or null if nothing changed
+   * @returns {Promise<{updated: boolean, events: Object[]}>}
+   */
+  async updatePresence(_busId, _apply) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List enter/exit events, newest first
+   * @param {Object} [options] - Query options
+   * @returns {Promise<Object[]>}
+   */
+  async listEvents(_options) {
+    throw new Error('Method not implemented');
+  }
+}
+
+/**
+ * FirestoreGeofenceRepository
+ *
+ * Firestore implementation of IGeofenceRepository.
+ * Presence is one document per bus (ID = bus ID); events are append-only
+ * so they survive geofence deletion.
+ */
+class FirestoreGeofenceRepository extends IGeofenceRepository {
+  constructor() {
+    super();
+    this.collection = db.collection(Geofence.collection());
+    this.events = db.collection(Geofence.eventsCollection());
+    this.presence = db.collection(Geofence.presenceCollection());
+  }
+
+  /**
+   * Map Firestore document to Geofence domain model
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {Geofence|null}
+   */
+  _mapToModel(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return new Geofence({
+      id: doc.id,
+      name: data.name,
+      type: data.type,
+      shape: data.shape,
+      polygon: data.polygon,
+      center: data.center,
+      radius: data.radius,
+      autoPark: data.autoPark,
+      isActive: data.isActive,
+      createdAt: data.createdAt?.toDate(),
+      updatedAt: data.updatedAt?.toDate()
+    });
+  }
+
+  /**
+   * Map Geofence domain model to Firestore document data
+   * @private
+   * @param {Geofence} geofence - Geofence domain model
+   * @param {boolean} isUpdate - Whether this is an update operation
+   * @returns {Object}
+   */
+  _mapToDocument(geofence, isUpdate = false) {
+    const data = {
+      ...geofence.toDatabase(),
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    if (!isUpdate) {
+      data.createdAt = FieldValue.serverTimestamp();
+    }
+
+    return data;
+  }
+
+  /**
+   * Map event document to plain object
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {Object}
+   */
+  _mapEvent(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      busId: data.busId,
+      geofenceId: data.geofenceId,
+      geofenceName: data.geofenceName,
+      geofenceType: data.geofenceType,
+      event: data.event,
+      position: data.position || null,
+      dwellSeconds: data.dwellSeconds ?? null,
+      occurredAt: toDate(data.occurredAt)
+    };
+  }
+
+  /**
+   * Map presence document to plain object
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {{geofences: Object, lastFixAt: Date|null}}
+   */
+  _mapPresence(doc) {
+    const data = doc.exists ? doc.data() : {};
+    const geofences = {};
+
+    Object.entries(data.geofences || {}).forEach(([id, entry]) => {
+      geofences[id] = { ...entry, enteredAt: toDate(entry.enteredAt) };
+    });
+
+    return { geofences, lastFixAt: toDate(data.lastFixAt) };
+  }
+
+  /**
+   * List geofences with pagination and filters
+   * @param {Object} options - Query options
+   * @param {number} [options.page=1] - Page number (1-indexed)
+   * @param {number} [options.pageSize=10] - Items per page
+   * @param {Object} [options.filters] - Filter criteria
+   * @param {string} [options.filters.type] - Filter by type
+   * @param {boolean} [options.filters.isActive] - Filter by active flag
+   * @returns {Promise<{geofences: Geofence[], total: number, page: number, pageSize: number, totalPages: number, hasMore: boolean}>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async list(options = {}) {
+    try {
+      const page = Math.max(1, options.page || 1);
+      const pageSize = Math.min(100, Math.max(1, options.pageSize || 10));
+      const filters = options.filters || {};
+
+      let query = this.collection;
+
+      if (filters.type) {
+        query = query.where('type', '==', filters.type);
+      }
+
+      if (filters.isActive !== undefined) {
+        query = query.where('isActive', '==', Boolean(filters.isActive));
+      }
+
+      const totalSnapshot = await query.get();
+      const total = totalSnapshot.size;
+
+      const offset = (page - 1) * pageSize;
+      const snapshot = await query.offset(offset).limit(pageSize).get();
+
+      const geofences = snapshot.docs.map(doc => this._mapToModel(doc));
+      const totalPages = Math.ceil(total / pageSize);
+
+      return {
+        geofences,
+        total,
+        page,
+        pageSize,
+        totalPages,
+        hasMore: page < totalPages
+      };
+    } catch (error) {
+      console.error('Firestore error in list:', error);
+      throw new Error(`Database error while listing geofences: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every active geofence
+   * @returns {Promise<Geofence[]>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async listActive() {
+    try {
+      const snapshot = await this.collection.where('isActive', '==', true).get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listActive:', error);
+      throw new Error(`Database error while listing active geofences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a geofence by ID
+   * @param {string} id - Geofence ID
+   * @returns {Promise<Geofence|null>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async findById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return this._mapToModel(doc);
+    } catch (error) {
+      console.error('Firestore error in findById:', error);
+      throw new Error(`Database error while finding geofence by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new geofence
+   * @param {Geofence} geofence - Geofence domain model (without ID)
+   * @returns {Promise<Geofence>} Created geofence with generated ID
+   * @throws {Error} If database error occurs (500)
+   */
+  async create(geofence) {
+    try {
+      const docRef = await this.collection.add(this._mapToDocument(geofence, false));
+
+      const createdDoc = await docRef.get();
+      return this._mapToModel(createdDoc);
+    } catch (error) {
+      console.error('Firestore error in create:', error);
+      throw new Error(`Database error while creating geofence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an existing geofence
+   * @param {Geofence} geofence - Geofence domain model with ID
+   * @returns {Promise<Geofence>}
+   * @throws {Error} If database error occurs or geofence not found (404)
+   */
+  async update(geofence) {
+    try {
+      if (!geofence.id) {
+        throw new Error('Geofence ID is required for update');
+      }
+
+      const docRef = this.collection.doc(geofence.id);
+
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        const error = new Error('Geofence not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await docRef.update(this._mapToDocument(geofence, true));
+
+      const updatedDoc = await docRef.get();
+      return this._mapToModel(updatedDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      console.error('Firestore error in update:', error);
+      throw new Error(`Database error while updating geofence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a geofence by ID (its events are kept)
+   * @param {string} id - Geofence ID
+   * @returns {Promise<void>}
+   * @throws {Error} If database error occurs or geofence not found (404)
+   */
+  async remove(id) {
+    try {
+      const docRef = this.collection.doc(id);
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        const error = new Error('Geofence not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await docRef.delete();
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      console.error('Firestore error in remove:', error);
+      throw new Error(`Database error while deleting geofence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically update which geofences a bus is inside and record events
+   *
+   * Runs in a transaction so concurrent fixes of the same bus cannot emit
+   * the same enter/exit twice. `apply` receives the stored presence
+   * ({ geofences: { [id]: { name, type, enteredAt } }, lastFixAt }) and
+   * returns the new presence plus the events to write, or null.
+   *
+   * @param {string} busId - Bus ID
+   * @param {Function} apply - (presence) => { geofences, lastFixAt, events } | null
+   * @returns {Promise<{updated: boolean, events: Object[]}>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async updatePresence(busId, apply) {
+    try {
+      const docRef = this.presence.doc(busId);
+
+      return await db.runTransaction(async transaction => {
+        const presence = this._mapPresence(await transaction.get(docRef));
+        const result = apply(presence);
+
+        if (!result) {
+          return { updated: false, events: [] };
+        }
+
+        transaction.set(docRef, {
+          busId,
+          geofences: result.geofences,
+          lastFixAt: result.lastFixAt,
+          updatedAt: FieldValue.serverTimestamp()
+        });
+
+        result.events.forEach(event => {
+          transaction.set(this.events.doc(), {
+            ...event,
+            createdAt: FieldValue.serverTimestamp()
+          });
+        });
+
+        return { updated: true, events: result.events };
+      });
+    } catch (error) {
+      console.error('Firestore error in updatePresence:', error);
+      throw new Error(`Database error while updating geofence presence: ${error.message}`);
+    }
+  }
+
+  /**
+   * List enter/exit events, newest first
+   * @param {Object} [options] - Query options
+   * @param {string} [options.busId] - Filter by bus
+   * @param {string} [options.geofenceId] - Filter by geofence
+   * @param {Date} [options.from] - Only events at or after this instant
+   * @param {Date} [options.to] - Only events before this instant (paging)
+   * @param {number} [options.limit=100] - Max events (capped at 500)
+   * @returns {Promise<Object[]>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async listEvents(options = {}) {
+    try {
+      const limit = Math.min(MAX_EVENTS_LIMIT, Math.max(1, options.limit || DEFAULT_EVENTS_LIMIT));
+
+      let query = this.events;
+
+      if (options.busId) {
+        query = query.where('busId', '==', options.busId);
+      }
+
+      if (options.geofenceId) {
+        query = query.where('geofenceId', '==', options.geofenceId);
+      }
+
+      if (options.from) {
+        query = query.where('occurredAt', '>=', options.from);
+      }
+
+      if (options.to) {
+        query = query.where('occurredAt', '<', options.to);
+      }
+
+      const snapshot = await query.orderBy('occurredAt', 'desc').limit(limit).get();
+
+      return snapshot.docs.map(doc => this._mapEvent(doc));
+    } catch (error) {
+      console.error('Firestore error in listEvents:', error);
+      throw new Error(`Database error while listing geofence events: ${error.message}`);
+    }
+  }
+}
+
+// Export interface and implementation
+module.exports = {
+  IGeofenceRepository,
+  FirestoreGeofenceRepository,
+  // Export singleton instance for convenience
+  geofenceRepository: new FirestoreGeofenceRepository()
+};
@@ -0,0 +1,349 @@
+/**
+ * Geofence Service
+ *
+ * Business logic for geofences (terminals, depots, restricted zones).
+ * Tests every ingested GPS fix against the active geofences and records
+ * enter/exit events.
+ */
+
+const { geofenceRepository } = require('./geofenceRepository');
+const { busEvents } = require('./busEvents');
+const Geofence = require('../models/Geofence');
+
+/**
+ * How long the active geofence list is reused between fixes.
+ * Changes made through this service invalidate it immediately; the TTL
+ * bounds staleness for changes made by other instances.
+ */
+const ACTIVE_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Enter/exit event names
+ */
+const GEOFENCE_EVENT = Object.freeze({
+  ENTER: 'enter',
+  EXIT: 'exit'
+});
+
+/**
+ * GeofenceService Class
+ *
+ * Handles geofence CRUD, fix evaluation and the event log.
+ */
+class GeofenceService {
+  constructor() {
+    this.activeCache = null;
+  }
+
+  /**
+   * List geofences with pagination and filters
+   *
+   * @param {Object} options - Query options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.pageSize=10] - Items per page
+   * @param {string} [options.type] - Filter by type
+   * @param {boolean} [options.isActive] - Filter by active flag
+   * @returns {Promise<{data: Array, pagination: Object}>}
+   */
+  async listGeofences(options = {}) {
+    const { page = 1, pageSize = 10, type, isActive } = options;
+
+    // Build filters
+    const filters = {};
+    if (type) {
+      filters.type = type;
+    }
+    if (isActive !== undefined) {
+      filters.isActive = isActive;
+    }
+
+    const result = await geofenceRepository.list({
+      page: parseInt(page, 10),
+      pageSize: parseInt(pageSize, 10),
+      filters
+    });
+
+    return {
+      data: result.geofences.map(geofence => geofence.toJSON()),
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: result.totalPages,
+        hasMore: result.hasMore
+      }
+    };
+  }
+
+  /**
+   * Get geofence by ID
+   *
+   * @param {string} id - Geofence ID
+   * @returns {Promise<Object>}
+   * @throws {Error} If geofence not found (404)
+   */
+  async getGeofenceById(id) {
+    const geofence = await this._getGeofence(id);
+    return geofence.toJSON();
+  }
+
+  /**
+   * Create a new geofence
+   *
+   * @param {Object} geofenceData - Geofence data (see Geofence constructor)
+   * @returns {Promise<Object>}
+   * @throws {Error} If the geometry or autoPark flag is invalid (422)
+   */
+  async createGeofence(geofenceData) {
+    const geofence = this._validated(() => new Geofence({
+      name: geofenceData.name,
+      type: geofenceData.type,
+      shape: geofenceData.shape,
+      polygon: geofenceData.polygon,
+      center: geofenceData.center,
+      radius: geofenceData.radius,
+      autoPark: geofenceData.autoPark,
+      isActive: geofenceData.isActive
+    }));
+
+    const createdGeofence = await geofenceRepository.create(geofence);
+    this.activeCache = null;
+
+    return createdGeofence.toJSON();
+  }
+
+  /**
+   * Update a geofence
+   *
+   * Geometry fields are merged with the stored geometry; changing the shape
+   * requires the fields of the new shape (polygon, or center and radius).
+   *
+   * @param {string} id - Geofence ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>}
+   * @throws {Error} If geofence not found (404) or the result is invalid (422)
+   */
+  async updateGeofence(id, updates) {
+    const existingGeofence = await this._getGeofence(id);
+
+    this._validated(() => {
+      if (updates.name !== undefined) {
+        existingGeofence.name = updates.name;
+      }
+      if (updates.type !== undefined) {
+        existingGeofence.type = updates.type;
+      }
+      if (['shape', 'polygon', 'center', 'radius'].some(field => updates[field] !== undefined)) {
+        const shape = updates.shape || existingGeofence.shape;
+        const sameShape = shape === existingGeofence.shape;
+
+        existingGeofence.setGeometry({
+          shape,
+          polygon: updates.polygon || (sameShape ? existingGeofence.polygon : undefined),
+          center: updates.center || (sameShape ? existingGeofence.center : undefined),
+          radius: updates.radius !== undefined ? updates.radius : (sameShape ? existingGeofence.radius : undefined)
+        });
+      }
+      if (updates.autoPark !== undefined) {
+        existingGeofence.autoPark = updates.autoPark;
+      }
+      if (updates.isActive !== undefined) {
+        existingGeofence.isActive = updates.isActive;
+      }
+    });
+
+    existingGeofence.touch();
+
+    const updatedGeofence = await geofenceRepository.update(existingGeofence);
+    this.activeCache = null;
+
+    return updatedGeofence.toJSON();
+  }
+
+  /**
+   * Delete a geofence
+   *
+   * Buses inside it get an exit event on their next fix.
+   *
+   * @param {string} id - Geofence ID
+   * @returns {Promise<void>}
+   * @throws {Error} If geofence not found (404)
+   */
+  async deleteGeofence(id) {
+    // Repository will throw 404 if not found
+    await geofenceRepository.remove(id);
+    this.activeCache = null;
+  }
+
+  /**
+   * List enter/exit events, newest first
+   *
+   * @param {Object} [options] - Query options
+   * @param {string} [options.busId] - Filter by bus
+   * @param {string} [options.geofenceId] - Filter by geofence
+   * @param {Date} [options.from] - Only events at or after this instant
+   * @param {Date} [options.to] - Only events before this instant
+   * @param {number} [options.limit] - Max events
+   * @returns {Promise<Object[]>}
+   */
+  async listEvents(options = {}) {
+    const events = await geofenceRepository.listEvents(options);
+
+    return events.map(event => ({
+      ...event,
+      occurredAt: event.occurredAt ? event.occurredAt.toISOString() : null
+    }));
+  }
+
+  /**
+   * Test GPS fixes of a bus against the active geofences
+   *
+   * - Fixes are evaluated oldest first; crossing a boundary between two
+   *   fixes records an enter or exit event at the later fix
+   * - Exit events carry dwellSeconds (time since the matching enter)
+   * - Fixes older than the last evaluated fix are ignored
+   * - Events are broadcast to realtime subscribers
+   *
+   * @param {Bus} bus - Bus the fixes belong to
+   * @param {GpsReading[]} readings - Fixes newer than the previous bus position
+   * @returns {Promise<{events: Object[], depotFixes: Set<GpsReading>}>}
+   *   depotFixes are the fixes inside an autoPark depot (see busService.inferStatusFromReadings)
+   */
+  async evaluateFixes(bus, readings) {
+    const geofences = await this._getActiveGeofences();
+    const depotFixes = new Set();
+
+    const fixes = [...readings]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(reading => {
+        const inside = geofences.filter(geofence => geofence.contains(reading));
+        if (inside.some(geofence => geofence.autoPark)) {
+          depotFixes.add(reading);
+        }
+        return { reading, inside };
+      });
+
+    if (fixes.length === 0) {
+      return { events: [], depotFixes };
+    }
+
+    const { events } = await geofenceRepository.updatePresence(
+      bus.id,
+      presence => this._applyFixes(bus.id, presence, fixes)
+    );
+
+    events.forEach(event => busEvents.publishGeofence(event, bus.route));
+
+    return { events, depotFixes };
+  }
+
+  /**
+   * Compute the new presence of a bus and the events between fixes
+   * @private
+   * @param {string} busId - Bus ID
+   * @param {Object} presence - Stored presence ({ geofences, lastFixAt })
+   * @param {Array<{reading: GpsReading, inside: Geofence[]}>} fixes - Evaluated fixes, oldest first
+   * @returns {Object|null} { geofences, lastFixAt, events }, or null if nothing changed
+   */
+  _applyFixes(busId, presence, fixes) {
+    const current = { ...presence.geofences };
+    const events = [];
+    let lastFixAt = presence.lastFixAt;
+
+    const record = (event, id, entry, reading, dwellSeconds = null) => {
+      events.push({
+        busId,
+        geofenceId: id,
+        geofenceName: entry.name,
+        geofenceType: entry.type,
+        event,
+        position: { lat: reading.lat, lng: reading.lng },
+        dwellSeconds,
+        occurredAt: reading.timestamp
+      });
+    };
+
+    fixes.forEach(({ reading, inside }) => {
+      if (lastFixAt && reading.timestamp <= lastFixAt) {
+        return;
+      }
+
+      const insideIds = new Set(inside.map(geofence => geofence.id));
+
+      Object.entries(current).forEach(([id, entry]) => {
+        if (!insideIds.has(id)) {
+          const dwell = entry.enteredAt ? Math.round((reading.timestamp - entry.enteredAt) / 1000) : null;
+          record(GEOFENCE_EVENT.EXIT, id, entry, reading, dwell);
+          delete current[id];
+        }
+      });
+
+      inside.forEach(geofence => {
+        if (!current[geofence.id]) {
+          current[geofence.id] = { name: geofence.name, type: geofence.type, enteredAt: reading.timestamp };
+          record(GEOFENCE_EVENT.ENTER, geofence.id, current[geofence.id], reading);
+        }
+      });
+
+      lastFixAt = reading.timestamp;
+    });
+
+    return events.length > 0 ? { geofences: current, lastFixAt, events } : null;
+  }
+
+  /**
+   * Active geofences, cached for ACTIVE_CACHE_TTL_MS
+   * @private
+   * @returns {Promise<Geofence[]>}
+   */
+  async _getActiveGeofences() {
+    if (this.activeCache && this.activeCache.expiresAt > Date.now()) {
+      return this.activeCache.geofences;
+    }
+
+    const geofences = await geofenceRepository.listActive();
+    this.activeCache = { geofences, expiresAt: Date.now() + ACTIVE_CACHE_TTL_MS };
+
+    return geofences;
+  }
+
+  /**
+   * Run model mutations, turning model validation errors into 422
+   * @private
+   * @param {Function} fn - Mutation
+   * @returns {*} Result of fn
+   * @throws {Error} If the model rejects the data (422)
+   */
+  _validated(fn) {
+    try {
+      return fn();
+    } catch (error) {
+      const validationError = new Error(error.message);
+      validationError.status = 422;
+      validationError.type = 'VALIDATION_ERROR';
+      throw validationError;
+    }
+  }
+
+  /**
+   * Get geofence model or throw 404
+   * @private
+   * @param {string} id - Geofence ID
+   * @returns {Promise<Geofence>}
+   */
+  async _getGeofence(id) {
+    const geofence = await geofenceRepository.findById(id);
+
+    if (!geofence) {
+      const error = new Error('Geofence not found');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+
+    return geofence;
+  }
+}
+
+// Export singleton instance
+module.exports = new GeofenceService();
@@ -0,0 +1,196 @@
+/**
+ * GPS Repository
+ *
+ * Repository pattern for GpsReading entity.
+ * Stores the position history written by the ingestion pipeline.
+ */
+
+const { db } = require('../config/db');
+const GpsReading = require('../models/GpsReading');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * gRPC status code returned by Firestore when a document already exists
+ */
+const ALREADY_EXISTS = 6;
+
+/**
+ * Maximum number of writes in a single Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
+/**
+ * FirestoreGpsRepository
+ *
+ * Firestore implementation for GPS reading history.
+ * Document IDs are derived from deviceId + timestamp so duplicates collide.
+ */
+class FirestoreGpsRepository {
+  constructor() {
+    this.collection = db.collection(GpsReading.collection());
+  }
+
+  /**
+   * Map Firestore document to GpsReading domain model
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {GpsReading|null}
+   */
+  _mapToModel(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return new GpsReading({
+      id: doc.id,
+      busId: data.busId,
+      deviceId: data.deviceId,
+      timestamp: data.timestamp?.toDate ? data.timestamp.toDate() : data.timestamp,
+      lat: data.position?.lat,
+      lng: data.position?.lng,
+      speed: data.speed,
+      heading: data.heading,
+      accuracy: data.accuracy,
+      expiresAt: data.expiresAt?.toDate ? data.expiresAt.toDate() : data.expiresAt,
+      createdAt: data.createdAt?.toDate()
+    });
+  }
+
+  /**
+   * Map GpsReading domain model to Firestore document data
+   * @private
+   * @param {GpsReading} reading - GpsReading domain model
+   * @returns {Object}
+   */
+  _mapToDocument(reading) {
+    return {
+      ...reading.toDatabase(),
+      createdAt: FieldValue.serverTimestamp()
+    };
+  }
+
+  /**
+   * Find a reading by ID
+   * @param {string} id - Reading ID (deviceId_timestampMs)
+   * @returns {Promise<GpsReading|null>}
+   */
+  async findById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return this._mapToModel(doc);
+    } catch (error) {
+      console.error('Firestore error in findById:', error);
+      throw new Error(`Database error while finding GPS reading by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a new reading
+   *
+   * Uses DocumentReference.create(), which fails if the document exists,
+   * so deduplication by deviceId + timestamp is enforced by Firestore.
+   *
+   * @param {GpsReading} reading - GpsReading domain model
+   * @returns {Promise<GpsReading>} Stored reading
+   * @throws {Error} 409 DUPLICATE if a reading with the same ID exists
+   */
+  async create(reading) {
+    try {
+      await this.collection.doc(reading.id).create(this._mapToDocument(reading));
+      return reading;
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) {
+        const duplicateError = new Error('GPS reading already exists for this device and timestamp');
+        duplicateError.status = 409;
+        duplicateError.type = 'DUPLICATE';
+        throw duplicateError;
+      }
+
+      console.error('Firestore error in create:', error);
+      throw new Error(`Database error while storing GPS reading: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find which of the given reading IDs are already stored
+   * @param {string[]} ids - Reading IDs
+   * @returns {Promise<Set<string>>} IDs that already exist
+   */
+  async findExistingIds(ids) {
+    try {
+      if (ids.length === 0) {
+        return new Set();
+      }
+
+      const refs = ids.map(id => this.collection.doc(id));
+      const docs = await db.getAll(...refs);
+
+      return new Set(docs.filter(doc => doc.exists).map(doc => doc.id));
+    } catch (error) {
+      console.error('Firestore error in findExistingIds:', error);
+      throw new Error(`Database error while checking GPS readings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the readings of a bus in a time window, oldest first
+   *
+   * @param {string} busId - Bus ID
+   * @param {Date} from - Window start (inclusive)
+   * @param {Date} to - Window end (inclusive)
+   * @param {number} limit - Maximum number of readings
+   * @returns {Promise<GpsReading[]>}
+   */
+  async findByBus(busId, from, to, limit) {
+    try {
+      const snapshot = await this.collection
+        .where('busId', '==', busId)
+        .where('timestamp', '>=', from)
+        .where('timestamp', '<=', to)
+        .orderBy('timestamp', 'asc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in findByBus:', error);
+      throw new Error(`Database error while reading GPS history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bulk store readings (store-and-forward uploads)
+   *
+   * Writes in Firestore batches of up to BATCH_LIMIT operations.
+   * Callers are expected to filter duplicates with findExistingIds first;
+   * since IDs are deterministic, a racing duplicate rewrites identical data.
+   *
+   * @param {GpsReading[]} readings - Array of GpsReading domain models
+   * @returns {Promise<GpsReading[]>} Stored readings
+   */
+  async bulkCreate(readings) {
+    try {
+      for (let i = 0; i < readings.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        readings.slice(i, i + BATCH_LIMIT).forEach(reading => {
+          const docRef = this.collection.doc(reading.id);
+          batch.set(docRef, this._mapToDocument(reading));
+        });
+
+        await batch.commit();
+      }
+
+      return readings;
+    } catch (error) {
+      console.error('Firestore error in bulkCreate:', error);
+      throw new Error(`Database error while bulk storing GPS readings: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  FirestoreGpsRepository,
+  gpsRepository: new FirestoreGpsRepository()
+};
@@ -0,0 +1,467 @@
+/**
+ * GPS Service
+ *
+ * Business logic for GPS data ingestion.
+ * Validates device fixes, stores them in the position history
+ * and keeps the bus position up to date.
+ */
+
+const config = require('../config/env');
+const GpsReading = require('../models/GpsReading');
+const { gpsRepository } = require('./gpsRepository');
+const { busRepository } = require('./busRepository');
+const deviceService = require('./deviceService');
+const busService = require('./busService');
+const geofenceService = require('./geofenceService');
+const offRouteService = require('./offRouteService');
+const stopVisitService = require('./stopVisitService');
+const { busEvents } = require('./busEvents');
+const { simplifyPath } = require('../utils/geo');
+
+/**
+ * Per-fix ingestion outcomes
+ */
+const FIX_STATUS = Object.freeze({
+  ACCEPTED: 'accepted',
+  OUT_OF_ORDER: 'out_of_order',
+  DUPLICATE: 'duplicate',
+  REJECTED: 'rejected'
+});
+
+/**
+ * Maximum number of fixes returned by a track query
+ */
+const MAX_TRACK_POINTS = 10000;
+
+/**
+ * GpsService Class
+ *
+ * Handles the ingestion pipeline for tracking devices.
+ */
+class GpsService {
+  /**
+   * Build a validated GpsReading from a raw device fix
+   *
+   * @param {Object} fix - Raw fix payload
+   * @returns {GpsReading}
+   * @throws {Error} If the fix is invalid (422)
+   */
+  buildReading(fix) {
+    try {
+      const reading = new GpsReading(fix);
+      reading.applyRetention(config.gps.GPS_RETENTION_DAYS);
+      return reading;
+    } catch (error) {
+      const validationError = new Error(error.message);
+      validationError.status = 422;
+      validationError.type = 'VALIDATION_ERROR';
+      throw validationError;
+    }
+  }
+
+  /**
+   * Resolve the bus a reading belongs to from the device registry
+   *
+   * Sets reading.busId. A busId sent by the device is only accepted
+   * when it matches the registry.
+   *
+   * @param {GpsReading} reading - Validated reading
+   * @param {Device} device - Registered device that sent it
+   * @returns {Promise<void>}
+   * @throws {Error} If the device was unassigned at fix time or the busId does not match (422)
+   */
+  async assignBus(reading, device) {
+    const busId = await deviceService.busIdAt(device, reading.timestamp);
+
+    if (!busId) {
+      const error = new Error('Device is not assigned to a bus');
+      error.status = 422;
+      error.type = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    if (reading.busId && reading.busId !== busId) {
+      const error = new Error('Bus ID does not match the device assignment');
+      error.status = 422;
+      error.type = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    reading.busId = busId;
+  }
+
+  /**
+   * Ensure a fix sent with a device API key belongs to that device
+   *
+   * @param {GpsReading} reading - Validated reading
+   * @param {Device} [authDevice] - Device resolved from the API key (none for user tokens)
+   * @returns {void}
+   * @throws {Error} If the fix reports another device (403)
+   */
+  assertAuthenticatedDevice(reading, authDevice) {
+    if (authDevice && authDevice.serial !== reading.deviceId) {
+      const error = new Error('API key is not valid for this device');
+      error.status = 403;
+      error.type = 'FORBIDDEN';
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a fix is already stored (same deviceId + timestamp)
+   *
+   * Lets the per-device rate limiter pass device retries through to ingest,
+   * which answers them as idempotent duplicates.
+   *
+   * @param {Object} fix - Fix payload (see ingest)
+   * @returns {Promise<boolean>} false for invalid fixes (ingest rejects them)
+   */
+  async isDuplicate(fix) {
+    let reading;
+    try {
+      reading = this.buildReading(fix);
+    } catch (error) {
+      return false;
+    }
+
+    return (await gpsRepository.findById(reading.id)) !== null;
+  }
+
+  /**
+   * Notify realtime subscribers that a fix moved a bus
+   *
+   * @param {Bus} bus - Bus the fix belongs to
+   * @param {GpsReading} reading - Fix applied to the bus position
+   * @returns {void}
+   */
+  publishPosition(bus, reading) {
+    busEvents.publishPosition({
+      id: bus.id,
+      route: bus.route,
+      status: bus.status,
+      position: { lat: reading.lat, lng: reading.lng }
+    }, reading.timestamp);
+  }
+
+  /**
+   * Ingest a single GPS fix
+   *
+   * - Resolves the bus from the device registry
+   * - Rejects unregistered (404) or inactive (403) devices
+   * - Rejects fixes for unknown buses (404)
+   * - Deduplicates by deviceId + timestamp (idempotent)
+   * - Stores the fix in the position history
+   * - Updates the bus position unless a newer fix was already applied
+   * - Records geofence enter/exit events (see geofenceService.evaluateFixes)
+   * - Raises/clears off-route alerts (see offRouteService.evaluateFixes)
+   * - Records stop arrivals/departures of the active trip (see stopVisitService.evaluateFixes)
+   * - Infers moving/parked from the fix speed and depot geofences (see busService.inferStatusFromReadings)
+   *
+   * @param {Object} fix - Fix payload
+   * @param {string} fix.deviceId - Device serial, as registered
+   * @param {string} [fix.busId] - Bus ID (optional, must match the registry)
+   * @param {Date|string|number} fix.timestamp - Fix timestamp
+   * @param {number} fix.lat - Latitude
+   * @param {number} fix.lng - Longitude
+   * @param {number} [fix.speed] - Speed in km/h
+   * @param {number} [fix.heading] - Heading in degrees
+   * @param {number} [fix.accuracy] - Accuracy in meters
+   * @param {Object} [options] - Ingestion options
+   * @param {Device} [options.device] - Device authenticated by API key (fix must be its own)
+   * @returns {Promise<{status: string, reading: Object}>} status is 'accepted', 'out_of_order' or 'duplicate'
+   * @throws {Error} If the fix is invalid (422), the device is unknown (404), inactive or
+   *   not the authenticated device (403), or the bus does not exist (404)
+   */
+  async ingest(fix, options = {}) {
+    const reading = this.buildReading(fix);
+
+    this.assertAuthenticatedDevice(reading, options.device);
+
+    const device = await deviceService.findIngestDevice(reading.deviceId);
+    await deviceService.markSeen(device.id);
+    await this.assignBus(reading, device);
+
+    const bus = await busRepository.findById(reading.busId);
+
+    if (!bus) {
+      const error = new Error('Bus not found');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+
+    try {
+      await gpsRepository.create(reading);
+    } catch (error) {
+      if (error.type === 'DUPLICATE') {
+        return { status: FIX_STATUS.DUPLICATE, reading: reading.toJSON() };
+      }
+      throw error;
+    }
+
+    const { updated } = await busRepository.updatePositionIfNewer(
+      bus.id,
+      reading.lat,
+      reading.lng,
+      reading.timestamp
+    );
+
+    if (updated) {
+      const { depotFixes } = await geofenceService.evaluateFixes(bus, [reading]);
+      await offRouteService.evaluateFixes(bus, [reading], { depotFixes });
+      await stopVisitService.evaluateFixes(bus, [reading]);
+      const current = await busService.inferStatusFromReadings(bus.id, [reading], { depotFixes });
+      this.publishPosition(current || bus, reading);
+    }
+
+    return {
+      status: updated ? FIX_STATUS.ACCEPTED : FIX_STATUS.OUT_OF_ORDER,
+      reading: reading.toJSON()
+    };
+  }
+
+  /**
+   * Ingest a batch of GPS fixes (store-and-forward uploads)
+   *
+   * Each fix is validated on its own and gets its own result:
+   * - accepted: stored and newer than the bus position at ingest time
+   * - out_of_order: stored in history, older than the current bus position
+   * - duplicate: already stored (or repeated within the batch), nothing written
+   * - rejected: invalid fix, unknown/inactive/unassigned device or unknown bus, with a reason
+   *
+   * Only the newest fix per bus is applied to Bus.position, and only if it
+   * is newer than the stored position.
+   * Geofence, off-route, stop and speed evaluation run over all fixes newer than
+   * the stored position.
+   *
+   * @param {Object[]} fixes - Array of fix payloads (see ingest)
+   * @param {Object} [options] - Ingestion options (see ingest)
+   * @returns {Promise<{summary: Object, results: Object[]}>}
+   */
+  async ingestBatch(fixes, options = {}) {
+    const results = new Array(fixes.length);
+    const candidates = [];
+    const seenIds = new Set();
+
+    // Validate each fix separately and drop in-batch repeats
+    fixes.forEach((fix, index) => {
+      let reading;
+      try {
+        reading = this.buildReading(fix);
+        this.assertAuthenticatedDevice(reading, options.device);
+      } catch (error) {
+        results[index] = { index, status: FIX_STATUS.REJECTED, reason: error.message };
+        return;
+      }
+
+      if (seenIds.has(reading.id)) {
+        results[index] = { index, id: reading.id, status: FIX_STATUS.DUPLICATE };
+        return;
+      }
+
+      seenIds.add(reading.id);
+      candidates.push({ index, reading });
+    });
+
+    // Resolve each device once, then the bus for every fix
+    const serials = [...new Set(candidates.map(({ reading }) => reading.deviceId))];
+    const devices = new Map();
+    const deviceErrors = new Map();
+
+    for (const serial of serials) {
+      try {
+        const device = await deviceService.findIngestDevice(serial);
+        await deviceService.markSeen(device.id);
+        devices.set(serial, device);
+      } catch (error) {
+        if (!error.status) {
+          throw error;
+        }
+        deviceErrors.set(serial, error.message);
+      }
+    }
+
+    const assigned = [];
+    for (const candidate of candidates) {
+      const { index, reading } = candidate;
+      const device = devices.get(reading.deviceId);
+
+      if (!device) {
+        results[index] = { index, id: reading.id, status: FIX_STATUS.REJECTED, reason: deviceErrors.get(reading.deviceId) };
+        continue;
+      }
+
+      try {
+        await this.assignBus(reading, device);
+        assigned.push(candidate);
+      } catch (error) {
+        if (!error.status) {
+          throw error;
+        }
+        results[index] = { index, id: reading.id, status: FIX_STATUS.REJECTED, reason: error.message };
+      }
+    }
+
+    // Reject fixes for unknown buses
+    const busIds = [...new Set(assigned.map(({ reading }) => reading.busId))];
+    const buses = await Promise.all(busIds.map(id => busRepository.findById(id)));
+    const knownBuses = new Map();
+    busIds.forEach((id, i) => {
+      if (buses[i]) {
+        knownBuses.set(id, buses[i]);
+      }
+    });
+
+    const known = assigned.filter(({ index, reading }) => {
+      if (knownBuses.has(reading.busId)) {
+        return true;
+      }
+      results[index] = { index, id: reading.id, status: FIX_STATUS.REJECTED, reason: 'Bus not found' };
+      return false;
+    });
+
+    // Skip fixes that are already stored
+    const existingIds = await gpsRepository.findExistingIds(known.map(({ reading }) => reading.id));
+    const toStore = known.filter(({ index, reading }) => {
+      if (!existingIds.has(reading.id)) {
+        return true;
+      }
+      results[index] = { index, id: reading.id, status: FIX_STATUS.DUPLICATE };
+      return false;
+    });
+
+    await gpsRepository.bulkCreate(toStore.map(({ reading }) => reading));
+
+    // Apply the newest fix per bus, classify the rest against the previous position
+    const byBus = new Map();
+    toStore.forEach(candidate => {
+      const group = byBus.get(candidate.reading.busId) || [];
+      group.push(candidate);
+      byBus.set(candidate.reading.busId, group);
+    });
+
+    for (const [busId, group] of byBus) {
+      const newest = group.reduce((latest, candidate) =>
+        candidate.reading.timestamp > latest.reading.timestamp ? candidate : latest
+      );
+
+      const { updated, previousTimestamp } = await busRepository.updatePositionIfNewer(
+        busId,
+        newest.reading.lat,
+        newest.reading.lng,
+        newest.reading.timestamp
+      );
+
+      if (updated) {
+        const inOrder = group
+          .map(({ reading }) => reading)
+          .filter(reading => !previousTimestamp || reading.timestamp > previousTimestamp);
+        const { depotFixes } = await geofenceService.evaluateFixes(knownBuses.get(busId), inOrder);
+        await offRouteService.evaluateFixes(knownBuses.get(busId), inOrder, { depotFixes });
+        await stopVisitService.evaluateFixes(knownBuses.get(busId), inOrder);
+        const current = await busService.inferStatusFromReadings(busId, inOrder, { depotFixes });
+        this.publishPosition(current || knownBuses.get(busId), newest.reading);
+      }
+
+      group.forEach(({ index, reading }) => {
+        const isLate = previousTimestamp && reading.timestamp.getTime() <= previousTimestamp.getTime();
+        results[index] = {
+          index,
+          id: reading.id,
+          status: isLate ? FIX_STATUS.OUT_OF_ORDER : FIX_STATUS.ACCEPTED
+        };
+      });
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+
+    return {
+      summary: {
+        total: fixes.length,
+        accepted: count(FIX_STATUS.ACCEPTED),
+        outOfOrder: count(FIX_STATUS.OUT_OF_ORDER),
+        duplicate: count(FIX_STATUS.DUPLICATE),
+        rejected: count(FIX_STATUS.REJECTED)
+      },
+      results
+    };
+  }
+
+  /**
+   * Get the stored track of a bus between two instants (trip replay)
+   *
+   * @param {string} busId - Bus ID
+   * @param {Object} options - Track options
+   * @param {Date} options.from - Window start
+   * @param {Date} options.to - Window end
+   * @param {number} [options.tolerance] - Douglas-Peucker tolerance in meters (0/omitted = raw)
+   * @returns {Promise<Object>} { busId, from, to, count, rawCount, simplified, truncated, points }
+   * @throws {Error} If bus not found (404)
+   */
+  async getTrack(busId, options) {
+    const { from, to, tolerance = 0 } = options;
+
+    const bus = await busRepository.findById(busId);
+
+    if (!bus) {
+      const error = new Error('Bus not found');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+
+    // Fetch one extra reading to know whether the window was cut off
+    const readings = await gpsRepository.findByBus(busId, from, to, MAX_TRACK_POINTS + 1);
+    const truncated = readings.length > MAX_TRACK_POINTS;
+
+    const rawPoints = readings.slice(0, MAX_TRACK_POINTS).map(reading => ({
+      timestamp: reading.timestamp.toISOString(),
+      lat: reading.lat,
+      lng: reading.lng,
+      speed: reading.speed,
+      heading: reading.heading,
+      accuracy: reading.accuracy
+    }));
+
+    const points = tolerance > 0 ? simplifyPath(rawPoints, tolerance) : rawPoints;
+
+    return {
+      busId,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      count: points.length,
+      rawCount: rawPoints.length,
+      simplified: tolerance > 0,
+      truncated,
+      points
+    };
+  }
+
+  /**
+   * Convert a track to a GeoJSON Feature with a LineString geometry
+   *
+   * Per-vertex timestamps are kept in properties.timestamps (same order
+   * as the coordinates). A LineString needs two positions, so shorter
+   * tracks get a null geometry.
+   *
+   * @param {Object} track - Result of getTrack
+   * @returns {Object} GeoJSON Feature
+   */
+  toGeoJSON(track) {
+    const { points, ...meta } = track;
+
+    return {
+      type: 'Feature',
+      geometry: points.length >= 2
+        ? { type: 'LineString', coordinates: points.map(point => [point.lng, point.lat]) }
+        : null,
+      properties: {
+        ...meta,
+        timestamps: points.map(point => point.timestamp)
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new GpsService();
@@ -9,6 +9,11 @@ const { db } = require('../../config/db');
 const { Agency } = require('../../models/gtfs');
 const { FieldValue } = require('firebase-admin').firestore;
 
+/**
+ * Maximum writes per Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
 /**
  * FirestoreAgencyRepository
  *
@@ -95,6 +100,20 @@ class FirestoreAgencyRepository {
     }
   }
 
+  /**
+   * List every agency (feed export)
+   * @returns {Promise<Agency[]>}
+   */
+  async listAll() {
+    try {
+      const snapshot = await this.collection.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listAll:', error);
+      throw new Error(`Database error while listing all agencies: ${error.message}`);
+    }
+  }
+
   /**
    * Create a new agency
    * @param {Agency} agency - Agency domain model
@@ -112,6 +131,36 @@ class FirestoreAgencyRepository {
     }
   }
 
+  /**
+   * Create or replace agencies (feed import)
+   *
+   * Document IDs are the GTFS IDs, so importing the same feed again replaces
+   * the agencies instead of duplicating them. Writes in Firestore batches of
+   * up to BATCH_LIMIT.
+   *
+   * @param {Agency[]} agencys - Agency domain models
+   * @returns {Promise<number>} Number of agencies written
+   */
+  async bulkUpsert(agencys) {
+    try {
+      for (let i = 0; i < agencys.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        agencys.slice(i, i + BATCH_LIMIT).forEach(agency => {
+          const docRef = agency.id ? this.collection.doc(agency.id) : this.collection.doc();
+          batch.set(docRef, this._mapToDocument(agency, false));
+        });
+
+        await batch.commit();
+      }
+
+      return agencys.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpsert:', error);
+      throw new Error(`Database error while importing agencies: ${error.message}`);
+    }
+  }
+
   /**
    * Update an existing agency
    * @param {Agency} agency - Agency domain model with ID
@@ -0,0 +1,281 @@
+/**
+ * CalendarDate Repository
+ *
+ * Repository pattern for CalendarDate entity.
+ * Maps GTFS CalendarDate models ↔ Firestore cleanly.
+ * Document IDs are CalendarDate.buildId(serviceId, date).
+ */
+
+const { db } = require('../../config/db');
+const { CalendarDate } = require('../../models/gtfs');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * Maximum writes per Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
+/**
+ * FirestoreCalendarDateRepository
+ *
+ * Firestore implementation for CalendarDate repository.
+ */
+class FirestoreCalendarDateRepository {
+  constructor() {
+    this.collection = db.collection(CalendarDate.collection());
+  }
+
+  /**
+   * Map Firestore document to CalendarDate domain model
+   * @private
+   */
+  _mapToModel(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return new CalendarDate({
+      id: doc.id,
+      serviceId: data.serviceId,
+      date: data.date,
+      exceptionType: data.exceptionType,
+      createdAt: data.createdAt?.toDate(),
+      updatedAt: data.updatedAt?.toDate()
+    });
+  }
+
+  /**
+   * Map CalendarDate domain model to Firestore document data
+   * @private
+   */
+  _mapToDocument(calendarDate, isUpdate = false) {
+    const data = {
+      serviceId: calendarDate.serviceId,
+      date: calendarDate.date,
+      exceptionType: calendarDate.exceptionType,
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    if (!isUpdate) {
+      data.createdAt = FieldValue.serverTimestamp();
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a calendar date by ID
+   * @param {string} id - CalendarDate ID
+   * @returns {Promise<CalendarDate|null>}
+   */
+  async findById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return this._mapToModel(doc);
+    } catch (error) {
+      console.error('Firestore error in findById:', error);
+      throw new Error(`Database error while finding calendar date by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the exceptions on a date (every service)
+   * @param {string} date - Date (YYYYMMDD)
+   * @returns {Promise<CalendarDate[]>}
+   */
+  async findByDate(date) {
+    try {
+      const snapshot = await this.collection
+        .where('date', '==', date)
+        .get();
+
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in findByDate:', error);
+      throw new Error(`Database error while finding calendar dates by date: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the exceptions of a service (ordered by date)
+   * @param {string} serviceId - Service ID
+   * @returns {Promise<CalendarDate[]>}
+   */
+  async findByService(serviceId) {
+    try {
+      const snapshot = await this.collection
+        .where('serviceId', '==', serviceId)
+        .orderBy('date', 'asc')
+        .get();
+
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in findByService:', error);
+      throw new Error(`Database error while finding calendar dates by service: ${error.message}`);
+    }
+  }
+
+  /**
+   * List calendar dates with optional filters
+   * @param {Object} options - Query options
+   * @param {string} [options.serviceId] - Only this service
+   * @param {string} [options.date] - Only this date (YYYYMMDD)
+   * @param {number} [options.limit=100] - Maximum calendar dates
+   * @returns {Promise<CalendarDate[]>}
+   */
+  async list(options = {}) {
+    try {
+      let query = this.collection;
+
+      if (options.serviceId) {
+        query = query.where('serviceId', '==', options.serviceId);
+      }
+
+      if (options.date) {
+        query = query.where('date', '==', options.date);
+      }
+
+      const limit = options.limit || 100;
+      query = query.limit(limit);
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in list:', error);
+      throw new Error(`Database error while listing calendar dates: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every calendar date, without the list() limit (feed export)
+   * @returns {Promise<CalendarDate[]>}
+   */
+  async listAll() {
+    try {
+      const snapshot = await this.collection.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listAll:', error);
+      throw new Error(`Database error while listing all calendar dates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new calendar date
+   * @param {CalendarDate} calendarDate - CalendarDate domain model
+   * @returns {Promise<CalendarDate>}
+   * @throws {Error} If the service already has an exception on the date (409)
+   */
+  async create(calendarDate) {
+    try {
+      const docRef = this.collection.doc(calendarDate.id);
+      const doc = await docRef.get();
+
+      if (doc.exists) {
+        const error = new Error('Calendar date for this service and date already exists');
+        error.status = 409;
+        throw error;
+      }
+
+      await docRef.set(this._mapToDocument(calendarDate, false));
+
+      const createdDoc = await docRef.get();
+      return this._mapToModel(createdDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in create:', error);
+      throw new Error(`Database error while creating calendar date: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace calendar dates (feed import)
+   *
+   * Document IDs are built from the service ID and date, so importing the
+   * same feed again replaces the exceptions instead of duplicating them.
+   * Writes in Firestore batches of up to BATCH_LIMIT.
+   *
+   * @param {CalendarDate[]} calendarDates - CalendarDate domain models
+   * @returns {Promise<number>} Number of calendar dates written
+   */
+  async bulkUpsert(calendarDates) {
+    try {
+      for (let i = 0; i < calendarDates.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        calendarDates.slice(i, i + BATCH_LIMIT).forEach(calendarDate => {
+          batch.set(this.collection.doc(calendarDate.id), this._mapToDocument(calendarDate, false));
+        });
+
+        await batch.commit();
+      }
+
+      return calendarDates.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpsert:', error);
+      throw new Error(`Database error while importing calendar dates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an existing calendar date
+   * @param {CalendarDate} calendarDate - CalendarDate domain model with ID
+   * @returns {Promise<CalendarDate>}
+   */
+  async update(calendarDate) {
+    try {
+      const docRef = this.collection.doc(calendarDate.id);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        const error = new Error('Calendar date not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const updateData = this._mapToDocument(calendarDate, true);
+      await docRef.update(updateData);
+
+      const updatedDoc = await docRef.get();
+      return this._mapToModel(updatedDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in update:', error);
+      throw new Error(`Database error while updating calendar date: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a calendar date by ID
+   * @param {string} id - CalendarDate ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      if (!doc.exists) {
+        const error = new Error('Calendar date not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await this.collection.doc(id).delete();
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in remove:', error);
+      throw new Error(`Database error while deleting calendar date: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  FirestoreCalendarDateRepository,
+  calendarDateRepository: new FirestoreCalendarDateRepository()
+};
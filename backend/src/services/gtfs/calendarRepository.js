@@ -0,0 +1,265 @@
+/**
+ * Calendar Repository
+ *
+ * Repository pattern for Calendar entity.
+ * Maps GTFS Calendar models ↔ Firestore cleanly.
+ * Document IDs are the service IDs trips reference.
+ */
+
+const { db } = require('../../config/db');
+const { Calendar } = require('../../models/gtfs');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * Maximum writes per Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
+/**
+ * FirestoreCalendarRepository
+ *
+ * Firestore implementation for Calendar repository.
+ */
+class FirestoreCalendarRepository {
+  constructor() {
+    this.collection = db.collection(Calendar.collection());
+  }
+
+  /**
+   * Map Firestore document to Calendar domain model
+   * @private
+   */
+  _mapToModel(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return new Calendar({
+      id: doc.id,
+      monday: data.monday,
+      tuesday: data.tuesday,
+      wednesday: data.wednesday,
+      thursday: data.thursday,
+      friday: data.friday,
+      saturday: data.saturday,
+      sunday: data.sunday,
+      startDate: data.startDate,
+      endDate: data.endDate,
+      createdAt: data.createdAt?.toDate(),
+      updatedAt: data.updatedAt?.toDate()
+    });
+  }
+
+  /**
+   * Map Calendar domain model to Firestore document data
+   * @private
+   */
+  _mapToDocument(calendar, isUpdate = false) {
+    const data = {
+      monday: calendar.monday,
+      tuesday: calendar.tuesday,
+      wednesday: calendar.wednesday,
+      thursday: calendar.thursday,
+      friday: calendar.friday,
+      saturday: calendar.saturday,
+      sunday: calendar.sunday,
+      startDate: calendar.startDate,
+      endDate: calendar.endDate,
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    if (!isUpdate) {
+      data.createdAt = FieldValue.serverTimestamp();
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a calendar by service ID
+   * @param {string} id - Service ID
+   * @returns {Promise<Calendar|null>}
+   */
+  async findById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return this._mapToModel(doc);
+    } catch (error) {
+      console.error('Firestore error in findById:', error);
+      throw new Error(`Database error while finding calendar by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the calendars whose date range includes a date
+   * @param {string} date - Date (YYYYMMDD)
+   * @returns {Promise<Calendar[]>}
+   */
+  async findInEffect(date) {
+    try {
+      // Firestore allows a range filter on one field only: end date in the
+      // query, start date in memory
+      const snapshot = await this.collection
+        .where('endDate', '>=', date)
+        .get();
+
+      return snapshot.docs
+        .map(doc => this._mapToModel(doc))
+        .filter(calendar => calendar.isInEffect(date));
+    } catch (error) {
+      console.error('Firestore error in findInEffect:', error);
+      throw new Error(`Database error while finding calendars in effect: ${error.message}`);
+    }
+  }
+
+  /**
+   * List calendars
+   * @param {Object} options - Query options
+   * @param {number} [options.limit=100] - Maximum calendars
+   * @returns {Promise<Calendar[]>}
+   */
+  async list(options = {}) {
+    try {
+      const limit = options.limit || 100;
+      const snapshot = await this.collection.limit(limit).get();
+
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in list:', error);
+      throw new Error(`Database error while listing calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every calendar, without the list() limit (feed export)
+   * @returns {Promise<Calendar[]>}
+   */
+  async listAll() {
+    try {
+      const snapshot = await this.collection.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listAll:', error);
+      throw new Error(`Database error while listing all calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new calendar
+   * @param {Calendar} calendar - Calendar domain model (ID is the service ID)
+   * @returns {Promise<Calendar>}
+   * @throws {Error} If the service ID already has a calendar (409)
+   */
+  async create(calendar) {
+    try {
+      const docRef = this.collection.doc(calendar.id);
+      const doc = await docRef.get();
+
+      if (doc.exists) {
+        const error = new Error('Calendar with this service ID already exists');
+        error.status = 409;
+        throw error;
+      }
+
+      await docRef.set(this._mapToDocument(calendar, false));
+
+      const createdDoc = await docRef.get();
+      return this._mapToModel(createdDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in create:', error);
+      throw new Error(`Database error while creating calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace calendars (feed import)
+   *
+   * Document IDs are the service IDs, so importing the same feed again
+   * replaces the calendars instead of duplicating them. Writes in Firestore
+   * batches of up to BATCH_LIMIT.
+   *
+   * @param {Calendar[]} calendars - Calendar domain models
+   * @returns {Promise<number>} Number of calendars written
+   */
+  async bulkUpsert(calendars) {
+    try {
+      for (let i = 0; i < calendars.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        calendars.slice(i, i + BATCH_LIMIT).forEach(calendar => {
+          batch.set(this.collection.doc(calendar.id), this._mapToDocument(calendar, false));
+        });
+
+        await batch.commit();
+      }
+
+      return calendars.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpsert:', error);
+      throw new Error(`Database error while importing calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an existing calendar
+   * @param {Calendar} calendar - Calendar domain model with ID
+   * @returns {Promise<Calendar>}
+   */
+  async update(calendar) {
+    try {
+      const docRef = this.collection.doc(calendar.id);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        const error = new Error('Calendar not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const updateData = this._mapToDocument(calendar, true);
+      await docRef.update(updateData);
+
+      const updatedDoc = await docRef.get();
+      return this._mapToModel(updatedDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in update:', error);
+      throw new Error(`Database error while updating calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a calendar by service ID
+   * @param {string} id - Service ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      if (!doc.exists) {
+        const error = new Error('Calendar not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await this.collection.doc(id).delete();
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in remove:', error);
+      throw new Error(`Database error while deleting calendar: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  FirestoreCalendarRepository,
+  calendarRepository: new FirestoreCalendarRepository()
+};
@@ -0,0 +1,245 @@
+/**
+ * FareAttribute Repository
+ *
+ * Repository pattern for FareAttribute entity.
+ * Maps GTFS FareAttribute models ↔ Firestore cleanly.
+ * Document IDs are the fare IDs fare rules reference.
+ */
+
+const { db } = require('../../config/db');
+const { FareAttribute } = require('../../models/gtfs');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * Maximum writes per Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
+/**
+ * FirestoreFareAttributeRepository
+ *
+ * Firestore implementation for FareAttribute repository.
+ */
+class FirestoreFareAttributeRepository {
+  constructor() {
+    this.collection = db.collection(FareAttribute.collection());
+  }
+
+  /**
+   * Map Firestore document to FareAttribute domain model
+   * @private
+   */
+  _mapToModel(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return new FareAttribute({
+      id: doc.id,
+      price: data.price,
+      currencyType: data.currencyType,
+      paymentMethod: data.paymentMethod,
+      transfers: data.transfers,
+      agencyId: data.agencyId,
+      transferDuration: data.transferDuration,
+      createdAt: data.createdAt?.toDate(),
+      updatedAt: data.updatedAt?.toDate()
+    });
+  }
+
+  /**
+   * Map FareAttribute domain model to Firestore document data
+   * @private
+   */
+  _mapToDocument(fare, isUpdate = false) {
+    const data = {
+      price: fare.price,
+      currencyType: fare.currencyType,
+      paymentMethod: fare.paymentMethod,
+      transfers: fare.transfers,
+      agencyId: fare.agencyId,
+      transferDuration: fare.transferDuration,
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    if (!isUpdate) {
+      data.createdAt = FieldValue.serverTimestamp();
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a fare by ID
+   * @param {string} id - Fare ID
+   * @returns {Promise<FareAttribute|null>}
+   */
+  async findById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return this._mapToModel(doc);
+    } catch (error) {
+      console.error('Firestore error in findById:', error);
+      throw new Error(`Database error while finding fare by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * List fares with optional filters
+   * @param {Object} options - Query options
+   * @param {string} [options.agencyId] - Only fares of this agency
+   * @param {number} [options.limit=100] - Maximum fares
+   * @returns {Promise<FareAttribute[]>}
+   */
+  async list(options = {}) {
+    try {
+      let query = this.collection;
+
+      if (options.agencyId) {
+        query = query.where('agencyId', '==', options.agencyId);
+      }
+
+      const limit = options.limit || 100;
+      query = query.limit(limit);
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in list:', error);
+      throw new Error(`Database error while listing fares: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every fare, without the list() limit (feed export)
+   * @returns {Promise<FareAttribute[]>}
+   */
+  async listAll() {
+    try {
+      const snapshot = await this.collection.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listAll:', error);
+      throw new Error(`Database error while listing all fares: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new fare
+   * @param {FareAttribute} fare - FareAttribute domain model (ID is the fare ID)
+   * @returns {Promise<FareAttribute>}
+   * @throws {Error} If the fare ID already exists (409)
+   */
+  async create(fare) {
+    try {
+      const docRef = this.collection.doc(fare.id);
+      const doc = await docRef.get();
+
+      if (doc.exists) {
+        const error = new Error('Fare with this ID already exists');
+        error.status = 409;
+        throw error;
+      }
+
+      await docRef.set(this._mapToDocument(fare, false));
+
+      const createdDoc = await docRef.get();
+      return this._mapToModel(createdDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in create:', error);
+      throw new Error(`Database error while creating fare: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace fares (feed import)
+   *
+   * Document IDs are the fare IDs, so importing the same feed again
+   * replaces the fares instead of duplicating them. Writes in Firestore
+   * batches of up to BATCH_LIMIT.
+   *
+   * @param {FareAttribute[]} fares - FareAttribute domain models
+   * @returns {Promise<number>} Number of fares written
+   */
+  async bulkUpsert(fares) {
+    try {
+      for (let i = 0; i < fares.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        fares.slice(i, i + BATCH_LIMIT).forEach(fare => {
+          batch.set(this.collection.doc(fare.id), this._mapToDocument(fare, false));
+        });
+
+        await batch.commit();
+      }
+
+      return fares.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpsert:', error);
+      throw new Error(`Database error while importing fares: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an existing fare
+   * @param {FareAttribute} fare - FareAttribute domain model with ID
+   * @returns {Promise<FareAttribute>}
+   */
+  async update(fare) {
+    try {
+      const docRef = this.collection.doc(fare.id);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        const error = new Error('Fare not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const updateData = this._mapToDocument(fare, true);
+      await docRef.update(updateData);
+
+      const updatedDoc = await docRef.get();
+      return this._mapToModel(updatedDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in update:', error);
+      throw new Error(`Database error while updating fare: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a fare by ID
+   * @param {string} id - Fare ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      if (!doc.exists) {
+        const error = new Error('Fare not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await this.collection.doc(id).delete();
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in remove:', error);
+      throw new Error(`Database error while deleting fare: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  FirestoreFareAttributeRepository,
+  fareAttributeRepository: new FirestoreFareAttributeRepository()
+};
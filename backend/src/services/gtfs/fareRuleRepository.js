@@ -0,0 +1,264 @@
+/**
+ * FareRule Repository
+ *
+ * Repository pattern for FareRule entity.
+ * Maps GTFS FareRule models ↔ Firestore cleanly.
+ * Document IDs are FareRule.buildId(rule): a rule is identified by all its fields.
+ */
+
+const { db } = require('../../config/db');
+const { FareRule } = require('../../models/gtfs');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * Maximum writes per Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
+/**
+ * FirestoreFareRuleRepository
+ *
+ * Firestore implementation for FareRule repository.
+ */
+class FirestoreFareRuleRepository {
+  constructor() {
+    this.collection = db.collection(FareRule.collection());
+  }
+
+  /**
+   * Map Firestore document to FareRule domain model
+   * @private
+   */
+  _mapToModel(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return new FareRule({
+      id: doc.id,
+      fareId: data.fareId,
+      routeId: data.routeId,
+      originId: data.originId,
+      destinationId: data.destinationId,
+      containsId: data.containsId,
+      createdAt: data.createdAt?.toDate(),
+      updatedAt: data.updatedAt?.toDate()
+    });
+  }
+
+  /**
+   * Map FareRule domain model to Firestore document data
+   * @private
+   */
+  _mapToDocument(rule, isUpdate = false) {
+    const data = {
+      fareId: rule.fareId,
+      routeId: rule.routeId,
+      originId: rule.originId,
+      destinationId: rule.destinationId,
+      containsId: rule.containsId,
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    if (!isUpdate) {
+      data.createdAt = FieldValue.serverTimestamp();
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a fare rule by ID
+   * @param {string} id - Fare rule ID
+   * @returns {Promise<FareRule|null>}
+   */
+  async findById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return this._mapToModel(doc);
+    } catch (error) {
+      console.error('Firestore error in findById:', error);
+      throw new Error(`Database error while finding fare rule by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the rules of a fare
+   * @param {string} fareId - Fare ID
+   * @returns {Promise<FareRule[]>}
+   */
+  async findByFare(fareId) {
+    try {
+      const snapshot = await this.collection
+        .where('fareId', '==', fareId)
+        .get();
+
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in findByFare:', error);
+      throw new Error(`Database error while finding fare rules by fare: ${error.message}`);
+    }
+  }
+
+  /**
+   * List fare rules with optional filters
+   * @param {Object} options - Query options
+   * @param {string} [options.fareId] - Only rules of this fare
+   * @param {string} [options.routeId] - Only rules of this route
+   * @param {number} [options.limit=100] - Maximum rules
+   * @returns {Promise<FareRule[]>}
+   */
+  async list(options = {}) {
+    try {
+      let query = this.collection;
+
+      if (options.fareId) {
+        query = query.where('fareId', '==', options.fareId);
+      }
+
+      if (options.routeId) {
+        query = query.where('routeId', '==', options.routeId);
+      }
+
+      const limit = options.limit || 100;
+      query = query.limit(limit);
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in list:', error);
+      throw new Error(`Database error while listing fare rules: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every fare rule, without the list() limit (feed export)
+   * @returns {Promise<FareRule[]>}
+   */
+  async listAll() {
+    try {
+      const snapshot = await this.collection.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listAll:', error);
+      throw new Error(`Database error while listing all fare rules: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new fare rule
+   * @param {FareRule} rule - FareRule domain model
+   * @returns {Promise<FareRule>}
+   * @throws {Error} If an identical rule exists (409)
+   */
+  async create(rule) {
+    try {
+      const docRef = this.collection.doc(rule.id);
+      const doc = await docRef.get();
+
+      if (doc.exists) {
+        const error = new Error('Identical fare rule already exists');
+        error.status = 409;
+        throw error;
+      }
+
+      await docRef.set(this._mapToDocument(rule, false));
+
+      const createdDoc = await docRef.get();
+      return this._mapToModel(createdDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in create:', error);
+      throw new Error(`Database error while creating fare rule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace fare rules (feed import)
+   *
+   * Document IDs are built from all the rule fields, so importing the same
+   * feed again replaces the rules instead of duplicating them.
+   * Writes in Firestore batches of up to BATCH_LIMIT.
+   *
+   * @param {FareRule[]} rules - FareRule domain models
+   * @returns {Promise<number>} Number of rules written
+   */
+  async bulkUpsert(rules) {
+    try {
+      for (let i = 0; i < rules.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        rules.slice(i, i + BATCH_LIMIT).forEach(rule => {
+          batch.set(this.collection.doc(rule.id), this._mapToDocument(rule, false));
+        });
+
+        await batch.commit();
+      }
+
+      return rules.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpsert:', error);
+      throw new Error(`Database error while importing fare rules: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a fare rule by ID
+   * @param {string} id - Fare rule ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      if (!doc.exists) {
+        const error = new Error('Fare rule not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await this.collection.doc(id).delete();
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in remove:', error);
+      throw new Error(`Database error while deleting fare rule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete all rules of a fare
+   * @param {string} fareId - Fare ID
+   * @returns {Promise<number>} Number of deleted documents
+   */
+  async removeByFare(fareId) {
+    try {
+      const snapshot = await this.collection
+        .where('fareId', '==', fareId)
+        .get();
+
+      if (snapshot.empty) {
+        return 0;
+      }
+
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => {
+        batch.delete(doc.ref);
+      });
+
+      await batch.commit();
+      return snapshot.size;
+    } catch (error) {
+      console.error('Firestore error in removeByFare:', error);
+      throw new Error(`Database error while deleting fare rules by fare: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  FirestoreFareRuleRepository,
+  fareRuleRepository: new FirestoreFareRuleRepository()
+};
@@ -0,0 +1,293 @@
+/**
+ * Frequency Repository
+ *
+ * Repository pattern for Frequency entity.
+ * Maps GTFS Frequency models ↔ Firestore cleanly.
+ * Document IDs are Frequency.buildId(tripId, startTime).
+ */
+
+const { db } = require('../../config/db');
+const { Frequency } = require('../../models/gtfs');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * Maximum writes per Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
+/**
+ * Maximum values of a Firestore 'in' filter
+ */
+const IN_QUERY_LIMIT = 30;
+
+/**
+ * FirestoreFrequencyRepository
+ *
+ * Firestore implementation for Frequency repository.
+ */
+class FirestoreFrequencyRepository {
+  constructor() {
+    this.collection = db.collection(Frequency.collection());
+  }
+
+  /**
+   * Map Firestore document to Frequency domain model
+   * @private
+   */
+  _mapToModel(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return new Frequency({
+      id: doc.id,
+      tripId: data.tripId,
+      startTime: data.startTime,
+      endTime: data.endTime,
+      headwaySecs: data.headwaySecs,
+      exactTimes: data.exactTimes,
+      createdAt: data.createdAt?.toDate(),
+      updatedAt: data.updatedAt?.toDate()
+    });
+  }
+
+  /**
+   * Map Frequency domain model to Firestore document data
+   * @private
+   */
+  _mapToDocument(frequency, isUpdate = false) {
+    const data = {
+      tripId: frequency.tripId,
+      startTime: frequency.startTime,
+      endTime: frequency.endTime,
+      headwaySecs: frequency.headwaySecs,
+      exactTimes: frequency.exactTimes,
+      updatedAt: FieldValue.serverTimestamp()
+    };
+
+    if (!isUpdate) {
+      data.createdAt = FieldValue.serverTimestamp();
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a frequency by ID
+   * @param {string} id - Frequency ID
+   * @returns {Promise<Frequency|null>}
+   */
+  async findById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return this._mapToModel(doc);
+    } catch (error) {
+      console.error('Firestore error in findById:', error);
+      throw new Error(`Database error while finding frequency by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the frequencies of a trip (ordered by start time)
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Frequency[]>}
+   */
+  async findByTrip(tripId) {
+    try {
+      const snapshot = await this.collection
+        .where('tripId', '==', tripId)
+        .orderBy('startTime', 'asc')
+        .get();
+
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in findByTrip:', error);
+      throw new Error(`Database error while finding frequencies by trip: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the frequencies of several trips
+   * @param {string[]} tripIds - Trip IDs
+   * @returns {Promise<Frequency[]>}
+   */
+  async findByTripIds(tripIds) {
+    try {
+      const unique = [...new Set(tripIds)];
+      const frequencies = [];
+
+      // Firestore 'in' queries accept at most IN_QUERY_LIMIT values
+      for (let i = 0; i < unique.length; i += IN_QUERY_LIMIT) {
+        const snapshot = await this.collection
+          .where('tripId', 'in', unique.slice(i, i + IN_QUERY_LIMIT))
+          .get();
+
+        frequencies.push(...snapshot.docs.map(doc => this._mapToModel(doc)));
+      }
+
+      return frequencies;
+    } catch (error) {
+      console.error('Firestore error in findByTripIds:', error);
+      throw new Error(`Database error while finding frequencies by trips: ${error.message}`);
+    }
+  }
+
+  /**
+   * List frequencies with optional filters
+   * @param {Object} options - Query options
+   * @param {string} [options.tripId] - Only this trip
+   * @param {number} [options.limit=100] - Maximum frequencies
+   * @returns {Promise<Frequency[]>}
+   */
+  async list(options = {}) {
+    try {
+      let query = this.collection;
+
+      if (options.tripId) {
+        query = query.where('tripId', '==', options.tripId);
+      }
+
+      const limit = options.limit || 100;
+      query = query.limit(limit);
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in list:', error);
+      throw new Error(`Database error while listing frequencies: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every frequency, without the list() limit (feed export)
+   * @returns {Promise<Frequency[]>}
+   */
+  async listAll() {
+    try {
+      const snapshot = await this.collection.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listAll:', error);
+      throw new Error(`Database error while listing all frequencies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new frequency
+   * @param {Frequency} frequency - Frequency domain model
+   * @returns {Promise<Frequency>}
+   * @throws {Error} If the trip already has a frequency starting at that time (409)
+   */
+  async create(frequency) {
+    try {
+      const docRef = this.collection.doc(frequency.id);
+      const doc = await docRef.get();
+
+      if (doc.exists) {
+        const error = new Error('Frequency for this trip and start time already exists');
+        error.status = 409;
+        throw error;
+      }
+
+      await docRef.set(this._mapToDocument(frequency, false));
+
+      const createdDoc = await docRef.get();
+      return this._mapToModel(createdDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in create:', error);
+      throw new Error(`Database error while creating frequency: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace frequencies (feed import)
+   *
+   * Document IDs are built from the trip ID and start time, so importing the
+   * same feed again replaces the frequencies instead of duplicating them.
+   * Writes in Firestore batches of up to BATCH_LIMIT.
+   *
+   * @param {Frequency[]} frequencies - Frequency domain models
+   * @returns {Promise<number>} Number of frequencies written
+   */
+  async bulkUpsert(frequencies) {
+    try {
+      for (let i = 0; i < frequencies.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        frequencies.slice(i, i + BATCH_LIMIT).forEach(frequency => {
+          batch.set(this.collection.doc(frequency.id), this._mapToDocument(frequency, false));
+        });
+
+        await batch.commit();
+      }
+
+      return frequencies.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpsert:', error);
+      throw new Error(`Database error while importing frequencies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an existing frequency
+   * @param {Frequency} frequency - Frequency domain model with ID
+   * @returns {Promise<Frequency>}
+   */
+  async update(frequency) {
+    try {
+      const docRef = this.collection.doc(frequency.id);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        const error = new Error('Frequency not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const updateData = this._mapToDocument(frequency, true);
+      await docRef.update(updateData);
+
+      const updatedDoc = await docRef.get();
+      return this._mapToModel(updatedDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in update:', error);
+      throw new Error(`Database error while updating frequency: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a frequency by ID
+   * @param {string} id - Frequency ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      if (!doc.exists) {
+        const error = new Error('Frequency not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await this.collection.doc(id).delete();
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in remove:', error);
+      throw new Error(`Database error while deleting frequency: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  FirestoreFrequencyRepository,
+  frequencyRepository: new FirestoreFrequencyRepository()
+};
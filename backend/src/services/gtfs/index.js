@@ -9,12 +9,24 @@ const { stopRepository } = require('./stopRepository');
 const { routeRepository } = require('./routeRepository');
 const { tripRepository } = require('./tripRepository');
 const { stopTimeRepository } = require('./stopTimeRepository');
+const { shapeRepository } = require('./shapeRepository');
+const { calendarRepository } = require('./calendarRepository');
+const { calendarDateRepository } = require('./calendarDateRepository');
+const { frequencyRepository } = require('./frequencyRepository');
+const { fareAttributeRepository } = require('./fareAttributeRepository');
+const { fareRuleRepository } = require('./fareRuleRepository');
 
 module.exports = {
   agencyRepository,
   stopRepository,
   routeRepository,
   tripRepository,
-  stopTimeRepository
+  stopTimeRepository,
+  shapeRepository,
+  calendarRepository,
+  calendarDateRepository,
+  frequencyRepository,
+  fareAttributeRepository,
+  fareRuleRepository
 };
 
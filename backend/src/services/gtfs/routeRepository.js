@@ -9,6 +9,11 @@ const { db } = require('../../config/db');
 const { Route } = require('../../models/gtfs');
 const { FieldValue } = require('firebase-admin').firestore;
 
+/**
+ * Maximum writes per Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
 /**
  * FirestoreRouteRepository
  *
@@ -140,6 +145,20 @@ class FirestoreRouteRepository {
     }
   }
 
+  /**
+   * List every route, without the list() limit (feed export)
+   * @returns {Promise<Route[]>}
+   */
+  async listAll() {
+    try {
+      const snapshot = await this.collection.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listAll:', error);
+      throw new Error(`Database error while listing all routes: ${error.message}`);
+    }
+  }
+
   /**
    * Create a new route
    * @param {Route} route - Route domain model
@@ -157,6 +176,36 @@ class FirestoreRouteRepository {
     }
   }
 
+  /**
+   * Create or replace routes (feed import)
+   *
+   * Document IDs are the GTFS IDs, so importing the same feed again replaces
+   * the routes instead of duplicating them. Writes in Firestore batches of
+   * up to BATCH_LIMIT.
+   *
+   * @param {Route[]} routes - Route domain models
+   * @returns {Promise<number>} Number of routes written
+   */
+  async bulkUpsert(routes) {
+    try {
+      for (let i = 0; i < routes.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        routes.slice(i, i + BATCH_LIMIT).forEach(route => {
+          const docRef = route.id ? this.collection.doc(route.id) : this.collection.doc();
+          batch.set(docRef, this._mapToDocument(route, false));
+        });
+
+        await batch.commit();
+      }
+
+      return routes.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpsert:', error);
+      throw new Error(`Database error while importing routes: ${error.message}`);
+    }
+  }
+
   /**
    * Update an existing route
    * @param {Route} route - Route domain model with ID
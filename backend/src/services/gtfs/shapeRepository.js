@@ -0,0 +1,238 @@
+/**
+ * Shape Repository
+ *
+ * Repository pattern for Shape entity.
+ * Maps GTFS Shape models ↔ Firestore cleanly.
+ * One document per shape_id (ID = shape_id) holding the ordered points.
+ */
+
+const { db } = require('../../config/db');
+const { Shape } = require('../../models/gtfs');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * Maximum shapes per Firestore batch (below the 500 writes limit: each
+ * shape document carries its whole path, and a batch is one request)
+ */
+const BATCH_LIMIT = 100;
+
+/**
+ * FirestoreShapeRepository
+ *
+ * Firestore implementation for Shape repository.
+ */
+class FirestoreShapeRepository {
+  constructor() {
+    this.collection = db.collection(Shape.collection());
+  }
+
+  /**
+   * Map Firestore document to Shape domain model
+   * @private
+   */
+  _mapToModel(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return new Shape({
+      id: doc.id,
+      points: data.points,
+      createdAt: data.createdAt?.toDate(),
+      updatedAt: data.updatedAt?.toDate()
+    });
+  }
+
+  /**
+   * Map Shape domain model to Firestore document data
+   * @private
+   */
+  _mapToDocument(shape) {
+    return {
+      points: shape.points,
+      updatedAt: FieldValue.serverTimestamp()
+    };
+  }
+
+  /**
+   * Find a shape by ID
+   * @param {string} id - Shape ID
+   * @returns {Promise<Shape|null>}
+   */
+  async findById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return this._mapToModel(doc);
+    } catch (error) {
+      console.error('Firestore error in findById:', error);
+      throw new Error(`Database error while finding shape by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * List shapes
+   * @param {Object} options - Query options
+   * @param {number} [options.limit=100] - Maximum shapes
+   * @returns {Promise<Shape[]>}
+   */
+  async list(options = {}) {
+    try {
+      const limit = options.limit || 100;
+      const snapshot = await this.collection.limit(limit).get();
+
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in list:', error);
+      throw new Error(`Database error while listing shapes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new shape
+   * @param {Shape} shape - Shape domain model with ID
+   * @returns {Promise<Shape>}
+   * @throws {Error} If the shape ID is already used (409)
+   */
+  async create(shape) {
+    try {
+      const docRef = this.collection.doc(shape.id);
+      const doc = await docRef.get();
+
+      if (doc.exists) {
+        const error = new Error('Shape with this ID already exists');
+        error.status = 409;
+        throw error;
+      }
+
+      await docRef.set({ ...this._mapToDocument(shape), createdAt: FieldValue.serverTimestamp() });
+
+      const createdDoc = await docRef.get();
+      return this._mapToModel(createdDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in create:', error);
+      throw new Error(`Database error while creating shape: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace shapes (bulk upload)
+   *
+   * Document IDs are the shape IDs, so uploading the same shapes again
+   * replaces their points. Writes in Firestore batches of up to BATCH_LIMIT.
+   *
+   * @param {Shape[]} shapes - Shape domain models with ID
+   * @returns {Promise<number>} Number of shapes written
+   */
+  async bulkUpsert(shapes) {
+    try {
+      for (let i = 0; i < shapes.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        shapes.slice(i, i + BATCH_LIMIT).forEach(shape => {
+          batch.set(this.collection.doc(shape.id), {
+            ...this._mapToDocument(shape),
+            createdAt: FieldValue.serverTimestamp()
+          });
+        });
+
+        await batch.commit();
+      }
+
+      return shapes.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpsert:', error);
+      throw new Error(`Database error while uploading shapes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an existing shape (replaces its points)
+   * @param {Shape} shape - Shape domain model with ID
+   * @returns {Promise<Shape>}
+   */
+  async update(shape) {
+    try {
+      const docRef = this.collection.doc(shape.id);
+      const doc = await docRef.get();
+
+      if (!doc.exists) {
+        const error = new Error('Shape not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await docRef.update(this._mapToDocument(shape));
+
+      const updatedDoc = await docRef.get();
+      return this._mapToModel(updatedDoc);
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in update:', error);
+      throw new Error(`Database error while updating shape: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a shape by ID
+   * @param {string} id - Shape ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      if (!doc.exists) {
+        const error = new Error('Shape not found');
+        error.status = 404;
+        throw error;
+      }
+
+      await this.collection.doc(id).delete();
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+      console.error('Firestore error in remove:', error);
+      throw new Error(`Database error while deleting shape: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace a shape (ID = shape_id)
+   * @param {Shape} shape - Shape domain model with ID
+   * @returns {Promise<Shape>}
+   */
+  async save(shape) {
+    try {
+      if (!shape.id) {
+        throw new Error('Shape ID is required for save');
+      }
+
+      const docRef = this.collection.doc(shape.id);
+      const existing = await docRef.get();
+      const data = this._mapToDocument(shape);
+
+      if (!existing.exists) {
+        data.createdAt = FieldValue.serverTimestamp();
+      }
+
+      await docRef.set(data, { merge: true });
+
+      const savedDoc = await docRef.get();
+      return this._mapToModel(savedDoc);
+    } catch (error) {
+      console.error('Firestore error in save:', error);
+      throw new Error(`Database error while saving shape: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  FirestoreShapeRepository,
+  shapeRepository: new FirestoreShapeRepository()
+};
@@ -8,6 +8,13 @@
 const { db } = require('../../config/db');
 const { Stop } = require('../../models/gtfs');
 const { FieldValue } = require('firebase-admin').firestore;
+const { haversineDistance } = require('../../utils/geo');
+const { geohashCoveringCells, geohashRange } = require('../../utils/geohash');
+
+/**
+ * Maximum writes per Firestore batch
+ */
+const BATCH_LIMIT = 500;
 
 /**
  * FirestoreStopRepository
@@ -59,6 +66,7 @@ class FirestoreStopRepository {
       desc: stop.desc,
       lat: stop.lat,
       lng: stop.lng,
+      geohash: stop.geohash,
       zoneId: stop.zoneId,
       url: stop.url,
       locationType: stop.locationType,
@@ -92,33 +100,36 @@ class FirestoreStopRepository {
   }
 
   /**
-   * Find stops by location (within radius)
+   * Find stops within a radius, nearest first
+   *
+   * Reads the geohash cells covering the circle (see utils/geohash) and
+   * ranks the stops in them by haversine distance.
+   *
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
-   * @param {number} radiusKm - Radius in kilometers
-   * @returns {Promise<Stop[]>}
+   * @param {number} [radiusKm=1] - Radius in kilometers
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit] - Maximum stops (default: all in the radius)
+   * @returns {Promise<Array<{stop: Stop, distanceMeters: number}>>}
    */
-  async findNearby(lat, lng, radiusKm = 1) {
+  async findNearby(lat, lng, radiusKm = 1, options = {}) {
     try {
-      // Simple bounding box query
-      // For production, consider using geohash or GeoFirestore
-      const latDelta = radiusKm / 111; // Approx 111km per degree
-      const lngDelta = radiusKm / (111 * Math.cos(lat * Math.PI / 180));
-
-      const snapshot = await this.collection
-        .where('lat', '>=', lat - latDelta)
-        .where('lat', '<=', lat + latDelta)
-        .get();
-
-      // Filter by longitude in memory (Firestore limitation)
-      const stops = snapshot.docs
+      const center = { lat, lng };
+      const radiusMeters = radiusKm * 1000;
+
+      const snapshots = await Promise.all(geohashCoveringCells(lat, lng, radiusMeters).map(cell => {
+        const { start, end } = geohashRange(cell);
+        return this.collection.where('geohash', '>=', start).where('geohash', '<', end).get();
+      }));
+
+      const nearby = snapshots
+        .flatMap(snapshot => snapshot.docs)
         .map(doc => this._mapToModel(doc))
-        .filter(stop => {
-          const lngDiff = Math.abs(stop.lng - lng);
-          return lngDiff <= lngDelta;
-        });
+        .map(stop => ({ stop, distanceMeters: haversineDistance(center, stop) }))
+        .filter(({ distanceMeters }) => distanceMeters <= radiusMeters)
+        .sort((a, b) => a.distanceMeters - b.distanceMeters);
 
-      return stops;
+      return options.limit ? nearby.slice(0, options.limit) : nearby;
     } catch (error) {
       console.error('Firestore error in findNearby:', error);
       throw new Error(`Database error while finding nearby stops: ${error.message}`);
@@ -153,6 +164,20 @@ class FirestoreStopRepository {
     }
   }
 
+  /**
+   * List every stop, without the list() limit (feed export)
+   * @returns {Promise<Stop[]>}
+   */
+  async listAll() {
+    try {
+      const snapshot = await this.collection.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listAll:', error);
+      throw new Error(`Database error while listing all stops: ${error.message}`);
+    }
+  }
+
   /**
    * Create a new stop
    * @param {Stop} stop - Stop domain model
@@ -170,6 +195,60 @@ class FirestoreStopRepository {
     }
   }
 
+  /**
+   * Create or replace stops (feed import)
+   *
+   * Document IDs are the GTFS IDs, so importing the same feed again replaces
+   * the stops instead of duplicating them. Writes in Firestore batches of
+   * up to BATCH_LIMIT.
+   *
+   * @param {Stop[]} stops - Stop domain models
+   * @returns {Promise<number>} Number of stops written
+   */
+  async bulkUpsert(stops) {
+    try {
+      for (let i = 0; i < stops.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        stops.slice(i, i + BATCH_LIMIT).forEach(stop => {
+          const docRef = stop.id ? this.collection.doc(stop.id) : this.collection.doc();
+          batch.set(docRef, this._mapToDocument(stop, false));
+        });
+
+        await batch.commit();
+      }
+
+      return stops.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpsert:', error);
+      throw new Error(`Database error while importing stops: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the geohash of stops stored without it (or with a stale one)
+   * @returns {Promise<number>} Number of stops updated
+   */
+  async updateGeohashes() {
+    try {
+      const snapshot = await this.collection.get();
+      const stale = snapshot.docs
+        .map(doc => ({ ref: doc.ref, stored: doc.get('geohash'), geohash: this._mapToModel(doc).geohash }))
+        .filter(({ stored, geohash }) => stored !== geohash);
+
+      for (let i = 0; i < stale.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        stale.slice(i, i + BATCH_LIMIT).forEach(({ ref, geohash }) => batch.update(ref, { geohash }));
+        await batch.commit();
+      }
+
+      return stale.length;
+    } catch (error) {
+      console.error('Firestore error in updateGeohashes:', error);
+      throw new Error(`Database error while updating stop geohashes: ${error.message}`);
+    }
+  }
+
   /**
    * Update an existing stop
    * @param {Stop} stop - Stop domain model with ID
@@ -9,6 +9,16 @@ const { db } = require('../../config/db');
 const { StopTime } = require('../../models/gtfs');
 const { FieldValue } = require('firebase-admin').firestore;
 
+/**
+ * Maximum writes per Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
+/**
+ * Maximum values of a Firestore 'in' filter
+ */
+const IN_QUERY_LIMIT = 30;
+
 /**
  * FirestoreStopTimeRepository
  *
@@ -106,6 +116,32 @@ class FirestoreStopTimeRepository {
     }
   }
 
+  /**
+   * Find the stop times of several trips (ordered by trip, then sequence)
+   * @param {string[]} tripIds - Trip IDs
+   * @returns {Promise<StopTime[]>}
+   */
+  async findByTripIds(tripIds) {
+    try {
+      const unique = [...new Set(tripIds)];
+      const stopTimes = [];
+
+      // Firestore 'in' queries accept at most IN_QUERY_LIMIT values
+      for (let i = 0; i < unique.length; i += IN_QUERY_LIMIT) {
+        const snapshot = await this.collection
+          .where('tripId', 'in', unique.slice(i, i + IN_QUERY_LIMIT))
+          .get();
+
+        stopTimes.push(...snapshot.docs.map(doc => this._mapToModel(doc)));
+      }
+
+      return stopTimes.sort((a, b) => a.tripId.localeCompare(b.tripId) || a.stopSequence - b.stopSequence);
+    } catch (error) {
+      console.error('Firestore error in findByTripIds:', error);
+      throw new Error(`Database error while finding stop times by trips: ${error.message}`);
+    }
+  }
+
   /**
    * Find stop times by stop
    * @param {string} stopId - Stop ID
@@ -124,6 +160,35 @@ class FirestoreStopTimeRepository {
     }
   }
 
+  /**
+   * List the distinct trip IDs referenced by stop times
+   * (reads only the tripId field of each document)
+   * @returns {Promise<string[]>}
+   */
+  async listTripIds() {
+    try {
+      const snapshot = await this.collection.select('tripId').get();
+      return [...new Set(snapshot.docs.map(doc => doc.get('tripId')))];
+    } catch (error) {
+      console.error('Firestore error in listTripIds:', error);
+      throw new Error(`Database error while listing stop time trip IDs: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every stop time, without the list() limit (journey planner timetable)
+   * @returns {Promise<StopTime[]>}
+   */
+  async listAll() {
+    try {
+      const snapshot = await this.collection.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listAll:', error);
+      throw new Error(`Database error while listing all stop times: ${error.message}`);
+    }
+  }
+
   /**
    * List stop times with optional filters
    * @param {Object} options - Query options
@@ -205,6 +270,64 @@ class FirestoreStopTimeRepository {
     }
   }
 
+  /**
+   * Create or replace stop times (feed import)
+   *
+   * Document IDs are "<tripId>_<stopSequence>" (see StopTime.buildId), so
+   * importing the same feed again replaces the stop times instead of
+   * duplicating them. Writes in Firestore batches of up to BATCH_LIMIT.
+   *
+   * @param {StopTime[]} stopTimes - StopTime domain models
+   * @returns {Promise<number>} Number of stop times written
+   */
+  async bulkUpsert(stopTimes) {
+    try {
+      for (let i = 0; i < stopTimes.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        stopTimes.slice(i, i + BATCH_LIMIT).forEach(stopTime => {
+          const docRef = this.collection.doc(stopTime.id || StopTime.buildId(stopTime.tripId, stopTime.stopSequence));
+          batch.set(docRef, this._mapToDocument(stopTime, false));
+        });
+
+        await batch.commit();
+      }
+
+      return stopTimes.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpsert:', error);
+      throw new Error(`Database error while importing stop times: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update existing stop times (e.g. computed shape distances)
+   *
+   * Writes in Firestore batches of up to BATCH_LIMIT; a batch fails as a
+   * whole if one of its stop times no longer exists.
+   *
+   * @param {StopTime[]} stopTimes - StopTime domain models with ID
+   * @returns {Promise<number>} Number of stop times written
+   */
+  async bulkUpdate(stopTimes) {
+    try {
+      for (let i = 0; i < stopTimes.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        stopTimes.slice(i, i + BATCH_LIMIT).forEach(stopTime => {
+          batch.update(this.collection.doc(stopTime.id), this._mapToDocument(stopTime, true));
+        });
+
+        await batch.commit();
+      }
+
+      return stopTimes.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpdate:', error);
+      throw new Error(`Database error while updating stop times: ${error.message}`);
+    }
+  }
+
   /**
    * Update an existing stop time
    * @param {StopTime} stopTime - StopTime domain model with ID
@@ -9,6 +9,11 @@ const { db } = require('../../config/db');
 const { Trip } = require('../../models/gtfs');
 const { FieldValue } = require('firebase-admin').firestore;
 
+/**
+ * Maximum writes per Firestore batch
+ */
+const BATCH_LIMIT = 500;
+
 /**
  * FirestoreTripRepository
  *
@@ -153,6 +158,20 @@ class FirestoreTripRepository {
     }
   }
 
+  /**
+   * List every trip, without the list() limit (feed export)
+   * @returns {Promise<Trip[]>}
+   */
+  async listAll() {
+    try {
+      const snapshot = await this.collection.get();
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listAll:', error);
+      throw new Error(`Database error while listing all trips: ${error.message}`);
+    }
+  }
+
   /**
    * Create a new trip
    * @param {Trip} trip - Trip domain model
@@ -170,6 +189,36 @@ class FirestoreTripRepository {
     }
   }
 
+  /**
+   * Create or replace trips (feed import)
+   *
+   * Document IDs are the GTFS IDs, so importing the same feed again replaces
+   * the trips instead of duplicating them. Writes in Firestore batches of
+   * up to BATCH_LIMIT.
+   *
+   * @param {Trip[]} trips - Trip domain models
+   * @returns {Promise<number>} Number of trips written
+   */
+  async bulkUpsert(trips) {
+    try {
+      for (let i = 0; i < trips.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+
+        trips.slice(i, i + BATCH_LIMIT).forEach(trip => {
+          const docRef = trip.id ? this.collection.doc(trip.id) : this.collection.doc();
+          batch.set(docRef, this._mapToDocument(trip, false));
+        });
+
+        await batch.commit();
+      }
+
+      return trips.length;
+    } catch (error) {
+      console.error('Firestore error in bulkUpsert:', error);
+      throw new Error(`Database error while importing trips: ${error.message}`);
+    }
+  }
+
   /**
    * Update an existing trip
    * @param {Trip} trip - Trip domain model with ID
@@ -0,0 +1,113 @@
+/**
+ * GTFS Cache
+ *
+ * In-memory caches of data read from the static GTFS tables (trip stops,
+ * frequencies, fares, route patterns, the journey planner timetable...).
+ * Every cache is registered here, and every GTFS write of this process
+ * (feed imports, generated timetables, the GTFS API handlers) calls
+ * clearGtfsCaches(). The TTL bounds staleness after writes made by other
+ * instances or processes (e.g. scripts/import-gtfs.js).
+ */
+
+/**
+ * Default time to live of cached GTFS data
+ */
+const GTFS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Registered caches, cleared together by clearGtfsCaches()
+ */
+const caches = new Set();
+
+/**
+ * GtfsCache Class
+ *
+ * Key-value cache whose entries expire ttlMs after they are set. Expired
+ * entries are dropped when read, and all of them when a value is set at
+ * least ttlMs after the previous sweep.
+ */
+class GtfsCache {
+  /**
+   * @param {number} ttlMs - Time to live of each entry
+   */
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.sweepAt = Date.now() + ttlMs;
+  }
+
+  /**
+   * Cached value of a key
+   * @param {string} key - Cache key
+   * @returns {*} Value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Cache a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value (not undefined)
+   * @returns {*} The value
+   */
+  set(key, value) {
+    const now = Date.now();
+
+    // Keys may come from queries (e.g. dates): drop expired entries at most
+    // once per TTL, so entries never read again do not pile up
+    if (now >= this.sweepAt) {
+      this.entries.forEach((entry, entryKey) => {
+        if (entry.expiresAt <= now) {
+          this.entries.delete(entryKey);
+        }
+      });
+      this.sweepAt = now + this.ttlMs;
+    }
+
+    this.entries.set(key, { value, expiresAt: now + this.ttlMs });
+    return value;
+  }
+
+  /**
+   * Drop every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Create a cache cleared by clearGtfsCaches()
+ * @param {number} [ttlMs=GTFS_CACHE_TTL_MS] - Time to live of each entry
+ * @returns {GtfsCache}
+ */
+function createGtfsCache(ttlMs = GTFS_CACHE_TTL_MS) {
+  const cache = new GtfsCache(ttlMs);
+  caches.add(cache);
+  return cache;
+}
+
+/**
+ * Clear every GTFS cache (after a feed import or bulk GTFS writes)
+ */
+function clearGtfsCaches() {
+  caches.forEach(cache => cache.clear());
+}
+
+module.exports = {
+  GTFS_CACHE_TTL_MS,
+  GtfsCache,
+  createGtfsCache,
+  clearGtfsCaches
+};
@@ -0,0 +1,336 @@
+/**
+ * GTFS Export Service
+ *
+ * Assembles the stored GTFS data into a publishable static feed (zip).
+ * Each file is written with the columns in specification order and RFC 4180
+ * escaping (see utils/csv), from the models `toGTFS()` rows, plus a
+ * generated feed_info.txt. The zip is streamed: stop_times.txt is read and
+ * written STOP_TIME_TRIPS trips at a time, so it is never held in memory.
+ * https://gtfs.org/schedule/reference/
+ */
+
+const { Readable } = require('stream');
+const yazl = require('yazl');
+const config = require('../config/env');
+const { toCsvLine, toCsvRecord } = require('../utils/csv');
+const {
+  agencyRepository,
+  stopRepository,
+  routeRepository,
+  tripRepository,
+  stopTimeRepository,
+  shapeRepository,
+  calendarRepository,
+  calendarDateRepository,
+  frequencyRepository,
+  fareAttributeRepository,
+  fareRuleRepository
+} = require('./gtfs');
+
+/**
+ * Trips whose stop times are read together while writing stop_times.txt
+ */
+const STOP_TIME_TRIPS = 300;
+
+/**
+ * Columns of each exported file, in specification order
+ */
+const FILE_COLUMNS = Object.freeze({
+  'agency.txt': [
+    'agency_id', 'agency_name', 'agency_url', 'agency_timezone', 'agency_lang',
+    'agency_phone', 'agency_fare_url', 'agency_email'
+  ],
+  'stops.txt': [
+    'stop_id', 'stop_code', 'stop_name', 'stop_desc', 'stop_lat', 'stop_lon', 'zone_id',
+    'stop_url', 'location_type', 'parent_station', 'stop_timezone', 'wheelchair_boarding',
+    'platform_code'
+  ],
+  'routes.txt': [
+    'route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_desc', 'route_type',
+    'route_url', 'route_color', 'route_text_color', 'route_sort_order', 'continuous_pickup',
+    'continuous_drop_off'
+  ],
+  'trips.txt': [
+    'route_id', 'service_id', 'trip_id', 'trip_headsign', 'trip_short_name', 'direction_id',
+    'block_id', 'shape_id', 'wheelchair_accessible', 'bikes_allowed'
+  ],
+  'stop_times.txt': [
+    'trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'stop_headsign',
+    'pickup_type', 'drop_off_type', 'shape_dist_traveled', 'timepoint'
+  ],
+  'calendar.txt': [
+    'service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+    'start_date', 'end_date'
+  ],
+  'calendar_dates.txt': [
+    'service_id', 'date', 'exception_type'
+  ],
+  'shapes.txt': [
+    'shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence', 'shape_dist_traveled'
+  ],
+  'frequencies.txt': [
+    'trip_id', 'start_time', 'end_time', 'headway_secs', 'exact_times'
+  ],
+  'fare_attributes.txt': [
+    'fare_id', 'price', 'currency_type', 'payment_method', 'transfers', 'agency_id',
+    'transfer_duration'
+  ],
+  'fare_rules.txt': [
+    'fare_id', 'route_id', 'origin_id', 'destination_id', 'contains_id'
+  ],
+  'feed_info.txt': [
+    'feed_publisher_name', 'feed_publisher_url', 'feed_lang', 'feed_version', 'feed_contact_email'
+  ]
+});
+
+/**
+ * Build a 404 error
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  error.type = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * Stream a CSV file: header, then the records of each row
+ * @param {string} fileName - Feed file name (see FILE_COLUMNS)
+ * @param {AsyncIterable<Object>|Iterable<Object>} rows - GTFS rows
+ * @returns {Readable}
+ */
+function csvStream(fileName, rows) {
+  const columns = FILE_COLUMNS[fileName];
+
+  return Readable.from((async function* () {
+    yield toCsvLine(columns);
+    for await (const row of rows) {
+      yield toCsvRecord(columns, row);
+    }
+  })(), { objectMode: false });
+}
+
+/**
+ * GtfsExportService Class
+ *
+ * Handles data selection and feed assembly.
+ */
+class GtfsExportService {
+  /**
+   * Build the feed zip
+   *
+   * - Without filters, every agency, route, trip, stop and stop time
+   * - With agencyIds and/or routeIds, the routes matching both, their
+   *   agencies, trips, stop times, and the stops (plus parent stations) the
+   *   stop times use
+   * - calendar.txt and calendar_dates.txt hold the services of the exported
+   *   trips (every service without filters), each when not empty
+   * - shapes.txt holds the shapes of the exported trips, when any is stored
+   * - frequencies.txt holds the frequencies of the exported trips, when any
+   * - fare_attributes.txt and fare_rules.txt hold the fares of the exported
+   *   agencies and routes (rules of other routes are left out), when any
+   *
+   * @param {Object} [filters] - Selection
+   * @param {string[]} [filters.agencyIds] - Only routes of these agencies
+   * @param {string[]} [filters.routeIds] - Only these routes
+   * @returns {Promise<Readable>} Zip stream
+   * @throws {Error} If the filters match no route (404)
+   */
+  async exportZip(filters = {}) {
+    const agencyIds = filters.agencyIds && filters.agencyIds.length > 0 ? new Set(filters.agencyIds) : null;
+    const routeIds = filters.routeIds && filters.routeIds.length > 0 ? new Set(filters.routeIds) : null;
+    const filtered = Boolean(agencyIds || routeIds);
+
+    const routes = (await routeRepository.listAll()).filter(route =>
+      (!agencyIds || agencyIds.has(route.agencyId)) && (!routeIds || routeIds.has(route.id))
+    );
+
+    if (filtered && routes.length === 0) {
+      throw notFound('No routes match the export filters');
+    }
+
+    const allAgencies = await agencyRepository.listAll();
+    const routeAgencyIds = new Set(routes.map(route => route.agencyId));
+    const agencies = filtered
+      ? allAgencies.filter(agency => routeAgencyIds.has(agency.id || null))
+      : allAgencies;
+
+    const trips = [];
+    if (filtered) {
+      for (const route of routes) {
+        trips.push(...await tripRepository.findByRoute(route.id));
+      }
+    } else {
+      trips.push(...await tripRepository.listAll());
+    }
+
+    const serviceIds = new Set(trips.map(trip => trip.serviceId));
+    const [allCalendars, allCalendarDates] = await Promise.all([
+      calendarRepository.listAll(),
+      calendarDateRepository.listAll()
+    ]);
+    const calendars = filtered ? allCalendars.filter(calendar => serviceIds.has(calendar.id)) : allCalendars;
+    const calendarDates = filtered
+      ? allCalendarDates.filter(calendarDate => serviceIds.has(calendarDate.serviceId))
+      : allCalendarDates;
+
+    const shapes = [];
+    for (const shapeId of new Set(trips.map(trip => trip.shapeId).filter(Boolean))) {
+      const shape = await shapeRepository.findById(shapeId);
+      if (shape) {
+        shapes.push(shape);
+      }
+    }
+
+    const frequencies = filtered
+      ? await frequencyRepository.findByTripIds(trips.map(trip => trip.id))
+      : await frequencyRepository.listAll();
+
+    const { fares, fareRules } = await this._selectFares(filtered ? { routes, agencies } : null);
+
+    const usedStopIds = new Set();
+
+    // Entries are written one after another, each stream opened on its
+    // turn: the stops used are known by the time stops.txt is written
+    const zip = new yazl.ZipFile();
+    const add = (fileName, rows) => {
+      zip.addReadStreamLazy(fileName, callback => {
+        const stream = csvStream(fileName, rows);
+        stream.on('error', error => zip.outputStream.destroy(error));
+        callback(null, stream);
+      });
+    };
+
+    add('agency.txt', agencies.map(agency => agency.toGTFS()));
+    add('routes.txt', routes.map(route => route.toGTFS()));
+    add('trips.txt', trips.map(trip => trip.toGTFS()));
+    add('stop_times.txt', this._stopTimeRows(trips, usedStopIds));
+    add('stops.txt', this._stopRows(filtered ? usedStopIds : null));
+    if (calendars.length > 0) {
+      add('calendar.txt', calendars.map(calendar => calendar.toGTFS()));
+    }
+    if (calendarDates.length > 0) {
+      add('calendar_dates.txt', calendarDates.map(calendarDate => calendarDate.toGTFS()));
+    }
+    if (shapes.length > 0) {
+      add('shapes.txt', shapes.flatMap(shape => shape.toGTFS()));
+    }
+    if (frequencies.length > 0) {
+      add('frequencies.txt', frequencies.map(frequency => frequency.toGTFS()));
+    }
+    if (fares.length > 0) {
+      add('fare_attributes.txt', fares.map(fare => fare.toGTFS()));
+    }
+    if (fareRules.length > 0) {
+      add('fare_rules.txt', fareRules.map(rule => rule.toGTFS()));
+    }
+    add('feed_info.txt', [this._feedInfo(agencies)]);
+    zip.end();
+
+    return zip.outputStream;
+  }
+
+  /**
+   * Fares of the export: all of them, or (with filters) the fares of the
+   * exported agencies plus agency-less fares with a rule for an exported
+   * route or for any route. Rules of other routes are left out
+   * @private
+   * @param {Object|null} selection - Exported { routes, agencies }, null for everything
+   * @returns {Promise<{fares: FareAttribute[], fareRules: FareRule[]}>}
+   */
+  async _selectFares(selection) {
+    const [allFares, allRules] = await Promise.all([
+      fareAttributeRepository.listAll(),
+      fareRuleRepository.listAll()
+    ]);
+
+    if (!selection) {
+      return { fares: allFares, fareRules: allRules };
+    }
+
+    const routeIds = new Set(selection.routes.map(route => route.id));
+    const agencyIds = new Set(selection.agencies.map(agency => agency.id).filter(Boolean));
+    const rules = allRules.filter(rule => !rule.routeId || routeIds.has(rule.routeId));
+    const ruleFareIds = new Set(rules.map(rule => rule.fareId));
+
+    const fares = allFares.filter(fare => (fare.agencyId
+      ? agencyIds.has(fare.agencyId)
+      : ruleFareIds.has(fare.id)));
+    const fareIds = new Set(fares.map(fare => fare.id));
+
+    return { fares, fareRules: rules.filter(rule => fareIds.has(rule.fareId)) };
+  }
+
+  /**
+   * Stop time rows, trip by trip in stop_sequence order, read
+   * STOP_TIME_TRIPS trips at a time
+   * @private
+   * @param {Trip[]} trips - Exported trips
+   * @param {Set<string>} usedStopIds - Filled with the stops referenced
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *_stopTimeRows(trips, usedStopIds) {
+    for (let i = 0; i < trips.length; i += STOP_TIME_TRIPS) {
+      const chunk = trips.slice(i, i + STOP_TIME_TRIPS);
+      const byTrip = new Map(chunk.map(trip => [trip.id, []]));
+
+      // Ordered by trip, then sequence
+      (await stopTimeRepository.findByTripIds(chunk.map(trip => trip.id))).forEach(stopTime => {
+        byTrip.get(stopTime.tripId).push(stopTime);
+      });
+
+      for (const stopTimes of byTrip.values()) {
+        for (const stopTime of stopTimes) {
+          usedStopIds.add(stopTime.stopId);
+          yield stopTime.toGTFS();
+        }
+      }
+    }
+  }
+
+  /**
+   * Stop rows: all stops, or the used ones and their parent stations
+   * @private
+   * @param {Set<string>|null} usedStopIds - Stops to keep, null for all
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *_stopRows(usedStopIds) {
+    const stops = await stopRepository.listAll();
+
+    if (!usedStopIds) {
+      yield* stops.map(stop => stop.toGTFS());
+      return;
+    }
+
+    const keep = new Set(usedStopIds);
+    stops
+      .filter(stop => usedStopIds.has(stop.id) && stop.parentStation)
+      .forEach(stop => keep.add(stop.parentStation));
+
+    yield* stops.filter(stop => keep.has(stop.id)).map(stop => stop.toGTFS());
+  }
+
+  /**
+   * feed_info.txt row (publisher from config, else the first agency)
+   * @private
+   * @param {Agency[]} agencies - Exported agencies
+   * @returns {Object}
+   */
+  _feedInfo(agencies) {
+    const { gtfs } = config;
+    const publisher = agencies[0];
+
+    return {
+      feed_publisher_name: gtfs.GTFS_FEED_PUBLISHER_NAME || (publisher ? publisher.name : 'BusTrack SV'),
+      feed_publisher_url: gtfs.GTFS_FEED_PUBLISHER_URL || (publisher ? publisher.url : ''),
+      feed_lang: gtfs.GTFS_FEED_LANG,
+      feed_version: new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z'),
+      feed_contact_email: gtfs.GTFS_FEED_CONTACT_EMAIL
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new GtfsExportService();
@@ -0,0 +1,398 @@
+/**
+ * GTFS Import Service
+ *
+ * Loads a static GTFS feed (zip) into the GTFS collections.
+ * Files are read in dependency order (agency, stops, routes, calendar,
+ * calendar_dates, trips, stop_times, frequencies, fare_attributes,
+ * fare_rules), each streamed from the zip through a CSV parser: rows are
+ * validated with the model `fromGTFS()` factories and written in batches
+ * through the repositories, so memory stays bounded however large
+ * stop_times.txt is. Invalid rows are skipped and listed in the report.
+ */
+
+const yauzl = require('yauzl');
+const { parse } = require('csv-parse');
+const {
+  Agency,
+  Stop,
+  Route,
+  Trip,
+  StopTime,
+  Calendar,
+  CalendarDate,
+  Frequency,
+  FareAttribute,
+  FareRule
+} = require('../models/gtfs');
+const {
+  agencyRepository,
+  stopRepository,
+  routeRepository,
+  tripRepository,
+  stopTimeRepository,
+  calendarRepository,
+  calendarDateRepository,
+  frequencyRepository,
+  fareAttributeRepository,
+  fareRuleRepository
+} = require('./gtfs');
+const { clearGtfsCaches } = require('./gtfsCache');
+
+/**
+ * Rows written per repository call
+ */
+const IMPORT_BATCH_SIZE = 500;
+
+/**
+ * Row errors listed in the report (the rest are only counted)
+ */
+const MAX_REPORTED_ERRORS = 1000;
+
+/**
+ * Imported files, in dependency order.
+ * `references` checks a row against IDs imported from earlier files (any
+ * of them, when several are listed). `optional` files are not reported
+ * when missing (a feed needs calendar.txt, calendar_dates.txt or both).
+ * `key` is the model field other files reference (default: id).
+ */
+const FEED_FILES = [
+  {
+    name: 'agency.txt',
+    model: Agency,
+    repository: agencyRepository,
+    references: []
+  },
+  {
+    name: 'stops.txt',
+    model: Stop,
+    repository: stopRepository,
+    references: []
+  },
+  {
+    name: 'routes.txt',
+    model: Route,
+    repository: routeRepository,
+    references: [{ field: 'agencyId', file: 'agency.txt', column: 'agency_id' }]
+  },
+  {
+    name: 'calendar.txt',
+    model: Calendar,
+    repository: calendarRepository,
+    references: [],
+    optional: true
+  },
+  {
+    name: 'calendar_dates.txt',
+    model: CalendarDate,
+    repository: calendarDateRepository,
+    references: [],
+    optional: true,
+    key: 'serviceId'
+  },
+  {
+    name: 'trips.txt',
+    model: Trip,
+    repository: tripRepository,
+    references: [
+      { field: 'routeId', file: 'routes.txt', column: 'route_id' },
+      { field: 'serviceId', file: ['calendar.txt', 'calendar_dates.txt'], column: 'service_id' }
+    ]
+  },
+  {
+    name: 'stop_times.txt',
+    model: StopTime,
+    repository: stopTimeRepository,
+    references: [
+      { field: 'tripId', file: 'trips.txt', column: 'trip_id' },
+      { field: 'stopId', file: 'stops.txt', column: 'stop_id' }
+    ]
+  },
+  {
+    name: 'frequencies.txt',
+    model: Frequency,
+    repository: frequencyRepository,
+    references: [{ field: 'tripId', file: 'trips.txt', column: 'trip_id' }],
+    optional: true
+  },
+  {
+    name: 'fare_attributes.txt',
+    model: FareAttribute,
+    repository: fareAttributeRepository,
+    references: [{ field: 'agencyId', file: 'agency.txt', column: 'agency_id' }],
+    optional: true
+  },
+  {
+    name: 'fare_rules.txt',
+    model: FareRule,
+    repository: fareRuleRepository,
+    references: [
+      { field: 'fareId', file: 'fare_attributes.txt', column: 'fare_id' },
+      { field: 'routeId', file: 'routes.txt', column: 'route_id' }
+    ],
+    optional: true
+  }
+];
+
+/**
+ * Files other files reference: only their IDs are kept while importing
+ * (stop_times.txt alone can have millions of rows)
+ */
+const REFERENCED_FILES = new Set(FEED_FILES.flatMap(file =>
+  file.references.flatMap(reference => [].concat(reference.file))));
+
+/**
+ * Build a 422 error for an unreadable feed
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function invalidFeed(message) {
+  const error = new Error(message);
+  error.status = 422;
+  error.type = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Open a zip (file path or Buffer) and index its entries by file name
+ * @param {string|Buffer} source - Zip path or contents
+ * @returns {Promise<{zipfile: yauzl.ZipFile, entries: Map<string, yauzl.Entry>}>}
+ */
+function openZip(source) {
+  return new Promise((resolve, reject) => {
+    const options = { lazyEntries: true, autoClose: false };
+    const onOpen = (error, zipfile) => {
+      if (error) {
+        return reject(invalidFeed(`Invalid GTFS zip: ${error.message}`));
+      }
+
+      const entries = new Map();
+
+      zipfile.on('entry', entry => {
+        // Feeds zipped from a folder keep it as a prefix
+        const name = entry.fileName.split('/').pop();
+        if (name && !entries.has(name)) {
+          entries.set(name, entry);
+        }
+        zipfile.readEntry();
+      });
+      zipfile.on('end', () => resolve({ zipfile, entries }));
+      zipfile.on('error', zipError => reject(invalidFeed(`Invalid GTFS zip: ${zipError.message}`)));
+      zipfile.readEntry();
+    };
+
+    if (Buffer.isBuffer(source)) {
+      yauzl.fromBuffer(source, options, onOpen);
+    } else {
+      yauzl.open(source, options, onOpen);
+    }
+  });
+}
+
+/**
+ * Open the decompressed stream of a zip entry
+ * @param {yauzl.ZipFile} zipfile - Open zip
+ * @param {yauzl.Entry} entry - Entry
+ * @returns {Promise<stream.Readable>}
+ */
+function openEntry(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => {
+      if (error) {
+        return reject(invalidFeed(`Cannot read ${entry.fileName}: ${error.message}`));
+      }
+      resolve(stream);
+    });
+  });
+}
+
+/**
+ * GtfsImportService Class
+ *
+ * Handles feed reading, row validation and the import report.
+ */
+class GtfsImportService {
+  /**
+   * Import a GTFS zip
+   *
+   * - Missing files are reported and skipped; rows referencing a file that
+   *   was imported (routes → agency, trips → routes, stop_times → trips and
+   *   stops) must reference an imported ID
+   * - Records are created or replaced by their GTFS ID; existing records
+   *   absent from the feed are kept
+   * - A malformed CSV file or corrupt zip entry is imported up to the error
+   *   and reported
+   * - Only the first 1000 row errors are listed (errorCount has them all)
+   * - The GTFS caches are cleared, even after a partial import
+   *
+   * @param {string|Buffer} source - Zip path or contents
+   * @returns {Promise<Object>} Report { startedAt, finishedAt, files, errorCount, errors }
+   * @throws {Error} If the zip cannot be read (422) or on database error (500)
+   */
+  async importZip(source) {
+    const startedAt = new Date();
+    const { zipfile, entries } = await openZip(source);
+    const report = { startedAt: startedAt.toISOString(), finishedAt: null, files: {}, errorCount: 0, errors: [] };
+    const importedIds = new Map();
+
+    const addError = (file, line, message) => {
+      report.errorCount++;
+      if (report.errors.length < MAX_REPORTED_ERRORS) {
+        report.errors.push({ file, line, message });
+      }
+    };
+
+    try {
+      for (const file of FEED_FILES) {
+        const entry = entries.get(file.name);
+
+        if (!entry) {
+          report.files[file.name] = { present: false, rows: 0, imported: 0, skipped: 0 };
+          if (!file.optional) {
+            addError(file.name, null, `${file.name} is missing from the feed`);
+          }
+          continue;
+        }
+
+        const ids = REFERENCED_FILES.has(file.name) ? new Set() : null;
+        const references = file.references
+          .map(reference => ({ ...reference, files: [].concat(reference.file).filter(name => importedIds.has(name)) }))
+          .filter(reference => reference.files.length > 0);
+        const stats = { present: true, rows: 0, imported: 0, skipped: 0 };
+        report.files[file.name] = stats;
+
+        try {
+          await this._importFile(zipfile, entry, file, (row, line) => {
+            stats.rows++;
+
+            try {
+              const model = this._toModel(file, row, references, importedIds);
+
+              const key = model[file.key || 'id'];
+              if (ids && key) {
+                ids.add(key);
+              }
+              return model;
+            } catch (error) {
+              stats.skipped++;
+              addError(file.name, line, error.message);
+              return null;
+            }
+          }, count => {
+            stats.imported += count;
+          });
+        } catch (error) {
+          if (error.type !== 'VALIDATION_ERROR') {
+            throw error;
+          }
+          addError(file.name, null, error.message);
+        }
+
+        if (ids) {
+          importedIds.set(file.name, ids);
+        }
+      }
+    } finally {
+      zipfile.close();
+      clearGtfsCaches();
+    }
+
+    report.finishedAt = new Date().toISOString();
+
+    return report;
+  }
+
+  /**
+   * Validate a row through its model and the IDs it references
+   * @private
+   * @param {Object} file - FEED_FILES item
+   * @param {Object} row - CSV row (GTFS column names)
+   * @param {Object[]} references - References to check, `files` limited to those present in the feed
+   * @param {Map<string, Set<string>>} importedIds - IDs imported per referenced file
+   * @returns {Object} Model instance
+   * @throws {Error} If the row is invalid
+   */
+  _toModel(file, row, references, importedIds) {
+    const model = file.model.fromGTFS(row);
+
+    const missing = references.find(reference =>
+      model[reference.field] && !reference.files.some(name => importedIds.get(name).has(model[reference.field]))
+    );
+    if (missing) {
+      throw new Error(`${missing.column} "${model[missing.field]}" is not defined in ${missing.files.join(' or ')}`);
+    }
+
+    return model;
+  }
+
+  /**
+   * Stream one feed file, writing valid rows in batches
+   * @private
+   * @param {yauzl.ZipFile} zipfile - Open zip
+   * @param {yauzl.Entry} entry - File entry
+   * @param {Object} file - FEED_FILES item
+   * @param {Function} toModel - (row, line) => model or null if invalid
+   * @param {Function} onWritten - (count) => void after each batch
+   * @returns {Promise<void>}
+   */
+  async _importFile(zipfile, entry, file, toModel, onWritten) {
+    const parser = parse({
+      columns: header => header.map(column => column.trim()),
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+      info: true
+    });
+
+    // pipe() does not forward errors: a corrupt entry (bad deflate data,
+    // wrong size) must end the parse instead of crashing the process
+    const stream = await openEntry(zipfile, entry);
+    let streamError = null;
+    stream.on('error', error => {
+      streamError = error;
+      parser.destroy(error);
+    });
+    stream.pipe(parser);
+
+    let batch = [];
+    const flush = async () => {
+      if (batch.length > 0) {
+        onWritten(await file.repository.bulkUpsert(batch));
+        batch = [];
+      }
+    };
+
+    try {
+      for await (const { record, info } of parser) {
+        const model = toModel(record, info.lines);
+
+        if (model) {
+          batch.push(model);
+        }
+
+        if (batch.length >= IMPORT_BATCH_SIZE) {
+          await flush();
+        }
+      }
+    } catch (error) {
+      stream.unpipe(parser);
+      stream.destroy();
+
+      // Rows parsed before the error are kept; the rest of the file is skipped
+      if (error === streamError) {
+        await flush();
+        throw invalidFeed(`Cannot read ${file.name}: ${error.message}`);
+      }
+      if (error.code && error.code.startsWith('CSV_')) {
+        await flush();
+        throw invalidFeed(`Cannot parse ${file.name}: ${error.message}`);
+      }
+      throw error;
+    }
+
+    await flush();
+  }
+}
+
+// Export singleton instance
+module.exports = new GtfsImportService();
@@ -0,0 +1,333 @@
+/**
+ * GTFS-Realtime Service
+ *
+ * Builds the GTFS-Realtime feeds published next to the static GTFS data:
+ * - VehiclePositions: last position of every bus (Bus.position), with the
+ *   trip it runs and where it is along that trip (stopVisitService progress)
+ * - TripUpdates: predicted arrivals of the buses with progress on their trip
+ *   (predictionService, real-time predictions only)
+ * - ServiceAlerts: open off-route alerts, as detours of the route
+ *
+ * Trip, route and stop IDs are the static GTFS IDs, so consumers can join
+ * both feeds. Feeds are full datasets, rebuilt at most every FEED_CACHE_TTL_MS.
+ * https://gtfs.org/realtime/reference/
+ */
+
+const { transit_realtime: GtfsRealtime } = require('gtfs-realtime-bindings');
+const { busRepository } = require('./busRepository');
+const { stopVisitRepository } = require('./stopVisitRepository');
+const { offRouteRepository } = require('./offRouteRepository');
+const stopVisitService = require('./stopVisitService');
+const predictionService = require('./predictionService');
+
+/**
+ * GTFS-Realtime specification version of the feeds
+ */
+const GTFS_REALTIME_VERSION = '2.0';
+
+/**
+ * How long a built feed is served before being rebuilt.
+ * Consumers typically poll every 15-30 s.
+ */
+const FEED_CACHE_TTL_MS = 15 * 1000;
+
+/**
+ * Prediction uncertainty (seconds) per confidence level.
+ * Low confidence predictions leave it unset (unknown).
+ */
+const UNCERTAINTY_SECONDS = Object.freeze({
+  high: 60,
+  medium: 180
+});
+
+/**
+ * Epoch seconds of a Date
+ * @param {Date} date - Instant
+ * @returns {number}
+ */
+function toEpochSeconds(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * GTFS-Realtime date (YYYYMMDD) of a service date (YYYY-MM-DD)
+ * @param {string} serviceDate - Service date
+ * @returns {string}
+ */
+function toGtfsDate(serviceDate) {
+  return serviceDate.replace(/-/g, '');
+}
+
+/**
+ * GtfsRealtimeService Class
+ *
+ * Handles feed building, caching and encoding.
+ */
+class GtfsRealtimeService {
+  constructor() {
+    this.feedCache = new Map();
+  }
+
+  /**
+   * VehiclePositions feed
+   * @returns {Promise<transit_realtime.FeedMessage>}
+   */
+  async getVehiclePositions() {
+    return this._cached('vehicle-positions', async now => {
+      const buses = await busRepository.listPositioned();
+      const entities = [];
+
+      for (const bus of buses) {
+        entities.push({
+          id: bus.id,
+          vehicle: await this._vehiclePosition(bus)
+        });
+      }
+
+      return this._feed(entities, now);
+    });
+  }
+
+  /**
+   * TripUpdates feed
+   * @returns {Promise<transit_realtime.FeedMessage>}
+   */
+  async getTripUpdates() {
+    return this._cached('trip-updates', async now => {
+      const buses = await busRepository.listPositioned();
+      const entities = [];
+
+      for (const bus of buses.filter(candidate => candidate.tripId && candidate.tripStartDate)) {
+        const result = await predictionService.predictTrip(bus, now);
+
+        if (!result || result.basis !== 'real_time' || result.predictions.length === 0) {
+          continue;
+        }
+
+        entities.push({
+          id: bus.id,
+          tripUpdate: {
+            trip: this._tripDescriptor(bus),
+            vehicle: this._vehicleDescriptor(bus),
+            timestamp: toEpochSeconds(now),
+            stopTimeUpdate: result.predictions.map(prediction => ({
+              stopSequence: prediction.stopSequence,
+              stopId: prediction.stopId,
+              arrival: {
+                time: toEpochSeconds(new Date(prediction.predictedArrival)),
+                delay: prediction.delaySeconds,
+                ...(UNCERTAINTY_SECONDS[prediction.confidence]
+                  ? { uncertainty: UNCERTAINTY_SECONDS[prediction.confidence] }
+                  : {})
+              }
+            }))
+          }
+        });
+      }
+
+      return this._feed(entities, now);
+    });
+  }
+
+  /**
+   * ServiceAlerts feed
+   * @returns {Promise<transit_realtime.FeedMessage>}
+   */
+  async getServiceAlerts() {
+    return this._cached('service-alerts', async now => {
+      const alerts = await offRouteRepository.listAlerts({ status: 'open' });
+
+      const entities = alerts
+        .filter(alert => alert.route)
+        .map(alert => ({
+          id: alert.id,
+          alert: {
+            activePeriod: [{ start: toEpochSeconds(alert.raisedAt || alert.offRouteSince) }],
+            informedEntity: [{ routeId: alert.route }],
+            cause: GtfsRealtime.Alert.Cause.UNKNOWN_CAUSE,
+            effect: GtfsRealtime.Alert.Effect.DETOUR,
+            headerText: this._translated(`Route ${alert.route}: bus off its usual route`),
+            descriptionText: this._translated(
+              `Bus ${alert.busId} is running away from route ${alert.route}. Stops on the route may be skipped.`
+            )
+          }
+        }));
+
+      return this._feed(entities, now);
+    });
+  }
+
+  /**
+   * Encode a feed as protobuf
+   * @param {transit_realtime.FeedMessage} feed - Feed
+   * @returns {Buffer}
+   */
+  encode(feed) {
+    return Buffer.from(GtfsRealtime.FeedMessage.encode(feed).finish());
+  }
+
+  /**
+   * Render a feed as plain JSON (debugging)
+   * @param {transit_realtime.FeedMessage} feed - Feed
+   * @returns {Object} Field names in camelCase, enums as names, timestamps as numbers
+   */
+  toObject(feed) {
+    return GtfsRealtime.FeedMessage.toObject(feed, { longs: Number, enums: String });
+  }
+
+  /**
+   * Return the cached feed or build it
+   * @private
+   * @param {string} key - Feed name
+   * @param {Function} build - (now) => Promise<FeedMessage>
+   * @returns {Promise<transit_realtime.FeedMessage>}
+   */
+  async _cached(key, build) {
+    const cached = this.feedCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.feed;
+    }
+
+    const now = new Date();
+    const feed = await build(now);
+    this.feedCache.set(key, { feed, expiresAt: now.getTime() + FEED_CACHE_TTL_MS });
+
+    return feed;
+  }
+
+  /**
+   * Build a full-dataset feed message
+   * @private
+   * @param {Object[]} entities - Feed entities
+   * @param {Date} now - Feed time
+   * @returns {transit_realtime.FeedMessage}
+   */
+  _feed(entities, now) {
+    return GtfsRealtime.FeedMessage.fromObject({
+      header: {
+        gtfsRealtimeVersion: GTFS_REALTIME_VERSION,
+        incrementality: GtfsRealtime.FeedHeader.Incrementality.FULL_DATASET,
+        timestamp: toEpochSeconds(now)
+      },
+      entity: entities
+    });
+  }
+
+  /**
+   * Trip descriptor of a bus (route only when it has no active trip)
+   * @private
+   * @param {Bus} bus - Bus
+   * @returns {Object|undefined}
+   */
+  _tripDescriptor(bus) {
+    if (bus.tripId && bus.tripStartDate) {
+      return {
+        tripId: bus.tripId,
+        startDate: toGtfsDate(bus.tripStartDate),
+        ...(bus.tripStartTime ? { startTime: bus.tripStartTime } : {}),
+        ...(bus.route ? { routeId: bus.route } : {})
+      };
+    }
+
+    return bus.route ? { routeId: bus.route } : undefined;
+  }
+
+  /**
+   * Vehicle descriptor of a bus
+   * @private
+   * @param {Bus} bus - Bus
+   * @returns {Object}
+   */
+  _vehicleDescriptor(bus) {
+    return {
+      id: bus.id,
+      label: bus.unitName,
+      licensePlate: bus.licensePlate
+    };
+  }
+
+  /**
+   * Vehicle position of a bus
+   * @private
+   * @param {Bus} bus - Bus with a position
+   * @returns {Promise<Object>}
+   */
+  async _vehiclePosition(bus) {
+    const vehicle = {
+      trip: this._tripDescriptor(bus),
+      vehicle: this._vehicleDescriptor(bus),
+      position: {
+        latitude: bus.position.lat,
+        longitude: bus.position.lng
+      }
+    };
+
+    if (bus.positionTimestamp) {
+      vehicle.timestamp = toEpochSeconds(bus.positionTimestamp);
+    }
+
+    if (bus.tripId && bus.tripStartDate) {
+      Object.assign(vehicle, await this._stopStatus(bus));
+    }
+
+    return vehicle;
+  }
+
+  /**
+   * Where a bus is along its active trip
+   *
+   * At a stop (STOPPED_AT) or heading to the stop after the last one it left
+   * (IN_TRANSIT_TO); nothing before the first stop is reached.
+   *
+   * @private
+   * @param {Bus} bus - Bus with an active trip
+   * @returns {Promise<Object>} { currentStatus, stopId, currentStopSequence } or {}
+   */
+  async _stopStatus(bus) {
+    const [stops, progress] = await Promise.all([
+      stopVisitService.getTripStops(bus.tripId, bus.tripStartTime),
+      stopVisitRepository.findProgress(bus.id)
+    ]);
+    const sameTrip = progress.tripId === bus.tripId && progress.serviceDate === bus.tripStartDate &&
+      progress.startTime === bus.tripStartTime;
+
+    if (!stops || !sameTrip) {
+      return {};
+    }
+
+    if (progress.current) {
+      return {
+        currentStatus: GtfsRealtime.VehiclePosition.VehicleStopStatus.STOPPED_AT,
+        stopId: progress.current.stopId,
+        currentStopSequence: progress.current.stopSequence
+      };
+    }
+
+    const next = progress.lastSequence === null
+      ? null
+      : stops.find(stop => stop.stopSequence > progress.lastSequence);
+
+    if (!next) {
+      return {};
+    }
+
+    return {
+      currentStatus: GtfsRealtime.VehiclePosition.VehicleStopStatus.IN_TRANSIT_TO,
+      stopId: next.stopId,
+      currentStopSequence: next.stopSequence
+    };
+  }
+
+  /**
+   * Single-language (English) translated string
+   * @private
+   * @param {string} text - Text
+   * @returns {Object}
+   */
+  _translated(text) {
+    return { translation: [{ text, language: 'en' }] };
+  }
+}
+
+// Export singleton instance
+module.exports = new GtfsRealtimeService();
@@ -0,0 +1,471 @@
+/**
+ * GTFS Validation Service
+ *
+ * Checks the stored GTFS dataset as a whole, across the repositories:
+ * references to missing records, stop_times sequences and times, stops far
+ * from the trip shape, unused stops and agency time zones.
+ *
+ * Like the canonical GTFS validator (https://gtfs-validator.mobilitydata.org/),
+ * findings are notices with a code and a severity, grouped by code with a
+ * count and sample notices:
+ * - ERROR: the feed is wrong and consumers will reject or misread it
+ * - WARNING: probably a mistake, the feed is still usable
+ * - INFO: worth a look
+ */
+
+const {
+  agencyRepository,
+  stopRepository,
+  routeRepository,
+  tripRepository,
+  stopTimeRepository,
+  shapeRepository,
+  calendarRepository,
+  calendarDateRepository,
+  frequencyRepository,
+  fareAttributeRepository,
+  fareRuleRepository
+} = require('./gtfs');
+const { computeShapeDistTraveled } = require('../utils/shapes');
+const { isValidTimeZone } = require('../utils/time');
+
+/**
+ * Notice codes, with their severity and description
+ */
+const NOTICES = Object.freeze({
+  foreign_key_violation: {
+    severity: 'ERROR',
+    description: 'A field references a record that does not exist'
+  },
+  duplicate_stop_sequence: {
+    severity: 'ERROR',
+    description: 'Two stop times of a trip have the same stop_sequence'
+  },
+  stop_time_with_departure_before_arrival_time: {
+    severity: 'ERROR',
+    description: 'A stop time departs before it arrives'
+  },
+  stop_time_with_arrival_before_previous_departure_time: {
+    severity: 'ERROR',
+    description: 'A stop time arrives before the previous stop time of the trip departs'
+  },
+  invalid_timezone: {
+    severity: 'ERROR',
+    description: 'An agency time zone is not a valid IANA time zone'
+  },
+  stop_too_far_from_shape: {
+    severity: 'WARNING',
+    description: 'A stop of a trip is far from the trip shape'
+  },
+  unusable_trip: {
+    severity: 'WARNING',
+    description: 'A trip has fewer than two stop times'
+  },
+  unused_stop: {
+    severity: 'WARNING',
+    description: 'A stop is not served by any trip'
+  },
+  unused_station: {
+    severity: 'INFO',
+    description: 'A station has no stop inside it'
+  }
+});
+
+/**
+ * Report keys of each severity
+ */
+const SEVERITY_KEYS = Object.freeze({
+  ERROR: 'errors',
+  WARNING: 'warnings',
+  INFO: 'infos'
+});
+
+/**
+ * Sample notices kept per code (the count is always complete)
+ */
+const MAX_SAMPLE_NOTICES = 50;
+
+/**
+ * Stops farther than this from the trip shape get a notice
+ * (same limit as the shapes distance computation)
+ */
+const MAX_STOP_OFFSET_METERS = 100;
+
+/**
+ * Notices collected during a validation run, grouped by code
+ */
+class NoticeContainer {
+  /**
+   * @param {number} maxSamples - Sample notices kept per code
+   */
+  constructor(maxSamples) {
+    this.maxSamples = maxSamples;
+    this.groups = new Map();
+  }
+
+  /**
+   * Add a notice
+   * @param {string} code - Notice code (key of NOTICES)
+   * @param {Object} context - Where the problem is (file, field and IDs)
+   */
+  add(code, context) {
+    if (!this.groups.has(code)) {
+      this.groups.set(code, { code, ...NOTICES[code], totalNotices: 0, sampleNotices: [] });
+    }
+
+    const group = this.groups.get(code);
+    group.totalNotices++;
+    if (group.sampleNotices.length < this.maxSamples) {
+      group.sampleNotices.push(context);
+    }
+  }
+
+  /**
+   * Add a foreign_key_violation notice when a value is not in the parent IDs
+   * @param {Set<string>|Map<string, *>} parentIds - Existing parent IDs
+   * @param {Object} context - { childFile, childFieldName, fieldValue, parentFile, parentFieldName, ...ids }
+   */
+  checkReference(parentIds, context) {
+    if (context.fieldValue && !parentIds.has(context.fieldValue)) {
+      this.add('foreign_key_violation', context);
+    }
+  }
+
+  /**
+   * Notices grouped by severity, most frequent codes first
+   * @returns {{errors: Object[], warnings: Object[], infos: Object[]}}
+   */
+  bySeverity() {
+    const result = { errors: [], warnings: [], infos: [] };
+
+    [...this.groups.values()]
+      .sort((a, b) => b.totalNotices - a.totalNotices || a.code.localeCompare(b.code))
+      .forEach(group => result[SEVERITY_KEYS[group.severity]].push(group));
+
+    return result;
+  }
+}
+
+/**
+ * GtfsValidationService Class
+ *
+ * Loads the dataset and runs every check.
+ */
+class GtfsValidationService {
+  /**
+   * Validate the stored GTFS dataset
+   *
+   * Stop times are read trip by trip; shapes are read once per shape ID.
+   *
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxSamples=50] - Sample notices kept per code
+   * @returns {Promise<Object>} { validatedAt, counts, summary, errors, warnings, infos };
+   *   summary has the number of notices of each severity, and each severity
+   *   lists { code, severity, description, totalNotices, sampleNotices }
+   */
+  async validateFeed(options = {}) {
+    const notices = new NoticeContainer(options.maxSamples ?? MAX_SAMPLE_NOTICES);
+
+    const [
+      agencies, stops, routes, trips, calendars, calendarDates,
+      frequencies, fares, fareRules, stopTimeTripIds
+    ] = await Promise.all([
+      agencyRepository.list(),
+      stopRepository.listAll(),
+      routeRepository.listAll(),
+      tripRepository.listAll(),
+      calendarRepository.listAll(),
+      calendarDateRepository.listAll(),
+      frequencyRepository.listAll(),
+      fareAttributeRepository.listAll(),
+      fareRuleRepository.listAll(),
+      stopTimeRepository.listTripIds()
+    ]);
+
+    const agencyIds = new Set(agencies.map(agency => agency.id));
+    const stopsById = new Map(stops.map(stop => [stop.id, stop]));
+    const routeIds = new Set(routes.map(route => route.id));
+    const tripIds = new Set(trips.map(trip => trip.id));
+    const serviceIds = new Set([
+      ...calendars.map(calendar => calendar.id),
+      ...calendarDates.map(calendarDate => calendarDate.serviceId)
+    ]);
+    const fareIds = new Set(fares.map(fare => fare.id));
+    const zoneIds = new Set(stops.map(stop => stop.zoneId).filter(Boolean));
+
+    agencies
+      .filter(agency => !isValidTimeZone(agency.timezone))
+      .forEach(agency => notices.add('invalid_timezone', {
+        filename: 'agency.txt',
+        agencyId: agency.id,
+        fieldName: 'agency_timezone',
+        fieldValue: agency.timezone
+      }));
+
+    stops.forEach(stop => notices.checkReference(stopsById, {
+      childFile: 'stops.txt',
+      childFieldName: 'parent_station',
+      stopId: stop.id,
+      fieldValue: stop.parentStation,
+      parentFile: 'stops.txt',
+      parentFieldName: 'stop_id'
+    }));
+
+    routes.forEach(route => notices.checkReference(agencyIds, {
+      childFile: 'routes.txt',
+      childFieldName: 'agency_id',
+      routeId: route.id,
+      fieldValue: route.agencyId,
+      parentFile: 'agency.txt',
+      parentFieldName: 'agency_id'
+    }));
+
+    trips.forEach(trip => {
+      notices.checkReference(routeIds, {
+        childFile: 'trips.txt',
+        childFieldName: 'route_id',
+        tripId: trip.id,
+        fieldValue: trip.routeId,
+        parentFile: 'routes.txt',
+        parentFieldName: 'route_id'
+      });
+      notices.checkReference(serviceIds, {
+        childFile: 'trips.txt',
+        childFieldName: 'service_id',
+        tripId: trip.id,
+        fieldValue: trip.serviceId,
+        parentFile: 'calendar.txt',
+        parentFieldName: 'service_id'
+      });
+    });
+
+    frequencies.forEach(frequency => notices.checkReference(tripIds, {
+      childFile: 'frequencies.txt',
+      childFieldName: 'trip_id',
+      fieldValue: frequency.tripId,
+      parentFile: 'trips.txt',
+      parentFieldName: 'trip_id'
+    }));
+
+    fares.forEach(fare => notices.checkReference(agencyIds, {
+      childFile: 'fare_attributes.txt',
+      childFieldName: 'agency_id',
+      fareId: fare.id,
+      fieldValue: fare.agencyId,
+      parentFile: 'agency.txt',
+      parentFieldName: 'agency_id'
+    }));
+
+    fareRules.forEach(rule => {
+      notices.checkReference(fareIds, {
+        childFile: 'fare_rules.txt',
+        childFieldName: 'fare_id',
+        fieldValue: rule.fareId,
+        parentFile: 'fare_attributes.txt',
+        parentFieldName: 'fare_id'
+      });
+      notices.checkReference(routeIds, {
+        childFile: 'fare_rules.txt',
+        childFieldName: 'route_id',
+        fareId: rule.fareId,
+        fieldValue: rule.routeId,
+        parentFile: 'routes.txt',
+        parentFieldName: 'route_id'
+      });
+      [
+        ['origin_id', rule.originId],
+        ['destination_id', rule.destinationId],
+        ['contains_id', rule.containsId]
+      ].forEach(([fieldName, zoneId]) => {
+        notices.checkReference(zoneIds, {
+          childFile: 'fare_rules.txt',
+          childFieldName: fieldName,
+          fareId: rule.fareId,
+          fieldValue: zoneId,
+          parentFile: 'stops.txt',
+          parentFieldName: 'zone_id'
+        });
+      });
+    });
+
+    stopTimeTripIds.forEach(tripId => notices.checkReference(tripIds, {
+      childFile: 'stop_times.txt',
+      childFieldName: 'trip_id',
+      fieldValue: tripId,
+      parentFile: 'trips.txt',
+      parentFieldName: 'trip_id'
+    }));
+
+    const { servedStopIds, stopTimeCount, shapeCount } = await this._checkStopTimes(trips, stopsById, notices);
+
+    this._checkUnusedStops(stops, servedStopIds, notices);
+
+    const report = notices.bySeverity();
+
+    return {
+      validatedAt: new Date().toISOString(),
+      counts: {
+        agencies: agencies.length,
+        stops: stops.length,
+        routes: routes.length,
+        trips: trips.length,
+        stopTimes: stopTimeCount,
+        shapes: shapeCount,
+        calendars: calendars.length,
+        calendarDates: calendarDates.length,
+        frequencies: frequencies.length,
+        fareAttributes: fares.length,
+        fareRules: fareRules.length
+      },
+      summary: {
+        errors: report.errors.reduce((sum, group) => sum + group.totalNotices, 0),
+        warnings: report.warnings.reduce((sum, group) => sum + group.totalNotices, 0),
+        infos: report.infos.reduce((sum, group) => sum + group.totalNotices, 0)
+      },
+      ...report
+    };
+  }
+
+  /**
+   * Check the stop times of every trip: stop references, sequences, times
+   * and the distance of the stops to the trip shape
+   * @private
+   * @param {Trip[]} trips - All trips
+   * @param {Map<string, Stop>} stopsById - All stops by ID
+   * @param {NoticeContainer} notices - Notices of the run
+   * @returns {Promise<{servedStopIds: Set<string>, stopTimeCount: number, shapeCount: number}>}
+   */
+  async _checkStopTimes(trips, stopsById, notices) {
+    const servedStopIds = new Set();
+    const shapes = new Map();
+    const checkedPatterns = new Set();
+    const farStops = new Set();
+    let stopTimeCount = 0;
+
+    for (const trip of trips) {
+      const stopTimes = await stopTimeRepository.findByTrip(trip.id);
+      stopTimeCount += stopTimes.length;
+
+      if (stopTimes.length < 2) {
+        notices.add('unusable_trip', { filename: 'trips.txt', tripId: trip.id, stopTimeCount: stopTimes.length });
+      }
+
+      stopTimes.forEach((stopTime, index) => {
+        const previous = stopTimes[index - 1];
+        const context = { filename: 'stop_times.txt', tripId: trip.id, stopSequence: stopTime.stopSequence };
+
+        servedStopIds.add(stopTime.stopId);
+        notices.checkReference(stopsById, {
+          childFile: 'stop_times.txt',
+          childFieldName: 'stop_id',
+          tripId: trip.id,
+          stopSequence: stopTime.stopSequence,
+          fieldValue: stopTime.stopId,
+          parentFile: 'stops.txt',
+          parentFieldName: 'stop_id'
+        });
+
+        if (stopTime.getDepartureSeconds() < stopTime.getArrivalSeconds()) {
+          notices.add('stop_time_with_departure_before_arrival_time', {
+            ...context,
+            arrivalTime: stopTime.arrivalTime,
+            departureTime: stopTime.departureTime
+          });
+        }
+
+        if (!previous) {
+          return;
+        }
+
+        if (previous.stopSequence === stopTime.stopSequence) {
+          notices.add('duplicate_stop_sequence', { ...context, stopIds: [previous.stopId, stopTime.stopId] });
+        }
+
+        if (stopTime.getArrivalSeconds() < previous.getDepartureSeconds()) {
+          notices.add('stop_time_with_arrival_before_previous_departure_time', {
+            ...context,
+            prevStopSequence: previous.stopSequence,
+            arrivalTime: stopTime.arrivalTime,
+            prevDepartureTime: previous.departureTime
+          });
+        }
+      });
+
+      if (!trip.shapeId) {
+        continue;
+      }
+
+      if (!shapes.has(trip.shapeId)) {
+        shapes.set(trip.shapeId, await shapeRepository.findById(trip.shapeId));
+      }
+
+      const shape = shapes.get(trip.shapeId);
+
+      if (!shape) {
+        notices.add('foreign_key_violation', {
+          childFile: 'trips.txt',
+          childFieldName: 'shape_id',
+          tripId: trip.id,
+          fieldValue: trip.shapeId,
+          parentFile: 'shapes.txt',
+          parentFieldName: 'shape_id'
+        });
+        continue;
+      }
+
+      // Trips of one pattern on one shape give the same distances
+      const pattern = `${trip.shapeId}|${stopTimes.map(stopTime => stopTime.stopId).join(',')}`;
+      const stops = stopTimes.map(stopTime => stopsById.get(stopTime.stopId));
+
+      if (checkedPatterns.has(pattern) || stops.length === 0 || stops.some(stop => !stop) || shape.points.length < 2) {
+        continue;
+      }
+      checkedPatterns.add(pattern);
+
+      computeShapeDistTraveled(shape.points, stops).stops.forEach(({ offsetMeters }, index) => {
+        const stopTime = stopTimes[index];
+        const key = `${trip.shapeId}|${stopTime.stopId}`;
+
+        if (offsetMeters > MAX_STOP_OFFSET_METERS && !farStops.has(key)) {
+          farStops.add(key);
+          notices.add('stop_too_far_from_shape', {
+            filename: 'stop_times.txt',
+            tripId: trip.id,
+            stopSequence: stopTime.stopSequence,
+            stopId: stopTime.stopId,
+            shapeId: trip.shapeId,
+            distanceMeters: offsetMeters
+          });
+        }
+      });
+    }
+
+    return {
+      servedStopIds,
+      stopTimeCount,
+      shapeCount: [...shapes.values()].filter(Boolean).length
+    };
+  }
+
+  /**
+   * Flag stops no trip serves and stations without stops
+   * @private
+   * @param {Stop[]} stops - All stops
+   * @param {Set<string>} servedStopIds - Stops with stop times
+   * @param {NoticeContainer} notices - Notices of the run
+   */
+  _checkUnusedStops(stops, servedStopIds, notices) {
+    const parentIds = new Set(stops.map(stop => stop.parentStation).filter(Boolean));
+
+    stops.forEach(stop => {
+      if (stop.locationType === '0' && !servedStopIds.has(stop.id)) {
+        notices.add('unused_stop', { filename: 'stops.txt', stopId: stop.id, stopName: stop.name });
+      } else if (stop.isStation() && !parentIds.has(stop.id)) {
+        notices.add('unused_station', { filename: 'stops.txt', stopId: stop.id, stopName: stop.name });
+      }
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new GtfsValidationService();
@@ -0,0 +1,645 @@
+/**
+ * Journey Planner Service
+ *
+ * Plans earliest-arrival journeys over the GTFS network with the
+ * Connection Scan Algorithm (https://arxiv.org/abs/1703.05997). The
+ * timetable is built in memory from the stored stops, trips, stop_times
+ * and frequencies: each pair of consecutive stops of a trip instance is a
+ * connection, and connections are sorted by departure. A query keeps the
+ * connections of the services running on the day before, the day of and
+ * the day after the departure (see serviceCalendarService), then scans
+ * them once in order.
+ *
+ * Riders walk from an origin location to the stops near it
+ * (stopRepository.findNearby), between stops close to each other to
+ * transfer, and from the last stop to a destination location. Walks are
+ * straight lines at WALK_SPEED_MPS.
+ */
+
+const {
+  stopRepository,
+  routeRepository,
+  tripRepository,
+  stopTimeRepository,
+  frequencyRepository
+} = require('./gtfs');
+const serviceCalendarService = require('./serviceCalendarService');
+const frequencyService = require('./frequencyService');
+const { haversineDistance } = require('../utils/geo');
+const { geohashCoveringCells } = require('../utils/geohash');
+const { localDate, serviceDayStart } = require('../utils/time');
+const { createGtfsCache } = require('./gtfsCache');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Walking speed (about 4.3 km/h)
+ */
+const WALK_SPEED_MPS = 1.2;
+
+/**
+ * Default longest walk to the first stop or from the last one
+ */
+const DEFAULT_MAX_WALK_METERS = 800;
+
+/**
+ * Longest walk between two stops to transfer
+ */
+const TRANSFER_RADIUS_METERS = 300;
+
+/**
+ * Time to get off a bus and on another one at the same stop
+ */
+const MIN_TRANSFER_SECONDS = 60;
+
+/**
+ * Stops considered around an origin or destination location
+ */
+const MAX_ACCESS_STOPS = 30;
+
+/**
+ * Default number of itineraries (each departs after the previous one)
+ */
+const DEFAULT_ITINERARIES = 3;
+
+/**
+ * Seconds to walk a distance
+ * @param {number} meters - Distance
+ * @returns {number}
+ */
+function walkSeconds(meters) {
+  return Math.ceil(meters / WALK_SPEED_MPS);
+}
+
+/**
+ * Date some days after another
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative: before)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00.000Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * JourneyPlannerService Class
+ *
+ * Handles the timetable, origin/destination resolution and the connection scan.
+ */
+class JourneyPlannerService {
+  constructor() {
+    this.timetableCache = createGtfsCache();
+  }
+
+  /**
+   * Plan journeys between two stops or locations, earliest arrival first
+   *
+   * Each itinerary after the first departs after the first bus of the
+   * previous one, so they are the next ways to travel.
+   *
+   * @param {Object} options - Query
+   * @param {Object} options.from - Origin: { stopId } or { lat, lng }
+   * @param {Object} options.to - Destination: { stopId } or { lat, lng }
+   * @param {Date} [options.at] - Departure time (default: now)
+   * @param {number} [options.maxWalkMeters=800] - Longest walk to the first stop or from the last one
+   * @param {number} [options.limit=3] - Max itineraries
+   * @returns {Promise<Object>} { from, to, at, itineraries }
+   * @throws {Error} If a stop is not found (404) or origin and destination are the same stop (422)
+   */
+  async planJourney(options) {
+    const at = options.at || new Date();
+    const maxWalkMeters = options.maxWalkMeters || DEFAULT_MAX_WALK_METERS;
+    const limit = options.limit || DEFAULT_ITINERARIES;
+
+    if (options.from.stopId && options.from.stopId === options.to.stopId) {
+      throw httpError(422, 'VALIDATION_ERROR', 'Origin and destination are the same stop');
+    }
+
+    const timetable = await this.getTimetable();
+    const origin = await this._resolveEndpoint(options.from, maxWalkMeters, timetable);
+    const destination = await this._resolveEndpoint(options.to, maxWalkMeters, timetable);
+
+    const { timeZone } = await serviceCalendarService.getActiveServices({ at });
+    const date = localDate(at, timeZone);
+    const dayStart = serviceDayStart(date, timeZone);
+    const connections = await this._getDayConnections(timetable, date, timeZone);
+    const toDate = seconds => new Date(dayStart.getTime() + seconds * 1000);
+
+    const itineraries = [];
+    let departSeconds = Math.floor((at.getTime() - dayStart.getTime()) / 1000);
+
+    // A short enough walk beats waiting for a bus
+    const directMeters = origin.stopId === null || destination.stopId === null
+      ? haversineDistance(origin.place, destination.place)
+      : Infinity;
+    if (directMeters <= maxWalkMeters) {
+      const arrival = departSeconds + walkSeconds(directMeters);
+      itineraries.push(this._itinerary([
+        this._walkLeg(origin.place, destination.place, departSeconds, arrival, directMeters, toDate)
+      ]));
+    }
+
+    while (itineraries.length < limit) {
+      const journey = this._scan(connections, departSeconds, origin, destination, timetable);
+
+      if (!journey) {
+        break;
+      }
+
+      const legs = this._buildLegs(journey, origin, destination, timetable, toDate);
+      const itinerary = this._itinerary(legs);
+
+      // Not faster than walking: the next ones will not be either
+      if (directMeters <= maxWalkMeters && new Date(itinerary.arrival) >= new Date(itineraries[0].arrival)) {
+        break;
+      }
+
+      itineraries.push(itinerary);
+
+      // Walking between nearby stops only: leaving later changes nothing
+      if (!legs.some(leg => leg.mode === 'bus')) {
+        break;
+      }
+      departSeconds = Math.floor((new Date(legs[0].departure) - dayStart) / 1000) + 1;
+    }
+
+    itineraries.sort((a, b) => a.arrival.localeCompare(b.arrival) || b.departure.localeCompare(a.departure));
+
+    return {
+      from: origin.place,
+      to: destination.place,
+      at: at.toISOString(),
+      itineraries
+    };
+  }
+
+  /**
+   * In-memory timetable, cached (see gtfsCache)
+   *
+   * @returns {Promise<Object>} { stops, routes, trips, connections, footpaths }: stops, routes
+   *   and trips by ID, connections by departure, and walks to the stops within
+   *   TRANSFER_RADIUS_METERS of each stop
+   */
+  async getTimetable() {
+    const cached = this.timetableCache.get('timetable');
+    if (cached) {
+      return cached;
+    }
+
+    const [stops, routes, trips, stopTimes, frequencies] = await Promise.all([
+      stopRepository.listAll(),
+      routeRepository.listAll(),
+      tripRepository.listAll(),
+      stopTimeRepository.listAll(),
+      frequencyRepository.listAll()
+    ]);
+
+    const tripsById = new Map(trips.map(trip => [trip.id, trip]));
+    const frequencyTripIds = new Set(frequencies.map(frequency => frequency.tripId));
+    const templates = new Map();
+    const byInstance = new Map();
+
+    stopTimes
+      .filter(stopTime => tripsById.has(stopTime.tripId))
+      .forEach(stopTime => templates.set(`${stopTime.tripId}|${stopTime.stopSequence}`, stopTime));
+
+    const addToInstance = (tripId, startTime, row) => {
+      const key = `${tripId}|${startTime || ''}`;
+      if (!byInstance.has(key)) {
+        byInstance.set(key, { tripId, startTime, rows: [] });
+      }
+      byInstance.get(key).rows.push(row);
+    };
+
+    [...templates.values()]
+      .filter(stopTime => !frequencyTripIds.has(stopTime.tripId))
+      .forEach(stopTime => addToInstance(stopTime.tripId, null, {
+        stopId: stopTime.stopId,
+        stopSequence: stopTime.stopSequence,
+        arrivalSeconds: stopTime.getArrivalSeconds(),
+        departureSeconds: stopTime.getDepartureSeconds()
+      }));
+
+    const expanded = await frequencyService.expandStopTimes(
+      [...templates.values()].filter(stopTime => frequencyTripIds.has(stopTime.tripId))
+    );
+    expanded.forEach(({ tripId, startTime, ...row }) => addToInstance(tripId, startTime, row));
+
+    const connections = [];
+    byInstance.forEach(({ tripId, startTime, rows }) => {
+      rows.sort((a, b) => a.stopSequence - b.stopSequence);
+
+      for (let i = 1; i < rows.length; i++) {
+        const from = rows[i - 1];
+        const to = rows[i];
+
+        connections.push({
+          tripId,
+          startTime,
+          index: i - 1,
+          fromStopId: from.stopId,
+          toStopId: to.stopId,
+          departureSeconds: from.departureSeconds,
+          arrivalSeconds: to.arrivalSeconds,
+          canBoard: templates.get(`${tripId}|${from.stopSequence}`).pickupType !== '1',
+          canAlight: templates.get(`${tripId}|${to.stopSequence}`).dropOffType !== '1'
+        });
+      }
+    });
+
+    connections.sort((a, b) => a.departureSeconds - b.departureSeconds || a.arrivalSeconds - b.arrivalSeconds);
+
+    return this.timetableCache.set('timetable', {
+      stops: new Map(stops.map(stop => [stop.id, stop])),
+      routes: new Map(routes.map(route => [route.id, route])),
+      trips: tripsById,
+      connections,
+      footpaths: this._buildFootpaths(stops)
+    });
+  }
+
+  /**
+   * Clear the timetable (after GTFS changes)
+   */
+  clearCache() {
+    this.timetableCache.clear();
+  }
+
+  /**
+   * Walks between stops within TRANSFER_RADIUS_METERS of each other
+   *
+   * Stops are bucketed by geohash prefix, so each stop is only compared
+   * with the stops in the cells covering its radius.
+   *
+   * @private
+   * @param {Stop[]} stops - Stops
+   * @returns {Map<string, Object[]>} [{ stopId, meters, seconds }] by stop ID
+   */
+  _buildFootpaths(stops) {
+    const buckets = new Map();
+    const bucketsOf = precision => {
+      if (!buckets.has(precision)) {
+        const cells = new Map();
+        stops.forEach(stop => {
+          const cell = stop.geohash.slice(0, precision);
+          cells.set(cell, [...(cells.get(cell) || []), stop]);
+        });
+        buckets.set(precision, cells);
+      }
+      return buckets.get(precision);
+    };
+
+    const footpaths = new Map();
+
+    stops.forEach(stop => {
+      const paths = geohashCoveringCells(stop.lat, stop.lng, TRANSFER_RADIUS_METERS)
+        .flatMap(cell => bucketsOf(cell.length).get(cell) || [])
+        .filter(other => other.id !== stop.id)
+        .map(other => ({ stopId: other.id, meters: haversineDistance(stop, other) }))
+        .filter(({ meters }) => meters <= TRANSFER_RADIUS_METERS)
+        .map(({ stopId, meters }) => ({ stopId, meters, seconds: walkSeconds(meters) }));
+
+      if (paths.length > 0) {
+        footpaths.set(stop.id, paths);
+      }
+    });
+
+    return footpaths;
+  }
+
+  /**
+   * Stops where a journey can start or end
+   * @private
+   * @param {Object} endpoint - { stopId } or { lat, lng }
+   * @param {number} maxWalkMeters - Longest walk from a location
+   * @param {Object} timetable - Timetable (see getTimetable)
+   * @returns {Promise<Object>} { stopId, place, stops: Map<stopId, { meters, seconds }> }
+   * @throws {Error} If the stop is not found (404)
+   */
+  async _resolveEndpoint(endpoint, maxWalkMeters, timetable) {
+    if (endpoint.stopId) {
+      const stop = timetable.stops.get(endpoint.stopId);
+
+      if (!stop) {
+        throw httpError(404, 'NOT_FOUND', `Stop ${endpoint.stopId} not found`);
+      }
+
+      return {
+        stopId: stop.id,
+        place: this._place(stop),
+        stops: new Map([[stop.id, { meters: 0, seconds: 0 }]])
+      };
+    }
+
+    const nearby = await stopRepository.findNearby(endpoint.lat, endpoint.lng, maxWalkMeters / 1000, {
+      limit: MAX_ACCESS_STOPS
+    });
+
+    return {
+      stopId: null,
+      place: { stopId: null, name: null, lat: endpoint.lat, lng: endpoint.lng },
+      stops: new Map(nearby.map(({ stop, distanceMeters }) => [
+        stop.id,
+        { meters: distanceMeters, seconds: walkSeconds(distanceMeters) }
+      ]))
+    };
+  }
+
+  /**
+   * Connections running around a day, in seconds from its start
+   *
+   * Covers the services of the day before (times past 24:00:00), the day
+   * and the day after (journeys past midnight).
+   *
+   * @private
+   * @param {Object} timetable - Timetable (see getTimetable)
+   * @param {string} date - Departure service date (YYYY-MM-DD)
+   * @param {string} timeZone - IANA time zone of the service days
+   * @returns {Promise<Object[]>} [{ connection, serviceDate, departureSeconds, arrivalSeconds }] by departure
+   */
+  async _getDayConnections(timetable, date, timeZone) {
+    const dayStart = serviceDayStart(date, timeZone);
+    const connections = [];
+
+    for (const serviceDate of [addDays(date, -1), date, addDays(date, 1)]) {
+      const serviceIds = await serviceCalendarService.getActiveServiceIds({ date: serviceDate });
+      const offset = Math.round((serviceDayStart(serviceDate, timeZone) - dayStart) / 1000);
+
+      timetable.connections
+        .filter(connection => serviceIds.has(timetable.trips.get(connection.tripId).serviceId))
+        .forEach(connection => connections.push({
+          connection,
+          serviceDate,
+          departureSeconds: connection.departureSeconds + offset,
+          arrivalSeconds: connection.arrivalSeconds + offset
+        }));
+    }
+
+    return connections.sort((a, b) => a.departureSeconds - b.departureSeconds);
+  }
+
+  /**
+   * Earliest arrival journey (connection scan)
+   *
+   * Each reached stop keeps how it was reached: by bus (the connections
+   * where the rider got on and off), walking from another stop, or from
+   * the origin. A bus already ridden can be stayed on; getting on a new
+   * one needs MIN_TRANSFER_SECONDS after getting off another.
+   *
+   * @private
+   * @param {Object[]} connections - Day connections (see _getDayConnections)
+   * @param {number} departSeconds - Departure, in seconds from the day start
+   * @param {Object} origin - Origin (see _resolveEndpoint)
+   * @param {Object} destination - Destination (see _resolveEndpoint)
+   * @param {Object} timetable - Timetable (see getTimetable)
+   * @returns {Object|null} { stopId, arrivalSeconds, labels } (last stop and how each stop was reached),
+   *   null if the destination cannot be reached
+   */
+  _scan(connections, departSeconds, origin, destination, timetable) {
+    const earliest = new Map();
+    const labels = new Map();
+    const boarded = new Map();
+    let best = { stopId: null, arrivalSeconds: Infinity };
+
+    const reach = (stopId, seconds, label) => {
+      if (seconds >= (earliest.has(stopId) ? earliest.get(stopId) : Infinity)) {
+        return false;
+      }
+
+      earliest.set(stopId, seconds);
+      labels.set(stopId, label);
+
+      const egress = destination.stops.get(stopId);
+      if (egress && label.type !== 'origin' && seconds + egress.seconds < best.arrivalSeconds) {
+        best = { stopId, arrivalSeconds: seconds + egress.seconds };
+      }
+      return true;
+    };
+
+    const walkFrom = (stopId, seconds) => {
+      (timetable.footpaths.get(stopId) || []).forEach(path => {
+        reach(path.stopId, seconds + path.seconds, {
+          type: 'walk',
+          fromStopId: stopId,
+          departureSeconds: seconds,
+          meters: path.meters
+        });
+      });
+    };
+
+    origin.stops.forEach((access, stopId) => {
+      reach(stopId, departSeconds + access.seconds, { type: 'origin', departureSeconds: departSeconds, ...access });
+    });
+    if (origin.stopId) {
+      walkFrom(origin.stopId, departSeconds);
+    }
+
+    const start = this._firstDeparting(connections, departSeconds);
+
+    for (let i = start; i < connections.length; i++) {
+      const entry = connections[i];
+      const { connection } = entry;
+
+      if (entry.departureSeconds >= best.arrivalSeconds) {
+        break;
+      }
+
+      const instance = `${entry.serviceDate}|${connection.tripId}|${connection.startTime || ''}`;
+
+      if (!boarded.has(instance)) {
+        const ready = earliest.get(connection.fromStopId);
+        if (ready === undefined || !connection.canBoard) {
+          continue;
+        }
+
+        const transfer = labels.get(connection.fromStopId).type === 'ride' ? MIN_TRANSFER_SECONDS : 0;
+        if (ready + transfer > entry.departureSeconds) {
+          continue;
+        }
+
+        boarded.set(instance, entry);
+      }
+
+      if (connection.canAlight &&
+        reach(connection.toStopId, entry.arrivalSeconds, { type: 'ride', board: boarded.get(instance), alight: entry })) {
+        walkFrom(connection.toStopId, entry.arrivalSeconds);
+      }
+    }
+
+    return best.stopId === null ? null : { ...best, labels };
+  }
+
+  /**
+   * Index of the first connection departing at or after a time
+   * @private
+   * @param {Object[]} connections - Day connections, by departure
+   * @param {number} seconds - Time, in seconds from the day start
+   * @returns {number}
+   */
+  _firstDeparting(connections, seconds) {
+    let low = 0;
+    let high = connections.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (connections[middle].departureSeconds < seconds) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Legs of a scanned journey, from the origin
+   *
+   * Walks before the first bus are shifted to end when it leaves, so the
+   * rider leaves as late as possible.
+   *
+   * @private
+   * @param {Object} journey - Scan result (see _scan)
+   * @param {Object} origin - Origin (see _resolveEndpoint)
+   * @param {Object} destination - Destination (see _resolveEndpoint)
+   * @param {Object} timetable - Timetable (see getTimetable)
+   * @param {Function} toDate - Converts seconds from the day start to a Date
+   * @returns {Object[]}
+   */
+  _buildLegs(journey, origin, destination, timetable, toDate) {
+    const placeOf = stopId => this._place(timetable.stops.get(stopId));
+    const legs = [];
+    const visited = new Set();
+    let stopId = journey.stopId;
+
+    if (destination.stopId === null) {
+      const egress = destination.stops.get(stopId);
+      legs.push(this._walkLeg(
+        placeOf(stopId), destination.place, journey.arrivalSeconds - egress.seconds, journey.arrivalSeconds, egress.meters, toDate
+      ));
+    }
+
+    // Labels only ever get earlier arrivals; the visited check guards zero-duration loops
+    while (!visited.has(stopId)) {
+      visited.add(stopId);
+      const label = journey.labels.get(stopId);
+
+      if (label.type === 'ride') {
+        legs.unshift(this._rideLeg(label.board, label.alight, timetable, toDate));
+        stopId = label.board.connection.fromStopId;
+      } else if (label.type === 'walk') {
+        const arrival = label.departureSeconds + walkSeconds(label.meters);
+        legs.unshift(this._walkLeg(placeOf(label.fromStopId), placeOf(stopId), label.departureSeconds, arrival, label.meters, toDate));
+        stopId = label.fromStopId;
+      } else {
+        if (origin.stopId === null) {
+          const arrival = label.departureSeconds + label.seconds;
+          legs.unshift(this._walkLeg(origin.place, placeOf(stopId), label.departureSeconds, arrival, label.meters, toDate));
+        }
+        break;
+      }
+    }
+
+    const firstRide = legs.findIndex(leg => leg.mode === 'bus');
+    if (firstRide > 0) {
+      const shiftMs = new Date(legs[firstRide].departure) - new Date(legs[firstRide - 1].arrival);
+      legs.slice(0, firstRide).forEach(leg => {
+        leg.departure = new Date(new Date(leg.departure).getTime() + shiftMs).toISOString();
+        leg.arrival = new Date(new Date(leg.arrival).getTime() + shiftMs).toISOString();
+      });
+    }
+
+    return legs;
+  }
+
+  /**
+   * Bus leg between the connections where the rider gets on and off
+   * @private
+   * @param {Object} board - Day connection boarded
+   * @param {Object} alight - Day connection left
+   * @param {Object} timetable - Timetable (see getTimetable)
+   * @param {Function} toDate - Converts seconds from the day start to a Date
+   * @returns {Object}
+   */
+  _rideLeg(board, alight, timetable, toDate) {
+    const trip = timetable.trips.get(board.connection.tripId);
+    const route = timetable.routes.get(trip.routeId);
+
+    return {
+      mode: 'bus',
+      from: this._place(timetable.stops.get(board.connection.fromStopId)),
+      to: this._place(timetable.stops.get(alight.connection.toStopId)),
+      departure: toDate(board.departureSeconds).toISOString(),
+      arrival: toDate(alight.arrivalSeconds).toISOString(),
+      durationSeconds: alight.arrivalSeconds - board.departureSeconds,
+      routeId: trip.routeId,
+      routeShortName: route ? route.shortName : null,
+      routeColor: route ? route.color : null,
+      tripId: trip.id,
+      startTime: board.connection.startTime,
+      serviceDate: board.serviceDate,
+      headsign: trip.headsign,
+      stopCount: alight.connection.index - board.connection.index + 1
+    };
+  }
+
+  /**
+   * Walking leg
+   * @private
+   * @param {Object} from - Place
+   * @param {Object} to - Place
+   * @param {number} departureSeconds - Departure, in seconds from the day start
+   * @param {number} arrivalSeconds - Arrival, in seconds from the day start
+   * @param {number} meters - Distance
+   * @param {Function} toDate - Converts seconds from the day start to a Date
+   * @returns {Object}
+   */
+  _walkLeg(from, to, departureSeconds, arrivalSeconds, meters, toDate) {
+    return {
+      mode: 'walk',
+      from,
+      to,
+      departure: toDate(departureSeconds).toISOString(),
+      arrival: toDate(arrivalSeconds).toISOString(),
+      durationSeconds: arrivalSeconds - departureSeconds,
+      distanceMeters: Math.round(meters)
+    };
+  }
+
+  /**
+   * Itinerary totals
+   * @private
+   * @param {Object[]} legs - Legs, from the origin
+   * @returns {Object} { departure, arrival, durationSeconds, transfers, walkMeters, legs }
+   */
+  _itinerary(legs) {
+    const departure = legs[0].departure;
+    const arrival = legs[legs.length - 1].arrival;
+    const rides = legs.filter(leg => leg.mode === 'bus').length;
+
+    return {
+      departure,
+      arrival,
+      durationSeconds: Math.round((new Date(arrival) - new Date(departure)) / 1000),
+      transfers: Math.max(0, rides - 1),
+      walkMeters: legs
+        .filter(leg => leg.mode === 'walk')
+        .reduce((total, leg) => total + leg.distanceMeters, 0),
+      legs
+    };
+  }
+
+  /**
+   * Place of a stop in a leg
+   * @private
+   * @param {Stop} stop - Stop
+   * @returns {Object} { stopId, name, lat, lng }
+   */
+  _place(stop) {
+    return { stopId: stop.id, name: stop.name, lat: stop.lat, lng: stop.lng };
+  }
+}
+
+// Export singleton instance
+module.exports = new JourneyPlannerService();
@@ -0,0 +1,205 @@
+/**
+ * Off-Route Repository
+ *
+ * Repository pattern for OffRouteAlert entity.
+ * Keeps the deviation state of each bus (is it away from its route, since
+ * when, which alert is open) and stores the alerts raised from it.
+ */
+
+const { db } = require('../config/db');
+const OffRouteAlert = require('../models/OffRouteAlert');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * Default and maximum number of alerts per query
+ */
+const DEFAULT_ALERTS_LIMIT = 100;
+const MAX_ALERTS_LIMIT = 500;
+
+/**
+ * Convert a Firestore Timestamp (or Date/null) to a Date
+ * @param {*} value - Firestore field value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * IOffRouteRepository Interface
+ *
+ * Contract for off-route repository implementations.
+ * All implementations must provide these methods.
+ *
+ * @interface IOffRouteRepository
+ */
+class IOffRouteRepository {
+  /**
+   * Atomically update the deviation state of a bus and write its alerts
+   * @param {string} busId - Bus ID
+   * @param {Function} apply - (state, openAlert) => { state, alerts } or null if nothing changed
+   * @returns {Promise<{updated: boolean, alerts: OffRouteAlert[]}>}
+   */
+  async updateDeviation(_busId, _apply) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List alerts, most recently raised first
+   * @param {Object} [options] - Query options
+   * @returns {Promise<OffRouteAlert[]>}
+   */
+  async listAlerts(_options) {
+    throw new Error('Method not implemented');
+  }
+}
+
+/**
+ * FirestoreOffRouteRepository
+ *
+ * Firestore implementation of IOffRouteRepository.
+ * State is one document per bus (ID = bus ID); alert IDs are derived from
+ * the bus and the start of the deviation (see OffRouteAlert.buildId).
+ */
+class FirestoreOffRouteRepository extends IOffRouteRepository {
+  constructor() {
+    super();
+    this.alerts = db.collection(OffRouteAlert.collection());
+    this.state = db.collection(OffRouteAlert.stateCollection());
+  }
+
+  /**
+   * Map a state document to a plain state object
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {{route: string|null, offRouteSince: Date|null, alertId: string|null, lastFixAt: Date|null}}
+   */
+  _mapState(doc) {
+    if (!doc.exists) {
+      return { route: null, offRouteSince: null, alertId: null, lastFixAt: null };
+    }
+
+    const data = doc.data();
+    return {
+      route: data.route || null,
+      offRouteSince: toDate(data.offRouteSince),
+      alertId: data.alertId || null,
+      lastFixAt: toDate(data.lastFixAt)
+    };
+  }
+
+  /**
+   * Map Firestore document to OffRouteAlert domain model
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {OffRouteAlert|null}
+   */
+  _mapToModel(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    return OffRouteAlert.fromDatabase(doc.data());
+  }
+
+  /**
+   * Atomically update the deviation state of a bus and write its alerts
+   *
+   * Runs in a transaction so concurrent fixes of the same bus cannot raise
+   * or clear the same alert twice. `apply` receives the stored state
+   * ({ route, offRouteSince, alertId, lastFixAt }) and the open alert (or
+   * null), and returns the new state plus the raised/cleared alerts, or null.
+   *
+   * @param {string} busId - Bus ID
+   * @param {Function} apply - (state, openAlert) => { state, alerts } | null
+   * @returns {Promise<{updated: boolean, alerts: OffRouteAlert[]}>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async updateDeviation(busId, apply) {
+    try {
+      const docRef = this.state.doc(busId);
+
+      return await db.runTransaction(async transaction => {
+        const state = this._mapState(await transaction.get(docRef));
+        const openAlert = state.alertId
+          ? this._mapToModel(await transaction.get(this.alerts.doc(state.alertId)))
+          : null;
+
+        const result = apply(state, openAlert);
+
+        if (!result) {
+          return { updated: false, alerts: [] };
+        }
+
+        transaction.set(docRef, {
+          busId,
+          route: result.state.route,
+          offRouteSince: result.state.offRouteSince,
+          alertId: result.state.alertId,
+          lastFixAt: result.state.lastFixAt,
+          updatedAt: FieldValue.serverTimestamp()
+        });
+
+        result.alerts.forEach(alert => {
+          transaction.set(this.alerts.doc(alert.id), {
+            ...alert.toDatabase(),
+            updatedAt: FieldValue.serverTimestamp()
+          });
+        });
+
+        return { updated: true, alerts: result.alerts };
+      });
+    } catch (error) {
+      console.error('Firestore error in updateDeviation:', error);
+      throw new Error(`Database error while updating route deviation: ${error.message}`);
+    }
+  }
+
+  /**
+   * List alerts, most recently raised first
+   * @param {Object} [options] - Query options
+   * @param {string} [options.status] - Filter by status (open, cleared)
+   * @param {string} [options.busId] - Filter by bus
+   * @param {string} [options.route] - Filter by route
+   * @param {number} [options.limit=100] - Max alerts (capped at 500)
+   * @returns {Promise<OffRouteAlert[]>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async listAlerts(options = {}) {
+    try {
+      const limit = Math.min(MAX_ALERTS_LIMIT, Math.max(1, options.limit || DEFAULT_ALERTS_LIMIT));
+
+      let query = this.alerts;
+
+      if (options.status) {
+        query = query.where('status', '==', options.status);
+      }
+
+      if (options.busId) {
+        query = query.where('busId', '==', options.busId);
+      }
+
+      if (options.route) {
+        query = query.where('route', '==', options.route);
+      }
+
+      const snapshot = await query.orderBy('raisedAt', 'desc').limit(limit).get();
+
+      return snapshot.docs.map(doc => this._mapToModel(doc));
+    } catch (error) {
+      console.error('Firestore error in listAlerts:', error);
+      throw new Error(`Database error while listing off-route alerts: ${error.message}`);
+    }
+  }
+}
+
+// Export interface and implementation
+module.exports = {
+  IOffRouteRepository,
+  FirestoreOffRouteRepository,
+  // Export singleton instance for convenience
+  offRouteRepository: new FirestoreOffRouteRepository()
+};
@@ -0,0 +1,273 @@
+/**
+ * Off-Route Service
+ *
+ * Detects buses driving away from their route.
+ * Each ingested GPS fix is compared with the GTFS geometry of the bus
+ * route (bus.route is the GTFS route_id): the shapes of its trips, or the
+ * ordered stops of a trip when it has no shape. A bus farther than
+ * GPS_OFF_ROUTE_METERS for GPS_OFF_ROUTE_AFTER_SECONDS raises an alert,
+ * cleared automatically on the first fix back on the route.
+ */
+
+const config = require('../config/env');
+const { offRouteRepository } = require('./offRouteRepository');
+const { tripRepository, stopTimeRepository, stopRepository, shapeRepository } = require('./gtfs');
+const { busEvents } = require('./busEvents');
+const OffRouteAlert = require('../models/OffRouteAlert');
+const { distanceToPolyline } = require('../utils/geo');
+const { createGtfsCache } = require('./gtfsCache');
+
+/**
+ * Why an alert was cleared (see OffRouteAlert.getClearReasons)
+ */
+const CLEAR_REASON = Object.freeze({
+  RETURNED: 'returned',
+  ROUTE_CHANGED: 'route_changed'
+});
+
+/**
+ * OffRouteService Class
+ *
+ * Handles route geometry lookup, fix evaluation and the alert list.
+ */
+class OffRouteService {
+  constructor() {
+    this.geometryCache = createGtfsCache();
+  }
+
+  /**
+   * List off-route alerts, most recently raised first
+   *
+   * @param {Object} [options] - Query options
+   * @param {string} [options.status] - Filter by status (open, cleared)
+   * @param {string} [options.busId] - Filter by bus
+   * @param {string} [options.route] - Filter by route
+   * @param {number} [options.limit] - Max alerts
+   * @returns {Promise<Object[]>}
+   */
+  async listAlerts(options = {}) {
+    const alerts = await offRouteRepository.listAlerts(options);
+    return alerts.map(alert => alert.toJSON());
+  }
+
+  /**
+   * Compare GPS fixes of a bus with its route
+   *
+   * - Fixes are evaluated oldest first; fixes older than the last
+   *   evaluated fix and fixes inside autoPark depots are ignored
+   * - The deviation starts at the first fix beyond the distance threshold;
+   *   the alert is raised once it lasts the duration threshold
+   * - The first fix back within the threshold clears the deviation and
+   *   its alert; changing the bus route clears it too
+   * - Routes without GTFS trips (or without shapes and stops) are not checked
+   * - Raised and cleared alerts are broadcast to realtime subscribers
+   *
+   * @param {Bus} bus - Bus the fixes belong to
+   * @param {GpsReading[]} readings - Fixes newer than the previous bus position
+   * @param {Object} [options] - Evaluation options
+   * @param {Set<GpsReading>} [options.depotFixes] - Fixes inside autoPark depots (see geofenceService.evaluateFixes)
+   * @returns {Promise<{alerts: Object[]}>} Alerts raised or cleared by these fixes
+   */
+  async evaluateFixes(bus, readings, options = {}) {
+    const { depotFixes = new Set() } = options;
+
+    const inOrder = [...readings]
+      .filter(reading => !depotFixes.has(reading))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    if (inOrder.length === 0) {
+      return { alerts: [] };
+    }
+
+    const geometry = bus.route ? await this.getRouteGeometry(bus.route) : null;
+    const fixes = inOrder.map(reading => ({ reading, ...this._measure(reading, geometry) }));
+
+    const { alerts } = await offRouteRepository.updateDeviation(
+      bus.id,
+      (state, openAlert) => this._applyFixes(bus, state, openAlert, fixes)
+    );
+
+    alerts.forEach(alert => busEvents.publishOffRoute(alert));
+
+    return { alerts: alerts.map(alert => alert.toJSON()) };
+  }
+
+  /**
+   * Geometry of a route, cached (see gtfsCache)
+   *
+   * One line per distinct shape of the route trips. Trips without a
+   * (stored) shape contribute the path through their stops, once per
+   * direction and headsign.
+   *
+   * @param {string} routeId - GTFS route ID
+   * @returns {Promise<Array<{reference: string, path: Object[]}>|null>} null if the route has no usable geometry
+   */
+  async getRouteGeometry(routeId) {
+    const cached = this.geometryCache.get(routeId);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const trips = await tripRepository.findByRoute(routeId);
+    const lines = [];
+    const seen = new Set();
+    const stops = new Map();
+
+    for (const trip of trips) {
+      if (trip.shapeId) {
+        if (seen.has(`shape:${trip.shapeId}`)) {
+          continue;
+        }
+        seen.add(`shape:${trip.shapeId}`);
+
+        const shape = await shapeRepository.findById(trip.shapeId);
+        if (shape) {
+          lines.push({ reference: 'shape', path: shape.toPath() });
+          continue;
+        }
+      }
+
+      const pattern = `stops:${trip.directionId}:${trip.headsign || ''}`;
+      if (seen.has(pattern)) {
+        continue;
+      }
+      seen.add(pattern);
+
+      const path = await this._stopsPath(trip.id, stops);
+      if (path.length >= 2) {
+        lines.push({ reference: 'stops', path });
+      }
+    }
+
+    return this.geometryCache.set(routeId, lines.length > 0 ? lines : null);
+  }
+
+  /**
+   * Path through the stops of a trip, in stop_sequence order
+   * @private
+   * @param {string} tripId - Trip ID
+   * @param {Map<string, Stop|null>} stops - Stops already loaded for this route
+   * @returns {Promise<{lat: number, lng: number}[]>}
+   */
+  async _stopsPath(tripId, stops) {
+    const stopTimes = await stopTimeRepository.findByTrip(tripId);
+
+    for (const stopTime of stopTimes) {
+      if (!stops.has(stopTime.stopId)) {
+        stops.set(stopTime.stopId, await stopRepository.findById(stopTime.stopId));
+      }
+    }
+
+    return stopTimes
+      .map(stopTime => stops.get(stopTime.stopId))
+      .filter(Boolean)
+      .map(stop => ({ lat: stop.lat, lng: stop.lng }));
+  }
+
+  /**
+   * Distance from a fix to the closest line of the route
+   * @private
+   * @param {GpsReading} reading - Fix
+   * @param {Array<{reference: string, path: Object[]}>|null} geometry - Route geometry
+   * @returns {{distance: number|null, reference: string|null}}
+   */
+  _measure(reading, geometry) {
+    if (!geometry) {
+      return { distance: null, reference: null };
+    }
+
+    return geometry.reduce((closest, line) => {
+      const distance = distanceToPolyline(reading, line.path);
+      return distance < closest.distance ? { distance, reference: line.reference } : closest;
+    }, { distance: Infinity, reference: null });
+  }
+
+  /**
+   * Compute the new deviation state of a bus and the alerts it raises or clears
+   * @private
+   * @param {Bus} bus - Bus
+   * @param {Object} state - Stored state ({ route, offRouteSince, alertId, lastFixAt })
+   * @param {OffRouteAlert|null} openAlert - Alert referenced by the state
+   * @param {Array<{reading: GpsReading, distance: number|null, reference: string|null}>} fixes - Measured fixes, oldest first
+   * @returns {Object|null} { state, alerts }, or null if nothing changed
+   */
+  _applyFixes(bus, state, openAlert, fixes) {
+    const maxDistance = config.gps.GPS_OFF_ROUTE_METERS;
+    const minDurationMs = config.gps.GPS_OFF_ROUTE_AFTER_SECONDS * 1000;
+    const route = bus.route || null;
+    const changed = new Set();
+
+    let alert = openAlert && openAlert.isOpen() ? openAlert : null;
+    let { offRouteSince, lastFixAt } = state;
+    let dirty = false;
+
+    if (state.route !== route) {
+      if (alert) {
+        const { reading } = fixes[0];
+        alert.clear(reading.timestamp, CLEAR_REASON.ROUTE_CHANGED, reading);
+        changed.add(alert);
+        alert = null;
+      }
+      offRouteSince = null;
+      dirty = true;
+    }
+
+    fixes.forEach(({ reading, distance, reference }) => {
+      if (lastFixAt && reading.timestamp <= lastFixAt) {
+        return;
+      }
+
+      if (distance === null) {
+        return;
+      }
+
+      if (distance > maxDistance) {
+        if (!offRouteSince) {
+          offRouteSince = reading.timestamp;
+          dirty = true;
+        }
+
+        if (!alert && reading.timestamp - offRouteSince >= minDurationMs) {
+          alert = new OffRouteAlert({
+            busId: bus.id,
+            route,
+            reference,
+            distanceMeters: distance,
+            position: { lat: reading.lat, lng: reading.lng },
+            offRouteSince,
+            raisedAt: reading.timestamp
+          });
+          changed.add(alert);
+          dirty = true;
+        }
+      } else if (offRouteSince) {
+        if (alert) {
+          alert.clear(reading.timestamp, CLEAR_REASON.RETURNED, reading);
+          changed.add(alert);
+          alert = null;
+        }
+        offRouteSince = null;
+        dirty = true;
+      }
+
+      lastFixAt = reading.timestamp;
+    });
+
+    if (!dirty) {
+      return null;
+    }
+
+    return {
+      state: {
+        route,
+        offRouteSince,
+        alertId: alert ? alert.id : null,
+        lastFixAt
+      },
+      alerts: [...changed]
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OffRouteService();
@@ -0,0 +1,315 @@
+/**
+ * Prediction Service
+ *
+ * Predicts when buses reach the upcoming stops of their active trip.
+ * Starting from the last stop the bus arrived at or left (see
+ * stopVisitService), each remaining segment takes the median of the travel
+ * times recently observed on the route, or the scheduled interval from
+ * stop_times when there are none; scheduled dwell times are added at the
+ * stops in between. Buses with no progress on their trip yet fall back to
+ * the schedule. Scheduled times are in the time zone of the route's agency.
+ */
+
+const { busRepository } = require('./busRepository');
+const { stopVisitRepository } = require('./stopVisitRepository');
+const { stopTimeRepository, stopRepository } = require('./gtfs');
+const stopVisitService = require('./stopVisitService');
+const serviceCalendarService = require('./serviceCalendarService');
+const { serviceDayStart } = require('../utils/time');
+
+/**
+ * What a prediction is based on
+ */
+const BASIS = Object.freeze({
+  REAL_TIME: 'real_time',
+  SCHEDULE_ONLY: 'schedule_only'
+});
+
+/**
+ * Confidence levels
+ */
+const CONFIDENCE = Object.freeze({
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+});
+
+/**
+ * Stops ahead up to which a real-time prediction can be high/medium confidence
+ */
+const HIGH_CONFIDENCE_MAX_STOPS = 3;
+const MEDIUM_CONFIDENCE_MAX_STOPS = 10;
+
+/**
+ * How far back observed segment travel times are used.
+ * Traffic changes over the day, so only the last hour is representative.
+ */
+const OBSERVED_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * How long the observed travel times of a route are reused
+ */
+const OBSERVED_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Default and maximum number of predictions per stop
+ */
+const DEFAULT_STOP_PREDICTIONS = 10;
+const MAX_STOP_PREDICTIONS = 50;
+
+/**
+ * Median of a non-empty list of numbers
+ * @param {number[]} values - Values
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * PredictionService Class
+ *
+ * Handles bus and stop arrival predictions.
+ */
+class PredictionService {
+  constructor() {
+    this.observedCache = new Map();
+  }
+
+  /**
+   * Predict the arrivals of a bus at the remaining stops of its trip
+   *
+   * @param {string} busId - Bus ID
+   * @returns {Promise<Object>} { busId, routeId, tripId, tripStartDate, basis, generatedAt, predictions }
+   * @throws {Error} If bus not found (404)
+   */
+  async getBusPredictions(busId) {
+    const bus = await busRepository.findById(busId);
+
+    if (!bus) {
+      const error = new Error('Bus not found');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+
+    const now = new Date();
+    const result = bus.tripId ? await this.predictTrip(bus, now) : null;
+
+    return {
+      busId,
+      routeId: bus.route,
+      tripId: bus.tripId,
+      tripStartDate: bus.tripStartDate,
+      basis: result ? result.basis : null,
+      generatedAt: now.toISOString(),
+      predictions: result ? result.predictions : []
+    };
+  }
+
+  /**
+   * Predict the next bus arrivals at a stop
+   *
+   * Covers the buses whose active trip serves the stop and has not passed
+   * it yet, soonest first.
+   *
+   * @param {string} stopId - GTFS stop ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=10] - Max predictions (capped at 50)
+   * @returns {Promise<Object>} { stopId, stopName, generatedAt, predictions }
+   * @throws {Error} If stop not found (404)
+   */
+  async getStopPredictions(stopId, options = {}) {
+    const stop = await stopRepository.findById(stopId);
+
+    if (!stop) {
+      const error = new Error('Stop not found');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+
+    const limit = Math.min(MAX_STOP_PREDICTIONS, Math.max(1, options.limit || DEFAULT_STOP_PREDICTIONS));
+    const now = new Date();
+    const stopTimes = await stopTimeRepository.findByStop(stopId);
+    const buses = stopTimes.length > 0
+      ? await busRepository.findByTripIds(stopTimes.map(stopTime => stopTime.tripId))
+      : [];
+
+    const predictions = [];
+
+    for (const bus of buses) {
+      const result = await this.predictTrip(bus, now);
+      const next = result && result.predictions.find(prediction => prediction.stopId === stopId);
+
+      if (next) {
+        predictions.push(next);
+      }
+    }
+
+    predictions.sort((a, b) => new Date(a.predictedArrival) - new Date(b.predictedArrival));
+
+    return {
+      stopId,
+      stopName: stop.name,
+      generatedAt: now.toISOString(),
+      predictions: predictions.slice(0, limit)
+    };
+  }
+
+  /**
+   * Predict the remaining stops of the active trip of a bus
+   *
+   * @param {Bus} bus - Bus with tripId and tripStartDate (and tripStartTime for frequency-based trips)
+   * @param {Date} now - Prediction time
+   * @returns {Promise<{basis: string, predictions: Object[]}|null>} null if the trip has no stops
+   */
+  async predictTrip(bus, now) {
+    const stops = await stopVisitService.getTripStops(bus.tripId, bus.tripStartTime);
+
+    if (!stops) {
+      return null;
+    }
+
+    const progress = await stopVisitRepository.findProgress(bus.id);
+    const observed = bus.route ? await this.getObservedSegmentTimes(bus.route, now) : new Map();
+    const timeZone = await serviceCalendarService.getRouteTimeZone(bus.route);
+
+    return this._predict(bus, stops, progress, observed, now, timeZone);
+  }
+
+  /**
+   * Median observed travel time per segment of a route, over the last hour
+   *
+   * Cached for OBSERVED_CACHE_TTL_MS.
+   *
+   * @param {string} routeId - GTFS route ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Map<string, number>>} Seconds keyed by "<fromStopId>><toStopId>"
+   */
+  async getObservedSegmentTimes(routeId, now) {
+    const cached = this.observedCache.get(routeId);
+    if (cached && cached.expiresAt > now.getTime()) {
+      return cached.segments;
+    }
+
+    const visits = await stopVisitRepository.listRecentByRoute(routeId, new Date(now.getTime() - OBSERVED_WINDOW_MS));
+    const samples = new Map();
+
+    visits
+      .filter(visit => visit.previousStopId && visit.travelSeconds !== null)
+      .forEach(visit => {
+        const key = `${visit.previousStopId}>${visit.stopId}`;
+        samples.set(key, [...(samples.get(key) || []), visit.travelSeconds]);
+      });
+
+    const segments = new Map([...samples].map(([key, values]) => [key, median(values)]));
+    this.observedCache.set(routeId, { segments, expiresAt: now.getTime() + OBSERVED_CACHE_TTL_MS });
+
+    return segments;
+  }
+
+  /**
+   * Compute the predictions of a trip
+   * @private
+   * @param {Bus} bus - Bus
+   * @param {Object[]} stops - Trip stops (see stopVisitService.getTripStops)
+   * @param {Object} progress - Trip progress (see stopVisitRepository.findProgress)
+   * @param {Map<string, number>} observed - Observed segment times (see getObservedSegmentTimes)
+   * @param {Date} now - Prediction time
+   * @param {string} timeZone - Time zone of the service day (agency_timezone)
+   * @returns {{basis: string, predictions: Object[]}}
+   */
+  _predict(bus, stops, progress, observed, now, timeZone) {
+    const dayStart = serviceDayStart(bus.tripStartDate, timeZone).getTime();
+    const sameTrip = progress.tripId === bus.tripId && progress.serviceDate === bus.tripStartDate &&
+      progress.startTime === bus.tripStartTime;
+    const anchorSequence = sameTrip
+      ? (progress.current ? progress.current.stopSequence : progress.lastSequence)
+      : null;
+    const anchorIndex = anchorSequence === null
+      ? -1
+      : stops.findIndex(stop => stop.stopSequence === anchorSequence);
+
+    const prediction = (stop, predictedArrival, basis, confidence) => {
+      const scheduledArrival = new Date(dayStart + stop.arrivalSeconds * 1000);
+
+      return {
+        busId: bus.id,
+        routeId: bus.route,
+        tripId: bus.tripId,
+        serviceDate: bus.tripStartDate,
+        startTime: bus.tripStartTime,
+        stopId: stop.stopId,
+        stopSequence: stop.stopSequence,
+        scheduledArrival: scheduledArrival.toISOString(),
+        predictedArrival: predictedArrival.toISOString(),
+        delaySeconds: Math.round((predictedArrival - scheduledArrival) / 1000),
+        basis,
+        confidence
+      };
+    };
+
+    if (anchorIndex === -1) {
+      return {
+        basis: BASIS.SCHEDULE_ONLY,
+        predictions: stops.map(stop => prediction(
+          stop,
+          new Date(dayStart + stop.arrivalSeconds * 1000),
+          BASIS.SCHEDULE_ONLY,
+          CONFIDENCE.LOW
+        ))
+      };
+    }
+
+    const dwellMs = stop => Math.max(0, stop.departureSeconds - stop.arrivalSeconds) * 1000;
+    const anchor = stops[anchorIndex];
+
+    // Departure from the anchor stop: expected after its dwell when the bus
+    // is still there, observed otherwise
+    let cursor = progress.current
+      ? Math.max(now.getTime(), progress.current.arrivedAt.getTime() + dwellMs(anchor))
+      : (progress.lastDepartedAt || now).getTime();
+    let overdue = false;
+    let observedSegments = 0;
+
+    const predictions = stops.slice(anchorIndex + 1).map((stop, offset) => {
+      const previous = stops[anchorIndex + offset];
+      const observedSeconds = observed.get(`${previous.stopId}>${stop.stopId}`);
+      const seconds = observedSeconds !== undefined
+        ? observedSeconds
+        : Math.max(0, stop.arrivalSeconds - previous.departureSeconds);
+
+      if (observedSeconds !== undefined) {
+        observedSegments++;
+      }
+
+      let arrival = cursor + seconds * 1000;
+
+      // Slower than expected on the current segment: it can arrive any moment
+      if (offset === 0 && arrival < now.getTime()) {
+        arrival = now.getTime();
+        overdue = true;
+      }
+
+      cursor = arrival + dwellMs(stop);
+
+      const stopsAhead = offset + 1;
+      let confidence = CONFIDENCE.LOW;
+      if (stopsAhead <= HIGH_CONFIDENCE_MAX_STOPS && observedSegments === stopsAhead && !overdue) {
+        confidence = CONFIDENCE.HIGH;
+      } else if (stopsAhead <= MEDIUM_CONFIDENCE_MAX_STOPS) {
+        confidence = CONFIDENCE.MEDIUM;
+      }
+
+      return prediction(stop, new Date(arrival), BASIS.REAL_TIME, confidence);
+    });
+
+    return { basis: BASIS.REAL_TIME, predictions };
+  }
+}
+
+// Export singleton instance
+module.exports = new PredictionService();
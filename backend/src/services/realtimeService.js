@@ -0,0 +1,197 @@
+/**
+ * Realtime Service
+ *
+ * Server-Sent Events (SSE) hub for live bus updates.
+ * Listens to busEvents and pushes matching events to open streams.
+ */
+
+const { BUS_EVENTS, busEvents } = require('./busEvents');
+
+/**
+ * Keep-alive comment interval (proxies drop idle connections at ~30-60s)
+ */
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Reconnect delay suggested to EventSource clients
+ */
+const RETRY_MS = 5000;
+
+/**
+ * RealtimeService Class
+ *
+ * Tracks open SSE streams and their subscription filters.
+ */
+class RealtimeService {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.eventId = 0;
+
+    busEvents.on(BUS_EVENTS.POSITION, event => this.broadcast(BUS_EVENTS.POSITION, event));
+    busEvents.on(BUS_EVENTS.STATUS, event => this.broadcast(BUS_EVENTS.STATUS, event));
+    busEvents.on(BUS_EVENTS.GEOFENCE, event => this.broadcast(BUS_EVENTS.GEOFENCE, event));
+    busEvents.on(BUS_EVENTS.OFF_ROUTE, event => this.broadcast(BUS_EVENTS.OFF_ROUTE, event));
+    busEvents.on(BUS_EVENTS.STOP, event => this.broadcast(BUS_EVENTS.STOP, event));
+  }
+
+  /**
+   * Open an SSE stream on a response
+   *
+   * Filters (mutually exclusive, none = whole fleet):
+   * - route: only buses on this route
+   * - busIds: only these buses
+   *
+   * The stream is closed with an `expired` event when the access token
+   * expires, so clients reconnect with a fresh token.
+   *
+   * @param {Object} res - Express response
+   * @param {Object} [options] - Subscription options
+   * @param {string} [options.route] - Route filter
+   * @param {string[]} [options.busIds] - Bus ID filter
+   * @param {number} [options.expiresAt] - Token expiry (epoch ms)
+   * @returns {Function} Unsubscribe function (call on request close)
+   */
+  subscribe(res, options = {}) {
+    const client = {
+      res,
+      route: options.route || null,
+      busIds: options.busIds && options.busIds.length > 0 ? new Set(options.busIds) : null,
+      expiryTimer: null
+    };
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable proxy buffering (nginx)
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    this._send(client, 'ready', {
+      scope: client.busIds ? 'buses' : client.route ? 'route' : 'fleet',
+      route: client.route,
+      busIds: client.busIds ? [...client.busIds] : null
+    });
+
+    if (options.expiresAt) {
+      const delay = Math.max(0, options.expiresAt - Date.now());
+      client.expiryTimer = setTimeout(() => {
+        this._send(client, 'expired', { reason: 'Access token expired, reconnect with a new token' });
+        this._remove(client);
+        res.end();
+      }, delay);
+      client.expiryTimer.unref();
+    }
+
+    this.clients.add(client);
+    this._startHeartbeat();
+
+    return () => this._remove(client);
+  }
+
+  /**
+   * Push an event to every stream whose filter matches
+   *
+   * @param {string} eventName - SSE event name
+   * @param {Object} event - Event payload (busId, route, previousRoute, ...)
+   * @returns {void}
+   */
+  broadcast(eventName, event) {
+    this.clients.forEach(client => {
+      if (this.matches(client, event)) {
+        this._send(client, eventName, event);
+      }
+    });
+  }
+
+  /**
+   * Check if an event matches a client's subscription
+   *
+   * Route subscribers also receive the update that moves a bus off their route.
+   *
+   * @param {Object} client - Subscribed client
+   * @param {Object} event - Event payload
+   * @returns {boolean}
+   */
+  matches(client, event) {
+    if (client.busIds) {
+      return client.busIds.has(event.busId);
+    }
+
+    if (client.route) {
+      return event.route === client.route || event.previousRoute === client.route;
+    }
+
+    return true;
+  }
+
+  /**
+   * Number of open streams
+   * @returns {number}
+   */
+  count() {
+    return this.clients.size;
+  }
+
+  /**
+   * Close every open stream (graceful shutdown)
+   * @returns {void}
+   */
+  closeAll() {
+    [...this.clients].forEach(client => {
+      this._remove(client);
+      client.res.end();
+    });
+  }
+
+  /**
+   * Write one SSE message
+   * @private
+   * @param {Object} client - Subscribed client
+   * @param {string} eventName - SSE event name
+   * @param {Object} data - JSON payload
+   */
+  _send(client, eventName, data) {
+    this.eventId += 1;
+    client.res.write(`id: ${this.eventId}\nevent: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Forget a client and stop timers
+   * @private
+   * @param {Object} client - Subscribed client
+   */
+  _remove(client) {
+    if (client.expiryTimer) {
+      clearTimeout(client.expiryTimer);
+    }
+
+    this.clients.delete(client);
+
+    if (this.clients.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Start the shared keep-alive timer if needed
+   * @private
+   */
+  _startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': ping\n\n'));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+}
+
+// Export singleton instance
+module.exports = new RealtimeService();
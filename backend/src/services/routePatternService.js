@@ -0,0 +1,240 @@
+/**
+ * Route Pattern Service
+ *
+ * Derives the stop patterns of a route from its trips: trips of a
+ * direction (Trip.directionId) that serve the same stops in the same order
+ * share a pattern. Patterns are ranked by how many trips run them
+ * (frequency-based trips count each instance), so the first pattern of a
+ * direction is its main one. The ordered stops of a direction merge its
+ * patterns into the main one, for route diagrams and stop lists.
+ */
+
+const crypto = require('crypto');
+const { routeRepository, tripRepository, stopTimeRepository, stopRepository, frequencyRepository } = require('./gtfs');
+const { createGtfsCache } = require('./gtfsCache');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * ID of a pattern: its route, direction and a hash of its stops, so it
+ * does not change when trips are added or patterns change rank
+ * (generated timetables keep the pattern they follow)
+ * @param {string} routeId - GTFS route ID
+ * @param {string} directionId - Direction ID
+ * @param {string[]} stopIds - Stop IDs in stop_sequence order
+ * @returns {string} <routeId>:<directionId>:<8 hex digits>
+ */
+function patternId(routeId, directionId, stopIds) {
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([directionId, stopIds]))
+    .digest('hex')
+    .slice(0, 8);
+
+  return `${routeId}:${directionId}:${hash}`;
+}
+
+/**
+ * Most frequent non-empty value
+ * @param {Array<string|null>} values - Values
+ * @returns {string|null} null if every value is empty
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) {
+      best = value;
+    }
+  });
+  return best;
+}
+
+/**
+ * Merge stop sequences into one ordered list, keeping the first as is
+ *
+ * Stops missing from the list are inserted after the stop that precedes
+ * them in their sequence (at the start when none does).
+ *
+ * @param {string[][]} sequences - Stop IDs in order, main sequence first
+ * @returns {string[]}
+ */
+function mergeStopSequences(sequences) {
+  const merged = [...sequences[0]];
+
+  sequences.slice(1).forEach(sequence => {
+    let position = -1;
+
+    sequence.forEach(stopId => {
+      const index = merged.indexOf(stopId);
+
+      if (index === -1) {
+        merged.splice(position + 1, 0, stopId);
+        position++;
+      } else {
+        position = index;
+      }
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * RoutePatternService Class
+ *
+ * Handles stop pattern grouping and the ordered stops of each direction.
+ */
+class RoutePatternService {
+  constructor() {
+    this.patternsCache = createGtfsCache();
+  }
+
+  /**
+   * Stop patterns of a route, by direction and then most trips first, cached
+   * (see gtfsCache)
+   *
+   * @param {string} routeId - GTFS route ID
+   * @returns {Promise<Object>} { routeId, routeShortName, patterns: [{ id, directionId, headsign,
+   *   shapeId, tripCount, tripIds, stops }] }
+   * @throws {Error} If route not found (404)
+   */
+  async getRoutePatterns(routeId) {
+    const cached = this.patternsCache.get(routeId);
+    if (cached) {
+      return cached;
+    }
+
+    const route = await routeRepository.findById(routeId);
+
+    if (!route) {
+      throw httpError(404, 'NOT_FOUND', 'Route not found');
+    }
+
+    const trips = await tripRepository.findByRoute(routeId);
+    const tripIds = trips.map(trip => trip.id);
+    const [stopTimes, frequencies] = await Promise.all([
+      tripIds.length > 0 ? stopTimeRepository.findByTripIds(tripIds) : [],
+      tripIds.length > 0 ? frequencyRepository.findByTripIds(tripIds) : []
+    ]);
+
+    // Stop IDs of each trip, in stop_sequence order
+    const tripStops = new Map();
+    stopTimes.forEach(stopTime => {
+      if (!tripStops.has(stopTime.tripId)) {
+        tripStops.set(stopTime.tripId, []);
+      }
+      tripStops.get(stopTime.tripId).push(stopTime.stopId);
+    });
+
+    // Trips run once, or once per instance with frequencies
+    const instances = new Map();
+    frequencies.forEach(frequency => {
+      instances.set(frequency.tripId, (instances.get(frequency.tripId) || 0) + frequency.getTripStarts().length);
+    });
+
+    const groups = new Map();
+    trips.forEach(trip => {
+      const stopIds = tripStops.get(trip.id);
+
+      if (!stopIds) {
+        return;
+      }
+
+      const key = `${trip.directionId}|${stopIds.join('>')}`;
+      if (!groups.has(key)) {
+        groups.set(key, { directionId: trip.directionId, stopIds, trips: [], tripCount: 0 });
+      }
+
+      const group = groups.get(key);
+      group.trips.push(trip);
+      group.tripCount += instances.has(trip.id) ? instances.get(trip.id) : 1;
+    });
+
+    const stops = await this._findStops([...groups.values()].flatMap(group => group.stopIds));
+    const ranked = [...groups.values()].sort((a, b) => a.directionId.localeCompare(b.directionId) ||
+      b.tripCount - a.tripCount ||
+      b.stopIds.length - a.stopIds.length ||
+      a.stopIds.join('>').localeCompare(b.stopIds.join('>')));
+
+    const patterns = ranked.map(group => ({
+      id: patternId(routeId, group.directionId, group.stopIds),
+      directionId: group.directionId,
+      headsign: mostCommon(group.trips.map(trip => trip.headsign)),
+      shapeId: mostCommon(group.trips.map(trip => trip.shapeId)),
+      tripCount: group.tripCount,
+      tripIds: group.trips.map(trip => trip.id).sort(),
+      stops: group.stopIds.map(stopId => stops.get(stopId))
+    }));
+
+    return this.patternsCache.set(routeId, { routeId, routeShortName: route.shortName, patterns });
+  }
+
+  /**
+   * Ordered stops of each direction of a route
+   *
+   * Every stop served in a direction is listed once, following the main
+   * pattern; stops of the other patterns are placed after the stop before
+   * them in their pattern.
+   *
+   * @param {string} routeId - GTFS route ID
+   * @returns {Promise<Object>} { routeId, routeShortName, directions: [{ directionId, headsign, stops }] }
+   * @throws {Error} If route not found (404)
+   */
+  async getRouteStops(routeId) {
+    const { routeShortName, patterns } = await this.getRoutePatterns(routeId);
+    const directions = new Map();
+
+    patterns.forEach(pattern => {
+      if (!directions.has(pattern.directionId)) {
+        directions.set(pattern.directionId, []);
+      }
+      directions.get(pattern.directionId).push(pattern);
+    });
+
+    return {
+      routeId,
+      routeShortName,
+      directions: [...directions].map(([directionId, directionPatterns]) => {
+        const stops = new Map(directionPatterns.flatMap(pattern => pattern.stops).map(stop => [stop.stopId, stop]));
+        const stopIds = mergeStopSequences(
+          directionPatterns.map(pattern => [...new Set(pattern.stops.map(stop => stop.stopId))])
+        );
+
+        return {
+          directionId,
+          headsign: directionPatterns[0].headsign,
+          stops: stopIds.map(stopId => stops.get(stopId))
+        };
+      })
+    };
+  }
+
+  /**
+   * Clear cached patterns (after trip or stop time changes)
+   */
+  clearCache() {
+    this.patternsCache.clear();
+  }
+
+  /**
+   * Stops of a pattern as listed in responses, once per ID
+   * @private
+   * @param {string[]} stopIds - Stop IDs (repeats allowed)
+   * @returns {Promise<Map<string, Object>>} { stopId, name, lat, lng } by ID (null fields for missing stops)
+   */
+  async _findStops(stopIds) {
+    const unique = [...new Set(stopIds)];
+    const stops = await Promise.all(unique.map(stopId => stopRepository.findById(stopId)));
+
+    return new Map(unique.map((stopId, index) => [stopId, {
+      stopId,
+      name: stops[index] ? stops[index].name : null,
+      lat: stops[index] ? stops[index].lat : null,
+      lng: stops[index] ? stops[index].lng : null
+    }]));
+  }
+}
+
+// Export singleton instance
+module.exports = new RoutePatternService();
@@ -0,0 +1,176 @@
+/**
+ * Service Calendar Service
+ *
+ * Resolves which GTFS services (Trip.serviceId) run on a date.
+ * A service runs when its calendar.txt weekly pattern includes the day
+ * and the date is within its range, unless calendar_dates.txt removes it;
+ * calendar_dates.txt can also add a service on a date. Dates are service
+ * days in the agency's time zone.
+ *
+ * On El Salvador national holidays (utils/holidays) the weekly patterns
+ * are evaluated as a Sunday, unless the feed has calendar_dates for that
+ * date: a feed that lists its own holiday exceptions is followed as is.
+ */
+
+const config = require('../config/env');
+const { calendarRepository, calendarDateRepository, agencyRepository, routeRepository } = require('./gtfs');
+const { Calendar } = require('../models/gtfs');
+const { localDate, toGtfsDate, fromGtfsDate } = require('../utils/time');
+const { findHoliday } = require('../utils/holidays');
+const { createGtfsCache } = require('./gtfsCache');
+
+/**
+ * How long a resolved date is reused (shorter than the GTFS cache default,
+ * as holidays and calendar_dates decide which day a date resolves to)
+ */
+const ACTIVE_SERVICES_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Weekly pattern followed on holidays without calendar_dates
+ */
+const HOLIDAY_WEEKDAY = 'sunday';
+
+/**
+ * ServiceCalendarService Class
+ *
+ * Handles time zone resolution, holiday substitution and the active service list.
+ */
+class ServiceCalendarService {
+  constructor() {
+    this.activeServicesCache = createGtfsCache(ACTIVE_SERVICES_CACHE_TTL_MS);
+    this.routeTimeZoneCache = createGtfsCache(ACTIVE_SERVICES_CACHE_TTL_MS);
+  }
+
+  /**
+   * Services running on a date
+   *
+   * @param {Object} [options] - Resolution options
+   * @param {string} [options.date] - Service date (YYYY-MM-DD or YYYYMMDD)
+   * @param {Date} [options.at] - Instant whose local date is used when no date is given (default: now)
+   * @param {string} [options.agencyId] - Agency whose time zone defines the local date
+   *   (default: the first agency, else config.time.TIMEZONE)
+   * @returns {Promise<Object>} { date, timeZone, weekday, holiday, serviceIds }
+   * @throws {Error} If the date is invalid (422) or the agency is not found (404)
+   */
+  async getActiveServices(options = {}) {
+    const timeZone = await this._resolveTimeZone(options.agencyId);
+
+    let date;
+    if (options.date) {
+      date = toGtfsDate(options.date);
+      if (!date) {
+        const error = new Error('Date must be a valid date (YYYY-MM-DD)');
+        error.status = 422;
+        error.type = 'VALIDATION_ERROR';
+        throw error;
+      }
+    } else {
+      date = toGtfsDate(localDate(options.at || new Date(), timeZone));
+    }
+
+    const cacheKey = `${timeZone}|${date}`;
+    const cached = this.activeServicesCache.get(cacheKey);
+    if (cached) {
+      return { ...cached, serviceIds: [...cached.serviceIds] };
+    }
+
+    const [calendars, exceptions] = await Promise.all([
+      calendarRepository.findInEffect(date),
+      calendarDateRepository.findByDate(date)
+    ]);
+
+    const holiday = findHoliday(fromGtfsDate(date));
+    const weekday = holiday && exceptions.length === 0 ? HOLIDAY_WEEKDAY : Calendar.weekdayOf(date);
+
+    const serviceIds = new Set(
+      calendars
+        .filter(calendar => calendar.runsOnWeekday(weekday))
+        .map(calendar => calendar.id)
+    );
+
+    exceptions.forEach(exception => {
+      if (exception.isAdded()) {
+        serviceIds.add(exception.serviceId);
+      } else if (exception.isRemoved()) {
+        serviceIds.delete(exception.serviceId);
+      }
+    });
+
+    const result = {
+      date: fromGtfsDate(date),
+      timeZone,
+      weekday,
+      holiday: holiday ? holiday.name : null,
+      serviceIds: [...serviceIds].sort()
+    };
+
+    this.activeServicesCache.set(cacheKey, result);
+
+    return { ...result, serviceIds: [...result.serviceIds] };
+  }
+
+  /**
+   * IDs of the services running on a date (see getActiveServices)
+   * @param {Object} [options] - Resolution options
+   * @returns {Promise<Set<string>>}
+   */
+  async getActiveServiceIds(options = {}) {
+    const { serviceIds } = await this.getActiveServices(options);
+    return new Set(serviceIds);
+  }
+
+  /**
+   * Time zone of the service days of a route: its agency's agency_timezone
+   * (see _resolveTimeZone). Cached like the active services, as GPS fixes
+   * resolve it on every stop visit.
+   * @param {string|null} routeId - GTFS route ID
+   * @returns {Promise<string>} IANA time zone
+   * @throws {Error} If the route agency is not found (404)
+   */
+  async getRouteTimeZone(routeId) {
+    const cacheKey = routeId || '';
+    const cached = this.routeTimeZoneCache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const route = routeId ? await routeRepository.findById(routeId) : null;
+    return this.routeTimeZoneCache.set(cacheKey, await this._resolveTimeZone(route ? route.agencyId : null));
+  }
+
+  /**
+   * Time zone of an agency, the first agency, or the configured one
+   * @private
+   * @param {string} [agencyId] - Agency ID
+   * @returns {Promise<string>} IANA time zone
+   * @throws {Error} If the agency is not found (404)
+   */
+  async _resolveTimeZone(agencyId) {
+    if (agencyId) {
+      const agency = await agencyRepository.findById(agencyId);
+
+      if (!agency) {
+        const error = new Error('Agency not found');
+        error.status = 404;
+        error.type = 'NOT_FOUND';
+        throw error;
+      }
+
+      return agency.timezone;
+    }
+
+    const [agency] = await agencyRepository.list();
+    return agency ? agency.timezone : config.time.TIMEZONE;
+  }
+
+  /**
+   * Clear the resolved dates (after calendar changes)
+   */
+  clearCache() {
+    this.activeServicesCache.clear();
+    this.routeTimeZoneCache.clear();
+  }
+}
+
+// Export singleton instance
+module.exports = new ServiceCalendarService();
@@ -0,0 +1,112 @@
+/**
+ * Shape Service
+ *
+ * Fills shape_dist_traveled of a trip's stop times from its shape
+ * (see utils/shapes): each stop is projected onto the shape, in
+ * stop_sequence order. When the shape has no distances of its own, both
+ * the shape points and the stop times get meters along the shape, so
+ * their units agree.
+ */
+
+const { tripRepository, stopTimeRepository, stopRepository, shapeRepository } = require('./gtfs');
+const { Shape } = require('../models/gtfs');
+const { computeShapeDistTraveled } = require('../utils/shapes');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Stops farther than this from the shape are listed as warnings
+ * (wrong stop coordinates or the wrong shape)
+ */
+const MAX_STOP_OFFSET_METERS = 100;
+
+/**
+ * ShapeService Class
+ *
+ * Handles stop projection and shape distance updates.
+ */
+class ShapeService {
+  /**
+   * Compute (and store) shape_dist_traveled for the stop times of a trip
+   *
+   * @param {string} tripId - Trip ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.dryRun=false] - Compute only, write nothing
+   * @returns {Promise<Object>} { tripId, shapeId, units, saved, stopTimes, warnings }
+   * @throws {Error} If the trip or its shape is not found (404), or the trip
+   *   has no shape, no stop times or stops without location (422)
+   */
+  async computeTripShapeDistances(tripId, options = {}) {
+    const trip = await tripRepository.findById(tripId);
+
+    if (!trip) {
+      throw httpError(404, 'NOT_FOUND', 'Trip not found');
+    }
+
+    if (!trip.shapeId) {
+      throw httpError(422, 'VALIDATION_ERROR', 'Trip has no shape');
+    }
+
+    const shape = await shapeRepository.findById(trip.shapeId);
+
+    if (!shape) {
+      throw httpError(404, 'NOT_FOUND', 'Shape not found');
+    }
+
+    const stopTimes = await stopTimeRepository.findByTrip(tripId);
+
+    if (stopTimes.length === 0) {
+      throw httpError(422, 'VALIDATION_ERROR', 'Trip has no stop times');
+    }
+
+    const stops = new Map();
+    for (const stopId of new Set(stopTimes.map(stopTime => stopTime.stopId))) {
+      stops.set(stopId, await stopRepository.findById(stopId));
+    }
+
+    const missing = stopTimes.find(stopTime => !stops.get(stopTime.stopId));
+    if (missing) {
+      throw httpError(422, 'VALIDATION_ERROR', `Stop ${missing.stopId} not found`);
+    }
+
+    const { units, shapeDistances, stops: projected } = computeShapeDistTraveled(
+      shape.points,
+      stopTimes.map(stopTime => stops.get(stopTime.stopId))
+    );
+
+    stopTimes.forEach((stopTime, index) => {
+      stopTime.shapeDistTraveled = projected[index].distTraveled;
+    });
+
+    const warnings = stopTimes
+      .filter((stopTime, index) => projected[index].offsetMeters > MAX_STOP_OFFSET_METERS)
+      .map(stopTime => `Stop ${stopTime.stopId} (sequence ${stopTime.stopSequence}) is more than ${MAX_STOP_OFFSET_METERS} m from the shape`);
+
+    if (!options.dryRun) {
+      if (units === 'meters') {
+        await shapeRepository.update(new Shape({
+          id: shape.id,
+          points: shape.points.map((point, index) => ({ ...point, distTraveled: shapeDistances[index] }))
+        }));
+      }
+      await stopTimeRepository.bulkUpdate(stopTimes);
+    }
+
+    return {
+      tripId,
+      shapeId: shape.id,
+      units,
+      saved: !options.dryRun,
+      stopTimes: stopTimes.map((stopTime, index) => ({
+        id: stopTime.id,
+        stopId: stopTime.stopId,
+        stopSequence: stopTime.stopSequence,
+        shapeDistTraveled: stopTime.shapeDistTraveled,
+        offsetMeters: projected[index].offsetMeters
+      })),
+      warnings
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ShapeService();
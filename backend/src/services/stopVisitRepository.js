@@ -0,0 +1,248 @@
+/**
+ * Stop Visit Repository
+ *
+ * Repository pattern for StopVisit entity.
+ * Keeps the progress of each bus along its active trip (last stop passed,
+ * stop it is currently at) and stores the arrivals/departures derived from it.
+ */
+
+const { db } = require('../config/db');
+const StopVisit = require('../models/StopVisit');
+const { FieldValue } = require('firebase-admin').firestore;
+
+/**
+ * Default and maximum number of visits per query
+ */
+const DEFAULT_VISITS_LIMIT = 100;
+const MAX_VISITS_LIMIT = 500;
+
+/**
+ * Convert a Firestore Timestamp (or Date/null) to a Date
+ * @param {*} value - Firestore field value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * IStopVisitRepository Interface
+ *
+ * Contract for stop visit repository implementations.
+ * All implementations must provide these methods.
+ *
+ * @interface IStopVisitRepository
+ */
+class IStopVisitRepository {
+  /**
+   * Atomically update the trip progress of a bus and write its visits
+   * @param {string} busId - Bus ID
+   * @param {Function} apply - (state) => { state, visits } or null if nothing changed
+   * @returns {Promise<{updated: boolean, visits: StopVisit[]}>}
+   */
+  async updateProgress(_busId, _apply) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Get the trip progress of a bus
+   * @param {string} busId - Bus ID
+   * @returns {Promise<Object>} State (see updateProgress), empty if never recorded
+   */
+  async findProgress(_busId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List visits of a bus, most recent arrival first
+   * @param {string} busId - Bus ID
+   * @param {Object} [options] - Query options
+   * @returns {Promise<StopVisit[]>}
+   */
+  async listVisits(_busId, _options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List recent visits on a route (all buses), most recent arrival first
+   * @param {string} routeId - GTFS route ID
+   * @param {Date} since - Oldest arrival
+   * @returns {Promise<StopVisit[]>}
+   */
+  async listRecentByRoute(_routeId, _since) {
+    throw new Error('Method not implemented');
+  }
+}
+
+/**
+ * FirestoreStopVisitRepository
+ *
+ * Firestore implementation of IStopVisitRepository.
+ * Progress is one document per bus (ID = bus ID); visit IDs are derived
+ * from the trip instance and the stop sequence (see StopVisit.buildId).
+ */
+class FirestoreStopVisitRepository extends IStopVisitRepository {
+  constructor() {
+    super();
+    this.visits = db.collection(StopVisit.collection());
+    this.progress = db.collection(StopVisit.progressCollection());
+  }
+
+  /**
+   * Map a progress document to a plain state object
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {{tripId: string|null, serviceDate: string|null, startTime: string|null, lastSequence: number|null, lastDepartedAt: Date|null, current: Object|null, lastFixAt: Date|null}}
+   */
+  _mapState(doc) {
+    if (!doc.exists) {
+      return { tripId: null, serviceDate: null, startTime: null, lastSequence: null, lastDepartedAt: null, current: null, lastFixAt: null };
+    }
+
+    const data = doc.data();
+    return {
+      tripId: data.tripId || null,
+      serviceDate: data.serviceDate || null,
+      startTime: data.startTime || null,
+      lastSequence: data.lastSequence ?? null,
+      lastDepartedAt: toDate(data.lastDepartedAt),
+      current: data.current
+        ? { ...data.current, arrivedAt: toDate(data.current.arrivedAt) }
+        : null,
+      lastFixAt: toDate(data.lastFixAt)
+    };
+  }
+
+  /**
+   * Atomically update the trip progress of a bus and write its visits
+   *
+   * Runs in a transaction so concurrent fixes of the same bus cannot record
+   * the same arrival twice. `apply` receives the stored state ({ tripId,
+   * serviceDate, startTime, lastSequence, lastDepartedAt, current, lastFixAt }) and
+   * returns the new state plus the arrived/departed visits, or null.
+   *
+   * @param {string} busId - Bus ID
+   * @param {Function} apply - (state) => { state, visits } | null
+   * @returns {Promise<{updated: boolean, visits: StopVisit[]}>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async updateProgress(busId, apply) {
+    try {
+      const docRef = this.progress.doc(busId);
+
+      return await db.runTransaction(async transaction => {
+        const result = apply(this._mapState(await transaction.get(docRef)));
+
+        if (!result) {
+          return { updated: false, visits: [] };
+        }
+
+        transaction.set(docRef, {
+          busId,
+          tripId: result.state.tripId,
+          serviceDate: result.state.serviceDate,
+          startTime: result.state.startTime,
+          lastSequence: result.state.lastSequence,
+          lastDepartedAt: result.state.lastDepartedAt,
+          current: result.state.current,
+          lastFixAt: result.state.lastFixAt,
+          updatedAt: FieldValue.serverTimestamp()
+        });
+
+        result.visits.forEach(visit => {
+          transaction.set(this.visits.doc(visit.id), {
+            ...visit.toDatabase(),
+            updatedAt: FieldValue.serverTimestamp()
+          });
+        });
+
+        return { updated: true, visits: result.visits };
+      });
+    } catch (error) {
+      console.error('Firestore error in updateProgress:', error);
+      throw new Error(`Database error while updating trip progress: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the trip progress of a bus
+   * @param {string} busId - Bus ID
+   * @returns {Promise<Object>} State (see updateProgress), empty if never recorded
+   * @throws {Error} If database error occurs (500)
+   */
+  async findProgress(busId) {
+    try {
+      return this._mapState(await this.progress.doc(busId).get());
+    } catch (error) {
+      console.error('Firestore error in findProgress:', error);
+      throw new Error(`Database error while finding trip progress: ${error.message}`);
+    }
+  }
+
+  /**
+   * List visits of a bus, most recent arrival first
+   * @param {string} busId - Bus ID
+   * @param {Object} [options] - Query options
+   * @param {string} [options.tripId] - Filter by GTFS trip
+   * @param {string} [options.serviceDate] - Filter by service date (YYYY-MM-DD)
+   * @param {number} [options.limit=100] - Max visits (capped at 500)
+   * @returns {Promise<StopVisit[]>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async listVisits(busId, options = {}) {
+    try {
+      const limit = Math.min(MAX_VISITS_LIMIT, Math.max(1, options.limit || DEFAULT_VISITS_LIMIT));
+
+      let query = this.visits.where('busId', '==', busId);
+
+      if (options.tripId) {
+        query = query.where('tripId', '==', options.tripId);
+      }
+
+      if (options.serviceDate) {
+        query = query.where('serviceDate', '==', options.serviceDate);
+      }
+
+      const snapshot = await query.orderBy('arrivedAt', 'desc').limit(limit).get();
+
+      return snapshot.docs.map(doc => StopVisit.fromDatabase(doc.data()));
+    } catch (error) {
+      console.error('Firestore error in listVisits:', error);
+      throw new Error(`Database error while listing stop visits: ${error.message}`);
+    }
+  }
+
+  /**
+   * List recent visits on a route (all buses), most recent arrival first
+   * @param {string} routeId - GTFS route ID
+   * @param {Date} since - Oldest arrival
+   * @returns {Promise<StopVisit[]>} At most 500 visits
+   * @throws {Error} If database error occurs (500)
+   */
+  async listRecentByRoute(routeId, since) {
+    try {
+      const snapshot = await this.visits
+        .where('routeId', '==', routeId)
+        .where('arrivedAt', '>=', since)
+        .orderBy('arrivedAt', 'desc')
+        .limit(MAX_VISITS_LIMIT)
+        .get();
+
+      return snapshot.docs.map(doc => StopVisit.fromDatabase(doc.data()));
+    } catch (error) {
+      console.error('Firestore error in listRecentByRoute:', error);
+      throw new Error(`Database error while listing route stop visits: ${error.message}`);
+    }
+  }
+}
+
+// Export interface and implementation
+module.exports = {
+  IStopVisitRepository,
+  FirestoreStopVisitRepository,
+  // Export singleton instance for convenience
+  stopVisitRepository: new FirestoreStopVisitRepository()
+};
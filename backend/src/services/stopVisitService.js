@@ -0,0 +1,293 @@
+/**
+ * Stop Visit Service
+ *
+ * Detects actual stop arrivals and departures.
+ * Each ingested GPS fix of a bus with an active trip (bus.tripId +
+ * bus.tripStartDate, + bus.tripStartTime for frequency-based trips) is
+ * matched against the stops of that trip instance: the first
+ * fix within GPS_STOP_RADIUS_METERS of the next stop is the arrival, the
+ * first fix outside it afterwards is the departure. Visits are recorded per
+ * trip instance next to the scheduled times, so delays can be measured, with
+ * the travel time from the previous stop (observed segment times for ETAs).
+ * Scheduled times are in the time zone of the route's agency.
+ */
+
+const config = require('../config/env');
+const { stopVisitRepository } = require('./stopVisitRepository');
+const { busRepository } = require('./busRepository');
+const { stopTimeRepository, stopRepository } = require('./gtfs');
+const { busEvents } = require('./busEvents');
+const serviceCalendarService = require('./serviceCalendarService');
+const StopVisit = require('../models/StopVisit');
+const { StopTime } = require('../models/gtfs');
+const { haversineDistance } = require('../utils/geo');
+const { serviceDayStart } = require('../utils/time');
+const { createGtfsCache } = require('./gtfsCache');
+
+/**
+ * StopVisitService Class
+ *
+ * Handles trip stop lookup, fix evaluation and the visit list.
+ */
+class StopVisitService {
+  constructor() {
+    this.tripStopsCache = createGtfsCache();
+  }
+
+  /**
+   * List stop visits of a bus, most recent arrival first
+   *
+   * @param {string} busId - Bus ID
+   * @param {Object} [options] - Query options
+   * @param {string} [options.tripId] - Filter by GTFS trip
+   * @param {string} [options.serviceDate] - Filter by service date (YYYY-MM-DD)
+   * @param {number} [options.limit] - Max visits
+   * @returns {Promise<Object>} { busId, tripId, tripStartDate, visits }
+   * @throws {Error} If bus not found (404)
+   */
+  async getStopVisits(busId, options = {}) {
+    const bus = await busRepository.findById(busId);
+
+    if (!bus) {
+      const error = new Error('Bus not found');
+      error.status = 404;
+      error.type = 'NOT_FOUND';
+      throw error;
+    }
+
+    const visits = await stopVisitRepository.listVisits(busId, options);
+
+    return {
+      busId,
+      tripId: bus.tripId,
+      tripStartDate: bus.tripStartDate,
+      visits: visits.map(visit => visit.toJSON())
+    };
+  }
+
+  /**
+   * Match GPS fixes of a bus with the stops of its active trip
+   *
+   * - Fixes are evaluated oldest first; fixes older than the last
+   *   evaluated fix are ignored
+   * - The bus arrives at the lowest-sequence stop after the last one it
+   *   left that is within the radius (stops without a fix nearby are skipped)
+   * - It departs with the first fix outside the radius of that stop
+   * - Assigning another trip (or start date) restarts the progress
+   * - Buses without an active trip, and trips without stops, are not checked
+   * - Arrivals and departures are broadcast to realtime subscribers
+   *
+   * @param {Bus} bus - Bus the fixes belong to
+   * @param {GpsReading[]} readings - Fixes newer than the previous bus position
+   * @returns {Promise<{visits: Object[]}>} Visits arrived or departed by these fixes
+   */
+  async evaluateFixes(bus, readings) {
+    if (!bus.tripId || readings.length === 0) {
+      return { visits: [] };
+    }
+
+    const stops = await this.getTripStops(bus.tripId, bus.tripStartTime);
+
+    if (!stops) {
+      return { visits: [] };
+    }
+
+    const inOrder = [...readings].sort((a, b) => a.timestamp - b.timestamp);
+    const timeZone = await serviceCalendarService.getRouteTimeZone(bus.route);
+
+    const { visits } = await stopVisitRepository.updateProgress(
+      bus.id,
+      state => this._applyFixes(bus, state, stops, inOrder, timeZone)
+    );
+
+    visits.forEach(visit => busEvents.publishStop(visit));
+
+    return { visits: visits.map(visit => visit.toJSON()) };
+  }
+
+  /**
+   * Stops of a trip in stop_sequence order, cached (see gtfsCache)
+   *
+   * With a start time (frequency-based trips), the stop times are shifted
+   * so the first stop time of the trip is at that time.
+   *
+   * @param {string} tripId - GTFS trip ID
+   * @param {string|null} [startTime=null] - Start time of the trip instance (HH:MM:SS)
+   * @returns {Promise<Object[]|null>} [{ stopId, stopSequence, lat, lng, arrivalSeconds, departureSeconds }], null if none
+   */
+  async getTripStops(tripId, startTime = null) {
+    const { stops, firstArrivalSeconds } = await this._getTemplateStops(tripId);
+
+    if (!stops || !startTime) {
+      return stops;
+    }
+
+    const offset = StopTime.timeToSeconds(startTime) - firstArrivalSeconds;
+
+    return stops.map(stop => ({
+      ...stop,
+      arrivalSeconds: stop.arrivalSeconds + offset,
+      departureSeconds: stop.departureSeconds + offset
+    }));
+  }
+
+  /**
+   * Stops of a trip at its stop times, and the arrival at its first stop time
+   * @private
+   * @param {string} tripId - GTFS trip ID
+   * @returns {Promise<{stops: Object[]|null, firstArrivalSeconds: number|null}>}
+   */
+  async _getTemplateStops(tripId) {
+    const cached = this.tripStopsCache.get(tripId);
+    if (cached) {
+      return cached;
+    }
+
+    const stopTimes = await stopTimeRepository.findByTrip(tripId);
+    const stops = [];
+
+    for (const stopTime of stopTimes) {
+      const stop = await stopRepository.findById(stopTime.stopId);
+
+      if (stop) {
+        stops.push({
+          stopId: stopTime.stopId,
+          stopSequence: stopTime.stopSequence,
+          lat: stop.lat,
+          lng: stop.lng,
+          arrivalSeconds: stopTime.getArrivalSeconds(),
+          departureSeconds: stopTime.getDepartureSeconds()
+        });
+      }
+    }
+
+    return this.tripStopsCache.set(tripId, {
+      stops: stops.length > 0 ? stops : null,
+      firstArrivalSeconds: stopTimes.length > 0 ? stopTimes[0].getArrivalSeconds() : null
+    });
+  }
+
+  /**
+   * Build the visit of a trip stop
+   * @private
+   * @param {Bus} bus - Bus
+   * @param {Object} stop - Trip stop (see getTripStops)
+   * @param {Object} visit - Observed values
+   * @param {Date} visit.arrivedAt - Arrival
+   * @param {Date|null} [visit.departedAt] - Departure
+   * @param {string|null} [visit.previousStopId] - Stop departed from before
+   * @param {number|null} [visit.travelSeconds] - Seconds since that departure
+   * @param {string} timeZone - Time zone of the service day (agency_timezone)
+   * @returns {StopVisit}
+   */
+  _buildVisit(bus, stop, { arrivedAt, departedAt = null, previousStopId = null, travelSeconds = null }, timeZone) {
+    const dayStart = serviceDayStart(bus.tripStartDate, timeZone).getTime();
+    const at = seconds => (seconds === null ? null : new Date(dayStart + seconds * 1000));
+
+    return new StopVisit({
+      busId: bus.id,
+      tripId: bus.tripId,
+      routeId: bus.route,
+      serviceDate: bus.tripStartDate,
+      startTime: bus.tripStartTime,
+      stopId: stop.stopId,
+      stopSequence: stop.stopSequence,
+      scheduledArrival: at(stop.arrivalSeconds),
+      scheduledDeparture: at(stop.departureSeconds),
+      arrivedAt,
+      departedAt,
+      previousStopId,
+      travelSeconds
+    });
+  }
+
+  /**
+   * Compute the new trip progress of a bus and the visits it records
+   * @private
+   * @param {Bus} bus - Bus
+   * @param {Object} state - Stored state ({ tripId, serviceDate, startTime, lastSequence, lastDepartedAt, current, lastFixAt })
+   * @param {Object[]} stops - Trip stops (see getTripStops)
+   * @param {GpsReading[]} fixes - Fixes, oldest first
+   * @param {string} timeZone - Time zone of the service day (see _buildVisit)
+   * @returns {Object|null} { state, visits }, or null if nothing changed
+   */
+  _applyFixes(bus, state, stops, fixes, timeZone) {
+    const radius = config.gps.GPS_STOP_RADIUS_METERS;
+    const visits = new Map();
+    const sameTrip = state.tripId === bus.tripId && state.serviceDate === bus.tripStartDate &&
+      state.startTime === bus.tripStartTime;
+
+    let lastSequence = sameTrip ? state.lastSequence : null;
+    let lastDepartedAt = sameTrip ? state.lastDepartedAt : null;
+    let current = sameTrip ? state.current : null;
+    let lastFixAt = sameTrip ? state.lastFixAt : null;
+    let dirty = !sameTrip;
+
+    fixes.forEach(reading => {
+      if (lastFixAt && reading.timestamp <= lastFixAt) {
+        return;
+      }
+
+      if (current) {
+        const stop = stops.find(candidate => candidate.stopSequence === current.stopSequence);
+
+        if (!stop || haversineDistance(reading, stop) > radius) {
+          if (stop) {
+            const visit = this._buildVisit(bus, stop, { ...current, departedAt: reading.timestamp }, timeZone);
+            visits.set(visit.id, visit);
+          }
+          lastSequence = current.stopSequence;
+          lastDepartedAt = reading.timestamp;
+          current = null;
+          dirty = true;
+        }
+      }
+
+      if (!current) {
+        const next = stops.find(candidate =>
+          (lastSequence === null || candidate.stopSequence > lastSequence) &&
+          haversineDistance(reading, candidate) <= radius
+        );
+
+        if (next) {
+          const previous = stops.find(candidate => candidate.stopSequence === lastSequence);
+
+          current = {
+            stopId: next.stopId,
+            stopSequence: next.stopSequence,
+            arrivedAt: reading.timestamp,
+            previousStopId: previous && lastDepartedAt ? previous.stopId : null,
+            travelSeconds: previous && lastDepartedAt
+              ? Math.round((reading.timestamp - lastDepartedAt) / 1000)
+              : null
+          };
+          const visit = this._buildVisit(bus, next, current, timeZone);
+          visits.set(visit.id, visit);
+          dirty = true;
+        }
+      }
+
+      lastFixAt = reading.timestamp;
+    });
+
+    if (!dirty) {
+      return null;
+    }
+
+    return {
+      state: {
+        tripId: bus.tripId,
+        serviceDate: bus.tripStartDate,
+        startTime: bus.tripStartTime,
+        lastSequence,
+        lastDepartedAt,
+        current,
+        lastFixAt
+      },
+      visits: [...visits.values()]
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new StopVisitService();
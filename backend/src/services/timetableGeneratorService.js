@@ -0,0 +1,239 @@
+/**
+ * Timetable Generator Service
+ *
+ * Generates the trips and stop_times of a route from a headway template:
+ * a stop pattern (a route pattern or stops listed in order), departures
+ * from the first to the last one every headway, and segment run times that
+ * may change by time of day (time bands). Generating a timetable again
+ * replaces the trips it generated before (see timetableRepository).
+ */
+
+const { routeRepository, stopRepository } = require('./gtfs');
+const { timetableRepository } = require('./timetableRepository');
+const routePatternService = require('./routePatternService');
+const { clearGtfsCaches } = require('./gtfsCache');
+const { Trip, StopTime } = require('../models/gtfs');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Largest number of trips plus stop times one timetable may generate.
+ * They replace the previous ones (at most as many deletes) in a single
+ * Firestore transaction, which takes 500 writes with the timetable itself.
+ */
+const MAX_GENERATED_DOCUMENTS = 249;
+
+/**
+ * TimetableGeneratorService Class
+ *
+ * Handles trip generation from headway templates.
+ */
+class TimetableGeneratorService {
+  /**
+   * Generate (or preview) the trips and stop times of a timetable
+   *
+   * Trips leave the first stop at firstDeparture, then every headwaySecs
+   * up to lastDeparture. Each trip takes the run times of the last band
+   * starting at or before its departure; buses wait dwellSeconds at
+   * intermediate stops. Trip IDs are "<timetableId>_<HHMMSS>" (departure).
+   *
+   * @param {string} id - Timetable ID
+   * @param {Object} template - Headway template
+   * @param {string} template.routeId - GTFS route ID
+   * @param {string} [template.patternId] - Route pattern to follow (see routePatternService), or
+   * @param {string[]} [template.stopIds] - Stops in order
+   * @param {string} [template.directionId='0'] - Direction of listed stops (patterns have their own)
+   * @param {string} template.serviceId - Service ID of the trips
+   * @param {string|null} [template.headsign] - Trip headsign (default: the pattern's)
+   * @param {string|null} [template.shapeId] - Trip shape (default: the pattern's)
+   * @param {string} template.firstDeparture - First departure (HH:MM:SS)
+   * @param {string} template.lastDeparture - Latest departure (HH:MM:SS, inclusive)
+   * @param {number} template.headwaySecs - Seconds between departures
+   * @param {number} [template.dwellSeconds=0] - Wait at intermediate stops
+   * @param {Array<{startTime: string, segmentSeconds: number[]}>} template.runTimes - Time bands,
+   *   one run time per pair of consecutive stops
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.dryRun=false] - Generate only, write nothing
+   * @returns {Promise<Object>} { timetableId, routeId, directionId, serviceId, saved, tripCount,
+   *   stopTimeCount, removedTripIds, trips: [{ id, departureTime, arrivalTime, stopTimes }] }
+   * @throws {Error} If the route or pattern is not found (404), a trip ID is
+   *   taken by a trip the timetable did not generate (409), or the template
+   *   is inconsistent (422)
+   */
+  async generateTimetable(id, template, options = {}) {
+    const route = await routeRepository.findById(template.routeId);
+
+    if (!route) {
+      throw httpError(404, 'NOT_FOUND', 'Route not found');
+    }
+
+    const timetable = {
+      id,
+      routeId: route.id,
+      directionId: template.directionId || '0',
+      serviceId: template.serviceId,
+      headsign: template.headsign ?? null,
+      shapeId: template.shapeId ?? null,
+      stopIds: template.stopIds,
+      firstDeparture: template.firstDeparture,
+      lastDeparture: template.lastDeparture,
+      headwaySecs: template.headwaySecs,
+      dwellSeconds: template.dwellSeconds || 0,
+      runTimes: [...template.runTimes].sort((a, b) =>
+        StopTime.timeToSeconds(a.startTime) - StopTime.timeToSeconds(b.startTime))
+    };
+
+    if (template.patternId) {
+      const { patterns } = await routePatternService.getRoutePatterns(route.id);
+      const pattern = patterns.find(candidate => candidate.id === template.patternId);
+
+      if (!pattern) {
+        throw httpError(404, 'NOT_FOUND', 'Pattern not found');
+      }
+
+      timetable.directionId = pattern.directionId;
+      timetable.stopIds = pattern.stops.map(stop => stop.stopId);
+      timetable.headsign = template.headsign !== undefined ? timetable.headsign : pattern.headsign;
+      timetable.shapeId = template.shapeId !== undefined ? timetable.shapeId : pattern.shapeId;
+    }
+
+    await this._validate(timetable);
+
+    const trips = [];
+    const stopTimes = [];
+    const first = StopTime.timeToSeconds(timetable.firstDeparture);
+    const last = StopTime.timeToSeconds(timetable.lastDeparture);
+
+    for (let departure = first; departure <= last; departure += timetable.headwaySecs) {
+      const tripId = `${id}_${StopTime.secondsToTime(departure).replace(/:/g, '')}`;
+      const { segmentSeconds } = timetable.runTimes
+        .filter(band => StopTime.timeToSeconds(band.startTime) <= departure)
+        .pop();
+
+      trips.push(new Trip({
+        id: tripId,
+        routeId: timetable.routeId,
+        serviceId: timetable.serviceId,
+        headsign: timetable.headsign,
+        directionId: timetable.directionId,
+        shapeId: timetable.shapeId
+      }));
+
+      let seconds = departure;
+      timetable.stopIds.forEach((stopId, index) => {
+        const arrival = index === 0 ? seconds : seconds + segmentSeconds[index - 1];
+        const isIntermediate = index > 0 && index < timetable.stopIds.length - 1;
+        seconds = isIntermediate ? arrival + timetable.dwellSeconds : arrival;
+
+        stopTimes.push(new StopTime({
+          id: StopTime.buildId(tripId, index + 1),
+          tripId,
+          stopId,
+          stopSequence: index + 1,
+          arrivalTime: StopTime.secondsToTime(arrival),
+          departureTime: StopTime.secondsToTime(seconds)
+        }));
+      });
+    }
+
+    if (trips.length + stopTimes.length > MAX_GENERATED_DOCUMENTS) {
+      throw httpError(422, 'VALIDATION_ERROR',
+        `Timetable would generate ${trips.length} trips and ${stopTimes.length} stop times ` +
+        `(at most ${MAX_GENERATED_DOCUMENTS} together)`);
+    }
+
+    let removedTripIds;
+    if (options.dryRun) {
+      const previous = await timetableRepository.findById(id);
+      const tripIds = new Set(trips.map(trip => trip.id));
+      removedTripIds = previous ? previous.tripIds.filter(tripId => !tripIds.has(tripId)) : [];
+    } else {
+      ({ removedTripIds } = await timetableRepository.replaceTrips(timetable, trips, stopTimes));
+      clearGtfsCaches();
+    }
+
+    const stopCount = timetable.stopIds.length;
+    return {
+      timetableId: id,
+      routeId: timetable.routeId,
+      directionId: timetable.directionId,
+      serviceId: timetable.serviceId,
+      saved: !options.dryRun,
+      tripCount: trips.length,
+      stopTimeCount: stopTimes.length,
+      removedTripIds,
+      trips: trips.map((trip, index) => {
+        const tripStopTimes = stopTimes.slice(index * stopCount, (index + 1) * stopCount);
+        return {
+          id: trip.id,
+          departureTime: tripStopTimes[0].departureTime,
+          arrivalTime: tripStopTimes[stopCount - 1].arrivalTime,
+          stopTimes: tripStopTimes.map(stopTime => ({
+            stopId: stopTime.stopId,
+            stopSequence: stopTime.stopSequence,
+            arrivalTime: stopTime.arrivalTime,
+            departureTime: stopTime.departureTime
+          }))
+        };
+      })
+    };
+  }
+
+  /**
+   * Get a stored timetable template and the IDs of the trips it generated
+   * @param {string} id - Timetable ID
+   * @returns {Promise<Object>}
+   * @throws {Error} If timetable not found (404)
+   */
+  async getTimetable(id) {
+    const timetable = await timetableRepository.findById(id);
+
+    if (!timetable) {
+      throw httpError(404, 'NOT_FOUND', 'Timetable not found');
+    }
+
+    return timetable;
+  }
+
+  /**
+   * Check the stops, departures and run times of a template
+   * @private
+   * @param {Object} timetable - Template with its stops resolved
+   * @returns {Promise<void>}
+   * @throws {Error} If the template is inconsistent (422)
+   */
+  async _validate(timetable) {
+    const { stopIds, runTimes } = timetable;
+
+    if (stopIds.length < 2) {
+      throw httpError(422, 'VALIDATION_ERROR', 'A timetable needs at least 2 stops');
+    }
+
+    for (const stopId of new Set(stopIds)) {
+      if (!await stopRepository.findById(stopId)) {
+        throw httpError(422, 'VALIDATION_ERROR', `Stop ${stopId} not found`);
+      }
+    }
+
+    if (StopTime.timeToSeconds(timetable.lastDeparture) < StopTime.timeToSeconds(timetable.firstDeparture)) {
+      throw httpError(422, 'VALIDATION_ERROR', 'Last departure must not be before the first departure');
+    }
+
+    if (StopTime.timeToSeconds(runTimes[0].startTime) > StopTime.timeToSeconds(timetable.firstDeparture)) {
+      throw httpError(422, 'VALIDATION_ERROR', 'Run times must start at or before the first departure');
+    }
+
+    runTimes.forEach((band, index) => {
+      if (index > 0 && StopTime.timeToSeconds(band.startTime) === StopTime.timeToSeconds(runTimes[index - 1].startTime)) {
+        throw httpError(422, 'VALIDATION_ERROR', `Run times from ${band.startTime} are listed twice`);
+      }
+
+      if (band.segmentSeconds.length !== stopIds.length - 1) {
+        throw httpError(422, 'VALIDATION_ERROR',
+          `Run times from ${band.startTime} must list ${stopIds.length - 1} segments (one per pair of consecutive stops)`);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new TimetableGeneratorService();
@@ -0,0 +1,229 @@
+/**
+ * Timetable Repository
+ *
+ * Stores the headway templates trips are generated from (one document per
+ * timetable) and swaps the trips and stop times a timetable generated.
+ * Generated trips are regular GTFS trips; the timetable document keeps
+ * their IDs and its stop pattern, so the next generation can remove them.
+ */
+
+const { db } = require('../config/db');
+const { Trip, StopTime } = require('../models/gtfs');
+const { FieldValue } = require('firebase-admin').firestore;
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Firestore collection of timetable templates
+ */
+const TIMETABLES_COLLECTION = 'gtfs_timetables';
+
+/**
+ * Maximum writes in one Firestore transaction
+ */
+const TRANSACTION_WRITE_LIMIT = 500;
+
+/**
+ * Convert a Firestore Timestamp (or Date/null) to a Date
+ * @param {*} value - Firestore field value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * Document data of a model, without its ID and with server timestamps
+ * @param {Trip|StopTime} model - GTFS model
+ * @returns {Object}
+ */
+function toDocument(model) {
+  const data = { ...model.toDatabase(), createdAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() };
+  delete data.id;
+  return data;
+}
+
+/**
+ * ITimetableRepository Interface
+ *
+ * Contract for timetable repository implementations.
+ * All implementations must provide these methods.
+ *
+ * @interface ITimetableRepository
+ */
+class ITimetableRepository {
+  /**
+   * Find a timetable by ID
+   * @param {string} id - Timetable ID
+   * @returns {Promise<Object|null>}
+   */
+  async findById(_id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically replace the trips and stop times generated by a timetable
+   * @param {Object} timetable - Timetable template (with id and stopIds)
+   * @param {Trip[]} trips - Generated trips
+   * @param {StopTime[]} stopTimes - Generated stop times
+   * @returns {Promise<{removedTripIds: string[]}>}
+   */
+  async replaceTrips(_timetable, _trips, _stopTimes) {
+    throw new Error('Method not implemented');
+  }
+}
+
+/**
+ * FirestoreTimetableRepository
+ *
+ * Firestore implementation of ITimetableRepository.
+ * Generated stop times use the import document IDs (see StopTime.buildId),
+ * so the stop times of a previous trip are known from its stop count.
+ */
+class FirestoreTimetableRepository extends ITimetableRepository {
+  constructor() {
+    super();
+    this.timetables = db.collection(TIMETABLES_COLLECTION);
+    this.trips = db.collection(Trip.collection());
+    this.stopTimes = db.collection(StopTime.collection());
+  }
+
+  /**
+   * Map a timetable document to a plain object
+   * @private
+   * @param {FirebaseFirestore.DocumentSnapshot} doc - Firestore document
+   * @returns {Object|null}
+   */
+  _mapToTimetable(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const data = doc.data();
+    return {
+      id: doc.id,
+      routeId: data.routeId,
+      directionId: data.directionId,
+      serviceId: data.serviceId,
+      headsign: data.headsign ?? null,
+      shapeId: data.shapeId ?? null,
+      stopIds: data.stopIds || [],
+      firstDeparture: data.firstDeparture,
+      lastDeparture: data.lastDeparture,
+      headwaySecs: data.headwaySecs,
+      dwellSeconds: data.dwellSeconds || 0,
+      runTimes: data.runTimes || [],
+      tripIds: data.tripIds || [],
+      generatedAt: toDate(data.generatedAt)
+    };
+  }
+
+  /**
+   * Find a timetable by ID
+   * @param {string} id - Timetable ID
+   * @returns {Promise<Object|null>}
+   * @throws {Error} If database error occurs (500)
+   */
+  async findById(id) {
+    try {
+      return this._mapToTimetable(await this.timetables.doc(id).get());
+    } catch (error) {
+      console.error('Firestore error in findById:', error);
+      throw new Error(`Database error while finding timetable by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomically replace the trips and stop times generated by a timetable
+   *
+   * Runs in a transaction: the new trip IDs are checked against trips the
+   * timetable did not generate (409), the trips the stored timetable
+   * generated and their stop times are deleted (unless generated again),
+   * the new ones written and the timetable saved with their IDs. Readers
+   * see either the previous set or the new one.
+   *
+   * @param {Object} timetable - Timetable template (with id and stopIds)
+   * @param {Trip[]} trips - Generated trips
+   * @param {StopTime[]} stopTimes - Generated stop times (with ID)
+   * @returns {Promise<{removedTripIds: string[]}>} Previous trips not generated again
+   * @throws {Error} If a trip ID is taken by another trip (409), the swap
+   *   needs more than TRANSACTION_WRITE_LIMIT writes (422) or database error occurs (500)
+   */
+  async replaceTrips(timetable, trips, stopTimes) {
+    try {
+      const docRef = this.timetables.doc(timetable.id);
+      const tripIds = new Set(trips.map(trip => trip.id));
+      const stopTimeIds = new Set(stopTimes.map(stopTime => stopTime.id));
+
+      return await db.runTransaction(async transaction => {
+        const previous = this._mapToTimetable(await transaction.get(docRef));
+        const previousTripIds = new Set(previous ? previous.tripIds : []);
+        const removedTripIds = [...previousTripIds].filter(tripId => !tripIds.has(tripId));
+
+        const newRefs = trips.filter(trip => !previousTripIds.has(trip.id)).map(trip => this.trips.doc(trip.id));
+        if (newRefs.length > 0) {
+          const taken = (await transaction.getAll(...newRefs)).find(doc => doc.exists);
+          if (taken) {
+            throw httpError(409, 'DUPLICATE', `Trip ${taken.id} already exists and was not generated by this timetable`);
+          }
+        }
+
+        const staleStopTimeIds = [];
+        previousTripIds.forEach(tripId => {
+          for (let sequence = 1; sequence <= previous.stopIds.length; sequence++) {
+            const stopTimeId = StopTime.buildId(tripId, sequence);
+            if (!stopTimeIds.has(stopTimeId)) {
+              staleStopTimeIds.push(stopTimeId);
+            }
+          }
+        });
+
+        const writeCount = staleStopTimeIds.length + removedTripIds.length + trips.length + stopTimes.length + 1;
+        if (writeCount > TRANSACTION_WRITE_LIMIT) {
+          throw httpError(422, 'VALIDATION_ERROR',
+            `Replacing the timetable trips needs ${writeCount} writes (at most ${TRANSACTION_WRITE_LIMIT})`);
+        }
+
+        staleStopTimeIds.forEach(stopTimeId => transaction.delete(this.stopTimes.doc(stopTimeId)));
+        removedTripIds.forEach(tripId => transaction.delete(this.trips.doc(tripId)));
+        trips.forEach(trip => transaction.set(this.trips.doc(trip.id), toDocument(trip)));
+        stopTimes.forEach(stopTime => transaction.set(this.stopTimes.doc(stopTime.id), toDocument(stopTime)));
+
+        transaction.set(docRef, {
+          routeId: timetable.routeId,
+          directionId: timetable.directionId,
+          serviceId: timetable.serviceId,
+          headsign: timetable.headsign,
+          shapeId: timetable.shapeId,
+          stopIds: timetable.stopIds,
+          firstDeparture: timetable.firstDeparture,
+          lastDeparture: timetable.lastDeparture,
+          headwaySecs: timetable.headwaySecs,
+          dwellSeconds: timetable.dwellSeconds,
+          runTimes: timetable.runTimes,
+          tripIds: trips.map(trip => trip.id),
+          generatedAt: FieldValue.serverTimestamp()
+        });
+
+        return { removedTripIds };
+      });
+    } catch (error) {
+      if (error.status) {
+        throw error;
+      }
+
+      console.error('Firestore error in replaceTrips:', error);
+      throw new Error(`Database error while replacing timetable trips: ${error.message}`);
+    }
+  }
+}
+
+// Export interface and implementation
+module.exports = {
+  ITimetableRepository,
+  FirestoreTimetableRepository,
+  // Export singleton instance for convenience
+  timetableRepository: new FirestoreTimetableRepository()
+};
@@ -0,0 +1,57 @@
+/**
+ * CSV Utilities
+ *
+ * RFC 4180 CSV writing (GTFS feed export).
+ * https://www.rfc-editor.org/rfc/rfc4180
+ */
+
+/**
+ * Record separator (RFC 4180 uses CRLF)
+ */
+const CSV_LINE_END = '\r\n';
+
+/**
+ * Escape one CSV field
+ *
+ * Fields containing a comma, double quote, CR or LF are enclosed in double
+ * quotes, with inner double quotes doubled. null/undefined become empty.
+ *
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format one CSV record (with its line end)
+ * @param {Array} values - Field values, in column order
+ * @returns {string}
+ */
+function toCsvLine(values) {
+  return values.map(escapeCsvField).join(',') + CSV_LINE_END;
+}
+
+/**
+ * Format a row object as a CSV record in the given column order
+ * (missing columns are empty)
+ * @param {string[]} columns - Column names
+ * @param {Object} row - Row keyed by column name
+ * @returns {string}
+ */
+function toCsvRecord(columns, row) {
+  return toCsvLine(columns.map(column => row[column]));
+}
+
+module.exports = {
+  CSV_LINE_END,
+  escapeCsvField,
+  toCsvLine,
+  toCsvRecord
+};
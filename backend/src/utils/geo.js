@@ -0,0 +1,199 @@
+/**
+ * Geo Utilities
+ *
+ * Distance and polyline helpers for GPS data.
+ * Coordinates are WGS84 degrees; distances are meters.
+ */
+
+/**
+ * Mean Earth radius in meters
+ */
+const EARTH_RADIUS_METERS = 6371008.8;
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number}
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {{lat: number, lng: number}} a - First point
+ * @param {{lat: number, lng: number}} b - Second point
+ * @returns {number} Distance in meters
+ */
+function haversineDistance(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Project a point to local planar meters around a reference latitude
+ * (equirectangular; accurate enough for city-scale distances)
+ * @param {{lat: number, lng: number}} point - Point to project
+ * @param {number} refLat - Reference latitude
+ * @returns {{x: number, y: number}}
+ */
+function projectToMeters(point, refLat) {
+  return {
+    x: toRadians(point.lng) * Math.cos(toRadians(refLat)) * EARTH_RADIUS_METERS,
+    y: toRadians(point.lat) * EARTH_RADIUS_METERS
+  };
+}
+
+/**
+ * Closest point of the segment a-b to a point
+ * @param {{lat: number, lng: number}} point - Point
+ * @param {{lat: number, lng: number}} a - Segment start
+ * @param {{lat: number, lng: number}} b - Segment end
+ * @returns {{t: number, distance: number}} Position along the segment (0 at a, 1 at b)
+ *   and distance to it in meters
+ */
+function projectOntoSegment(point, a, b) {
+  const refLat = (a.lat + b.lat) / 2;
+  const p = projectToMeters(point, refLat);
+  const pa = projectToMeters(a, refLat);
+  const pb = projectToMeters(b, refLat);
+
+  const dx = pb.x - pa.x;
+  const dy = pb.y - pa.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  if (lengthSquared === 0) {
+    return { t: 0, distance: Math.hypot(p.x - pa.x, p.y - pa.y) };
+  }
+
+  const t = Math.max(0, Math.min(1, ((p.x - pa.x) * dx + (p.y - pa.y) * dy) / lengthSquared));
+  return { t, distance: Math.hypot(p.x - (pa.x + t * dx), p.y - (pa.y + t * dy)) };
+}
+
+/**
+ * Distance from a point to the segment a-b
+ * @param {{lat: number, lng: number}} point - Point
+ * @param {{lat: number, lng: number}} a - Segment start
+ * @param {{lat: number, lng: number}} b - Segment end
+ * @returns {number} Distance in meters
+ */
+function distanceToSegment(point, a, b) {
+  return projectOntoSegment(point, a, b).distance;
+}
+
+/**
+ * Shortest distance from a point to a polyline
+ * @param {{lat: number, lng: number}} point - Point
+ * @param {{lat: number, lng: number}[]} line - Polyline vertices, in order
+ * @returns {number} Distance in meters (Infinity for an empty line)
+ */
+function distanceToPolyline(point, line) {
+  if (line.length === 1) {
+    return haversineDistance(point, line[0]);
+  }
+
+  let min = Infinity;
+  for (let i = 1; i < line.length; i++) {
+    min = Math.min(min, distanceToSegment(point, line[i - 1], line[i]));
+  }
+  return min;
+}
+
+/**
+ * Simplify a polyline with the Douglas-Peucker algorithm
+ *
+ * Iterative (no recursion limit on long tracks). Endpoints are always kept.
+ *
+ * @template T
+ * @param {T[]} points - Points with lat/lng (extra fields are preserved)
+ * @param {number} toleranceMeters - Max distance a removed point may lie from the result
+ * @returns {T[]} Subset of the input points, in order
+ */
+function simplifyPath(points, toleranceMeters) {
+  if (points.length <= 2 || !(toleranceMeters > 0)) {
+    return points.slice();
+  }
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+
+    for (let i = start + 1; i < end; i += 1) {
+      const distance = distanceToSegment(points[i], points[start], points[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxIndex !== -1 && maxDistance > toleranceMeters) {
+      keep[maxIndex] = true;
+      stack.push([start, maxIndex], [maxIndex, end]);
+    }
+  }
+
+  return points.filter((point, index) => keep[index]);
+}
+
+/**
+ * Bounding box of a set of points
+ * @param {{lat: number, lng: number}[]} points - Points
+ * @returns {{minLat: number, maxLat: number, minLng: number, maxLng: number}}
+ */
+function boundingBox(points) {
+  return points.reduce((box, point) => ({
+    minLat: Math.min(box.minLat, point.lat),
+    maxLat: Math.max(box.maxLat, point.lat),
+    minLng: Math.min(box.minLng, point.lng),
+    maxLng: Math.max(box.maxLng, point.lng)
+  }), { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity });
+}
+
+/**
+ * Check if a point lies inside a polygon (ray casting)
+ *
+ * The ring may be open or closed (first point repeated). Planar test on
+ * lat/lng, fine for city-scale polygons that do not cross the antimeridian.
+ *
+ * @param {{lat: number, lng: number}} point - Point
+ * @param {{lat: number, lng: number}[]} polygon - Ring vertices, in order
+ * @returns {boolean}
+ */
+function pointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  toRadians,
+  haversineDistance,
+  projectOntoSegment,
+  distanceToSegment,
+  distanceToPolyline,
+  simplifyPath,
+  boundingBox,
+  pointInPolygon
+};
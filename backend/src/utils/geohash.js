@@ -0,0 +1,140 @@
+/**
+ * Geohash Utilities
+ *
+ * Geohashes index points for proximity queries: documents store the hash
+ * of their location, and a radius search reads the few cells that cover
+ * the circle (one range query per cell, since every point inside a cell
+ * has the cell hash as prefix), then ranks the candidates by true distance.
+ * https://en.wikipedia.org/wiki/Geohash
+ */
+
+const { EARTH_RADIUS_METERS, toRadians } = require('./geo');
+
+/**
+ * Geohash alphabet (base32 without a, i, l, o)
+ */
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Characters of the stored geohashes (cells of about 1.2 m x 0.6 m)
+ */
+const GEOHASH_PRECISION = 10;
+
+/**
+ * Sorts after every geohash character: cell + RANGE_END bounds the range
+ * of hashes that start with cell
+ */
+const RANGE_END = '~';
+
+/**
+ * Size in degrees of the cells of a precision
+ * (bits alternate longitude first, so longitude gets the extra bit)
+ * @param {number} precision - Geohash length
+ * @returns {{lat: number, lng: number}}
+ */
+function cellSize(precision) {
+  const bits = precision * 5;
+  return {
+    lat: 180 / 2 ** Math.floor(bits / 2),
+    lng: 360 / 2 ** Math.ceil(bits / 2)
+  };
+}
+
+/**
+ * Encode a location as a geohash
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} [precision=GEOHASH_PRECISION] - Geohash length
+ * @returns {string}
+ */
+function encodeGeohash(lat, lng, precision = GEOHASH_PRECISION) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let even = true;
+
+  while (hash.length < precision) {
+    const range = even ? lngRange : latRange;
+    const coordinate = even ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    even = !even;
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Geohash cells that cover a circle
+ *
+ * Uses the finest precision whose cells are at least as large as the
+ * radius, so the circle's bounding box spans at most 3 x 3 cells.
+ *
+ * @param {number} lat - Center latitude
+ * @param {number} lng - Center longitude
+ * @param {number} radiusMeters - Radius in meters
+ * @returns {string[]} Cell hashes (prefixes of the stored geohashes)
+ */
+function geohashCoveringCells(lat, lng, radiusMeters) {
+  const latDelta = radiusMeters / (EARTH_RADIUS_METERS * toRadians(1));
+  const cosLat = Math.cos(toRadians(lat));
+  const lngDelta = cosLat > 1e-9 ? latDelta / cosLat : 360;
+
+  let precision = GEOHASH_PRECISION;
+  while (precision > 1 && (cellSize(precision).lat < latDelta || cellSize(precision).lng < lngDelta)) {
+    precision--;
+  }
+
+  const size = cellSize(precision);
+  const lngCells = Math.round(360 / size.lng);
+  const minRow = Math.floor((Math.max(lat - latDelta, -90) + 90) / size.lat);
+  const maxRow = Math.min(Math.floor((Math.min(lat + latDelta, 90) + 90) / size.lat), Math.round(180 / size.lat) - 1);
+  const minColumn = Math.floor((lng - lngDelta + 180) / size.lng);
+  const maxColumn = Math.min(Math.floor((lng + lngDelta + 180) / size.lng), minColumn + lngCells - 1);
+
+  const cells = new Set();
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let column = minColumn; column <= maxColumn; column++) {
+      // Columns past the antimeridian wrap around
+      const wrapped = ((column % lngCells) + lngCells) % lngCells;
+      cells.add(encodeGeohash(
+        -90 + (row + 0.5) * size.lat,
+        -180 + (wrapped + 0.5) * size.lng,
+        precision
+      ));
+    }
+  }
+
+  return [...cells];
+}
+
+/**
+ * Range of the stored geohashes inside a cell
+ * @param {string} cell - Cell hash
+ * @returns {{start: string, end: string}} start inclusive, end exclusive
+ */
+function geohashRange(cell) {
+  return { start: cell, end: `${cell}${RANGE_END}` };
+}
+
+module.exports = {
+  GEOHASH_PRECISION,
+  encodeGeohash,
+  geohashCoveringCells,
+  geohashRange
+};
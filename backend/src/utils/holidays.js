@@ -0,0 +1,96 @@
+/**
+ * Holiday Utilities
+ *
+ * National holidays of El Salvador (Código de Trabajo, art. 190), used to
+ * resolve GTFS service on days the feed does not cover with calendar_dates.
+ * Local festivities (e.g. 3-5 August in San Salvador) are not included:
+ * feeds add them as calendar_dates.
+ */
+
+/**
+ * Fixed-date holidays (MM-DD)
+ */
+const FIXED_HOLIDAYS = [
+  { date: '01-01', name: 'Año Nuevo' },
+  { date: '05-01', name: 'Día del Trabajo' },
+  { date: '05-10', name: 'Día de la Madre' },
+  { date: '06-17', name: 'Día del Padre' },
+  { date: '08-06', name: 'Fiestas Agostinas' },
+  { date: '09-15', name: 'Día de la Independencia' },
+  { date: '11-02', name: 'Día de los Difuntos' },
+  { date: '12-25', name: 'Navidad' }
+];
+
+/**
+ * Holy Week holidays, in days from Easter Sunday
+ */
+const EASTER_HOLIDAYS = [
+  { offset: -3, name: 'Jueves Santo' },
+  { offset: -2, name: 'Viernes Santo' },
+  { offset: -1, name: 'Sábado Santo' }
+];
+
+/**
+ * Holidays per year, computed once
+ */
+const holidaysByYear = new Map();
+
+/**
+ * Easter Sunday of a year (Gregorian calendar, anonymous algorithm)
+ * @param {number} year - Year
+ * @returns {Date} Easter Sunday at 00:00 UTC
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * National holidays of El Salvador in a year
+ * @param {number} year - Year
+ * @returns {Array<{date: string, name: string}>} Holidays (date as YYYY-MM-DD), in date order
+ */
+function getHolidays(year) {
+  if (!holidaysByYear.has(year)) {
+    const easter = easterSunday(year).getTime();
+    const holidays = [
+      ...FIXED_HOLIDAYS.map(holiday => ({ date: `${year}-${holiday.date}`, name: holiday.name })),
+      ...EASTER_HOLIDAYS.map(holiday => ({
+        date: new Date(easter + holiday.offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+        name: holiday.name
+      }))
+    ];
+
+    holidaysByYear.set(year, holidays.sort((a, b) => a.date.localeCompare(b.date)));
+  }
+
+  return holidaysByYear.get(year).map(holiday => ({ ...holiday }));
+}
+
+/**
+ * Holiday falling on a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {{date: string, name: string}|null}
+ */
+function findHoliday(date) {
+  return getHolidays(Number(date.slice(0, 4))).find(holiday => holiday.date === date) || null;
+}
+
+module.exports = {
+  getHolidays,
+  findHoliday
+};
@@ -0,0 +1,23 @@
+/**
+ * HTTP Error Utilities
+ *
+ * Errors carrying the HTTP status the error handler responds with
+ * (middlewares/error.middleware.js) and an error type (e.g. 404 NOT_FOUND,
+ * 422 VALIDATION_ERROR).
+ */
+
+/**
+ * Build an error with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} type - Error type
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function httpError(status, type, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.type = type;
+  return error;
+}
+
+module.exports = { httpError };
@@ -0,0 +1,112 @@
+/**
+ * Shape Utilities
+ *
+ * Distances along GTFS shapes (shape_dist_traveled).
+ * Stops are projected onto the shape in stop_sequence order, each no
+ * earlier along the shape than the previous one, so routes that pass the
+ * same street twice (loops, out-and-back terminals) keep their stops in
+ * order.
+ */
+
+const { haversineDistance, projectOntoSegment } = require('./geo');
+
+/**
+ * A later pass of the shape is only preferred when it is closer to the
+ * stop than the first pass by more than this (GPS/map drift)
+ */
+const SNAP_TOLERANCE_METERS = 25;
+
+/**
+ * Round a distance to 3 decimals (millimeters, or meters for km units)
+ * @param {number} value - Distance
+ * @returns {number}
+ */
+function roundDistance(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Cumulative length of a polyline at each vertex
+ * @param {{lat: number, lng: number}[]} points - Vertices, in order
+ * @returns {number[]} Meters from the first vertex
+ */
+function cumulativeDistances(points) {
+  const distances = [0];
+
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + haversineDistance(points[i - 1], points[i]));
+  }
+
+  return distances;
+}
+
+/**
+ * Compute shape_dist_traveled for the stops of a trip
+ *
+ * When every shape point has a distTraveled, stop distances are
+ * interpolated in those units (the feed's own, e.g. kilometers); otherwise
+ * they are meters along the shape and `shapeDistances` gives the matching
+ * value of each shape point (store both, the units must agree).
+ *
+ * @param {Object[]} shapePoints - Shape points in sequence order (lat, lng, [distTraveled])
+ * @param {{lat: number, lng: number}[]} stops - Stop locations in stop_sequence order
+ * @returns {{units: string, shapeDistances: number[], stops: Array<{distTraveled: number, offsetMeters: number}>}}
+ *   units is 'shape' or 'meters'; offsetMeters is the distance from the stop to the shape
+ */
+function computeShapeDistTraveled(shapePoints, stops) {
+  if (shapePoints.length < 2) {
+    throw new Error('Shape must have at least 2 points');
+  }
+
+  const meters = cumulativeDistances(shapePoints);
+  const useShapeUnits = shapePoints.every(point => point.distTraveled !== null && point.distTraveled !== undefined);
+  const distances = useShapeUnits ? shapePoints.map(point => Number(point.distTraveled)) : meters;
+
+  let fromSegment = 0;
+  let fromT = 0;
+
+  const result = stops.map(stop => {
+    const candidates = [];
+
+    for (let i = fromSegment; i < shapePoints.length - 1; i++) {
+      const a = shapePoints[i];
+      const b = shapePoints[i + 1];
+      let { t, distance } = projectOntoSegment(stop, a, b);
+
+      if (i === fromSegment && t < fromT) {
+        t = fromT;
+        distance = haversineDistance(stop, {
+          lat: a.lat + (b.lat - a.lat) * t,
+          lng: a.lng + (b.lng - a.lng) * t
+        });
+      }
+
+      candidates.push({ segment: i, t, distance });
+    }
+
+    const closest = Math.min(...candidates.map(candidate => candidate.distance));
+    const match = candidates.find(candidate => candidate.distance <= closest + SNAP_TOLERANCE_METERS);
+
+    fromSegment = match.segment;
+    fromT = match.t;
+
+    const start = distances[match.segment];
+    const end = distances[match.segment + 1];
+
+    return {
+      distTraveled: roundDistance(start + (end - start) * match.t),
+      offsetMeters: roundDistance(match.distance)
+    };
+  });
+
+  return {
+    units: useShapeUnits ? 'shape' : 'meters',
+    shapeDistances: distances.map(roundDistance),
+    stops: result
+  };
+}
+
+module.exports = {
+  cumulativeDistances,
+  computeShapeDistTraveled
+};
@@ -0,0 +1,196 @@
+/**
+ * Time Utilities
+ *
+ * Local-day helpers for daily accounting and GTFS service days.
+ * The operating day is defined by config.time.TIMEZONE (IANA name).
+ */
+
+const config = require('../config/env');
+
+/**
+ * Cached Intl formatters per time zone
+ */
+const formatters = new Map();
+
+/**
+ * Get a formatter that yields numeric date/time parts in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Split an instant into its local calendar parts
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function localParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+  return parts;
+}
+
+/**
+ * Local calendar date of an instant
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (default: config.time.TIMEZONE)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function localDate(date, timeZone = config.time.TIMEZONE) {
+  const { year, month, day } = localParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * First instant of the local day after the one containing `date`
+ *
+ * Uses the UTC offset in effect at `date`, which is exact for zones
+ * without a DST change at midnight (El Salvador has no DST).
+ *
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (default: config.time.TIMEZONE)
+ * @returns {Date}
+ */
+function startOfNextLocalDay(date, timeZone = config.time.TIMEZONE) {
+  const { year, month, day, hour, minute, second } = localParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = wallClock - Math.floor(date.getTime() / 1000) * 1000;
+
+  return new Date(Date.UTC(year, month - 1, day + 1) - offset);
+}
+
+/**
+ * Reference instant of a GTFS service day
+ *
+ * GTFS times (HH:MM:SS, may exceed 24:00:00) count from "noon minus 12h"
+ * of the service date, which is local midnight except on DST change days.
+ *
+ * @param {string} serviceDate - Service date (YYYY-MM-DD)
+ * @param {string} [timeZone] - IANA time zone (default: config.time.TIMEZONE)
+ * @returns {Date}
+ */
+function serviceDayStart(serviceDate, timeZone = config.time.TIMEZONE) {
+  const [year, month, day] = serviceDate.split('-').map(Number);
+  const noonUtc = Date.UTC(year, month - 1, day, 12);
+  const parts = localParts(new Date(noonUtc), timeZone);
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - noonUtc;
+
+  return new Date(noonUtc - offset - 12 * 60 * 60 * 1000);
+}
+
+/**
+ * Split the interval [start, end) at local midnights
+ * @param {Date} start - Interval start
+ * @param {Date} end - Interval end
+ * @param {string} [timeZone] - IANA time zone (default: config.time.TIMEZONE)
+ * @returns {Array<{date: string, seconds: number}>} Seconds per local date, in order
+ */
+function splitByLocalDay(start, end, timeZone = config.time.TIMEZONE) {
+  const days = [];
+  let cursor = start;
+
+  while (cursor < end) {
+    const nextDay = startOfNextLocalDay(cursor, timeZone);
+    const boundary = nextDay < end ? nextDay : end;
+    days.push({ date: localDate(cursor, timeZone), seconds: (boundary - cursor) / 1000 });
+    cursor = boundary;
+  }
+
+  return days;
+}
+
+/**
+ * List the calendar dates from `from` to `to` (inclusive)
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {string[]}
+ */
+function dateRange(from, to) {
+  const dates = [];
+  const cursor = new Date(`${from}T00:00:00.000Z`);
+  const last = new Date(`${to}T00:00:00.000Z`);
+
+  while (cursor <= last) {
+    dates.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+/**
+ * Normalize a date to the GTFS format
+ * @param {string} value - Date as YYYYMMDD or YYYY-MM-DD
+ * @returns {string|null} Date as YYYYMMDD, null if not a valid calendar date
+ */
+function toGtfsDate(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+
+  return `${year}${month}${day}`;
+}
+
+/**
+ * Convert a GTFS date to YYYY-MM-DD
+ * @param {string} gtfsDate - Date as YYYYMMDD
+ * @returns {string}
+ */
+function fromGtfsDate(gtfsDate) {
+  return `${gtfsDate.slice(0, 4)}-${gtfsDate.slice(4, 6)}-${gtfsDate.slice(6, 8)}`;
+}
+
+/**
+ * Check that a time zone is a known IANA name (e.g. America/El_Salvador)
+ * @param {string} timeZone - Time zone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  localDate,
+  startOfNextLocalDay,
+  serviceDayStart,
+  splitByLocalDay,
+  dateRange,
+  toGtfsDate,
+  fromGtfsDate,
+  isValidTimeZone
+};
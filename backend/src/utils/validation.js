@@ -92,6 +92,31 @@ function validateEmail(email) {
   return true;
 }
 
+/**
+ * Validate an absolute http(s) URL
+ * @param {string} url - The URL to validate
+ * @returns {boolean} True if valid
+ * @throws {ValidationError} If URL is invalid
+ */
+function validateUrl(url) {
+  if (!url || typeof url !== 'string') {
+    throw new ValidationError('URL is required', 'url');
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    throw new ValidationError('Invalid URL format', 'url');
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new ValidationError('URL must use http or https', 'url');
+  }
+
+  return true;
+}
+
 /**
  * Validate username
  * @param {string} username - The username to validate
@@ -249,6 +274,7 @@ module.exports = {
   // Validation functions
   validatePassword,
   validateEmail,
+  validateUrl,
   validateUsername,
   validateEnum,
   validateRequiredFields,
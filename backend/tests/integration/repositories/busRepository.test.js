@@ -189,6 +189,49 @@ describe('BusRepository Integration Tests', () => {
     });
   });
 
+  describe('findNearby', () => {
+    // Around Plaza Barrios, San Salvador
+    const center = { lat: 13.6989, lng: -89.1914 };
+
+    const createAt = (licensePlate, position, route = 'R1') => busRepository.create(new Bus({
+      licensePlate,
+      unitName: licensePlate,
+      status: 'moving',
+      route,
+      position
+    }));
+
+    beforeEach(async () => {
+      await createAt('NEAR-2', { lat: 13.7009, lng: -89.1914 }); // ~220 m
+      await createAt('NEAR-1', { lat: 13.6994, lng: -89.1914 }); // ~55 m
+      await createAt('OTHER-ROUTE', { lat: 13.6999, lng: -89.1914 }, 'R2'); // ~110 m
+      await createAt('FAR', { lat: 13.7350, lng: -89.1914 }); // ~4 km
+      await createAt('NO-POSITION', null);
+    });
+
+    test('should return buses within the radius, nearest first', async () => {
+      const nearby = await busRepository.findNearby(center.lat, center.lng, 1);
+
+      expect(nearby.map(({ bus }) => bus.licensePlate)).toEqual(['NEAR-1', 'OTHER-ROUTE', 'NEAR-2']);
+      expect(nearby[0].distanceMeters).toBeCloseTo(55.6, 0);
+    });
+
+    test('should apply limit and route', async () => {
+      const nearby = await busRepository.findNearby(center.lat, center.lng, 5, { limit: 2, route: 'R1' });
+
+      expect(nearby.map(({ bus }) => bus.licensePlate)).toEqual(['NEAR-1', 'NEAR-2']);
+    });
+
+    test('should find buses at their updated position', async () => {
+      const [{ bus }] = await busRepository.findNearby(center.lat, center.lng, 1, { limit: 1 });
+
+      await busRepository.updatePosition(bus.id, 13.7350, -89.1914);
+
+      const nearby = await busRepository.findNearby(13.7350, -89.1914, 0.1);
+      expect(nearby.map(({ bus: found }) => found.licensePlate).sort()).toEqual(['FAR', 'NEAR-1']);
+    });
+  });
+
   describe('remove', () => {
     test('should delete bus', async () => {
       const bus = new Bus({
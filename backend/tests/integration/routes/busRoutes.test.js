@@ -0,0 +1,111 @@
+/**
+ * Bus Routes Integration Tests
+ *
+ * Sends requests through the Express app (supertest), so every bus endpoint
+ * must be mounted under /api/v1/buses with its validation and auth. Services
+ * are mocked: no Firestore needed.
+ */
+
+const request = require('supertest');
+const app = require('../../../src/app');
+const { jwtUtil } = require('../../../src/utils/jwt');
+const busService = require('../../../src/services/busService');
+const gpsService = require('../../../src/services/gpsService');
+const stopVisitService = require('../../../src/services/stopVisitService');
+const predictionService = require('../../../src/services/predictionService');
+
+// Mock dependencies
+jest.mock('../../../src/services/busService');
+jest.mock('../../../src/services/gpsService');
+jest.mock('../../../src/services/stopVisitService');
+jest.mock('../../../src/services/predictionService');
+
+describe('Bus Routes', () => {
+  const token = jwtUtil.signAccess({ id: 'user-1', email: 'supervisor@bustrack.sv', role: 'supervisor' });
+  const get = url => request(app).get(url).set('Authorization', `Bearer ${token}`);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should require a token', async () => {
+    const response = await request(app).get('/api/v1/buses/BUS-1/predictions');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('GET /buses/nearby should list the nearest buses', async () => {
+    busService.findNearbyBuses.mockResolvedValue({ buses: [], count: 0 });
+
+    const response = await get('/api/v1/buses/nearby?lat=13.7&lng=-89.2&radius=2');
+
+    expect(response.status).toBe(200);
+    expect(busService.findNearbyBuses).toHaveBeenCalledWith(expect.objectContaining({ lat: 13.7, lng: -89.2, radius: 2 }));
+  });
+
+  test('GET /buses/:id/track should return the GPS track', async () => {
+    const track = { busId: 'BUS-1', count: 0, points: [] };
+    gpsService.getTrack.mockResolvedValue(track);
+
+    const response = await get('/api/v1/buses/BUS-1/track?from=2026-01-05T12:00:00Z&to=2026-01-05T13:00:00Z');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(track);
+    expect(gpsService.getTrack).toHaveBeenCalledWith('BUS-1', expect.objectContaining({ tolerance: 0 }));
+  });
+
+  test('GET /buses/:id/track should return GeoJSON on request', async () => {
+    gpsService.getTrack.mockResolvedValue({ busId: 'BUS-1', points: [] });
+    gpsService.toGeoJSON.mockReturnValue({ type: 'Feature', geometry: null, properties: {} });
+
+    const response = await get('/api/v1/buses/BUS-1/track?from=2026-01-05T12:00:00Z&to=2026-01-05T13:00:00Z&format=geojson');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch('application/geo+json');
+  });
+
+  test('GET /buses/:id/status-history should return the transitions', async () => {
+    busService.getStatusHistory.mockResolvedValue({ busId: 'BUS-1', history: [] });
+
+    const response = await get('/api/v1/buses/BUS-1/status-history?limit=10');
+
+    expect(response.status).toBe(200);
+    expect(busService.getStatusHistory).toHaveBeenCalledWith('BUS-1', { limit: 10, before: undefined });
+  });
+
+  test('GET /buses/:id/daily-times should return the daily totals', async () => {
+    busService.getDailyTimes.mockResolvedValue({ busId: 'BUS-1', days: [] });
+
+    const response = await get('/api/v1/buses/BUS-1/daily-times?from=2026-01-05&to=2026-01-06');
+
+    expect(response.status).toBe(200);
+    expect(busService.getDailyTimes).toHaveBeenCalledWith('BUS-1', { from: '2026-01-05', to: '2026-01-06' });
+  });
+
+  test('GET /buses/:id/stop-visits should return the stop visits', async () => {
+    stopVisitService.getStopVisits.mockResolvedValue({ busId: 'BUS-1', visits: [] });
+
+    const response = await get('/api/v1/buses/BUS-1/stop-visits?tripId=T1');
+
+    expect(response.status).toBe(200);
+    expect(stopVisitService.getStopVisits).toHaveBeenCalledWith('BUS-1', { tripId: 'T1', serviceDate: undefined, limit: 100 });
+  });
+
+  test('GET /buses/:id/predictions should return the predicted arrivals', async () => {
+    predictionService.getBusPredictions.mockResolvedValue({ busId: 'BUS-1', predictions: [] });
+
+    const response = await get('/api/v1/buses/BUS-1/predictions');
+
+    expect(response.status).toBe(200);
+    expect(predictionService.getBusPredictions).toHaveBeenCalledWith('BUS-1');
+  });
+
+  test('should pass service errors to the error handler', async () => {
+    predictionService.getBusPredictions.mockRejectedValue(Object.assign(new Error('Bus not found'), { status: 404, type: 'NOT_FOUND' }));
+
+    const response = await get('/api/v1/buses/BUS-9/predictions');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toMatchObject({ message: 'Bus not found' });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * GPS Routes Integration Tests
+ *
+ * Sends fixes through the Express app (supertest): the per-device rate
+ * limiter must let retries of a stored fix reach ingest, which answers them
+ * as idempotent duplicates. The service is mocked: no Firestore needed.
+ */
+
+const request = require('supertest');
+const app = require('../../../src/app');
+const { jwtUtil } = require('../../../src/utils/jwt');
+const gpsService = require('../../../src/services/gpsService');
+
+// Mock dependencies
+jest.mock('../../../src/services/gpsService');
+
+describe('GPS Routes', () => {
+  const token = jwtUtil.signAccess({ id: 'admin-1', email: 'admin@bustrack.sv', role: 'admin' });
+  const ingest = fix => request(app).post('/api/v1/gps/ingest').set('Authorization', `Bearer ${token}`).send(fix);
+  const fix = (deviceId, second) => ({
+    deviceId,
+    timestamp: `2026-01-05T12:00:0${second}.000Z`,
+    lat: 13.6929,
+    lng: -89.2182
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    gpsService.isDuplicate.mockResolvedValue(false);
+    gpsService.ingest.mockImplementation(async body => ({ status: 'accepted', reading: { deviceId: body.deviceId } }));
+  });
+
+  test('POST /gps/ingest should limit a device to ~1 fix per second', async () => {
+    expect((await ingest(fix('device-limit', 1))).status).toBe(201);
+
+    const response = await ingest(fix('device-limit', 2));
+
+    expect(response.status).toBe(429);
+    expect(response.body.type).toBe('RATE_LIMIT_EXCEEDED');
+  });
+
+  test('POST /gps/ingest should answer a retried fix as a duplicate, not 429', async () => {
+    expect((await ingest(fix('device-retry', 1))).status).toBe(201);
+
+    gpsService.isDuplicate.mockResolvedValue(true);
+    gpsService.ingest.mockResolvedValue({ status: 'duplicate', reading: { deviceId: 'device-retry' } });
+    const response = await ingest(fix('device-retry', 1));
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('duplicate');
+    expect(gpsService.isDuplicate).toHaveBeenLastCalledWith(expect.objectContaining({ deviceId: 'device-retry' }));
+  });
+});
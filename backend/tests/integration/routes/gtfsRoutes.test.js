@@ -0,0 +1,111 @@
+/**
+ * GTFS Routes Integration Tests
+ *
+ * Edits GTFS data through the Express app (supertest) and plans journeys
+ * right after: every GTFS write must clear the cached journey planner
+ * timetable. Repositories are mocked: no Firestore needed. Service days
+ * are America/El_Salvador (UTC-6).
+ */
+
+const request = require('supertest');
+const app = require('../../../src/app');
+const { jwtUtil } = require('../../../src/utils/jwt');
+const { clearGtfsCaches } = require('../../../src/services/gtfsCache');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { routeRepository } = require('../../../src/services/gtfs/routeRepository');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { frequencyRepository } = require('../../../src/services/gtfs/frequencyRepository');
+const { calendarRepository } = require('../../../src/services/gtfs/calendarRepository');
+const { calendarDateRepository } = require('../../../src/services/gtfs/calendarDateRepository');
+const { agencyRepository } = require('../../../src/services/gtfs/agencyRepository');
+const { Stop, Route, Trip, StopTime, Calendar } = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/routeRepository');
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/frequencyRepository');
+jest.mock('../../../src/services/gtfs/calendarRepository');
+jest.mock('../../../src/services/gtfs/calendarDateRepository');
+jest.mock('../../../src/services/gtfs/agencyRepository');
+
+describe('GTFS Routes', () => {
+  const token = jwtUtil.signAccess({ id: 'admin-1', email: 'admin@bustrack.sv', role: 'admin' });
+  // 2024-01-02 (Tuesday) 07:55 local
+  const plan = () => request(app).get('/api/v1/gtfs/plan?fromStopId=A&toStopId=C&at=2024-01-02T13:55:00Z&limit=1');
+  const firstTrip = response => response.body.itineraries[0].legs[0].tripId;
+  const stopTime = (tripId, stopId, stopSequence, time) =>
+    new StopTime({ tripId, stopId, stopSequence, arrivalTime: time, departureTime: time });
+  let trips;
+  let stopTimes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearGtfsCaches();
+
+    // 101: A-B-C at 08:00 and 08:20
+    trips = [
+      new Trip({ id: 'T1', routeId: '101', serviceId: 'WEEKDAY', headsign: 'Centro' }),
+      new Trip({ id: 'T2', routeId: '101', serviceId: 'WEEKDAY', headsign: 'Centro' })
+    ];
+    stopTimes = [
+      stopTime('T1', 'A', 1, '08:00:00'), stopTime('T1', 'B', 2, '08:05:00'), stopTime('T1', 'C', 3, '08:10:00'),
+      stopTime('T2', 'A', 1, '08:20:00'), stopTime('T2', 'B', 2, '08:25:00'), stopTime('T2', 'C', 3, '08:30:00')
+    ];
+
+    stopRepository.listAll.mockResolvedValue(['A', 'B', 'C'].map((id, index) =>
+      new Stop({ id, name: `Parada ${id}`, lat: 13.7, lng: -89.2 + index * 0.01 })));
+    routeRepository.listAll.mockResolvedValue([new Route({ id: '101', shortName: '101', longName: 'Ruta 101', type: '3' })]);
+    tripRepository.listAll.mockImplementation(async () => trips);
+    // Copies, like documents read again from Firestore
+    tripRepository.findById.mockImplementation(async id => {
+      const stored = trips.find(trip => trip.id === id);
+      return stored ? new Trip(stored.toJSON()) : null;
+    });
+    tripRepository.update.mockImplementation(async updated => {
+      trips = trips.map(trip => (trip.id === updated.id ? updated : trip));
+      return updated;
+    });
+    stopTimeRepository.listAll.mockImplementation(async () => stopTimes);
+    stopTimeRepository.create.mockImplementation(async created => {
+      stopTimes.push(created);
+      return created;
+    });
+    frequencyRepository.listAll.mockResolvedValue([]);
+    agencyRepository.list.mockResolvedValue([]);
+    calendarRepository.findInEffect.mockResolvedValue([
+      new Calendar({
+        id: 'WEEKDAY', monday: true, tuesday: true, wednesday: true, thursday: true, friday: true,
+        startDate: '20240101', endDate: '20241231'
+      })
+    ]);
+    calendarDateRepository.findByDate.mockResolvedValue([]);
+  });
+
+  test('PATCH /gtfs/trips/:id should reach the journey planner right away', async () => {
+    expect(firstTrip(await plan())).toBe('T1');
+
+    const response = await request(app)
+      .patch('/api/v1/gtfs/trips/T1')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ serviceId: 'SUNDAY' });
+
+    expect(response.status).toBe(200);
+    expect(firstTrip(await plan())).toBe('T2');
+  });
+
+  test('POST /gtfs/stop-times should reach the journey planner right away', async () => {
+    stopTimes = stopTimes.filter(({ tripId, stopId }) => tripId !== 'T1' || stopId !== 'C');
+    expect(firstTrip(await plan())).toBe('T2');
+
+    const response = await request(app)
+      .post('/api/v1/gtfs/stop-times')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ tripId: 'T1', stopId: 'C', stopSequence: 3, arrivalTime: '08:10:00', departureTime: '08:10:00' });
+
+    expect(response.status).toBe(201);
+    expect(firstTrip(await plan())).toBe('T1');
+  });
+});
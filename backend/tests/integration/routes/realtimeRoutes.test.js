@@ -0,0 +1,95 @@
+/**
+ * Realtime Integration Tests
+ *
+ * Checks that stream tokens passed as ?token= never reach the request log,
+ * and that bus edits made through the mounted API are published to stream
+ * subscribers (busEvents). Repositories are mocked: no Firestore needed.
+ */
+
+const request = require('supertest');
+const morgan = require('morgan');
+const app = require('../../../src/app');
+const { redactUrl } = require('../../../src/middlewares/requestLogger.middleware');
+const { jwtUtil } = require('../../../src/utils/jwt');
+const { busRepository } = require('../../../src/services/busRepository');
+const { busEvents, BUS_EVENTS } = require('../../../src/services/busEvents');
+const Bus = require('../../../src/models/Bus');
+
+// Mock dependencies
+jest.mock('../../../src/services/busRepository');
+
+describe('Realtime', () => {
+  const adminToken = jwtUtil.signAccess({ id: 'admin-1', email: 'admin@bustrack.sv', role: 'admin' });
+
+  describe('request log', () => {
+    test('should redact tokens from logged URLs', () => {
+      expect(redactUrl('/api/v1/realtime/buses?token=eyJhbGci.abc.def&route=101'))
+        .toBe('/api/v1/realtime/buses?token=[REDACTED]&route=101');
+      expect(redactUrl('/api/v1/realtime/buses?route=101&TOKEN=abc')).toBe('/api/v1/realtime/buses?route=101&TOKEN=[REDACTED]');
+      expect(redactUrl('/api/v1/buses?page=2')).toBe('/api/v1/buses?page=2');
+    });
+
+    test('should log the redacted URL', () => {
+      expect(morgan.url({ originalUrl: '/api/v1/realtime/buses?token=secret' }))
+        .toBe('/api/v1/realtime/buses?token=[REDACTED]');
+    });
+  });
+
+  describe('bus events', () => {
+    const stored = () => new Bus({
+      id: 'BUS-1',
+      licensePlate: 'P123-456',
+      unitName: 'Unidad 1',
+      status: 'parked',
+      route: '101',
+      statusChangedAt: new Date(Date.now() - 60 * 1000)
+    });
+    let listener;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      busRepository.findById.mockImplementation(async () => stored());
+      busRepository.updateStatusTimes.mockImplementation(async (id, apply) => {
+        const bus = stored();
+        const previousStatus = bus.status;
+        return { updated: apply(bus) !== null, bus, previousStatus };
+      });
+      busRepository.update.mockImplementation(async bus => bus);
+      listener = jest.fn();
+    });
+
+    afterEach(() => {
+      busEvents.removeListener(BUS_EVENTS.STATUS, listener);
+      busEvents.removeListener(BUS_EVENTS.POSITION, listener);
+    });
+
+    test('PATCH /buses/:id should publish the status change', async () => {
+      busEvents.on(BUS_EVENTS.STATUS, listener);
+
+      const response = await request(app)
+        .patch('/api/v1/buses/BUS-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'moving' });
+
+      expect(response.status).toBe(200);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        busId: 'BUS-1',
+        status: 'moving',
+        previousStatus: 'parked'
+      }));
+    });
+
+    test('PATCH /buses/:id should publish a new position', async () => {
+      busEvents.on(BUS_EVENTS.POSITION, listener);
+
+      const response = await request(app)
+        .patch('/api/v1/buses/BUS-1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ position: { lat: 13.7, lng: -89.2 } });
+
+      expect(response.status).toBe(200);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(busRepository.update.mock.calls[0][1]).toEqual({ fields: ['position'] });
+    });
+  });
+});
@@ -556,7 +556,9 @@ test('getAllowedStatuses() should return allowed statuses', () => {
   assert(statuses.includes('parked'), 'Should include parked status');
   assert(statuses.includes('moving'), 'Should include moving status');
   assert(statuses.includes('maintenance'), 'Should include maintenance status');
-  assert(statuses.length === 3, 'Should have exactly 3 statuses');
+  assert(statuses.includes('needs_urgent_maintenance'), 'Should include needs_urgent_maintenance status');
+  assert(statuses.includes('usable'), 'Should include usable status');
+  assert(statuses.length === 5, 'Should have exactly 5 statuses');
 });
 
 test('fromDatabase() should create Bus from database document', () => {
@@ -72,7 +72,7 @@ describe('Bus Model', () => {
           unitName: 'Bus 001',
           status: 'invalid_status'
         });
-      }).toThrow('Status must be one of: parked, moving, maintenance');
+      }).toThrow('Invalid status. Allowed values: parked, moving, maintenance, needs_urgent_maintenance, usable');
     });
 
     test('should throw error for missing status', () => {
@@ -244,7 +244,7 @@ describe('Bus Model', () => {
     test('should throw error when setting invalid status', () => {
       expect(() => {
         bus.status = 'invalid';
-      }).toThrow('Status must be one of: parked, moving, maintenance');
+      }).toThrow('Invalid status. Allowed values: parked, moving, maintenance, needs_urgent_maintenance, usable');
     });
 
     test('should update position', () => {
@@ -346,11 +346,16 @@ describe('Bus Model', () => {
         unitName: 'Bus 001',
         status: 'moving',
         route: 'Route 1',
+        tripId: null,
+        tripStartDate: null,
+        tripStartTime: null,
         driver: 'driver123',
         movingTime: 3600,
         parkedTime: 1800,
         isFavorite: true,
-        position: { lat: 13.6929, lng: -89.2182 }
+        position: { lat: 13.6929, lng: -89.2182 },
+        statusChangedAt: null,
+        stoppedSince: null
       });
     });
 
@@ -371,4 +376,40 @@ describe('Bus Model', () => {
       expect(json.position).toBeNull();
     });
   });
+
+  describe('assignTrip Method', () => {
+    const newBus = () => new Bus({ licensePlate: 'ABC-123', unitName: 'Bus 001', status: 'moving' });
+
+    test('should set the trip and its service date', () => {
+      const bus = newBus();
+
+      bus.assignTrip('T101-0800', '2024-01-02');
+
+      expect(bus.tripId).toBe('T101-0800');
+      expect(bus.tripStartDate).toBe('2024-01-02');
+    });
+
+    test('should set the start time of a frequency-based trip', () => {
+      const bus = newBus();
+
+      bus.assignTrip('T101-FREQ', '2024-01-02', '06:10:00');
+
+      expect(bus.tripStartTime).toBe('06:10:00');
+      expect(() => bus.assignTrip('T101-FREQ', '2024-01-02', '6:10')).toThrow('HH:MM:SS');
+    });
+
+    test('should clear both fields with null', () => {
+      const bus = newBus();
+      bus.assignTrip('T101-0800', '2024-01-02');
+
+      bus.assignTrip(null);
+
+      expect(bus.tripId).toBeNull();
+      expect(bus.tripStartDate).toBeNull();
+    });
+
+    test('should require a service date with the trip', () => {
+      expect(() => newBus().assignTrip('T101-0800', null)).toThrow('Trip start date must be formatted as YYYY-MM-DD');
+    });
+  });
 });
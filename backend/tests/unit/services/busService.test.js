@@ -0,0 +1,448 @@
+/**
+ * BusService Unit Tests
+ *
+ * Tests the status state machine, status history and movingTime/parkedTime
+ * accounting from status transitions and GPS speed.
+ * Local days are America/El_Salvador (UTC-6).
+ */
+
+const busService = require('../../../src/services/busService');
+const { busRepository } = require('../../../src/services/busRepository');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { frequencyRepository } = require('../../../src/services/gtfs/frequencyRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const frequencyService = require('../../../src/services/frequencyService');
+const { busEvents, BUS_EVENTS } = require('../../../src/services/busEvents');
+const Bus = require('../../../src/models/Bus');
+const BusDailyTime = require('../../../src/models/BusDailyTime');
+const { Trip, Frequency, StopTime } = require('../../../src/models/gtfs');
+
+jest.mock('../../../src/services/busRepository');
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/frequencyRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+
+describe('BusService', () => {
+  // 2024-01-02 12:00 local
+  const now = new Date('2024-01-02T18:00:00.000Z');
+
+  const buildBus = overrides => new Bus({
+    id: 'bus123',
+    licensePlate: 'P123-456',
+    unitName: 'Unit 1',
+    status: 'parked',
+    route: 'R1',
+    ...overrides
+  });
+
+  const hoursBefore = hours => new Date(now.getTime() - hours * 3600 * 1000);
+
+  // Run updateStatusTimes against an in-memory bus, like the transaction would
+  const mockStatusTimes = bus => {
+    busRepository.updateStatusTimes.mockImplementation(async (id, apply) => {
+      const previousStatus = bus.status;
+      const changes = apply(bus);
+      return { updated: changes !== null, bus, previousStatus, changes };
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+    frequencyService.clearCache();
+    frequencyRepository.findByTrip.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('createBus', () => {
+    test('should start time accounting and ignore client counters', async () => {
+      busRepository.create.mockImplementation(async bus => bus);
+
+      const created = await busService.createBus({
+        licensePlate: 'P123-456',
+        unitName: 'Unit 1',
+        status: 'parked',
+        movingTime: 5000,
+        parkedTime: 5000
+      });
+
+      const [bus, changes] = busRepository.create.mock.calls[0];
+      expect(bus.statusChangedAt).toEqual(now);
+      expect(bus.timeDate).toBe('2024-01-02');
+      expect(created).toMatchObject({ movingTime: 0, parkedTime: 0, statusDuration: 0 });
+      expect(changes.statusChanges).toEqual([
+        expect.objectContaining({ fromStatus: null, toStatus: 'parked', source: 'user', changedAt: now })
+      ]);
+    });
+
+    test('should require a reason to create a bus in maintenance', async () => {
+      await expect(busService.createBus({
+        licensePlate: 'P123-456',
+        unitName: 'Unit 1',
+        status: 'maintenance'
+      })).rejects.toMatchObject({ status: 422, type: 'VALIDATION_ERROR' });
+      expect(busRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateBus', () => {
+    test('should close the previous status stretch on a transition', async () => {
+      const stored = { statusChangedAt: hoursBefore(2), timeDate: '2024-01-02', parkedTime: 600 };
+      busRepository.findById.mockResolvedValue(buildBus(stored));
+      mockStatusTimes(buildBus(stored));
+
+      const updated = await busService.updateBus('bus123', { status: 'moving' });
+
+      const { bus, changes } = await busRepository.updateStatusTimes.mock.results[0].value;
+      expect(changes.timeSegments).toEqual([{ date: '2024-01-02', status: 'parked', seconds: 7200 }]);
+      expect(bus.parkedTime).toBe(7800);
+      expect(bus.statusChangedAt).toEqual(now);
+      expect(updated).toMatchObject({ status: 'moving', parkedTime: 7800, movingTime: 0, statusDuration: 0 });
+      // Nothing else changed: the whole bus is never written back
+      expect(busRepository.update).not.toHaveBeenCalled();
+    });
+
+    test('should check the transition against the stored status', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ statusChangedAt: hoursBefore(1) }));
+      // Put in maintenance since the bus was read
+      mockStatusTimes(buildBus({ status: 'maintenance', statusChangedAt: hoursBefore(1) }));
+
+      await expect(busService.updateBus('bus123', { status: 'moving' }))
+        .rejects.toMatchObject({ status: 409, type: 'INVALID_STATUS_TRANSITION' });
+      expect(busRepository.update).not.toHaveBeenCalled();
+    });
+
+    test('should split a stretch across local midnight and reset the day counters', async () => {
+      // Parked since 2024-01-01 22:00 local, with yesterday's counters stored
+      const stored = { statusChangedAt: new Date('2024-01-02T04:00:00.000Z'), timeDate: '2024-01-01', movingTime: 30000 };
+      busRepository.findById.mockResolvedValue(buildBus(stored));
+      mockStatusTimes(buildBus(stored));
+
+      await busService.updateBus('bus123', { status: 'maintenance', statusReason: 'Brake check' });
+
+      const { bus, changes } = await busRepository.updateStatusTimes.mock.results[0].value;
+      expect(changes.timeSegments).toEqual([
+        { date: '2024-01-01', status: 'parked', seconds: 7200 },
+        { date: '2024-01-02', status: 'parked', seconds: 43200 }
+      ]);
+      expect(bus.timeDate).toBe('2024-01-02');
+      expect(bus.movingTime).toBe(0);
+      expect(bus.parkedTime).toBe(43200);
+    });
+
+    test('should write only the edited fields when the status is unchanged', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ statusChangedAt: hoursBefore(1) }));
+      busRepository.update.mockImplementation(async bus => bus);
+
+      await busService.updateBus('bus123', { status: 'parked', driver: 'D1' });
+
+      expect(busRepository.updateStatusTimes).not.toHaveBeenCalled();
+      expect(busRepository.update.mock.calls[0][1]).toEqual({ fields: ['driver'] });
+    });
+
+    test('should write the edited fields after the status change', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ statusChangedAt: hoursBefore(1) }));
+      mockStatusTimes(buildBus({ statusChangedAt: hoursBefore(1) }));
+      busRepository.update.mockImplementation(async bus => buildBus({ driver: bus.driver, status: 'moving' }));
+
+      const updated = await busService.updateBus('bus123', { status: 'moving', driver: 'D1', position: { lat: 13.7, lng: -89.2 } });
+
+      expect(busRepository.update.mock.calls[0][1]).toEqual({ fields: ['driver', 'position'] });
+      expect(updated).toMatchObject({ status: 'moving', driver: 'D1' });
+    });
+
+    test('should record the transition with actor and reason', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ statusChangedAt: hoursBefore(1) }));
+      mockStatusTimes(buildBus({ statusChangedAt: hoursBefore(1) }));
+
+      await busService.updateBus('bus123', { status: 'maintenance', statusReason: 'Oil leak' }, 'admin1');
+
+      const { changes } = await busRepository.updateStatusTimes.mock.results[0].value;
+      expect(changes.statusChanges).toEqual([{
+        fromStatus: 'parked',
+        toStatus: 'maintenance',
+        reason: 'Oil leak',
+        source: 'user',
+        actorId: 'admin1',
+        changedAt: now
+      }]);
+    });
+
+    test('should reject transitions outside the state machine with 409', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ status: 'maintenance', statusChangedAt: hoursBefore(1) }));
+
+      await expect(busService.updateBus('bus123', { status: 'moving' })).rejects.toMatchObject({
+        status: 409,
+        type: 'INVALID_STATUS_TRANSITION',
+        details: { from: 'maintenance', to: 'moving', allowed: ['usable'] }
+      });
+      expect(busRepository.updateStatusTimes).not.toHaveBeenCalled();
+    });
+
+    test('should require a reason to enter maintenance', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ statusChangedAt: hoursBefore(1) }));
+
+      await expect(busService.updateBus('bus123', { status: 'needs_urgent_maintenance', statusReason: '  ' }))
+        .rejects.toMatchObject({ status: 422, type: 'VALIDATION_ERROR' });
+      expect(busRepository.updateStatusTimes).not.toHaveBeenCalled();
+    });
+
+    test('should release a bus from maintenance through usable', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ status: 'maintenance', statusChangedAt: hoursBefore(1) }));
+      mockStatusTimes(buildBus({ status: 'maintenance', statusChangedAt: hoursBefore(1) }));
+
+      const updated = await busService.updateBus('bus123', { status: 'usable' }, 'admin1');
+
+      expect(updated.status).toBe('usable');
+    });
+
+    test('should assign a trip of the bus route starting today', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ statusChangedAt: hoursBefore(1) }));
+      busRepository.update.mockImplementation(async bus => bus);
+      tripRepository.findById.mockResolvedValue(new Trip({ id: 'T1', routeId: 'R1', serviceId: 'WK' }));
+
+      const updated = await busService.updateBus('bus123', { tripId: 'T1' });
+
+      expect(updated).toMatchObject({ route: 'R1', tripId: 'T1', tripStartDate: '2024-01-02', tripStartTime: null });
+    });
+
+    test('should start frequency-based trips at the last instance start', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ statusChangedAt: hoursBefore(1) }));
+      busRepository.update.mockImplementation(async bus => bus);
+      tripRepository.findById.mockResolvedValue(new Trip({ id: 'T1', routeId: 'R1', serviceId: 'WK' }));
+      frequencyRepository.findByTrip.mockResolvedValue([
+        new Frequency({ tripId: 'T1', startTime: '06:00:00', endTime: '20:00:00', headwaySecs: 600, exactTimes: '1' })
+      ]);
+      stopTimeRepository.findByTrip.mockResolvedValue([
+        new StopTime({ tripId: 'T1', stopId: 'A', stopSequence: 1, arrivalTime: '06:00:00', departureTime: '06:00:00' })
+      ]);
+
+      // 12:00 local is an instance start; 12:05 is not
+      const updated = await busService.updateBus('bus123', { tripId: 'T1' });
+      expect(updated).toMatchObject({ tripId: 'T1', tripStartDate: '2024-01-02', tripStartTime: '12:00:00' });
+
+      await expect(busService.updateBus('bus123', { tripId: 'T1', tripStartTime: '12:05:00' }))
+        .rejects.toMatchObject({ status: 422, message: 'Start time 12:05:00 is not an instance of trip T1' });
+    });
+
+    test('should reject unknown trips and trips of another route', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ statusChangedAt: hoursBefore(1) }));
+      tripRepository.findById.mockResolvedValueOnce(null);
+
+      await expect(busService.updateBus('bus123', { tripId: 'T9' }))
+        .rejects.toMatchObject({ status: 422, type: 'VALIDATION_ERROR' });
+
+      tripRepository.findById.mockResolvedValueOnce(new Trip({ id: 'T2', routeId: 'R2', serviceId: 'WK' }));
+
+      await expect(busService.updateBus('bus123', { tripId: 'T2', tripStartDate: '2024-01-02' }))
+        .rejects.toMatchObject({ status: 422, message: 'Trip T2 belongs to route R2, not R1' });
+      expect(busRepository.update).not.toHaveBeenCalled();
+    });
+
+    test('should end the active trip when the route changes', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({
+        statusChangedAt: hoursBefore(1),
+        tripId: 'T1',
+        tripStartDate: '2024-01-02'
+      }));
+      busRepository.update.mockImplementation(async bus => bus);
+
+      const updated = await busService.updateBus('bus123', { route: 'R2' });
+
+      expect(updated).toMatchObject({ route: 'R2', tripId: null, tripStartDate: null });
+    });
+  });
+
+  describe('getBusById', () => {
+    test('should include the open stretch in today\'s totals', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({
+        statusChangedAt: hoursBefore(3),
+        timeDate: '2024-01-02',
+        parkedTime: 100,
+        movingTime: 200
+      }));
+
+      const bus = await busService.getBusById('bus123');
+
+      expect(bus).toMatchObject({ parkedTime: 10900, movingTime: 200, statusDuration: 10800 });
+    });
+  });
+
+  describe('findNearbyBuses', () => {
+    test('should return the nearest buses first with their distance', async () => {
+      busRepository.findNearby.mockResolvedValue([
+        { bus: buildBus({ id: 'near', position: { lat: 13.6929, lng: -89.2182 } }), distanceMeters: 12.345 },
+        { bus: buildBus({ id: 'far', licensePlate: 'P999-999', position: { lat: 13.7, lng: -89.2 } }), distanceMeters: 2110.06 }
+      ]);
+
+      const result = await busService.findNearbyBuses({ lat: 13.6928, lng: -89.2182, radius: 3, limit: 5, route: 'R1' });
+
+      expect(busRepository.findNearby).toHaveBeenCalledWith(13.6928, -89.2182, 3, { limit: 5, route: 'R1' });
+      expect(result.data.map(bus => [bus.id, bus.distanceMeters])).toEqual([['near', 12.3], ['far', 2110.1]]);
+      expect(result.data[0]).toMatchObject({ licensePlate: 'P123-456', parkedTime: expect.any(Number) });
+      expect(result).toMatchObject({ count: 2, query: { lat: 13.6928, lng: -89.2182, radiusKm: 3, limit: 5, route: 'R1' } });
+    });
+  });
+
+  describe('inferStatusFromReadings', () => {
+    const fix = (minutes, speed) => ({
+      timestamp: new Date(now.getTime() + minutes * 60000),
+      speed
+    });
+
+    test('should mark a parked bus as moving on a fast fix', async () => {
+      const bus = buildBus({ statusChangedAt: hoursBefore(1) });
+      mockStatusTimes(bus);
+      const listener = jest.fn();
+      busEvents.on(BUS_EVENTS.STATUS, listener);
+
+      await busService.inferStatusFromReadings('bus123', [fix(0, 30)]);
+      busEvents.off(BUS_EVENTS.STATUS, listener);
+
+      expect(bus.status).toBe('moving');
+      expect(bus.parkedTime).toBe(3600);
+      await expect(busRepository.updateStatusTimes.mock.results[0].value).resolves.toMatchObject({
+        changes: { statusChanges: [expect.objectContaining({ fromStatus: 'parked', toStatus: 'moving', source: 'gps' })] }
+      });
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        busId: 'bus123',
+        status: 'moving',
+        previousStatus: 'parked'
+      }));
+    });
+
+    test('should mark a moving bus as parked after staying slow, backdated to the first slow fix', async () => {
+      const bus = buildBus({ status: 'moving', statusChangedAt: hoursBefore(1) });
+      mockStatusTimes(bus);
+
+      await busService.inferStatusFromReadings('bus123', [fix(0, 2)]);
+      expect(bus.status).toBe('moving');
+      expect(bus.stoppedSince).toEqual(now);
+
+      await busService.inferStatusFromReadings('bus123', [fix(6, 0)]);
+      expect(bus.status).toBe('parked');
+      expect(bus.statusChangedAt).toEqual(now);
+      expect(bus.movingTime).toBe(3600);
+      expect(bus.stoppedSince).toBeNull();
+    });
+
+    test('should clear a short stop when the bus speeds up again', async () => {
+      const bus = buildBus({ status: 'moving', statusChangedAt: hoursBefore(1) });
+      mockStatusTimes(bus);
+
+      await busService.inferStatusFromReadings('bus123', [fix(0, 0), fix(1, 0), fix(2, 40), fix(8, 0)]);
+
+      expect(bus.status).toBe('moving');
+      expect(bus.stoppedSince).toEqual(fix(8, 0).timestamp);
+    });
+
+    test('should never change a bus in maintenance', async () => {
+      const bus = buildBus({ status: 'maintenance', statusChangedAt: hoursBefore(1) });
+      mockStatusTimes(bus);
+
+      await busService.inferStatusFromReadings('bus123', [fix(0, 50)]);
+
+      expect(await busRepository.updateStatusTimes.mock.results[0].value).toMatchObject({ updated: false });
+      expect(bus.status).toBe('maintenance');
+    });
+
+    test('should skip the transaction when no fix has a speed', async () => {
+      const result = await busService.inferStatusFromReadings('bus123', [fix(0, null)]);
+
+      expect(result).toBeNull();
+      expect(busRepository.updateStatusTimes).not.toHaveBeenCalled();
+    });
+
+    test('should park a moving bus inside an autoPark depot and ignore its speed', async () => {
+      const bus = buildBus({ status: 'moving', statusChangedAt: hoursBefore(1) });
+      mockStatusTimes(bus);
+      const arrival = fix(0, null);
+      const yardMove = fix(1, 12);
+
+      await busService.inferStatusFromReadings('bus123', [arrival, yardMove], {
+        depotFixes: new Set([arrival, yardMove])
+      });
+
+      expect(bus.status).toBe('parked');
+      expect(bus.statusChangedAt).toEqual(now);
+      await expect(busRepository.updateStatusTimes.mock.results[0].value).resolves.toMatchObject({
+        changes: { statusChanges: [expect.objectContaining({ toStatus: 'parked', source: 'geofence' })] }
+      });
+    });
+  });
+
+  describe('getStatusHistory', () => {
+    test('should return transitions with the allowed next statuses', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ status: 'needs_urgent_maintenance' }));
+      busRepository.listStatusHistory.mockResolvedValue([{
+        id: 'h1',
+        busId: 'bus123',
+        fromStatus: 'moving',
+        toStatus: 'needs_urgent_maintenance',
+        reason: 'Engine warning',
+        source: 'user',
+        actorId: 'admin1',
+        changedAt: hoursBefore(1)
+      }]);
+
+      const result = await busService.getStatusHistory('bus123', { limit: 10 });
+
+      expect(busRepository.listStatusHistory).toHaveBeenCalledWith('bus123', { limit: 10 });
+      expect(result.allowedTransitions).toEqual(['maintenance', 'parked']);
+      expect(result.history[0]).toMatchObject({ toStatus: 'needs_urgent_maintenance', changedAt: '2024-01-02T17:00:00.000Z' });
+    });
+
+    test('should throw 404 when the bus does not exist', async () => {
+      busRepository.findById.mockResolvedValue(null);
+
+      await expect(busService.getStatusHistory('missing')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('getDailyTimes', () => {
+    test('should fill missing days and add the open stretch', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ status: 'moving', statusChangedAt: hoursBefore(2) }));
+      busRepository.listDailyTimes.mockResolvedValue([
+        new BusDailyTime({ busId: 'bus123', date: '2024-01-01', movingTime: 3600, parkedTime: 1800 }),
+        new BusDailyTime({ busId: 'bus123', date: '2024-01-02', parkedTime: 900 })
+      ]);
+
+      const result = await busService.getDailyTimes('bus123', { from: '2023-12-31', to: '2024-01-02' });
+
+      expect(busRepository.listDailyTimes).toHaveBeenCalledWith('bus123', '2023-12-31', '2024-01-02');
+      expect(result.timeZone).toBe('America/El_Salvador');
+      expect(result.days).toEqual([
+        expect.objectContaining({ date: '2023-12-31', movingTime: 0, parkedTime: 0, maintenanceTime: 0 }),
+        expect.objectContaining({ date: '2024-01-01', movingTime: 3600, parkedTime: 1800 }),
+        expect.objectContaining({ date: '2024-01-02', movingTime: 7200, parkedTime: 900 })
+      ]);
+    });
+
+    test('should default to today', async () => {
+      busRepository.findById.mockResolvedValue(buildBus({ statusChangedAt: hoursBefore(1) }));
+      busRepository.listDailyTimes.mockResolvedValue([]);
+
+      const result = await busService.getDailyTimes('bus123');
+
+      expect(result).toMatchObject({ from: '2024-01-02', to: '2024-01-02' });
+      expect(result.days).toEqual([{
+        date: '2024-01-02',
+        movingTime: 0,
+        parkedTime: 3600,
+        maintenanceTime: 0,
+        urgentMaintenanceTime: 0,
+        usableTime: 0
+      }]);
+    });
+
+    test('should throw 404 when the bus does not exist', async () => {
+      busRepository.findById.mockResolvedValue(null);
+
+      await expect(busService.getDailyTimes('missing')).rejects.toMatchObject({ status: 404, type: 'NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * DepartureService Unit Tests
+ *
+ * Tests the departure board of a stop: service days, times past
+ * 24:00:00, frequency-based trips, route and headsign data and predicted
+ * departures. Service days are America/El_Salvador (UTC-6).
+ */
+
+const departureService = require('../../../src/services/departureService');
+const serviceCalendarService = require('../../../src/services/serviceCalendarService');
+const frequencyService = require('../../../src/services/frequencyService');
+const predictionService = require('../../../src/services/predictionService');
+const { busRepository } = require('../../../src/services/busRepository');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { routeRepository } = require('../../../src/services/gtfs/routeRepository');
+const { frequencyRepository } = require('../../../src/services/gtfs/frequencyRepository');
+const { calendarRepository } = require('../../../src/services/gtfs/calendarRepository');
+const { calendarDateRepository } = require('../../../src/services/gtfs/calendarDateRepository');
+const { agencyRepository } = require('../../../src/services/gtfs/agencyRepository');
+const { Agency, Stop, Route, Trip, StopTime, Frequency, Calendar } = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/busRepository');
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/routeRepository');
+jest.mock('../../../src/services/gtfs/frequencyRepository');
+jest.mock('../../../src/services/gtfs/calendarRepository');
+jest.mock('../../../src/services/gtfs/calendarDateRepository');
+jest.mock('../../../src/services/gtfs/agencyRepository');
+
+describe('DepartureService', () => {
+  // Local time = UTC - 6 h (2024-01-02 is a Tuesday, 2024-01-06 a Saturday)
+  const at = (day, hour, minute = 0) => new Date(Date.UTC(2024, 0, day, hour + 6, minute));
+
+  const trips = {
+    T1: new Trip({ id: 'T1', routeId: '101', serviceId: 'WEEKDAY', headsign: 'Centro' }),
+    T2: new Trip({ id: 'T2', routeId: '101', serviceId: 'WEEKDAY', headsign: 'Centro' }),
+    NIGHT: new Trip({ id: 'NIGHT', routeId: '7N', serviceId: 'WEEKDAY', headsign: 'Soyapango' }),
+    SUN: new Trip({ id: 'SUN', routeId: '101', serviceId: 'SUNDAY' }),
+    F1: new Trip({ id: 'F1', routeId: '7N', serviceId: 'WEEKDAY' })
+  };
+  const routes = {
+    101: new Route({ id: '101', agencyId: 'AMSS', shortName: '101', longName: 'Ruta 101', type: '3', color: 'FF0000', textColor: 'FFFFFF' }),
+    '7N': new Route({ id: '7N', shortName: '7N', longName: 'Nocturna 7', type: '3' })
+  };
+  let stopTimes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    serviceCalendarService.clearCache();
+    frequencyService.clearCache();
+    // B: T1 08:05-08:06, T2 08:30 (drop-off only), NIGHT 24:10, SUN 08:20, F1 from 09:00 every 15 min
+    stopTimes = [
+      new StopTime({ tripId: 'T1', stopId: 'B', stopSequence: 2, arrivalTime: '08:05:00', departureTime: '08:06:00', stopHeadsign: 'Centro por Alameda' }),
+      new StopTime({ tripId: 'T2', stopId: 'B', stopSequence: 2, arrivalTime: '08:30:00', departureTime: '08:30:00', pickupType: '1' }),
+      new StopTime({ tripId: 'NIGHT', stopId: 'B', stopSequence: 5, arrivalTime: '24:10:00', departureTime: '24:10:00' }),
+      new StopTime({ tripId: 'SUN', stopId: 'B', stopSequence: 2, arrivalTime: '08:20:00', departureTime: '08:20:00' }),
+      new StopTime({ tripId: 'F1', stopId: 'B', stopSequence: 1, arrivalTime: '09:00:00', departureTime: '09:00:00' })
+    ];
+
+    stopRepository.findById.mockImplementation(async id => (id === 'B'
+      ? new Stop({ id: 'B', name: 'Parada B', lat: 13.7, lng: -89.19 })
+      : null));
+    stopTimeRepository.findByStop.mockImplementation(async () => stopTimes);
+    stopTimeRepository.findByTrip.mockImplementation(async tripId => stopTimes.filter(stopTime => stopTime.tripId === tripId));
+    tripRepository.findById.mockImplementation(async id => trips[id] || null);
+    routeRepository.findById.mockImplementation(async id => routes[id] || null);
+    frequencyRepository.findByTrip.mockImplementation(async tripId => (tripId === 'F1'
+      ? [new Frequency({ tripId: 'F1', startTime: '09:00:00', endTime: '10:00:00', headwaySecs: 900 })]
+      : []));
+    agencyRepository.findById.mockImplementation(async id => (id === 'AMSS'
+      ? new Agency({ id: 'AMSS', name: 'Autobuses Metropolitanos', url: 'https://amss.example.com', timezone: 'America/El_Salvador' })
+      : null));
+    agencyRepository.list.mockResolvedValue([]);
+    calendarRepository.findInEffect.mockResolvedValue([
+      new Calendar({
+        id: 'WEEKDAY', monday: true, tuesday: true, wednesday: true, thursday: true, friday: true,
+        startDate: '20240101', endDate: '20241231'
+      }),
+      new Calendar({ id: 'SUNDAY', sunday: true, startDate: '20240101', endDate: '20241231' })
+    ]);
+    calendarDateRepository.findByDate.mockResolvedValue([]);
+    busRepository.findByTripIds.mockResolvedValue([]);
+  });
+
+  const summary = board => board.departures.map(departure =>
+    [departure.tripId, departure.serviceDate, departure.departureTime]
+  );
+
+  test('should list the departures of the active services with route and headsign', async () => {
+    const board = await departureService.getStopDepartures('B', { at: at(2, 8), window: 60 });
+
+    // T2 takes no passengers at B and SUN does not run on Tuesdays
+    expect(summary(board)).toEqual([['T1', '2024-01-02', '08:06:00']]);
+    expect(board).toMatchObject({ stopId: 'B', stopName: 'Parada B', from: '2024-01-02T14:00:00.000Z', to: '2024-01-02T15:00:00.000Z' });
+    expect(board.departures[0]).toEqual({
+      tripId: 'T1',
+      startTime: null,
+      serviceDate: '2024-01-02',
+      routeId: '101',
+      routeShortName: '101',
+      routeColor: 'FF0000',
+      routeTextColor: 'FFFFFF',
+      headsign: 'Centro por Alameda',
+      stopSequence: 2,
+      departureTime: '08:06:00',
+      scheduledDeparture: '2024-01-02T14:06:00.000Z',
+      predictedDeparture: null,
+      delaySeconds: null,
+      busId: null
+    });
+  });
+
+  test('should list departures past 24:00:00 on the previous service day', async () => {
+    // Saturday 00:00: the Friday service is still running
+    const board = await departureService.getStopDepartures('B', { at: at(6, 0), window: 30 });
+
+    expect(summary(board)).toEqual([['NIGHT', '2024-01-05', '24:10:00']]);
+    expect(board.departures[0]).toMatchObject({
+      routeShortName: '7N',
+      routeColor: null,
+      headsign: 'Soyapango',
+      scheduledDeparture: '2024-01-06T06:10:00.000Z'
+    });
+  });
+
+  test('should list every instance of frequency-based trips in the window', async () => {
+    const board = await departureService.getStopDepartures('B', { at: at(2, 9, 10), window: 30 });
+
+    expect(board.departures.map(departure => [departure.tripId, departure.startTime, departure.departureTime])).toEqual([
+      ['F1', '09:15:00', '09:15:00'],
+      ['F1', '09:30:00', '09:30:00']
+    ]);
+  });
+
+  test('should add predicted departures, keeping late buses while they are in the window', async () => {
+    const bus = { id: 'bus123', route: '101', tripId: 'T1', tripStartDate: '2024-01-02', tripStartTime: null };
+    busRepository.findByTripIds.mockResolvedValue([bus]);
+    jest.spyOn(predictionService, 'predictTrip').mockResolvedValue({
+      basis: 'real_time',
+      predictions: [{
+        busId: 'bus123',
+        tripId: 'T1',
+        serviceDate: '2024-01-02',
+        startTime: null,
+        stopId: 'B',
+        stopSequence: 2,
+        predictedArrival: '2024-01-02T14:11:00.000Z'
+      }]
+    });
+
+    // Scheduled at 08:06, before the window: predicted at 08:12 (arrival + 1 min dwell)
+    const board = await departureService.getStopDepartures('B', { at: at(2, 8, 10), window: 15 });
+
+    expect(board.departures).toHaveLength(1);
+    expect(board.departures[0]).toMatchObject({
+      tripId: 'T1',
+      scheduledDeparture: '2024-01-02T14:06:00.000Z',
+      predictedDeparture: '2024-01-02T14:12:00.000Z',
+      delaySeconds: 360,
+      busId: 'bus123'
+    });
+    expect(predictionService.predictTrip).toHaveBeenCalledWith(bus, expect.any(Date));
+
+    predictionService.predictTrip.mockRestore();
+  });
+
+  test('should throw 404 if stop not found', async () => {
+    await expect(departureService.getStopDepartures('X')).rejects.toMatchObject({ status: 404, type: 'NOT_FOUND' });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * DeviceService Unit Tests
+ *
+ * Tests tracker registry CRUD, bus assignment, API keys and ingestion lookups.
+ */
+
+const bcrypt = require('bcrypt');
+const deviceService = require('../../../src/services/deviceService');
+const { deviceRepository } = require('../../../src/services/deviceRepository');
+const { deviceApiKeyRepository } = require('../../../src/services/deviceApiKeyRepository');
+const { busRepository } = require('../../../src/services/busRepository');
+const Device = require('../../../src/models/Device');
+const DeviceApiKey = require('../../../src/models/DeviceApiKey');
+
+// Mock dependencies
+jest.mock('../../../src/services/deviceRepository');
+jest.mock('../../../src/services/deviceApiKeyRepository');
+jest.mock('../../../src/services/busRepository');
+
+describe('DeviceService', () => {
+  const buildDevice = (overrides = {}) => new Device({
+    id: 'dev1',
+    serial: 'TRK-001',
+    imei: '356938035643809',
+    busId: 'bus123',
+    assignedAt: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createDevice', () => {
+    test('should assign the device when busId is given', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus123' });
+      deviceRepository.create.mockImplementation(async device => device);
+
+      const result = await deviceService.createDevice(
+        { serial: 'TRK-001', busId: 'bus123', assignmentNote: 'Initial install' },
+        'admin1'
+      );
+
+      expect(result.busId).toBe('bus123');
+      expect(result.assignedAt).not.toBeNull();
+      expect(deviceRepository.create).toHaveBeenCalledWith(expect.any(Device), {
+        assignedBy: 'admin1',
+        note: 'Initial install'
+      });
+    });
+
+    test('should throw 404 if the bus does not exist', async () => {
+      busRepository.findById.mockResolvedValue(null);
+
+      await expect(
+        deviceService.createDevice({ serial: 'TRK-001', busId: 'missing' })
+      ).rejects.toMatchObject({ status: 404, message: 'Bus not found' });
+      expect(deviceRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateDevice', () => {
+    test('should record an assignment when moving to another bus', async () => {
+      deviceRepository.findById.mockResolvedValue(buildDevice());
+      deviceRepository.update.mockImplementation(async device => device);
+      deviceRepository.assign.mockResolvedValue(buildDevice({ busId: 'bus456' }));
+      busRepository.findById.mockResolvedValue({ id: 'bus456' });
+
+      const result = await deviceService.updateDevice('dev1', { busId: 'bus456', assignmentNote: 'Swap' }, 'admin1');
+
+      expect(result.busId).toBe('bus456');
+      expect(deviceRepository.assign).toHaveBeenCalledWith('dev1', 'bus456', {
+        assignedBy: 'admin1',
+        note: 'Swap'
+      });
+    });
+
+    test('should unassign when busId is null', async () => {
+      deviceRepository.findById.mockResolvedValue(buildDevice());
+      deviceRepository.update.mockImplementation(async device => device);
+      deviceRepository.assign.mockResolvedValue(buildDevice({ busId: null }));
+
+      await deviceService.updateDevice('dev1', { busId: null });
+
+      expect(busRepository.findById).not.toHaveBeenCalled();
+      expect(deviceRepository.assign).toHaveBeenCalledWith('dev1', null, expect.any(Object));
+    });
+
+    test('should not touch the history when busId is unchanged', async () => {
+      deviceRepository.findById.mockResolvedValue(buildDevice());
+      deviceRepository.update.mockImplementation(async device => device);
+
+      const result = await deviceService.updateDevice('dev1', { busId: 'bus123', firmwareVersion: '2.1.0' });
+
+      expect(result.firmwareVersion).toBe('2.1.0');
+      expect(deviceRepository.assign).not.toHaveBeenCalled();
+    });
+
+    test('should throw 404 if device not found', async () => {
+      deviceRepository.findById.mockResolvedValue(null);
+
+      await expect(deviceService.updateDevice('missing', { isActive: false })).rejects.toMatchObject({
+        status: 404,
+        type: 'NOT_FOUND'
+      });
+    });
+  });
+
+  describe('getAssignmentHistory', () => {
+    test('should return assignments with ISO dates', async () => {
+      deviceRepository.findById.mockResolvedValue(buildDevice());
+      deviceRepository.listAssignments.mockResolvedValue([
+        {
+          id: 'a2',
+          deviceId: 'dev1',
+          busId: 'bus123',
+          assignedAt: new Date('2024-01-01T00:00:00.000Z'),
+          unassignedAt: null,
+          assignedBy: 'admin1',
+          note: null
+        }
+      ]);
+
+      const history = await deviceService.getAssignmentHistory('dev1');
+
+      expect(history[0].assignedAt).toBe('2024-01-01T00:00:00.000Z');
+      expect(history[0].unassignedAt).toBeNull();
+    });
+  });
+
+  describe('busIdAt', () => {
+    test('should use the current assignment for fixes after it started', async () => {
+      const busId = await deviceService.busIdAt(buildDevice(), new Date('2024-01-02T00:00:00.000Z'));
+
+      expect(busId).toBe('bus123');
+      expect(deviceRepository.findAssignmentAt).not.toHaveBeenCalled();
+    });
+
+    test('should look up the history for fixes before the current assignment', async () => {
+      deviceRepository.findAssignmentAt.mockResolvedValue({ busId: 'bus-old' });
+
+      const busId = await deviceService.busIdAt(buildDevice(), new Date('2023-12-31T00:00:00.000Z'));
+
+      expect(busId).toBe('bus-old');
+    });
+  });
+
+  describe('API keys', () => {
+    let issued;
+
+    beforeEach(async () => {
+      deviceRepository.findById.mockResolvedValue(buildDevice());
+      deviceApiKeyRepository.rotate.mockImplementation(async apiKey => new DeviceApiKey({
+        id: 'key1',
+        deviceId: apiKey.deviceId,
+        keyHash: apiKey.keyHash,
+        scopes: apiKey.scopes,
+        createdBy: apiKey.createdBy
+      }));
+
+      issued = await deviceService.issueApiKey('dev1', 'admin1');
+      deviceApiKeyRepository.findById.mockResolvedValue(deviceApiKeyRepository.rotate.mock.calls[0][0]);
+    });
+
+    test('should return the plaintext key once and store only a hash', async () => {
+      const stored = deviceApiKeyRepository.rotate.mock.calls[0][0];
+      const { secret } = DeviceApiKey.parse(issued.key);
+
+      expect(issued.key).toMatch(/^btk_key1\./);
+      expect(issued.apiKey).not.toHaveProperty('keyHash');
+      expect(issued.apiKey.scopes).toEqual(['gps:ingest']);
+      expect(stored.keyHash).not.toContain(secret);
+      expect(await bcrypt.compare(secret, stored.keyHash)).toBe(true);
+    });
+
+    test('should authenticate a valid key and resolve the device', async () => {
+      const { device } = await deviceService.authenticateApiKey(issued.key, 'gps:ingest');
+
+      expect(device.id).toBe('dev1');
+    });
+
+    test('should reject a wrong secret', async () => {
+      const wrongKey = `${issued.key.split('.')[0]}.not-the-secret`;
+
+      await expect(deviceService.authenticateApiKey(wrongKey, 'gps:ingest')).rejects.toMatchObject({
+        status: 401,
+        type: 'UNAUTHORIZED'
+      });
+    });
+
+    test('should reject a revoked key', async () => {
+      const stored = deviceApiKeyRepository.rotate.mock.calls[0][0];
+      deviceApiKeyRepository.findById.mockResolvedValue(new DeviceApiKey({
+        id: 'key1',
+        deviceId: 'dev1',
+        keyHash: stored.keyHash,
+        revokedAt: new Date()
+      }));
+
+      await expect(deviceService.authenticateApiKey(issued.key, 'gps:ingest')).rejects.toMatchObject({
+        status: 401
+      });
+    });
+
+    test('should reject a key for an inactive device', async () => {
+      deviceRepository.findById.mockResolvedValue(buildDevice({ isActive: false }));
+
+      await expect(deviceService.authenticateApiKey(issued.key, 'gps:ingest')).rejects.toMatchObject({
+        status: 403,
+        message: 'Device is inactive'
+      });
+    });
+
+    test('should reject malformed keys without a lookup', async () => {
+      await expect(deviceService.authenticateApiKey('not-a-key', 'gps:ingest')).rejects.toMatchObject({
+        status: 401,
+        message: 'Malformed API key'
+      });
+      expect(deviceApiKeyRepository.findById).not.toHaveBeenCalled();
+    });
+
+    test('should not revoke a key that belongs to another device', async () => {
+      await expect(deviceService.revokeApiKey('dev2', 'key1')).rejects.toMatchObject({ status: 404 });
+      expect(deviceApiKeyRepository.revoke).not.toHaveBeenCalled();
+    });
+  });
+});
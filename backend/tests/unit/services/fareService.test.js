@@ -0,0 +1,133 @@
+/**
+ * FareService Unit Tests
+ *
+ * Tests fare calculation between two stops: rides per route, route and
+ * zone rules, contained zones, the cheapest fare and errors.
+ */
+
+const fareService = require('../../../src/services/fareService');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { routeRepository } = require('../../../src/services/gtfs/routeRepository');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { fareAttributeRepository } = require('../../../src/services/gtfs/fareAttributeRepository');
+const { fareRuleRepository } = require('../../../src/services/gtfs/fareRuleRepository');
+const { Stop, Route, Trip, StopTime, FareAttribute, FareRule } = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/routeRepository');
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/fareAttributeRepository');
+jest.mock('../../../src/services/gtfs/fareRuleRepository');
+
+describe('FareService', () => {
+  // A (zone CENTRO) -> B (SOYA) -> C (SOYA); route 101 runs A-B-C, route 44 A-C, route 29 only B-A
+  const stop = (id, zoneId) => new Stop({ id, name: `Parada ${id}`, lat: 13.7, lng: -89.2, zoneId });
+  const trips = {
+    T101: new Trip({ id: 'T101', routeId: '101', serviceId: 'WK' }),
+    T101B: new Trip({ id: 'T101B', routeId: '101', serviceId: 'WK' }),
+    T29: new Trip({ id: 'T29', routeId: '29', serviceId: 'WK' }),
+    T44: new Trip({ id: 'T44', routeId: '44', serviceId: 'WK' })
+  };
+  const stopTime = (tripId, stopId, stopSequence) =>
+    new StopTime({ tripId, stopId, stopSequence, arrivalTime: '08:00:00', departureTime: '08:00:00' });
+  const stopTimes = {
+    T101: [stopTime('T101', 'A', 1), stopTime('T101', 'B', 2), stopTime('T101', 'C', 3)],
+    T101B: [stopTime('T101B', 'A', 1), stopTime('T101B', 'C', 2)],
+    T29: [stopTime('T29', 'B', 1), stopTime('T29', 'A', 2)],
+    T44: [stopTime('T44', 'A', 1), stopTime('T44', 'C', 2)]
+  };
+  const fare = (id, price) => new FareAttribute({ id, price, currencyType: 'USD', paymentMethod: '0' });
+  let stops;
+  let fares;
+  let rules;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fareService.clearCache();
+    stops = { A: stop('A', 'CENTRO'), B: stop('B', 'SOYA'), C: stop('C', 'SOYA') };
+    fares = [fare('URBANO', 0.25), fare('INTERZONA', 0.35), fare('DIFERENCIAL', 0.5)];
+    rules = [
+      new FareRule({ fareId: 'URBANO', routeId: '101', containsId: 'CENTRO' }),
+      new FareRule({ fareId: 'INTERZONA', originId: 'CENTRO', destinationId: 'SOYA' }),
+      new FareRule({ fareId: 'DIFERENCIAL', routeId: '101' }),
+      new FareRule({ fareId: 'DIFERENCIAL', routeId: '44' })
+    ];
+    stopRepository.findById.mockImplementation(async id => stops[id] || null);
+    routeRepository.findById.mockImplementation(async id => new Route({ id, shortName: id, longName: `Ruta ${id}`, type: '3' }));
+    tripRepository.findById.mockImplementation(async id => trips[id] || null);
+    tripRepository.findByRoute.mockImplementation(async routeId =>
+      Object.values(trips).filter(trip => trip.routeId === routeId)
+    );
+    stopTimeRepository.findByStop.mockImplementation(async stopId =>
+      Object.values(stopTimes).flat().filter(candidate => candidate.stopId === stopId)
+    );
+    stopTimeRepository.findByTrip.mockImplementation(async tripId => stopTimes[tripId] || []);
+    fareAttributeRepository.listAll.mockImplementation(async () => fares);
+    fareRuleRepository.listAll.mockImplementation(async () => rules);
+  });
+
+  test('should give each route serving the ride its cheapest fare, cheapest first', async () => {
+    const result = await fareService.calculateFare({ originStopId: 'A', destinationStopId: 'C' });
+
+    expect(result).toMatchObject({ originZoneId: 'CENTRO', destinationZoneId: 'SOYA' });
+    // Route 29 only goes from B to A
+    expect(result.options.map(option => [option.routeId, option.zoneIds, option.fare.fareId, option.fare.price])).toEqual([
+      ['101', ['CENTRO', 'SOYA'], 'INTERZONA', 0.35],
+      ['44', ['CENTRO', 'SOYA'], 'INTERZONA', 0.35]
+    ]);
+    // One trip per route is enough
+    expect(stopTimeRepository.findByTrip).not.toHaveBeenCalledWith('T101B');
+  });
+
+  test('should require the passed zones to equal the contained zones', async () => {
+    stops.B = stop('B', 'CENTRO');
+
+    const result = await fareService.calculateFare({ originStopId: 'A', destinationStopId: 'B', routeId: '101' });
+
+    expect(result.options).toEqual([{
+      routeId: '101',
+      zoneIds: ['CENTRO'],
+      fare: {
+        fareId: 'URBANO',
+        price: 0.25,
+        currencyType: 'USD',
+        paymentMethod: '0',
+        transfers: null,
+        transferDuration: null,
+        agencyId: null
+      }
+    }]);
+    expect(tripRepository.findById).not.toHaveBeenCalled();
+  });
+
+  test('should return no fare for rides no rule covers', async () => {
+    const result = await fareService.calculateFare({ originStopId: 'B', destinationStopId: 'A' });
+
+    expect(result.options).toEqual([{ routeId: '29', zoneIds: ['SOYA', 'CENTRO'], fare: null }]);
+  });
+
+  test('should apply fares without rules to every ride in feeds without rules', async () => {
+    rules = [];
+
+    const result = await fareService.calculateFare({ originStopId: 'B', destinationStopId: 'A' });
+
+    expect(result.options[0].fare).toMatchObject({ fareId: 'URBANO', price: 0.25 });
+  });
+
+  test('should reject unknown stops and routes, and stops no trip connects', async () => {
+    await expect(fareService.calculateFare({ originStopId: 'A', destinationStopId: 'X' })).rejects.toMatchObject({
+      status: 404,
+      message: 'Stop X not found'
+    });
+
+    routeRepository.findById.mockResolvedValueOnce(null);
+    await expect(fareService.calculateFare({ originStopId: 'A', destinationStopId: 'C', routeId: '999' }))
+      .rejects.toMatchObject({ status: 404, message: 'Route not found' });
+
+    await expect(fareService.calculateFare({ originStopId: 'A', destinationStopId: 'C', routeId: '29' }))
+      .rejects.toMatchObject({ status: 422, message: 'No trip of route 29 goes from stop A to stop C' });
+  });
+});
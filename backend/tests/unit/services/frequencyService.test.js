@@ -0,0 +1,131 @@
+/**
+ * FrequencyService Unit Tests
+ *
+ * Tests the expansion of frequency-based trips into trip instances and the
+ * start time resolution of bus assignments. Service days are
+ * America/El_Salvador (UTC-6).
+ */
+
+const frequencyService = require('../../../src/services/frequencyService');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { frequencyRepository } = require('../../../src/services/gtfs/frequencyRepository');
+const { Trip, StopTime, Frequency } = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/frequencyRepository');
+
+describe('FrequencyService', () => {
+  // Template: A at 06:00, B at 06:10
+  const stopTimes = {
+    F1: [
+      new StopTime({ tripId: 'F1', stopId: 'A', stopSequence: 1, arrivalTime: '06:00:00', departureTime: '06:00:00' }),
+      new StopTime({ tripId: 'F1', stopId: 'B', stopSequence: 2, arrivalTime: '06:10:00', departureTime: '06:10:00' })
+    ],
+    T1: [
+      new StopTime({ tripId: 'T1', stopId: 'B', stopSequence: 1, arrivalTime: '06:45:00', departureTime: '06:45:00' })
+    ]
+  };
+  let frequencies;
+
+  // 2024-01-02 local time = UTC + 6 h
+  const at = (hour, minute) => new Date(Date.UTC(2024, 0, 2, hour + 6, minute));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    frequencyService.clearCache();
+    // Every 20 minutes 06:00-07:00, then exactly every 30 minutes 07:00-08:00
+    frequencies = {
+      F1: [
+        new Frequency({ tripId: 'F1', startTime: '07:00:00', endTime: '08:00:00', headwaySecs: 1800, exactTimes: '1' }),
+        new Frequency({ tripId: 'F1', startTime: '6:00:00', endTime: '07:00:00', headwaySecs: 1200 })
+      ]
+    };
+    tripRepository.findById.mockImplementation(async id => (stopTimes[id]
+      ? new Trip({ id, routeId: 'R1', serviceId: 'WK' })
+      : null));
+    stopTimeRepository.findByTrip.mockImplementation(async tripId => stopTimes[tripId] || []);
+    frequencyRepository.findByTrip.mockImplementation(async tripId => frequencies[tripId] || []);
+  });
+
+  describe('expandStopTimes', () => {
+    test('should repeat frequency-based stop times for every instance, by departure', async () => {
+      const expanded = await frequencyService.expandStopTimes([stopTimes.F1[1], ...stopTimes.T1]);
+
+      expect(expanded.map(stopTime => [stopTime.tripId, stopTime.startTime, stopTime.departureTime])).toEqual([
+        ['F1', '06:00:00', '06:10:00'],
+        ['F1', '06:20:00', '06:30:00'],
+        ['T1', null, '06:45:00'],
+        ['F1', '06:40:00', '06:50:00'],
+        ['F1', '07:00:00', '07:10:00'],
+        ['F1', '07:30:00', '07:40:00']
+      ]);
+      expect(expanded[3]).toMatchObject({ stopId: 'B', headwaySecs: 1200, exactTimes: false, arrivalSeconds: 24600 });
+      expect(expanded[4]).toMatchObject({ headwaySecs: 1800, exactTimes: true });
+    });
+  });
+
+  describe('getTripInstances', () => {
+    test('should list the instances of a frequency-based trip with shifted stop times', async () => {
+      const result = await frequencyService.getTripInstances('F1');
+
+      expect(result.frequencyBased).toBe(true);
+      expect(result.instances.map(instance => instance.startTime)).toEqual([
+        '06:00:00', '06:20:00', '06:40:00', '07:00:00', '07:30:00'
+      ]);
+      expect(result.instances[1].stopTimes).toEqual([
+        { stopId: 'A', stopSequence: 1, arrivalTime: '06:20:00', departureTime: '06:20:00' },
+        { stopId: 'B', stopSequence: 2, arrivalTime: '06:30:00', departureTime: '06:30:00' }
+      ]);
+    });
+
+    test('should return a single instance for trips without frequencies', async () => {
+      const result = await frequencyService.getTripInstances('T1');
+
+      expect(result).toEqual({
+        tripId: 'T1',
+        frequencyBased: false,
+        instances: [{
+          startTime: null,
+          headwaySecs: null,
+          exactTimes: null,
+          stopTimes: [{ stopId: 'B', stopSequence: 1, arrivalTime: '06:45:00', departureTime: '06:45:00' }]
+        }]
+      });
+    });
+
+    test('should throw 404 when the trip does not exist', async () => {
+      await expect(frequencyService.getTripInstances('nope')).rejects.toMatchObject({ status: 404, type: 'NOT_FOUND' });
+    });
+  });
+
+  describe('resolveStartTime', () => {
+    test('should start now within an approximate window', async () => {
+      await expect(frequencyService.resolveStartTime('F1', '2024-01-02', null, at(6, 25))).resolves.toBe('06:25:00');
+    });
+
+    test('should start at the last exact instance, or the first one before service', async () => {
+      await expect(frequencyService.resolveStartTime('F1', '2024-01-02', null, at(7, 45))).resolves.toBe('07:30:00');
+      await expect(frequencyService.resolveStartTime('F1', '2024-01-02', null, at(5, 0))).resolves.toBe('06:00:00');
+    });
+
+    test('should accept start times that are instances of the trip', async () => {
+      await expect(frequencyService.resolveStartTime('F1', '2024-01-02', '06:07:00')).resolves.toBe('06:07:00');
+      await expect(frequencyService.resolveStartTime('F1', '2024-01-02', '07:30:00')).resolves.toBe('07:30:00');
+      await expect(frequencyService.resolveStartTime('F1', '2024-01-02', '07:10:00')).rejects.toMatchObject({
+        status: 422,
+        message: 'Start time 07:10:00 is not an instance of trip F1'
+      });
+    });
+
+    test('should give trips without frequencies no start time', async () => {
+      await expect(frequencyService.resolveStartTime('T1', '2024-01-02', null)).resolves.toBeNull();
+      await expect(frequencyService.resolveStartTime('T1', '2024-01-02', '06:45:00')).rejects.toMatchObject({
+        status: 422,
+        type: 'VALIDATION_ERROR'
+      });
+    });
+  });
+});
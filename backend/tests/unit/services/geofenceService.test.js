@@ -0,0 +1,211 @@
+/**
+ * GeofenceService Unit Tests
+ *
+ * Tests geofence CRUD validation, polygon/circle containment and
+ * enter/exit event detection from GPS fixes.
+ */
+
+const geofenceService = require('../../../src/services/geofenceService');
+const { geofenceRepository } = require('../../../src/services/geofenceRepository');
+const { busEvents, BUS_EVENTS } = require('../../../src/services/busEvents');
+const Geofence = require('../../../src/models/Geofence');
+
+// Mock dependencies
+jest.mock('../../../src/services/geofenceRepository');
+
+describe('GeofenceService', () => {
+  const bus = { id: 'bus123', route: 'R1' };
+
+  // ~110 m square around (13.7000, -89.2000)
+  const terminal = new Geofence({
+    id: 'g1',
+    name: 'Terminal Oriente',
+    type: 'terminal',
+    shape: 'polygon',
+    polygon: [
+      { lat: 13.6995, lng: -89.2005 },
+      { lat: 13.6995, lng: -89.1995 },
+      { lat: 13.7005, lng: -89.1995 },
+      { lat: 13.7005, lng: -89.2005 }
+    ]
+  });
+
+  const depot = new Geofence({
+    id: 'g2',
+    name: 'Depot Soyapango',
+    type: 'depot',
+    shape: 'circle',
+    center: { lat: 13.71, lng: -89.15 },
+    radius: 150,
+    autoPark: true
+  });
+
+  const fix = (minute, lat, lng) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 2, 12, minute)),
+    lat,
+    lng
+  });
+
+  // Run updatePresence against an in-memory presence, like the transaction would
+  const mockPresence = (presence = { geofences: {}, lastFixAt: null }) => {
+    geofenceRepository.updatePresence.mockImplementation(async (busId, apply) => {
+      const result = apply(presence);
+      return { updated: result !== null, events: result ? result.events : [] };
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    geofenceService.activeCache = null;
+    geofenceRepository.listActive.mockResolvedValue([terminal, depot]);
+  });
+
+  describe('Geofence.contains', () => {
+    test('should test polygons with ray casting', () => {
+      expect(terminal.contains({ lat: 13.7, lng: -89.2 })).toBe(true);
+      expect(terminal.contains({ lat: 13.7, lng: -89.199 })).toBe(false);
+      expect(terminal.contains({ lat: 13.701, lng: -89.2 })).toBe(false);
+    });
+
+    test('should test circles by distance to the center', () => {
+      expect(depot.contains({ lat: 13.711, lng: -89.15 })).toBe(true); // ~111 m
+      expect(depot.contains({ lat: 13.712, lng: -89.15 })).toBe(false); // ~222 m
+    });
+  });
+
+  describe('createGeofence', () => {
+    test('should reject autoPark on non-depot geofences with 422', async () => {
+      await expect(geofenceService.createGeofence({
+        name: 'Terminal',
+        type: 'terminal',
+        shape: 'circle',
+        center: { lat: 13.7, lng: -89.2 },
+        radius: 100,
+        autoPark: true
+      })).rejects.toMatchObject({ status: 422, type: 'VALIDATION_ERROR' });
+      expect(geofenceRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should invalidate the active geofence cache', async () => {
+      geofenceRepository.create.mockImplementation(async geofence => geofence);
+      mockPresence();
+      await geofenceService.evaluateFixes(bus, [fix(0, 13.7, -89.2)]);
+
+      await geofenceService.createGeofence({
+        name: 'Zona restringida',
+        type: 'restricted',
+        shape: 'circle',
+        center: { lat: 13.69, lng: -89.19 },
+        radius: 200
+      });
+      await geofenceService.evaluateFixes(bus, [fix(1, 13.7, -89.2)]);
+
+      expect(geofenceRepository.listActive).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('updateGeofence', () => {
+    test('should require the new geometry when the shape changes', async () => {
+      geofenceRepository.findById.mockResolvedValue(Geofence.fromDatabase(terminal.toJSON()));
+
+      await expect(geofenceService.updateGeofence('g1', { shape: 'circle', radius: 100 }))
+        .rejects.toMatchObject({ status: 422 });
+      expect(geofenceRepository.update).not.toHaveBeenCalled();
+    });
+
+    test('should keep the stored center when only the radius changes', async () => {
+      geofenceRepository.findById.mockResolvedValue(Geofence.fromDatabase(depot.toJSON()));
+      geofenceRepository.update.mockImplementation(async geofence => geofence);
+
+      const updated = await geofenceService.updateGeofence('g2', { radius: 300 });
+
+      expect(updated).toMatchObject({ shape: 'circle', center: { lat: 13.71, lng: -89.15 }, radius: 300 });
+    });
+
+    test('should throw 404 when the geofence does not exist', async () => {
+      geofenceRepository.findById.mockResolvedValue(null);
+
+      await expect(geofenceService.updateGeofence('missing', { name: 'X' }))
+        .rejects.toMatchObject({ status: 404, type: 'NOT_FOUND' });
+    });
+  });
+
+  describe('evaluateFixes', () => {
+    test('should record enter and exit events with dwell time', async () => {
+      mockPresence();
+      const listener = jest.fn();
+      busEvents.on(BUS_EVENTS.GEOFENCE, listener);
+
+      const { events } = await geofenceService.evaluateFixes(bus, [
+        fix(5, 13.69, -89.21),
+        fix(0, 13.69, -89.21),
+        fix(1, 13.7, -89.2),
+        fix(4, 13.7, -89.2)
+      ]);
+      busEvents.off(BUS_EVENTS.GEOFENCE, listener);
+
+      expect(events).toEqual([
+        expect.objectContaining({ geofenceId: 'g1', geofenceType: 'terminal', event: 'enter', dwellSeconds: null, occurredAt: fix(1).timestamp }),
+        expect.objectContaining({ geofenceId: 'g1', event: 'exit', dwellSeconds: 240, occurredAt: fix(5).timestamp })
+      ]);
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[0][0]).toMatchObject({ busId: 'bus123', route: 'R1', event: 'enter' });
+    });
+
+    test('should not write when the bus stays inside', async () => {
+      mockPresence({
+        geofences: { g1: { name: 'Terminal Oriente', type: 'terminal', enteredAt: fix(0).timestamp } },
+        lastFixAt: fix(0).timestamp
+      });
+
+      const { events } = await geofenceService.evaluateFixes(bus, [fix(1, 13.7, -89.2)]);
+
+      expect(events).toEqual([]);
+    });
+
+    test('should exit geofences that were deleted or deactivated', async () => {
+      mockPresence({
+        geofences: { old: { name: 'Old depot', type: 'depot', enteredAt: fix(0).timestamp } },
+        lastFixAt: fix(0).timestamp
+      });
+
+      const { events } = await geofenceService.evaluateFixes(bus, [fix(2, 13.69, -89.21)]);
+
+      expect(events).toEqual([
+        expect.objectContaining({ geofenceId: 'old', geofenceName: 'Old depot', event: 'exit', dwellSeconds: 120 })
+      ]);
+    });
+
+    test('should ignore fixes older than the last evaluated fix', async () => {
+      mockPresence({ geofences: {}, lastFixAt: fix(10).timestamp });
+
+      const { events } = await geofenceService.evaluateFixes(bus, [fix(5, 13.7, -89.2)]);
+
+      expect(events).toEqual([]);
+    });
+
+    test('should report fixes inside autoPark depots', async () => {
+      mockPresence();
+      const inDepot = fix(1, 13.71, -89.15);
+      const outside = fix(2, 13.69, -89.21);
+
+      const { depotFixes } = await geofenceService.evaluateFixes(bus, [inDepot, outside]);
+
+      expect(depotFixes.has(inDepot)).toBe(true);
+      expect(depotFixes.has(outside)).toBe(false);
+    });
+  });
+
+  describe('listEvents', () => {
+    test('should pass filters and serialize timestamps', async () => {
+      geofenceRepository.listEvents.mockResolvedValue([
+        { id: 'e1', busId: 'bus123', geofenceId: 'g1', event: 'enter', occurredAt: fix(1).timestamp }
+      ]);
+
+      const events = await geofenceService.listEvents({ busId: 'bus123', limit: 10 });
+
+      expect(geofenceRepository.listEvents).toHaveBeenCalledWith({ busId: 'bus123', limit: 10 });
+      expect(events[0].occurredAt).toBe('2024-01-02T12:01:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,429 @@
+/**
+ * GpsService Unit Tests
+ *
+ * Tests GPS fix ingestion: validation, device resolution, deduplication and bus position updates.
+ */
+
+const gpsService = require('../../../src/services/gpsService');
+const { gpsRepository } = require('../../../src/services/gpsRepository');
+const { busRepository } = require('../../../src/services/busRepository');
+const { deviceRepository } = require('../../../src/services/deviceRepository');
+const { geofenceRepository } = require('../../../src/services/geofenceRepository');
+const { offRouteRepository } = require('../../../src/services/offRouteRepository');
+const Device = require('../../../src/models/Device');
+
+// Mock dependencies
+jest.mock('../../../src/services/gpsRepository');
+jest.mock('../../../src/services/busRepository');
+jest.mock('../../../src/services/deviceRepository');
+jest.mock('../../../src/services/geofenceRepository');
+jest.mock('../../../src/services/offRouteRepository');
+
+describe('GpsService', () => {
+  const validFix = {
+    deviceId: 'device-001',
+    timestamp: '2024-01-01T12:30:45.123Z',
+    lat: 13.6929,
+    lng: -89.2182,
+    speed: 45.5,
+    heading: 180,
+    accuracy: 5.2
+  };
+
+  const registeredDevice = new Device({
+    id: 'dev1',
+    serial: 'device-001',
+    busId: 'bus123',
+    assignedAt: '2024-01-01T00:00:00.000Z'
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    deviceRepository.findBySerial.mockResolvedValue(registeredDevice);
+    busRepository.updateStatusTimes.mockResolvedValue({ updated: false, bus: null });
+    geofenceRepository.listActive.mockResolvedValue([]);
+    geofenceRepository.updatePresence.mockResolvedValue({ updated: false, events: [] });
+    offRouteRepository.updateDeviation.mockResolvedValue({ updated: false, alerts: [] });
+  });
+
+  describe('ingest', () => {
+    test('should store fix and update bus position', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus123' });
+      gpsRepository.create.mockImplementation(async reading => reading);
+      busRepository.updatePositionIfNewer.mockResolvedValue({ updated: true, previousTimestamp: null });
+
+      const result = await gpsService.ingest(validFix);
+
+      expect(result.status).toBe('accepted');
+      expect(result.reading.id).toBe('device-001_1704112245123');
+      expect(result.reading.position).toEqual({ lat: 13.6929, lng: -89.2182 });
+      expect(gpsRepository.create).toHaveBeenCalledTimes(1);
+      expect(busRepository.updatePositionIfNewer).toHaveBeenCalledWith(
+        'bus123',
+        13.6929,
+        -89.2182,
+        new Date('2024-01-01T12:30:45.123Z')
+      );
+    });
+
+    test('should infer the bus status, geofences and route deviation from applied fixes only', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus123' });
+      gpsRepository.create.mockImplementation(async reading => reading);
+      busRepository.updatePositionIfNewer.mockResolvedValueOnce({ updated: true, previousTimestamp: null });
+
+      await gpsService.ingest(validFix);
+      expect(busRepository.updateStatusTimes).toHaveBeenCalledWith('bus123', expect.any(Function));
+      expect(geofenceRepository.updatePresence).toHaveBeenCalledWith('bus123', expect.any(Function));
+      expect(offRouteRepository.updateDeviation).toHaveBeenCalledWith('bus123', expect.any(Function));
+
+      busRepository.updateStatusTimes.mockClear();
+      geofenceRepository.updatePresence.mockClear();
+      offRouteRepository.updateDeviation.mockClear();
+      busRepository.updatePositionIfNewer.mockResolvedValueOnce({
+        updated: false,
+        previousTimestamp: new Date('2024-01-01T12:31:00.000Z')
+      });
+
+      await gpsService.ingest(validFix);
+      expect(busRepository.updateStatusTimes).not.toHaveBeenCalled();
+      expect(geofenceRepository.updatePresence).not.toHaveBeenCalled();
+      expect(offRouteRepository.updateDeviation).not.toHaveBeenCalled();
+    });
+
+    test('should report out_of_order when a newer position is already stored', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus123' });
+      gpsRepository.create.mockImplementation(async reading => reading);
+      busRepository.updatePositionIfNewer.mockResolvedValue({
+        updated: false,
+        previousTimestamp: new Date('2024-01-01T12:31:00.000Z')
+      });
+
+      const result = await gpsService.ingest(validFix);
+
+      expect(result.status).toBe('out_of_order');
+      expect(gpsRepository.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('should set expiresAt from the retention window', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus123' });
+      gpsRepository.create.mockImplementation(async reading => reading);
+      busRepository.updatePositionIfNewer.mockResolvedValue({ updated: true, previousTimestamp: null });
+
+      const result = await gpsService.ingest(validFix);
+
+      // Default GPS_RETENTION_DAYS is 30
+      expect(result.reading.expiresAt).toBe('2024-01-31T12:30:45.123Z');
+    });
+
+    test('should return duplicate without updating bus position', async () => {
+      const duplicateError = new Error('GPS reading already exists');
+      duplicateError.status = 409;
+      duplicateError.type = 'DUPLICATE';
+
+      busRepository.findById.mockResolvedValue({ id: 'bus123' });
+      gpsRepository.create.mockRejectedValue(duplicateError);
+
+      const result = await gpsService.ingest(validFix);
+
+      expect(result.status).toBe('duplicate');
+      expect(busRepository.updatePositionIfNewer).not.toHaveBeenCalled();
+    });
+
+    test('should throw 404 if bus does not exist', async () => {
+      busRepository.findById.mockResolvedValue(null);
+
+      await expect(gpsService.ingest(validFix)).rejects.toMatchObject({
+        status: 404,
+        type: 'NOT_FOUND'
+      });
+      expect(gpsRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should resolve the bus from an earlier assignment for late fixes', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus-old' });
+      gpsRepository.create.mockImplementation(async reading => reading);
+      busRepository.updatePositionIfNewer.mockResolvedValue({ updated: true, previousTimestamp: null });
+      deviceRepository.findAssignmentAt.mockResolvedValue({ busId: 'bus-old' });
+
+      const result = await gpsService.ingest({ ...validFix, timestamp: '2023-12-31T23:00:00.000Z' });
+
+      expect(result.reading.busId).toBe('bus-old');
+      expect(deviceRepository.findAssignmentAt).toHaveBeenCalledWith(
+        'dev1',
+        new Date('2023-12-31T23:00:00.000Z')
+      );
+    });
+
+    test('should record when the device was last seen', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus123' });
+      gpsRepository.create.mockImplementation(async reading => reading);
+      busRepository.updatePositionIfNewer.mockResolvedValue({ updated: true, previousTimestamp: null });
+
+      await gpsService.ingest(validFix);
+
+      expect(deviceRepository.markSeen).toHaveBeenCalledWith('dev1', expect.any(Date));
+    });
+
+    test('should throw 404 if the device is not registered', async () => {
+      deviceRepository.findBySerial.mockResolvedValue(null);
+
+      await expect(gpsService.ingest(validFix)).rejects.toMatchObject({
+        status: 404,
+        message: 'Device not registered'
+      });
+      expect(gpsRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should throw 403 if the device is inactive', async () => {
+      deviceRepository.findBySerial.mockResolvedValue(new Device({ id: 'dev1', serial: 'device-001', isActive: false }));
+
+      await expect(gpsService.ingest(validFix)).rejects.toMatchObject({
+        status: 403,
+        type: 'FORBIDDEN'
+      });
+    });
+
+    test('should throw 422 if busId does not match the device assignment', async () => {
+      await expect(gpsService.ingest({ ...validFix, busId: 'other-bus' })).rejects.toMatchObject({
+        status: 422,
+        message: 'Bus ID does not match the device assignment'
+      });
+      expect(gpsRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should throw 422 if the device is not assigned to a bus', async () => {
+      deviceRepository.findBySerial.mockResolvedValue(new Device({ id: 'dev1', serial: 'device-001' }));
+      deviceRepository.findAssignmentAt.mockResolvedValue(null);
+
+      await expect(gpsService.ingest(validFix)).rejects.toMatchObject({
+        status: 422,
+        message: 'Device is not assigned to a bus'
+      });
+    });
+
+    test('should throw 403 when the API key belongs to another device', async () => {
+      const otherDevice = new Device({ id: 'dev2', serial: 'device-002', busId: 'bus456' });
+
+      await expect(gpsService.ingest(validFix, { device: otherDevice })).rejects.toMatchObject({
+        status: 403,
+        message: 'API key is not valid for this device'
+      });
+      expect(deviceRepository.findBySerial).not.toHaveBeenCalled();
+    });
+
+    test('should throw 422 for timestamps too far in the future', async () => {
+      const fix = { ...validFix, timestamp: new Date(Date.now() + 10 * 60 * 1000).toISOString() };
+
+      await expect(gpsService.ingest(fix)).rejects.toMatchObject({
+        status: 422,
+        type: 'VALIDATION_ERROR'
+      });
+      expect(deviceRepository.findBySerial).not.toHaveBeenCalled();
+    });
+
+    test('should throw 422 for invalid coordinates', async () => {
+      const fix = { ...validFix, lat: 120 };
+
+      await expect(gpsService.ingest(fix)).rejects.toMatchObject({ status: 422 });
+    });
+
+    test('should propagate unexpected repository errors', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus123' });
+      gpsRepository.create.mockRejectedValue(new Error('Database error'));
+
+      await expect(gpsService.ingest(validFix)).rejects.toThrow('Database error');
+      expect(busRepository.updatePositionIfNewer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isDuplicate', () => {
+    test('should find a stored fix by deviceId + timestamp', async () => {
+      gpsRepository.findById.mockResolvedValueOnce({ id: 'device-001_1704112245123' });
+
+      await expect(gpsService.isDuplicate(validFix)).resolves.toBe(true);
+      expect(gpsRepository.findById).toHaveBeenCalledWith('device-001_1704112245123');
+
+      gpsRepository.findById.mockResolvedValueOnce(null);
+      await expect(gpsService.isDuplicate(validFix)).resolves.toBe(false);
+    });
+
+    test('should leave invalid fixes to ingest', async () => {
+      await expect(gpsService.isDuplicate({ ...validFix, lat: 200 })).resolves.toBe(false);
+      expect(gpsRepository.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ingestBatch', () => {
+    const fixAt = (iso, overrides = {}) => ({ ...validFix, timestamp: iso, ...overrides });
+
+    beforeEach(() => {
+      busRepository.findById.mockImplementation(async id => (id === 'bus123' ? { id } : null));
+      gpsRepository.findExistingIds.mockResolvedValue(new Set());
+      gpsRepository.bulkCreate.mockImplementation(async readings => readings);
+    });
+
+    test('should return a result per fix', async () => {
+      busRepository.updatePositionIfNewer.mockResolvedValue({
+        updated: true,
+        previousTimestamp: new Date('2024-01-01T12:00:00.000Z')
+      });
+      gpsRepository.findExistingIds.mockResolvedValue(new Set(['device-001_1704112200000']));
+      deviceRepository.findBySerial.mockImplementation(async serial => {
+        if (serial === 'device-001') {
+          return registeredDevice;
+        }
+        if (serial === 'device-002') {
+          return new Device({ id: 'dev2', serial, busId: 'deleted-bus', assignedAt: '2024-01-01T00:00:00.000Z' });
+        }
+        return null;
+      });
+
+      const { summary, results } = await gpsService.ingestBatch([
+        fixAt('2024-01-01T12:30:00.000Z'),
+        fixAt('2024-01-01T12:30:01.000Z'),
+        fixAt('2024-01-01T12:30:01.000Z'),
+        fixAt('2024-01-01T12:30:00.000Z', { lat: 200 }),
+        fixAt('2024-01-01T12:30:02.000Z', { deviceId: 'device-002' }),
+        fixAt('2024-01-01T12:30:03.000Z', { deviceId: 'unknown' })
+      ]);
+
+      expect(results.map(r => r.status)).toEqual([
+        'duplicate',
+        'accepted',
+        'duplicate',
+        'rejected',
+        'rejected',
+        'rejected'
+      ]);
+      expect(results[3].reason).toMatch(/Latitude/);
+      expect(results[4].reason).toBe('Bus not found');
+      expect(results[5].reason).toBe('Device not registered');
+      expect(summary).toEqual({
+        total: 6,
+        accepted: 1,
+        outOfOrder: 0,
+        duplicate: 2,
+        rejected: 3
+      });
+      expect(deviceRepository.findBySerial).toHaveBeenCalledTimes(3);
+      expect(gpsRepository.bulkCreate).toHaveBeenCalledWith([
+        expect.objectContaining({ id: 'device-001_1704112201000' })
+      ]);
+    });
+
+    test('should store late fixes but not apply them to the bus position', async () => {
+      busRepository.updatePositionIfNewer.mockResolvedValue({
+        updated: true,
+        previousTimestamp: new Date('2024-01-01T12:30:05.000Z')
+      });
+
+      const { results } = await gpsService.ingestBatch([
+        fixAt('2024-01-01T12:30:00.000Z'),
+        fixAt('2024-01-01T12:30:10.000Z', { lat: 13.7 }),
+        fixAt('2024-01-01T12:30:04.000Z')
+      ]);
+
+      expect(results.map(r => r.status)).toEqual(['out_of_order', 'accepted', 'out_of_order']);
+      expect(gpsRepository.bulkCreate.mock.calls[0][0]).toHaveLength(3);
+      expect(busRepository.updatePositionIfNewer).toHaveBeenCalledTimes(1);
+      expect(busRepository.updatePositionIfNewer).toHaveBeenCalledWith(
+        'bus123',
+        13.7,
+        -89.2182,
+        new Date('2024-01-01T12:30:10.000Z')
+      );
+    });
+
+    test('should mark every fix out_of_order when the bus position is newer', async () => {
+      busRepository.updatePositionIfNewer.mockResolvedValue({
+        updated: false,
+        previousTimestamp: new Date('2024-01-01T13:00:00.000Z')
+      });
+
+      const { summary } = await gpsService.ingestBatch([
+        fixAt('2024-01-01T12:30:00.000Z'),
+        fixAt('2024-01-01T12:30:01.000Z')
+      ]);
+
+      expect(summary.outOfOrder).toBe(2);
+      expect(summary.accepted).toBe(0);
+    });
+  });
+
+  describe('getTrack', () => {
+    const from = new Date('2024-01-01T12:00:00.000Z');
+    const to = new Date('2024-01-01T13:00:00.000Z');
+
+    // Readings along a straight line heading north, one per minute
+    const readingsAlongLine = count => Array.from({ length: count }, (_, i) => ({
+      timestamp: new Date(from.getTime() + i * 60000),
+      lat: 13.69 + i * 0.001,
+      lng: -89.21,
+      speed: 30,
+      heading: 0,
+      accuracy: 5
+    }));
+
+    test('should return the raw track in timestamp order', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus123' });
+      gpsRepository.findByBus.mockResolvedValue(readingsAlongLine(3));
+
+      const track = await gpsService.getTrack('bus123', { from, to });
+
+      expect(gpsRepository.findByBus).toHaveBeenCalledWith('bus123', from, to, expect.any(Number));
+      expect(track).toMatchObject({
+        busId: 'bus123',
+        from: from.toISOString(),
+        to: to.toISOString(),
+        count: 3,
+        rawCount: 3,
+        simplified: false,
+        truncated: false
+      });
+      expect(track.points[0]).toEqual({
+        timestamp: '2024-01-01T12:00:00.000Z',
+        lat: 13.69,
+        lng: -89.21,
+        speed: 30,
+        heading: 0,
+        accuracy: 5
+      });
+    });
+
+    test('should drop collinear points when simplifying', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus123' });
+      gpsRepository.findByBus.mockResolvedValue(readingsAlongLine(10));
+
+      const track = await gpsService.getTrack('bus123', { from, to, tolerance: 5 });
+
+      expect(track.simplified).toBe(true);
+      expect(track.rawCount).toBe(10);
+      expect(track.points.map(point => point.timestamp)).toEqual([
+        '2024-01-01T12:00:00.000Z',
+        '2024-01-01T12:09:00.000Z'
+      ]);
+    });
+
+    test('should throw 404 when the bus does not exist', async () => {
+      busRepository.findById.mockResolvedValue(null);
+
+      await expect(gpsService.getTrack('missing', { from, to }))
+        .rejects.toMatchObject({ status: 404, type: 'NOT_FOUND' });
+      expect(gpsRepository.findByBus).not.toHaveBeenCalled();
+    });
+
+    test('should convert a track to a GeoJSON LineString', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus123' });
+      gpsRepository.findByBus.mockResolvedValue(readingsAlongLine(2));
+
+      const feature = gpsService.toGeoJSON(await gpsService.getTrack('bus123', { from, to }));
+
+      expect(feature.geometry).toEqual({
+        type: 'LineString',
+        coordinates: [[-89.21, 13.69], [-89.21, expect.closeTo(13.691)]]
+      });
+      expect(feature.properties).toMatchObject({ busId: 'bus123', count: 2 });
+      expect(feature.properties.timestamps).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * GtfsCache Unit Tests
+ *
+ * Tests entry expiry, the sweep of expired entries and clearing every
+ * registered cache at once.
+ */
+
+const { GtfsCache, createGtfsCache, clearGtfsCaches } = require('../../../src/services/gtfsCache');
+
+describe('GtfsCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should return cached values until they expire', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-05T12:00:00Z') });
+    const cache = new GtfsCache(60 * 1000);
+
+    expect(cache.set('101', null)).toBeNull();
+    expect(cache.get('101')).toBeNull();
+    expect(cache.get('102')).toBeUndefined();
+
+    jest.setSystemTime(new Date('2026-01-05T12:01:00Z'));
+    expect(cache.get('101')).toBeUndefined();
+  });
+
+  test('should drop expired entries that are not read again', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-05T12:00:00Z') });
+    const cache = new GtfsCache(60 * 1000);
+    cache.set('America/El_Salvador|20260105', {});
+    cache.set('America/El_Salvador|20260106', {});
+
+    jest.setSystemTime(new Date('2026-01-05T12:01:00Z'));
+    cache.set('America/El_Salvador|20260107', {});
+
+    expect([...cache.entries.keys()]).toEqual(['America/El_Salvador|20260107']);
+  });
+
+  test('should clear every created cache', () => {
+    const trips = createGtfsCache();
+    const fares = createGtfsCache(1000);
+    trips.set('T1', { stops: [] });
+    fares.set('fares', []);
+
+    clearGtfsCaches();
+
+    expect(trips.get('T1')).toBeUndefined();
+    expect(fares.get('fares')).toBeUndefined();
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * GtfsExportService Unit Tests
+ *
+ * Tests the feed zip: file list, column order, RFC 4180 escaping,
+ * calendars, frequencies, fares, feed_info.txt and the agency/route filters.
+ */
+
+const yauzl = require('yauzl');
+const gtfsExportService = require('../../../src/services/gtfsExportService');
+const { agencyRepository } = require('../../../src/services/gtfs/agencyRepository');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { routeRepository } = require('../../../src/services/gtfs/routeRepository');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { shapeRepository } = require('../../../src/services/gtfs/shapeRepository');
+const { calendarRepository } = require('../../../src/services/gtfs/calendarRepository');
+const { calendarDateRepository } = require('../../../src/services/gtfs/calendarDateRepository');
+const { frequencyRepository } = require('../../../src/services/gtfs/frequencyRepository');
+const { fareAttributeRepository } = require('../../../src/services/gtfs/fareAttributeRepository');
+const { fareRuleRepository } = require('../../../src/services/gtfs/fareRuleRepository');
+const {
+  Agency, Stop, Route, Trip, StopTime, Shape, Calendar, CalendarDate, Frequency, FareAttribute, FareRule
+} = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/gtfs/agencyRepository');
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/routeRepository');
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/shapeRepository');
+jest.mock('../../../src/services/gtfs/calendarRepository');
+jest.mock('../../../src/services/gtfs/calendarDateRepository');
+jest.mock('../../../src/services/gtfs/frequencyRepository');
+jest.mock('../../../src/services/gtfs/fareAttributeRepository');
+jest.mock('../../../src/services/gtfs/fareRuleRepository');
+
+/**
+ * Read a zip stream into { fileName: contents }
+ */
+async function unzip(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(Buffer.concat(chunks), { lazyEntries: true }, (error, zipfile) => {
+      if (error) {
+        return reject(error);
+      }
+
+      const files = {};
+      zipfile.on('entry', entry => {
+        zipfile.openReadStream(entry, (streamError, entryStream) => {
+          if (streamError) {
+            return reject(streamError);
+          }
+          const parts = [];
+          entryStream.on('data', part => parts.push(part));
+          entryStream.on('end', () => {
+            files[entry.fileName] = Buffer.concat(parts).toString('utf8');
+            zipfile.readEntry();
+          });
+        });
+      });
+      zipfile.on('end', () => resolve(files));
+      zipfile.readEntry();
+    });
+  });
+}
+
+describe('GtfsExportService', () => {
+  const agencies = [
+    new Agency({ id: 'AMSS', name: 'Autobuses Metropolitanos', url: 'https://amss.example.com', timezone: 'America/El_Salvador' }),
+    new Agency({ id: 'OTRA', name: 'Otra Agencia', url: 'https://otra.example.com', timezone: 'America/El_Salvador' })
+  ];
+  const routes = [
+    new Route({ id: '101', agencyId: 'AMSS', shortName: '101', longName: 'Centro, Soyapango', type: '3' }),
+    new Route({ id: '202', agencyId: 'OTRA', shortName: '202', longName: 'Centro - Apopa', type: '3' })
+  ];
+  const trips = {
+    101: [new Trip({ id: 'T1', routeId: '101', serviceId: 'WEEKDAY', headsign: 'Terminal "Oriente"', shapeId: 'SH1' })],
+    202: [new Trip({ id: 'T2', routeId: '202', serviceId: 'SUNDAY' })]
+  };
+  const stopTimes = {
+    T1: [
+      new StopTime({ tripId: 'T1', stopId: 'A', stopSequence: 1, arrivalTime: '08:00:00', departureTime: '08:00:00' }),
+      new StopTime({ tripId: 'T1', stopId: 'B', stopSequence: 2, arrivalTime: '08:05:00', departureTime: '08:06:00' })
+    ],
+    T2: [
+      new StopTime({ tripId: 'T2', stopId: 'C', stopSequence: 1, arrivalTime: '09:00:00', departureTime: '09:00:00' })
+    ]
+  };
+  const stops = [
+    new Stop({ id: 'A', name: 'Parada A', lat: 13.7, lng: -89.2, parentStation: 'STA' }),
+    new Stop({ id: 'B', name: 'Parada B\nNorte', lat: 13.71, lng: -89.21 }),
+    new Stop({ id: 'C', name: 'Parada C', lat: 13.72, lng: -89.22 }),
+    new Stop({ id: 'STA', name: 'Estación', lat: 13.7, lng: -89.2, locationType: '1' })
+  ];
+
+  const calendars = [
+    new Calendar({
+      id: 'WEEKDAY', monday: true, tuesday: true, wednesday: true, thursday: true, friday: true,
+      startDate: '20240101', endDate: '20241231'
+    }),
+    new Calendar({ id: 'SUNDAY', sunday: true, startDate: '20240101', endDate: '20241231' })
+  ];
+  const calendarDates = [
+    new CalendarDate({ serviceId: 'WEEKDAY', date: '20240501', exceptionType: '2' }),
+    new CalendarDate({ serviceId: 'SUNDAY', date: '20240501', exceptionType: '1' })
+  ];
+  const frequencies = [
+    new Frequency({ tripId: 'T2', startTime: '06:00:00', endTime: '20:00:00', headwaySecs: 600 })
+  ];
+  const fares = [
+    new FareAttribute({ id: 'URBANO', price: 0.25, currencyType: 'USD', paymentMethod: '0', transfers: '0' }),
+    new FareAttribute({ id: 'APOPA', price: 0.35, currencyType: 'USD', paymentMethod: '0', agencyId: 'OTRA' })
+  ];
+  const fareRules = [
+    new FareRule({ fareId: 'URBANO', routeId: '101' }),
+    new FareRule({ fareId: 'APOPA', routeId: '202' })
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    agencyRepository.listAll.mockResolvedValue(agencies);
+    routeRepository.listAll.mockResolvedValue(routes);
+    tripRepository.listAll.mockResolvedValue([...trips[101], ...trips[202]]);
+    tripRepository.findByRoute.mockImplementation(async routeId => trips[routeId] || []);
+    stopTimeRepository.findByTripIds.mockImplementation(async tripIds => tripIds.flatMap(tripId => stopTimes[tripId] || []));
+    stopRepository.listAll.mockResolvedValue(stops);
+    calendarRepository.listAll.mockResolvedValue(calendars);
+    calendarDateRepository.listAll.mockResolvedValue(calendarDates);
+    frequencyRepository.listAll.mockResolvedValue(frequencies);
+    fareAttributeRepository.listAll.mockResolvedValue(fares);
+    fareRuleRepository.listAll.mockResolvedValue(fareRules);
+    frequencyRepository.findByTripIds.mockImplementation(async tripIds =>
+      frequencies.filter(frequency => tripIds.includes(frequency.tripId))
+    );
+    shapeRepository.findById.mockResolvedValue(new Shape({
+      id: 'SH1',
+      points: [{ lat: 13.7, lng: -89.2, sequence: 1 }, { lat: 13.71, lng: -89.21, sequence: 2 }]
+    }));
+  });
+
+  test('should write every file with spec-ordered columns and CRLF records', async () => {
+    const files = await unzip(await gtfsExportService.exportZip());
+
+    expect(Object.keys(files)).toEqual([
+      'agency.txt', 'routes.txt', 'trips.txt', 'stop_times.txt', 'stops.txt', 'calendar.txt',
+      'calendar_dates.txt', 'shapes.txt', 'frequencies.txt', 'fare_attributes.txt', 'fare_rules.txt',
+      'feed_info.txt'
+    ]);
+    expect(files['stop_times.txt'].split('\r\n')).toEqual([
+      'trip_id,arrival_time,departure_time,stop_id,stop_sequence,stop_headsign,pickup_type,drop_off_type,shape_dist_traveled,timepoint',
+      'T1,08:00:00,08:00:00,A,1,,,,,',
+      'T1,08:05:00,08:06:00,B,2,,,,,',
+      'T2,09:00:00,09:00:00,C,1,,,,,',
+      ''
+    ]);
+    // Stop times of every trip read together
+    expect(stopTimeRepository.findByTripIds).toHaveBeenCalledTimes(1);
+    expect(stopTimeRepository.findByTrip).not.toHaveBeenCalled();
+    expect(files['stops.txt'].split('\r\n')).toHaveLength(6);
+    expect(files['shapes.txt']).toContain('SH1,13.7,-89.2,1,\r\n');
+    expect(files['calendar.txt'].split('\r\n').slice(0, 2)).toEqual([
+      'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date',
+      'WEEKDAY,1,1,1,1,1,0,0,20240101,20241231'
+    ]);
+    expect(files['calendar_dates.txt']).toContain('SUNDAY,20240501,1\r\n');
+    expect(files['frequencies.txt']).toBe('trip_id,start_time,end_time,headway_secs,exact_times\r\nT2,06:00:00,20:00:00,600,0\r\n');
+    expect(files['fare_attributes.txt'].split('\r\n')).toEqual([
+      'fare_id,price,currency_type,payment_method,transfers,agency_id,transfer_duration',
+      'URBANO,0.25,USD,0,0,,',
+      'APOPA,0.35,USD,0,,OTRA,',
+      ''
+    ]);
+    expect(files['fare_rules.txt']).toContain('fare_id,route_id,origin_id,destination_id,contains_id\r\nURBANO,101,,,\r\n');
+  });
+
+  test('should escape fields per RFC 4180', async () => {
+    const files = await unzip(await gtfsExportService.exportZip());
+
+    expect(files['routes.txt']).toContain('101,AMSS,101,"Centro, Soyapango",,3,');
+    expect(files['trips.txt']).toContain('"Terminal ""Oriente"""');
+    expect(files['stops.txt']).toContain('B,,"Parada B\nNorte",');
+  });
+
+  test('should generate feed_info.txt from the first agency', async () => {
+    const files = await unzip(await gtfsExportService.exportZip());
+    const [header, row] = files['feed_info.txt'].split('\r\n');
+
+    expect(header).toBe('feed_publisher_name,feed_publisher_url,feed_lang,feed_version,feed_contact_email');
+    expect(row).toMatch(/^Autobuses Metropolitanos,https:\/\/amss\.example\.com,es,\d{8}T\d{6}Z,$/);
+  });
+
+  test('should only export the selected routes, their agencies and the stops they use', async () => {
+    const files = await unzip(await gtfsExportService.exportZip({ routeIds: ['101'] }));
+
+    expect(files['agency.txt']).toContain('AMSS');
+    expect(files['agency.txt']).not.toContain('OTRA');
+    expect(files['routes.txt']).not.toContain('202');
+    expect(files['trips.txt']).not.toContain('T2');
+    expect(files['stop_times.txt']).not.toContain('T2');
+    expect(files['calendar.txt']).not.toContain('SUNDAY');
+    expect(files['calendar_dates.txt']).not.toContain('SUNDAY');
+    expect(files['frequencies.txt']).toBeUndefined();
+    expect(files['fare_attributes.txt']).not.toContain('APOPA');
+    expect(files['fare_rules.txt']).not.toContain('202');
+    // Stops of the trip plus the parent station of A
+    expect(files['stops.txt'].split('\r\n').slice(1, -1).map(line => line.split(',')[0])).toEqual(['A', 'B', 'STA']);
+    expect(tripRepository.listAll).not.toHaveBeenCalled();
+  });
+
+  test('should filter by agency', async () => {
+    const files = await unzip(await gtfsExportService.exportZip({ agencyIds: ['OTRA'] }));
+
+    expect(files['routes.txt']).toContain('202');
+    expect(files['routes.txt']).not.toContain('101');
+    expect(files['shapes.txt']).toBeUndefined();
+    expect(files['frequencies.txt']).toContain('T2,06:00:00');
+    expect(files['fare_attributes.txt']).not.toContain('URBANO');
+    expect(files['fare_rules.txt']).toContain('APOPA,202');
+  });
+
+  test('should reject filters that match no route', async () => {
+    await expect(gtfsExportService.exportZip({ routeIds: ['999'] }))
+      .rejects.toMatchObject({ status: 404, type: 'NOT_FOUND' });
+  });
+});
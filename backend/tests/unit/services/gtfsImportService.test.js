@@ -0,0 +1,292 @@
+/**
+ * GtfsImportService Unit Tests
+ *
+ * Tests GTFS zip import: file order, row validation, references between
+ * files, batched writes, the import report and clearing the GTFS caches.
+ */
+
+const yazl = require('yazl');
+const gtfsImportService = require('../../../src/services/gtfsImportService');
+const { createGtfsCache } = require('../../../src/services/gtfsCache');
+const { agencyRepository } = require('../../../src/services/gtfs/agencyRepository');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { routeRepository } = require('../../../src/services/gtfs/routeRepository');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { calendarRepository } = require('../../../src/services/gtfs/calendarRepository');
+const { calendarDateRepository } = require('../../../src/services/gtfs/calendarDateRepository');
+const { frequencyRepository } = require('../../../src/services/gtfs/frequencyRepository');
+const { fareAttributeRepository } = require('../../../src/services/gtfs/fareAttributeRepository');
+const { fareRuleRepository } = require('../../../src/services/gtfs/fareRuleRepository');
+
+// Mock dependencies
+jest.mock('../../../src/services/gtfs/agencyRepository');
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/routeRepository');
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/calendarRepository');
+jest.mock('../../../src/services/gtfs/calendarDateRepository');
+jest.mock('../../../src/services/gtfs/frequencyRepository');
+jest.mock('../../../src/services/gtfs/fareAttributeRepository');
+jest.mock('../../../src/services/gtfs/fareRuleRepository');
+
+/**
+ * Build a zip from { fileName: contents }
+ */
+function buildZip(files) {
+  return new Promise((resolve, reject) => {
+    const zip = new yazl.ZipFile();
+    Object.entries(files).forEach(([name, contents]) => zip.addBuffer(Buffer.from(contents), name));
+    zip.end();
+
+    const chunks = [];
+    zip.outputStream.on('data', chunk => chunks.push(chunk));
+    zip.outputStream.on('end', () => resolve(Buffer.concat(chunks)));
+    zip.outputStream.on('error', reject);
+  });
+}
+
+describe('GtfsImportService', () => {
+  const feed = {
+    'agency.txt': [
+      'agency_id,agency_name,agency_url,agency_timezone',
+      'AMSS,Autobuses Metropolitanos,https://example.com,America/El_Salvador'
+    ].join('\n'),
+    'stops.txt': [
+      'stop_id,stop_name,stop_lat,stop_lon',
+      'A,Parada A,13.70,-89.20',
+      'B,Parada B,13.71,-89.21'
+    ].join('\n'),
+    'routes.txt': [
+      'route_id,agency_id,route_short_name,route_long_name,route_type',
+      '101,AMSS,101,Centro - Soyapango,3'
+    ].join('\n'),
+    'trips.txt': [
+      'route_id,service_id,trip_id',
+      '101,WEEKDAY,T1'
+    ].join('\n'),
+    'stop_times.txt': [
+      'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+      'T1,08:00:00,08:00:00,A,1',
+      'T1,08:05:00,08:06:00,B,2'
+    ].join('\n')
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    [
+      agencyRepository, stopRepository, routeRepository, tripRepository, stopTimeRepository,
+      calendarRepository, calendarDateRepository, frequencyRepository, fareAttributeRepository,
+      fareRuleRepository
+    ].forEach(repository => repository.bulkUpsert.mockImplementation(async models => models.length));
+  });
+
+  test('should import every file through the repositories', async () => {
+    const report = await gtfsImportService.importZip(await buildZip(feed));
+
+    expect(report.errors).toEqual([]);
+    expect(report.errorCount).toBe(0);
+    expect(report.files['stops.txt']).toEqual({ present: true, rows: 2, imported: 2, skipped: 0 });
+    expect(report.files['stop_times.txt']).toEqual({ present: true, rows: 2, imported: 2, skipped: 0 });
+
+    const stops = stopRepository.bulkUpsert.mock.calls[0][0];
+    expect(stops.map(stop => stop.id)).toEqual(['A', 'B']);
+    expect(stops[1].lat).toBeCloseTo(13.71);
+
+    const stopTimes = stopTimeRepository.bulkUpsert.mock.calls[0][0];
+    expect(stopTimes[1].tripId).toBe('T1');
+    expect(stopTimes[1].getDepartureSeconds()).toBe(8 * 3600 + 6 * 60);
+  });
+
+  test('should clear the GTFS caches', async () => {
+    const cache = createGtfsCache();
+    cache.set('T1', { stops: [] });
+
+    await gtfsImportService.importZip(await buildZip(feed));
+
+    expect(cache.get('T1')).toBeUndefined();
+  });
+
+  test('should only keep the IDs of files other files reference', async () => {
+    const add = jest.spyOn(Set.prototype, 'add');
+
+    await gtfsImportService.importZip(await buildZip({
+      ...feed,
+      'frequencies.txt': [
+        'trip_id,start_time,end_time,headway_secs',
+        'T1,06:00:00,09:00:00,600'
+      ].join('\n')
+    }));
+    const added = add.mock.calls.map(([value]) => value);
+    add.mockRestore();
+
+    expect(added).toEqual(expect.arrayContaining(['AMSS', 'A', 'B', '101', 'T1']));
+    // Nothing references frequencies.txt: its rows are written, not remembered
+    expect(frequencyRepository.bulkUpsert.mock.calls[0][0][0].id).toBe('T1_060000');
+    expect(added).not.toContain('T1_060000');
+  });
+
+  test('should report invalid rows with their line and keep the valid ones', async () => {
+    const report = await gtfsImportService.importZip(await buildZip({
+      ...feed,
+      'stops.txt': [
+        'stop_id,stop_name,stop_lat,stop_lon',
+        'A,Parada A,13.70,-89.20',
+        'B,Parada B,95,-89.21'
+      ].join('\n')
+    }));
+
+    expect(report.files['stops.txt']).toEqual({ present: true, rows: 2, imported: 1, skipped: 1 });
+    expect(report.errors[0]).toMatchObject({ file: 'stops.txt', line: 3 });
+
+    // The stop time at the rejected stop is rejected as well
+    expect(report.files['stop_times.txt'].skipped).toBe(1);
+    expect(report.errors[1]).toEqual({
+      file: 'stop_times.txt',
+      line: 3,
+      message: 'stop_id "B" is not defined in stops.txt'
+    });
+    expect(report.errorCount).toBe(2);
+  });
+
+  test('should report missing files and skip their reference checks', async () => {
+    const { 'routes.txt': _routes, 'trips.txt': _trips, ...partial } = feed;
+
+    const report = await gtfsImportService.importZip(await buildZip(partial));
+
+    expect(report.files['routes.txt'].present).toBe(false);
+    expect(report.errors.map(error => error.message)).toEqual([
+      'routes.txt is missing from the feed',
+      'trips.txt is missing from the feed'
+    ]);
+    expect(report.files['stop_times.txt'].imported).toBe(2);
+    expect(routeRepository.bulkUpsert).not.toHaveBeenCalled();
+    expect(report.files['calendar.txt'].present).toBe(false);
+  });
+
+  test('should import calendars and check trip services against them', async () => {
+    const report = await gtfsImportService.importZip(await buildZip({
+      ...feed,
+      'calendar.txt': [
+        'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date',
+        'WEEKDAY,1,1,1,1,1,0,0,20240101,20241231'
+      ].join('\n'),
+      'calendar_dates.txt': [
+        'service_id,date,exception_type',
+        'WEEKDAY,20240501,2',
+        'FERIA,20240806,1'
+      ].join('\n'),
+      'trips.txt': [
+        'route_id,service_id,trip_id',
+        '101,WEEKDAY,T1',
+        '101,FERIA,T2',
+        '101,UNKNOWN,T3'
+      ].join('\n')
+    }));
+
+    expect(calendarRepository.bulkUpsert.mock.calls[0][0][0].runsOn('20240102')).toBe(true);
+    expect(calendarDateRepository.bulkUpsert.mock.calls[0][0].map(calendarDate => calendarDate.id))
+      .toEqual(['WEEKDAY_20240501', 'FERIA_20240806']);
+    expect(report.files['trips.txt']).toEqual({ present: true, rows: 3, imported: 2, skipped: 1 });
+    expect(report.errors).toEqual([{
+      file: 'trips.txt',
+      line: 4,
+      message: 'service_id "UNKNOWN" is not defined in calendar.txt or calendar_dates.txt'
+    }]);
+  });
+
+  test('should import frequencies of the imported trips', async () => {
+    const report = await gtfsImportService.importZip(await buildZip({
+      ...feed,
+      'frequencies.txt': [
+        'trip_id,start_time,end_time,headway_secs,exact_times',
+        'T1,6:00:00,09:00:00,600,',
+        'T1,09:00:00,20:00:00,900,1',
+        'T9,06:00:00,09:00:00,600,0'
+      ].join('\n')
+    }));
+
+    const frequencies = frequencyRepository.bulkUpsert.mock.calls[0][0];
+    expect(frequencies.map(frequency => frequency.id)).toEqual(['T1_060000', 'T1_090000']);
+    expect(frequencies[0].toGTFS()).toEqual({
+      trip_id: 'T1', start_time: '06:00:00', end_time: '09:00:00', headway_secs: 600, exact_times: '0'
+    });
+    expect(report.files['frequencies.txt']).toEqual({ present: true, rows: 3, imported: 2, skipped: 1 });
+    expect(report.errors).toEqual([{
+      file: 'frequencies.txt',
+      line: 4,
+      message: 'trip_id "T9" is not defined in trips.txt'
+    }]);
+  });
+
+  test('should import fares and check their rules against fares and routes', async () => {
+    const report = await gtfsImportService.importZip(await buildZip({
+      ...feed,
+      'fare_attributes.txt': [
+        'fare_id,price,currency_type,payment_method,transfers,agency_id',
+        'URBANO,0.25,USD,0,,AMSS',
+        'GRATIS,0,USD,2,,'
+      ].join('\n'),
+      'fare_rules.txt': [
+        'fare_id,route_id,origin_id,destination_id,contains_id',
+        'URBANO,101,,,',
+        'URBANO,,Z1,Z2,',
+        'URBANO,999,,,',
+        'OTRA,101,,,'
+      ].join('\n')
+    }));
+
+    const [fare] = fareAttributeRepository.bulkUpsert.mock.calls[0][0];
+    expect(fare.toJSON()).toMatchObject({ id: 'URBANO', price: 0.25, transfers: null, agencyId: 'AMSS' });
+    expect(fareRuleRepository.bulkUpsert.mock.calls[0][0].map(rule => rule.id)).toEqual([
+      'URBANO_101_*_*_*',
+      'URBANO_*_Z1_Z2_*'
+    ]);
+    expect(report.errors.map(error => [error.file, error.line, error.message])).toEqual([
+      ['fare_attributes.txt', 3, 'Invalid payment method: Invalid payment_method. Allowed values: 0, 1'],
+      ['fare_rules.txt', 4, 'route_id "999" is not defined in routes.txt'],
+      ['fare_rules.txt', 5, 'fare_id "OTRA" is not defined in fare_attributes.txt']
+    ]);
+  });
+
+  test('should write large files in batches', async () => {
+    const rows = Array.from({ length: 1201 }, (_, i) => `T1,08:00:00,08:00:00,A,${i + 1}`);
+
+    const report = await gtfsImportService.importZip(await buildZip({
+      ...feed,
+      'stop_times.txt': ['trip_id,arrival_time,departure_time,stop_id,stop_sequence', ...rows].join('\n')
+    }));
+
+    expect(report.files['stop_times.txt'].imported).toBe(1201);
+    expect(stopTimeRepository.bulkUpsert.mock.calls.map(call => call[0].length)).toEqual([500, 500, 201]);
+  });
+
+  test('should accept a feed zipped inside a folder, with a BOM and CRLF', async () => {
+    const report = await gtfsImportService.importZip(await buildZip(Object.fromEntries(
+      Object.entries(feed).map(([name, contents]) => [`gtfs/${name}`, `﻿${contents.replace(/\n/g, '\r\n')}\r\n`])
+    )));
+
+    expect(report.errorCount).toBe(0);
+    expect(report.files['agency.txt'].imported).toBe(1);
+  });
+
+  test('should report a corrupted file without crashing', async () => {
+    const zip = await buildZip(feed);
+    // Invalid deflate data at the start of stops.txt (first byte: reserved block type)
+    const header = zip.indexOf(Buffer.from('504b0304', 'hex'), zip.indexOf('stops.txt') - 30);
+    const dataStart = header + 30 + zip.readUInt16LE(header + 26) + zip.readUInt16LE(header + 28);
+    zip.fill(0xff, dataStart, dataStart + 4);
+
+    const report = await gtfsImportService.importZip(zip);
+
+    expect(report.files['stops.txt']).toMatchObject({ present: true, imported: 0 });
+    expect(report.errors).toContainEqual({ file: 'stops.txt', line: null, message: expect.stringMatching(/^Cannot read stops\.txt: /) });
+    expect(report.files['routes.txt'].imported).toBe(1);
+  });
+
+  test('should reject a file that is not a zip', async () => {
+    await expect(gtfsImportService.importZip(Buffer.from('not a zip')))
+      .rejects.toMatchObject({ status: 422, type: 'VALIDATION_ERROR' });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * GtfsRealtimeService Unit Tests
+ *
+ * Tests the VehiclePositions, TripUpdates and ServiceAlerts feeds, decoded
+ * back from protobuf as a consumer would read them.
+ */
+
+const { transit_realtime: GtfsRealtime } = require('gtfs-realtime-bindings');
+const gtfsRealtimeService = require('../../../src/services/gtfsRealtimeService');
+const predictionService = require('../../../src/services/predictionService');
+const stopVisitService = require('../../../src/services/stopVisitService');
+const { stopVisitRepository } = require('../../../src/services/stopVisitRepository');
+const { busRepository } = require('../../../src/services/busRepository');
+const { offRouteRepository } = require('../../../src/services/offRouteRepository');
+const Bus = require('../../../src/models/Bus');
+const OffRouteAlert = require('../../../src/models/OffRouteAlert');
+
+// Mock dependencies
+jest.mock('../../../src/services/stopVisitRepository');
+jest.mock('../../../src/services/busRepository');
+jest.mock('../../../src/services/offRouteRepository');
+
+describe('GtfsRealtimeService', () => {
+  const now = new Date('2024-01-02T14:04:00Z');
+
+  const stops = [
+    { stopId: 'A', stopSequence: 1, lat: 13.7, lng: -89.2, arrivalSeconds: 28800, departureSeconds: 28800 },
+    { stopId: 'B', stopSequence: 2, lat: 13.71, lng: -89.2, arrivalSeconds: 29100, departureSeconds: 29160 }
+  ];
+
+  const makeBus = overrides => new Bus({
+    id: 'bus123',
+    licensePlate: 'P123456',
+    unitName: 'Unidad 12',
+    status: 'moving',
+    route: '101',
+    position: { lat: 13.705, lng: -89.2 },
+    positionTimestamp: new Date('2024-01-02T14:03:50Z'),
+    ...overrides
+  });
+
+  const progress = overrides => ({
+    tripId: 'T1',
+    serviceDate: '2024-01-02',
+    startTime: null,
+    lastSequence: null,
+    lastDepartedAt: null,
+    current: null,
+    lastFixAt: null,
+    ...overrides
+  });
+
+  const decode = feed => GtfsRealtime.FeedMessage.decode(gtfsRealtimeService.encode(feed));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(now);
+    gtfsRealtimeService.feedCache.clear();
+    jest.spyOn(stopVisitService, 'getTripStops').mockResolvedValue(stops);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('getVehiclePositions', () => {
+    test('should describe the trip, vehicle and the stop it is heading to', async () => {
+      const bus = makeBus();
+      bus.assignTrip('T1', '2024-01-02');
+      busRepository.listPositioned.mockResolvedValue([bus]);
+      stopVisitRepository.findProgress.mockResolvedValue(progress({ lastSequence: 1 }));
+
+      const feed = decode(await gtfsRealtimeService.getVehiclePositions());
+
+      expect(feed.header.gtfsRealtimeVersion).toBe('2.0');
+      expect(feed.header.incrementality).toBe(GtfsRealtime.FeedHeader.Incrementality.FULL_DATASET);
+      expect(Number(feed.header.timestamp)).toBe(now.getTime() / 1000);
+      expect(feed.entity).toHaveLength(1);
+
+      const { vehicle } = feed.entity[0];
+      expect(feed.entity[0].id).toBe('bus123');
+      expect(vehicle.trip).toMatchObject({ tripId: 'T1', routeId: '101', startDate: '20240102' });
+      expect(vehicle.vehicle).toMatchObject({ id: 'bus123', label: 'Unidad 12', licensePlate: 'P123456' });
+      expect(vehicle.position.latitude).toBeCloseTo(13.705, 5);
+      expect(vehicle.position.longitude).toBeCloseTo(-89.2, 5);
+      expect(Number(vehicle.timestamp)).toBe(Date.parse('2024-01-02T14:03:50Z') / 1000);
+      expect(vehicle.currentStatus).toBe(GtfsRealtime.VehiclePosition.VehicleStopStatus.IN_TRANSIT_TO);
+      expect(vehicle.stopId).toBe('B');
+      expect(vehicle.currentStopSequence).toBe(2);
+    });
+
+    test('should report STOPPED_AT while the bus is at a stop', async () => {
+      const bus = makeBus();
+      bus.assignTrip('T1', '2024-01-02');
+      busRepository.listPositioned.mockResolvedValue([bus]);
+      stopVisitRepository.findProgress.mockResolvedValue(progress({
+        current: { stopId: 'A', stopSequence: 1, arrivedAt: now }
+      }));
+
+      const feed = decode(await gtfsRealtimeService.getVehiclePositions());
+
+      expect(feed.entity[0].vehicle.currentStatus).toBe(GtfsRealtime.VehiclePosition.VehicleStopStatus.STOPPED_AT);
+      expect(feed.entity[0].vehicle.stopId).toBe('A');
+    });
+
+    test('should only carry the route of buses without an active trip', async () => {
+      busRepository.listPositioned.mockResolvedValue([makeBus()]);
+
+      const feed = decode(await gtfsRealtimeService.getVehiclePositions());
+
+      expect(feed.entity[0].vehicle.trip.routeId).toBe('101');
+      expect(feed.entity[0].vehicle.trip.tripId).toBe('');
+      expect(feed.entity[0].vehicle.stopId).toBe('');
+      expect(stopVisitRepository.findProgress).not.toHaveBeenCalled();
+    });
+
+    test('should reuse the built feed within the cache TTL', async () => {
+      busRepository.listPositioned.mockResolvedValue([makeBus()]);
+
+      await gtfsRealtimeService.getVehiclePositions();
+      await gtfsRealtimeService.getVehiclePositions();
+      expect(busRepository.listPositioned).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(16 * 1000);
+      await gtfsRealtimeService.getVehiclePositions();
+      expect(busRepository.listPositioned).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getTripUpdates', () => {
+    test('should publish real-time predictions as stop time updates', async () => {
+      const bus = makeBus();
+      bus.assignTrip('T1', '2024-01-02');
+      busRepository.listPositioned.mockResolvedValue([bus]);
+      jest.spyOn(predictionService, 'predictTrip').mockResolvedValue({
+        basis: 'real_time',
+        predictions: [
+          {
+            stopId: 'B',
+            stopSequence: 2,
+            predictedArrival: '2024-01-02T14:06:00.000Z',
+            delaySeconds: 60,
+            confidence: 'high'
+          },
+          {
+            stopId: 'C',
+            stopSequence: 3,
+            predictedArrival: '2024-01-02T14:12:00.000Z',
+            delaySeconds: 120,
+            confidence: 'low'
+          }
+        ]
+      });
+
+      const feed = decode(await gtfsRealtimeService.getTripUpdates());
+
+      expect(feed.entity).toHaveLength(1);
+      const { tripUpdate } = feed.entity[0];
+      expect(tripUpdate.trip).toMatchObject({ tripId: 'T1', routeId: '101', startDate: '20240102' });
+      expect(tripUpdate.vehicle.id).toBe('bus123');
+      expect(tripUpdate.stopTimeUpdate).toHaveLength(2);
+      expect(tripUpdate.stopTimeUpdate[0]).toMatchObject({ stopId: 'B', stopSequence: 2 });
+      expect(Number(tripUpdate.stopTimeUpdate[0].arrival.time)).toBe(Date.parse('2024-01-02T14:06:00Z') / 1000);
+      expect(tripUpdate.stopTimeUpdate[0].arrival.delay).toBe(60);
+      expect(tripUpdate.stopTimeUpdate[0].arrival.uncertainty).toBe(60);
+      expect(tripUpdate.stopTimeUpdate[1].arrival.uncertainty).toBe(0);
+    });
+
+    test('should skip schedule-only predictions and buses without a trip', async () => {
+      const onTrip = makeBus();
+      onTrip.assignTrip('T1', '2024-01-02');
+      busRepository.listPositioned.mockResolvedValue([onTrip, makeBus({ id: 'bus456' })]);
+      jest.spyOn(predictionService, 'predictTrip').mockResolvedValue({ basis: 'schedule_only', predictions: [] });
+
+      const feed = decode(await gtfsRealtimeService.getTripUpdates());
+
+      expect(feed.entity).toHaveLength(0);
+      expect(predictionService.predictTrip).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getServiceAlerts', () => {
+    test('should publish open off-route alerts as route detours', async () => {
+      offRouteRepository.listAlerts.mockResolvedValue([
+        new OffRouteAlert({
+          busId: 'bus123',
+          route: '101',
+          status: 'open',
+          reference: 'shape',
+          distanceMeters: 250,
+          position: { lat: 13.72, lng: -89.21 },
+          offRouteSince: new Date('2024-01-02T14:00:00Z'),
+          raisedAt: new Date('2024-01-02T14:01:00Z')
+        })
+      ]);
+
+      const feed = decode(await gtfsRealtimeService.getServiceAlerts());
+
+      expect(offRouteRepository.listAlerts).toHaveBeenCalledWith({ status: 'open' });
+      expect(feed.entity).toHaveLength(1);
+      const { alert } = feed.entity[0];
+      expect(alert.effect).toBe(GtfsRealtime.Alert.Effect.DETOUR);
+      expect(alert.informedEntity[0].routeId).toBe('101');
+      expect(Number(alert.activePeriod[0].start)).toBe(Date.parse('2024-01-02T14:01:00Z') / 1000);
+      expect(alert.headerText.translation[0].text).toContain('101');
+    });
+  });
+
+  describe('toObject', () => {
+    test('should render enums by name and timestamps as numbers', async () => {
+      busRepository.listPositioned.mockResolvedValue([makeBus()]);
+
+      const json = gtfsRealtimeService.toObject(await gtfsRealtimeService.getVehiclePositions());
+
+      expect(json.header).toEqual({
+        gtfsRealtimeVersion: '2.0',
+        incrementality: 'FULL_DATASET',
+        timestamp: now.getTime() / 1000
+      });
+      expect(json.entity[0].vehicle.timestamp).toBe(Date.parse('2024-01-02T14:03:50Z') / 1000);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * GtfsValidationService Unit Tests
+ *
+ * Tests the dataset checks: references to missing records, stop_sequence
+ * and time order, stops far from the shape, unused stops, agency time
+ * zones, and how notices are grouped and sampled.
+ */
+
+const gtfsValidationService = require('../../../src/services/gtfsValidationService');
+const { agencyRepository } = require('../../../src/services/gtfs/agencyRepository');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { routeRepository } = require('../../../src/services/gtfs/routeRepository');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { shapeRepository } = require('../../../src/services/gtfs/shapeRepository');
+const { calendarRepository } = require('../../../src/services/gtfs/calendarRepository');
+const { calendarDateRepository } = require('../../../src/services/gtfs/calendarDateRepository');
+const { frequencyRepository } = require('../../../src/services/gtfs/frequencyRepository');
+const { fareAttributeRepository } = require('../../../src/services/gtfs/fareAttributeRepository');
+const { fareRuleRepository } = require('../../../src/services/gtfs/fareRuleRepository');
+const {
+  Agency, Stop, Route, Trip, StopTime, Shape, Calendar, CalendarDate, Frequency, FareAttribute, FareRule
+} = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/gtfs/agencyRepository');
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/routeRepository');
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/shapeRepository');
+jest.mock('../../../src/services/gtfs/calendarRepository');
+jest.mock('../../../src/services/gtfs/calendarDateRepository');
+jest.mock('../../../src/services/gtfs/frequencyRepository');
+jest.mock('../../../src/services/gtfs/fareAttributeRepository');
+jest.mock('../../../src/services/gtfs/fareRuleRepository');
+
+describe('GtfsValidationService', () => {
+  // Stops A-B-C along 13.7 N, about 1 km apart, inside station STA
+  const stopTime = (tripId, stopId, stopSequence, arrivalTime, departureTime = arrivalTime) =>
+    new StopTime({ tripId, stopId, stopSequence, arrivalTime, departureTime });
+  let agencies;
+  let stops;
+  let trips;
+  let stopTimes;
+  let fareRules;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    agencies = [
+      new Agency({ id: 'AMSS', name: 'Autobuses Metropolitanos', url: 'https://amss.example.com', timezone: 'America/El_Salvador' })
+    ];
+    stops = [
+      new Stop({ id: 'A', name: 'Parada A', lat: 13.7, lng: -89.2, parentStation: 'STA', zoneId: 'CENTRO' }),
+      new Stop({ id: 'B', name: 'Parada B', lat: 13.7, lng: -89.19 }),
+      new Stop({ id: 'C', name: 'Parada C', lat: 13.7, lng: -89.18 }),
+      new Stop({ id: 'STA', name: 'Estación', lat: 13.7, lng: -89.2, locationType: '1' })
+    ];
+    trips = [
+      new Trip({ id: 'T1', routeId: '101', serviceId: 'WEEKDAY', shapeId: 'SH1' }),
+      new Trip({ id: 'T2', routeId: '101', serviceId: 'HOLIDAY' })
+    ];
+    stopTimes = {
+      T1: [stopTime('T1', 'A', 1, '08:00:00'), stopTime('T1', 'B', 2, '08:05:00'), stopTime('T1', 'C', 3, '08:10:00')],
+      T2: [stopTime('T2', 'A', 1, '09:00:00'), stopTime('T2', 'C', 2, '09:10:00')]
+    };
+    fareRules = [new FareRule({ fareId: 'URBANO', routeId: '101', originId: 'CENTRO' })];
+
+    agencyRepository.list.mockImplementation(async () => agencies);
+    stopRepository.listAll.mockImplementation(async () => stops);
+    routeRepository.listAll.mockResolvedValue([
+      new Route({ id: '101', agencyId: 'AMSS', shortName: '101', longName: 'Ruta 101', type: '3' })
+    ]);
+    tripRepository.listAll.mockImplementation(async () => trips);
+    calendarRepository.listAll.mockResolvedValue([
+      new Calendar({ id: 'WEEKDAY', monday: true, startDate: '20240101', endDate: '20241231' })
+    ]);
+    calendarDateRepository.listAll.mockResolvedValue([
+      new CalendarDate({ serviceId: 'HOLIDAY', date: '20240501', exceptionType: '1' })
+    ]);
+    frequencyRepository.listAll.mockResolvedValue([
+      new Frequency({ tripId: 'T2', startTime: '06:00:00', endTime: '20:00:00', headwaySecs: 600 })
+    ]);
+    fareAttributeRepository.listAll.mockResolvedValue([
+      new FareAttribute({ id: 'URBANO', price: 0.25, currencyType: 'USD', paymentMethod: '0', agencyId: 'AMSS' })
+    ]);
+    fareRuleRepository.listAll.mockImplementation(async () => fareRules);
+    stopTimeRepository.listTripIds.mockImplementation(async () => Object.keys(stopTimes));
+    stopTimeRepository.findByTrip.mockImplementation(async tripId => stopTimes[tripId] || []);
+    shapeRepository.findById.mockImplementation(async id => (id === 'SH1'
+      ? new Shape({ id, points: [{ lat: 13.7, lng: -89.2, sequence: 1 }, { lat: 13.7, lng: -89.18, sequence: 2 }] })
+      : null));
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  const codes = notices => notices.map(group => [group.code, group.totalNotices]);
+
+  test('should report nothing on a consistent dataset', async () => {
+    const report = await gtfsValidationService.validateFeed();
+
+    expect(report.summary).toEqual({ errors: 0, warnings: 0, infos: 0 });
+    expect(report).toMatchObject({ errors: [], warnings: [], infos: [] });
+    expect(report.counts).toMatchObject({ stops: 4, trips: 2, stopTimes: 5, shapes: 1, fareRules: 1 });
+    expect(shapeRepository.findById).toHaveBeenCalledTimes(1);
+  });
+
+  test('should report references to missing records', async () => {
+    trips.push(new Trip({ id: 'T3', routeId: '999', serviceId: 'NOPE', shapeId: 'SH9' }));
+    stopTimes.T3 = [stopTime('T3', 'A', 1, '10:00:00'), stopTime('T3', 'X', 2, '10:05:00')];
+    stopTimes.GHOST = [];
+    fareRules.push(new FareRule({ fareId: 'NOFARE', containsId: 'NOZONE' }));
+
+    const report = await gtfsValidationService.validateFeed();
+    const [violations] = report.errors;
+
+    expect(violations).toMatchObject({ code: 'foreign_key_violation', severity: 'ERROR', totalNotices: 7 });
+    expect(violations.sampleNotices.map(notice => `${notice.childFile}.${notice.childFieldName}=${notice.fieldValue}`)).toEqual([
+      'trips.txt.route_id=999',
+      'trips.txt.service_id=NOPE',
+      'fare_rules.txt.fare_id=NOFARE',
+      'fare_rules.txt.contains_id=NOZONE',
+      'stop_times.txt.trip_id=GHOST',
+      'stop_times.txt.stop_id=X',
+      'trips.txt.shape_id=SH9'
+    ]);
+    expect(violations.sampleNotices[5]).toEqual({
+      childFile: 'stop_times.txt',
+      childFieldName: 'stop_id',
+      tripId: 'T3',
+      stopSequence: 2,
+      fieldValue: 'X',
+      parentFile: 'stops.txt',
+      parentFieldName: 'stop_id'
+    });
+    expect(report.summary.errors).toBe(7);
+  });
+
+  test('should report duplicate stop_sequence and times going backwards', async () => {
+    stopTimes.T1 = [
+      stopTime('T1', 'A', 1, '08:00:00', '08:01:00'),
+      stopTime('T1', 'B', 1, '08:00:30'),
+      stopTime('T1', 'C', 3, '08:10:00', '08:09:00')
+    ];
+
+    const report = await gtfsValidationService.validateFeed();
+
+    expect(codes(report.errors)).toEqual([
+      ['duplicate_stop_sequence', 1],
+      ['stop_time_with_arrival_before_previous_departure_time', 1],
+      ['stop_time_with_departure_before_arrival_time', 1]
+    ]);
+    expect(report.errors[1].sampleNotices).toEqual([{
+      filename: 'stop_times.txt',
+      tripId: 'T1',
+      stopSequence: 1,
+      prevStopSequence: 1,
+      arrivalTime: '08:00:30',
+      prevDepartureTime: '08:01:00'
+    }]);
+  });
+
+  test('should warn about stops far from the shape once per shape and stop', async () => {
+    stops[1] = new Stop({ id: 'B', name: 'Parada B', lat: 13.702, lng: -89.19 });
+    trips.push(new Trip({ id: 'T1B', routeId: '101', serviceId: 'WEEKDAY', shapeId: 'SH1' }));
+    stopTimes.T1B = stopTimes.T1;
+
+    const report = await gtfsValidationService.validateFeed();
+
+    expect(codes(report.warnings)).toEqual([['stop_too_far_from_shape', 1]]);
+    expect(report.warnings[0].sampleNotices[0]).toMatchObject({ tripId: 'T1', stopId: 'B', shapeId: 'SH1' });
+    expect(report.warnings[0].sampleNotices[0].distanceMeters).toBeCloseTo(221, -1);
+  });
+
+  test('should report unusable trips, unused stops and stations, and invalid time zones', async () => {
+    agencies.push(new Agency({ id: 'OTRA', name: 'Otra', url: 'https://otra.example.com', timezone: 'Mars/Olympus_Mons' }));
+    stops.push(
+      new Stop({ id: 'D', name: 'Parada D', lat: 13.71, lng: -89.2 }),
+      new Stop({ id: 'EMPTY', name: 'Estación vacía', lat: 13.71, lng: -89.2, locationType: '1' })
+    );
+    stopTimes.T2 = [stopTime('T2', 'A', 1, '09:00:00')];
+
+    const report = await gtfsValidationService.validateFeed();
+
+    expect(codes(report.errors)).toEqual([['invalid_timezone', 1]]);
+    expect(report.errors[0].sampleNotices[0]).toMatchObject({ agencyId: 'OTRA', fieldValue: 'Mars/Olympus_Mons' });
+    // C is still served by T1
+    expect(codes(report.warnings)).toEqual([['unusable_trip', 1], ['unused_stop', 1]]);
+    expect(report.warnings[1].sampleNotices).toEqual([{ filename: 'stops.txt', stopId: 'D', stopName: 'Parada D' }]);
+    expect(codes(report.infos)).toEqual([['unused_station', 1]]);
+    expect(report.summary).toEqual({ errors: 1, warnings: 2, infos: 1 });
+  });
+
+  test('should count every notice but keep only maxSamples of each code', async () => {
+    stops.push(...['D', 'E', 'F'].map(id => new Stop({ id, name: `Parada ${id}`, lat: 13.71, lng: -89.2 })));
+
+    const report = await gtfsValidationService.validateFeed({ maxSamples: 2 });
+
+    expect(report.warnings[0]).toMatchObject({ code: 'unused_stop', totalNotices: 3 });
+    expect(report.warnings[0].sampleNotices.map(notice => notice.stopId)).toEqual(['D', 'E']);
+  });
+});
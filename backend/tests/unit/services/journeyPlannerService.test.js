@@ -0,0 +1,203 @@
+/**
+ * JourneyPlannerService Unit Tests
+ *
+ * Tests earliest-arrival journeys over the in-memory timetable: transfers
+ * on foot and at the same stop, frequency-based trips, walks from and to
+ * locations, service days and the following itineraries. Service days are
+ * America/El_Salvador (UTC-6).
+ */
+
+const journeyPlannerService = require('../../../src/services/journeyPlannerService');
+const serviceCalendarService = require('../../../src/services/serviceCalendarService');
+const frequencyService = require('../../../src/services/frequencyService');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { routeRepository } = require('../../../src/services/gtfs/routeRepository');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { frequencyRepository } = require('../../../src/services/gtfs/frequencyRepository');
+const { calendarRepository } = require('../../../src/services/gtfs/calendarRepository');
+const { calendarDateRepository } = require('../../../src/services/gtfs/calendarDateRepository');
+const { agencyRepository } = require('../../../src/services/gtfs/agencyRepository');
+const { Stop, Route, Trip, StopTime, Frequency, Calendar } = require('../../../src/models/gtfs');
+const { haversineDistance } = require('../../../src/utils/geo');
+
+// Mock dependencies
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/routeRepository');
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/frequencyRepository');
+jest.mock('../../../src/services/gtfs/calendarRepository');
+jest.mock('../../../src/services/gtfs/calendarDateRepository');
+jest.mock('../../../src/services/gtfs/agencyRepository');
+
+describe('JourneyPlannerService', () => {
+  // Local time = UTC - 6 h (2024-01-02 is a Tuesday, 2024-01-06 a Saturday)
+  const at = (day, hour, minute = 0) => new Date(Date.UTC(2024, 0, day, hour + 6, minute));
+
+  // Along 13.7 N: A-B-C about 1 km apart, D 108 m east of C, E 1 km east of D
+  const stops = [
+    new Stop({ id: 'A', name: 'Parada A', lat: 13.7, lng: -89.2 }),
+    new Stop({ id: 'B', name: 'Parada B', lat: 13.7, lng: -89.19 }),
+    new Stop({ id: 'C', name: 'Parada C', lat: 13.7, lng: -89.18 }),
+    new Stop({ id: 'D', name: 'Parada D', lat: 13.7, lng: -89.179 }),
+    new Stop({ id: 'E', name: 'Parada E', lat: 13.7, lng: -89.169 })
+  ];
+  const stopTime = (tripId, stopId, stopSequence, time) =>
+    new StopTime({ tripId, stopId, stopSequence, arrivalTime: time, departureTime: time });
+  let trips;
+  let stopTimes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    journeyPlannerService.clearCache();
+    serviceCalendarService.clearCache();
+    frequencyService.clearCache();
+
+    // 101: A-B-C at 08:00 and 08:20. 202: D-E every 25 minutes from 08:00
+    trips = [
+      new Trip({ id: 'T1', routeId: '101', serviceId: 'WEEKDAY', headsign: 'Centro' }),
+      new Trip({ id: 'T2', routeId: '101', serviceId: 'WEEKDAY', headsign: 'Centro' }),
+      new Trip({ id: 'U', routeId: '202', serviceId: 'WEEKDAY', headsign: 'Soyapango' })
+    ];
+    stopTimes = [
+      stopTime('T1', 'A', 1, '08:00:00'), stopTime('T1', 'B', 2, '08:05:00'), stopTime('T1', 'C', 3, '08:10:00'),
+      stopTime('T2', 'A', 1, '08:20:00'), stopTime('T2', 'B', 2, '08:25:00'), stopTime('T2', 'C', 3, '08:30:00'),
+      stopTime('U', 'D', 1, '08:00:00'), stopTime('U', 'E', 2, '08:10:00')
+    ];
+
+    stopRepository.listAll.mockResolvedValue(stops);
+    stopRepository.findNearby.mockImplementation(async (lat, lng, radiusKm, options) => stops
+      .map(stop => ({ stop, distanceMeters: haversineDistance({ lat, lng }, stop) }))
+      .filter(({ distanceMeters }) => distanceMeters <= radiusKm * 1000)
+      .sort((a, b) => a.distanceMeters - b.distanceMeters)
+      .slice(0, options.limit));
+    routeRepository.listAll.mockResolvedValue([
+      new Route({ id: '101', shortName: '101', longName: 'Ruta 101', type: '3', color: 'FF0000' }),
+      new Route({ id: '202', shortName: '202', longName: 'Ruta 202', type: '3' })
+    ]);
+    tripRepository.listAll.mockImplementation(async () => trips);
+    stopTimeRepository.listAll.mockImplementation(async () => stopTimes);
+    stopTimeRepository.findByTrip.mockImplementation(async tripId => stopTimes.filter(st => st.tripId === tripId));
+    frequencyRepository.listAll.mockImplementation(async () => [
+      new Frequency({ tripId: 'U', startTime: '08:00:00', endTime: '09:00:00', headwaySecs: 1500 })
+    ]);
+    frequencyRepository.findByTrip.mockImplementation(async tripId => (await frequencyRepository.listAll())
+      .filter(frequency => frequency.tripId === tripId));
+    agencyRepository.list.mockResolvedValue([]);
+    calendarRepository.findInEffect.mockResolvedValue([
+      new Calendar({
+        id: 'WEEKDAY', monday: true, tuesday: true, wednesday: true, thursday: true, friday: true,
+        startDate: '20240101', endDate: '20241231'
+      })
+    ]);
+    calendarDateRepository.findByDate.mockResolvedValue([]);
+  });
+
+  const summary = itinerary => itinerary.legs.map(leg => (leg.mode === 'bus'
+    ? `${leg.tripId}@${leg.startTime || ''} ${leg.from.stopId}-${leg.to.stopId}`
+    : `walk ${leg.from.stopId || '*'}-${leg.to.stopId || '*'}`));
+
+  test('should plan the earliest arrival with a walking transfer, then the next departures', async () => {
+    const plan = await journeyPlannerService.planJourney({ from: { stopId: 'A' }, to: { stopId: 'E' }, at: at(2, 7, 55), limit: 2 });
+
+    expect(plan.itineraries.map(summary)).toEqual([
+      ['T1@ A-C', 'walk C-D', 'U@08:25:00 D-E'],
+      ['T2@ A-C', 'walk C-D', 'U@08:50:00 D-E']
+    ]);
+
+    const [first] = plan.itineraries;
+    expect(first).toMatchObject({
+      departure: '2024-01-02T14:00:00.000Z',
+      arrival: '2024-01-02T14:35:00.000Z',
+      durationSeconds: 2100,
+      transfers: 1,
+      walkMeters: 108
+    });
+    expect(first.legs[0]).toMatchObject({
+      mode: 'bus',
+      from: { stopId: 'A', name: 'Parada A', lat: 13.7, lng: -89.2 },
+      routeShortName: '101',
+      routeColor: 'FF0000',
+      headsign: 'Centro',
+      serviceDate: '2024-01-02',
+      durationSeconds: 600,
+      stopCount: 2
+    });
+    expect(first.legs[1]).toMatchObject({
+      departure: '2024-01-02T14:10:00.000Z',
+      arrival: '2024-01-02T14:11:31.000Z',
+      distanceMeters: 108
+    });
+
+    // The timetable is reused
+    await journeyPlannerService.planJourney({ from: { stopId: 'A' }, to: { stopId: 'E' }, at: at(2, 8, 30) });
+    expect(stopTimeRepository.listAll).toHaveBeenCalledTimes(1);
+  });
+
+  test('should leave time to change buses at the same stop', async () => {
+    trips.push(
+      new Trip({ id: 'V1', routeId: '202', serviceId: 'WEEKDAY' }),
+      new Trip({ id: 'V2', routeId: '202', serviceId: 'WEEKDAY' })
+    );
+    // V1 leaves C 30 s after T1 arrives (too soon), V2 after 60 s
+    stopTimes.push(
+      stopTime('V1', 'C', 1, '08:10:30'), stopTime('V1', 'E', 2, '08:18:00'),
+      stopTime('V2', 'C', 1, '08:11:00'), stopTime('V2', 'E', 2, '08:20:00')
+    );
+
+    const plan = await journeyPlannerService.planJourney({ from: { stopId: 'A' }, to: { stopId: 'E' }, at: at(2, 7, 55), limit: 1 });
+
+    expect(plan.itineraries.map(summary)).toEqual([['T1@ A-C', 'V2@ C-E']]);
+  });
+
+  test('should walk from and to locations, leaving just in time for the first bus', async () => {
+    // 216 m (181 s) west of A, 108 m east of E
+    const plan = await journeyPlannerService.planJourney({
+      from: { lat: 13.7, lng: -89.202 },
+      to: { lat: 13.7, lng: -89.168 },
+      at: at(2, 7, 30),
+      limit: 1
+    });
+
+    expect(plan.from).toEqual({ stopId: null, name: null, lat: 13.7, lng: -89.202 });
+    expect(plan.itineraries.map(summary)).toEqual([['walk *-A', 'T1@ A-C', 'walk C-D', 'U@08:25:00 D-E', 'walk E-*']]);
+    expect(plan.itineraries[0].legs[0]).toMatchObject({
+      departure: '2024-01-02T13:56:59.000Z',
+      arrival: '2024-01-02T14:00:00.000Z',
+      distanceMeters: 216
+    });
+    expect(plan.itineraries[0]).toMatchObject({ walkMeters: 432, arrival: '2024-01-02T14:36:31.000Z' });
+    expect(stopRepository.findNearby).toHaveBeenCalledWith(13.7, -89.202, 0.8, { limit: 30 });
+  });
+
+  test('should walk when it is faster than the bus', async () => {
+    const plan = await journeyPlannerService.planJourney({ from: { lat: 13.7, lng: -89.1805 }, to: { stopId: 'D' }, at: at(2, 7, 55) });
+
+    expect(plan.itineraries.map(summary)).toEqual([['walk *-D']]);
+  });
+
+  test('should ride trips past 24:00:00 of the previous service day', async () => {
+    trips.push(new Trip({ id: 'NIGHT', routeId: '101', serviceId: 'WEEKDAY' }));
+    stopTimes.push(stopTime('NIGHT', 'A', 1, '24:30:00'), stopTime('NIGHT', 'C', 2, '24:45:00'));
+
+    // Saturday 00:10: the Friday service is still running, there is no Saturday service
+    const plan = await journeyPlannerService.planJourney({ from: { stopId: 'A' }, to: { stopId: 'C' }, at: at(6, 0, 10) });
+
+    expect(plan.itineraries.map(summary)).toEqual([['NIGHT@ A-C']]);
+    expect(plan.itineraries[0].legs[0]).toMatchObject({ serviceDate: '2024-01-05', departure: '2024-01-06T06:30:00.000Z' });
+  });
+
+  test('should return no itineraries when the destination cannot be reached', async () => {
+    const plan = await journeyPlannerService.planJourney({ from: { stopId: 'C' }, to: { stopId: 'A' }, at: at(2, 7) });
+
+    expect(plan.itineraries).toEqual([]);
+  });
+
+  test('should reject unknown stops and identical ends', async () => {
+    await expect(journeyPlannerService.planJourney({ from: { stopId: 'X' }, to: { stopId: 'A' } }))
+      .rejects.toMatchObject({ status: 404, type: 'NOT_FOUND' });
+    await expect(journeyPlannerService.planJourney({ from: { stopId: 'A' }, to: { stopId: 'A' } }))
+      .rejects.toMatchObject({ status: 422, type: 'VALIDATION_ERROR' });
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * OffRouteService Unit Tests
+ *
+ * Tests route geometry lookup (shapes, stops fallback) and off-route
+ * alerts raised and cleared from GPS fixes.
+ */
+
+const offRouteService = require('../../../src/services/offRouteService');
+const { offRouteRepository } = require('../../../src/services/offRouteRepository');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { shapeRepository } = require('../../../src/services/gtfs/shapeRepository');
+const { busEvents, BUS_EVENTS } = require('../../../src/services/busEvents');
+const OffRouteAlert = require('../../../src/models/OffRouteAlert');
+const { Shape, Trip, Stop, StopTime } = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/offRouteRepository');
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/shapeRepository');
+
+describe('OffRouteService', () => {
+  const bus = { id: 'bus123', route: '101' };
+
+  // East-west street along lat 13.7 (defaults: 150 m, 120 s)
+  const shape = new Shape({
+    id: 'S1',
+    points: [
+      { lat: 13.7, lng: -89.22, sequence: 1 },
+      { lat: 13.7, lng: -89.2, sequence: 2 },
+      { lat: 13.7, lng: -89.18, sequence: 3 }
+    ]
+  });
+
+  const fix = (minute, lat, lng = -89.2) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 2, 12, minute)),
+    lat,
+    lng
+  });
+
+  const ON_ROUTE = 13.7;
+  const OFF_ROUTE = 13.703; // ~330 m north
+
+  const emptyState = { route: '101', offRouteSince: null, alertId: null, lastFixAt: null };
+
+  // Run updateDeviation against an in-memory state, like the transaction would
+  const mockState = (state = emptyState, openAlert = null) => {
+    offRouteRepository.updateDeviation.mockImplementation(async (busId, apply) => {
+      const result = apply(state, openAlert);
+      return { updated: result !== null, alerts: result ? result.alerts : [] };
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    offRouteService.geometryCache.clear();
+    tripRepository.findByRoute.mockResolvedValue([
+      new Trip({ id: 'T1', routeId: '101', serviceId: 'WK', shapeId: 'S1' })
+    ]);
+    shapeRepository.findById.mockResolvedValue(shape);
+  });
+
+  describe('getRouteGeometry', () => {
+    test('should use each distinct shape of the route trips', async () => {
+      tripRepository.findByRoute.mockResolvedValue([
+        new Trip({ id: 'T1', routeId: '101', serviceId: 'WK', shapeId: 'S1' }),
+        new Trip({ id: 'T2', routeId: '101', serviceId: 'WK', shapeId: 'S1' })
+      ]);
+
+      const lines = await offRouteService.getRouteGeometry('101');
+
+      expect(lines).toEqual([{ reference: 'shape', path: shape.toPath() }]);
+      expect(shapeRepository.findById).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fall back to the ordered stops when a trip has no shape', async () => {
+      tripRepository.findByRoute.mockResolvedValue([
+        new Trip({ id: 'T1', routeId: '101', serviceId: 'WK' })
+      ]);
+      stopTimeRepository.findByTrip.mockResolvedValue([
+        new StopTime({ tripId: 'T1', stopId: 'A', stopSequence: 1, arrivalTime: '08:00:00', departureTime: '08:00:00' }),
+        new StopTime({ tripId: 'T1', stopId: 'B', stopSequence: 2, arrivalTime: '08:05:00', departureTime: '08:05:00' })
+      ]);
+      stopRepository.findById.mockImplementation(async id => new Stop({
+        id,
+        name: `Parada ${id}`,
+        lat: 13.7,
+        lng: id === 'A' ? -89.21 : -89.19
+      }));
+
+      const lines = await offRouteService.getRouteGeometry('101');
+
+      expect(lines).toEqual([{
+        reference: 'stops',
+        path: [{ lat: 13.7, lng: -89.21 }, { lat: 13.7, lng: -89.19 }]
+      }]);
+      expect(shapeRepository.findById).not.toHaveBeenCalled();
+    });
+
+    test('should cache the geometry, including routes without GTFS data', async () => {
+      tripRepository.findByRoute.mockResolvedValue([]);
+
+      expect(await offRouteService.getRouteGeometry('999')).toBeNull();
+      expect(await offRouteService.getRouteGeometry('999')).toBeNull();
+      expect(tripRepository.findByRoute).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('evaluateFixes', () => {
+    test('should raise an alert once the bus stays off route long enough', async () => {
+      mockState();
+      const listener = jest.fn();
+      busEvents.on(BUS_EVENTS.OFF_ROUTE, listener);
+
+      const { alerts } = await offRouteService.evaluateFixes(bus, [
+        fix(0, ON_ROUTE),
+        fix(1, OFF_ROUTE),
+        fix(2, OFF_ROUTE),
+        fix(3, OFF_ROUTE)
+      ]);
+      busEvents.off(BUS_EVENTS.OFF_ROUTE, listener);
+
+      expect(alerts).toEqual([
+        expect.objectContaining({
+          id: `bus123_${fix(1).timestamp.getTime()}`,
+          busId: 'bus123',
+          route: '101',
+          status: 'open',
+          reference: 'shape',
+          offRouteSince: fix(1).timestamp.toISOString(),
+          raisedAt: fix(3).timestamp.toISOString()
+        })
+      ]);
+      expect(alerts[0].distanceMeters).toBeGreaterThan(300);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0]).toMatchObject({ event: 'raised', busId: 'bus123', route: '101' });
+    });
+
+    test('should not raise an alert for a short deviation', async () => {
+      mockState();
+
+      const { alerts } = await offRouteService.evaluateFixes(bus, [
+        fix(1, OFF_ROUTE),
+        fix(2, OFF_ROUTE),
+        fix(3, ON_ROUTE)
+      ]);
+
+      expect(alerts).toEqual([]);
+    });
+
+    test('should clear the open alert when the bus returns to the route', async () => {
+      const openAlert = new OffRouteAlert({
+        busId: 'bus123',
+        route: '101',
+        reference: 'shape',
+        distanceMeters: 330,
+        position: { lat: OFF_ROUTE, lng: -89.2 },
+        offRouteSince: fix(1).timestamp,
+        raisedAt: fix(3).timestamp
+      });
+      mockState({ ...emptyState, offRouteSince: fix(1).timestamp, alertId: openAlert.id, lastFixAt: fix(3).timestamp }, openAlert);
+
+      const { alerts } = await offRouteService.evaluateFixes(bus, [fix(4, OFF_ROUTE), fix(6, ON_ROUTE)]);
+
+      expect(alerts).toEqual([
+        expect.objectContaining({
+          status: 'cleared',
+          clearReason: 'returned',
+          clearedAt: fix(6).timestamp.toISOString(),
+          durationSeconds: 300
+        })
+      ]);
+    });
+
+    test('should clear the open alert when the bus changes route', async () => {
+      const openAlert = new OffRouteAlert({
+        busId: 'bus123',
+        route: '205',
+        reference: 'stops',
+        distanceMeters: 400,
+        offRouteSince: fix(1).timestamp,
+        raisedAt: fix(3).timestamp
+      });
+      mockState({ route: '205', offRouteSince: fix(1).timestamp, alertId: openAlert.id, lastFixAt: fix(3).timestamp }, openAlert);
+
+      const { alerts } = await offRouteService.evaluateFixes(bus, [fix(4, ON_ROUTE)]);
+
+      expect(alerts).toEqual([
+        expect.objectContaining({ route: '205', status: 'cleared', clearReason: 'route_changed' })
+      ]);
+    });
+
+    test('should ignore fixes inside autoPark depots', async () => {
+      mockState();
+      const inDepot = fix(3, OFF_ROUTE);
+
+      const result = await offRouteService.evaluateFixes(bus, [inDepot], { depotFixes: new Set([inDepot]) });
+
+      expect(result.alerts).toEqual([]);
+      expect(offRouteRepository.updateDeviation).not.toHaveBeenCalled();
+    });
+
+    test('should not write anything while the bus stays on route', async () => {
+      mockState();
+
+      const { alerts } = await offRouteService.evaluateFixes(bus, [fix(1, ON_ROUTE), fix(2, 13.7005)]);
+
+      expect(alerts).toEqual([]);
+      await expect(offRouteRepository.updateDeviation.mock.results[0].value).resolves.toEqual({ updated: false, alerts: [] });
+    });
+
+    test('should not check routes without geometry', async () => {
+      tripRepository.findByRoute.mockResolvedValue([]);
+      mockState();
+
+      const { alerts } = await offRouteService.evaluateFixes(bus, [fix(1, OFF_ROUTE), fix(9, OFF_ROUTE)]);
+
+      expect(alerts).toEqual([]);
+    });
+  });
+
+  describe('listAlerts', () => {
+    test('should pass filters and serialize alerts', async () => {
+      offRouteRepository.listAlerts.mockResolvedValue([
+        new OffRouteAlert({
+          busId: 'bus123',
+          route: '101',
+          reference: 'shape',
+          distanceMeters: 330.4,
+          offRouteSince: fix(1).timestamp,
+          raisedAt: fix(3).timestamp,
+          status: 'cleared',
+          clearedAt: fix(5).timestamp,
+          clearReason: 'returned'
+        })
+      ]);
+
+      const alerts = await offRouteService.listAlerts({ status: 'cleared', limit: 10 });
+
+      expect(offRouteRepository.listAlerts).toHaveBeenCalledWith({ status: 'cleared', limit: 10 });
+      expect(alerts[0]).toMatchObject({ distanceMeters: 330, raisedAt: '2024-01-02T12:03:00.000Z', durationSeconds: 240 });
+    });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * PredictionService Unit Tests
+ *
+ * Tests arrival predictions from trip progress, observed segment travel
+ * times and the schedule. Service days are America/El_Salvador (UTC-6)
+ * unless the route agency says otherwise.
+ */
+
+const predictionService = require('../../../src/services/predictionService');
+const stopVisitService = require('../../../src/services/stopVisitService');
+const serviceCalendarService = require('../../../src/services/serviceCalendarService');
+const { stopVisitRepository } = require('../../../src/services/stopVisitRepository');
+const { busRepository } = require('../../../src/services/busRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { routeRepository } = require('../../../src/services/gtfs/routeRepository');
+const { agencyRepository } = require('../../../src/services/gtfs/agencyRepository');
+const StopVisit = require('../../../src/models/StopVisit');
+const { Agency, Route, Stop, StopTime } = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/stopVisitRepository');
+jest.mock('../../../src/services/busRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/routeRepository');
+jest.mock('../../../src/services/gtfs/agencyRepository');
+
+describe('PredictionService', () => {
+  const bus = { id: 'bus123', route: '101', tripId: 'T1', tripStartDate: '2024-01-02', tripStartTime: null };
+
+  // 2024-01-02 08:00 local = 14:00Z
+  const at = (minute, second = 0) => new Date(Date.UTC(2024, 0, 2, 14, minute, second));
+
+  // A 08:00, B 08:05-08:06, C 08:10, D 08:20
+  const stopTimes = [
+    new StopTime({ tripId: 'T1', stopId: 'A', stopSequence: 1, arrivalTime: '08:00:00', departureTime: '08:00:00' }),
+    new StopTime({ tripId: 'T1', stopId: 'B', stopSequence: 2, arrivalTime: '08:05:00', departureTime: '08:06:00' }),
+    new StopTime({ tripId: 'T1', stopId: 'C', stopSequence: 3, arrivalTime: '08:10:00', departureTime: '08:10:00' }),
+    new StopTime({ tripId: 'T1', stopId: 'D', stopSequence: 4, arrivalTime: '08:20:00', departureTime: '08:20:00' })
+  ];
+
+  const progress = overrides => ({
+    tripId: 'T1',
+    serviceDate: '2024-01-02',
+    startTime: null,
+    lastSequence: null,
+    lastDepartedAt: null,
+    current: null,
+    lastFixAt: null,
+    ...overrides
+  });
+
+  const observedVisit = (from, to, travelSeconds) => new StopVisit({
+    busId: 'bus999',
+    tripId: 'T0',
+    routeId: '101',
+    serviceDate: '2024-01-02',
+    stopId: to,
+    stopSequence: 2,
+    arrivedAt: at(0),
+    previousStopId: from,
+    travelSeconds
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(at(4));
+    stopVisitService.tripStopsCache.clear();
+    predictionService.observedCache.clear();
+    serviceCalendarService.clearCache();
+    stopTimeRepository.findByTrip.mockResolvedValue(stopTimes);
+    stopRepository.findById.mockImplementation(async id => new Stop({ id, name: `Parada ${id}`, lat: 13.7, lng: -89.2 }));
+    busRepository.findById.mockResolvedValue(bus);
+    stopVisitRepository.listRecentByRoute.mockResolvedValue([]);
+    routeRepository.findById.mockResolvedValue(new Route({ id: '101', shortName: '101', longName: 'Ruta 101', type: '3' }));
+    agencyRepository.list.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getBusPredictions', () => {
+    test('should fall back to the schedule before the bus reaches its first stop', async () => {
+      stopVisitRepository.findProgress.mockResolvedValue(progress({ tripId: null, serviceDate: null }));
+
+      const result = await predictionService.getBusPredictions('bus123');
+
+      expect(result.basis).toBe('schedule_only');
+      expect(result.predictions).toHaveLength(4);
+      expect(result.predictions[1]).toMatchObject({
+        stopId: 'B',
+        scheduledArrival: at(5).toISOString(),
+        predictedArrival: at(5).toISOString(),
+        delaySeconds: 0,
+        basis: 'schedule_only',
+        confidence: 'low'
+      });
+    });
+
+    test('should schedule in the time zone of the route agency', async () => {
+      routeRepository.findById.mockResolvedValue(new Route({ id: '101', agencyId: 'PA', shortName: '101', longName: 'Ruta 101', type: '3' }));
+      agencyRepository.findById.mockResolvedValue(new Agency({
+        id: 'PA', name: 'Metro Panamá', url: 'https://metro.pa', timezone: 'America/Panama'
+      }));
+      stopVisitRepository.findProgress.mockResolvedValue(progress({ tripId: null, serviceDate: null }));
+
+      const result = await predictionService.getBusPredictions('bus123');
+
+      // 08:05 in Panama (UTC-5) is an hour before 08:05 in El Salvador
+      expect(agencyRepository.findById).toHaveBeenCalledWith('PA');
+      expect(result.predictions[1].scheduledArrival).toBe(new Date(at(5).getTime() - 3600 * 1000).toISOString());
+    });
+
+    test('should shift the stop times of a frequency-based trip to its start time', async () => {
+      busRepository.findById.mockResolvedValue({ ...bus, tripStartTime: '08:30:00' });
+      stopVisitRepository.findProgress.mockResolvedValue(progress({ startTime: '08:30:00', lastSequence: 1, lastDepartedAt: at(31) }));
+
+      const { basis, predictions } = await predictionService.getBusPredictions('bus123');
+
+      expect(basis).toBe('real_time');
+      expect(predictions[0]).toMatchObject({
+        stopId: 'B',
+        startTime: '08:30:00',
+        scheduledArrival: at(35).toISOString(),
+        predictedArrival: at(36).toISOString(),
+        delaySeconds: 60
+      });
+    });
+
+    test('should project scheduled intervals from the last departure', async () => {
+      // Left A two minutes late
+      stopVisitRepository.findProgress.mockResolvedValue(progress({ lastSequence: 1, lastDepartedAt: at(2) }));
+
+      const { basis, predictions } = await predictionService.getBusPredictions('bus123');
+
+      expect(basis).toBe('real_time');
+      expect(predictions.map(p => [p.stopId, p.predictedArrival, p.delaySeconds, p.confidence])).toEqual([
+        ['B', at(7).toISOString(), 120, 'medium'],
+        ['C', at(12).toISOString(), 120, 'medium'],
+        ['D', at(22).toISOString(), 120, 'medium']
+      ]);
+    });
+
+    test('should prefer the median observed travel time of a segment', async () => {
+      stopVisitRepository.findProgress.mockResolvedValue(progress({ lastSequence: 1, lastDepartedAt: at(2) }));
+      stopVisitRepository.listRecentByRoute.mockResolvedValue([
+        observedVisit('A', 'B', 400),
+        observedVisit('A', 'B', 420),
+        observedVisit('A', 'B', 600)
+      ]);
+
+      const { predictions } = await predictionService.getBusPredictions('bus123');
+
+      expect(predictions[0]).toMatchObject({ stopId: 'B', predictedArrival: at(9).toISOString(), confidence: 'high' });
+      // B -> C has no observations: scheduled 4 min after the scheduled 1 min dwell
+      expect(predictions[1]).toMatchObject({ stopId: 'C', predictedArrival: at(14).toISOString(), confidence: 'medium' });
+      expect(stopVisitRepository.listRecentByRoute).toHaveBeenCalledWith('101', at(-56));
+    });
+
+    test('should wait for the scheduled dwell while the bus is at a stop', async () => {
+      stopVisitRepository.findProgress.mockResolvedValue(progress({
+        lastSequence: 1,
+        current: { stopId: 'B', stopSequence: 2, arrivedAt: at(3, 30) }
+      }));
+
+      const { predictions } = await predictionService.getBusPredictions('bus123');
+
+      expect(predictions.map(p => p.stopId)).toEqual(['C', 'D']);
+      expect(predictions[0].predictedArrival).toBe(at(8, 30).toISOString());
+    });
+
+    test('should expect an overdue bus at the next stop now, with lower confidence', async () => {
+      stopVisitRepository.findProgress.mockResolvedValue(progress({ lastSequence: 1, lastDepartedAt: at(-5) }));
+      stopVisitRepository.listRecentByRoute.mockResolvedValue([observedVisit('A', 'B', 300)]);
+
+      const { predictions } = await predictionService.getBusPredictions('bus123');
+
+      expect(predictions[0]).toMatchObject({ predictedArrival: at(4).toISOString(), confidence: 'medium' });
+    });
+
+    test('should return no predictions for a bus without a trip', async () => {
+      busRepository.findById.mockResolvedValue({ id: 'bus123', route: '101', tripId: null, tripStartDate: null });
+
+      const result = await predictionService.getBusPredictions('bus123');
+
+      expect(result).toMatchObject({ tripId: null, basis: null, predictions: [] });
+      expect(stopVisitRepository.findProgress).not.toHaveBeenCalled();
+    });
+
+    test('should throw 404 when the bus does not exist', async () => {
+      busRepository.findById.mockResolvedValue(null);
+
+      await expect(predictionService.getBusPredictions('nope')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('getStopPredictions', () => {
+    test('should list the buses heading to the stop, soonest first', async () => {
+      stopTimeRepository.findByStop.mockResolvedValue([stopTimes[2]]);
+      busRepository.findByTripIds.mockResolvedValue([
+        bus,
+        { ...bus, id: 'bus456' },
+        { ...bus, id: 'bus789' }
+      ]);
+      stopVisitRepository.findProgress.mockImplementation(async busId => ({
+        bus123: progress({ lastSequence: 1, lastDepartedAt: at(2) }),
+        bus456: progress({ lastSequence: 2, lastDepartedAt: at(3) }),
+        // Already past C
+        bus789: progress({ lastSequence: 3, lastDepartedAt: at(3) })
+      })[busId]);
+
+      const result = await predictionService.getStopPredictions('C');
+
+      expect(busRepository.findByTripIds).toHaveBeenCalledWith(['T1']);
+      expect(result.stopName).toBe('Parada C');
+      expect(result.predictions.map(p => [p.busId, p.predictedArrival])).toEqual([
+        ['bus456', at(7).toISOString()],
+        ['bus123', at(12).toISOString()]
+      ]);
+    });
+
+    test('should throw 404 when the stop does not exist', async () => {
+      stopRepository.findById.mockResolvedValue(null);
+
+      await expect(predictionService.getStopPredictions('nope')).rejects.toMatchObject({ status: 404, type: 'NOT_FOUND' });
+    });
+  });
+});
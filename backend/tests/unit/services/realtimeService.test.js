@@ -0,0 +1,121 @@
+/**
+ * RealtimeService Unit Tests
+ *
+ * Tests SSE subscriptions: filtering by fleet, route and bus IDs.
+ */
+
+const realtimeService = require('../../../src/services/realtimeService');
+const { busEvents } = require('../../../src/services/busEvents');
+
+/**
+ * Minimal Express response double that records SSE writes
+ */
+function createResponse() {
+  const res = {
+    chunks: [],
+    ended: false,
+    status: jest.fn(() => res),
+    set: jest.fn(() => res),
+    flushHeaders: jest.fn(),
+    write: jest.fn(chunk => res.chunks.push(chunk)),
+    end: jest.fn(() => {
+      res.ended = true;
+    })
+  };
+  return res;
+}
+
+/**
+ * Parse recorded SSE messages into { event, data } pairs
+ */
+function messages(res) {
+  return res.chunks
+    .filter(chunk => chunk.startsWith('id:'))
+    .map(chunk => {
+      const event = chunk.match(/^event: (.+)$/m)[1];
+      const data = JSON.parse(chunk.match(/^data: (.+)$/m)[1]);
+      return { event, data };
+    });
+}
+
+describe('RealtimeService', () => {
+  const bus = { id: 'bus1', route: 'R1', status: 'moving', position: { lat: 13.69, lng: -89.21 } };
+  let unsubscribers;
+
+  const subscribe = options => {
+    const res = createResponse();
+    unsubscribers.push(realtimeService.subscribe(res, options));
+    return res;
+  };
+
+  beforeEach(() => {
+    unsubscribers = [];
+  });
+
+  afterEach(() => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+
+  test('should open an event stream and send a ready event', () => {
+    const res = subscribe();
+
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(messages(res)).toEqual([
+      { event: 'ready', data: { scope: 'fleet', route: null, busIds: null } }
+    ]);
+  });
+
+  test('should deliver fleet, route and bus ID subscriptions', () => {
+    const fleet = subscribe();
+    const route = subscribe({ route: 'R1' });
+    const otherRoute = subscribe({ route: 'R2' });
+    const buses = subscribe({ busIds: ['bus1'] });
+    const otherBuses = subscribe({ busIds: ['bus2'] });
+
+    busEvents.publishPosition(bus);
+
+    const positions = res => messages(res).filter(m => m.event === 'position');
+    expect(positions(fleet)).toHaveLength(1);
+    expect(positions(route)).toHaveLength(1);
+    expect(positions(buses)[0].data).toMatchObject({ busId: 'bus1', position: bus.position });
+    expect(positions(otherRoute)).toHaveLength(0);
+    expect(positions(otherBuses)).toHaveLength(0);
+  });
+
+  test('should notify route subscribers when a bus leaves their route', () => {
+    const previousRoute = subscribe({ route: 'R2' });
+
+    busEvents.publishStatus({ ...bus, status: 'parked' }, { route: 'R2', status: 'moving' });
+
+    const [status] = messages(previousRoute).filter(m => m.event === 'status');
+    expect(status.data).toMatchObject({
+      busId: 'bus1',
+      route: 'R1',
+      previousRoute: 'R2',
+      status: 'parked',
+      previousStatus: 'moving'
+    });
+  });
+
+  test('should stop delivering after unsubscribe', () => {
+    const res = createResponse();
+    const unsubscribe = realtimeService.subscribe(res);
+    unsubscribe();
+
+    busEvents.publishPosition(bus);
+
+    expect(messages(res).filter(m => m.event === 'position')).toHaveLength(0);
+    expect(realtimeService.count()).toBe(0);
+  });
+
+  test('should close the stream when the token expires', () => {
+    jest.useFakeTimers();
+    const res = subscribe({ expiresAt: Date.now() + 1000 });
+
+    jest.advanceTimersByTime(1000);
+
+    expect(messages(res).map(m => m.event)).toContain('expired');
+    expect(res.ended).toBe(true);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * RoutePatternService Unit Tests
+ *
+ * Tests how trips are grouped into stop patterns per direction, ranked by
+ * trips (frequency-based trips count each instance), and merged into the
+ * ordered stops of each direction.
+ */
+
+const routePatternService = require('../../../src/services/routePatternService');
+const { routeRepository } = require('../../../src/services/gtfs/routeRepository');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { frequencyRepository } = require('../../../src/services/gtfs/frequencyRepository');
+const { Route, Trip, StopTime, Stop, Frequency } = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/gtfs/routeRepository');
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/frequencyRepository');
+
+describe('RoutePatternService', () => {
+  const stopsOf = (tripId, stopIds) => stopIds.map((stopId, index) => {
+    const time = `08:${String(index * 5).padStart(2, '0')}:00`;
+    return new StopTime({ tripId, stopId, stopSequence: index + 1, arrivalTime: time, departureTime: time });
+  });
+
+  // Direction 0: A-B-C-D twice, express A-C-D, and A-B-E-C every 20 minutes
+  // (3 instances). Direction 1: D-C-B-A
+  const trips = [
+    new Trip({ id: 'T1', routeId: '101', serviceId: 'WEEKDAY', directionId: '0', headsign: 'Centro', shapeId: 'SH1' }),
+    new Trip({ id: 'T2', routeId: '101', serviceId: 'WEEKDAY', directionId: '0', headsign: 'Centro', shapeId: 'SH1' }),
+    new Trip({ id: 'T3', routeId: '101', serviceId: 'WEEKDAY', directionId: '0', headsign: 'Centro Expreso' }),
+    new Trip({ id: 'F1', routeId: '101', serviceId: 'WEEKDAY', directionId: '0', headsign: 'Centro' }),
+    new Trip({ id: 'R1', routeId: '101', serviceId: 'WEEKDAY', directionId: '1', headsign: 'Terminal' }),
+    new Trip({ id: 'EMPTY', routeId: '101', serviceId: 'WEEKDAY' })
+  ];
+  const stopTimes = {
+    T1: stopsOf('T1', ['A', 'B', 'C', 'D']),
+    T2: stopsOf('T2', ['A', 'B', 'C', 'D']),
+    T3: stopsOf('T3', ['A', 'C', 'D']),
+    F1: stopsOf('F1', ['A', 'B', 'E', 'C']),
+    R1: stopsOf('R1', ['D', 'C', 'B', 'A'])
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    routePatternService.clearCache();
+    routeRepository.findById.mockImplementation(async id => (id === '101'
+      ? new Route({ id: '101', shortName: '101', longName: 'Ruta 101', type: '3' })
+      : null));
+    tripRepository.findByRoute.mockResolvedValue(trips);
+    stopTimeRepository.findByTripIds.mockImplementation(async tripIds => tripIds.flatMap(tripId => stopTimes[tripId] || []));
+    frequencyRepository.findByTripIds.mockResolvedValue([
+      new Frequency({ tripId: 'F1', startTime: '06:00:00', endTime: '07:00:00', headwaySecs: 1200 })
+    ]);
+    stopRepository.findById.mockImplementation(async id => (id === 'E'
+      ? null
+      : new Stop({ id, name: `Parada ${id}`, lat: 13.7, lng: -89.2 })));
+  });
+
+  test('should group trips into patterns per direction, most trips first', async () => {
+    const result = await routePatternService.getRoutePatterns('101');
+
+    expect(result.routeShortName).toBe('101');
+    expect(result.patterns.map(pattern => [
+      pattern.id, pattern.tripCount, pattern.tripIds.join(','), pattern.stops.map(stop => stop.stopId).join('')
+    ])).toEqual([
+      ['101:0:78e275f0', 3, 'F1', 'ABEC'],
+      ['101:0:d3aa273e', 2, 'T1,T2', 'ABCD'],
+      ['101:0:21fb1604', 1, 'T3', 'ACD'],
+      ['101:1:e580979e', 1, 'R1', 'DCBA']
+    ]);
+    expect(result.patterns[1]).toMatchObject({ directionId: '0', headsign: 'Centro', shapeId: 'SH1' });
+    expect(result.patterns[1].stops[0]).toEqual({ stopId: 'A', name: 'Parada A', lat: 13.7, lng: -89.2 });
+    // Missing stops are still listed
+    expect(result.patterns[0].stops[2]).toEqual({ stopId: 'E', name: null, lat: null, lng: null });
+    // Stop times of every trip read together
+    expect(stopTimeRepository.findByTripIds).toHaveBeenCalledTimes(1);
+    expect(stopTimeRepository.findByTripIds).toHaveBeenCalledWith(trips.map(trip => trip.id));
+    expect(stopTimeRepository.findByTrip).not.toHaveBeenCalled();
+  });
+
+  test('should keep pattern IDs when patterns change rank', async () => {
+    const { patterns } = await routePatternService.getRoutePatterns('101');
+    const ids = new Map(patterns.map(pattern => [pattern.tripIds[0], pattern.id]));
+
+    routePatternService.clearCache();
+    tripRepository.findByRoute.mockResolvedValue([
+      ...trips,
+      new Trip({ id: 'T4', routeId: '101', serviceId: 'WEEKDAY', directionId: '0', headsign: 'Centro' }),
+      new Trip({ id: 'T5', routeId: '101', serviceId: 'WEEKDAY', directionId: '0', headsign: 'Centro' })
+    ]);
+    stopTimeRepository.findByTripIds.mockImplementation(async tripIds => tripIds.flatMap(tripId => (['T4', 'T5'].includes(tripId)
+      ? stopsOf(tripId, ['A', 'B', 'C', 'D'])
+      : stopTimes[tripId] || [])));
+
+    const result = await routePatternService.getRoutePatterns('101');
+
+    expect(result.patterns.map(pattern => pattern.tripIds[0])).toEqual(['T1', 'F1', 'T3', 'R1']);
+    result.patterns.forEach(pattern => expect(pattern.id).toBe(ids.get(pattern.tripIds[0])));
+  });
+
+  test('should merge the patterns of each direction into its ordered stops', async () => {
+    const result = await routePatternService.getRouteStops('101');
+
+    expect(result.directions.map(direction => [
+      direction.directionId, direction.headsign, direction.stops.map(stop => stop.stopId).join('')
+    ])).toEqual([
+      ['0', 'Centro', 'ABECD'],
+      ['1', 'Terminal', 'DCBA']
+    ]);
+  });
+
+  test('should reuse the patterns of a route', async () => {
+    await routePatternService.getRoutePatterns('101');
+    await routePatternService.getRouteStops('101');
+
+    expect(tripRepository.findByRoute).toHaveBeenCalledTimes(1);
+  });
+
+  test('should throw 404 if route not found', async () => {
+    await expect(routePatternService.getRoutePatterns('999')).rejects.toMatchObject({ status: 404, type: 'NOT_FOUND' });
+  });
+});
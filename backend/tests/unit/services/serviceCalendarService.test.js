@@ -0,0 +1,123 @@
+/**
+ * ServiceCalendarService Unit Tests
+ *
+ * Tests active service resolution: weekly patterns, date ranges,
+ * calendar_dates exceptions, El Salvador holidays and time zones.
+ */
+
+const serviceCalendarService = require('../../../src/services/serviceCalendarService');
+const { calendarRepository } = require('../../../src/services/gtfs/calendarRepository');
+const { calendarDateRepository } = require('../../../src/services/gtfs/calendarDateRepository');
+const { agencyRepository } = require('../../../src/services/gtfs/agencyRepository');
+const { Agency, Calendar, CalendarDate } = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/gtfs/calendarRepository');
+jest.mock('../../../src/services/gtfs/calendarDateRepository');
+jest.mock('../../../src/services/gtfs/agencyRepository');
+
+describe('ServiceCalendarService', () => {
+  const agency = new Agency({
+    id: 'AMSS',
+    name: 'Autobuses Metropolitanos',
+    url: 'https://amss.example.com',
+    timezone: 'America/El_Salvador'
+  });
+  const calendars = [
+    new Calendar({
+      id: 'WEEKDAY', monday: '1', tuesday: '1', wednesday: '1', thursday: '1', friday: '1',
+      startDate: '20240101', endDate: '20251231'
+    }),
+    new Calendar({ id: 'SATURDAY', saturday: true, startDate: '20240101', endDate: '20240131' }),
+    new Calendar({ id: 'SUNDAY', sunday: true, startDate: '2024-01-01', endDate: '2025-12-31' })
+  ];
+  let calendarDates;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    serviceCalendarService.clearCache();
+    calendarDates = [];
+    agencyRepository.list.mockResolvedValue([agency]);
+    agencyRepository.findById.mockImplementation(async id => (id === 'AMSS' ? agency : null));
+    calendarRepository.findInEffect.mockImplementation(async date =>
+      calendars.filter(calendar => calendar.isInEffect(date))
+    );
+    calendarDateRepository.findByDate.mockImplementation(async date =>
+      calendarDates.filter(calendarDate => calendarDate.date === date)
+    );
+  });
+
+  test('should resolve the weekly pattern within the calendar range', async () => {
+    const tuesday = await serviceCalendarService.getActiveServices({ date: '2024-01-02' });
+    expect(tuesday).toEqual({
+      date: '2024-01-02',
+      timeZone: 'America/El_Salvador',
+      weekday: 'tuesday',
+      holiday: null,
+      serviceIds: ['WEEKDAY']
+    });
+
+    // SATURDAY ends on 2024-01-31
+    expect((await serviceCalendarService.getActiveServices({ date: '20240106' })).serviceIds).toEqual(['SATURDAY']);
+    expect((await serviceCalendarService.getActiveServices({ date: '20240203' })).serviceIds).toEqual([]);
+  });
+
+  test('should add and remove services with calendar_dates', async () => {
+    calendarDates = [
+      new CalendarDate({ serviceId: 'WEEKDAY', date: '20240110', exceptionType: '2' }),
+      new CalendarDate({ serviceId: 'FERIA', date: '20240110', exceptionType: '1' })
+    ];
+
+    const result = await serviceCalendarService.getActiveServiceIds({ date: '2024-01-10' });
+
+    expect([...result]).toEqual(['FERIA']);
+  });
+
+  test('should run Sunday service on holidays the feed does not list', async () => {
+    // Jueves and Viernes Santo (Easter 2024: March 31; 2025: April 20)
+    const holyThursday = await serviceCalendarService.getActiveServices({ date: '2024-03-28' });
+    expect(holyThursday).toMatchObject({ weekday: 'sunday', holiday: 'Jueves Santo', serviceIds: ['SUNDAY'] });
+
+    const goodFriday = await serviceCalendarService.getActiveServices({ date: '2025-04-18' });
+    expect(goodFriday).toMatchObject({ holiday: 'Viernes Santo', serviceIds: ['SUNDAY'] });
+
+    const independenceDay = await serviceCalendarService.getActiveServices({ date: '2025-09-15' });
+    expect(independenceDay).toMatchObject({ holiday: 'Día de la Independencia', serviceIds: ['SUNDAY'] });
+  });
+
+  test('should follow the feed exceptions on holidays it lists', async () => {
+    calendarDates = [new CalendarDate({ serviceId: 'WEEKDAY', date: '20240501', exceptionType: '2' })];
+
+    const result = await serviceCalendarService.getActiveServices({ date: '2024-05-01' });
+
+    expect(result).toMatchObject({ weekday: 'wednesday', holiday: 'Día del Trabajo', serviceIds: [] });
+  });
+
+  test('should use the local date of the agency time zone', async () => {
+    // 03:00 UTC on Wednesday is 21:00 on Tuesday in El Salvador (UTC-6)
+    const result = await serviceCalendarService.getActiveServices({
+      at: new Date('2024-01-10T03:00:00Z'),
+      agencyId: 'AMSS'
+    });
+
+    expect(result.date).toBe('2024-01-09');
+    expect(calendarRepository.findInEffect).toHaveBeenCalledWith('20240109');
+  });
+
+  test('should cache resolved dates until cleared', async () => {
+    await serviceCalendarService.getActiveServices({ date: '2024-01-02' });
+    await serviceCalendarService.getActiveServices({ date: '2024-01-02' });
+    expect(calendarRepository.findInEffect).toHaveBeenCalledTimes(1);
+
+    serviceCalendarService.clearCache();
+    await serviceCalendarService.getActiveServices({ date: '2024-01-02' });
+    expect(calendarRepository.findInEffect).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reject an unknown agency or an invalid date', async () => {
+    await expect(serviceCalendarService.getActiveServices({ agencyId: 'NOPE' }))
+      .rejects.toMatchObject({ status: 404, type: 'NOT_FOUND' });
+    await expect(serviceCalendarService.getActiveServices({ date: '2024-02-30' }))
+      .rejects.toMatchObject({ status: 422, type: 'VALIDATION_ERROR' });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * ShapeService Unit Tests
+ *
+ * Tests shape_dist_traveled computation: stop projection order on
+ * out-and-back shapes, meters vs. feed units, dry runs and errors.
+ */
+
+const shapeService = require('../../../src/services/shapeService');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { shapeRepository } = require('../../../src/services/gtfs/shapeRepository');
+const { Trip, Stop, StopTime, Shape } = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/shapeRepository');
+
+describe('ShapeService', () => {
+  // Out along 13.7 N to the terminal and back on the same street
+  const outAndBack = [
+    { lat: 13.7, lng: -89.2, sequence: 1 },
+    { lat: 13.7, lng: -89.19, sequence: 2 },
+    { lat: 13.7, lng: -89.2, sequence: 3 }
+  ];
+  const stops = {
+    A: new Stop({ id: 'A', name: 'Parada A', lat: 13.7001, lng: -89.199 }),
+    B: new Stop({ id: 'B', name: 'Terminal', lat: 13.7, lng: -89.19 }),
+    C: new Stop({ id: 'C', name: 'Parada C', lat: 13.6999, lng: -89.199 })
+  };
+  let shape;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    shape = new Shape({ id: 'SH1', points: outAndBack });
+    tripRepository.findById.mockResolvedValue(new Trip({ id: 'T1', routeId: 'R1', serviceId: 'WK', shapeId: 'SH1' }));
+    shapeRepository.findById.mockImplementation(async () => shape);
+    stopRepository.findById.mockImplementation(async id => stops[id] || null);
+    stopTimeRepository.findByTrip.mockResolvedValue([
+      new StopTime({ id: 'T1_1', tripId: 'T1', stopId: 'A', stopSequence: 1, arrivalTime: '08:00:00', departureTime: '08:00:00' }),
+      new StopTime({ id: 'T1_2', tripId: 'T1', stopId: 'B', stopSequence: 2, arrivalTime: '08:05:00', departureTime: '08:05:00' }),
+      new StopTime({ id: 'T1_3', tripId: 'T1', stopId: 'C', stopSequence: 3, arrivalTime: '08:10:00', departureTime: '08:10:00' })
+    ]);
+    shapeRepository.update.mockImplementation(async updated => updated);
+    stopTimeRepository.bulkUpdate.mockImplementation(async stopTimes => stopTimes.length);
+  });
+
+  test('should keep stops in order on shapes that pass the same street twice', async () => {
+    const result = await shapeService.computeTripShapeDistances('T1');
+    const [a, b, c] = result.stopTimes;
+
+    expect(result.units).toBe('meters');
+    // Stop C sits over the first leg too, but comes after the terminal
+    expect(a.shapeDistTraveled).toBeCloseTo(108, -1);
+    expect(b.shapeDistTraveled).toBeCloseTo(1081, -1);
+    expect(c.shapeDistTraveled).toBeCloseTo(2054, -1);
+    expect(a.offsetMeters).toBeCloseTo(11, 0);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should store meters on both the shape and the stop times', async () => {
+    const result = await shapeService.computeTripShapeDistances('T1');
+
+    expect(result.saved).toBe(true);
+
+    const savedShape = shapeRepository.update.mock.calls[0][0];
+    expect(savedShape.points.map(point => point.distTraveled)).toEqual([0, expect.any(Number), expect.any(Number)]);
+    expect(savedShape.points[2].distTraveled).toBeGreaterThan(2000);
+
+    const saved = stopTimeRepository.bulkUpdate.mock.calls[0][0];
+    expect(saved.map(stopTime => stopTime.shapeDistTraveled)).toEqual(
+      result.stopTimes.map(stopTime => stopTime.shapeDistTraveled)
+    );
+    expect(saved[0].shapeDistTraveled).toBeGreaterThan(0);
+  });
+
+  test('should interpolate in the shape units when every point has a distance', async () => {
+    shape = new Shape({
+      id: 'SH1',
+      points: outAndBack.map((point, index) => ({ ...point, distTraveled: index }))
+    });
+
+    const result = await shapeService.computeTripShapeDistances('T1');
+
+    expect(result.units).toBe('shape');
+    expect(result.stopTimes.map(stopTime => stopTime.shapeDistTraveled)).toEqual([0.1, 1, 1.9]);
+    expect(shapeRepository.update).not.toHaveBeenCalled();
+    expect(stopTimeRepository.bulkUpdate).toHaveBeenCalled();
+  });
+
+  test('should write nothing on a dry run', async () => {
+    const result = await shapeService.computeTripShapeDistances('T1', { dryRun: true });
+
+    expect(result.saved).toBe(false);
+    expect(result.stopTimes).toHaveLength(3);
+    expect(shapeRepository.update).not.toHaveBeenCalled();
+    expect(stopTimeRepository.bulkUpdate).not.toHaveBeenCalled();
+  });
+
+  test('should warn about stops far from the shape', async () => {
+    stops.B = new Stop({ id: 'B', name: 'Terminal', lat: 13.702, lng: -89.19 });
+
+    const result = await shapeService.computeTripShapeDistances('T1', { dryRun: true });
+
+    expect(result.warnings).toEqual(['Stop B (sequence 2) is more than 100 m from the shape']);
+    stops.B = new Stop({ id: 'B', name: 'Terminal', lat: 13.7, lng: -89.19 });
+  });
+
+  test('should reject unknown trips and trips without shape or stops', async () => {
+    tripRepository.findById.mockResolvedValueOnce(null);
+    await expect(shapeService.computeTripShapeDistances('X')).rejects.toMatchObject({ status: 404 });
+
+    tripRepository.findById.mockResolvedValueOnce(new Trip({ id: 'T1', routeId: 'R1', serviceId: 'WK' }));
+    await expect(shapeService.computeTripShapeDistances('T1')).rejects.toMatchObject({
+      status: 422,
+      message: 'Trip has no shape'
+    });
+
+    shape = null;
+    await expect(shapeService.computeTripShapeDistances('T1')).rejects.toMatchObject({ status: 404 });
+    shape = new Shape({ id: 'SH1', points: outAndBack });
+
+    stopRepository.findById.mockResolvedValueOnce(null);
+    await expect(shapeService.computeTripShapeDistances('T1')).rejects.toMatchObject({
+      status: 422,
+      message: 'Stop A not found'
+    });
+
+    stopTimeRepository.findByTrip.mockResolvedValueOnce([]);
+    await expect(shapeService.computeTripShapeDistances('T1')).rejects.toMatchObject({
+      status: 422,
+      message: 'Trip has no stop times'
+    });
+  });
+});
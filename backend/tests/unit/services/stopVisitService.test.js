@@ -0,0 +1,214 @@
+/**
+ * StopVisitService Unit Tests
+ *
+ * Tests trip stop lookup and stop arrivals/departures detected from GPS
+ * fixes. Service days are America/El_Salvador (UTC-6) unless the route
+ * agency says otherwise.
+ */
+
+const stopVisitService = require('../../../src/services/stopVisitService');
+const { stopVisitRepository } = require('../../../src/services/stopVisitRepository');
+const { busRepository } = require('../../../src/services/busRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { routeRepository } = require('../../../src/services/gtfs/routeRepository');
+const { agencyRepository } = require('../../../src/services/gtfs/agencyRepository');
+const serviceCalendarService = require('../../../src/services/serviceCalendarService');
+const { busEvents, BUS_EVENTS } = require('../../../src/services/busEvents');
+const StopVisit = require('../../../src/models/StopVisit');
+const { Agency, Route, Stop, StopTime } = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/stopVisitRepository');
+jest.mock('../../../src/services/busRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/routeRepository');
+jest.mock('../../../src/services/gtfs/agencyRepository');
+
+describe('StopVisitService', () => {
+  const bus = { id: 'bus123', route: '101', tripId: 'T1', tripStartDate: '2024-01-02' };
+
+  // Three stops ~1 km apart along lat 13.7 (default radius: 50 m)
+  const STOP_LNG = { A: -89.22, B: -89.21, C: -89.2 };
+
+  // 2024-01-02 08:00 local = 14:00Z
+  const fix = (minute, lng, lat = 13.7) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 2, 14, minute)),
+    lat,
+    lng
+  });
+
+  const emptyState = { tripId: null, serviceDate: null, lastSequence: null, lastDepartedAt: null, current: null, lastFixAt: null };
+
+  // Run updateProgress against an in-memory state, like the transaction would
+  const mockState = (state = emptyState) => {
+    stopVisitRepository.updateProgress.mockImplementation(async (busId, apply) => {
+      const result = apply(state);
+      return { updated: result !== null, visits: result ? result.visits : [], state: result && result.state };
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stopVisitService.tripStopsCache.clear();
+    serviceCalendarService.clearCache();
+    routeRepository.findById.mockResolvedValue(new Route({ id: '101', shortName: '101', longName: 'Ruta 101', type: '3' }));
+    agencyRepository.list.mockResolvedValue([]);
+    stopTimeRepository.findByTrip.mockResolvedValue([
+      new StopTime({ tripId: 'T1', stopId: 'A', stopSequence: 1, arrivalTime: '08:00:00', departureTime: '08:00:00' }),
+      new StopTime({ tripId: 'T1', stopId: 'B', stopSequence: 2, arrivalTime: '08:05:00', departureTime: '08:06:00' }),
+      new StopTime({ tripId: 'T1', stopId: 'C', stopSequence: 3, arrivalTime: '08:10:00', departureTime: '08:10:00' })
+    ]);
+    stopRepository.findById.mockImplementation(async id => new Stop({
+      id,
+      name: `Parada ${id}`,
+      lat: 13.7,
+      lng: STOP_LNG[id]
+    }));
+  });
+
+  describe('getTripStops', () => {
+    test('should load the stops in order with their scheduled seconds and cache them', async () => {
+      const stops = await stopVisitService.getTripStops('T1');
+      await stopVisitService.getTripStops('T1');
+
+      expect(stops[1]).toEqual({
+        stopId: 'B',
+        stopSequence: 2,
+        lat: 13.7,
+        lng: -89.21,
+        arrivalSeconds: 8 * 3600 + 300,
+        departureSeconds: 8 * 3600 + 360
+      });
+      expect(stopTimeRepository.findByTrip).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('evaluateFixes', () => {
+    test('should record arrivals and departures with delays against the schedule', async () => {
+      mockState();
+      const listener = jest.fn();
+      busEvents.on(BUS_EVENTS.STOP, listener);
+
+      const { visits } = await stopVisitService.evaluateFixes(bus, [
+        fix(1, STOP_LNG.A),
+        fix(3, -89.215),
+        fix(7, STOP_LNG.B),
+        fix(9, STOP_LNG.B + 0.0002),
+        fix(10, -89.205)
+      ]);
+      busEvents.off(BUS_EVENTS.STOP, listener);
+
+      expect(visits).toEqual([
+        expect.objectContaining({
+          id: 'T1_2024-01-02_1',
+          stopId: 'A',
+          arrivedAt: fix(1).timestamp.toISOString(),
+          departedAt: fix(3).timestamp.toISOString(),
+          arrivalDelaySeconds: 60,
+          previousStopId: null,
+          travelSeconds: null
+        }),
+        expect.objectContaining({
+          id: 'T1_2024-01-02_2',
+          routeId: '101',
+          stopId: 'B',
+          scheduledArrival: '2024-01-02T14:05:00.000Z',
+          arrivedAt: fix(7).timestamp.toISOString(),
+          departedAt: fix(10).timestamp.toISOString(),
+          arrivalDelaySeconds: 120,
+          departureDelaySeconds: 240,
+          dwellSeconds: 180,
+          previousStopId: 'A',
+          travelSeconds: 240
+        })
+      ]);
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[0][0]).toMatchObject({ event: 'departed', busId: 'bus123', route: '101' });
+    });
+
+    test('should schedule in the time zone of the route agency', async () => {
+      mockState();
+      routeRepository.findById.mockResolvedValue(new Route({ id: '101', agencyId: 'PA', shortName: '101', longName: 'Ruta 101', type: '3' }));
+      agencyRepository.findById.mockResolvedValue(new Agency({
+        id: 'PA', name: 'Metro Panamá', url: 'https://metro.pa', timezone: 'America/Panama'
+      }));
+
+      const { visits } = await stopVisitService.evaluateFixes(bus, [fix(7, STOP_LNG.B)]);
+
+      // 08:05 in Panama (UTC-5) is 13:05Z
+      expect(visits[0]).toMatchObject({ scheduledArrival: '2024-01-02T13:05:00.000Z', arrivalDelaySeconds: 3720 });
+    });
+
+    test('should keep the open arrival in the progress state', async () => {
+      mockState();
+
+      const { visits } = await stopVisitService.evaluateFixes(bus, [fix(7, STOP_LNG.B)]);
+      const { state } = await stopVisitRepository.updateProgress.mock.results[0].value;
+
+      expect(visits).toEqual([expect.objectContaining({ stopId: 'B', departedAt: null, dwellSeconds: null })]);
+      expect(state).toEqual({
+        tripId: 'T1',
+        serviceDate: '2024-01-02',
+        lastSequence: null,
+        lastDepartedAt: null,
+        current: { stopId: 'B', stopSequence: 2, arrivedAt: fix(7).timestamp, previousStopId: null, travelSeconds: null },
+        lastFixAt: fix(7).timestamp
+      });
+    });
+
+    test('should not arrive again at stops already passed', async () => {
+      mockState({ ...emptyState, tripId: 'T1', serviceDate: '2024-01-02', lastSequence: 2, lastFixAt: fix(8).timestamp });
+
+      const { visits } = await stopVisitService.evaluateFixes(bus, [fix(9, STOP_LNG.A), fix(10, STOP_LNG.B)]);
+
+      expect(visits).toEqual([]);
+    });
+
+    test('should restart the progress when another trip is assigned', async () => {
+      mockState({ ...emptyState, tripId: 'T0', serviceDate: '2024-01-02', lastSequence: 3, lastFixAt: fix(8).timestamp });
+
+      const { visits } = await stopVisitService.evaluateFixes(bus, [fix(9, STOP_LNG.A)]);
+
+      expect(visits).toEqual([expect.objectContaining({ tripId: 'T1', stopSequence: 1 })]);
+    });
+
+    test('should ignore buses without an active trip', async () => {
+      const result = await stopVisitService.evaluateFixes({ id: 'bus123', route: '101', tripId: null }, [fix(1, STOP_LNG.A)]);
+
+      expect(result.visits).toEqual([]);
+      expect(stopVisitRepository.updateProgress).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getStopVisits', () => {
+    test('should return 404 for unknown buses', async () => {
+      busRepository.findById.mockResolvedValue(null);
+
+      await expect(stopVisitService.getStopVisits('nope')).rejects.toMatchObject({ status: 404, type: 'NOT_FOUND' });
+    });
+
+    test('should pass filters and serialize visits', async () => {
+      busRepository.findById.mockResolvedValue(bus);
+      stopVisitRepository.listVisits.mockResolvedValue([
+        new StopVisit({
+          busId: 'bus123',
+          tripId: 'T1',
+          serviceDate: '2024-01-02',
+          stopId: 'A',
+          stopSequence: 1,
+          scheduledArrival: '2024-01-02T14:00:00.000Z',
+          scheduledDeparture: '2024-01-02T14:00:00.000Z',
+          arrivedAt: '2024-01-02T13:59:30.000Z'
+        })
+      ]);
+
+      const result = await stopVisitService.getStopVisits('bus123', { tripId: 'T1', limit: 10 });
+
+      expect(stopVisitRepository.listVisits).toHaveBeenCalledWith('bus123', { tripId: 'T1', limit: 10 });
+      expect(result).toMatchObject({ busId: 'bus123', tripId: 'T1', tripStartDate: '2024-01-02' });
+      expect(result.visits[0]).toMatchObject({ arrivalDelaySeconds: -30, departedAt: null });
+    });
+  });
+});
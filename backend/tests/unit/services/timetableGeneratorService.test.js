@@ -0,0 +1,163 @@
+/**
+ * TimetableGeneratorService Unit Tests
+ *
+ * Tests trip generation from headway templates: departures every headway,
+ * run times by time band, dwell at intermediate stops, route patterns as
+ * the stop list, dry runs and the replacement of previously generated trips.
+ */
+
+const timetableGeneratorService = require('../../../src/services/timetableGeneratorService');
+const routePatternService = require('../../../src/services/routePatternService');
+const { timetableRepository } = require('../../../src/services/timetableRepository');
+const { routeRepository } = require('../../../src/services/gtfs/routeRepository');
+const { stopRepository } = require('../../../src/services/gtfs/stopRepository');
+const { tripRepository } = require('../../../src/services/gtfs/tripRepository');
+const { stopTimeRepository } = require('../../../src/services/gtfs/stopTimeRepository');
+const { frequencyRepository } = require('../../../src/services/gtfs/frequencyRepository');
+const { Route, Stop, Trip, StopTime } = require('../../../src/models/gtfs');
+
+// Mock dependencies
+jest.mock('../../../src/services/timetableRepository');
+jest.mock('../../../src/services/gtfs/routeRepository');
+jest.mock('../../../src/services/gtfs/stopRepository');
+jest.mock('../../../src/services/gtfs/tripRepository');
+jest.mock('../../../src/services/gtfs/stopTimeRepository');
+jest.mock('../../../src/services/gtfs/frequencyRepository');
+
+describe('TimetableGeneratorService', () => {
+  // A-B-C: 5 + 10 minutes until 07:00, 7 + 15 minutes after
+  const template = (overrides = {}) => ({
+    routeId: '101',
+    stopIds: ['A', 'B', 'C'],
+    serviceId: 'WEEKDAY',
+    headsign: 'Centro',
+    firstDeparture: '06:30:00',
+    lastDeparture: '07:30:00',
+    headwaySecs: 1800,
+    dwellSeconds: 30,
+    runTimes: [
+      { startTime: '07:00:00', segmentSeconds: [420, 900] },
+      { startTime: '06:00:00', segmentSeconds: [300, 600] }
+    ],
+    ...overrides
+  });
+  const times = trip => trip.stopTimes.map(stopTime => `${stopTime.arrivalTime}-${stopTime.departureTime}`);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    routePatternService.clearCache();
+    routeRepository.findById.mockImplementation(async id => (id === '101'
+      ? new Route({ id: '101', shortName: '101', longName: 'Ruta 101', type: '3' })
+      : null));
+    stopRepository.findById.mockImplementation(async id => (['A', 'B', 'C', 'D'].includes(id)
+      ? new Stop({ id, name: `Parada ${id}`, lat: 13.7, lng: -89.2 })
+      : null));
+    timetableRepository.findById.mockResolvedValue(null);
+    timetableRepository.replaceTrips.mockResolvedValue({ removedTripIds: [] });
+  });
+
+  test('should generate a trip every headway with the run times of its time band', async () => {
+    timetableRepository.replaceTrips.mockResolvedValue({ removedTripIds: ['WD101_060000'] });
+
+    const result = await timetableGeneratorService.generateTimetable('WD101', template());
+
+    expect(result).toMatchObject({
+      timetableId: 'WD101',
+      routeId: '101',
+      directionId: '0',
+      serviceId: 'WEEKDAY',
+      saved: true,
+      tripCount: 3,
+      stopTimeCount: 9,
+      removedTripIds: ['WD101_060000']
+    });
+    expect(result.trips.map(trip => [trip.id, trip.departureTime, trip.arrivalTime])).toEqual([
+      ['WD101_063000', '06:30:00', '06:45:30'],
+      ['WD101_070000', '07:00:00', '07:22:30'],
+      ['WD101_073000', '07:30:00', '07:52:30']
+    ]);
+    // Dwell at B only
+    expect(times(result.trips[0])).toEqual(['06:30:00-06:30:00', '06:35:00-06:35:30', '06:45:30-06:45:30']);
+
+    const [timetable, trips, stopTimes] = timetableRepository.replaceTrips.mock.calls[0];
+    expect(timetable).toMatchObject({ id: 'WD101', stopIds: ['A', 'B', 'C'], headwaySecs: 1800 });
+    expect(timetable.runTimes.map(band => band.startTime)).toEqual(['06:00:00', '07:00:00']);
+    expect(trips[0]).toBeInstanceOf(Trip);
+    expect(trips[0]).toMatchObject({ routeId: '101', serviceId: 'WEEKDAY', headsign: 'Centro', directionId: '0' });
+    expect(stopTimes[4]).toBeInstanceOf(StopTime);
+    expect(stopTimes[4]).toMatchObject({ id: 'WD101_070000_2', tripId: 'WD101_070000', stopId: 'B', stopSequence: 2 });
+  });
+
+  test('should preview without writing, listing the trips that would be removed', async () => {
+    timetableRepository.findById.mockResolvedValue({ id: 'WD101', tripIds: ['WD101_060000', 'WD101_063000'] });
+
+    const result = await timetableGeneratorService.generateTimetable('WD101', template(), { dryRun: true });
+
+    expect(result).toMatchObject({ saved: false, tripCount: 3, removedTripIds: ['WD101_060000'] });
+    expect(timetableRepository.replaceTrips).not.toHaveBeenCalled();
+  });
+
+  test('should follow a route pattern, with its direction, headsign and shape', async () => {
+    tripRepository.findByRoute.mockResolvedValue([
+      new Trip({ id: 'R1', routeId: '101', serviceId: 'WEEKDAY', directionId: '1', headsign: 'Terminal', shapeId: 'SH2' })
+    ]);
+    stopTimeRepository.findByTripIds.mockResolvedValue(['D', 'C', 'A'].map((stopId, index) => new StopTime({
+      tripId: 'R1', stopId, stopSequence: index + 1, arrivalTime: '08:00:00', departureTime: '08:00:00'
+    })));
+    frequencyRepository.findByTripIds.mockResolvedValue([]);
+
+    const result = await timetableGeneratorService.generateTimetable('WD101R', template({
+      stopIds: undefined, headsign: undefined, patternId: '101:1:239446db'
+    }));
+
+    const [timetable, trips] = timetableRepository.replaceTrips.mock.calls[0];
+    expect(timetable).toMatchObject({ directionId: '1', stopIds: ['D', 'C', 'A'], headsign: 'Terminal', shapeId: 'SH2' });
+    expect(trips[0]).toMatchObject({ directionId: '1', headsign: 'Terminal', shapeId: 'SH2' });
+    expect(result.trips[0].stopTimes.map(stopTime => stopTime.stopId)).toEqual(['D', 'C', 'A']);
+  });
+
+  test('should reject unknown routes, patterns and stops', async () => {
+    await expect(timetableGeneratorService.generateTimetable('X', template({ routeId: '999' })))
+      .rejects.toMatchObject({ status: 404, message: 'Route not found' });
+
+    tripRepository.findByRoute.mockResolvedValue([]);
+    await expect(timetableGeneratorService.generateTimetable('X', template({ stopIds: undefined, patternId: '101:0:00000000' })))
+      .rejects.toMatchObject({ status: 404, message: 'Pattern not found' });
+
+    await expect(timetableGeneratorService.generateTimetable('X', template({ stopIds: ['A', 'B', 'Z'] })))
+      .rejects.toMatchObject({ status: 422, message: 'Stop Z not found' });
+  });
+
+  test('should reject inconsistent run times and departures', async () => {
+    await expect(timetableGeneratorService.generateTimetable('X', template({
+      runTimes: [{ startTime: '06:00:00', segmentSeconds: [300] }]
+    }))).rejects.toMatchObject({ status: 422, type: 'VALIDATION_ERROR' });
+
+    await expect(timetableGeneratorService.generateTimetable('X', template({
+      runTimes: [{ startTime: '07:00:00', segmentSeconds: [300, 600] }]
+    }))).rejects.toMatchObject({ status: 422, message: 'Run times must start at or before the first departure' });
+
+    await expect(timetableGeneratorService.generateTimetable('X', template({ lastDeparture: '06:00:00' })))
+      .rejects.toMatchObject({ status: 422, message: 'Last departure must not be before the first departure' });
+
+    expect(timetableRepository.replaceTrips).not.toHaveBeenCalled();
+  });
+
+  test('should reject timetables too large to replace in one transaction', async () => {
+    // 62 trips of 3 stops: 248 documents
+    await timetableGeneratorService.generateTimetable('X', template({ lastDeparture: '07:31:00', headwaySecs: 60 }), { dryRun: true });
+
+    await expect(timetableGeneratorService.generateTimetable('X', template({ lastDeparture: '07:32:00', headwaySecs: 60 })))
+      .rejects.toMatchObject({ status: 422, message: 'Timetable would generate 63 trips and 189 stop times (at most 249 together)' });
+    expect(timetableRepository.replaceTrips).not.toHaveBeenCalled();
+  });
+
+  test('should pass on trip ID conflicts', async () => {
+    timetableRepository.replaceTrips.mockRejectedValue(Object.assign(
+      new Error('Trip WD101_063000 already exists and was not generated by this timetable'), { status: 409, type: 'DUPLICATE' }
+    ));
+
+    await expect(timetableGeneratorService.generateTimetable('WD101', template()))
+      .rejects.toMatchObject({ status: 409, type: 'DUPLICATE' });
+  });
+});
@@ -14,6 +14,7 @@
 import {
   GTFSAgency,
   GTFSStop,
+  GTFSNearbyStop,
   GTFSRoute,
   GTFSTrip,
   GTFSStopTime,
@@ -139,12 +140,13 @@ export async function fetchStop(id: string): Promise<GTFSStop> {
   return response.json();
 }
 
-export async function fetchNearbyStops(query: NearbyStopsQuery): Promise<GTFSListResponse<GTFSStop>> {
+export async function fetchNearbyStops(query: NearbyStopsQuery): Promise<GTFSListResponse<GTFSNearbyStop>> {
   const params = new URLSearchParams({
     lat: query.lat.toString(),
     lng: query.lng.toString()
   });
   if (query.radius) params.append('radius', query.radius.toString());
+  if (query.limit) params.append('limit', query.limit.toString());
 
   const response = await fetch(`${API_URL}/gtfs/stops/nearby?${params}`, {
     headers: getAuthHeaders()
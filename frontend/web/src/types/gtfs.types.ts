@@ -175,6 +175,322 @@ export enum Timepoint {
   EXACT = '1'
 }
 
+/**
+ * GTFS Shape point (shapes.txt row)
+ */
+export interface GTFSShapePoint {
+  lat: number;
+  lng: number;
+  sequence: number;
+  distTraveled?: number | null;
+}
+
+/**
+ * GTFS Shape
+ * Represents the path a vehicle travels
+ */
+export interface GTFSShape {
+  id: string;
+  points: GTFSShapePoint[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Shape as a GeoJSON Feature (GET /gtfs/shapes/:id)
+ * Coordinates are [lng, lat]
+ */
+export interface GTFSShapeFeature {
+  type: 'Feature';
+  id: string;
+  geometry: {
+    type: 'LineString';
+    coordinates: [number, number][];
+  };
+  properties: {
+    shapeId: string;
+    pointCount: number;
+    lengthMeters: number;
+    shapeDistTraveled: (number | null)[] | null;
+    updatedAt: string;
+  };
+}
+
+/**
+ * GTFS Frequency
+ * Headway-based service window of a trip (frequencies.txt)
+ */
+export interface GTFSFrequency {
+  id: string;
+  tripId: string;
+  startTime: string; // HH:MM:SS
+  endTime: string; // HH:MM:SS, exclusive
+  headwaySecs: number;
+  exactTimes: '0' | '1';
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Concrete instance of a trip (GET /gtfs/trips/:tripId/instances)
+ * startTime, headwaySecs and exactTimes are null for trips without frequencies
+ */
+export interface GTFSTripInstance {
+  startTime: string | null;
+  headwaySecs: number | null;
+  exactTimes: boolean | null;
+  stopTimes: {
+    stopId: string;
+    stopSequence: number;
+    arrivalTime: string;
+    departureTime: string;
+  }[];
+}
+
+/**
+ * GTFS Fare attribute (fare_attributes.txt)
+ */
+export interface GTFSFareAttribute {
+  id: string;
+  price: number;
+  currencyType: string; // ISO 4217, e.g. USD
+  paymentMethod: '0' | '1'; // 0 on board, 1 before boarding
+  transfers: '0' | '1' | '2' | null; // null = unlimited
+  agencyId: string | null;
+  transferDuration: number | null; // seconds
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * GTFS Fare rule (fare_rules.txt)
+ * Zones are stop zoneIds
+ */
+export interface GTFSFareRule {
+  id: string;
+  fareId: string;
+  routeId: string | null;
+  originId: string | null;
+  destinationId: string | null;
+  containsId: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Fare between two stops (GET /gtfs/fares/calculate)
+ */
+export interface GTFSFareCalculation {
+  originStopId: string;
+  destinationStopId: string;
+  originZoneId: string | null;
+  destinationZoneId: string | null;
+  options: {
+    routeId: string;
+    zoneIds: string[];
+    fare: Omit<GTFSFareAttribute, 'id' | 'createdAt' | 'updatedAt'> & { fareId: string } | null;
+  }[];
+}
+
+/**
+ * Departure of a trip instance from a stop
+ * serviceDate is the day before for times past 24:00:00
+ */
+export interface GTFSStopDeparture {
+  tripId: string;
+  startTime: string | null; // instance start of frequency-based trips
+  serviceDate: string; // YYYY-MM-DD
+  routeId: string;
+  routeShortName: string;
+  routeColor: string | null;
+  routeTextColor: string | null;
+  headsign: string | null;
+  stopSequence: number;
+  departureTime: string; // HH:MM:SS, may exceed 24:00:00
+  scheduledDeparture: string;
+  predictedDeparture: string | null;
+  delaySeconds: number | null;
+  busId: string | null;
+}
+
+/**
+ * Departure board of a stop (GET /gtfs/stops/:stopId/departures)
+ */
+export interface GTFSStopDepartureBoard {
+  stopId: string;
+  stopName: string;
+  from: string;
+  to: string;
+  generatedAt: string;
+  departures: GTFSStopDeparture[];
+}
+
+/**
+ * Stop or location at an end of a journey leg (stopId and name are null for locations)
+ */
+export interface GTFSJourneyPlace {
+  stopId: string | null;
+  name: string | null;
+  lat: number;
+  lng: number;
+}
+
+/**
+ * Journey leg on foot or on a bus
+ */
+export type GTFSJourneyLeg = {
+  from: GTFSJourneyPlace;
+  to: GTFSJourneyPlace;
+  departure: string;
+  arrival: string;
+  durationSeconds: number;
+} & (
+  | { mode: 'walk'; distanceMeters: number }
+  | {
+      mode: 'bus';
+      routeId: string;
+      routeShortName: string | null;
+      routeColor: string | null;
+      tripId: string;
+      startTime: string | null; // instance start of frequency-based trips
+      serviceDate: string; // YYYY-MM-DD
+      headsign: string | null;
+      stopCount: number;
+    }
+);
+
+/**
+ * Journey plan (GET /gtfs/plan), earliest arrival first
+ */
+export interface GTFSJourneyPlan {
+  from: GTFSJourneyPlace;
+  to: GTFSJourneyPlace;
+  at: string;
+  itineraries: {
+    departure: string;
+    arrival: string;
+    durationSeconds: number;
+    transfers: number;
+    walkMeters: number;
+    legs: GTFSJourneyLeg[];
+  }[];
+}
+
+/**
+ * Stop served by a route (name, lat and lng are null for unknown stops)
+ */
+export interface GTFSRouteStop {
+  stopId: string;
+  name: string | null;
+  lat: number | null;
+  lng: number | null;
+}
+
+/**
+ * Trips of a route direction serving the same stops in the same order
+ */
+export interface GTFSRoutePattern {
+  id: string; // <routeId>:<directionId>:<hash of the stop sequence>, stable across ranks
+  directionId: string; // '0' or '1'
+  headsign: string | null;
+  shapeId: string | null;
+  tripCount: number; // frequency-based trips count each instance
+  tripIds: string[];
+  stops: GTFSRouteStop[];
+}
+
+/**
+ * Stop patterns of a route (GET /gtfs/routes/:id/patterns), main pattern of each direction first
+ */
+export interface GTFSRoutePatterns {
+  routeId: string;
+  routeShortName: string | null;
+  patterns: GTFSRoutePattern[];
+}
+
+/**
+ * Ordered stops of a route per direction (GET /gtfs/routes/:id/stops)
+ */
+export interface GTFSRouteStops {
+  routeId: string;
+  routeShortName: string | null;
+  directions: {
+    directionId: string;
+    headsign: string | null;
+    stops: GTFSRouteStop[];
+  }[];
+}
+
+/**
+ * Headway template of a generated timetable (PUT /gtfs/timetables/:id)
+ * The stops are a route pattern (patternId) or listed in order (stopIds)
+ */
+export interface GTFSTimetableTemplate {
+  routeId: string;
+  patternId?: string;
+  stopIds?: string[];
+  directionId?: string; // with stopIds only
+  serviceId: string;
+  headsign?: string | null;
+  shapeId?: string | null;
+  firstDeparture: string; // HH:MM:SS
+  lastDeparture: string; // HH:MM:SS, included
+  headwaySecs: number;
+  dwellSeconds?: number;
+  runTimes: {
+    startTime: string; // HH:MM:SS, departures from then on
+    segmentSeconds: number[]; // one per pair of consecutive stops
+  }[];
+}
+
+/**
+ * Trips generated from a timetable template (saved is false for dry runs)
+ */
+export interface GTFSTimetableGeneration {
+  timetableId: string;
+  routeId: string;
+  directionId: string;
+  serviceId: string;
+  saved: boolean;
+  tripCount: number;
+  stopTimeCount: number;
+  removedTripIds: string[];
+  trips: {
+    id: string; // <timetableId>_<HHMMSS>
+    departureTime: string;
+    arrivalTime: string;
+    stopTimes: Pick<GTFSStopTime, 'stopId' | 'stopSequence' | 'arrivalTime' | 'departureTime'>[];
+  }[];
+}
+
+/**
+ * Notices of one code in a validation report
+ * sampleNotices fields depend on the code (file, field and IDs)
+ */
+export interface GTFSValidationNoticeGroup {
+  code: string; // e.g. foreign_key_violation
+  severity: 'ERROR' | 'WARNING' | 'INFO';
+  description: string;
+  totalNotices: number;
+  sampleNotices: Record<string, unknown>[];
+}
+
+/**
+ * Validation of the stored dataset (GET /gtfs/validate)
+ */
+export interface GTFSValidationReport {
+  validatedAt: string;
+  counts: Record<string, number>;
+  summary: {
+    errors: number;
+    warnings: number;
+    infos: number;
+  };
+  errors: GTFSValidationNoticeGroup[];
+  warnings: GTFSValidationNoticeGroup[];
+  infos: GTFSValidationNoticeGroup[];
+}
+
 // ============================================
 // API Response Types
 // ============================================
@@ -207,6 +523,14 @@ export interface NearbyStopsQuery {
   lat: number;
   lng: number;
   radius?: number; // in kilometers
+  limit?: number;
+}
+
+/**
+ * Stop in a nearby search (GET /gtfs/stops/nearby), nearest first
+ */
+export interface GTFSNearbyStop extends GTFSStop {
+  distanceMeters: number;
 }
 
 /**
@@ -235,6 +559,13 @@ export interface BulkStopTimesPayload {
   stopTimes: Omit<GTFSStopTime, 'id' | 'tripId' | 'createdAt' | 'updatedAt'>[];
 }
 
+/**
+ * Bulk shapes creation payload (existing shapes are replaced)
+ */
+export interface BulkShapesPayload {
+  shapes: Pick<GTFSShape, 'id' | 'points'>[];
+}
+
 // ============================================
 // Extended Types (with related data)
 // ============================================